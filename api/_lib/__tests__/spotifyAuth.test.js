@@ -0,0 +1,100 @@
+import { createHash } from 'node:crypto';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+const ORIGINAL_ENV = { ...process.env };
+const TEST_KEY = Buffer.alloc(32, 7).toString('base64');
+
+const auth = await import('../spotifyAuth.js');
+
+describe('spotify auth helpers', () => {
+  beforeEach(() => {
+    process.env.SPOTIFY_CLIENT_ID = 'client-1';
+    process.env.SPOTIFY_TOKEN_ENCRYPTION_KEY = TEST_KEY;
+    delete process.env.SPOTIFY_REDIRECT_URI;
+  });
+
+  afterEach(() => {
+    process.env = { ...ORIGINAL_ENV };
+    vi.unstubAllGlobals();
+  });
+
+  it('builds an S256 PKCE pair', () => {
+    const { verifier, challenge } = auth.createPkcePair();
+    expect(verifier).toMatch(/^[A-Za-z0-9_-]{43,128}$/);
+    expect(challenge).toBe(createHash('sha256').update(verifier).digest('base64url'));
+  });
+
+  it('round-trips secrets and rejects tampered or foreign ciphertext', () => {
+    const sealed = auth.encryptSecret('refresh-abc');
+    expect(sealed).not.toContain('refresh-abc');
+    expect(auth.decryptSecret(sealed)).toBe('refresh-abc');
+
+    const [version, iv, tag, data] = sealed.split('.');
+    const flipped = `${data[0] === 'A' ? 'B' : 'A'}${data.slice(1)}`;
+    expect(auth.decryptSecret([version, iv, tag, flipped].join('.'))).toBeNull();
+
+    process.env.SPOTIFY_TOKEN_ENCRYPTION_KEY = Buffer.alloc(32, 9).toString('base64');
+    expect(auth.decryptSecret(sealed)).toBeNull();
+  });
+
+  it('only reports config when the client id and a 32-byte key are present', () => {
+    expect(auth.hasSpotifyUserAuthConfig()).toBe(true);
+    process.env.SPOTIFY_TOKEN_ENCRYPTION_KEY = 'too-short';
+    expect(auth.hasSpotifyUserAuthConfig()).toBe(false);
+    expect(() => auth.encryptSecret('x')).toThrow(/SPOTIFY_TOKEN_ENCRYPTION_KEY/);
+  });
+
+  it('prefers the configured redirect URI over the request host', () => {
+    expect(auth.getRedirectUri({ headers: { host: 'localhost:5173' } })).toBe(
+      'http://localhost:5173/api/spotify/callback'
+    );
+    expect(auth.getRedirectUri({ headers: { host: 'playlistnotes.app' } })).toBe(
+      'https://playlistnotes.app/api/spotify/callback'
+    );
+    process.env.SPOTIFY_REDIRECT_URI = 'https://playlistnotes.app/api/spotify/callback';
+    expect(auth.getRedirectUri({ headers: { host: 'evil.example' } })).toBe(
+      'https://playlistnotes.app/api/spotify/callback'
+    );
+  });
+
+  it('ties a state to the browser through a hashed, HttpOnly cookie', () => {
+    const cookie = auth.buildStateCookie('state-1', 'https://playlistnotes.app/api/spotify/callback');
+    const [pair, ...attributes] = cookie.split('; ');
+    expect(pair).toBe(`sta_spotify_state=${auth.hashState('state-1')}`);
+    expect(pair).not.toContain('state-1');
+    expect(attributes).toEqual([
+      'Path=/api/spotify/callback',
+      'Max-Age=600',
+      'HttpOnly',
+      'SameSite=Lax',
+      'Secure',
+    ]);
+    expect(auth.buildStateCookie('state-1', 'http://localhost:5173/api/spotify/callback')).not.toContain(
+      'Secure'
+    );
+
+    const req = { headers: { cookie: `theme=dark; ${pair}` } };
+    expect(auth.stateMatchesCookie(req, 'state-1')).toBe(true);
+    expect(auth.stateMatchesCookie(req, 'state-2')).toBe(false);
+    expect(auth.stateMatchesCookie({ headers: {} }, 'state-1')).toBe(false);
+    expect(auth.clearStateCookie()).toContain('Max-Age=0');
+  });
+
+  it('posts token requests as a form with the client id', async () => {
+    const fetchMock = vi.fn(async () =>
+      new Response(JSON.stringify({ access_token: 'at' }), { status: 200 })
+    );
+    vi.stubGlobal('fetch', fetchMock);
+
+    const result = await auth.requestSpotifyToken({ grant_type: 'refresh_token', refresh_token: 'rt' });
+
+    expect(result).toEqual({ ok: true, status: 200, payload: { access_token: 'at' } });
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe(auth.SPOTIFY_TOKEN_URL);
+    expect(Object.fromEntries(new URLSearchParams(init.body))).toEqual({
+      client_id: 'client-1',
+      grant_type: 'refresh_token',
+      refresh_token: 'rt',
+    });
+  });
+});
@@ -0,0 +1,106 @@
+// api/_lib/idempotency.js
+// Server side of the `Idempotency-Key` header the client outbox sends with every write.
+// The first successful response for a key is stored per anon identity; a retry with the
+// same key (say, after the response was lost on a flaky connection) gets that response
+// back instead of running again. Without this a replayed edit would carry a stale
+// `baseRevision` and come back as a spurious 409. See supabase/sql/phase4_idempotency_keys.sql.
+
+import { createHash } from 'node:crypto';
+
+const TABLE = 'idempotency_keys';
+const MAX_KEY_LENGTH = 200;
+
+// Outbox retries happen within minutes, but a device can go offline right after a write.
+export const IDEMPOTENCY_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+export function readIdempotencyKey(req) {
+  const raw = req?.headers?.['idempotency-key'];
+  const value = Array.isArray(raw) ? raw[0] : raw;
+  if (typeof value !== 'string') return null;
+  const trimmed = value.trim();
+  return trimmed && trimmed.length <= MAX_KEY_LENGTH ? trimmed : null;
+}
+
+/**
+ * Hash of what the request asks for, so a key reused for a different request is caught
+ * instead of answered with an unrelated stored response.
+ */
+export function fingerprintRequest(req) {
+  const body = typeof req?.body === 'string' ? req.body : JSON.stringify(req?.body ?? null);
+  return createHash('sha256')
+    .update(`${req?.method ?? ''}\n${JSON.stringify(req?.query ?? null)}\n${body}`)
+    .digest('base64url');
+}
+
+/**
+ * @returns {Promise<{ status: number, body: unknown, requestHash: string } | null>}
+ *   null when nothing is stored, or when the lookup failed (the request then runs normally)
+ */
+export async function findStoredResponse(client, anonId, key) {
+  const { data, error } = await client
+    .from(TABLE)
+    .select('request_hash, status, response')
+    .eq('anon_id', anonId)
+    .eq('key', key)
+    .maybeSingle();
+  if (error) {
+    console.error('[idempotency] lookup failed', error);
+    return null;
+  }
+  if (!data) return null;
+  return { status: data.status, body: data.response, requestHash: data.request_hash };
+}
+
+/**
+ * Keep a successful response for replays, and drop this identity's expired keys. Failures
+ * are logged only: the write itself already happened.
+ */
+export async function storeResponse(client, anonId, key, requestHash, status, body) {
+  const { error } = await client.from(TABLE).insert({
+    anon_id: anonId,
+    key,
+    request_hash: requestHash,
+    status,
+    response: body ?? null,
+  });
+  // 23505: a concurrent request with the same key stored first; either copy will do
+  if (error && error.code !== '23505') {
+    console.error('[idempotency] failed to store response', error);
+  }
+  const { error: pruneError } = await client
+    .from(TABLE)
+    .delete()
+    .eq('anon_id', anonId)
+    .lt('created_at', new Date(Date.now() - IDEMPOTENCY_TTL_MS).toISOString());
+  if (pruneError) {
+    console.warn('[idempotency] failed to prune expired keys', pruneError);
+  }
+}
+
+/**
+ * A stand-in for the response object that keeps what the handler sends, so it can be
+ * stored before it reaches the client.
+ */
+export function createBufferedResponse() {
+  const buffered = {
+    statusCode: 200,
+    body: undefined,
+    headers: /** @type {Record<string, unknown>} */ ({}),
+    status(code) {
+      buffered.statusCode = code;
+      return buffered;
+    },
+    json(payload) {
+      buffered.body = payload;
+      return buffered;
+    },
+    setHeader(name, value) {
+      buffered.headers[name] = value;
+      return buffered;
+    },
+    end() {
+      return buffered;
+    },
+  };
+  return buffered;
+}
@@ -0,0 +1,199 @@
+// api/_lib/proxyGuards.js
+// Shared CORS, rate-limit, and response helpers for the provider proxy functions.
+
+/**
+ * @typedef {import('http').IncomingMessage & { method?: string, query?: Record<string, any> }} VercelRequest
+ * @typedef {import('http').ServerResponse} VercelResponse
+ */
+
+import { isOriginAllowed } from '../spotify/originConfig.js';
+
+/**
+ * @param {string | undefined} value
+ * @param {number} fallback
+ */
+export function parsePositiveInt(value, fallback) {
+  if (typeof value !== 'string') return fallback;
+  const parsed = Number.parseInt(value, 10);
+  if (Number.isFinite(parsed) && parsed > 0) {
+    return parsed;
+  }
+  return fallback;
+}
+
+/**
+ * Build CORS headers for a GET-only proxy. Uses the same origin allowlist as the
+ * Spotify token handler so every provider proxy accepts the same callers.
+ * @param {string} origin - Origin header value. May be an empty string when the
+ *   request did not include an Origin header.
+ */
+export function buildCorsHeaders(origin) {
+  const allowed = isOriginAllowed(origin);
+  /** @type {Record<string, string>} */
+  const headers = {
+    'Access-Control-Allow-Methods': 'GET,OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+    'Access-Control-Max-Age': '86400',
+    Vary: 'Origin',
+  };
+  if (allowed && origin) {
+    headers['Access-Control-Allow-Origin'] = origin;
+  }
+  return { headers, allowed };
+}
+
+/**
+ * @param {VercelResponse} res
+ * @param {Record<string, string>} headers
+ */
+export function applyHeaders(res, headers) {
+  Object.entries(headers).forEach(([key, value]) => {
+    if (value === '') return;
+    res.setHeader(key, value);
+  });
+}
+
+/**
+ * Respond with JSON.
+ * @param {VercelResponse} res
+ * @param {number} status
+ * @param {unknown} body
+ * @param {{ cacheControl?: string }} [options]
+ */
+export function sendJson(res, status, body, { cacheControl = 'no-store, max-age=0' } = {}) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Cache-Control', cacheControl);
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * @param {VercelRequest} req
+ */
+export function getClientIp(req) {
+  const header = req.headers?.['x-forwarded-for'];
+  if (typeof header === 'string' && header.length > 0) {
+    return header.split(',')[0].trim() || 'unknown';
+  }
+  if (Array.isArray(header) && header.length > 0) {
+    return header[0].split(',')[0].trim() || 'unknown';
+  }
+  return req.socket?.remoteAddress || 'unknown';
+}
+
+/**
+ * Read a single query parameter from either Vercel's parsed `req.query` or the raw URL.
+ * @param {VercelRequest} req
+ * @param {string} name
+ * @returns {string | null}
+ */
+export function getQueryParam(req, name) {
+  const fromQuery = req.query?.[name];
+  if (typeof fromQuery === 'string') return fromQuery;
+  if (Array.isArray(fromQuery) && typeof fromQuery[0] === 'string') return fromQuery[0];
+
+  try {
+    const url = new URL(req.url ?? '', 'http://localhost');
+    return url.searchParams.get(name);
+  } catch (_err) {
+    return null;
+  }
+}
+
+/**
+ * Resolve the `[resource]` path segment. Vercel exposes it on `req.query`; plain Node servers do not.
+ * @param {VercelRequest} req
+ * @returns {string | null}
+ */
+export function getResource(req) {
+  const fromQuery = req.query?.resource;
+  if (typeof fromQuery === 'string') return fromQuery;
+  try {
+    const url = new URL(req.url ?? '', 'http://localhost');
+    const segments = url.pathname.split('/').filter(Boolean);
+    return segments[segments.length - 1] ?? null;
+  } catch (_err) {
+    return null;
+  }
+}
+
+/**
+ * Fixed-window, per-IP rate limiter kept in function memory.
+ * @param {{ windowMs: number, maxRequests: number }} config
+ */
+export function createRateLimiter({ windowMs, maxRequests }) {
+  /** @type {Map<string, { count: number, resetAt: number }>} */
+  const state = new Map();
+
+  /** @param {string} ip */
+  function check(ip) {
+    const now = Date.now();
+    const entry = state.get(ip);
+
+    if (!entry || entry.resetAt <= now) {
+      state.set(ip, { count: 1, resetAt: now + windowMs });
+      return { allowed: true, remaining: maxRequests - 1, resetAt: now + windowMs };
+    }
+
+    if (entry.count >= maxRequests) {
+      return { allowed: false, remaining: 0, resetAt: entry.resetAt };
+    }
+
+    entry.count += 1;
+    state.set(ip, entry);
+    return { allowed: true, remaining: maxRequests - entry.count, resetAt: entry.resetAt };
+  }
+
+  return {
+    check,
+    limit: maxRequests,
+    reset() {
+      state.clear();
+    },
+  };
+}
+
+/**
+ * Apply CORS, method, origin, and rate-limit checks shared by every proxy.
+ * Returns true when the request may proceed; otherwise the response is already sent.
+ * @param {VercelRequest} req
+ * @param {VercelResponse} res
+ * @param {ReturnType<typeof createRateLimiter>} limiter
+ * @returns {boolean}
+ */
+export function guardProxyRequest(req, res, limiter) {
+  const originHeader = typeof req.headers?.origin === 'string' ? req.headers.origin : '';
+  const { headers: corsHeaders, allowed: originAllowed } = buildCorsHeaders(originHeader);
+  applyHeaders(res, corsHeaders);
+
+  if (req.method === 'OPTIONS') {
+    res.statusCode = 204;
+    res.end();
+    return false;
+  }
+
+  if (req.method !== 'GET') {
+    sendJson(res, 405, { error: 'method_not_allowed' });
+    return false;
+  }
+
+  if (!originAllowed) {
+    sendJson(res, 403, { error: 'origin_not_allowed' });
+    return false;
+  }
+
+  const rate = limiter.check(getClientIp(req));
+
+  res.setHeader('X-RateLimit-Limit', String(limiter.limit));
+  res.setHeader('X-RateLimit-Remaining', String(Math.max(0, rate.remaining)));
+  res.setHeader('X-RateLimit-Reset', String(Math.ceil(rate.resetAt / 1000)));
+
+  if (!rate.allowed) {
+    const retryAfter = Math.max(0, Math.ceil((rate.resetAt - Date.now()) / 1000));
+    res.setHeader('Retry-After', String(retryAfter));
+    sendJson(res, 429, { error: 'rate_limited' });
+    return false;
+  }
+
+  return true;
+}
@@ -0,0 +1,178 @@
+// api/_lib/spotifyAuth.js
+// Helpers for the Spotify user OAuth flow (authorization code + PKCE).
+// Refresh tokens are the only long-lived secret we keep, so they are encrypted
+// with AES-256-GCM before they reach the database and never logged.
+
+import {
+  createCipheriv,
+  createDecipheriv,
+  createHash,
+  randomBytes,
+  timingSafeEqual,
+} from 'node:crypto';
+
+export const SPOTIFY_AUTHORIZE_URL = 'https://accounts.spotify.com/authorize';
+export const SPOTIFY_TOKEN_URL = 'https://accounts.spotify.com/api/token';
+
+// Private/collaborative playlists (daylist included) and Liked Songs.
+export const SPOTIFY_USER_SCOPES = [
+  'playlist-read-private',
+  'playlist-read-collaborative',
+  'user-library-read',
+].join(' ');
+
+// Pending authorize requests expire quickly; the user is only bouncing through Spotify.
+export const AUTH_REQUEST_TTL_MS = 10 * 60 * 1000;
+
+// Binds a pending request to the browser that started it. Holds a hash of `state`, so the
+// value Spotify echoes back is only accepted by that browser, not by anyone sent the URL.
+export const AUTH_STATE_COOKIE = 'sta_spotify_state';
+const AUTH_STATE_COOKIE_PATH = '/api/spotify/callback';
+
+const CIPHER = 'aes-256-gcm';
+const CIPHER_VERSION = 'v1';
+
+export function getSpotifyClientId() {
+  const clientId = process.env.SPOTIFY_CLIENT_ID;
+  return typeof clientId === 'string' && clientId.trim() ? clientId.trim() : null;
+}
+
+function getEncryptionKey() {
+  const raw = process.env.SPOTIFY_TOKEN_ENCRYPTION_KEY;
+  if (typeof raw !== 'string' || !raw.trim()) return null;
+  const value = raw.trim();
+  const key = /^[0-9a-f]{64}$/i.test(value)
+    ? Buffer.from(value, 'hex')
+    : Buffer.from(value, 'base64');
+  return key.length === 32 ? key : null;
+}
+
+export function hasSpotifyUserAuthConfig() {
+  return Boolean(getSpotifyClientId() && getEncryptionKey());
+}
+
+/**
+ * Resolve the redirect URI registered with Spotify. Prefer the explicit env value so
+ * preview deployments cannot smuggle in their own host.
+ */
+export function getRedirectUri(req) {
+  const configured = process.env.SPOTIFY_REDIRECT_URI;
+  if (typeof configured === 'string' && configured.trim()) {
+    return configured.trim();
+  }
+  const rawHost = req?.headers?.['x-forwarded-host'] ?? req?.headers?.host;
+  const host = Array.isArray(rawHost) ? rawHost[0] : rawHost;
+  if (typeof host !== 'string' || !host) return null;
+  const isLocal = /^(localhost|127\.0\.0\.1)(:\d+)?$/i.test(host);
+  return `${isLocal ? 'http' : 'https'}://${host}/api/spotify/callback`;
+}
+
+export function createPkcePair() {
+  const verifier = randomBytes(48).toString('base64url');
+  const challenge = createHash('sha256').update(verifier).digest('base64url');
+  return { verifier, challenge };
+}
+
+export function createState() {
+  return randomBytes(24).toString('base64url');
+}
+
+export function hashState(state) {
+  return createHash('sha256').update(String(state)).digest('base64url');
+}
+
+function isLocalRedirect(redirectUri) {
+  try {
+    return new URL(redirectUri).protocol === 'http:';
+  } catch (_err) {
+    return false;
+  }
+}
+
+/**
+ * Set-Cookie value for a freshly created `state`. Lax still sends it on Spotify's
+ * top-level redirect back to the callback; HttpOnly keeps it away from page scripts.
+ */
+export function buildStateCookie(state, redirectUri) {
+  return [
+    `${AUTH_STATE_COOKIE}=${hashState(state)}`,
+    `Path=${AUTH_STATE_COOKIE_PATH}`,
+    `Max-Age=${Math.floor(AUTH_REQUEST_TTL_MS / 1000)}`,
+    'HttpOnly',
+    'SameSite=Lax',
+    ...(isLocalRedirect(redirectUri) ? [] : ['Secure']),
+  ].join('; ');
+}
+
+export function clearStateCookie() {
+  return `${AUTH_STATE_COOKIE}=; Path=${AUTH_STATE_COOKIE_PATH}; Max-Age=0; HttpOnly; SameSite=Lax`;
+}
+
+function readCookie(req, name) {
+  const header = req?.headers?.cookie;
+  if (typeof header !== 'string' || !header) return null;
+  for (const pair of header.split(';')) {
+    const [rawKey, ...rest] = pair.split('=');
+    if (rawKey?.trim() === name) {
+      const value = rest.join('=').trim();
+      return value || null;
+    }
+  }
+  return null;
+}
+
+/**
+ * True when the request carries the cookie set alongside `state` by /api/spotify/authorize.
+ */
+export function stateMatchesCookie(req, state) {
+  const cookie = readCookie(req, AUTH_STATE_COOKIE);
+  if (!cookie || typeof state !== 'string' || !state) return false;
+  const expected = Buffer.from(hashState(state));
+  const actual = Buffer.from(cookie);
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+export function encryptSecret(plain) {
+  const key = getEncryptionKey();
+  if (!key) throw new Error('SPOTIFY_TOKEN_ENCRYPTION_KEY is not configured');
+  const iv = randomBytes(12);
+  const cipher = createCipheriv(CIPHER, key, iv);
+  const data = Buffer.concat([cipher.update(String(plain), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return [CIPHER_VERSION, iv, tag, data]
+    .map((part) => (typeof part === 'string' ? part : part.toString('base64url')))
+    .join('.');
+}
+
+export function decryptSecret(payload) {
+  const key = getEncryptionKey();
+  if (!key || typeof payload !== 'string') return null;
+  const [version, iv, tag, data] = payload.split('.');
+  if (version !== CIPHER_VERSION || !iv || !tag || !data) return null;
+  try {
+    const decipher = createDecipheriv(CIPHER, key, Buffer.from(iv, 'base64url'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+    return Buffer.concat([
+      decipher.update(Buffer.from(data, 'base64url')),
+      decipher.final(),
+    ]).toString('utf8');
+  } catch (_err) {
+    return null;
+  }
+}
+
+/**
+ * POST a form to Spotify's token endpoint. PKCE clients authenticate with the
+ * client id alone, so the client secret never takes part in user tokens.
+ * Resolves to `{ ok, status, payload }` instead of throwing on HTTP errors.
+ */
+export async function requestSpotifyToken(params) {
+  const body = new URLSearchParams({ client_id: getSpotifyClientId() ?? '', ...params });
+  const response = await fetch(SPOTIFY_TOKEN_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: body.toString(),
+  });
+  const payload = await response.json().catch(() => ({}));
+  return { ok: response.ok, status: response.status, payload };
+}
@@ -69,7 +69,7 @@ export function withCors(res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader(
     'Access-Control-Allow-Headers',
-    'x-device-id, content-type, authorization'
+    'x-device-id, content-type, authorization, idempotency-key'
   );
   res.setHeader('Access-Control-Allow-Methods', 'GET,POST,OPTIONS');
   return res;
@@ -0,0 +1,200 @@
+// api/apple-music/[resource].js
+// Vercel serverless function that proxies Apple Music catalog playlist lookups with a server-signed developer token.
+
+/**
+ * @typedef {import('../_lib/proxyGuards.js').VercelRequest} VercelRequest
+ * @typedef {import('../_lib/proxyGuards.js').VercelResponse} VercelResponse
+ */
+
+import { sign } from 'node:crypto';
+import {
+  createRateLimiter,
+  getQueryParam,
+  getResource,
+  guardProxyRequest,
+  parsePositiveInt,
+  sendJson,
+} from '../_lib/proxyGuards.js';
+
+const APPLE_MUSIC_API_BASE = 'https://api.music.apple.com/v1/catalog';
+const PAGE_SIZE = 100;
+const MAX_OFFSET = 10_000;
+// Catalog playlists are `pl.*`; library playlists (`p.*`) need a Music User Token and are rejected here.
+const PLAYLIST_ID_PATTERN = /^pl\.[\w-]{1,64}$/;
+const STOREFRONT_PATTERN = /^[a-z]{2}$/;
+const TOKEN_TTL_SECONDS = 12 * 60 * 60;
+const TOKEN_REFRESH_SKEW_SECONDS = 5 * 60;
+const isDevRuntime = process.env.NODE_ENV !== 'production';
+
+const DEFAULT_RATE_LIMIT_WINDOW_MS = 60 * 60 * 1000;
+const DEFAULT_RATE_LIMIT_MAX_REQUESTS = 600;
+
+const limiter = createRateLimiter({
+  windowMs: parsePositiveInt(
+    process.env.APPLE_MUSIC_PROXY_RATE_LIMIT_WINDOW_MS,
+    DEFAULT_RATE_LIMIT_WINDOW_MS
+  ),
+  maxRequests: parsePositiveInt(
+    process.env.APPLE_MUSIC_PROXY_RATE_LIMIT_MAX,
+    DEFAULT_RATE_LIMIT_MAX_REQUESTS
+  ),
+});
+
+/** @type {{ token: string, expiresAt: number } | null} */
+let cachedToken = null;
+
+/**
+ * @param {unknown} value
+ */
+function base64url(value) {
+  const buffer = Buffer.isBuffer(value) ? value : Buffer.from(JSON.stringify(value));
+  return buffer.toString('base64url');
+}
+
+/**
+ * Sign an ES256 developer token (JWT) with the MusicKit private key.
+ * Env files often store the PEM on one line with literal `\n` sequences, so those are expanded first.
+ * @param {{ teamId: string, keyId: string, privateKey: string }} credentials
+ * @returns {string}
+ */
+function getDeveloperToken({ teamId, keyId, privateKey }) {
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  if (cachedToken && nowSeconds < cachedToken.expiresAt - TOKEN_REFRESH_SKEW_SECONDS) {
+    return cachedToken.token;
+  }
+  const expiresAt = nowSeconds + TOKEN_TTL_SECONDS;
+  const signingInput = `${base64url({ alg: 'ES256', kid: keyId })}.${base64url({
+    iss: teamId,
+    iat: nowSeconds,
+    exp: expiresAt,
+  })}`;
+  const signature = sign('sha256', Buffer.from(signingInput), {
+    key: privateKey.replace(/\\n/g, '\n'),
+    dsaEncoding: 'ieee-p1363',
+  });
+  const token = `${signingInput}.${base64url(signature)}`;
+  cachedToken = { token, expiresAt };
+  return token;
+}
+
+/**
+ * Returning null from `build` means the request was malformed.
+ * @type {Record<string, { build: (req: VercelRequest) => string | null }>}
+ */
+const RESOURCES = {
+  playlist: {
+    build(req) {
+      const target = readTarget(req);
+      if (!target) return null;
+      return `${APPLE_MUSIC_API_BASE}/${target.storefront}/playlists/${target.id}`;
+    },
+  },
+  tracks: {
+    build(req) {
+      const target = readTarget(req);
+      if (!target) return null;
+      const rawOffset = getQueryParam(req, 'offset') ?? '0';
+      if (!/^\d{1,6}$/.test(rawOffset)) return null;
+      const offset = Number.parseInt(rawOffset, 10);
+      if (offset > MAX_OFFSET) return null;
+      const params = new URLSearchParams({ offset: String(offset), limit: String(PAGE_SIZE) });
+      return `${APPLE_MUSIC_API_BASE}/${target.storefront}/playlists/${target.id}/tracks?${params}`;
+    },
+  },
+};
+
+/**
+ * @param {VercelRequest} req
+ * @returns {{ storefront: string, id: string } | null}
+ */
+function readTarget(req) {
+  const storefront = (getQueryParam(req, 'storefront') ?? '').toLowerCase();
+  const id = getQueryParam(req, 'id');
+  if (!STOREFRONT_PATTERN.test(storefront)) return null;
+  if (!id || !PLAYLIST_ID_PATTERN.test(id)) return null;
+  return { storefront, id };
+}
+
+/**
+ * Vercel handler entry point.
+ * @param {VercelRequest} req
+ * @param {VercelResponse} res
+ */
+export default async function handler(req, res) {
+  if (!guardProxyRequest(req, res, limiter)) return;
+
+  const resource = getResource(req);
+  const config = resource && Object.prototype.hasOwnProperty.call(RESOURCES, resource)
+    ? RESOURCES[resource]
+    : null;
+  if (!config) {
+    sendJson(res, 404, { error: 'unknown_resource' });
+    return;
+  }
+
+  const teamId = process.env.APPLE_MUSIC_TEAM_ID;
+  const keyId = process.env.APPLE_MUSIC_KEY_ID;
+  const privateKey = process.env.APPLE_MUSIC_PRIVATE_KEY;
+  if (!teamId || !keyId || !privateKey) {
+    sendJson(res, 500, { error: 'missing_credentials' });
+    return;
+  }
+
+  const upstreamUrl = config.build(req);
+  if (!upstreamUrl) {
+    sendJson(res, 400, { error: 'invalid_params' });
+    return;
+  }
+
+  let upstream;
+  try {
+    const token = getDeveloperToken({ teamId, keyId, privateKey });
+    upstream = await fetch(upstreamUrl, {
+      headers: { Authorization: `Bearer ${token}`, Accept: 'application/json' },
+    });
+  } catch (err) {
+    if (isDevRuntime) {
+      console.debug('[apple-music][proxy] upstream fetch failed', { resource, err });
+    }
+    sendJson(res, 502, { error: 'apple_music_unavailable' });
+    return;
+  }
+
+  let payload = null;
+  try {
+    payload = await upstream.json();
+  } catch {
+    // noop
+  }
+
+  if (upstream.ok) {
+    if (!payload || typeof payload !== 'object') {
+      sendJson(res, 502, { error: 'invalid_upstream_payload' });
+      return;
+    }
+    sendJson(res, 200, payload, { cacheControl: 'private, max-age=60' });
+    return;
+  }
+
+  if (isDevRuntime) {
+    console.debug('[apple-music][proxy] upstream error', { resource, status: upstream.status });
+  }
+
+  // 401/403 here means our developer token was rejected, which is a server problem, not a private playlist.
+  if (upstream.status === 401 || upstream.status === 403) {
+    cachedToken = null;
+    sendJson(res, 502, { error: 'developer_token_rejected', status: upstream.status });
+    return;
+  }
+
+  const status = upstream.status >= 500 ? 502 : upstream.status;
+  sendJson(res, status, { error: 'apple_music_error', status: upstream.status });
+}
+
+export function __resetTokenCacheForTests() {
+  cachedToken = null;
+}
+
+export function __resetRateLimitStateForTests() {
+  limiter.reset();
+}
@@ -0,0 +1,185 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { generateKeyPairSync, verify } from 'node:crypto';
+
+/**
+ * @typedef {import('../../_lib/proxyGuards.js').VercelRequest} VercelRequest
+ * @typedef {import('../../_lib/proxyGuards.js').VercelResponse} VercelResponse
+ * @typedef {VercelResponse & { ended: boolean, json(): any }} TestResponse
+ */
+
+const ORIGINAL_FETCH = global.fetch;
+const ORIGINAL_ENV = { ...process.env };
+const { privateKey, publicKey } = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+const privateKeyPem = /** @type {string} */ (privateKey.export({ type: 'pkcs8', format: 'pem' }));
+
+/**
+ * @param {string} path
+ * @param {object} [options]
+ * @returns {VercelRequest}
+ */
+function createReq(path, options = {}) {
+  const headers = {
+    origin: options.origin ?? 'http://localhost:5173',
+    'x-forwarded-for': options.ip ?? '127.0.0.1',
+  };
+  return /** @type {VercelRequest} */ (
+    /** @type {unknown} */ ({
+      method: options.method ?? 'GET',
+      url: path,
+      headers,
+      socket: { remoteAddress: options.ip ?? '127.0.0.1' },
+    })
+  );
+}
+
+/** @returns {TestResponse} */
+function createRes() {
+  let body = '';
+  const headers = new Map();
+  const response = {
+    statusCode: 0,
+    ended: false,
+    setHeader(name, value) {
+      headers.set(name.toLowerCase(), value);
+    },
+    getHeader(name) {
+      return headers.get(name.toLowerCase());
+    },
+    end(chunk = '') {
+      response.ended = true;
+      body += chunk;
+    },
+    json() {
+      return body ? JSON.parse(body) : null;
+    },
+  };
+  return /** @type {TestResponse} */ (/** @type {unknown} */ (response));
+}
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+async function loadHandler() {
+  return import('../[resource].js');
+}
+
+beforeEach(() => {
+  vi.restoreAllMocks();
+  vi.resetModules();
+  process.env.APPLE_MUSIC_TEAM_ID = 'TEAM123456';
+  process.env.APPLE_MUSIC_KEY_ID = 'KEY1234567';
+  // Stored the way env files usually hold it: one line with literal \n escapes.
+  process.env.APPLE_MUSIC_PRIVATE_KEY = privateKeyPem.replace(/\n/g, '\\n');
+  vi.spyOn(console, 'debug').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  global.fetch = ORIGINAL_FETCH;
+  Object.keys(process.env).forEach((key) => {
+    if (!(key in ORIGINAL_ENV)) {
+      delete process.env[key];
+    }
+  });
+  Object.assign(process.env, ORIGINAL_ENV);
+});
+/**
+ * @param {string} jwt
+ */
+function decodeJwt(jwt) {
+  const [header, payload, signature] = jwt.split('.');
+  return {
+    header: JSON.parse(Buffer.from(header, 'base64url').toString('utf8')),
+    payload: JSON.parse(Buffer.from(payload, 'base64url').toString('utf8')),
+    verified: verify(
+      'sha256',
+      Buffer.from(`${header}.${payload}`),
+      { key: publicKey, dsaEncoding: 'ieee-p1363' },
+      Buffer.from(signature, 'base64url')
+    ),
+  };
+}
+
+describe('api/apple-music/[resource]', () => {
+  it('signs an ES256 developer token and reuses it across requests', async () => {
+    const fetchMock = vi.fn().mockImplementation(async () => jsonResponse({ data: [] }));
+    global.fetch = fetchMock;
+    const { default: handler, __resetTokenCacheForTests } = await loadHandler();
+    __resetTokenCacheForTests();
+
+    const res = createRes();
+    await handler(createReq('/api/apple-music/playlist?storefront=GB&id=pl.crate01'), res);
+    await handler(createReq('/api/apple-music/tracks?storefront=gb&id=pl.crate01&offset=100'), createRes());
+
+    expect(res.statusCode).toBe(200);
+    expect(fetchMock.mock.calls[0][0]).toBe('https://api.music.apple.com/v1/catalog/gb/playlists/pl.crate01');
+    const tracksUrl = new URL(fetchMock.mock.calls[1][0]);
+    expect(tracksUrl.pathname).toBe('/v1/catalog/gb/playlists/pl.crate01/tracks');
+    expect(tracksUrl.searchParams.get('offset')).toBe('100');
+
+    const [firstAuth, secondAuth] = fetchMock.mock.calls.map(([, init]) => init.headers.Authorization);
+    expect(firstAuth).toBe(secondAuth);
+    const token = decodeJwt(firstAuth.replace(/^Bearer /, ''));
+    expect(token.header).toEqual({ alg: 'ES256', kid: 'KEY1234567' });
+    expect(token.payload.iss).toBe('TEAM123456');
+    expect(token.payload.exp).toBeGreaterThan(token.payload.iat);
+    expect(token.verified).toBe(true);
+  });
+
+  it('rejects library playlists, bad storefronts, and unknown resources without calling upstream', async () => {
+    const fetchMock = vi.fn();
+    global.fetch = fetchMock;
+    const { default: handler } = await loadHandler();
+
+    const library = createRes();
+    await handler(createReq('/api/apple-music/playlist?storefront=us&id=p.XyZ123'), library);
+    expect(library.statusCode).toBe(400);
+
+    const storefront = createRes();
+    await handler(createReq('/api/apple-music/playlist?storefront=usa&id=pl.abc'), storefront);
+    expect(storefront.statusCode).toBe(400);
+
+    const unknown = createRes();
+    await handler(createReq('/api/apple-music/songs?storefront=us&id=pl.abc'), unknown);
+    expect(unknown.statusCode).toBe(404);
+
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  it('returns 500 when MusicKit credentials are missing', async () => {
+    delete process.env.APPLE_MUSIC_PRIVATE_KEY;
+    global.fetch = vi.fn();
+    const { default: handler } = await loadHandler();
+
+    const res = createRes();
+    await handler(createReq('/api/apple-music/playlist?storefront=us&id=pl.abc'), res);
+
+    expect(res.statusCode).toBe(500);
+    expect(res.json()).toMatchObject({ error: 'missing_credentials' });
+  });
+
+  it('reports rejected developer tokens as 502 and passes other statuses through', async () => {
+    global.fetch = vi
+      .fn()
+      .mockResolvedValueOnce(jsonResponse({ errors: [{ status: '401' }] }, 401))
+      .mockResolvedValueOnce(jsonResponse({ errors: [{ status: '404' }] }, 404))
+      .mockResolvedValueOnce(jsonResponse({ errors: [{ status: '429' }] }, 429));
+    const { default: handler } = await loadHandler();
+
+    const rejected = createRes();
+    await handler(createReq('/api/apple-music/playlist?storefront=us&id=pl.abc'), rejected);
+    expect(rejected.statusCode).toBe(502);
+    expect(rejected.json()).toMatchObject({ error: 'developer_token_rejected' });
+
+    const missing = createRes();
+    await handler(createReq('/api/apple-music/playlist?storefront=us&id=pl.abc'), missing);
+    expect(missing.statusCode).toBe(404);
+
+    const limited = createRes();
+    await handler(createReq('/api/apple-music/playlist?storefront=us&id=pl.abc'), limited);
+    expect(limited.statusCode).toBe(429);
+  });
+});
@@ -18,6 +18,8 @@ let notesUpdatePayload;
 let notesUpdateQueries;
 let notesDeleteResponse;
 let notesDeleteQueries;
+let idempotencyRows;
+let idempotencyInsertMock;
 
 vi.mock('../../_lib/supabase.js', () => ({
   getAdminClient: () => adminClient,
@@ -70,6 +72,10 @@ function createAdminClient() {
       eq: vi.fn(() => query),
       select: vi.fn(() => ({
         single: vi.fn(() => Promise.resolve(notesUpdateResponse)),
+        maybeSingle: vi.fn(() => Promise.resolve(notesUpdateResponse)),
+        then(onFulfilled, onRejected) {
+          return Promise.resolve(notesUpdateResponse).then(onFulfilled, onRejected);
+        },
       })),
     };
     notesUpdateQueries.push(query);
@@ -88,8 +94,42 @@ function createAdminClient() {
     return query;
   };
 
+  idempotencyInsertMock = vi.fn((row) => {
+    idempotencyRows.set(`${row.anon_id}:${row.key}`, row);
+    return Promise.resolve({ error: null });
+  });
+  const idempotencyTable = {
+    select: vi.fn(() => {
+      const filters = {};
+      const query = {
+        eq: vi.fn((column, value) => {
+          filters[column] = value;
+          return query;
+        }),
+        maybeSingle: vi.fn(() =>
+          Promise.resolve({
+            data: idempotencyRows.get(`${filters.anon_id}:${filters.key}`) ?? null,
+            error: null,
+          }),
+        ),
+      };
+      return query;
+    }),
+    insert: idempotencyInsertMock,
+    delete: vi.fn(() => {
+      const query = {
+        eq: vi.fn(() => query),
+        lt: vi.fn(() => Promise.resolve({ error: null })),
+      };
+      return query;
+    }),
+  };
+
   return {
     from: vi.fn((table) => {
+      if (table === 'idempotency_keys') {
+        return idempotencyTable;
+      }
       if (table === 'notes') {
         return {
           select: vi.fn(() => createSelectQuery()),
@@ -171,6 +211,7 @@ beforeEach(async () => {
   notesUpdateQueries = [];
   notesDeleteResponse = { error: null };
   notesDeleteQueries = [];
+  idempotencyRows = new Map();
   getAnonContextMock.mockReset();
   touchLastActiveMock.mockReset();
   withCorsMock.mockClear();
@@ -606,4 +647,273 @@ describe('api/db/notes handler', () => {
     expect(res.status).toHaveBeenCalledWith(400);
     expect(res.body).toEqual({ error: 'Missing noteId parameter' });
   });
+
+  describe('revisions', () => {
+    const serverRow = {
+      id: 'note-1',
+      track_id: 'track-9',
+      body: 'edited elsewhere',
+      tags: [],
+      timestamp_ms: null,
+      created_at: '2024-01-01T00:00:00Z',
+      updated_at: '2024-01-03T00:00:00Z',
+      revision: 3,
+    };
+
+    it('updates a note when baseRevision matches and bumps the revision', async () => {
+      getAnonContextMock.mockResolvedValueOnce({ anonId: 'anon-1' });
+      notesUpdateResponse = {
+        data: { ...serverRow, body: 'my edit', revision: 3 },
+        error: null,
+      };
+
+      const req = createMockReq({
+        method: 'PATCH',
+        headers: { 'x-device-id': 'device-1' },
+        body: { noteId: 'note-1', body: ' my edit ', baseRevision: 2 },
+      });
+      const res = createMockRes();
+
+      await handler(req, res);
+
+      expect(notesUpdatePayload).toMatchObject({ body: 'my edit', revision: 3 });
+      const [query] = notesUpdateQueries;
+      expect(query.eq).toHaveBeenCalledWith('id', 'note-1');
+      expect(query.eq).toHaveBeenCalledWith('anon_id', 'anon-1');
+      expect(query.eq).toHaveBeenCalledWith('revision', 2);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.body.note).toMatchObject({ id: 'note-1', body: 'my edit', revision: 3 });
+    });
+
+    it('returns 409 with the current note when the revision moved on', async () => {
+      getAnonContextMock.mockResolvedValueOnce({ anonId: 'anon-1' });
+      notesUpdateResponse = { data: null, error: null };
+      notesSelectQueue.push({ data: serverRow, error: null });
+
+      const req = createMockReq({
+        method: 'PATCH',
+        headers: { 'x-device-id': 'device-1' },
+        body: { noteId: 'note-1', body: 'my edit', baseRevision: 2 },
+      });
+      const res = createMockRes();
+
+      await handler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.body).toEqual({
+        error: 'Note was changed on another device',
+        code: 'NOTE_CONFLICT',
+        conflict: {
+          noteId: 'note-1',
+          baseRevision: 2,
+          current: {
+            id: 'note-1',
+            trackId: 'track-9',
+            body: 'edited elsewhere',
+            tags: [],
+            timestampMs: null,
+            createdAt: '2024-01-01T00:00:00Z',
+            updatedAt: '2024-01-03T00:00:00Z',
+            revision: 3,
+          },
+        },
+      });
+    });
+
+    it('returns 404 when the note no longer exists', async () => {
+      getAnonContextMock.mockResolvedValueOnce({ anonId: 'anon-1' });
+      notesUpdateResponse = { data: null, error: null };
+      notesSelectQueue.push({ data: null, error: null });
+
+      const req = createMockReq({
+        method: 'PATCH',
+        headers: { 'x-device-id': 'device-1' },
+        body: { noteId: 'note-1', body: 'my edit', baseRevision: 1 },
+      });
+      const res = createMockRes();
+
+      await handler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('requires a baseRevision precondition', async () => {
+      getAnonContextMock.mockResolvedValueOnce({ anonId: 'anon-1' });
+
+      const req = createMockReq({
+        method: 'PATCH',
+        headers: { 'x-device-id': 'device-1' },
+        body: { noteId: 'note-1', body: 'my edit' },
+      });
+      const res = createMockRes();
+
+      await handler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(428);
+      expect(notesUpdateQueries).toHaveLength(0);
+    });
+
+    it('moves every row of one track to another id on a relink PATCH', async () => {
+      getAnonContextMock.mockResolvedValueOnce({ anonId: 'anon-1' });
+      notesUpdateResponse = { data: [{ id: 'note-1' }, { id: 'note-2' }], error: null };
+
+      const req = createMockReq({
+        method: 'PATCH',
+        headers: { 'x-device-id': 'device-1' },
+        body: { fromTrackId: 'yt-abc', trackId: 'spotify-123' },
+      });
+      const res = createMockRes();
+
+      await handler(req, res);
+
+      expect(notesUpdatePayload).toMatchObject({ track_id: 'spotify-123' });
+      const [query] = notesUpdateQueries;
+      expect(query.eq).toHaveBeenCalledWith('anon_id', 'anon-1');
+      expect(query.eq).toHaveBeenCalledWith('track_id', 'yt-abc');
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.body).toEqual({ moved: 2 });
+    });
+
+    it('rejects a relink onto the same track id', async () => {
+      getAnonContextMock.mockResolvedValueOnce({ anonId: 'anon-1' });
+
+      const req = createMockReq({
+        method: 'PATCH',
+        headers: { 'x-device-id': 'device-1' },
+        body: { fromTrackId: 'yt-abc', trackId: 'yt-abc' },
+      });
+      const res = createMockRes();
+
+      await handler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(notesUpdateQueries).toHaveLength(0);
+    });
+
+    it('treats a retried insert with the same client id and content as a no-op', async () => {
+      getAnonContextMock.mockResolvedValueOnce({ anonId: 'anon-1' });
+      notesInsertResponse = { data: null, error: { code: '23505', message: 'duplicate key' } };
+      notesSelectQueue.push({
+        data: { ...serverRow, body: 'offline note', revision: 1 },
+        error: null,
+      });
+
+      const req = createMockReq({
+        method: 'POST',
+        headers: { 'x-device-id': 'device-1' },
+        body: { trackId: 'track-9', body: 'offline note', noteId: 'note-1' },
+      });
+      const res = createMockRes();
+
+      await handler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.body.note).toMatchObject({ id: 'note-1', body: 'offline note', revision: 1 });
+    });
+
+    it('returns 409 when a retried insert collides with an edited note', async () => {
+      getAnonContextMock.mockResolvedValueOnce({ anonId: 'anon-1' });
+      notesInsertResponse = { data: null, error: { code: '23505', message: 'duplicate key' } };
+      notesSelectQueue.push({ data: serverRow, error: null });
+
+      const req = createMockReq({
+        method: 'POST',
+        headers: { 'x-device-id': 'device-1' },
+        body: { trackId: 'track-9', body: 'offline note', noteId: 'note-1' },
+      });
+      const res = createMockRes();
+
+      await handler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.body.conflict).toMatchObject({ noteId: 'note-1', current: { revision: 3 } });
+    });
+  });
+
+  describe('idempotency keys', () => {
+    const editRequest = (overrides = {}) =>
+      createMockReq({
+        method: 'PATCH',
+        headers: { 'x-device-id': 'device-1', 'idempotency-key': 'edit-1' },
+        body: { noteId: 'note-1', body: 'my edit', baseRevision: 2 },
+        ...overrides,
+      });
+
+    beforeEach(() => {
+      getAnonContextMock.mockResolvedValue({ anonId: 'anon-1' });
+      notesUpdateResponse = {
+        data: {
+          id: 'note-1',
+          track_id: 'track-9',
+          body: 'my edit',
+          tags: [],
+          timestamp_ms: null,
+          created_at: '2024-01-01T00:00:00Z',
+          updated_at: '2024-01-03T00:00:00Z',
+          revision: 3,
+        },
+        error: null,
+      };
+    });
+
+    it('replays the stored response for a retried edit instead of reporting a conflict', async () => {
+      const first = createMockRes();
+      await handler(editRequest(), first);
+      expect(first.status).toHaveBeenCalledWith(200);
+      expect(idempotencyInsertMock).toHaveBeenCalledWith(
+        expect.objectContaining({ anon_id: 'anon-1', key: 'edit-1', status: 200 }),
+      );
+
+      // The first response was lost; by now the stored revision no longer matches
+      notesUpdateResponse = { data: null, error: null };
+      const retry = createMockRes();
+      await handler(editRequest(), retry);
+
+      expect(notesUpdateQueries).toHaveLength(1);
+      expect(retry.status).toHaveBeenCalledWith(200);
+      expect(retry.headers['Idempotent-Replayed']).toBe('true');
+      expect(retry.body).toEqual(first.body);
+    });
+
+    it('rejects a key reused for a different request', async () => {
+      await handler(editRequest(), createMockRes());
+
+      const res = createMockRes();
+      await handler(
+        editRequest({ body: { noteId: 'note-1', body: 'something else', baseRevision: 3 } }),
+        res,
+      );
+
+      expect(res.status).toHaveBeenCalledWith(422);
+      expect(notesUpdateQueries).toHaveLength(1);
+    });
+
+    it('does not store failed responses, so the retry runs again', async () => {
+      notesUpdateResponse = { data: null, error: null };
+      notesSelectQueue.push({ data: null, error: null });
+      const res = createMockRes();
+      await handler(editRequest(), res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(idempotencyInsertMock).not.toHaveBeenCalled();
+    });
+
+    it('deduplicates a retried tags-only update', async () => {
+      notesSelectResponse = { data: [{ id: 'note-1', tags: ['old'] }], error: null };
+      const tagsRequest = () =>
+        createMockReq({
+          method: 'POST',
+          headers: { 'x-device-id': 'device-1', 'idempotency-key': 'tags-1' },
+          body: { trackId: 'track-9', tags: ['chill'] },
+        });
+
+      await handler(tagsRequest(), createMockRes());
+      const writes = notesUpdateQueries.length + notesInsertMock.mock.calls.length;
+      const retry = createMockRes();
+      await handler(tagsRequest(), retry);
+
+      expect(notesUpdateQueries.length + notesInsertMock.mock.calls.length).toBe(writes);
+      expect(retry.headers['Idempotent-Replayed']).toBe('true');
+    });
+  });
 });
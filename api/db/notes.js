@@ -6,8 +6,23 @@ import {
   hasSupabaseConfig,
   getDeviceIdFromRequest,
 } from '../_lib/supabase.js';
-
-// Conflict policy: server state is treated as canonical (union/merge planned in Phase 2).
+import {
+  createBufferedResponse,
+  findStoredResponse,
+  fingerprintRequest,
+  readIdempotencyKey,
+  storeResponse,
+} from '../_lib/idempotency.js';
+
+// Conflict policy: every note row carries a `revision`. Edits go through PATCH with the
+// revision the client last saw (`baseRevision`); if another device got there first the
+// update matches no row and we answer 409 with the current server copy so the client
+// can merge or ask the user. See supabase/sql/phase2_note_revisions.sql.
+// Writes that carry an `Idempotency-Key` are answered from the stored response when the
+// client replays them, so a retry after a lost response never reads as a conflict.
+
+const NOTE_COLUMNS =
+  'id, track_id, body, tags, timestamp_ms, created_at, updated_at, revision';
 
 // NOTE: These constants are duplicated from src/features/tags/validation.js
 // Serverless functions cannot import from src/ directory (separate deployment).
@@ -99,11 +114,37 @@ function normalizeTimestampPayload(value) {
   throw new Error('timestampMs must be numeric');
 }
 
+function serializeNote(row) {
+  return {
+    id: row.id,
+    trackId: row.track_id,
+    body: row.body,
+    tags: Array.isArray(row.tags) ? [...row.tags].sort() : [],
+    timestampMs:
+      typeof row.timestamp_ms === 'number' ? row.timestamp_ms : null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    ...(typeof row.revision === 'number' ? { revision: row.revision } : {}),
+  };
+}
+
+function noteConflictResponse(res, noteId, baseRevision, row) {
+  return res.status(409).json({
+    error: 'Note was changed on another device',
+    code: 'NOTE_CONFLICT',
+    conflict: {
+      noteId,
+      baseRevision: baseRevision ?? null,
+      current: serializeNote(row),
+    },
+  });
+}
+
 export default async function handler(req, res) {
   withCors(res);
 
   if (req.method === 'OPTIONS') {
-    res.setHeader('Access-Control-Allow-Methods', 'GET,POST,DELETE,OPTIONS');
+    res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PATCH,DELETE,OPTIONS');
     return res.status(204).end();
   }
 
@@ -126,305 +167,453 @@ export default async function handler(req, res) {
 
     res.setHeader('x-device-id', deviceId);
 
-    if (req.method === 'GET') {
-      const trackId = getTrackIdFromRequest(req);
-
-      let query = supabaseAdmin
-        .from('notes')
-        .select('id, track_id, body, tags, timestamp_ms, created_at, updated_at')
-        .eq('anon_id', anonContext.anonId)
-        .order('created_at', { ascending: true });
-
-      if (trackId) {
-        query = query.eq('track_id', trackId);
-      }
+    const idempotencyKey = req.method === 'GET' ? null : readIdempotencyKey(req);
+    if (!idempotencyKey) {
+      return await handleNotesRequest(req, res, anonContext, deviceId);
+    }
 
-      const { data, error } = await query;
-      if (error) {
-        console.error('[notes:get] supabase error', error);
+    const requestHash = fingerprintRequest(req);
+    const stored = await findStoredResponse(supabaseAdmin, anonContext.anonId, idempotencyKey);
+    if (stored) {
+      if (stored.requestHash !== requestHash) {
         return res
-          .status(500)
-          .json({ error: 'Failed to load notes', details: error.message });
+          .status(422)
+          .json({ error: 'Idempotency-Key was already used for a different request' });
       }
+      res.setHeader('Idempotent-Replayed', 'true');
+      return res.status(stored.status).json(stored.body);
+    }
 
-      await touchLastActive(supabaseAdmin, anonContext.anonId, deviceId);
-
-        return res.status(200).json({
-        notes:
-          data?.map((row) => ({
-            id: row.id,
-            trackId: row.track_id,
-            body: row.body,
-            tags: Array.isArray(row.tags) ? [...row.tags].sort() : [],
-            timestampMs:
-              typeof row.timestamp_ms === 'number' ? row.timestamp_ms : null,
-            createdAt: row.created_at,
-            updatedAt: row.updated_at,
-          })) ?? [],
-      });
+    // Run against a buffer so a successful response is kept before the client sees it
+    const buffered = createBufferedResponse();
+    await handleNotesRequest(req, buffered, anonContext, deviceId);
+    if (buffered.statusCode >= 200 && buffered.statusCode < 300) {
+      await storeResponse(
+        supabaseAdmin,
+        anonContext.anonId,
+        idempotencyKey,
+        requestHash,
+        buffered.statusCode,
+        buffered.body,
+      );
     }
+    Object.entries(buffered.headers).forEach(([name, value]) => res.setHeader(name, value));
+    return res.status(buffered.statusCode).json(buffered.body);
+  } catch (err) {
+    console.error('[notes handler] unexpected error', err);
+    return res.status(500).json({ error: 'Unexpected server error' });
+  }
+}
 
-    if (req.method === 'POST') {
-      const parsed = parseBody(req.body);
-      if (parsed === null) {
-        return res.status(400).json({ error: 'Invalid JSON payload' });
-      }
+async function handleNotesRequest(req, res, anonContext, deviceId) {
+  if (req.method === 'GET') {
+    const trackId = getTrackIdFromRequest(req);
 
-      const trackId =
-        typeof parsed?.track_id === 'string'
-          ? parsed.track_id
-          : typeof parsed?.trackId === 'string'
-            ? parsed.trackId
-            : '';
-      const timestampProvided =
-        parsed != null &&
-        (Object.prototype.hasOwnProperty.call(parsed, 'timestampMs') ||
-          Object.prototype.hasOwnProperty.call(parsed, 'timestamp_ms'));
-      let normalizedTimestamp;
-      if (timestampProvided) {
-        try {
-          normalizedTimestamp = normalizeTimestampPayload(
-            parsed?.timestampMs ?? parsed?.timestamp_ms ?? null,
-          );
-        } catch (err) {
-          return res.status(400).json({
-            error:
-              err instanceof Error
-                ? err.message
-                : 'Invalid timestampMs value',
-          });
-        }
-      }
-      const hasBodyField = typeof parsed?.body === 'string';
-      const noteBody = hasBodyField ? parsed.body.trim() : '';
-      const tagsProvided = Array.isArray(parsed?.tags);
-      let normalizedTags = null;
-      if (tagsProvided) {
-        try {
-          normalizedTags = normalizeTagsInput(parsed.tags);
-        } catch (err) {
-          return res.status(400).json({ error: err.message || 'Invalid tags' });
-        }
-      }
+    let query = supabaseAdmin
+      .from('notes')
+      .select(NOTE_COLUMNS)
+      .eq('anon_id', anonContext.anonId)
+      .order('created_at', { ascending: true });
 
-      if (!trackId) {
-        return res
-          .status(400)
-          .json({ error: 'Missing trackId/track_id' });
-      }
+    if (trackId) {
+      query = query.eq('track_id', trackId);
+    }
 
-      const nowIso = new Date().toISOString();
+    const { data, error } = await query;
+    if (error) {
+      console.error('[notes:get] supabase error', error);
+      return res
+        .status(500)
+        .json({ error: 'Failed to load notes', details: error.message });
+    }
 
-      if (!noteBody && !tagsProvided) {
-        return res
-          .status(400)
-          .json({ error: 'Missing note body or tags payload' });
-      }
+    await touchLastActive(supabaseAdmin, anonContext.anonId, deviceId);
 
-      // Phase 1: append-only notes. If a non-empty body is provided, always
-      // create a new note row instead of overwriting any existing note.
-      if (noteBody) {
-        // Accept client-provided noteId for offline-first sync
-        const clientNoteId =
-          typeof parsed?.noteId === 'string' && parsed.noteId.trim()
-            ? parsed.noteId.trim()
-            : typeof parsed?.id === 'string' && parsed.id.trim()
-              ? parsed.id.trim()
-              : undefined;
-
-        const insertPayload = {
-          anon_id: anonContext.anonId,
-          device_id: deviceId,
-          track_id: trackId,
-          body: noteBody,
-          tags: normalizedTags ?? [],
-          last_active: nowIso,
-        };
-        if (clientNoteId) {
-          insertPayload.id = clientNoteId;
-        }
-        if (timestampProvided) {
-          insertPayload.timestamp_ms =
-            normalizedTimestamp == null ? null : normalizedTimestamp;
-        }
+    return res.status(200).json({
+      notes: data?.map(serializeNote) ?? [],
+    });
+  }
 
-        const { data, error } = await supabaseAdmin
-          .from('notes')
-          .insert(insertPayload)
-          .select(
-            'id, track_id, body, tags, timestamp_ms, created_at, updated_at',
-          )
-          .single();
-
-        if (error) {
-          console.error('[notes:post] supabase insert error', error);
-          return res.status(500).json({
-            error: 'Failed to create note',
-            details: error.message,
-          });
-        }
+  if (req.method === 'POST') {
+    const parsed = parseBody(req.body);
+    if (parsed === null) {
+      return res.status(400).json({ error: 'Invalid JSON payload' });
+    }
 
-        await touchLastActive(supabaseAdmin, anonContext.anonId, deviceId);
-
-        return res.status(201).json({
-          note: {
-            id: data.id,
-            trackId: data.track_id,
-            body: data.body,
-            tags: Array.isArray(data.tags) ? data.tags : [],
-            timestampMs:
-              typeof data.timestamp_ms === 'number' ? data.timestamp_ms : null,
-            createdAt: data.created_at,
-            updatedAt: data.updated_at,
-          },
+    const trackId =
+      typeof parsed?.track_id === 'string'
+        ? parsed.track_id
+        : typeof parsed?.trackId === 'string'
+          ? parsed.trackId
+          : '';
+    const timestampProvided =
+      parsed != null &&
+      (Object.prototype.hasOwnProperty.call(parsed, 'timestampMs') ||
+        Object.prototype.hasOwnProperty.call(parsed, 'timestamp_ms'));
+    let normalizedTimestamp;
+    if (timestampProvided) {
+      try {
+        normalizedTimestamp = normalizeTimestampPayload(
+          parsed?.timestampMs ?? parsed?.timestamp_ms ?? null,
+        );
+      } catch (err) {
+        return res.status(400).json({
+          error:
+            err instanceof Error
+              ? err.message
+              : 'Invalid timestampMs value',
         });
       }
+    }
+    const hasBodyField = typeof parsed?.body === 'string';
+    const noteBody = hasBodyField ? parsed.body.trim() : '';
+    const tagsProvided = Array.isArray(parsed?.tags);
+    let normalizedTags = null;
+    if (tagsProvided) {
+      try {
+        normalizedTags = normalizeTagsInput(parsed.tags);
+      } catch (err) {
+        return res.status(400).json({ error: err.message || 'Invalid tags' });
+      }
+    }
 
-      // Tags-only path (no note body). We still keep a single representative
-      // row per (anonId, deviceId, trackId) for tags, creating it if needed.
-      const {
-        data: existingRow,
-        error: existingError,
-      } = await supabaseAdmin
-        .from('notes')
-        .select('id, body, tags')
-        .eq('anon_id', anonContext.anonId)
-        .eq('device_id', deviceId)
-        .eq('track_id', trackId)
-        .maybeSingle();
+    if (!trackId) {
+      return res
+        .status(400)
+        .json({ error: 'Missing trackId/track_id' });
+    }
 
-      // PGRST116 means multiple rows exist (append-only model allows this)
-      // In this case, create a new empty-body row for tags
-      const multipleRowsExist = existingError?.code === 'PGRST116';
+    const nowIso = new Date().toISOString();
 
-      if (existingError && !multipleRowsExist) {
-        console.error('[notes:post] lookup error', existingError);
-        return res.status(500).json({
-          error: 'Failed to look up existing note',
-          details: existingError.message,
-        });
+    if (!noteBody && !tagsProvided) {
+      return res
+        .status(400)
+        .json({ error: 'Missing note body or tags payload' });
+    }
+
+    // Phase 1: append-only notes. If a non-empty body is provided, always
+    // create a new note row instead of overwriting any existing note.
+    if (noteBody) {
+      // Accept client-provided noteId for offline-first sync
+      const clientNoteId =
+        typeof parsed?.noteId === 'string' && parsed.noteId.trim()
+          ? parsed.noteId.trim()
+          : typeof parsed?.id === 'string' && parsed.id.trim()
+            ? parsed.id.trim()
+            : undefined;
+
+      const insertPayload = {
+        anon_id: anonContext.anonId,
+        device_id: deviceId,
+        track_id: trackId,
+        body: noteBody,
+        tags: normalizedTags ?? [],
+        last_active: nowIso,
+      };
+      if (clientNoteId) {
+        insertPayload.id = clientNoteId;
+      }
+      if (timestampProvided) {
+        insertPayload.timestamp_ms =
+          normalizedTimestamp == null ? null : normalizedTimestamp;
       }
 
-      if (!existingRow || multipleRowsExist) {
-        const insertPayload = {
-          anon_id: anonContext.anonId,
-          device_id: deviceId,
-          track_id: trackId,
-          body: '',
-          tags: normalizedTags ?? [],
-          last_active: nowIso,
-        };
-        if (timestampProvided) {
-          insertPayload.timestamp_ms =
-            normalizedTimestamp == null ? null : normalizedTimestamp;
-        }
+      const { data, error } = await supabaseAdmin
+        .from('notes')
+        .insert(insertPayload)
+        .select(NOTE_COLUMNS)
+        .single();
 
-        const { data, error } = await supabaseAdmin
+      // A retried offline save reuses its client id. Same content is a no-op;
+      // different content means another device edited it in the meantime.
+      if (error?.code === '23505' && clientNoteId) {
+        const { data: existing, error: lookupError } = await supabaseAdmin
           .from('notes')
-          .insert(insertPayload)
-          .select(
-            'id, track_id, body, tags, timestamp_ms, created_at, updated_at',
-          )
-          .single();
-
-        if (error) {
-          console.error('[notes:post] supabase insert error', error);
-          return res.status(500).json({
-            error: 'Failed to create note',
-            details: error.message,
-          });
+          .select(NOTE_COLUMNS)
+          .eq('id', clientNoteId)
+          .eq('anon_id', anonContext.anonId)
+          .maybeSingle();
+        if (!lookupError && existing) {
+          const sameTimestamp =
+            !timestampProvided ||
+            (existing.timestamp_ms ?? null) === (normalizedTimestamp ?? null);
+          if (existing.body === noteBody && sameTimestamp) {
+            return res.status(200).json({ note: serializeNote(existing) });
+          }
+          return noteConflictResponse(res, clientNoteId, null, existing);
         }
+      }
 
-        await touchLastActive(supabaseAdmin, anonContext.anonId, deviceId);
-
-        return res.status(201).json({
-          note: {
-            id: data.id,
-            trackId: data.track_id,
-            body: data.body,
-            tags: Array.isArray(data.tags) ? data.tags : [],
-            timestampMs:
-              typeof data.timestamp_ms === 'number' ? data.timestamp_ms : null,
-            createdAt: data.created_at,
-            updatedAt: data.updated_at,
-          },
+      if (error) {
+        console.error('[notes:post] supabase insert error', error);
+        return res.status(500).json({
+          error: 'Failed to create note',
+          details: error.message,
         });
       }
 
-      const updatePayload = {
-        last_active: nowIso,
+      await touchLastActive(supabaseAdmin, anonContext.anonId, deviceId);
+
+      return res.status(201).json({ note: serializeNote(data) });
+    }
+
+    // Tags-only path (no note body). We still keep a single representative
+    // row per (anonId, deviceId, trackId) for tags, creating it if needed.
+    const {
+      data: existingRow,
+      error: existingError,
+    } = await supabaseAdmin
+      .from('notes')
+      .select('id, body, tags')
+      .eq('anon_id', anonContext.anonId)
+      .eq('device_id', deviceId)
+      .eq('track_id', trackId)
+      .maybeSingle();
+
+    // PGRST116 means multiple rows exist (append-only model allows this)
+    // In this case, create a new empty-body row for tags
+    const multipleRowsExist = existingError?.code === 'PGRST116';
+
+    if (existingError && !multipleRowsExist) {
+      console.error('[notes:post] lookup error', existingError);
+      return res.status(500).json({
+        error: 'Failed to look up existing note',
+        details: existingError.message,
+      });
+    }
+
+    if (!existingRow || multipleRowsExist) {
+      const insertPayload = {
+        anon_id: anonContext.anonId,
+        device_id: deviceId,
+        track_id: trackId,
+        body: '',
         tags: normalizedTags ?? [],
+        last_active: nowIso,
       };
       if (timestampProvided) {
-        updatePayload.timestamp_ms =
+        insertPayload.timestamp_ms =
           normalizedTimestamp == null ? null : normalizedTimestamp;
       }
 
       const { data, error } = await supabaseAdmin
         .from('notes')
-        .update(updatePayload)
-        .eq('id', existingRow.id)
-        .select(
-          'id, track_id, body, tags, timestamp_ms, created_at, updated_at',
-        )
+        .insert(insertPayload)
+        .select(NOTE_COLUMNS)
         .single();
 
       if (error) {
-        console.error('[notes:post] supabase update error', error);
+        console.error('[notes:post] supabase insert error', error);
         return res.status(500).json({
-          error: 'Failed to update note',
+          error: 'Failed to create note',
           details: error.message,
         });
       }
 
       await touchLastActive(supabaseAdmin, anonContext.anonId, deviceId);
 
-      return res.status(200).json({
-        note: {
-          id: data.id,
-          trackId: data.track_id,
-          body: data.body,
-          tags: Array.isArray(data.tags) ? [...data.tags].sort() : [],
-          timestampMs:
-            typeof data.timestamp_ms === 'number' ? data.timestamp_ms : null,
-          createdAt: data.created_at,
-          updatedAt: data.updated_at,
-        },
+      return res.status(201).json({ note: serializeNote(data) });
+    }
+
+    const updatePayload = {
+      last_active: nowIso,
+      tags: normalizedTags ?? [],
+    };
+    if (timestampProvided) {
+      updatePayload.timestamp_ms =
+        normalizedTimestamp == null ? null : normalizedTimestamp;
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('notes')
+      .update(updatePayload)
+      .eq('id', existingRow.id)
+      .select(NOTE_COLUMNS)
+      .single();
+
+    if (error) {
+      console.error('[notes:post] supabase update error', error);
+      return res.status(500).json({
+        error: 'Failed to update note',
+        details: error.message,
       });
     }
 
-    if (req.method === 'DELETE') {
-      // Extract noteId from query parameter (not trackId)
-      const noteId = typeof req.query?.noteId === 'string' ? req.query.noteId : null;
+    await touchLastActive(supabaseAdmin, anonContext.anonId, deviceId);
+
+    return res.status(200).json({ note: serializeNote(data) });
+  }
+
+  if (req.method === 'PATCH') {
+    const parsed = parseBody(req.body);
+    if (parsed === null) {
+      return res.status(400).json({ error: 'Invalid JSON payload' });
+    }
 
-      if (!noteId) {
-        return res.status(400).json({ error: 'Missing noteId parameter' });
+    // Re-file every note and tag row of one track under another id, used when
+    // the client links the same song across providers. Replays match nothing.
+    if (typeof parsed?.fromTrackId === 'string') {
+      const fromTrackId = parsed.fromTrackId.trim();
+      const toTrackId =
+        typeof parsed?.trackId === 'string' ? parsed.trackId.trim() : '';
+      if (!fromTrackId || !toTrackId) {
+        return res
+          .status(400)
+          .json({ error: 'Missing fromTrackId or trackId' });
+      }
+      if (fromTrackId === toTrackId) {
+        return res
+          .status(400)
+          .json({ error: 'fromTrackId and trackId must differ' });
       }
 
-      // Security: only delete notes belonging to this user's anonId
-      const { error } = await supabaseAdmin
+      const { data, error } = await supabaseAdmin
         .from('notes')
-        .delete()
-        .eq('id', noteId)
-        .eq('anon_id', anonContext.anonId);
+        .update({ track_id: toTrackId, last_active: new Date().toISOString() })
+        .eq('anon_id', anonContext.anonId)
+        .eq('track_id', fromTrackId)
+        .select('id');
 
       if (error) {
-        console.error('[notes:delete] supabase error', error);
+        console.error('[notes:patch] relink error', error);
         return res.status(500).json({
-          error: 'Failed to delete note',
+          error: 'Failed to move notes',
           details: error.message,
         });
       }
 
       await touchLastActive(supabaseAdmin, anonContext.anonId, deviceId);
+      return res.status(200).json({ moved: data?.length ?? 0 });
+    }
 
-      return res.status(200).json({ ok: true });
+    const noteId =
+      typeof parsed?.noteId === 'string' && parsed.noteId.trim()
+        ? parsed.noteId.trim()
+        : typeof parsed?.id === 'string' && parsed.id.trim()
+          ? parsed.id.trim()
+          : '';
+    if (!noteId) {
+      return res.status(400).json({ error: 'Missing noteId' });
     }
 
-    res.setHeader('Allow', ['GET', 'POST', 'DELETE', 'OPTIONS']);
-    return res.status(405).json({ error: 'Method not allowed' });
-  } catch (err) {
-    console.error('[notes handler] unexpected error', err);
-    return res.status(500).json({ error: 'Unexpected server error' });
+    const baseRevision = parsed?.baseRevision;
+    if (!Number.isInteger(baseRevision) || baseRevision < 1) {
+      return res
+        .status(428)
+        .json({ error: 'baseRevision is required to edit a note' });
+    }
+
+    const hasBodyField = typeof parsed?.body === 'string';
+    const noteBody = hasBodyField ? parsed.body.trim() : '';
+    if (hasBodyField && !noteBody) {
+      return res.status(400).json({ error: 'Note body cannot be empty' });
+    }
+    const timestampProvided =
+      Object.prototype.hasOwnProperty.call(parsed, 'timestampMs') ||
+      Object.prototype.hasOwnProperty.call(parsed, 'timestamp_ms');
+    let normalizedTimestamp = null;
+    if (timestampProvided) {
+      try {
+        normalizedTimestamp = normalizeTimestampPayload(
+          parsed?.timestampMs ?? parsed?.timestamp_ms ?? null,
+        );
+      } catch (err) {
+        return res.status(400).json({
+          error:
+            err instanceof Error
+              ? err.message
+              : 'Invalid timestampMs value',
+        });
+      }
+    }
+    if (!hasBodyField && !timestampProvided) {
+      return res
+        .status(400)
+        .json({ error: 'Missing note body or timestampMs' });
+    }
+
+    const updatePayload = {
+      last_active: new Date().toISOString(),
+      revision: baseRevision + 1,
+    };
+    if (hasBodyField) {
+      updatePayload.body = noteBody;
+    }
+    if (timestampProvided) {
+      updatePayload.timestamp_ms = normalizedTimestamp;
+    }
+
+    // Compare-and-set: only the revision the client edited may be replaced.
+    const { data, error } = await supabaseAdmin
+      .from('notes')
+      .update(updatePayload)
+      .eq('id', noteId)
+      .eq('anon_id', anonContext.anonId)
+      .eq('revision', baseRevision)
+      .select(NOTE_COLUMNS)
+      .maybeSingle();
+
+    if (error) {
+      console.error('[notes:patch] supabase update error', error);
+      return res.status(500).json({
+        error: 'Failed to update note',
+        details: error.message,
+      });
+    }
+
+    if (data) {
+      await touchLastActive(supabaseAdmin, anonContext.anonId, deviceId);
+      return res.status(200).json({ note: serializeNote(data) });
+    }
+
+    const { data: current, error: lookupError } = await supabaseAdmin
+      .from('notes')
+      .select(NOTE_COLUMNS)
+      .eq('id', noteId)
+      .eq('anon_id', anonContext.anonId)
+      .maybeSingle();
+
+    if (lookupError) {
+      console.error('[notes:patch] lookup error', lookupError);
+      return res.status(500).json({
+        error: 'Failed to look up note',
+        details: lookupError.message,
+      });
+    }
+    if (!current) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+    return noteConflictResponse(res, noteId, baseRevision, current);
+  }
+
+  if (req.method === 'DELETE') {
+    // Extract noteId from query parameter (not trackId)
+    const noteId = typeof req.query?.noteId === 'string' ? req.query.noteId : null;
+
+    if (!noteId) {
+      return res.status(400).json({ error: 'Missing noteId parameter' });
+    }
+
+    // Security: only delete notes belonging to this user's anonId
+    const { error } = await supabaseAdmin
+      .from('notes')
+      .delete()
+      .eq('id', noteId)
+      .eq('anon_id', anonContext.anonId);
+
+    if (error) {
+      console.error('[notes:delete] supabase error', error);
+      return res.status(500).json({
+        error: 'Failed to delete note',
+        details: error.message,
+      });
+    }
+
+    await touchLastActive(supabaseAdmin, anonContext.anonId, deviceId);
+
+    return res.status(200).json({ ok: true });
   }
+
+  res.setHeader('Allow', ['GET', 'POST', 'PATCH', 'DELETE', 'OPTIONS']);
+  return res.status(405).json({ error: 'Method not allowed' });
 }
@@ -0,0 +1,161 @@
+// api/deezer/[resource].js
+// Vercel serverless function that proxies public Deezer playlist lookups (the Deezer API has no CORS support).
+
+/**
+ * @typedef {import('../_lib/proxyGuards.js').VercelRequest} VercelRequest
+ * @typedef {import('../_lib/proxyGuards.js').VercelResponse} VercelResponse
+ */
+
+import {
+  createRateLimiter,
+  getQueryParam,
+  getResource,
+  guardProxyRequest,
+  parsePositiveInt,
+  sendJson,
+} from '../_lib/proxyGuards.js';
+
+const DEEZER_API_BASE = 'https://api.deezer.com';
+const PAGE_SIZE = 100;
+const ID_PATTERN = /^\d{1,20}$/;
+const MAX_INDEX = 10_000;
+const isDevRuntime = process.env.NODE_ENV !== 'production';
+
+const DEFAULT_RATE_LIMIT_WINDOW_MS = 60 * 60 * 1000;
+const DEFAULT_RATE_LIMIT_MAX_REQUESTS = 600;
+
+const limiter = createRateLimiter({
+  windowMs: parsePositiveInt(
+    process.env.DEEZER_PROXY_RATE_LIMIT_WINDOW_MS,
+    DEFAULT_RATE_LIMIT_WINDOW_MS
+  ),
+  maxRequests: parsePositiveInt(
+    process.env.DEEZER_PROXY_RATE_LIMIT_MAX,
+    DEFAULT_RATE_LIMIT_MAX_REQUESTS
+  ),
+});
+
+/**
+ * Deezer answers HTTP 200 with an `error` object; map its codes onto the statuses adapters expect.
+ * https://developers.deezer.com/api/errors
+ * @type {Record<number, number>}
+ */
+const ERROR_STATUS_BY_CODE = {
+  4: 429, // Quota
+  200: 403, // OAuthException: permission
+  300: 403, // OAuthException: invalid token (private playlist)
+  800: 404, // DataException: no data
+};
+
+/**
+ * Returning null from `build` means the request was malformed.
+ * @type {Record<string, { build: (req: VercelRequest) => string | null }>}
+ */
+const RESOURCES = {
+  playlist: {
+    build(req) {
+      const id = getQueryParam(req, 'id');
+      if (!id || !ID_PATTERN.test(id)) return null;
+      return `${DEEZER_API_BASE}/playlist/${id}`;
+    },
+  },
+  tracks: {
+    build(req) {
+      const id = getQueryParam(req, 'id');
+      if (!id || !ID_PATTERN.test(id)) return null;
+      const rawIndex = getQueryParam(req, 'index') ?? '0';
+      if (!/^\d{1,6}$/.test(rawIndex)) return null;
+      const index = Number.parseInt(rawIndex, 10);
+      if (index > MAX_INDEX) return null;
+      const params = new URLSearchParams({ index: String(index), limit: String(PAGE_SIZE) });
+      return `${DEEZER_API_BASE}/playlist/${id}/tracks?${params}`;
+    },
+  },
+};
+
+/**
+ * Drop the embedded track list from playlist responses; the client pages tracks separately.
+ * @param {any} playlist
+ */
+function toPlaylistSummary(playlist) {
+  return {
+    id: playlist.id,
+    title: playlist.title ?? null,
+    public: playlist.public !== false,
+    nb_tracks: typeof playlist.nb_tracks === 'number' ? playlist.nb_tracks : null,
+    checksum: playlist.checksum ?? null,
+    link: playlist.link ?? null,
+    picture_medium: playlist.picture_medium ?? null,
+    creator: playlist.creator ? { name: playlist.creator.name ?? null } : null,
+  };
+}
+
+/**
+ * Vercel handler entry point.
+ * @param {VercelRequest} req
+ * @param {VercelResponse} res
+ */
+export default async function handler(req, res) {
+  if (!guardProxyRequest(req, res, limiter)) return;
+
+  const resource = getResource(req);
+  const config = resource && Object.prototype.hasOwnProperty.call(RESOURCES, resource)
+    ? RESOURCES[resource]
+    : null;
+  if (!config) {
+    sendJson(res, 404, { error: 'unknown_resource' });
+    return;
+  }
+
+  const upstreamUrl = config.build(req);
+  if (!upstreamUrl) {
+    sendJson(res, 400, { error: 'invalid_params' });
+    return;
+  }
+
+  let upstream;
+  try {
+    upstream = await fetch(upstreamUrl, { headers: { Accept: 'application/json' } });
+  } catch (err) {
+    if (isDevRuntime) {
+      console.debug('[deezer][proxy] upstream fetch failed', { resource, err });
+    }
+    sendJson(res, 502, { error: 'deezer_unavailable' });
+    return;
+  }
+
+  let payload = null;
+  try {
+    payload = await upstream.json();
+  } catch {
+    // noop
+  }
+
+  if (!upstream.ok) {
+    const status = upstream.status >= 500 ? 502 : upstream.status;
+    sendJson(res, status, { error: 'deezer_error', status: upstream.status });
+    return;
+  }
+
+  if (!payload || typeof payload !== 'object') {
+    sendJson(res, 502, { error: 'invalid_upstream_payload' });
+    return;
+  }
+
+  if (payload.error) {
+    const code = typeof payload.error.code === 'number' ? payload.error.code : null;
+    if (isDevRuntime) {
+      console.debug('[deezer][proxy] upstream error', { resource, code, type: payload.error.type });
+    }
+    const status = (code != null && ERROR_STATUS_BY_CODE[code]) || 502;
+    sendJson(res, status, { error: 'deezer_error', code });
+    return;
+  }
+
+  const body = resource === 'playlist' ? toPlaylistSummary(payload) : payload;
+  sendJson(res, 200, body, { cacheControl: 'private, max-age=60' });
+}
+
+export function __resetRateLimitStateForTests() {
+  limiter.reset();
+}
@@ -0,0 +1,173 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+/**
+ * @typedef {import('../../_lib/proxyGuards.js').VercelRequest} VercelRequest
+ * @typedef {import('../../_lib/proxyGuards.js').VercelResponse} VercelResponse
+ * @typedef {VercelResponse & { ended: boolean, json(): any }} TestResponse
+ */
+
+const ORIGINAL_FETCH = global.fetch;
+const ORIGINAL_ENV = { ...process.env };
+
+/**
+ * @param {string} path
+ * @param {object} [options]
+ * @returns {VercelRequest}
+ */
+function createReq(path, options = {}) {
+  const headers = {
+    origin: options.origin ?? 'http://localhost:5173',
+    'x-forwarded-for': options.ip ?? '127.0.0.1',
+  };
+  return /** @type {VercelRequest} */ (
+    /** @type {unknown} */ ({
+      method: options.method ?? 'GET',
+      url: path,
+      headers,
+      socket: { remoteAddress: options.ip ?? '127.0.0.1' },
+    })
+  );
+}
+
+/** @returns {TestResponse} */
+function createRes() {
+  let body = '';
+  const headers = new Map();
+  const response = {
+    statusCode: 0,
+    ended: false,
+    setHeader(name, value) {
+      headers.set(name.toLowerCase(), value);
+    },
+    getHeader(name) {
+      return headers.get(name.toLowerCase());
+    },
+    end(chunk = '') {
+      response.ended = true;
+      body += chunk;
+    },
+    json() {
+      return body ? JSON.parse(body) : null;
+    },
+  };
+  return /** @type {TestResponse} */ (/** @type {unknown} */ (response));
+}
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+async function loadHandler() {
+  return import('../[resource].js');
+}
+
+beforeEach(() => {
+  vi.restoreAllMocks();
+  vi.resetModules();
+  vi.spyOn(console, 'debug').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  global.fetch = ORIGINAL_FETCH;
+  Object.keys(process.env).forEach((key) => {
+    if (!(key in ORIGINAL_ENV)) {
+      delete process.env[key];
+    }
+  });
+  Object.assign(process.env, ORIGINAL_ENV);
+});
+describe('api/deezer/[resource]', () => {
+  it('strips embedded tracks from playlist lookups', async () => {
+    const fetchMock = vi.fn().mockResolvedValue(
+      jsonResponse({
+        id: 908622995,
+        title: 'Crate',
+        public: true,
+        nb_tracks: 2,
+        checksum: 'abc',
+        tracks: { data: [{ id: 1 }, { id: 2 }] },
+      })
+    );
+    global.fetch = fetchMock;
+    const { default: handler } = await loadHandler();
+
+    const res = createRes();
+    await handler(createReq('/api/deezer/playlist?id=908622995'), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.json()).toMatchObject({ id: 908622995, title: 'Crate', nb_tracks: 2, checksum: 'abc' });
+    expect(res.json().tracks).toBeUndefined();
+    expect(fetchMock.mock.calls[0][0]).toBe('https://api.deezer.com/playlist/908622995');
+  });
+
+  it('pages tracks by index with a fixed page size', async () => {
+    const fetchMock = vi.fn().mockResolvedValue(jsonResponse({ data: [], total: 0 }));
+    global.fetch = fetchMock;
+    const { default: handler } = await loadHandler();
+
+    const res = createRes();
+    await handler(createReq('/api/deezer/tracks?id=908622995&index=200&limit=5'), res);
+
+    expect(res.statusCode).toBe(200);
+    const upstream = new URL(fetchMock.mock.calls[0][0]);
+    expect(upstream.pathname).toBe('/playlist/908622995/tracks');
+    expect(upstream.searchParams.get('index')).toBe('200');
+    expect(upstream.searchParams.get('limit')).toBe('100');
+  });
+
+  it('rejects unknown resources and malformed params without calling upstream', async () => {
+    const fetchMock = vi.fn();
+    global.fetch = fetchMock;
+    const { default: handler } = await loadHandler();
+
+    const unknown = createRes();
+    await handler(createReq('/api/deezer/search?q=daft'), unknown);
+    expect(unknown.statusCode).toBe(404);
+
+    const invalid = createRes();
+    await handler(createReq('/api/deezer/playlist?id=../user/me'), invalid);
+    expect(invalid.statusCode).toBe(400);
+
+    const badIndex = createRes();
+    await handler(createReq('/api/deezer/tracks?id=1&index=-5'), badIndex);
+    expect(badIndex.statusCode).toBe(400);
+
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  it('maps error bodies returned with HTTP 200 onto statuses', async () => {
+    global.fetch = vi
+      .fn()
+      .mockResolvedValueOnce(jsonResponse({ error: { type: 'DataException', message: 'no data', code: 800 } }))
+      .mockResolvedValueOnce(jsonResponse({ error: { type: 'Exception', message: 'Quota limit exceeded', code: 4 } }))
+      .mockResolvedValueOnce(jsonResponse({ error: { type: 'OAuthException', code: 200 } }))
+      .mockResolvedValueOnce(jsonResponse({ error: { type: 'Exception', code: 100 } }));
+    const { default: handler } = await loadHandler();
+
+    const statuses = [];
+    for (let i = 0; i < 4; i += 1) {
+      const res = createRes();
+      await handler(createReq('/api/deezer/playlist?id=1'), res);
+      statuses.push(res.statusCode);
+    }
+
+    expect(statuses).toEqual([404, 429, 403, 502]);
+  });
+
+  it('enforces rate limiting per IP address', async () => {
+    process.env.DEEZER_PROXY_RATE_LIMIT_MAX = '1';
+    global.fetch = vi.fn().mockImplementation(async () => jsonResponse({ data: [] }));
+    const { default: handler, __resetRateLimitStateForTests } = await loadHandler();
+    __resetRateLimitStateForTests();
+
+    const first = createRes();
+    await handler(createReq('/api/deezer/tracks?id=1', { ip: '10.0.0.1' }), first);
+    const second = createRes();
+    await handler(createReq('/api/deezer/tracks?id=1', { ip: '10.0.0.1' }), second);
+
+    expect([first.statusCode, second.statusCode]).toEqual([200, 429]);
+  });
+});
@@ -0,0 +1,182 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+/**
+ * @typedef {import('../../_lib/proxyGuards.js').VercelRequest} VercelRequest
+ * @typedef {import('../../_lib/proxyGuards.js').VercelResponse} VercelResponse
+ * @typedef {VercelResponse & { ended: boolean, json(): any }} TestResponse
+ */
+
+const ORIGINAL_FETCH = global.fetch;
+const ORIGINAL_ENV = { ...process.env };
+
+/**
+ * @param {Record<string, string>} params
+ * @param {object} [options]
+ * @returns {VercelRequest}
+ */
+function createReq(params, options = {}) {
+  return /** @type {VercelRequest} */ (
+    /** @type {unknown} */ ({
+      method: options.method ?? 'GET',
+      url: `/api/soundcloud?${new URLSearchParams(params)}`,
+      headers: {
+        origin: options.origin ?? 'http://localhost:5173',
+        'x-forwarded-for': '127.0.0.1',
+      },
+      socket: { remoteAddress: '127.0.0.1' },
+    })
+  );
+}
+
+/** @returns {TestResponse} */
+function createRes() {
+  let body = '';
+  const headers = new Map();
+  const response = {
+    statusCode: 0,
+    ended: false,
+    setHeader(name, value) {
+      headers.set(name.toLowerCase(), value);
+    },
+    getHeader(name) {
+      return headers.get(name.toLowerCase());
+    },
+    end(chunk = '') {
+      response.ended = true;
+      body += chunk;
+    },
+    json() {
+      return body ? JSON.parse(body) : null;
+    },
+  };
+  return /** @type {TestResponse} */ (/** @type {unknown} */ (response));
+}
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+const tokenResponse = () => jsonResponse({ access_token: 'sc-token', expires_in: 3600 });
+
+async function loadHandler() {
+  return import('../index.js');
+}
+
+beforeEach(() => {
+  vi.restoreAllMocks();
+  vi.resetModules();
+  process.env.SOUNDCLOUD_CLIENT_ID = 'id';
+  process.env.SOUNDCLOUD_CLIENT_SECRET = 'secret';
+  vi.spyOn(console, 'debug').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  global.fetch = ORIGINAL_FETCH;
+  Object.keys(process.env).forEach((key) => {
+    if (!(key in ORIGINAL_ENV)) {
+      delete process.env[key];
+    }
+  });
+  Object.assign(process.env, ORIGINAL_ENV);
+});
+
+describe('api/soundcloud', () => {
+  it('resolves a set URL with an app token and strips the embedded track list', async () => {
+    const fetchMock = vi
+      .fn()
+      .mockResolvedValueOnce(tokenResponse())
+      .mockResolvedValueOnce(
+        jsonResponse({ kind: 'playlist', id: 42, title: 'Crate', track_count: 2, tracks: [{ id: 1 }, { id: 2 }] })
+      );
+    global.fetch = fetchMock;
+    const { default: handler } = await loadHandler();
+
+    const res = createRes();
+    await handler(createReq({ url: 'https://soundcloud.com/user/sets/crate?si=tracking' }), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.json()).toMatchObject({ kind: 'playlist', id: 42, title: 'Crate', track_count: 2 });
+    expect(res.json()).not.toHaveProperty('tracks');
+    const [resolveUrl, resolveInit] = fetchMock.mock.calls[1];
+    expect(new URL(resolveUrl).searchParams.get('url')).toBe('https://soundcloud.com/user/sets/crate');
+    expect(resolveInit.headers.Authorization).toBe('OAuth sc-token');
+  });
+
+  it('reuses the cached token and only follows next_href on the tracks endpoint', async () => {
+    const fetchMock = vi
+      .fn()
+      .mockResolvedValueOnce(tokenResponse())
+      .mockResolvedValueOnce(jsonResponse({ collection: [{ id: 1 }], next_href: null }));
+    global.fetch = fetchMock;
+    const { default: handler } = await loadHandler();
+
+    const ok = createRes();
+    await handler(
+      createReq({ next: 'https://api.soundcloud.com/playlists/42/tracks?linked_partitioning=true&cursor=abc' }),
+      ok
+    );
+    expect(ok.statusCode).toBe(200);
+    expect(ok.json()).toEqual({ collection: [{ id: 1 }], next_href: null });
+
+    const hostile = createRes();
+    await handler(createReq({ next: 'https://api.soundcloud.com/me' }), hostile);
+    expect(hostile.statusCode).toBe(400);
+
+    const offsite = createRes();
+    await handler(createReq({ url: 'https://evil.example.com/user/sets/crate' }), offsite);
+    expect(offsite.statusCode).toBe(400);
+
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it('returns 404 when the URL resolves to something other than a set', async () => {
+    global.fetch = vi
+      .fn()
+      .mockResolvedValueOnce(tokenResponse())
+      .mockResolvedValueOnce(jsonResponse({ kind: 'track', id: 7 }));
+    const { default: handler } = await loadHandler();
+
+    const res = createRes();
+    await handler(createReq({ url: 'https://soundcloud.com/user/sets/crate' }), res);
+
+    expect(res.statusCode).toBe(404);
+    expect(res.json()).toMatchObject({ error: 'not_a_playlist', kind: 'track' });
+  });
+
+  it('refreshes the app token once on 401 and passes 403 through', async () => {
+    const fetchMock = vi
+      .fn()
+      .mockResolvedValueOnce(tokenResponse())
+      .mockResolvedValueOnce(jsonResponse({}, 401))
+      .mockResolvedValueOnce(tokenResponse())
+      .mockResolvedValueOnce(jsonResponse({}, 403));
+    global.fetch = fetchMock;
+    const { default: handler } = await loadHandler();
+
+    const res = createRes();
+    await handler(createReq({ playlistId: '42' }), res);
+
+    expect(fetchMock).toHaveBeenCalledTimes(4);
+    expect(res.statusCode).toBe(403);
+    expect(res.json()).toMatchObject({ error: 'soundcloud_error', status: 403 });
+  });
+
+  it('rejects disallowed origins and missing credentials', async () => {
+    global.fetch = vi.fn();
+    const { default: handler } = await loadHandler();
+
+    const forbidden = createRes();
+    await handler(createReq({ playlistId: '42' }, { origin: 'https://evil.example.com' }), forbidden);
+    expect(forbidden.statusCode).toBe(403);
+
+    delete process.env.SOUNDCLOUD_CLIENT_SECRET;
+    const missing = createRes();
+    await handler(createReq({ playlistId: '42' }), missing);
+    expect(missing.statusCode).toBe(500);
+    expect(missing.json()).toMatchObject({ error: 'missing_credentials' });
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,258 @@
+// api/soundcloud/index.js
+// Vercel serverless function that resolves SoundCloud set URLs and pages their tracks with an app token.
+
+/**
+ * @typedef {import('../_lib/proxyGuards.js').VercelRequest} VercelRequest
+ * @typedef {import('../_lib/proxyGuards.js').VercelResponse} VercelResponse
+ */
+
+import {
+  createRateLimiter,
+  getQueryParam,
+  guardProxyRequest,
+  parsePositiveInt,
+  sendJson,
+} from '../_lib/proxyGuards.js';
+
+const TOKEN_URL = 'https://secure.soundcloud.com/oauth/token';
+const API_BASE = 'https://api.soundcloud.com';
+const PAGE_SIZE = 50;
+const EXPIRY_SKEW_SECONDS = 60;
+const SOUNDCLOUD_HOSTS = new Set(['soundcloud.com', 'www.soundcloud.com', 'm.soundcloud.com', 'on.soundcloud.com']);
+const PLAYLIST_KINDS = new Set(['playlist', 'system-playlist']);
+const isDevRuntime = process.env.NODE_ENV !== 'production';
+
+const DEFAULT_RATE_LIMIT_WINDOW_MS = 60 * 60 * 1000;
+const DEFAULT_RATE_LIMIT_MAX_REQUESTS = 600;
+
+const limiter = createRateLimiter({
+  windowMs: parsePositiveInt(
+    process.env.SOUNDCLOUD_PROXY_RATE_LIMIT_WINDOW_MS,
+    DEFAULT_RATE_LIMIT_WINDOW_MS
+  ),
+  maxRequests: parsePositiveInt(
+    process.env.SOUNDCLOUD_PROXY_RATE_LIMIT_MAX,
+    DEFAULT_RATE_LIMIT_MAX_REQUESTS
+  ),
+});
+
+/** @type {{ access_token: string, expires_at: number } | null} */
+let cachedToken = null;
+/** @type {Promise<{ access_token: string, expires_at: number }> | null} */
+let inFlightToken = null;
+
+/**
+ * @param {string} clientId
+ * @param {string} clientSecret
+ */
+async function fetchAppToken(clientId, clientSecret) {
+  const basicAuth = Buffer.from(`${clientId}:${clientSecret}`).toString('base64');
+  const response = await fetch(TOKEN_URL, {
+    method: 'POST',
+    headers: {
+      Authorization: `Basic ${basicAuth}`,
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json; charset=utf-8',
+    },
+    body: 'grant_type=client_credentials',
+  });
+  if (!response.ok) {
+    throw Object.assign(new Error('soundcloud_token_error'), { status: response.status });
+  }
+  const data = await response.json();
+  const expiresIn = typeof data?.expires_in === 'number' ? data.expires_in : 3600;
+  return {
+    access_token: data.access_token,
+    expires_at: Date.now() + Math.max(5, expiresIn - EXPIRY_SKEW_SECONDS) * 1000,
+  };
+}
+
+/**
+ * @param {string} clientId
+ * @param {string} clientSecret
+ * @param {{ forceRefresh?: boolean }} [options]
+ */
+async function getAppToken(clientId, clientSecret, { forceRefresh = false } = {}) {
+  if (!forceRefresh && cachedToken && Date.now() < cachedToken.expires_at) {
+    return cachedToken.access_token;
+  }
+  if (!inFlightToken) {
+    inFlightToken = fetchAppToken(clientId, clientSecret)
+      .then((token) => {
+        cachedToken = token;
+        return token;
+      })
+      .finally(() => {
+        inFlightToken = null;
+      });
+  }
+  const token = await inFlightToken;
+  return token.access_token;
+}
+
+/**
+ * Accept only public SoundCloud page URLs for /resolve so the proxy can't be pointed elsewhere.
+ * @param {string | null} raw
+ * @returns {string | null}
+ */
+function sanitizeSetUrl(raw) {
+  if (!raw) return null;
+  try {
+    const parsed = new URL(raw);
+    if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') return null;
+    if (!SOUNDCLOUD_HOSTS.has(parsed.hostname.toLowerCase())) return null;
+    return `https://${parsed.hostname.toLowerCase()}${parsed.pathname}`;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * `next_href` cursors must stay on the playlist tracks endpoint.
+ * @param {string | null} raw
+ * @returns {string | null}
+ */
+function sanitizeNextHref(raw) {
+  if (!raw) return null;
+  try {
+    const parsed = new URL(raw);
+    if (parsed.origin !== API_BASE) return null;
+    if (!/^\/playlists\/[\w:-]+\/tracks$/.test(parsed.pathname)) return null;
+    return `${parsed.origin}${parsed.pathname}${parsed.search}`;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build the upstream URL for the requested mode (`url`, `playlistId`, or `next`).
+ * @param {VercelRequest} req
+ * @returns {{ mode: 'resolve' | 'tracks', url: string } | null}
+ */
+function buildUpstream(req) {
+  const setUrl = getQueryParam(req, 'url');
+  if (setUrl) {
+    const safeUrl = sanitizeSetUrl(setUrl);
+    return safeUrl
+      ? { mode: 'resolve', url: `${API_BASE}/resolve?${new URLSearchParams({ url: safeUrl })}` }
+      : null;
+  }
+
+  const next = getQueryParam(req, 'next');
+  if (next) {
+    const safeNext = sanitizeNextHref(next);
+    return safeNext ? { mode: 'tracks', url: safeNext } : null;
+  }
+
+  const playlistId = getQueryParam(req, 'playlistId');
+  if (playlistId && /^[\w:-]{1,64}$/.test(playlistId)) {
+    const params = new URLSearchParams({
+      linked_partitioning: 'true',
+      limit: String(PAGE_SIZE),
+      access: 'playable,preview,blocked',
+    });
+    return { mode: 'tracks', url: `${API_BASE}/playlists/${playlistId}/tracks?${params}` };
+  }
+
+  return null;
+}
+
+/**
+ * Drop the embedded (partial) track list from resolve responses; the client pages tracks separately.
+ * @param {any} playlist
+ */
+function toPlaylistSummary(playlist) {
+  return {
+    kind: playlist.kind,
+    id: playlist.id,
+    urn: playlist.urn ?? null,
+    title: playlist.title ?? null,
+    permalink_url: playlist.permalink_url ?? null,
+    artwork_url: playlist.artwork_url ?? null,
+    track_count: typeof playlist.track_count === 'number' ? playlist.track_count : null,
+    sharing: playlist.sharing ?? null,
+    last_modified: playlist.last_modified ?? null,
+    user: playlist.user ? { username: playlist.user.username ?? null, avatar_url: playlist.user.avatar_url ?? null } : null,
+  };
+}
+
+/**
+ * Vercel handler entry point.
+ * @param {VercelRequest} req
+ * @param {VercelResponse} res
+ */
+export default async function handler(req, res) {
+  if (!guardProxyRequest(req, res, limiter)) return;
+
+  const clientId = process.env.SOUNDCLOUD_CLIENT_ID;
+  const clientSecret = process.env.SOUNDCLOUD_CLIENT_SECRET;
+  if (!clientId || !clientSecret) {
+    sendJson(res, 500, { error: 'missing_credentials' });
+    return;
+  }
+
+  const upstreamTarget = buildUpstream(req);
+  if (!upstreamTarget) {
+    sendJson(res, 400, { error: 'invalid_params' });
+    return;
+  }
+
+  try {
+    let upstream = null;
+    for (let attempt = 0; attempt < 2; attempt += 1) {
+      const token = await getAppToken(clientId, clientSecret, { forceRefresh: attempt > 0 });
+      upstream = await fetch(upstreamTarget.url, {
+        headers: { Authorization: `OAuth ${token}`, Accept: 'application/json; charset=utf-8' },
+      });
+      // A revoked or rotated app token surfaces as 401; retry once with a fresh token.
+      if (upstream.status !== 401) break;
+    }
+
+    if (!upstream.ok) {
+      if (isDevRuntime) {
+        console.debug('[soundcloud][proxy] upstream error', {
+          mode: upstreamTarget.mode,
+          status: upstream.status,
+        });
+      }
+      const status = upstream.status >= 500 ? 502 : upstream.status;
+      sendJson(res, status, { error: 'soundcloud_error', status: upstream.status });
+      return;
+    }
+
+    const payload = await upstream.json();
+    if (upstreamTarget.mode === 'resolve') {
+      if (!payload || !PLAYLIST_KINDS.has(payload.kind)) {
+        sendJson(res, 404, { error: 'not_a_playlist', kind: payload?.kind ?? null });
+        return;
+      }
+      sendJson(res, 200, toPlaylistSummary(payload), { cacheControl: 'private, max-age=60' });
+      return;
+    }
+
+    sendJson(
+      res,
+      200,
+      {
+        collection: Array.isArray(payload?.collection) ? payload.collection : [],
+        next_href: typeof payload?.next_href === 'string' ? payload.next_href : null,
+      },
+      { cacheControl: 'private, max-age=60' }
+    );
+  } catch (err) {
+    const anyErr = /** @type {any} */ (err);
+    if (isDevRuntime) {
+      console.debug('[soundcloud][proxy] request failed', { message: anyErr?.message });
+    }
+    sendJson(res, 502, { error: 'soundcloud_unavailable', status: anyErr?.status ?? null });
+  }
+}
+
+export function __resetTokenCacheForTests() {
+  cachedToken = null;
+  inFlightToken = null;
+}
+
+export function __resetRateLimitStateForTests() {
+  limiter.reset();
+}
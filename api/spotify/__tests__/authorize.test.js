@@ -0,0 +1,142 @@
+import { beforeEach, afterEach, describe, expect, it, vi } from 'vitest';
+
+const ORIGINAL_ENV = { ...process.env };
+const getAnonContextMock = vi.fn();
+
+let adminClient;
+let handler;
+let insertMock;
+let pruneLtMock;
+
+vi.mock('../../_lib/supabase.js', () => ({
+  getAdminClient: () => adminClient,
+  getAnonContext: getAnonContextMock,
+  withCors: (res) => res,
+  getDeviceIdFromRequest: (req) => req?.headers?.['x-device-id'] ?? null,
+  hasSupabaseConfig: true,
+}));
+
+function createMockRes() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    status: vi.fn((code) => {
+      res.statusCode = code;
+      return res;
+    }),
+    json: vi.fn((payload) => {
+      res.body = payload;
+      return res;
+    }),
+    setHeader: vi.fn((key, value) => {
+      res.headers[key] = value;
+      return res;
+    }),
+    end: vi.fn(() => res),
+  };
+  return res;
+}
+
+function createMockReq(overrides = {}) {
+  return {
+    method: 'POST',
+    headers: { 'x-device-id': 'device-1', host: 'playlistnotes.app' },
+    ...overrides,
+  };
+}
+
+beforeEach(async () => {
+  vi.resetModules();
+  process.env.SPOTIFY_CLIENT_ID = 'client-1';
+  process.env.SPOTIFY_TOKEN_ENCRYPTION_KEY = Buffer.alloc(32, 1).toString('base64');
+  getAnonContextMock.mockReset().mockResolvedValue({ anonId: 'anon-1' });
+  insertMock = vi.fn(() => Promise.resolve({ error: null }));
+  pruneLtMock = vi.fn(() => Promise.resolve({ error: null }));
+  adminClient = {
+    from: vi.fn(() => ({ insert: insertMock, delete: () => ({ lt: pruneLtMock }) })),
+  };
+  handler = (await import('../authorize.js')).default;
+});
+
+afterEach(() => {
+  process.env = { ...ORIGINAL_ENV };
+});
+
+describe('api/spotify/authorize', () => {
+  it('stores an encrypted PKCE verifier under a fresh state and returns the Spotify URL', async () => {
+    const res = createMockRes();
+    await handler(createMockReq(), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(adminClient.from).toHaveBeenCalledWith('spotify_auth_requests');
+    const stored = insertMock.mock.calls[0][0];
+    expect(stored).toMatchObject({
+      anon_id: 'anon-1',
+      redirect_uri: 'https://playlistnotes.app/api/spotify/callback',
+    });
+    expect(stored.code_verifier.startsWith('v1.')).toBe(true);
+
+    const url = new URL(res.body.url);
+    expect(url.origin + url.pathname).toBe('https://accounts.spotify.com/authorize');
+    expect(Object.fromEntries(url.searchParams)).toMatchObject({
+      client_id: 'client-1',
+      response_type: 'code',
+      code_challenge_method: 'S256',
+      redirect_uri: stored.redirect_uri,
+      state: stored.state,
+      scope: 'playlist-read-private playlist-read-collaborative user-library-read',
+    });
+    expect(url.searchParams.get('code_challenge')).toMatch(/^[A-Za-z0-9_-]{43}$/);
+  });
+
+  it('sets a cookie binding the state to this browser', async () => {
+    const res = createMockRes();
+    await handler(createMockReq(), res);
+
+    const { state } = insertMock.mock.calls[0][0];
+    const { hashState } = await import('../../_lib/spotifyAuth.js');
+    const cookie = res.headers['Set-Cookie'];
+    expect(cookie).toContain(`sta_spotify_state=${hashState(state)}`);
+    expect(cookie).toContain('HttpOnly');
+    expect(cookie).toContain('SameSite=Lax');
+    expect(cookie).not.toContain(state);
+  });
+
+  it('prunes requests older than the TTL before storing a new one', async () => {
+    const res = createMockRes();
+    const before = Date.now();
+    await handler(createMockReq(), res);
+
+    const [column, cutoff] = pruneLtMock.mock.calls[0];
+    expect(column).toBe('created_at');
+    expect(before - Date.parse(cutoff)).toBeGreaterThanOrEqual(10 * 60 * 1000 - 1000);
+    expect(insertMock).toHaveBeenCalled();
+  });
+
+  it('requires a known device', async () => {
+    const missing = createMockRes();
+    await handler(createMockReq({ headers: {} }), missing);
+    expect(missing.statusCode).toBe(400);
+
+    getAnonContextMock.mockResolvedValueOnce(null);
+    const unknown = createMockRes();
+    await handler(createMockReq(), unknown);
+    expect(unknown.statusCode).toBe(404);
+    expect(insertMock).not.toHaveBeenCalled();
+  });
+
+  it('refuses to start when token encryption is not configured', async () => {
+    delete process.env.SPOTIFY_TOKEN_ENCRYPTION_KEY;
+    const res = createMockRes();
+    await handler(createMockReq(), res);
+    expect(res.statusCode).toBe(500);
+    expect(insertMock).not.toHaveBeenCalled();
+  });
+
+  it('rejects other methods', async () => {
+    const res = createMockRes();
+    await handler(createMockReq({ method: 'GET' }), res);
+    expect(res.statusCode).toBe(405);
+  });
+});
@@ -0,0 +1,160 @@
+import { beforeEach, afterEach, describe, expect, it, vi } from 'vitest';
+
+const ORIGINAL_ENV = { ...process.env };
+
+let adminClient;
+let handler;
+let pendingRow;
+let deleteEqMock;
+let upsertMock;
+let fetchMock;
+
+vi.mock('../../_lib/supabase.js', () => ({
+  getAdminClient: () => adminClient,
+  hasSupabaseConfig: true,
+}));
+
+function createMockRes() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    status: vi.fn((code) => {
+      res.statusCode = code;
+      return res;
+    }),
+    json: vi.fn(() => res),
+    setHeader: vi.fn((key, value) => {
+      res.headers[key] = value;
+      return res;
+    }),
+    end: vi.fn(() => res),
+  };
+  return res;
+}
+
+function createAdminClient() {
+  deleteEqMock = vi.fn(() => Promise.resolve({ error: null }));
+  upsertMock = vi.fn(() => Promise.resolve({ error: null }));
+  return {
+    from: vi.fn((table) => {
+      if (table === 'spotify_auth_requests') {
+        return {
+          select: () => ({
+            eq: (_column, state) => ({
+              maybeSingle: () =>
+                Promise.resolve({ data: state === 'state-1' ? pendingRow : null, error: null }),
+            }),
+          }),
+          delete: () => ({ eq: deleteEqMock }),
+        };
+      }
+      if (table === 'spotify_links') {
+        return { upsert: upsertMock };
+      }
+      throw new Error(`Unexpected table ${table}`);
+    }),
+  };
+}
+
+let stateCookie;
+
+const callback = (query, cookie = stateCookie) =>
+  handler({ method: 'GET', query, headers: cookie ? { cookie } : {} }, createMockRes());
+
+beforeEach(async () => {
+  vi.resetModules();
+  process.env.SPOTIFY_CLIENT_ID = 'client-1';
+  process.env.SPOTIFY_TOKEN_ENCRYPTION_KEY = Buffer.alloc(32, 2).toString('base64');
+  const { encryptSecret, hashState } = await import('../../_lib/spotifyAuth.js');
+  stateCookie = `sta_spotify_state=${hashState('state-1')}`;
+  pendingRow = {
+    anon_id: 'anon-1',
+    code_verifier: encryptSecret('verifier-1'),
+    redirect_uri: 'https://playlistnotes.app/api/spotify/callback',
+    created_at: new Date().toISOString(),
+  };
+  adminClient = createAdminClient();
+  fetchMock = vi.fn(async () =>
+    new Response(
+      JSON.stringify({ access_token: 'at', refresh_token: 'rt-1', scope: 'playlist-read-private' }),
+      { status: 200 }
+    )
+  );
+  vi.stubGlobal('fetch', fetchMock);
+  handler = (await import('../callback.js')).default;
+});
+
+afterEach(() => {
+  process.env = { ...ORIGINAL_ENV };
+  vi.unstubAllGlobals();
+});
+
+describe('api/spotify/callback', () => {
+  it('redeems the state, exchanges the code with the verifier and stores the refresh token encrypted', async () => {
+    const res = await callback({ code: 'code-1', state: 'state-1' });
+
+    expect(res.statusCode).toBe(302);
+    expect(res.headers.Location).toBe('/?spotify=linked');
+    expect(deleteEqMock).toHaveBeenCalledWith('state', 'state-1');
+
+    const form = Object.fromEntries(new URLSearchParams(fetchMock.mock.calls[0][1].body));
+    expect(form).toEqual({
+      client_id: 'client-1',
+      grant_type: 'authorization_code',
+      code: 'code-1',
+      redirect_uri: pendingRow.redirect_uri,
+      code_verifier: 'verifier-1',
+    });
+
+    const [row, options] = upsertMock.mock.calls[0];
+    expect(options).toEqual({ onConflict: 'anon_id' });
+    expect(row).toMatchObject({ anon_id: 'anon-1', scope: 'playlist-read-private' });
+    expect(row.refresh_token).not.toContain('rt-1');
+    const { decryptSecret } = await import('../../_lib/spotifyAuth.js');
+    expect(decryptSecret(row.refresh_token)).toBe('rt-1');
+  });
+
+  it('refuses a state started in another browser', async () => {
+    const { hashState } = await import('../../_lib/spotifyAuth.js');
+    const missing = await callback({ code: 'code-1', state: 'state-1' }, null);
+    const foreign = await callback({ code: 'code-1', state: 'state-1' }, `sta_spotify_state=${hashState('mine')}`);
+
+    for (const res of [missing, foreign]) {
+      expect(res.headers.Location).toBe('/?spotify=error');
+      expect(res.headers['Set-Cookie']).toContain('Max-Age=0');
+    }
+    expect(adminClient.from).not.toHaveBeenCalled();
+    expect(fetchMock).not.toHaveBeenCalled();
+    expect(upsertMock).not.toHaveBeenCalled();
+  });
+
+  it('reports a denied consent screen without calling Spotify', async () => {
+    const res = await callback({ error: 'access_denied', state: 'state-1' });
+    expect(res.headers.Location).toBe('/?spotify=denied');
+    expect(deleteEqMock).toHaveBeenCalled();
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  it('rejects unknown and expired states', async () => {
+    const { hashState } = await import('../../_lib/spotifyAuth.js');
+    const unknown = await callback({ code: 'code-1', state: 'other' }, `sta_spotify_state=${hashState('other')}`);
+    expect(unknown.headers.Location).toBe('/?spotify=error');
+
+    pendingRow.created_at = new Date(Date.now() - 11 * 60 * 1000).toISOString();
+    const expired = await callback({ code: 'code-1', state: 'state-1' });
+    expect(expired.headers.Location).toBe('/?spotify=error');
+    expect(fetchMock).not.toHaveBeenCalled();
+    expect(upsertMock).not.toHaveBeenCalled();
+  });
+
+  it('does not store anything when Spotify rejects the exchange', async () => {
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+    fetchMock.mockResolvedValueOnce(
+      new Response(JSON.stringify({ error: 'invalid_grant' }), { status: 400 })
+    );
+    const res = await callback({ code: 'code-1', state: 'state-1' });
+    expect(res.headers.Location).toBe('/?spotify=error');
+    expect(upsertMock).not.toHaveBeenCalled();
+    consoleError.mockRestore();
+  });
+});
@@ -0,0 +1,88 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+const getAnonContextMock = vi.fn();
+
+let adminClient;
+let handler;
+let linkRow;
+let deleteEqMock;
+
+vi.mock('../../_lib/supabase.js', () => ({
+  getAdminClient: () => adminClient,
+  getAnonContext: getAnonContextMock,
+  withCors: (res) => res,
+  getDeviceIdFromRequest: (req) => req?.headers?.['x-device-id'] ?? null,
+  hasSupabaseConfig: true,
+}));
+
+function createMockRes() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    status: vi.fn((code) => {
+      res.statusCode = code;
+      return res;
+    }),
+    json: vi.fn((payload) => {
+      res.body = payload;
+      return res;
+    }),
+    setHeader: vi.fn((key, value) => {
+      res.headers[key] = value;
+      return res;
+    }),
+    end: vi.fn(() => res),
+  };
+  return res;
+}
+
+const request = async (method) => {
+  const res = createMockRes();
+  await handler({ method, headers: { 'x-device-id': 'device-1' } }, res);
+  return res;
+};
+
+beforeEach(async () => {
+  vi.resetModules();
+  getAnonContextMock.mockReset().mockResolvedValue({ anonId: 'anon-1' });
+  linkRow = { scope: 'playlist-read-private', linked_at: '2026-01-02T03:04:05Z' };
+  deleteEqMock = vi.fn(() => Promise.resolve({ error: null }));
+  adminClient = {
+    from: vi.fn(() => ({
+      select: () => ({
+        eq: () => ({ maybeSingle: () => Promise.resolve({ data: linkRow, error: null }) }),
+      }),
+      delete: () => ({ eq: deleteEqMock }),
+    })),
+  };
+  handler = (await import('../link.js')).default;
+});
+
+describe('api/spotify/link', () => {
+  it('reports link status without exposing tokens', async () => {
+    const linked = await request('GET');
+    expect(linked.body).toEqual({
+      linked: true,
+      linkedAt: '2026-01-02T03:04:05Z',
+      scope: 'playlist-read-private',
+    });
+
+    linkRow = null;
+    const unlinked = await request('GET');
+    expect(unlinked.body).toEqual({ linked: false });
+  });
+
+  it('revokes by deleting the stored token', async () => {
+    const res = await request('DELETE');
+    expect(res.statusCode).toBe(204);
+    expect(deleteEqMock).toHaveBeenCalledWith('anon_id', 'anon-1');
+  });
+
+  it('rejects unknown devices', async () => {
+    getAnonContextMock.mockResolvedValueOnce(null);
+    const res = await request('DELETE');
+    expect(res.statusCode).toBe(404);
+    expect(deleteEqMock).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,130 @@
+import { beforeEach, afterEach, describe, expect, it, vi } from 'vitest';
+
+const ORIGINAL_ENV = { ...process.env };
+const getAnonContextMock = vi.fn();
+
+let adminClient;
+let handler;
+let linkRow;
+let deleteEqMock;
+let updateMock;
+let fetchMock;
+let encryptSecret;
+let decryptSecret;
+
+vi.mock('../../_lib/supabase.js', () => ({
+  getAdminClient: () => adminClient,
+  getAnonContext: getAnonContextMock,
+  withCors: (res) => res,
+  getDeviceIdFromRequest: (req) => req?.headers?.['x-device-id'] ?? null,
+  hasSupabaseConfig: true,
+}));
+
+function createMockRes() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    status: vi.fn((code) => {
+      res.statusCode = code;
+      return res;
+    }),
+    json: vi.fn((payload) => {
+      res.body = payload;
+      return res;
+    }),
+    setHeader: vi.fn((key, value) => {
+      res.headers[key] = value;
+      return res;
+    }),
+    end: vi.fn(() => res),
+  };
+  return res;
+}
+
+function createAdminClient() {
+  deleteEqMock = vi.fn(() => Promise.resolve({ error: null }));
+  updateMock = vi.fn(() => ({ eq: vi.fn(() => Promise.resolve({ error: null })) }));
+  return {
+    from: vi.fn(() => ({
+      select: () => ({
+        eq: () => ({ maybeSingle: () => Promise.resolve({ data: linkRow, error: null }) }),
+      }),
+      delete: () => ({ eq: deleteEqMock }),
+      update: updateMock,
+    })),
+  };
+}
+
+const request = () => {
+  const res = createMockRes();
+  return handler({ method: 'GET', headers: { 'x-device-id': 'device-1' } }, res).then(() => res);
+};
+
+beforeEach(async () => {
+  vi.resetModules();
+  process.env.SPOTIFY_CLIENT_ID = 'client-1';
+  process.env.SPOTIFY_TOKEN_ENCRYPTION_KEY = Buffer.alloc(32, 3).toString('base64');
+  ({ encryptSecret, decryptSecret } = await import('../../_lib/spotifyAuth.js'));
+  getAnonContextMock.mockReset().mockResolvedValue({ anonId: 'anon-1' });
+  linkRow = { refresh_token: encryptSecret('rt-1') };
+  adminClient = createAdminClient();
+  fetchMock = vi.fn(async () =>
+    new Response(JSON.stringify({ access_token: 'user-at', token_type: 'Bearer', expires_in: 3600 }), {
+      status: 200,
+    })
+  );
+  vi.stubGlobal('fetch', fetchMock);
+  handler = (await import('../user-token.js')).default;
+});
+
+afterEach(() => {
+  process.env = { ...ORIGINAL_ENV };
+  vi.unstubAllGlobals();
+});
+
+describe('api/spotify/user-token', () => {
+  it('refreshes the linked account token in the same shape as the app token', async () => {
+    const res = await request();
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['Cache-Control']).toBe('no-store');
+    expect(res.body).toMatchObject({ access_token: 'user-at', token_type: 'Bearer', expires_in: 3600 });
+    expect(res.body.expires_at).toBeGreaterThan(Date.now());
+    const form = Object.fromEntries(new URLSearchParams(fetchMock.mock.calls[0][1].body));
+    expect(form).toMatchObject({ grant_type: 'refresh_token', refresh_token: 'rt-1' });
+    expect(updateMock).not.toHaveBeenCalled();
+  });
+
+  it('stores a rotated refresh token', async () => {
+    fetchMock.mockResolvedValueOnce(
+      new Response(JSON.stringify({ access_token: 'user-at', refresh_token: 'rt-2' }), { status: 200 })
+    );
+    await request();
+    expect(decryptSecret(updateMock.mock.calls[0][0].refresh_token)).toBe('rt-2');
+  });
+
+  it('answers 404 when nothing is linked', async () => {
+    linkRow = null;
+    const res = await request();
+    expect(res.statusCode).toBe(404);
+    expect(res.body).toMatchObject({ linked: false });
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  it('drops the link when Spotify reports the grant was revoked', async () => {
+    fetchMock.mockResolvedValueOnce(
+      new Response(JSON.stringify({ error: 'invalid_grant' }), { status: 400 })
+    );
+    const res = await request();
+    expect(res.statusCode).toBe(404);
+    expect(deleteEqMock).toHaveBeenCalledWith('anon_id', 'anon-1');
+  });
+
+  it('keeps the link on Spotify outages', async () => {
+    fetchMock.mockResolvedValueOnce(new Response('{}', { status: 502 }));
+    const res = await request();
+    expect(res.statusCode).toBe(503);
+    expect(deleteEqMock).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,108 @@
+import {
+  getAdminClient,
+  getAnonContext,
+  withCors,
+  hasSupabaseConfig,
+  getDeviceIdFromRequest,
+} from '../_lib/supabase.js';
+import {
+  AUTH_REQUEST_TTL_MS,
+  SPOTIFY_AUTHORIZE_URL,
+  SPOTIFY_USER_SCOPES,
+  buildStateCookie,
+  createPkcePair,
+  createState,
+  encryptSecret,
+  getRedirectUri,
+  getSpotifyClientId,
+  hasSpotifyUserAuthConfig,
+} from '../_lib/spotifyAuth.js';
+
+// Starts Spotify account linking. The browser cannot attach x-device-id to a
+// top-level navigation, so the client POSTs here first and we answer with the
+// Spotify URL to open. The PKCE verifier stays server-side, keyed by `state`,
+// until /api/spotify/callback redeems it. See supabase/sql/phase3_spotify_links.sql.
+// The response also sets a cookie tied to `state`, so only this browser can finish the
+// flow; a Spotify URL forwarded to someone else links nothing.
+
+const supabaseAdmin = getAdminClient();
+
+export default async function handler(req, res) {
+  withCors(res);
+
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Allow-Methods', 'POST,OPTIONS');
+    return res.status(204).end();
+  }
+
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST', 'OPTIONS']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!hasSupabaseConfig || !supabaseAdmin) {
+    return res
+      .status(500)
+      .json({ error: 'Supabase configuration missing server-side' });
+  }
+
+  if (!hasSpotifyUserAuthConfig()) {
+    return res
+      .status(500)
+      .json({ error: 'Spotify account linking is not configured' });
+  }
+
+  const deviceId = getDeviceIdFromRequest(req);
+  if (!deviceId) {
+    return res.status(400).json({ error: 'Missing x-device-id header' });
+  }
+
+  const anonContext = await getAnonContext(supabaseAdmin, deviceId);
+  if (!anonContext) {
+    return res.status(404).json({ error: 'Unknown device' });
+  }
+
+  const redirectUri = getRedirectUri(req);
+  if (!redirectUri) {
+    return res.status(500).json({ error: 'Unable to resolve redirect URI' });
+  }
+
+  // Requests abandoned on the consent screen never reach the callback, so expire them here.
+  const { error: pruneError } = await supabaseAdmin
+    .from('spotify_auth_requests')
+    .delete()
+    .lt('created_at', new Date(Date.now() - AUTH_REQUEST_TTL_MS).toISOString());
+  if (pruneError) {
+    console.warn('[spotify:authorize] failed to prune expired requests', pruneError);
+  }
+
+  const { verifier, challenge } = createPkcePair();
+  const state = createState();
+
+  const { error } = await supabaseAdmin.from('spotify_auth_requests').insert({
+    state,
+    anon_id: anonContext.anonId,
+    code_verifier: encryptSecret(verifier),
+    redirect_uri: redirectUri,
+  });
+
+  if (error) {
+    console.error('[spotify:authorize] failed to store request', error);
+    return res.status(500).json({ error: 'Failed to start Spotify linking' });
+  }
+
+  const url = new URL(SPOTIFY_AUTHORIZE_URL);
+  url.search = new URLSearchParams({
+    client_id: getSpotifyClientId() ?? '',
+    response_type: 'code',
+    redirect_uri: redirectUri,
+    code_challenge_method: 'S256',
+    code_challenge: challenge,
+    scope: SPOTIFY_USER_SCOPES,
+    state,
+  }).toString();
+
+  res.setHeader('Cache-Control', 'no-store');
+  res.setHeader('Set-Cookie', buildStateCookie(state, redirectUri));
+  return res.status(200).json({ url: url.toString() });
+}
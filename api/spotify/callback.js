@@ -0,0 +1,120 @@
+import { getAdminClient, hasSupabaseConfig } from '../_lib/supabase.js';
+import {
+  AUTH_REQUEST_TTL_MS,
+  clearStateCookie,
+  decryptSecret,
+  encryptSecret,
+  hasSpotifyUserAuthConfig,
+  requestSpotifyToken,
+  stateMatchesCookie,
+} from '../_lib/spotifyAuth.js';
+
+// Spotify redirects the browser here after the consent screen. We redeem the
+// pending request created by /api/spotify/authorize (single use), exchange the
+// code with its PKCE verifier and keep only the encrypted refresh token.
+// The browser always lands back on the app with `?spotify=linked|denied|error`.
+// Only the browser holding the state cookie from /api/spotify/authorize may redeem it;
+// otherwise anyone handed an attacker's Spotify URL would link their account to the
+// attacker's anon identity.
+
+const supabaseAdmin = getAdminClient();
+
+function readQueryParam(req, name) {
+  const raw = req.query?.[name];
+  const value = Array.isArray(raw) ? raw[0] : raw;
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+function redirectToApp(res, outcome) {
+  res.setHeader('Cache-Control', 'no-store');
+  res.setHeader('Set-Cookie', clearStateCookie());
+  res.setHeader('Location', `/?spotify=${outcome}`);
+  return res.status(302).end();
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!hasSupabaseConfig || !supabaseAdmin || !hasSpotifyUserAuthConfig()) {
+    return redirectToApp(res, 'error');
+  }
+
+  const state = readQueryParam(req, 'state');
+  if (!state || !stateMatchesCookie(req, state)) {
+    return redirectToApp(res, 'error');
+  }
+
+  const { data: pending, error: lookupError } = await supabaseAdmin
+    .from('spotify_auth_requests')
+    .select('anon_id, code_verifier, redirect_uri, created_at')
+    .eq('state', state)
+    .maybeSingle();
+
+  if (lookupError) {
+    console.error('[spotify:callback] lookup failed', lookupError);
+    return redirectToApp(res, 'error');
+  }
+  if (!pending?.anon_id) {
+    return redirectToApp(res, 'error');
+  }
+
+  // Burn the state before anything else so a replayed callback cannot reuse it.
+  await supabaseAdmin.from('spotify_auth_requests').delete().eq('state', state);
+
+  if (readQueryParam(req, 'error')) {
+    return redirectToApp(res, 'denied');
+  }
+
+  const createdAt = Date.parse(pending.created_at ?? '');
+  if (!Number.isFinite(createdAt) || Date.now() - createdAt > AUTH_REQUEST_TTL_MS) {
+    return redirectToApp(res, 'error');
+  }
+
+  const code = readQueryParam(req, 'code');
+  const verifier = decryptSecret(pending.code_verifier);
+  if (!code || !verifier) {
+    return redirectToApp(res, 'error');
+  }
+
+  let exchange;
+  try {
+    exchange = await requestSpotifyToken({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: pending.redirect_uri,
+      code_verifier: verifier,
+    });
+  } catch (err) {
+    console.error('[spotify:callback] token exchange failed', { message: err?.message });
+    return redirectToApp(res, 'error');
+  }
+
+  const refreshToken = exchange.payload?.refresh_token;
+  if (!exchange.ok || typeof refreshToken !== 'string' || !refreshToken) {
+    console.error('[spotify:callback] token exchange rejected', {
+      status: exchange.status,
+      error: exchange.payload?.error ?? null,
+    });
+    return redirectToApp(res, 'error');
+  }
+
+  const { error: upsertError } = await supabaseAdmin.from('spotify_links').upsert(
+    {
+      anon_id: pending.anon_id,
+      refresh_token: encryptSecret(refreshToken),
+      scope: typeof exchange.payload.scope === 'string' ? exchange.payload.scope : null,
+      linked_at: new Date().toISOString(),
+    },
+    { onConflict: 'anon_id' }
+  );
+
+  if (upsertError) {
+    console.error('[spotify:callback] failed to store link', upsertError);
+    return redirectToApp(res, 'error');
+  }
+
+  return redirectToApp(res, 'linked');
+}
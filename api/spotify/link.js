@@ -0,0 +1,79 @@
+import {
+  getAdminClient,
+  getAnonContext,
+  withCors,
+  hasSupabaseConfig,
+  getDeviceIdFromRequest,
+} from '../_lib/supabase.js';
+
+// Spotify link status for the current anon identity (GET) and revoke (DELETE).
+// Revoking deletes the stored refresh token; the app loses access immediately.
+// Users can also remove the app from their Spotify account settings, which makes
+// the next refresh in /api/spotify/user-token fail and drops the link there.
+
+const supabaseAdmin = getAdminClient();
+
+export default async function handler(req, res) {
+  withCors(res);
+
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Allow-Methods', 'GET,DELETE,OPTIONS');
+    return res.status(204).end();
+  }
+
+  if (req.method !== 'GET' && req.method !== 'DELETE') {
+    res.setHeader('Allow', ['GET', 'DELETE', 'OPTIONS']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!hasSupabaseConfig || !supabaseAdmin) {
+    return res
+      .status(500)
+      .json({ error: 'Supabase configuration missing server-side' });
+  }
+
+  const deviceId = getDeviceIdFromRequest(req);
+  if (!deviceId) {
+    return res.status(400).json({ error: 'Missing x-device-id header' });
+  }
+
+  const anonContext = await getAnonContext(supabaseAdmin, deviceId);
+  if (!anonContext) {
+    return res.status(404).json({ error: 'Unknown device' });
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method === 'DELETE') {
+    const { error } = await supabaseAdmin
+      .from('spotify_links')
+      .delete()
+      .eq('anon_id', anonContext.anonId);
+    if (error) {
+      console.error('[spotify:link] revoke failed', error);
+      return res.status(500).json({ error: 'Failed to unlink Spotify account' });
+    }
+    return res.status(204).end();
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from('spotify_links')
+    .select('scope, linked_at')
+    .eq('anon_id', anonContext.anonId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[spotify:link] lookup failed', error);
+    return res.status(500).json({ error: 'Failed to load Spotify link' });
+  }
+
+  if (!data) {
+    return res.status(200).json({ linked: false });
+  }
+
+  return res.status(200).json({
+    linked: true,
+    linkedAt: data.linked_at ?? null,
+    scope: data.scope ?? null,
+  });
+}
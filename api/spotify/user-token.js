@@ -0,0 +1,114 @@
+import {
+  getAdminClient,
+  getAnonContext,
+  withCors,
+  hasSupabaseConfig,
+  getDeviceIdFromRequest,
+} from '../_lib/supabase.js';
+import {
+  decryptSecret,
+  encryptSecret,
+  hasSpotifyUserAuthConfig,
+  requestSpotifyToken,
+} from '../_lib/spotifyAuth.js';
+
+// Short-lived access token for the linked Spotify account. Same response shape as
+// /api/spotify/token so the client adapter can use either. 404 means "not linked";
+// the client falls back to the app token in that case.
+
+const supabaseAdmin = getAdminClient();
+
+function sendNotLinked(res) {
+  return res.status(404).json({ error: 'Spotify account not linked', linked: false });
+}
+
+export default async function handler(req, res) {
+  withCors(res);
+
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS');
+    return res.status(204).end();
+  }
+
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET', 'OPTIONS']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!hasSupabaseConfig || !supabaseAdmin || !hasSpotifyUserAuthConfig()) {
+    return res
+      .status(500)
+      .json({ error: 'Spotify account linking is not configured' });
+  }
+
+  const deviceId = getDeviceIdFromRequest(req);
+  if (!deviceId) {
+    return res.status(400).json({ error: 'Missing x-device-id header' });
+  }
+
+  const anonContext = await getAnonContext(supabaseAdmin, deviceId);
+  if (!anonContext) {
+    return res.status(404).json({ error: 'Unknown device' });
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+
+  const { data: link, error } = await supabaseAdmin
+    .from('spotify_links')
+    .select('refresh_token')
+    .eq('anon_id', anonContext.anonId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[spotify:user-token] lookup failed', error);
+    return res.status(500).json({ error: 'Failed to load Spotify link' });
+  }
+
+  const refreshToken = link ? decryptSecret(link.refresh_token) : null;
+  if (!refreshToken) {
+    return sendNotLinked(res);
+  }
+
+  let refreshed;
+  try {
+    refreshed = await requestSpotifyToken({
+      grant_type: 'refresh_token',
+      refresh_token: refreshToken,
+    });
+  } catch (err) {
+    console.error('[spotify:user-token] refresh failed', { message: err?.message });
+    return res.status(503).json({ error: 'spotify_unavailable' });
+  }
+
+  if (!refreshed.ok) {
+    // invalid_grant: the user removed our access on Spotify's side. Forget the link.
+    if (refreshed.status === 400 && refreshed.payload?.error === 'invalid_grant') {
+      await supabaseAdmin.from('spotify_links').delete().eq('anon_id', anonContext.anonId);
+      return sendNotLinked(res);
+    }
+    return res.status(503).json({ error: 'spotify_unavailable', status: refreshed.status });
+  }
+
+  const { access_token: accessToken, token_type: tokenType, expires_in: expiresIn } =
+    refreshed.payload ?? {};
+  if (typeof accessToken !== 'string' || !accessToken) {
+    return res.status(503).json({ error: 'spotify_unavailable' });
+  }
+
+  // Spotify may rotate the refresh token; keep the newest one.
+  const rotated = refreshed.payload.refresh_token;
+  if (typeof rotated === 'string' && rotated && rotated !== refreshToken) {
+    await supabaseAdmin
+      .from('spotify_links')
+      .update({ refresh_token: encryptSecret(rotated) })
+      .eq('anon_id', anonContext.anonId);
+  }
+
+  const expiresInSeconds = Number.isFinite(Number(expiresIn)) ? Number(expiresIn) : 3600;
+  return res.status(200).json({
+    access_token: accessToken,
+    token_type: typeof tokenType === 'string' && tokenType ? tokenType : 'Bearer',
+    expires_in: expiresInSeconds,
+    expires_at: Date.now() + expiresInSeconds * 1000,
+  });
+}
@@ -0,0 +1,168 @@
+// api/youtube/[resource].js
+// Vercel serverless function that proxies read-only YouTube Data API calls so the API key stays server-side.
+
+/**
+ * @typedef {import('../_lib/proxyGuards.js').VercelRequest} VercelRequest
+ * @typedef {import('../_lib/proxyGuards.js').VercelResponse} VercelResponse
+ */
+
+import {
+  createRateLimiter,
+  getQueryParam,
+  getResource,
+  guardProxyRequest,
+  parsePositiveInt,
+  sendJson,
+} from '../_lib/proxyGuards.js';
+
+const YOUTUBE_API_BASE = 'https://www.googleapis.com/youtube/v3';
+const MAX_PAGE_SIZE = 50;
+const MAX_VIDEO_IDS = 50;
+const ID_PATTERN = /^[\w-]{1,64}$/;
+const PAGE_TOKEN_PATTERN = /^[\w-]{1,128}$/;
+const QUOTA_REASONS = new Set(['quotaExceeded', 'rateLimitExceeded', 'userRateLimitExceeded']);
+const isDevRuntime = process.env.NODE_ENV !== 'production';
+
+const DEFAULT_RATE_LIMIT_WINDOW_MS = 60 * 60 * 1000;
+const DEFAULT_RATE_LIMIT_MAX_REQUESTS = 600;
+
+const limiter = createRateLimiter({
+  windowMs: parsePositiveInt(
+    process.env.YOUTUBE_PROXY_RATE_LIMIT_WINDOW_MS,
+    DEFAULT_RATE_LIMIT_WINDOW_MS
+  ),
+  maxRequests: parsePositiveInt(
+    process.env.YOUTUBE_PROXY_RATE_LIMIT_MAX,
+    DEFAULT_RATE_LIMIT_MAX_REQUESTS
+  ),
+});
+
+/**
+ * Each resource exposes a fixed `part` list and only the query params the client adapter needs.
+ * Returning null from `build` means the request was malformed.
+ * @type {Record<string, { build: (req: VercelRequest) => Record<string, string> | null }>}
+ */
+const RESOURCES = {
+  playlists: {
+    build(req) {
+      const id = getQueryParam(req, 'id');
+      if (!id || !ID_PATTERN.test(id)) return null;
+      return { part: 'snippet,contentDetails', id, maxResults: '1' };
+    },
+  },
+  playlistItems: {
+    build(req) {
+      const playlistId = getQueryParam(req, 'playlistId');
+      if (!playlistId || !ID_PATTERN.test(playlistId)) return null;
+      const params = {
+        part: 'snippet,contentDetails,status',
+        playlistId,
+        maxResults: String(
+          Math.min(MAX_PAGE_SIZE, parsePositiveInt(getQueryParam(req, 'maxResults') ?? undefined, MAX_PAGE_SIZE))
+        ),
+      };
+      const pageToken = getQueryParam(req, 'pageToken');
+      if (pageToken) {
+        if (!PAGE_TOKEN_PATTERN.test(pageToken)) return null;
+        params.pageToken = pageToken;
+      }
+      return params;
+    },
+  },
+  videos: {
+    build(req) {
+      const raw = getQueryParam(req, 'id');
+      if (!raw) return null;
+      const ids = raw.split(',').map((value) => value.trim()).filter(Boolean);
+      if (!ids.length || ids.length > MAX_VIDEO_IDS) return null;
+      if (!ids.every((value) => ID_PATTERN.test(value))) return null;
+      return { part: 'contentDetails', id: ids.join(','), maxResults: String(ids.length) };
+    },
+  },
+};
+
+/**
+ * @param {any} payload
+ * @returns {string | null}
+ */
+function extractErrorReason(payload) {
+  const reason = payload?.error?.errors?.[0]?.reason;
+  return typeof reason === 'string' && reason ? reason : null;
+}
+
+/**
+ * Vercel handler entry point.
+ * @param {VercelRequest} req
+ * @param {VercelResponse} res
+ */
+export default async function handler(req, res) {
+  if (!guardProxyRequest(req, res, limiter)) return;
+
+  const resource = getResource(req);
+  const config = resource && Object.prototype.hasOwnProperty.call(RESOURCES, resource)
+    ? RESOURCES[resource]
+    : null;
+  if (!config) {
+    sendJson(res, 404, { error: 'unknown_resource' });
+    return;
+  }
+
+  const apiKey = process.env.YOUTUBE_API_KEY;
+  if (!apiKey) {
+    sendJson(res, 500, { error: 'missing_credentials' });
+    return;
+  }
+
+  const params = config.build(req);
+  if (!params) {
+    sendJson(res, 400, { error: 'invalid_params' });
+    return;
+  }
+
+  const upstreamUrl = `${YOUTUBE_API_BASE}/${resource}?${new URLSearchParams({ ...params, key: apiKey })}`;
+
+  let upstream;
+  try {
+    upstream = await fetch(upstreamUrl, { headers: { Accept: 'application/json' } });
+  } catch (err) {
+    if (isDevRuntime) {
+      console.debug('[youtube][proxy] upstream fetch failed', { resource, err });
+    }
+    sendJson(res, 502, { error: 'youtube_unavailable' });
+    return;
+  }
+
+  let payload = null;
+  try {
+    payload = await upstream.json();
+  } catch {
+    // noop
+  }
+
+  if (upstream.ok) {
+    if (!payload || typeof payload !== 'object') {
+      sendJson(res, 502, { error: 'invalid_upstream_payload' });
+      return;
+    }
+    sendJson(res, 200, payload, { cacheControl: 'private, max-age=60' });
+    return;
+  }
+
+  const reason = extractErrorReason(payload);
+  if (isDevRuntime) {
+    console.debug('[youtube][proxy] upstream error', { resource, status: upstream.status, reason });
+  }
+
+  // YouTube reports exhausted quota as 403; surface it as 429 so clients treat it as rate limiting.
+  if (reason && QUOTA_REASONS.has(reason)) {
+    sendJson(res, 429, { error: 'quota_exceeded', status: upstream.status });
+    return;
+  }
+
+  const status = upstream.status >= 500 ? 502 : upstream.status;
+  sendJson(res, status, { error: reason || 'youtube_error', status: upstream.status });
+}
+
+export function __resetRateLimitStateForTests() {
+  limiter.reset();
+}
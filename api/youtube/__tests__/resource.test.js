@@ -0,0 +1,185 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+/**
+ * @typedef {import('../../_lib/proxyGuards.js').VercelRequest} VercelRequest
+ * @typedef {import('../../_lib/proxyGuards.js').VercelResponse} VercelResponse
+ * @typedef {VercelResponse & { ended: boolean, json(): any }} TestResponse
+ */
+
+const ORIGINAL_FETCH = global.fetch;
+const ORIGINAL_ENV = { ...process.env };
+
+/**
+ * @param {string} path
+ * @param {object} [options]
+ * @returns {VercelRequest}
+ */
+function createReq(path, options = {}) {
+  const headers = {
+    origin: options.origin ?? 'http://localhost:5173',
+    'x-forwarded-for': options.ip ?? '127.0.0.1',
+  };
+  return /** @type {VercelRequest} */ (
+    /** @type {unknown} */ ({
+      method: options.method ?? 'GET',
+      url: path,
+      headers,
+      socket: { remoteAddress: options.ip ?? '127.0.0.1' },
+    })
+  );
+}
+
+/** @returns {TestResponse} */
+function createRes() {
+  let body = '';
+  const headers = new Map();
+  const response = {
+    statusCode: 0,
+    ended: false,
+    setHeader(name, value) {
+      headers.set(name.toLowerCase(), value);
+    },
+    getHeader(name) {
+      return headers.get(name.toLowerCase());
+    },
+    end(chunk = '') {
+      response.ended = true;
+      body += chunk;
+    },
+    json() {
+      return body ? JSON.parse(body) : null;
+    },
+  };
+  return /** @type {TestResponse} */ (/** @type {unknown} */ (response));
+}
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+async function loadHandler() {
+  return import('../[resource].js');
+}
+
+beforeEach(() => {
+  vi.restoreAllMocks();
+  vi.resetModules();
+  process.env.YOUTUBE_API_KEY = 'yt-key';
+  vi.spyOn(console, 'debug').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  global.fetch = ORIGINAL_FETCH;
+  Object.keys(process.env).forEach((key) => {
+    if (!(key in ORIGINAL_ENV)) {
+      delete process.env[key];
+    }
+  });
+  Object.assign(process.env, ORIGINAL_ENV);
+});
+
+describe('api/youtube/[resource]', () => {
+  it('forwards playlistItems with a fixed part list and the server-side key', async () => {
+    const fetchMock = vi.fn().mockResolvedValue(jsonResponse({ items: [], nextPageToken: 'NEXT' }));
+    global.fetch = fetchMock;
+    const { default: handler } = await loadHandler();
+
+    const res = createRes();
+    await handler(createReq('/api/youtube/playlistItems?playlistId=PL123&pageToken=CAUQAA&part=id'), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.json()).toEqual({ items: [], nextPageToken: 'NEXT' });
+    const upstream = new URL(fetchMock.mock.calls[0][0]);
+    expect(upstream.pathname).toBe('/youtube/v3/playlistItems');
+    expect(upstream.searchParams.get('part')).toBe('snippet,contentDetails,status');
+    expect(upstream.searchParams.get('pageToken')).toBe('CAUQAA');
+    expect(upstream.searchParams.get('maxResults')).toBe('50');
+    expect(upstream.searchParams.get('key')).toBe('yt-key');
+  });
+
+  it('rejects unknown resources and malformed params without calling upstream', async () => {
+    const fetchMock = vi.fn();
+    global.fetch = fetchMock;
+    const { default: handler } = await loadHandler();
+
+    const unknown = createRes();
+    await handler(createReq('/api/youtube/search?q=burial'), unknown);
+    expect(unknown.statusCode).toBe(404);
+
+    const invalid = createRes();
+    await handler(createReq('/api/youtube/videos?id=a%20b'), invalid);
+    expect(invalid.statusCode).toBe(400);
+    expect(invalid.json()).toMatchObject({ error: 'invalid_params' });
+
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  it('rejects requests from disallowed origins', async () => {
+    global.fetch = vi.fn();
+    const { default: handler } = await loadHandler();
+
+    const res = createRes();
+    await handler(createReq('/api/youtube/playlists?id=PL123', { origin: 'https://evil.example.com' }), res);
+
+    expect(res.statusCode).toBe(403);
+    expect(res.json()).toMatchObject({ error: 'origin_not_allowed' });
+    expect(res.getHeader('access-control-allow-origin')).toBeUndefined();
+  });
+
+  it('returns 500 when the API key is missing', async () => {
+    delete process.env.YOUTUBE_API_KEY;
+    global.fetch = vi.fn();
+    const { default: handler } = await loadHandler();
+
+    const res = createRes();
+    await handler(createReq('/api/youtube/playlists?id=PL123'), res);
+
+    expect(res.statusCode).toBe(500);
+    expect(res.json()).toMatchObject({ error: 'missing_credentials' });
+  });
+
+  it('maps quota errors to 429 and passes other upstream statuses through', async () => {
+    global.fetch = vi
+      .fn()
+      .mockResolvedValueOnce(jsonResponse({ error: { code: 403, errors: [{ reason: 'quotaExceeded' }] } }, 403))
+      .mockResolvedValueOnce(jsonResponse({ error: { code: 404, errors: [{ reason: 'playlistNotFound' }] } }, 404))
+      .mockResolvedValueOnce(jsonResponse({ error: { code: 503 } }, 503));
+    const { default: handler } = await loadHandler();
+
+    const quota = createRes();
+    await handler(createReq('/api/youtube/playlistItems?playlistId=PL123'), quota);
+    expect(quota.statusCode).toBe(429);
+    expect(quota.json()).toMatchObject({ error: 'quota_exceeded' });
+
+    const missing = createRes();
+    await handler(createReq('/api/youtube/playlistItems?playlistId=PL123'), missing);
+    expect(missing.statusCode).toBe(404);
+    expect(missing.json()).toMatchObject({ error: 'playlistNotFound' });
+
+    const down = createRes();
+    await handler(createReq('/api/youtube/playlistItems?playlistId=PL123'), down);
+    expect(down.statusCode).toBe(502);
+  });
+
+  it('enforces rate limiting per IP address', async () => {
+    process.env.YOUTUBE_PROXY_RATE_LIMIT_MAX = '2';
+    global.fetch = vi.fn().mockImplementation(async () => jsonResponse({ items: [] }));
+    const { default: handler, __resetRateLimitStateForTests } = await loadHandler();
+    __resetRateLimitStateForTests();
+
+    const statuses = [];
+    for (let i = 0; i < 3; i += 1) {
+      const res = createRes();
+      await handler(createReq('/api/youtube/playlists?id=PL123', { ip: '10.0.0.1' }), res);
+      statuses.push(res.statusCode);
+    }
+
+    expect(statuses).toEqual([200, 200, 429]);
+    const other = createRes();
+    await handler(createReq('/api/youtube/playlists?id=PL123', { ip: '10.0.0.2' }), other);
+    expect(other.statusCode).toBe(200);
+  });
+});
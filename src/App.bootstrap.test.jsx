@@ -96,6 +96,8 @@ vi.mock('./utils/storage.js', () => ({
   loadRecent: loadRecentMock,
   saveRecent: saveRecentMock,
   upsertRecent: upsertRecentMock,
+  getKeymapPreference: vi.fn(() => null),
+  setKeymapPreference: vi.fn((keymap) => keymap),
 }))
 
 vi.mock('./lib/apiClient.js', () => ({
@@ -1,5 +1,5 @@
 // src/App.jsx
-import { useEffect, useState, useRef, useCallback, useMemo } from 'react'
+import { useContext, useEffect, useState, useRef, useCallback, useMemo } from 'react'
 import LiveRegion from './components/LiveRegion.jsx'
 import RecoveryModal from './components/RecoveryModal.jsx'
 import RestoreDialog from './components/RestoreDialog.jsx'
@@ -10,6 +10,8 @@ import {
   clearPendingMigrationSnapshot,
   writeAutoBackupSnapshot,
   stashPendingMigrationSnapshot,
+  getKeymapPreference,
+  setKeymapPreference,
 } from './utils/storage.js'
 import { normalizeTag } from './features/tags/tagUtils.js'
 import { STOCK_TAGS } from './features/tags/constants.js'
@@ -41,11 +43,47 @@ import { isPodcastImportEnabled } from './utils/podcastFlags.js'
 
 // NEW: inline undo
 import useInlineUndo from './features/undo/useInlineUndo.js'
-import { cancelNoteDeletion } from './features/notes/noteDeleteQueue.js'
+import HistoryPanel from './features/undo/HistoryPanel.jsx'
 import PlaylistView from './features/playlist/PlaylistView.jsx'
 import PodcastView from './features/podcast/PodcastView.jsx'
 import AccountView from './features/account/AccountView.jsx'
+import LibraryView from './features/library/LibraryView.jsx'
+import useLibraryTracks from './features/library/useLibraryTracks.js'
+import useTrackLinking from './features/identity/useTrackLinking.js'
+import {
+  EXPORT_FORMAT,
+  EXPORT_FORMAT_INFO,
+  buildExportFileName,
+  buildTimeline,
+  formatExport,
+} from './features/export/exportNotes.js'
+import { saveFile } from './utils/saveFile.js'
+import BackupMergeDialog from './features/backup/BackupMergeDialog.jsx'
+import { applyBackupMerge, planBackupMerge, readBackupPayload } from './features/backup/backupMerge.js'
+import { diffNotesAndTags, rebaseRestoredNotes } from './features/backup/notesDiff.js'
+import BackupPassphraseDialog from './features/backup/BackupPassphraseDialog.jsx'
+import { importSavedFilters, loadSavedFilters, planSavedFilterImport } from './features/filter/savedFilters.js'
+import KeyboardShortcutsDialog from './features/keyboard/KeyboardShortcutsDialog.jsx'
+import CommandPalette from './features/commands/CommandPalette.jsx'
+import { CommandRegistryContext } from './features/commands/commandContext.js'
+import { createCommandRegistry } from './features/commands/commandRegistry.js'
+import useAppCommands from './features/commands/useAppCommands.js'
+import {
+  BACKUP_CRYPTO_ERROR,
+  BackupCryptoError,
+  decryptBackup,
+  encryptBackup,
+  isEncryptedBackup,
+} from './features/backup/backupCrypto.js'
+import useRestorePoints from './features/backup/useRestorePoints.js'
+import useHistoryRouting, { resolveInitialScreen } from './features/routing/useHistoryRouting.js'
+import NoteConflictDialog from './features/notes/NoteConflictDialog.jsx'
+import PendingChangesIndicator from './features/sync/PendingChangesIndicator.jsx'
+import { NOTE_CONFLICT_CHOICE } from './features/notes/noteConflicts.js'
 import useDeviceRecovery from './features/account/useDeviceRecovery.js'
+import useSpotifyLink from './features/account/useSpotifyLink.js'
+import useBatchImport from './features/import/useBatchImport.js'
+import { isDaylistTitle, isSnapshotSourceUrl } from './features/recent/daylistSnapshots.js'
 import { useGlobalKeybindings } from './hooks/useGlobalKeybindings.js'
 
 // Extracted helpers
@@ -70,8 +108,10 @@ import {
   usePlaylistTracks,
   usePlaylistNotesByTrack,
   usePlaylistTagsByTrack,
+  usePlaylistOrphanedTracks,
   usePlaylistDerived,
   usePlaylistSync,
+  usePlaylistHistory,
 } from './features/playlist/usePlaylistContext.js'
 import { useNoteHandlers } from './features/notes/useNoteHandlers.js'
 import buildInitialPlaylistState from './features/playlist/buildInitialPlaylistState.js'
@@ -85,7 +125,7 @@ const PODCASTS_ENABLED = isPodcastImportEnabled()
  *  pendingMigrationSnapshot: any,
  *  initialRecents: any,
  *  persistedTracks: any,
- *  initialScreen: 'landing' | 'playlist' | 'podcast' | 'account',
+ *  initialScreen: 'landing' | 'playlist' | 'podcast' | 'library' | 'account',
  *  onAnonContextChange: Function,
  *  initialSyncStatus: BackgroundSyncState
  * }} props
@@ -101,9 +141,10 @@ function AppInner({
 }) {
   const migrationSnapshotRef = useRef(pendingMigrationSnapshot)
 
-  // SIMPLE "ROUTING"
+  // Screen state; useHistoryRouting below keeps it in step with the URL
   const [screen, setScreen] = useState(
-    /** @type {'landing' | 'playlist' | 'podcast' | 'account'} */(initialScreen)
+    /** @type {() => 'landing' | 'playlist' | 'podcast' | 'library' | 'account'} */
+    (() => resolveInitialScreen(initialScreen, persisted?.importMeta))
   )
   const goToLanding = useCallback(() => { setScreen('landing') }, [setScreen])
 
@@ -139,8 +180,26 @@ function AppInner({
   const tracks = usePlaylistTracks()
   const notesByTrack = usePlaylistNotesByTrack()
   const tagsByTrack = usePlaylistTagsByTrack()
+  const orphanedTracks = usePlaylistOrphanedTracks()
   const { hasLocalNotes, allCustomTags } = usePlaylistDerived()
-  const { syncTrackTags } = usePlaylistSync()
+  const {
+    syncTrackTags,
+    syncNote,
+    syncNoteEdit,
+    syncNoteDelete,
+    cancelNoteDelete,
+    pendingChanges,
+    flushPendingChanges,
+    noteConflicts,
+    resolveNoteConflict,
+    syncNotesDiff,
+  } = usePlaylistSync()
+  const {
+    past: historyPast,
+    future: historyFuture,
+    undo: undoHistory,
+    redo: redoHistory,
+  } = usePlaylistHistory()
   const tracksRef = useRef(tracks)
   const [skipPlaylistFocusManagement, setSkipPlaylistFocusManagement] = useState(false)
   const firstVisibleTrackIdRef = useRef(null)
@@ -187,17 +246,27 @@ function AppInner({
     isAnyImportBusy,
     showInitialSpinner,
     showReimportSpinner,
+    showCheckUpdatesSpinner,
     showLoadMoreSpinner,
     handleImport,
+    handleImportTracklist,
     handleImportDemo,
     handleSelectRecent: handleSelectRecentInternal,
     handleReimport,
+    handleCheckForUpdates,
+    handleSnapshotDaylist,
+    pendingUpdate,
+    handleApplyUpdate,
+    handleDismissUpdate,
     handleLoadMore,
     cancelBackgroundPagination,
     backgroundSync,
     resetImportFlow,
     isRefreshingCachedData,
     cachedViewInfo,
+    cachedPlaylists,
+    syncAnnotations,
+    rememberImportResult,
   } = usePlaylistImportController({
     dispatch,
     announce,
@@ -228,6 +297,19 @@ function AppInner({
 
   // Derive isDemoPlaylist from provider (no separate state needed)
   const isDemoPlaylist = importMeta.provider === 'demo'
+  // Frozen daylist copies load from this device and are never re-imported
+  const isDaylistSnapshot = isSnapshotSourceUrl(lastImportUrl)
+
+  const {
+    points: restorePoints,
+    captureNow: captureRestorePointNow,
+  } = useRestorePoints({
+    enabled: !isDemoPlaylist,
+    playlistTitle,
+    importMeta,
+    notesByTrack,
+    tagsByTrack,
+  })
 
   // Calculate note count for recovery threshold (exclude demo playlists)
   const noteCountForRecovery = useMemo(() => {
@@ -280,6 +362,53 @@ function AppInner({
     [handleSelectRecentInternal],
   )
 
+  const { trackFocusRequest } = useHistoryRouting({
+    screen,
+    setScreen,
+    importMeta,
+    tracks,
+    recents: recentPlaylists,
+    cachedPlaylists,
+    openPlaylist: handleSelectRecent,
+    announce,
+    podcastsEnabled: PODCASTS_ENABLED,
+  })
+
+  const libraryTracks = useLibraryTracks({
+    recents: recentPlaylists,
+    cachedPlaylists,
+    currentMeta: importMeta,
+    currentTitle: playlistTitle,
+    currentSourceUrl: lastImportUrl,
+  })
+  const trackLinking = useTrackLinking({ candidates: libraryTracks, announce })
+
+  const handleOpenLibrarySource = useCallback(
+    /** @param {import('./features/library/buildLibraryTracks.js').LibrarySource} source */
+    (source) => {
+      const currentKey =
+        importMeta?.provider && importMeta?.playlistId
+          ? `${importMeta.provider}:${importMeta.playlistId}`
+          : null
+      const isCurrent =
+        tracks.length > 0 &&
+        ((currentKey && currentKey === source.id) ||
+          (Boolean(lastImportUrl) && lastImportUrl === source.sourceUrl))
+      if (isCurrent) {
+        setScreen('playlist')
+        return
+      }
+      const recent = recentPlaylists.find((item) => item.id === source.id) ?? {
+        id: source.id,
+        provider: source.provider,
+        title: source.title,
+        sourceUrl: source.sourceUrl,
+      }
+      void handleSelectRecent(recent)
+    },
+    [handleSelectRecent, importMeta, lastImportUrl, recentPlaylists, setScreen, tracks.length],
+  )
+
   // OLD: These state variables moved to playlistReducer
   // const [editingId, setEditingId] = useState(null)
   // const [draft, setDraft] = useState('')
@@ -289,6 +418,16 @@ function AppInner({
   const notesByTrackRef = useRef(notesByTrack)
   const tagsByTrackRef = useRef(tagsByTrack)
   const backupFileInputRef = useRef(null)
+  const [backupMerge, setBackupMerge] = useState(
+    /** @type {{
+      plan: import('./features/backup/backupMerge.js').BackupMergePlan,
+      label: string,
+      savedFilters: import('./features/filter/savedFilters.js').SavedFilter[],
+    } | null} */ (null),
+  )
+  const [backupPassphrase, setBackupPassphrase] = useState(
+    /** @type {{ mode: 'encrypt' | 'decrypt', envelope: any, busy: boolean, error: string | null } | null} */ (null),
+  )
 
   // Sync refs when state changes
   useEffect(() => {
@@ -317,13 +456,22 @@ function AppInner({
       const { trackId, note, index, restoreFocusId, fallbackFocusId } = meta
       if (!note) return
 
-      // Cancel pending deletion from queue before restoring
-      if (note.id) {
-        cancelNoteDeletion(note.id)
+      // Undo through the history so redo and the server stay in step
+      const entry = historyPast.find((item) => item.kind === 'note:delete' && item.note === note)
+      if (entry) {
+        undoHistory(entry.id)
+      } else {
+        // Older than the history keeps: cancel the queued delete, or save the note again
+        let restored = note
+        if (note.id && !cancelNoteDelete(note.id)) {
+          const { revision: _revision, ...recreated } = note
+          restored = recreated
+          syncNote(trackId, note.body, note.timestampMs ?? null, note.id).catch((err) => {
+            console.error('[note undo] resync failed', err)
+          })
+        }
+        dispatch(playlistActions.restoreNote(trackId, restored, index))
       }
-
-      // Restore note using reducer
-      dispatch(playlistActions.restoreNote(trackId, note, index))
       announce('Note restored')
 
       requestAnimationFrame(() => {
@@ -401,31 +549,6 @@ function AppInner({
     [deviceId, anonId]
   )
 
-  const syncNote = useCallback(
-    async (trackId, body, timestampMs, noteId) => {
-      if (!anonContext?.deviceId) {
-        console.warn('[note save] missing device id, skipping sync')
-        return
-      }
-      const payload = { trackId, body }
-      if (noteId) {
-        payload.noteId = noteId
-      }
-      if (typeof timestampMs === 'number' && Number.isFinite(timestampMs)) {
-        payload.timestampMs = timestampMs
-      }
-      const response = await apiFetch('/api/db/notes', {
-        method: 'POST',
-        body: JSON.stringify(payload),
-      })
-      if (!response.ok) {
-        const payload = await response.json().catch(() => ({}))
-        throw new Error(payload?.error ?? 'Failed to save note')
-      }
-    },
-    [anonContext?.deviceId],
-  )
-
   const {
     editingId,
     draft,
@@ -434,17 +557,32 @@ function AppInner({
     onAddNote,
     onSaveNote,
     onCancelNote,
+    onEditNote,
     onDeleteNote,
   } = useNoteHandlers({
     announce,
     scheduleInlineUndo,
     syncNote,
+    syncNoteEdit,
+    syncNoteDelete,
     onTimestampDiscovered: handleTimestampDiscovered,
   })
 
-  const handleOpenSpotifyLink = useCallback(() => {
-    announce('Spotify linking is coming soon.')
-  }, [announce])
+  const {
+    linked: spotifyLinked,
+    linkedAt: spotifyLinkedAt,
+    busy: spotifyLinkBusy,
+    error: spotifyLinkError,
+    linkSpotify,
+    revokeSpotify,
+  } = useSpotifyLink({ announce })
+  const {
+    batchItems,
+    batchRunning,
+    startBatchImport,
+    cancelBatchImport,
+    clearBatchImport,
+  } = useBatchImport({ announce, pushRecentPlaylist, rememberImportResult })
 
   // REIMPORT focus pattern
   useEffect(() => {
@@ -626,8 +764,9 @@ function AppInner({
       importMeta,
       notesByTrack,
       tagsByTrack,
+      orphanedTracks,
     })
-  }, [playlistTitle, importedAt, lastImportUrl, tracks, importMeta, notesByTrack, tagsByTrack])
+  }, [playlistTitle, importedAt, lastImportUrl, tracks, importMeta, notesByTrack, tagsByTrack, orphanedTracks])
 
   // 🔐 Safety: if you somehow land on the playlist screen with zero tracks, bounce to landing
   useEffect(() => {
@@ -636,17 +775,61 @@ function AppInner({
     }
   }, [screen, tracks.length, goToLanding])
 
-  const undoShortcut = pending.size > 0 ? undoInline : null
+  const [keymap, setKeymap] = useState(() => getKeymapPreference())
+  const [shortcutsOpen, setShortcutsOpen] = useState(false)
+  const openShortcuts = useCallback(() => setShortcutsOpen(true), [])
+  const closeShortcuts = useCallback(() => setShortcutsOpen(false), [])
+  const handleKeymapChange = useCallback((next) => {
+    setKeymap(setKeymapPreference(next))
+  }, [])
+
+  const commandRegistry = useContext(CommandRegistryContext)
+  const [paletteOpen, setPaletteOpen] = useState(false)
+  const openPalette = useCallback(() => setPaletteOpen(true), [])
+  const closePalette = useCallback(() => setPaletteOpen(false), [])
+
+  const handleHistoryUndo = useCallback(() => {
+    const latest = historyPast[historyPast.length - 1]
+    if (!latest) return
+    // A delete whose inline placeholder is still showing goes through it, so focus lands on the note
+    if (latest.kind === 'note:delete') {
+      for (const [pendingId, meta] of pending) {
+        if (meta?.note === latest.note) {
+          undoInline(pendingId)
+          return
+        }
+      }
+    }
+    const entry = undoHistory()
+    if (entry) announce(`Undid: ${entry.label}.`)
+  }, [historyPast, pending, undoInline, undoHistory, announce])
+
+  const handleHistoryRedo = useCallback(() => {
+    const entry = redoHistory()
+    if (entry) announce(`Redid: ${entry.label}.`)
+  }, [redoHistory, announce])
+
+  let undoShortcut = null
+  if (historyPast.length > 0) undoShortcut = handleHistoryUndo
+  else if (pending.size > 0) undoShortcut = undoInline
   useGlobalKeybindings({
     onUndo: undoShortcut,
+    onRedo: historyFuture.length > 0 ? handleHistoryRedo : null,
     onJumpHome: goToLanding,
     homeFocusRef: landingTitleRef,
+    keymap,
+    onShowHelp: openShortcuts,
+    onOpenPalette: openPalette,
   })
 
   // ===== tiny extracted handlers =====
   function handleImportUrlChange(e) { setImportUrl(e.target.value); setImportError(null) }
 
-  const handleBackupNotes = async () => {
+  /**
+   * @param {string | null} passphrase - Encrypts the file when set
+   * @returns {Promise<void>}
+   */
+  const downloadBackup = async (passphrase) => {
     try {
       const payload = {
         version: 1,
@@ -660,53 +843,71 @@ function AppInner({
         },
         notesByTrack: cloneNotesMap(notesByTrackRef.current),
         tagsByTrack: cloneTagsMap(tagsByTrackRef.current),
+        savedFilters: loadSavedFilters(),
       }
-      const json = JSON.stringify(payload, null, 2)
+      const json = passphrase
+        ? JSON.stringify(await encryptBackup(payload, passphrase), null, 2)
+        : JSON.stringify(payload, null, 2)
       const blob = new Blob([json], { type: 'application/json' })
       const timestamp = new Date().toISOString().replace(/[:]/g, '-')
-      const suggestedName = `playlist-notes-backup-${timestamp}.json`
-
-      if (typeof window !== 'undefined' && 'showSaveFilePicker' in window) {
-        try {
-          const picker = /** @type {any} */ (window).showSaveFilePicker
-          const handle = await picker({
-            suggestedName,
-            types: [
-              {
-                description: 'Playlist Notes backup',
-                accept: { 'application/json': ['.json'] },
-              },
-            ],
-          })
-          const writable = await handle.createWritable()
-          await writable.write(blob)
-          await writable.close()
-          announce('Notes exported to the selected file.')
-          return
-        } catch (err) {
-          if (err?.name === 'AbortError') {
-            announce('Backup cancelled.')
-            return
-          }
-          throw err
-        }
-      }
-
-      const url = URL.createObjectURL(blob)
-      const anchor = document.createElement('a')
-      anchor.href = url
-      anchor.download = suggestedName
-      document.body.appendChild(anchor)
-      anchor.click()
-      document.body.removeChild(anchor)
-      URL.revokeObjectURL(url)
-      announce('Notes backup downloaded.')
+      const result = await saveFile(blob, {
+        suggestedName: `playlist-notes-backup-${timestamp}${passphrase ? '-encrypted' : ''}.json`,
+        description: 'Playlist Notes backup',
+        mimeType: 'application/json',
+        extension: 'json',
+      })
+      if (result === 'cancelled') announce('Backup cancelled.')
+      else if (result === 'saved') announce('Notes exported to the selected file.')
+      else announce('Notes backup downloaded.')
     } catch (err) {
       console.error('[notes backup error]', err)
       announce('Backup failed. Please try again.')
     }
   }
 
+  const handleBackupNotes = () => downloadBackup(null)
+
+  const handleEncryptedBackupRequest = () => {
+    setBackupPassphrase({ mode: 'encrypt', envelope: null, busy: false, error: null })
+  }
+
+  /** @param {import('./features/export/exportNotes.js').ExportFormat} format */
+  const handleExportNotes = async (format) => {
+    const info = EXPORT_FORMAT_INFO[format]
+    try {
+      const input = {
+        title: playlistTitle,
+        sourceUrl: importMeta?.sourceUrl ?? lastImportUrl ?? '',
+        tracks,
+        notesByTrack: notesByTrackRef.current,
+        tagsByTrack: tagsByTrackRef.current,
+        generatedAt: new Date().toISOString(),
+      }
+      const blob = new Blob([formatExport(format, input)], { type: `${info.mimeType};charset=utf-8` })
+      const result = await saveFile(blob, {
+        suggestedName: buildExportFileName(playlistTitle, format),
+        description: info.label,
+        mimeType: info.mimeType,
+        extension: info.extension,
+      })
+      if (result === 'cancelled') {
+        announce('Export cancelled.')
+        return
+      }
+      const isTimeline = format === EXPORT_FORMAT.AUDACITY || format === EXPORT_FORMAT.REAPER
+      const skipped = isTimeline ? buildTimeline(input).skipped : 0
+      announce(
+        `${info.label} export ${result === 'saved' ? 'saved' : 'downloaded'}.` +
+          (skipped > 0
+            ? ` ${skipped} timestamped ${skipped === 1 ? 'note was' : 'notes were'} left out because a track length is unknown.`
+            : ''),
+      )
+    } catch (err) {
+      console.error('[notes export error]', err)
+      announce('Export failed. Please try again.')
+    }
+  }
+
   const handleRestoreNotesRequest = () => {
     backupFileInputRef.current?.click()
   }
@@ -716,41 +917,13 @@ function AppInner({
     const file = input?.files?.[0]
     if (!file) return
     try {
-      const text = await file.text()
-      const parsed = JSON.parse(text)
-      const importedMap = cloneNotesMap(parsed?.notesByTrack)
-      const merged = cloneNotesMap(notesByTrackRef.current)
-      Object.entries(importedMap).forEach(([id, notes]) => {
-        merged[id] = [...notes]
-      })
-      const importedTags = cloneTagsMap(parsed?.tagsByTrack)
-      const mergedTags = cloneTagsMap(tagsByTrackRef.current)
-      Object.entries(importedTags).forEach(([id, tags]) => {
-        const existing = Array.isArray(mergedTags[id]) ? [...mergedTags[id]] : []
-        const combined = [...existing]
-        tags.forEach((tag) => {
-          const normalized = normalizeTag(tag)
-          if (normalized && !combined.includes(normalized)) {
-            combined.push(normalized)
-          }
-        })
-        if (combined.length > 0) {
-          mergedTags[id] = combined
-        }
-      })
-      const nextMap = ensureNotesEntries(merged, tracks)
-      const nextTagsMap = ensureTagsEntries(mergedTags, tracks)
-
-      // Update via reducer (preserve existing provider)
-      dispatch(playlistActions.setTracksWithNotes(
-        tracks,
-        nextMap,
-        nextTagsMap,
-        tracks,
-        null,
-        importMeta.provider
-      ))
-      announce('Notes restored from backup.')
+      const parsed = JSON.parse(await file.text())
+      if (isEncryptedBackup(parsed)) {
+        setBackupPassphrase({ mode: 'decrypt', envelope: parsed, busy: false, error: null })
+        announce('This backup is encrypted. Enter its passphrase to continue.')
+        return
+      }
+      openBackup(parsed)
     } catch (err) {
       console.error('[notes restore error]', err)
       announce('Restore failed. Please verify the file.')
@@ -759,6 +932,171 @@ function AppInner({
     }
   }
 
+  /** @param {any} parsed - Plain backup payload */
+  const openBackup = (parsed) => {
+    const backup = readBackupPayload(parsed)
+    const plan = planBackupMerge({
+      localNotes: notesByTrackRef.current,
+      localTags: tagsByTrackRef.current,
+      backupNotes: backup.notesByTrack,
+      backupTags: backup.tagsByTrack,
+      tracks: [...tracks, ...libraryTracks],
+    })
+    // Saved filters are only ever added, so they need no review
+    const savedFilters = planSavedFilterImport(loadSavedFilters(), backup.savedFilters)
+    if (plan.tracks.length === 0) {
+      if (savedFilters.length > 0) {
+        const added = importSavedFilters(savedFilters)
+        announce(`Added ${added} saved ${added === 1 ? 'filter' : 'filters'} from the backup. Your notes are unchanged.`)
+        return
+      }
+      announce('This backup has nothing new. Your notes are unchanged.')
+      return
+    }
+    const backupDate = backup.generatedAt ? new Date(backup.generatedAt) : null
+    const label = [
+      backup.playlistTitle,
+      backupDate && !Number.isNaN(backupDate.getTime()) ? backupDate.toLocaleDateString() : '',
+    ]
+      .filter(Boolean)
+      .join(', ')
+    setBackupMerge({ plan, label, savedFilters })
+    announce(
+      `Backup loaded. ${plan.totals.added} notes to add, ${plan.totals.conflicts} conflicts to review.`,
+    )
+  }
+
+  /** @param {string} passphrase */
+  const handleSubmitBackupPassphrase = async (passphrase) => {
+    const prompt = backupPassphrase
+    if (!prompt || prompt.busy) return
+    setBackupPassphrase({ ...prompt, busy: true, error: null })
+    if (prompt.mode === 'encrypt') {
+      await downloadBackup(passphrase)
+      setBackupPassphrase(null)
+      return
+    }
+    try {
+      openBackup(await decryptBackup(prompt.envelope, passphrase))
+      setBackupPassphrase(null)
+    } catch (err) {
+      const code = err instanceof BackupCryptoError ? err.code : null
+      const error =
+        code === BACKUP_CRYPTO_ERROR.WRONG_PASSPHRASE
+          ? 'That passphrase does not open this backup. Check it and try again.'
+          : code === BACKUP_CRYPTO_ERROR.UNSUPPORTED
+            ? 'This backup was made by a newer version of the app or needs a browser with WebCrypto.'
+            : 'This backup file is damaged and cannot be decrypted.'
+      if (code !== BACKUP_CRYPTO_ERROR.WRONG_PASSPHRASE) console.error('[notes restore error]', err)
+      setBackupPassphrase({ ...prompt, busy: false, error })
+      announce(error)
+    }
+  }
+
+  const handleCancelBackupPassphrase = () => {
+    const mode = backupPassphrase?.mode
+    setBackupPassphrase(null)
+    announce(mode === 'encrypt' ? 'Backup cancelled.' : 'Restore cancelled. Your notes are unchanged.')
+  }
+
+  /** @param {Record<string, import('./features/backup/backupMerge.js').ConflictResolution>} resolutions */
+  const handleApplyBackupMerge = (resolutions) => {
+    if (!backupMerge) return
+    const { notesByTrack: mergedNotes, tagsByTrack: mergedTags } = applyBackupMerge({
+      localNotes: notesByTrackRef.current,
+      localTags: tagsByTrackRef.current,
+      plan: backupMerge.plan,
+      resolutions,
+    })
+    const nextMap = ensureNotesEntries(mergedNotes, tracks)
+    const nextTagsMap = ensureTagsEntries(mergedTags, tracks)
+    const diff = diffNotesAndTags({
+      beforeNotes: notesByTrackRef.current,
+      afterNotes: nextMap,
+      beforeTags: tagsByTrackRef.current,
+      afterTags: nextTagsMap,
+    })
+
+    // Update via reducer (preserve existing provider)
+    dispatch(playlistActions.setTracksWithNotes(
+      tracks,
+      nextMap,
+      nextTagsMap,
+      tracks,
+      null,
+      importMeta.provider
+    ))
+    syncNotesDiff(diff).catch((err) => {
+      console.error('[backup merge] sync failed', err)
+      announce('Some restored notes could not be synced. They are kept on this device.')
+    })
+    const addedFilters = importSavedFilters(backupMerge.savedFilters)
+    setBackupMerge(null)
+    announce(
+      addedFilters > 0
+        ? `Notes restored from backup, with ${addedFilters} saved ${addedFilters === 1 ? 'filter' : 'filters'}.`
+        : 'Notes restored from backup.',
+    )
+  }
+
+  /**
+   * @param {string} key
+   * @param {import('./features/notes/noteConflicts.js').NoteConflictChoice} choice
+   */
+  const handleResolveNoteConflict = (key, choice) => {
+    resolveNoteConflict(key, choice)
+      .then(() => {
+        announce(
+          choice === NOTE_CONFLICT_CHOICE.BOTH
+            ? 'Kept both versions of the note.'
+            : choice === NOTE_CONFLICT_CHOICE.THEIRS
+              ? 'Kept the version from the other device.'
+              : 'Kept your version of the note.',
+        )
+      })
+      .catch((err) => {
+        console.error('[note conflict] error', err)
+        announce('Could not sync your choice. It is saved on this device.')
+      })
+  }
+
+  /** @param {import('./features/backup/restorePoints.js').RestorePoint} point */
+  const handleRestorePoint = (point) => {
+    // Keep what is about to be replaced so the restore itself can be undone
+    captureRestorePointNow('before-restore')
+    const restoredNotes = rebaseRestoredNotes(cloneNotesMap(point.notesByTrack), notesByTrackRef.current)
+    const nextMap = ensureNotesEntries(restoredNotes, tracks)
+    const nextTagsMap = ensureTagsEntries(cloneTagsMap(point.tagsByTrack), tracks)
+    const diff = diffNotesAndTags({
+      beforeNotes: notesByTrackRef.current,
+      afterNotes: nextMap,
+      beforeTags: tagsByTrackRef.current,
+      afterTags: nextTagsMap,
+    })
+    dispatch(playlistActions.setTracksWithNotes(
+      tracks,
+      nextMap,
+      nextTagsMap,
+      tracks,
+      null,
+      importMeta.provider
+    ))
+    syncNotesDiff(diff).catch((err) => {
+      console.error('[restore point] sync failed', err)
+      announce('Some restored notes could not be synced. They are kept on this device.')
+    })
+    // Replacing every note starts the undo history over; the restore point taken just
+    // before is the way back.
+    announce(
+      'Notes restored from restore point. Undo history was reset; the notes you had are saved as a restore point.',
+    )
+  }
+
+  const handleCancelBackupMerge = () => {
+    setBackupMerge(null)
+    announce('Restore cancelled. Your notes are unchanged.')
+  }
+
   const handleClearAll = () => {
     cancelBackgroundPagination({ resetHistory: true })
     // Reset transient UI and timers
@@ -841,16 +1179,14 @@ function AppInner({
       const title = tracks.find((t) => t.id === trackId)?.title ?? 'this track'
       announce(`Added tag "${normalized}" to "${title}".`)
 
-      // Sync to remote
-      if (anonContext?.deviceId) {
-        const updatedTags = [...existingTags, normalized]
-        syncTrackTags(trackId, updatedTags).catch(() => {
-          announce('Tag sync failed. Changes are saved locally.')
-        })
-      }
+      // Queued in the outbox until a device is linked and the server is reachable
+      const updatedTags = [...existingTags, normalized]
+      syncTrackTags(trackId, updatedTags).catch(() => {
+        announce('Tag sync failed. Changes are saved locally.')
+      })
       return { success: true, tag: normalized }
     },
-    [announce, anonContext?.deviceId, syncTrackTags, tagsByTrack, tracks, dispatch],
+    [announce, syncTrackTags, tagsByTrack, tracks, dispatch],
   )
 
   const handleRemoveTag = useCallback(
@@ -868,15 +1204,13 @@ function AppInner({
       const title = tracks.find((t) => t.id === trackId)?.title ?? 'this track'
       announce(`Removed tag "${normalized}" from "${title}".`)
 
-      // Sync to remote
-      if (anonContext?.deviceId) {
-        const filtered = existing.filter((value) => value !== normalized)
-        syncTrackTags(trackId, filtered).catch(() => {
-          announce('Tag sync failed. Changes are saved locally.')
-        })
-      }
+      // Queued in the outbox until a device is linked and the server is reachable
+      const filtered = existing.filter((value) => value !== normalized)
+      syncTrackTags(trackId, filtered).catch(() => {
+        announce('Tag sync failed. Changes are saved locally.')
+      })
     },
-    [announce, anonContext?.deviceId, syncTrackTags, tagsByTrack, tracks, dispatch],
+    [announce, syncTrackTags, tagsByTrack, tracks, dispatch],
   )
 
   const musicTracks = useMemo(
@@ -891,6 +1225,22 @@ function AppInner({
   const hasPodcastTracks = podcastTracks.length > 0
   const hasAnyTracks = Array.isArray(tracks) && tracks.length > 0
 
+  useAppCommands(commandRegistry, {
+    hasMusicTracks,
+    hasPodcastTracks,
+    podcastsEnabled: PODCASTS_ENABLED,
+    canExportNotes: hasAnyTracks,
+    recents: recentPlaylists,
+    setScreen,
+    focusImportInput: () => setTimeout(() => importInputRef.current?.focus(), 0),
+    onSelectRecent: handleSelectRecent,
+    onBackupNotes: handleBackupNotes,
+    onBackupNotesEncrypted: handleEncryptedBackupRequest,
+    onExportNotes: handleExportNotes,
+    onShowKeyboardShortcuts: openShortcuts,
+    announce,
+  })
+
   useEffect(() => {
     /** @type {'landing' | 'playlist' | 'podcast' | null} */
     let nextScreen = null
@@ -927,6 +1277,9 @@ function AppInner({
 
   const renderCollectionView = (viewMode) => {
     const ViewComponent = viewMode === 'podcast' ? PodcastView : PlaylistView
+    const playlistOrphans = orphanedTracks.filter(
+      (orphan) => !orphan.playlistId || orphan.playlistId === importMeta.playlistId,
+    )
     const viewTracks = viewMode === 'podcast' ? podcastTracks : musicTracks
 
     return (
@@ -947,6 +1300,7 @@ function AppInner({
         onSaveNote={onSaveNote}
         onCancelNote={onCancelNote}
         onDeleteNote={onDeleteNote}
+        onEditNote={onEditNote}
         onAddTag={handleAddTag}
         onRemoveTag={handleRemoveTag}
         stockTags={STOCK_TAGS}
@@ -956,9 +1310,24 @@ function AppInner({
         onReimport={() => {
           void handleReimport()
         }}
+        onCheckForUpdates={() => {
+          void handleCheckForUpdates()
+        }}
+        showCheckUpdatesSpinner={showCheckUpdatesSpinner}
+        pendingUpdate={pendingUpdate}
+        onApplyUpdate={handleApplyUpdate}
+        onDismissUpdate={handleDismissUpdate}
+        orphanedTracks={playlistOrphans}
+        trackLinking={trackLinking}
         onClear={handleClearAll}
         onBack={goToLanding}
-        canReimport={Boolean(lastImportUrl)}
+        canReimport={Boolean(lastImportUrl) && importMeta.provider !== 'file' && !isDaylistSnapshot}
+        isDaylistSnapshot={isDaylistSnapshot}
+        onSnapshotDaylist={
+          importMeta.provider === 'spotify' && !isDaylistSnapshot && isDaylistTitle(playlistTitle)
+            ? handleSnapshotDaylist
+            : undefined
+        }
         reimportBtnRef={reimportBtnRef}
         loadMoreBtnRef={loadMoreBtnRef}
         onLoadMore={() => {
@@ -971,6 +1340,8 @@ function AppInner({
         cachedViewInfo={cachedViewInfo}
         skipFocusManagement={skipPlaylistFocusManagement}
         focusContext={trackFocusContext}
+        trackFocusRequest={trackFocusRequest}
+        keymap={keymap}
         onFirstVisibleTrackChange={handleFirstVisibleTrackChange}
         viewMode={viewMode === 'podcast' ? 'podcast' : 'playlist'}
         isDemoPlaylist={isDemoPlaylist}
@@ -1010,6 +1381,18 @@ function AppInner({
             </button>
           </h1>
           <div className="app-header__actions">
+            <PendingChangesIndicator
+              count={pendingChanges}
+              onSyncNow={() => {
+                flushPendingChanges().catch((err) => console.error('[outbox] sync now failed', err))
+              }}
+            />
+            <HistoryPanel
+              past={historyPast}
+              future={historyFuture}
+              onUndo={handleHistoryUndo}
+              onRedo={handleHistoryRedo}
+            />
             <nav className="app-nav" aria-label="Primary navigation">
               <button
                 type="button"
@@ -1047,6 +1430,14 @@ function AppInner({
                   Podcast
                 </button>
               )}
+              <button
+                type="button"
+                className={`app-nav__btn${screen === 'library' ? ' is-active' : ''}`}
+                onClick={() => setScreen('library')}
+                aria-current={screen === 'library' ? 'page' : undefined}
+              >
+                Library
+              </button>
               <button
                 type="button"
                 className={`app-nav__btn${screen === 'account' ? ' is-active' : ''}`}
@@ -1084,10 +1475,25 @@ function AppInner({
               regenerationError={recoveryRotationError}
               onOpenRestoreDialog={openRestoreDialog}
               onBackupNotes={handleBackupNotes}
+              onBackupNotesEncrypted={handleEncryptedBackupRequest}
+              onShowKeyboardShortcuts={openShortcuts}
+              onExportNotes={handleExportNotes}
+              canExportNotes={tracks.length > 0}
               onRestoreFromBackup={handleRestoreNotesRequest}
-              onOpenSpotifyLink={handleOpenSpotifyLink}
-              spotifyLinked={false}
-              spotifyAccountLabel=""
+              restorePoints={restorePoints}
+              onRestorePoint={handleRestorePoint}
+              currentNotesByTrack={notesByTrack}
+              currentTagsByTrack={tagsByTrack}
+              onLinkSpotify={() => {
+                void linkSpotify()
+              }}
+              onRevokeSpotify={() => {
+                void revokeSpotify()
+              }}
+              spotifyLinked={spotifyLinked}
+              spotifyLinkedAt={spotifyLinkedAt}
+              spotifyLinkBusy={spotifyLinkBusy}
+              spotifyLinkError={spotifyLinkError}
               emailLinkingEnabled={false}
               onRequestRecoveryModal={openRecoveryModal}
               showBackupPrompt={showBackupReminder}
@@ -1104,6 +1510,14 @@ function AppInner({
                   showInitialSpinner={showInitialSpinner}
                   importInputRef={importInputRef}
                   onImport={handleImport}
+                  onImportTracklist={handleImportTracklist}
+                  batchImport={{
+                    items: batchItems,
+                    running: batchRunning,
+                    onStart: startBatchImport,
+                    onCancel: cancelBatchImport,
+                    onClear: clearBatchImport,
+                  }}
                   recentPlaylists={recentPlaylists}
                   recentCardState={recentCardState}
                   onSelectRecent={handleSelectRecent}
@@ -1116,6 +1530,15 @@ function AppInner({
 
               {screen === 'playlist' && renderCollectionView('playlist')}
               {screen === 'podcast' && renderCollectionView('podcast')}
+              {screen === 'library' && (
+                <LibraryView
+                  tracks={libraryTracks}
+                  onOpenSource={handleOpenLibrarySource}
+                  onRefresh={syncAnnotations}
+                  isAnyImportBusy={isAnyImportBusy}
+                  announce={announce}
+                />
+              )}
             </>
           )}
         </main>
@@ -1138,6 +1561,28 @@ function AppInner({
         error={restoreError}
         hasLocalNotes={hasLocalNotes}
       />
+      <NoteConflictDialog conflicts={noteConflicts} tracks={tracks} onResolve={handleResolveNoteConflict} />
+      <BackupMergeDialog
+        plan={backupMerge?.plan ?? null}
+        backupLabel={backupMerge?.label}
+        savedFilterNames={backupMerge?.savedFilters.map((filter) => filter.name)}
+        onCancel={handleCancelBackupMerge}
+        onApply={handleApplyBackupMerge}
+      />
+      <BackupPassphraseDialog
+        mode={backupPassphrase?.mode ?? null}
+        busy={backupPassphrase?.busy}
+        error={backupPassphrase?.error}
+        onCancel={handleCancelBackupPassphrase}
+        onSubmit={handleSubmitBackupPassphrase}
+      />
+      <KeyboardShortcutsDialog
+        open={shortcutsOpen}
+        keymap={keymap}
+        onChangeKeymap={handleKeymapChange}
+        onClose={closeShortcuts}
+      />
+      <CommandPalette open={paletteOpen} onClose={closePalette} registry={commandRegistry} announce={announce} />
       <input
         ref={backupFileInputRef}
         type="file"
@@ -1153,7 +1598,7 @@ function AppInner({
 
 /**
  * Middle layer - provides device context to playlist provider
- * @param {{ persisted: any, pendingMigrationSnapshot: any, initialRecents: any, persistedTracks: any, initialScreen: 'landing' | 'playlist' | 'podcast' | 'account', initialPlaylistStateWithData: any }} props
+ * @param {{ persisted: any, pendingMigrationSnapshot: any, initialRecents: any, persistedTracks: any, initialScreen: 'landing' | 'playlist' | 'podcast' | 'library' | 'account', initialPlaylistStateWithData: any }} props
  */
 function AppWithDeviceContext({ persisted, pendingMigrationSnapshot, initialRecents, persistedTracks, initialScreen, initialPlaylistStateWithData }) {
   // Get initial device context from device state module
@@ -1175,6 +1620,7 @@ function AppWithDeviceContext({ persisted, pendingMigrationSnapshot, initialRece
   const handleInitialSyncStatusChange = useCallback((status) => {
     setInitialSyncStatus(status)
   }, [])
+  const commandRegistry = useMemo(createCommandRegistry, [])
 
   return (
     <PlaylistStateProvider
@@ -1182,15 +1628,17 @@ function AppWithDeviceContext({ persisted, pendingMigrationSnapshot, initialRece
       anonContext={anonContext}
       onInitialSyncStatusChange={handleInitialSyncStatusChange}
     >
-      <AppInner
-        persisted={persisted}
-        pendingMigrationSnapshot={pendingMigrationSnapshot}
-        initialRecents={initialRecents}
-        persistedTracks={persistedTracks}
-        initialScreen={initialScreen}
-        onAnonContextChange={setAnonContext}
-        initialSyncStatus={initialSyncStatus}
-      />
+      <CommandRegistryContext.Provider value={commandRegistry}>
+        <AppInner
+          persisted={persisted}
+          pendingMigrationSnapshot={pendingMigrationSnapshot}
+          initialRecents={initialRecents}
+          persistedTracks={persistedTracks}
+          initialScreen={initialScreen}
+          onAnonContextChange={setAnonContext}
+          initialSyncStatus={initialSyncStatus}
+        />
+      </CommandRegistryContext.Provider>
     </PlaylistStateProvider>
   )
 }
@@ -1,6 +1,7 @@
 import '@testing-library/jest-dom/vitest'
-import { render, screen, waitFor, act } from '@testing-library/react'
+import { render, screen, waitFor, act, fireEvent, within } from '@testing-library/react'
 import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { getDefaultKeymap } from './features/keyboard/keymap.js'
 
 vi.setConfig({ testTimeout: 15000 })
 
@@ -15,6 +16,8 @@ const {
   loadRecentMock,
   saveRecentMock,
   upsertRecentMock,
+  getKeymapPreferenceMock,
+  setKeymapPreferenceMock,
   apiFetchMock,
   focusByIdMock,
 } = vi.hoisted(() => {
@@ -38,6 +41,14 @@ const {
         tags: ['chill'],
         importedAt: '2024-01-01T00:00:00.000Z',
       },
+      {
+        id: 'track-2',
+        title: 'Second Track',
+        artist: 'Someone Else',
+        notes: [],
+        tags: [],
+        importedAt: '2024-01-01T00:00:00.000Z',
+      },
     ],
     notesByTrack: {
       'track-1': ['Existing note'],
@@ -66,6 +77,8 @@ const {
     loadRecentMock: vi.fn(() => []),
     saveRecentMock: vi.fn(),
     upsertRecentMock: vi.fn(),
+    getKeymapPreferenceMock: vi.fn(),
+    setKeymapPreferenceMock: vi.fn((keymap) => keymap),
     apiFetchMock: vi.fn(async () => makeResolvedResponse()),
     focusByIdMock: vi.fn(),
   }
@@ -82,6 +95,8 @@ vi.mock('./utils/storage.js', () => ({
   loadRecent: loadRecentMock,
   saveRecent: saveRecentMock,
   upsertRecent: upsertRecentMock,
+  getKeymapPreference: getKeymapPreferenceMock,
+  setKeymapPreference: setKeymapPreferenceMock,
 }))
 
 vi.mock('./lib/apiClient.js', () => ({
@@ -90,6 +105,7 @@ vi.mock('./lib/apiClient.js', () => ({
 
 vi.mock('./utils/focusById.js', () => ({
   focusById: focusByIdMock,
+  focusElement: (element) => element?.focus?.(),
   default: focusByIdMock,
 }))
 
@@ -103,10 +119,31 @@ const dispatchKey = (options) => {
   return event
 }
 
+// Keys pressed where focus is, the way a user presses them
+const pressKey = (key, options = {}) => {
+  const target = document.activeElement ?? document.body
+  act(() => {
+    fireEvent.keyDown(target, { key, ...options })
+  })
+}
+
+const focusTrack = (trackId) => {
+  act(() => {
+    document.getElementById(`add-note-btn-${trackId}`).focus()
+  })
+}
+
+const renderPlaylist = async () => {
+  const { default: App } = await import('./App.jsx')
+  render(<App />)
+  expect(await screen.findByRole('heading', { name: 'Mocked Playlist' })).toBeInTheDocument()
+}
+
 describe('App global keybindings', () => {
   beforeEach(() => {
     vi.resetModules()
     vi.clearAllMocks()
+    getKeymapPreferenceMock.mockImplementation(() => getDefaultKeymap())
     if (!window.matchMedia) {
       window.matchMedia = vi.fn().mockImplementation((query) => ({
         matches: false,
@@ -139,4 +176,146 @@ describe('App global keybindings', () => {
       expect(titleButton).toHaveFocus()
     })
   })
+
+  it('j and k move focus between tracks, and the arrows do the same from inside a card', async () => {
+    await renderPlaylist()
+
+    focusTrack('track-1')
+    pressKey('j')
+    await waitFor(() => expect(document.getElementById('add-note-btn-track-2')).toHaveFocus())
+
+    pressKey('k')
+    await waitFor(() => expect(document.getElementById('add-note-btn-track-1')).toHaveFocus())
+
+    pressKey('ArrowDown')
+    await waitFor(() => expect(document.getElementById('add-note-btn-track-2')).toHaveFocus())
+
+    pressKey('ArrowUp')
+    await waitFor(() => expect(document.getElementById('add-note-btn-track-1')).toHaveFocus())
+  })
+
+  it('n opens the note editor on the current track', async () => {
+    await renderPlaylist()
+
+    focusTrack('track-2')
+    pressKey('n')
+
+    await waitFor(() => expect(document.getElementById('note-input-track-2')).toBeInTheDocument())
+    expect(document.getElementById('note-input-track-1')).not.toBeInTheDocument()
+  })
+
+  it('t opens the tag input on the current track', async () => {
+    await renderPlaylist()
+
+    focusTrack('track-1')
+    pressKey('t')
+
+    const tags = screen.getByRole('group', { name: 'Tags for First Track' })
+    expect(await within(tags).findByRole('textbox')).toBeInTheDocument()
+    expect(within(tags).queryByRole('button', { name: '+ Add tag' })).not.toBeInTheDocument()
+  })
+
+  it('/ focuses the search field and the shortcuts stay quiet while typing', async () => {
+    await renderPlaylist()
+
+    pressKey('/')
+    const search = screen.getByRole('searchbox', { name: 'Search tracks, artists, notes' })
+    expect(search).toHaveFocus()
+
+    pressKey('j')
+    expect(search).toHaveFocus()
+  })
+
+  it('e edits the last note on the current track', async () => {
+    await renderPlaylist()
+
+    focusTrack('track-1')
+    pressKey('e')
+    expect(await screen.findByDisplayValue('Existing note')).toBeInTheDocument()
+  })
+
+  it('? lists the shortcuts, and a remapped key is saved and used', async () => {
+    await renderPlaylist()
+
+    pressKey('?', { shiftKey: true })
+    const dialog = await screen.findByRole('dialog', { name: 'Keyboard shortcuts' })
+    expect(within(dialog).getByRole('rowheader', { name: 'Next track' })).toBeInTheDocument()
+
+    fireEvent.click(within(dialog).getByRole('button', { name: 'Change key for Add a note to the current track' }))
+    pressKey('a')
+    expect(setKeymapPreferenceMock).toHaveBeenLastCalledWith(expect.objectContaining({ addNote: 'a' }))
+    expect(within(dialog).getByRole('status')).toHaveTextContent('Add a note to the current track is now a.')
+
+    pressKey('Escape')
+    expect(screen.queryByRole('dialog', { name: 'Keyboard shortcuts' })).not.toBeInTheDocument()
+
+    focusTrack('track-1')
+    pressKey('n')
+    expect(document.getElementById('note-input-track-1')).not.toBeInTheDocument()
+    pressKey('a')
+    await waitFor(() => expect(document.getElementById('note-input-track-1')).toBeInTheDocument())
+  })
+
+  it('Ctrl+K opens the command palette, even from the search field, and jumps to a track', async () => {
+    await renderPlaylist()
+
+    pressKey('/')
+    pressKey('k', { ctrlKey: true })
+    const input = await screen.findByRole('combobox', { name: 'Search commands and tracks' })
+    await waitFor(() => expect(input).toHaveFocus())
+    const listbox = screen.getByRole('listbox', { name: 'Commands' })
+    expect(within(listbox).queryByRole('option', { name: /Second Track/ })).not.toBeInTheDocument()
+
+    fireEvent.change(input, { target: { value: 'second' } })
+    expect(within(listbox).getAllByRole('option')[0]).toHaveTextContent('Second Track')
+    fireEvent.keyDown(input, { key: 'Enter' })
+
+    expect(screen.queryByRole('dialog', { name: 'Command palette' })).not.toBeInTheDocument()
+    await waitFor(() => expect(focusByIdMock).toHaveBeenCalledWith('add-note-btn-track-2'))
+  })
+
+  it('palette actions work on the track that had focus', async () => {
+    await renderPlaylist()
+
+    focusTrack('track-1')
+    pressKey('k', { metaKey: true })
+    const input = await screen.findByRole('combobox', { name: 'Search commands and tracks' })
+    fireEvent.change(input, { target: { value: 'add tag' } })
+    fireEvent.keyDown(input, { key: 'Enter' })
+
+    const tags = screen.getByRole('group', { name: 'Tags for First Track' })
+    expect(await within(tags).findByRole('textbox')).toBeInTheDocument()
+  })
+
+  it('Ctrl+Z undoes tag changes one at a time and Ctrl+Y redoes them', async () => {
+    await renderPlaylist()
+
+    const tags = screen.getByRole('group', { name: 'Tags for First Track' })
+    for (const tag of ['dark', 'calm']) {
+      focusTrack('track-1')
+      pressKey('t')
+      const input = await within(tags).findByRole('textbox')
+      fireEvent.change(input, { target: { value: tag } })
+      fireEvent.keyDown(input, { key: 'Enter' })
+      await within(tags).findByText(tag)
+    }
+
+    focusTrack('track-1')
+    pressKey('z', { ctrlKey: true })
+    await waitFor(() => expect(within(tags).queryByText('calm')).not.toBeInTheDocument())
+    expect(within(tags).getByText('dark')).toBeInTheDocument()
+
+    pressKey('z', { ctrlKey: true })
+    await waitFor(() => expect(within(tags).queryByText('dark')).not.toBeInTheDocument())
+
+    pressKey('y', { ctrlKey: true })
+    expect(await within(tags).findByText('dark')).toBeInTheDocument()
+
+    fireEvent.click(screen.getByRole('button', { name: 'History' }))
+    const panel = screen.getByRole('region', { name: 'Recent changes' })
+    expect(within(panel).getAllByRole('listitem').map((item) => item.textContent)).toEqual([
+      'Undone: Added tag "calm" to "First Track"',
+      'Added tag "dark" to "First Track"',
+    ])
+  })
 })
@@ -36,6 +36,8 @@ vi.mock('./utils/storage.js', () => ({
   loadRecent: vi.fn(() => []),
   saveRecent: vi.fn(),
   upsertRecent: vi.fn(),
+  getKeymapPreference: vi.fn(() => null),
+  setKeymapPreference: vi.fn((keymap) => keymap),
 }))
 
 vi.mock('./lib/apiClient.js', () => ({
@@ -191,4 +193,29 @@ describe('App routing', () => {
       )
     })
   })
+
+  it('opens the Library and links annotated tracks back to the current playlist', async () => {
+    const noted = makeTrack({
+      id: 'song-3',
+      title: 'Noted Song',
+      kind: 'music',
+      notes: [{ body: 'great intro', createdAt: 1 }],
+    })
+    const plain = makeTrack({ id: 'song-4', title: 'Plain Song', kind: 'music' })
+    bootstrapStateRef.value = buildBootstrapState({ tracks: [noted, plain] })
+    const { default: App } = await import('./App.jsx')
+
+    render(<App />)
+
+    await userEvent.click(screen.getByRole('button', { name: 'Library' }))
+
+    expect(screen.getByRole('heading', { level: 1, name: 'Library' })).toBeInTheDocument()
+    expect(screen.getByText('great intro')).toBeInTheDocument()
+    expect(screen.queryByText('Plain Song')).not.toBeInTheDocument()
+
+    await userEvent.click(screen.getByRole('button', { name: 'Open Mocked Playlist for Noted Song' }))
+
+    expect(screen.getByRole('button', { name: 'Playlist' })).toHaveAttribute('aria-current', 'page')
+    expect(screen.getByText('Plain Song')).toBeInTheDocument()
+  })
 })
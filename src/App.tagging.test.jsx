@@ -32,6 +32,8 @@ vi.mock('./utils/storage.js', () => {
     loadRecent: vi.fn(() => []),
     saveRecent: vi.fn(),
     upsertRecent: vi.fn((list = [], item) => [...list, item]),
+    getKeymapPreference: vi.fn(() => null),
+    setKeymapPreference: vi.fn((keymap) => keymap),
     getFontPreference: vi.fn(() => 'default'),
     setFontPreference: vi.fn(() => 'default'),
     hasDiscoveredFeature: vi.fn(() => false),
@@ -0,0 +1,299 @@
+import '@testing-library/jest-dom/vitest'
+import { render, screen, waitFor, within } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+
+const announceMock = vi.hoisted(() => vi.fn())
+
+const bootstrapStateRef = vi.hoisted(() => ({
+  value: null,
+}))
+
+const saveAppStateMock = vi.hoisted(() => vi.fn())
+const clearAppStateMock = vi.hoisted(() => vi.fn())
+const clearPendingMigrationSnapshotMock = vi.hoisted(() => vi.fn())
+const writeAutoBackupSnapshotMock = vi.hoisted(() => vi.fn())
+const stashPendingMigrationSnapshotMock = vi.hoisted(() => vi.fn())
+
+vi.mock('../features/a11y/useAnnounce.js', () => ({
+  __esModule: true,
+  default: () => ({
+    message: '',
+    announce: announceMock,
+    clear: vi.fn(),
+    flush: vi.fn(),
+  }),
+}))
+
+vi.mock('../utils/storage.js', () => ({
+  saveAppState: saveAppStateMock,
+  clearAppState: clearAppStateMock,
+  clearPendingMigrationSnapshot: clearPendingMigrationSnapshotMock,
+  writeAutoBackupSnapshot: writeAutoBackupSnapshotMock,
+  stashPendingMigrationSnapshot: stashPendingMigrationSnapshotMock,
+  loadAppState: vi.fn(() => null),
+  loadRecent: vi.fn(() => []),
+  saveRecent: vi.fn(),
+  upsertRecent: vi.fn(),
+  getKeymapPreference: vi.fn(() => null),
+  setKeymapPreference: vi.fn((keymap) => keymap),
+  getFontPreference: vi.fn(() => 'default'),
+  setFontPreference: vi.fn(),
+}))
+
+vi.mock('../lib/apiClient.js', () => ({
+  apiFetch: vi.fn(async () => ({
+    ok: true,
+    status: 200,
+    headers: new Map(),
+    json: async () => ({}),
+  })),
+}))
+
+vi.mock('../utils/storageBootstrap.js', async () => {
+  const actual = await vi.importActual('../utils/storageBootstrap.js')
+  return {
+    ...actual,
+    bootstrapStorageState: vi.fn(() => bootstrapStateRef.value),
+  }
+})
+
+function makeTrack(overrides = {}) {
+  return {
+    id: overrides.id ?? `track-${Math.random().toString(36).slice(2, 7)}`,
+    title: overrides.title ?? 'Demo Track',
+    artist: overrides.artist ?? 'Unknown Artist',
+    kind: overrides.kind ?? 'music',
+    notes: overrides.notes ?? [],
+    tags: overrides.tags ?? [],
+    importedAt: overrides.importedAt ?? '2024-01-01T00:00:00.000Z',
+    ...overrides,
+  }
+}
+
+function buildBootstrapState({ tracks, initialScreen = 'playlist', playlistTitle = 'Mocked Playlist' }) {
+  const normalizedTracks = tracks.map((track, index) => ({
+    ...track,
+    id: track.id ?? `track-${index + 1}`,
+    notes: track.notes ?? [],
+    tags: track.tags ?? [],
+  }))
+  const notesByTrack = Object.fromEntries(
+    normalizedTracks.map((track) => [track.id, track.notes ?? []]),
+  )
+  const tagsByTrack = Object.fromEntries(
+    normalizedTracks.map((track) => [track.id, track.tags ?? []]),
+  )
+
+  return {
+    persisted: {
+      theme: 'dark',
+      playlistTitle,
+      importedAt: '2024-01-01T00:00:00.000Z',
+      lastImportUrl: 'https://example.com/playlists/1',
+      importMeta: {
+        provider: 'spotify',
+        playlistId: 'list-1',
+        snapshotId: 'snap-1',
+        sourceUrl: 'https://example.com/playlists/1',
+        hasMore: false,
+        cursor: null,
+        total: normalizedTracks.length,
+        contentKind: null,
+      },
+      tracks: normalizedTracks,
+      notesByTrack,
+      tagsByTrack,
+      recentPlaylists: [],
+    },
+    pendingMigrationSnapshot: null,
+    initialRecents: [],
+    persistedTracks: normalizedTracks,
+    initialScreen,
+  }
+}
+
+/**
+ * jsdom's File has no text(), which the restore handler reads.
+ * @param {unknown} payload
+ */
+function makeBackupFile(payload) {
+  const json = JSON.stringify(payload)
+  const file = new File([json], 'backup.json', { type: 'application/json' })
+  Object.defineProperty(file, 'text', { value: async () => json })
+  return file
+}
+
+describe('App backup restore', () => {
+  beforeEach(() => {
+    vi.resetModules()
+    vi.clearAllMocks()
+    window.localStorage.clear()
+    if (!window.matchMedia) {
+      window.matchMedia = vi.fn().mockImplementation((query) => ({
+        matches: false,
+        media: query,
+        onchange: null,
+        addListener: vi.fn(),
+        removeListener: vi.fn(),
+        addEventListener: vi.fn(),
+        removeEventListener: vi.fn(),
+        dispatchEvent: vi.fn(),
+      }))
+    }
+  })
+
+  it('previews a backup and merges it with the chosen conflict resolution', async () => {
+    const song = makeTrack({
+      id: 'song-1',
+      title: 'Song One',
+      notes: [
+        { id: 'n1', body: 'Local edit', createdAt: 100 },
+        { body: 'Newer local note', createdAt: 900 },
+      ],
+    })
+    bootstrapStateRef.value = buildBootstrapState({ tracks: [song] })
+    const { default: App } = await import('../App.jsx')
+
+    const { container } = render(<App />)
+    const backup = {
+      version: 1,
+      generatedAt: '2024-01-01T00:00:00.000Z',
+      playlist: { title: 'Mocked Playlist' },
+      notesByTrack: {
+        'song-1': [
+          { id: 'n1', body: 'Original text', createdAt: 100 },
+          { body: 'Only in backup', createdAt: 300 },
+        ],
+      },
+      tagsByTrack: {},
+    }
+    const file = makeBackupFile(backup)
+    const input = /** @type {HTMLInputElement} */ (container.querySelector('input[type="file"]'))
+    await userEvent.upload(input, file)
+
+    const dialog = await screen.findByRole('dialog', { name: /review backup/i })
+    expect(within(dialog).getByText('Local: Local edit')).toBeInTheDocument()
+    expect(within(dialog).getByText('+ Only in backup')).toBeInTheDocument()
+
+    await userEvent.click(within(dialog).getByRole('radio', { name: 'Keep backup' }))
+    await userEvent.click(within(dialog).getByRole('button', { name: 'Restore backup' }))
+
+    await waitFor(() => expect(announceMock).toHaveBeenCalledWith('Notes restored from backup.'))
+    expect(screen.queryByRole('dialog', { name: /review backup/i })).not.toBeInTheDocument()
+
+    await userEvent.click(screen.getByRole('button', { name: 'Library' }))
+    expect(screen.getByText('Original text')).toBeInTheDocument()
+    expect(screen.getByText('Only in backup')).toBeInTheDocument()
+    expect(screen.getByText('Newer local note')).toBeInTheDocument()
+    expect(screen.queryByText('Local edit')).not.toBeInTheDocument()
+
+    // The merge is queued for the server: the kept backup copy as an edit, the new note as a create
+    await waitFor(() => {
+      const queued = JSON.parse(window.localStorage.getItem('sta:outbox') ?? '[]')
+      expect(queued).toEqual([
+        expect.objectContaining({ type: 'note:create', trackId: 'song-1', noteId: expect.any(String), body: 'Only in backup' }),
+        expect.objectContaining({
+          type: 'note:edit',
+          trackId: 'song-1',
+          noteId: 'n1',
+          base: expect.objectContaining({ body: 'Local edit' }),
+          next: expect.objectContaining({ body: 'Original text' }),
+        }),
+      ])
+    })
+  })
+
+  it('leaves notes untouched when the review is cancelled', async () => {
+    const song = makeTrack({ id: 'song-1', title: 'Song One', notes: [{ body: 'Keep me', createdAt: 100 }] })
+    bootstrapStateRef.value = buildBootstrapState({ tracks: [song] })
+    const { default: App } = await import('../App.jsx')
+
+    const { container } = render(<App />)
+    const file = makeBackupFile({ notesByTrack: { 'song-1': [{ body: 'From backup', createdAt: 5 }] } })
+    await userEvent.upload(/** @type {HTMLInputElement} */ (container.querySelector('input[type="file"]')), file)
+
+    const dialog = await screen.findByRole('dialog', { name: /review backup/i })
+    await userEvent.click(within(dialog).getByRole('button', { name: 'Cancel' }))
+
+    expect(announceMock).toHaveBeenCalledWith('Restore cancelled. Your notes are unchanged.')
+
+    await userEvent.click(screen.getByRole('button', { name: 'Library' }))
+    expect(screen.getByText('Keep me')).toBeInTheDocument()
+    expect(screen.queryByText('From backup')).not.toBeInTheDocument()
+  })
+
+  it('adds saved filters from a backup and offers them in the Library', async () => {
+    const song = makeTrack({ id: 'song-1', title: 'Song One', notes: [{ body: 'Dark intro', createdAt: 100 }] })
+    bootstrapStateRef.value = buildBootstrapState({ tracks: [song] })
+    const { default: App } = await import('../App.jsx')
+
+    const { container } = render(<App />)
+    const file = makeBackupFile({
+      notesByTrack: { 'song-1': [{ body: 'Dark intro', createdAt: 100 }] },
+      savedFilters: [{ id: 'f1', name: 'Intros', query: 'intro', scope: 'notes' }],
+    })
+    await userEvent.upload(/** @type {HTMLInputElement} */ (container.querySelector('input[type="file"]')), file)
+
+    await waitFor(() =>
+      expect(announceMock).toHaveBeenCalledWith('Added 1 saved filter from the backup. Your notes are unchanged.'),
+    )
+
+    await userEvent.click(screen.getByRole('button', { name: 'Library' }))
+    const savedFilters = screen.getByRole('navigation', { name: 'Saved filters' })
+    expect(within(savedFilters).getByRole('button', { name: 'Intros, 1 track' })).toBeInTheDocument()
+  })
+
+  it('sends a restored restore point to the server and says the undo history was reset', async () => {
+    const song = makeTrack({
+      id: 'song-1',
+      title: 'Song One',
+      notes: [
+        { id: 'n1', body: 'Current text', createdAt: 100, revision: 3 },
+        { id: 'n3', body: 'Written since', createdAt: 300 },
+      ],
+    })
+    bootstrapStateRef.value = buildBootstrapState({ tracks: [song], initialScreen: 'account' })
+    const { createRestorePoint } = await import('../features/backup/restorePoints.js')
+    const point = createRestorePoint(
+      {
+        notesByTrack: {
+          'song-1': [
+            { id: 'n1', body: 'Older text', createdAt: 100, revision: 1 },
+            { id: 'n2', body: 'Deleted since', createdAt: 200, revision: 2 },
+          ],
+        },
+        tagsByTrack: {},
+      },
+      { now: Date.parse('2024-01-01T00:00:00.000Z'), id: 'rp-old' },
+    )
+    window.localStorage.setItem('sta:v6:restore-points', JSON.stringify([point]))
+    vi.spyOn(window, 'confirm').mockReturnValue(true)
+    const { default: App } = await import('../App.jsx')
+
+    render(<App />)
+    const [restoreButton] = screen
+      .getAllByRole('button', { name: /^Restore notes from/ })
+      .filter((button) => !(/** @type {HTMLButtonElement} */ (button).disabled))
+    await userEvent.click(restoreButton)
+
+    expect(announceMock).toHaveBeenCalledWith(
+      'Notes restored from restore point. Undo history was reset; the notes you had are saved as a restore point.',
+    )
+    await waitFor(() => {
+      const queued = JSON.parse(window.localStorage.getItem('sta:outbox') ?? '[]')
+      expect(queued).toEqual(
+        expect.arrayContaining([
+          expect.objectContaining({ type: 'note:delete', trackId: 'song-1', noteId: 'n3' }),
+          expect.objectContaining({ type: 'note:create', trackId: 'song-1', noteId: 'n2', body: 'Deleted since' }),
+          expect.objectContaining({
+            type: 'note:edit',
+            noteId: 'n1',
+            base: expect.objectContaining({ body: 'Current text', revision: 3 }),
+            next: expect.objectContaining({ body: 'Older text', revision: 3 }),
+          }),
+        ]),
+      )
+    })
+  })
+})
@@ -1,41 +1,17 @@
 // src/components/ThemeToggle.jsx
 import { useState, useEffect } from 'react'
-
-function applyTheme(isDark) {
-  const theme = isDark ? 'dark' : 'light'
-
-  // Set data-theme on both <html> and <body> (covers selector differences)
-  const root = document.documentElement
-  const body = document.body
-
-  root.dataset.theme = theme
-  body.dataset.theme = theme
-
-  // Also set explicit classes as a fallback
-  root.classList.toggle('theme-dark', isDark)
-  root.classList.toggle('theme-light', !isDark)
-  body.classList.toggle('theme-dark', isDark)
-  body.classList.toggle('theme-light', !isDark)
-
-  // Persist
-  localStorage.setItem('theme', theme)
-}
+import { applyTheme, readIsDarkTheme, subscribeToDisplayPrefs } from '../theme/displayPrefs.js'
 
 export default function ThemeToggle() {
-  const [isDark, setIsDark] = useState(() => {
-    const saved = localStorage.getItem('theme')
-    if (saved === 'dark') return true
-    if (saved === 'light') return false
-    return (
-      window.matchMedia &&
-      window.matchMedia('(prefers-color-scheme: dark)').matches
-    )
-  })
+  const [isDark, setIsDark] = useState(readIsDarkTheme)
 
   useEffect(() => {
     applyTheme(isDark)
   }, [isDark])
 
+  // The command palette can switch the theme while this button is on screen
+  useEffect(() => subscribeToDisplayPrefs(() => setIsDark(readIsDarkTheme())), [])
+
   function toggleTheme() {
     setIsDark(v => !v)
   }
@@ -1,11 +1,6 @@
 import { useEffect, useId, useState } from 'react'
-import { getFontPreference, setFontPreference } from '../../utils/storage.js'
-
-const OPTIONS = [
-  { value: 'default', label: 'Default' },
-  { value: 'system', label: 'Match system' },
-  { value: 'dyslexic', label: 'Dyslexic friendly' },
-]
+import { getFontPreference } from '../../utils/storage.js'
+import { FONT_OPTIONS, applyFontPreference, subscribeToDisplayPrefs } from '../../theme/displayPrefs.js'
 
 export default function FontSettings() {
   const groupId = useId()
@@ -17,10 +12,11 @@ export default function FontSettings() {
     }
   }, [selected])
 
+  useEffect(() => subscribeToDisplayPrefs(() => setSelected(getFontPreference())), [])
+
   function handleChange(event) {
     const value = event.target.value
-    const next = setFontPreference(value)
-    setSelected(next)
+    setSelected(applyFontPreference(value))
   }
 
   return (
@@ -29,7 +25,7 @@ export default function FontSettings() {
         Font preference
       </legend>
       <div className="font-settings-options">
-        {OPTIONS.map((option) => {
+        {FONT_OPTIONS.map((option) => {
           const isActive = selected === option.value
           const inputId = `${groupId}-${option.value}`
           return (
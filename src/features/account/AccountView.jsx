@@ -2,6 +2,19 @@ import { useEffect, useMemo, useRef, useState } from 'react';
 import ThemeToggle from '../../components/ThemeToggle.jsx';
 import FontSettings from '../../components/display/FontSettings.jsx';
 import ErrorMessage from '../../components/ErrorMessage.jsx';
+import { EXPORT_FORMAT, EXPORT_FORMAT_INFO } from '../export/exportNotes.js';
+import RestorePointsPanel from '../backup/RestorePointsPanel.jsx';
+
+const EXPORT_BUTTONS = [
+  EXPORT_FORMAT.MARKDOWN,
+  EXPORT_FORMAT.CSV,
+  EXPORT_FORMAT.AUDACITY,
+  EXPORT_FORMAT.REAPER,
+];
+
+const EMPTY_POINTS = [];
+/** @type {Record<string, any[]>} */
+const EMPTY_MAP = {};
 
 function maskCodeSegment(segment, index, segments) {
   if (!segment) return '';
@@ -47,12 +60,23 @@ function formatTimestamp(timestamp) {
  * @property {() => void} [onOpenRestoreDialog]
  * @property {() => void} [onRequestRecoveryModal]
  * @property {() => void} [onBackupNotes]
+ * @property {() => void} [onBackupNotesEncrypted]
  * @property {() => void} [onRestoreFromBackup]
+ * @property {(format: import('../export/exportNotes.js').ExportFormat) => void} [onExportNotes]
+ * @property {boolean} [canExportNotes]
+ * @property {import('../backup/restorePoints.js').RestorePoint[]} [restorePoints]
+ * @property {(point: import('../backup/restorePoints.js').RestorePoint) => void} [onRestorePoint]
+ * @property {Record<string, import('../../utils/notesTagsData.js').NoteEntry[]>} [currentNotesByTrack]
+ * @property {Record<string, string[]>} [currentTagsByTrack]
  * @property {boolean} [showBackupPrompt]
- * @property {() => void} [onOpenSpotifyLink]
+ * @property {() => void} [onLinkSpotify]
+ * @property {() => void} [onRevokeSpotify]
  * @property {boolean} [spotifyLinked]
- * @property {string} [spotifyAccountLabel]
+ * @property {string|null} [spotifyLinkedAt]
+ * @property {boolean} [spotifyLinkBusy]
+ * @property {string|null} [spotifyLinkError]
  * @property {boolean} [emailLinkingEnabled]
+ * @property {() => void} [onShowKeyboardShortcuts]
  */
 
 /**
@@ -69,13 +93,24 @@ export default function AccountView({
   onOpenRestoreDialog,
   onRequestRecoveryModal,
   onBackupNotes,
+  onBackupNotesEncrypted,
+  onShowKeyboardShortcuts,
   onRestoreFromBackup,
-  onOpenSpotifyLink: _onOpenSpotifyLink,
-  spotifyLinked: _spotifyLinked = false,
-  spotifyAccountLabel: _spotifyAccountLabel = '',
+  onExportNotes,
+  canExportNotes = false,
+  restorePoints = EMPTY_POINTS,
+  onRestorePoint,
+  currentNotesByTrack = EMPTY_MAP,
+  currentTagsByTrack = EMPTY_MAP,
+  onLinkSpotify,
+  onRevokeSpotify,
+  spotifyLinked = false,
+  spotifyLinkedAt = null,
+  spotifyLinkBusy = false,
+  spotifyLinkError = null,
   emailLinkingEnabled: _emailLinkingEnabled = false,
   showBackupPrompt = false,
-  // Spotify/email linking props remain for the intentionally hidden cards below.
+  // Email linking prop remains for the intentionally hidden card below.
 }) {
   const [masked, setMasked] = useState(true);
   const autoMaskTimer = useRef(/** @type {ReturnType<typeof setTimeout> | null} */ (null));
@@ -86,6 +121,10 @@ export default function AccountView({
     () => formatTimestamp(recoveryAcknowledgedAt),
     [recoveryAcknowledgedAt]
   );
+  const spotifyLinkedLabel = useMemo(
+    () => formatTimestamp(spotifyLinkedAt),
+    [spotifyLinkedAt]
+  );
 
   useEffect(() => {
     if (!masked) {
@@ -121,6 +160,15 @@ export default function AccountView({
     onConfirmRegenerate?.();
   };
 
+  const handleRevokeSpotifyClick = () => {
+    if (spotifyLinkBusy) return;
+    const confirmed = window.confirm(
+      'Unlink your Spotify account? Private playlists and daylists will stop importing until you link again.'
+    );
+    if (!confirmed) return;
+    onRevokeSpotify?.();
+  };
+
   return (
     <div className="account-screen" role="region" aria-label="Account settings">
       <section
@@ -232,7 +280,7 @@ export default function AccountView({
             <h2>Local backups</h2>
             <p className="account-card__description">
               Download a JSON snapshot to store anywhere, or import one to merge notes into this
-              device.
+              device. Encrypted backups need their passphrase to be opened.
             </p>
           </div>
         </header>
@@ -240,6 +288,11 @@ export default function AccountView({
           <button type="button" className="btn" onClick={onBackupNotes}>
             Download backup
           </button>
+          {typeof onBackupNotesEncrypted === 'function' && (
+            <button type="button" className="btn" onClick={onBackupNotesEncrypted}>
+              Download encrypted backup
+            </button>
+          )}
           <button type="button" className="btn" onClick={onRestoreFromBackup}>
             Import backup
           </button>
@@ -249,7 +302,102 @@ export default function AccountView({
         </p>
       </section>
 
-      {/* Spotify Account and Link Email cards intentionally hidden for now */}
+      {typeof onRestorePoint === 'function' && (
+        <section className="card account-card" aria-labelledby="account-restore-points-heading">
+          <header className="account-card__header">
+            <div>
+              <h2 id="account-restore-points-heading">Restore points</h2>
+              <p className="account-card__description">
+                Automatic snapshots of your notes and tags: hourly for the last day, then daily for
+                two weeks. Check what each one would change before restoring it.
+              </p>
+            </div>
+          </header>
+          <RestorePointsPanel
+            points={restorePoints}
+            currentNotes={currentNotesByTrack}
+            currentTags={currentTagsByTrack}
+            onRestore={onRestorePoint}
+          />
+        </section>
+      )}
+
+      {typeof onExportNotes === 'function' && (
+        <section className="card account-card">
+          <header className="account-card__header">
+            <div>
+              <h2>Export notes</h2>
+              <p className="account-card__description">
+                Save the current playlist&apos;s notes and tags for docs, spreadsheets or your DAW.
+                Timestamped notes become Audacity labels or Reaper markers and regions.
+              </p>
+            </div>
+          </header>
+          <div className="row account-card__actions">
+            {EXPORT_BUTTONS.map((format) => (
+              <button
+                key={format}
+                type="button"
+                className="btn"
+                onClick={() => onExportNotes(format)}
+                disabled={!canExportNotes}
+              >
+                {EXPORT_FORMAT_INFO[format].label}
+              </button>
+            ))}
+          </div>
+          {!canExportNotes && (
+            <p style={{ color: 'var(--muted)', marginTop: 4 }}>
+              Import a playlist to export its notes.
+            </p>
+          )}
+        </section>
+      )}
+
+      {typeof onLinkSpotify === 'function' && (
+        <section className="card account-card" aria-labelledby="account-spotify-heading">
+          <header className="account-card__header">
+            <div>
+              <h2 id="account-spotify-heading">Spotify account</h2>
+              <p className="account-card__description">
+                Link Spotify to import private playlists, Liked Songs and your daylist. We store an
+                encrypted Spotify token and nothing from your profile. Unlink any time.
+              </p>
+            </div>
+          </header>
+          <p style={{ marginTop: 0 }}>
+            {spotifyLinked
+              ? spotifyLinkedLabel
+                ? `Linked on ${spotifyLinkedLabel}`
+                : 'Linked'
+              : 'Not linked'}
+          </p>
+          <div className="row account-card__actions">
+            {spotifyLinked ? (
+              <button
+                type="button"
+                className="btn destructive"
+                onClick={handleRevokeSpotifyClick}
+                disabled={spotifyLinkBusy}
+              >
+                {spotifyLinkBusy ? 'Unlinking...' : 'Unlink Spotify'}
+              </button>
+            ) : (
+              <button
+                type="button"
+                className="btn"
+                onClick={onLinkSpotify}
+                disabled={spotifyLinkBusy}
+              >
+                {spotifyLinkBusy ? 'Opening Spotify...' : 'Link Spotify'}
+              </button>
+            )}
+          </div>
+          <ErrorMessage id="account-spotify-error">{spotifyLinkError}</ErrorMessage>
+        </section>
+      )}
+
+      {/* Link Email card intentionally hidden for now */}
       <section className="card account-card">
         <header className="account-card__header">
           <div>
@@ -263,6 +411,11 @@ export default function AccountView({
           <ThemeToggle />
           <FontSettings />
         </div>
+        {typeof onShowKeyboardShortcuts === 'function' && (
+          <button type="button" className="btn" onClick={onShowKeyboardShortcuts}>
+            Keyboard shortcuts
+          </button>
+        )}
       </section>
     </div>
   );
@@ -91,4 +91,54 @@ describe('AccountView', () => {
     fireEvent.click(screen.getByRole('button', { name: /import backup/i }))
     expect(onRestoreFromBackup).toHaveBeenCalledTimes(1)
   })
+
+  it('exports notes in each format once a playlist is loaded', () => {
+    const onExportNotes = vi.fn()
+    const { rerender } = render(<AccountView {...baseProps} onExportNotes={onExportNotes} />)
+
+    expect(screen.getByRole('button', { name: 'Markdown' })).toBeDisabled()
+    expect(screen.getByText(/import a playlist to export/i)).toBeInTheDocument()
+
+    rerender(<AccountView {...baseProps} onExportNotes={onExportNotes} canExportNotes />)
+    fireEvent.click(screen.getByRole('button', { name: 'Markdown' }))
+    fireEvent.click(screen.getByRole('button', { name: 'CSV' }))
+    fireEvent.click(screen.getByRole('button', { name: 'Audacity labels' }))
+    fireEvent.click(screen.getByRole('button', { name: 'Reaper regions' }))
+    expect(onExportNotes.mock.calls.map(([format]) => format)).toEqual([
+      'markdown',
+      'csv',
+      'audacity',
+      'reaper',
+    ])
+  })
+
+  it('links Spotify and confirms before unlinking', () => {
+    const confirmSpy = vi.spyOn(window, 'confirm').mockReturnValue(false)
+    const onLinkSpotify = vi.fn()
+    const onRevokeSpotify = vi.fn()
+    const { rerender } = render(
+      <AccountView {...baseProps} onLinkSpotify={onLinkSpotify} onRevokeSpotify={onRevokeSpotify} />
+    )
+
+    expect(screen.getByText('Not linked')).toBeInTheDocument()
+    fireEvent.click(screen.getByRole('button', { name: 'Link Spotify' }))
+    expect(onLinkSpotify).toHaveBeenCalledTimes(1)
+
+    rerender(
+      <AccountView
+        {...baseProps}
+        onLinkSpotify={onLinkSpotify}
+        onRevokeSpotify={onRevokeSpotify}
+        spotifyLinked
+      />
+    )
+    const unlinkButton = screen.getByRole('button', { name: 'Unlink Spotify' })
+    fireEvent.click(unlinkButton)
+    expect(onRevokeSpotify).not.toHaveBeenCalled()
+
+    confirmSpy.mockReturnValueOnce(true)
+    fireEvent.click(unlinkButton)
+    expect(onRevokeSpotify).toHaveBeenCalledTimes(1)
+    confirmSpy.mockRestore()
+  })
 })
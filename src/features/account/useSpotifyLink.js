@@ -0,0 +1,136 @@
+// src/features/account/useSpotifyLink.js
+import { useState, useCallback, useEffect } from 'react'
+import { apiFetch } from '../../lib/apiClient.js'
+import { getDeviceId } from '../../lib/deviceState.js'
+import { isSpotifyLinked, setSpotifyLinked } from '../../lib/spotifyLinkState.js'
+import { clearSpotifyTokenMemo } from '../import/adapters/spotifyAdapter.js'
+
+/** Query param /api/spotify/callback appends when it sends the browser back. */
+export const SPOTIFY_LINK_RESULT_PARAM = 'spotify'
+
+const LINK_RESULT_MESSAGES = {
+  linked: 'Spotify account linked. Private playlists and your daylist can now be imported.',
+  denied: 'Spotify linking was canceled.',
+  error: 'Could not link your Spotify account. Please try again.',
+}
+
+/**
+ * Read and strip the `?spotify=` result left by the OAuth callback.
+ * @returns {'linked' | 'denied' | 'error' | null}
+ */
+function consumeLinkResult() {
+  if (typeof window === 'undefined' || !window.location) return null
+  let url
+  try {
+    url = new URL(window.location.href)
+  } catch {
+    return null
+  }
+  const value = url.searchParams.get(SPOTIFY_LINK_RESULT_PARAM)
+  if (!value) return null
+  url.searchParams.delete(SPOTIFY_LINK_RESULT_PARAM)
+  window.history?.replaceState?.(window.history.state, '', `${url.pathname}${url.search}${url.hash}`)
+  return value === 'linked' || value === 'denied' ? value : 'error'
+}
+
+/**
+ * Spotify account linking for the current anonymous identity.
+ *
+ * Linking leaves the app (Spotify's consent screen) and comes back through
+ * /api/spotify/callback, so the outcome is picked up from the URL on mount.
+ *
+ * @param {Object} options
+ * @param {(message: string) => void} options.announce - Accessibility announcement callback
+ * @returns {{
+ *   linked: boolean,
+ *   linkedAt: string | null,
+ *   busy: boolean,
+ *   error: string | null,
+ *   linkSpotify: () => Promise<void>,
+ *   revokeSpotify: () => Promise<void>,
+ * }}
+ */
+export default function useSpotifyLink({ announce }) {
+  const [linked, setLinked] = useState(() => isSpotifyLinked())
+  const [linkedAt, setLinkedAt] = useState(/** @type {string | null} */ (null))
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(/** @type {string | null} */ (null))
+
+  const applyLinked = useCallback((next, nextLinkedAt = null) => {
+    if (next !== isSpotifyLinked()) {
+      // The memoized token belongs to the other mode; make the next import fetch afresh.
+      clearSpotifyTokenMemo()
+    }
+    setSpotifyLinked(next)
+    setLinked(next)
+    setLinkedAt(next ? nextLinkedAt : null)
+  }, [])
+
+  useEffect(() => {
+    const result = consumeLinkResult()
+    if (result) {
+      announce(LINK_RESULT_MESSAGES[result])
+      if (result === 'error') setError(LINK_RESULT_MESSAGES.error)
+    }
+    if (!getDeviceId()) return undefined
+
+    let cancelled = false
+    ;(async () => {
+      try {
+        const response = await apiFetch('/api/spotify/link')
+        if (!response.ok || cancelled) return
+        const payload = await response.json().catch(() => ({}))
+        if (cancelled) return
+        applyLinked(Boolean(payload?.linked), payload?.linkedAt ?? null)
+      } catch {
+        // Offline: keep the cached hint until the next visit.
+      }
+    })()
+    return () => {
+      cancelled = true
+    }
+  }, [announce, applyLinked])
+
+  const linkSpotify = useCallback(async () => {
+    if (busy) return
+    setBusy(true)
+    setError(null)
+    try {
+      const response = await apiFetch('/api/spotify/authorize', { method: 'POST' })
+      const payload = await response.json().catch(() => ({}))
+      if (!response.ok || typeof payload?.url !== 'string') {
+        throw new Error(payload?.error ?? 'Failed to start Spotify linking')
+      }
+      announce('Opening Spotify to link your account.')
+      window.location.assign(payload.url)
+    } catch (err) {
+      const message = err instanceof Error ? err.message : 'Failed to start Spotify linking'
+      setError(message)
+      announce(`Could not link Spotify. ${message}`)
+      setBusy(false)
+    }
+  }, [announce, busy])
+
+  const revokeSpotify = useCallback(async () => {
+    if (busy) return
+    setBusy(true)
+    setError(null)
+    try {
+      const response = await apiFetch('/api/spotify/link', { method: 'DELETE' })
+      if (!response.ok) {
+        const payload = await response.json().catch(() => ({}))
+        throw new Error(payload?.error ?? 'Failed to unlink Spotify account')
+      }
+      applyLinked(false)
+      announce('Spotify account unlinked.')
+    } catch (err) {
+      const message = err instanceof Error ? err.message : 'Failed to unlink Spotify account'
+      setError(message)
+      announce(`Could not unlink Spotify. ${message}`)
+    } finally {
+      setBusy(false)
+    }
+  }, [announce, applyLinked, busy])
+
+  return { linked, linkedAt, busy, error, linkSpotify, revokeSpotify }
+}
@@ -0,0 +1,198 @@
+import { useEffect, useRef, useState } from 'react'
+import { getNoteBody } from '../../utils/notesTagsData.js'
+import { formatTimestampMs, formatTimestampRange } from '../playlist/noteTimestamps.js'
+import { CONFLICT_RESOLUTION } from './backupMerge.js'
+
+/** @typedef {import('./backupMerge.js').BackupMergePlan} BackupMergePlan */
+/** @typedef {import('./backupMerge.js').ConflictResolution} ConflictResolution */
+/** @typedef {import('../../utils/notesTagsData.js').NoteEntry} NoteEntry */
+
+/** @type {import('react').CSSProperties} */
+const overlayStyle = {
+  position: 'fixed',
+  inset: 0,
+  backgroundColor: 'rgba(0, 0, 0, 0.6)',
+  display: 'flex',
+  alignItems: 'center',
+  justifyContent: 'center',
+  padding: '24px',
+  zIndex: 1000,
+}
+
+/** @type {import('react').CSSProperties} */
+const dialogStyle = {
+  width: 'min(640px, 100%)',
+  maxHeight: 'calc(100vh - 48px)',
+  display: 'flex',
+  flexDirection: 'column',
+  backgroundColor: 'var(--surface-4, var(--surface, #0f1115))',
+  borderRadius: 12,
+  border: '1px solid var(--border, rgba(255,255,255,0.1))',
+  padding: '26px',
+  color: 'var(--fg, #f7f7f7)',
+  boxShadow: '0 20px 48px rgba(0,0,0,0.45)',
+}
+
+const RESOLUTION_OPTIONS = [
+  { value: CONFLICT_RESOLUTION.BOTH, label: 'Keep both' },
+  { value: CONFLICT_RESOLUTION.LOCAL, label: 'Keep local' },
+  { value: CONFLICT_RESOLUTION.BACKUP, label: 'Keep backup' },
+]
+
+/**
+ * @param {number} count
+ * @param {string} noun
+ */
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`
+
+/**
+ * @param {NoteEntry} note
+ * @returns {string}
+ */
+function describeNote(note) {
+  if (typeof note.timestampMs !== 'number') return getNoteBody(note)
+  const stamp =
+    typeof note.timestampEndMs === 'number' && note.timestampEndMs > note.timestampMs
+      ? formatTimestampRange(note.timestampMs, note.timestampEndMs)
+      : formatTimestampMs(note.timestampMs)
+  return `[${stamp}] ${getNoteBody(note)}`
+}
+
+/**
+ * Preview of a backup restore. Nothing is written until "Restore backup" is pressed.
+ * @param {object} props
+ * @param {BackupMergePlan | null} props.plan
+ * @param {string} [props.backupLabel] - Playlist title / date from the backup file
+ * @param {string[]} [props.savedFilterNames] - Saved filters the restore adds
+ * @param {() => void} props.onCancel
+ * @param {(resolutions: Record<string, ConflictResolution>) => void} props.onApply
+ */
+export default function BackupMergeDialog({
+  plan,
+  backupLabel = '',
+  savedFilterNames = [],
+  onCancel,
+  onApply,
+}) {
+  const [resolutions, setResolutions] = useState(/** @type {Record<string, ConflictResolution>} */ ({}))
+  const headingRef = useRef(/** @type {HTMLHeadingElement | null} */ (null))
+
+  useEffect(() => {
+    if (!plan) return
+    setResolutions({})
+    setTimeout(() => headingRef.current?.focus({ preventScroll: true }), 0)
+  }, [plan])
+
+  if (!plan) return null
+
+  const { totals } = plan
+  const conflictKeys = plan.tracks.flatMap((track) => track.conflicts.map((conflict) => conflict.key))
+
+  /** @param {ConflictResolution} value */
+  const resolveAll = (value) => {
+    setResolutions(Object.fromEntries(conflictKeys.map((key) => [key, value])))
+  }
+
+  return (
+    <div style={overlayStyle} role="presentation">
+      <div
+        style={dialogStyle}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="backup-merge-title"
+        aria-describedby="backup-merge-summary"
+        onKeyDown={(event) => {
+          if (event.key === 'Escape') {
+            event.preventDefault()
+            event.stopPropagation()
+            onCancel()
+          }
+        }}
+      >
+        <h2 id="backup-merge-title" ref={headingRef} tabIndex={-1} style={{ marginTop: 0 }}>
+          Review backup before restoring
+        </h2>
+        <p id="backup-merge-summary" style={{ marginTop: 0 }}>
+          {backupLabel ? `${backupLabel}: ` : ''}
+          {plural(totals.added, 'note')} to add, {plural(totals.conflicts, 'conflict')},{' '}
+          {plural(totals.addedTags, 'new tag')}. Your local notes are kept unless you choose otherwise.
+        </p>
+        {savedFilterNames.length > 0 && (
+          <p style={{ marginTop: 0 }}>
+            Also adds {plural(savedFilterNames.length, 'saved filter')}: {savedFilterNames.join(', ')}.
+          </p>
+        )}
+
+        {conflictKeys.length > 1 && (
+          <div className="row" style={{ gap: 8, flexWrap: 'wrap', marginBottom: 12 }}>
+            <span style={{ color: 'var(--muted)' }}>All conflicts:</span>
+            {RESOLUTION_OPTIONS.map((option) => (
+              <button key={option.value} type="button" className="btn" onClick={() => resolveAll(option.value)}>
+                {option.label}
+              </button>
+            ))}
+          </div>
+        )}
+
+        <ul style={{ listStyle: 'none', padding: 0, margin: 0, overflowY: 'auto', display: 'grid', gap: 12 }}>
+          {plan.tracks.map((track) => (
+            <li
+              key={track.trackId}
+              data-testid={`backup-merge-track-${track.trackId}`}
+              style={{ border: '1px solid var(--border)', borderRadius: 8, padding: 12 }}
+            >
+              <div style={{ fontWeight: 600 }}>
+                {track.artist ? `${track.artist} - ` : ''}
+                {track.title}
+              </div>
+              <div style={{ color: 'var(--muted)', fontSize: '0.85rem' }}>
+                {plural(track.kept.length, 'local note')} kept
+                {track.addedTags.length > 0 ? ` · tags added: ${track.addedTags.join(', ')}` : ''}
+              </div>
+              {track.added.length > 0 && (
+                <ul aria-label={`Notes to add for ${track.title}`} style={{ margin: '8px 0 0', paddingLeft: 20 }}>
+                  {track.added.map((note, idx) => (
+                    <li key={note.id ?? idx}>+ {describeNote(note)}</li>
+                  ))}
+                </ul>
+              )}
+              {track.conflicts.map((conflict) => (
+                <fieldset
+                  key={conflict.key}
+                  style={{ marginTop: 8, border: '1px solid var(--border)', borderRadius: 6, padding: '8px 12px' }}
+                >
+                  <legend>Conflicting note</legend>
+                  <div>Local: {describeNote(conflict.local)}</div>
+                  <div>Backup: {describeNote(conflict.backup)}</div>
+                  <div style={{ display: 'flex', flexWrap: 'wrap', gap: 12, marginTop: 6 }}>
+                    {RESOLUTION_OPTIONS.map((option) => (
+                      <label key={option.value} style={{ display: 'flex', gap: 6, alignItems: 'center' }}>
+                        <input
+                          type="radio"
+                          name={`resolution-${conflict.key}`}
+                          value={option.value}
+                          checked={(resolutions[conflict.key] ?? CONFLICT_RESOLUTION.BOTH) === option.value}
+                          onChange={() => setResolutions((prev) => ({ ...prev, [conflict.key]: option.value }))}
+                        />
+                        {option.label}
+                      </label>
+                    ))}
+                  </div>
+                </fieldset>
+              ))}
+            </li>
+          ))}
+        </ul>
+
+        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 12, marginTop: 20 }}>
+          <button type="button" className="btn" onClick={onCancel}>
+            Cancel
+          </button>
+          <button type="button" className="btn primary" onClick={() => onApply(resolutions)}>
+            Restore backup
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
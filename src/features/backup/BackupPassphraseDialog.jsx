@@ -0,0 +1,158 @@
+import { useEffect, useRef, useState } from 'react'
+import { MIN_BACKUP_PASSPHRASE_LENGTH } from './backupCrypto.js'
+
+/** @type {import('react').CSSProperties} */
+const overlayStyle = {
+  position: 'fixed',
+  inset: 0,
+  backgroundColor: 'rgba(0, 0, 0, 0.6)',
+  display: 'flex',
+  alignItems: 'center',
+  justifyContent: 'center',
+  padding: '24px',
+  zIndex: 1000,
+}
+
+/** @type {import('react').CSSProperties} */
+const dialogStyle = {
+  width: 'min(480px, 100%)',
+  backgroundColor: 'var(--surface-4, var(--surface, #0f1115))',
+  borderRadius: 12,
+  border: '1px solid var(--border, rgba(255,255,255,0.1))',
+  padding: '26px',
+  color: 'var(--fg, #f7f7f7)',
+  boxShadow: '0 20px 48px rgba(0,0,0,0.45)',
+}
+
+/** @type {import('react').CSSProperties} */
+const inputStyle = {
+  width: '100%',
+  marginTop: 8,
+  padding: '10px 12px',
+  borderRadius: 8,
+  border: '1px solid var(--border, rgba(255,255,255,0.1))',
+  background: 'var(--card, #161920)',
+  color: 'inherit',
+}
+
+/**
+ * Asks for a backup passphrase: twice when encrypting a new backup, once when opening
+ * an encrypted file.
+ * @param {object} props
+ * @param {'encrypt' | 'decrypt' | null} props.mode - `null` hides the dialog
+ * @param {boolean} [props.busy]
+ * @param {string | null} [props.error] - Shown under the field, e.g. a wrong passphrase
+ * @param {() => void} props.onCancel
+ * @param {(passphrase: string) => void} props.onSubmit
+ */
+export default function BackupPassphraseDialog({ mode, busy = false, error = null, onCancel, onSubmit }) {
+  const [passphrase, setPassphrase] = useState('')
+  const [confirmation, setConfirmation] = useState('')
+  const inputRef = useRef(/** @type {HTMLInputElement | null} */ (null))
+
+  useEffect(() => {
+    if (!mode) return
+    setPassphrase('')
+    setConfirmation('')
+    setTimeout(() => inputRef.current?.focus({ preventScroll: true }), 0)
+  }, [mode])
+
+  useEffect(() => {
+    if (error) inputRef.current?.select()
+  }, [error])
+
+  if (!mode) return null
+
+  const encrypting = mode === 'encrypt'
+  const tooShort = encrypting && passphrase.length < MIN_BACKUP_PASSPHRASE_LENGTH
+  const mismatch = encrypting && confirmation.length > 0 && confirmation !== passphrase
+  const canSubmit = !busy && passphrase.length > 0 && !tooShort && (!encrypting || confirmation === passphrase)
+  const message = error ?? (mismatch ? 'Passphrases do not match.' : null)
+
+  /** @param {import('react').FormEvent} event */
+  const handleSubmit = (event) => {
+    event.preventDefault()
+    if (canSubmit) onSubmit(passphrase)
+  }
+
+  return (
+    <div style={overlayStyle} role="presentation">
+      <div
+        style={dialogStyle}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="backup-passphrase-title"
+        onKeyDown={(event) => {
+          if (event.key === 'Escape') {
+            event.preventDefault()
+            event.stopPropagation()
+            if (!busy) onCancel()
+          }
+        }}
+      >
+        <h2 id="backup-passphrase-title" style={{ marginTop: 0 }}>
+          {encrypting ? 'Encrypt backup' : 'Encrypted backup'}
+        </h2>
+        <p style={{ marginTop: 0 }}>
+          {encrypting
+            ? `Choose a passphrase of at least ${MIN_BACKUP_PASSPHRASE_LENGTH} characters. Without it the backup cannot be opened, and it cannot be recovered.`
+            : 'This backup is encrypted. Enter the passphrase it was saved with.'}
+        </p>
+        <form onSubmit={handleSubmit}>
+          <label htmlFor="backup-passphrase-input" style={{ display: 'block', fontWeight: 600 }}>
+            Passphrase
+          </label>
+          <input
+            ref={inputRef}
+            id="backup-passphrase-input"
+            type="password"
+            autoComplete={encrypting ? 'new-password' : 'current-password'}
+            value={passphrase}
+            onChange={(event) => setPassphrase(event.target.value)}
+            aria-invalid={Boolean(error)}
+            aria-describedby={message ? 'backup-passphrase-error' : undefined}
+            style={inputStyle}
+          />
+          {encrypting && (
+            <>
+              <label
+                htmlFor="backup-passphrase-confirm"
+                style={{ display: 'block', fontWeight: 600, marginTop: 14 }}
+              >
+                Repeat passphrase
+              </label>
+              <input
+                id="backup-passphrase-confirm"
+                type="password"
+                autoComplete="new-password"
+                value={confirmation}
+                onChange={(event) => setConfirmation(event.target.value)}
+                aria-invalid={mismatch}
+                style={inputStyle}
+              />
+            </>
+          )}
+          {message && (
+            <p id="backup-passphrase-error" role="alert" style={{ marginTop: 10, color: 'var(--error, #f87171)' }}>
+              {message}
+            </p>
+          )}
+          <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 12, marginTop: 24 }}>
+            <button type="button" className="btn" onClick={onCancel} disabled={busy}>
+              Cancel
+            </button>
+            <button type="submit" className="btn primary" disabled={!canSubmit}>
+              {busy
+                ? encrypting
+                  ? 'Encrypting…'
+                  : 'Decrypting…'
+                : encrypting
+                  ? 'Download encrypted backup'
+                  : 'Open backup'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,120 @@
+import { useMemo } from 'react'
+import { summarizeRestorePoint } from './restorePoints.js'
+
+/** @typedef {import('./restorePoints.js').RestorePoint} RestorePoint */
+/** @typedef {import('./restorePoints.js').RestorePointSummary} RestorePointSummary */
+/** @typedef {import('../../utils/notesTagsData.js').NoteEntry} NoteEntry */
+
+const REASON_LABELS = {
+  hourly: 'Automatic',
+  upgrade: 'Before an app update',
+  'before-restore': 'Before a restore',
+}
+
+/**
+ * @param {number} count
+ * @param {string} noun
+ */
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`
+
+/** @param {string} iso */
+function formatPointDate(iso) {
+  const date = new Date(iso)
+  if (Number.isNaN(date.getTime())) return iso
+  return new Intl.DateTimeFormat(undefined, { dateStyle: 'medium', timeStyle: 'short' }).format(date)
+}
+
+/**
+ * @param {RestorePointSummary} summary
+ * @returns {string}
+ */
+function describeRestoreSummary({ notesAdded, notesRemoved, tagsAdded, tagsRemoved }) {
+  const parts = []
+  if (notesAdded || tagsAdded) {
+    parts.push(
+      `brings back ${[notesAdded && plural(notesAdded, 'note'), tagsAdded && plural(tagsAdded, 'tag')]
+        .filter(Boolean)
+        .join(' and ')}`,
+    )
+  }
+  if (notesRemoved || tagsRemoved) {
+    parts.push(
+      `removes ${[notesRemoved && plural(notesRemoved, 'note'), tagsRemoved && plural(tagsRemoved, 'tag')]
+        .filter(Boolean)
+        .join(' and ')}`,
+    )
+  }
+  if (parts.length === 0) return 'Same as your current notes.'
+  return `Restoring ${parts.join(', ')}.`
+}
+
+/**
+ * Lists automatic restore points with what restoring each one would change.
+ *
+ * @param {{
+ *   points: RestorePoint[],
+ *   currentNotes: Record<string, NoteEntry[]>,
+ *   currentTags: Record<string, string[]>,
+ *   onRestore: (point: RestorePoint) => void,
+ * }} props
+ */
+export default function RestorePointsPanel({ points, currentNotes, currentTags, onRestore }) {
+  const rows = useMemo(
+    () =>
+      points.map((point) => {
+        const summary = summarizeRestorePoint(point, currentNotes, currentTags)
+        const unchanged =
+          !summary.notesAdded && !summary.notesRemoved && !summary.tagsAdded && !summary.tagsRemoved
+        return { point, summary, unchanged }
+      }),
+    [points, currentNotes, currentTags],
+  )
+
+  /** @param {{ point: RestorePoint, summary: RestorePointSummary }} row */
+  const handleRestore = ({ point, summary }) => {
+    const confirmed = window.confirm(
+      `Restore notes from ${formatPointDate(point.generatedAt)}? ${describeRestoreSummary(summary)} ` +
+        'Your current notes are kept as a restore point first.',
+    )
+    if (confirmed) onRestore(point)
+  }
+
+  if (rows.length === 0) {
+    return (
+      <p style={{ color: 'var(--muted)', margin: 0 }}>
+        No restore points yet. One is taken every hour while you edit notes.
+      </p>
+    )
+  }
+
+  return (
+    <ul style={{ listStyle: 'none', margin: 0, padding: 0, display: 'grid', gap: 10 }}>
+      {rows.map((row) => {
+        const { point, summary, unchanged } = row
+        const title = point.playlist?.title
+        return (
+          <li key={point.id} className="row" style={{ gap: 12, justifyContent: 'space-between', alignItems: 'center' }}>
+            <div>
+              <div>
+                {formatPointDate(point.generatedAt)}
+                {title ? ` · ${title}` : ''}
+              </div>
+              <div style={{ color: 'var(--muted)', fontSize: '0.85rem' }}>
+                {REASON_LABELS[point.reason] ?? REASON_LABELS.hourly}. {describeRestoreSummary(summary)}
+              </div>
+            </div>
+            <button
+              type="button"
+              className="btn"
+              onClick={() => handleRestore(row)}
+              disabled={unchanged}
+              aria-label={`Restore notes from ${formatPointDate(point.generatedAt)}`}
+            >
+              Restore
+            </button>
+          </li>
+        )
+      })}
+    </ul>
+  )
+}
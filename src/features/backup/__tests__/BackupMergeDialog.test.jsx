@@ -0,0 +1,57 @@
+import { describe, expect, it, vi } from 'vitest'
+import { fireEvent, render, screen, within } from '@testing-library/react'
+import BackupMergeDialog from '../BackupMergeDialog.jsx'
+import { planBackupMerge } from '../backupMerge.js'
+
+const plan = planBackupMerge({
+  localNotes: {
+    t1: [{ id: 'n1', body: 'Local edit', createdAt: 100 }],
+    t2: [{ id: 'n2', body: 'Mine', createdAt: 100 }],
+  },
+  localTags: {},
+  backupNotes: {
+    t1: [
+      { id: 'n1', body: 'Original text', createdAt: 100 },
+      { body: 'Only in backup', createdAt: 300, timestampMs: 65_000 },
+    ],
+    t2: [{ id: 'n2', body: 'Theirs', createdAt: 100 }],
+  },
+  backupTags: {},
+  tracks: [
+    { id: 't1', title: 'Song One', artist: 'Band' },
+    { id: 't2', title: 'Song Two', artist: 'Band' },
+  ],
+})
+
+describe('BackupMergeDialog', () => {
+  it('previews additions and conflicts before anything is applied', () => {
+    const onApply = vi.fn()
+    render(<BackupMergeDialog plan={plan} backupLabel="Mix" onCancel={vi.fn()} onApply={onApply} />)
+
+    expect(screen.getByRole('dialog', { name: /review backup/i })).toBeInTheDocument()
+    expect(screen.getByText(/1 note to add, 2 conflicts, 0 new tags/i)).toBeInTheDocument()
+    const first = within(screen.getByTestId('backup-merge-track-t1'))
+    expect(first.getByText('+ [1:05] Only in backup')).toBeInTheDocument()
+    expect(first.getByText('Local: Local edit')).toBeInTheDocument()
+    expect(first.getByText('Backup: Original text')).toBeInTheDocument()
+    expect(first.getByRole('radio', { name: 'Keep both' })).toBeChecked()
+
+    fireEvent.click(first.getByRole('radio', { name: 'Keep backup' }))
+    fireEvent.click(screen.getByRole('button', { name: 'Restore backup' }))
+    expect(onApply).toHaveBeenCalledWith({ 't1:n1': 'backup' })
+  })
+
+  it('resolves every conflict at once and cancels with Escape', () => {
+    const onApply = vi.fn()
+    const onCancel = vi.fn()
+    render(<BackupMergeDialog plan={plan} onCancel={onCancel} onApply={onApply} />)
+
+    const bulk = screen.getByText('All conflicts:').parentElement
+    fireEvent.click(within(/** @type {HTMLElement} */ (bulk)).getByRole('button', { name: 'Keep local' }))
+    fireEvent.click(screen.getByRole('button', { name: 'Restore backup' }))
+    expect(onApply).toHaveBeenCalledWith({ 't1:n1': 'local', 't2:n2': 'local' })
+
+    fireEvent.keyDown(screen.getByRole('dialog'), { key: 'Escape' })
+    expect(onCancel).toHaveBeenCalledTimes(1)
+  })
+})
@@ -0,0 +1,40 @@
+import { describe, expect, it, vi } from 'vitest'
+import { fireEvent, render, screen } from '@testing-library/react'
+import BackupPassphraseDialog from '../BackupPassphraseDialog.jsx'
+
+describe('BackupPassphraseDialog', () => {
+  it('asks for the passphrase twice before encrypting', () => {
+    const onSubmit = vi.fn()
+    render(<BackupPassphraseDialog mode="encrypt" onCancel={vi.fn()} onSubmit={onSubmit} />)
+
+    const submit = screen.getByRole('button', { name: 'Download encrypted backup' })
+    fireEvent.change(screen.getByLabelText('Passphrase'), { target: { value: 'long enough phrase' } })
+    fireEvent.change(screen.getByLabelText('Repeat passphrase'), { target: { value: 'long enough' } })
+    expect(screen.getByRole('alert')).toHaveTextContent('Passphrases do not match.')
+    expect(submit).toBeDisabled()
+
+    fireEvent.change(screen.getByLabelText('Repeat passphrase'), { target: { value: 'long enough phrase' } })
+    fireEvent.click(submit)
+    expect(onSubmit).toHaveBeenCalledWith('long enough phrase')
+  })
+
+  it('shows decryption errors and lets the user try again', () => {
+    const onSubmit = vi.fn()
+    render(
+      <BackupPassphraseDialog
+        mode="decrypt"
+        error="That passphrase does not open this backup."
+        onCancel={vi.fn()}
+        onSubmit={onSubmit}
+      />,
+    )
+
+    expect(screen.queryByLabelText('Repeat passphrase')).not.toBeInTheDocument()
+    expect(screen.getByRole('alert')).toHaveTextContent('does not open this backup')
+    expect(screen.getByLabelText('Passphrase')).toHaveAttribute('aria-invalid', 'true')
+
+    fireEvent.change(screen.getByLabelText('Passphrase'), { target: { value: 'abc' } })
+    fireEvent.click(screen.getByRole('button', { name: 'Open backup' }))
+    expect(onSubmit).toHaveBeenCalledWith('abc')
+  })
+})
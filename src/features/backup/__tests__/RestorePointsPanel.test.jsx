@@ -0,0 +1,51 @@
+import { describe, expect, it, vi } from 'vitest'
+import { fireEvent, render, screen } from '@testing-library/react'
+import RestorePointsPanel from '../RestorePointsPanel.jsx'
+import { createRestorePoint } from '../restorePoints.js'
+
+const point = createRestorePoint(
+  {
+    playlist: { title: 'Road trip' },
+    notesByTrack: { t1: [{ id: 'n1', body: 'Great bridge', createdAt: 1 }] },
+    tagsByTrack: { t1: ['rock'] },
+  },
+  { now: Date.parse('2024-05-20T10:00:00Z'), id: 'p1' },
+)
+
+describe('RestorePointsPanel', () => {
+  it('shows what restoring changes and asks before restoring', () => {
+    const onRestore = vi.fn()
+    const confirmSpy = vi.spyOn(window, 'confirm').mockReturnValueOnce(false).mockReturnValueOnce(true)
+    render(
+      <RestorePointsPanel
+        points={[point]}
+        currentNotes={{ t2: [{ id: 'n2', body: 'New', createdAt: 2 }] }}
+        currentTags={{}}
+        onRestore={onRestore}
+      />,
+    )
+
+    expect(screen.getByText(/Restoring brings back 1 note and 1 tag, removes 1 note\./)).toBeInTheDocument()
+    const button = screen.getByRole('button', { name: /restore notes from/i })
+
+    fireEvent.click(button)
+    expect(onRestore).not.toHaveBeenCalled()
+    fireEvent.click(button)
+    expect(onRestore).toHaveBeenCalledWith(point)
+    confirmSpy.mockRestore()
+  })
+
+  it('disables restoring a point that matches the current notes', () => {
+    render(
+      <RestorePointsPanel
+        points={[point]}
+        currentNotes={point.notesByTrack}
+        currentTags={point.tagsByTrack}
+        onRestore={vi.fn()}
+      />,
+    )
+
+    expect(screen.getByText(/Same as your current notes/)).toBeInTheDocument()
+    expect(screen.getByRole('button', { name: /restore notes from/i })).toBeDisabled()
+  })
+})
@@ -0,0 +1,78 @@
+import { describe, expect, it } from 'vitest'
+import {
+  BACKUP_CRYPTO_ERROR,
+  BackupCryptoError,
+  decryptBackup,
+  encryptBackup,
+  isEncryptedBackup,
+} from '../backupCrypto.js'
+
+// Keep the KDF cheap in tests; real backups use BACKUP_KDF_ITERATIONS.
+const FAST = { iterations: 10_000 }
+
+const payload = {
+  version: 1,
+  playlist: { title: 'Unreleased EP' },
+  notesByTrack: { t1: [{ id: 'n1', body: 'Second verse lyrics — do not share', createdAt: 1 }] },
+  tagsByTrack: { t1: ['demo'] },
+}
+
+/**
+ * @param {Promise<unknown>} promise
+ * @returns {Promise<BackupCryptoError>}
+ */
+async function rejection(promise) {
+  try {
+    await promise
+  } catch (err) {
+    expect(err).toBeInstanceOf(BackupCryptoError)
+    return /** @type {BackupCryptoError} */ (err)
+  }
+  throw new Error('Expected the promise to reject')
+}
+
+describe('backupCrypto', () => {
+  it('round-trips a backup through a versioned envelope without leaking plaintext', async () => {
+    const envelope = await encryptBackup(payload, 'correct horse battery', FAST)
+
+    expect(isEncryptedBackup(envelope)).toBe(true)
+    expect(isEncryptedBackup(payload)).toBe(false)
+    expect(envelope).toMatchObject({ version: 1, kdf: { name: 'PBKDF2', iterations: 10_000 }, cipher: { name: 'AES-GCM' } })
+    expect(JSON.stringify(envelope)).not.toContain('lyrics')
+
+    const restored = await decryptBackup(JSON.parse(JSON.stringify(envelope)), 'correct horse battery')
+    expect(restored).toEqual(payload)
+  })
+
+  it('reports a wrong passphrase separately from a damaged file', async () => {
+    const envelope = await encryptBackup(payload, 'correct horse battery', FAST)
+
+    const wrong = await rejection(decryptBackup(envelope, 'incorrect horse'))
+    expect(wrong.code).toBe(BACKUP_CRYPTO_ERROR.WRONG_PASSPHRASE)
+
+    const flipped = atob(envelope.ciphertext)
+    const tampered = {
+      ...envelope,
+      ciphertext: btoa(String.fromCharCode(flipped.charCodeAt(0) ^ 1) + flipped.slice(1)),
+    }
+    const damaged = await rejection(decryptBackup(tampered, 'correct horse battery'))
+    expect(damaged.code).toBe(BACKUP_CRYPTO_ERROR.CORRUPTED)
+  })
+
+  it('rejects truncated envelopes and unknown versions before deriving a key', async () => {
+    const envelope = await encryptBackup(payload, 'correct horse battery', FAST)
+
+    const missing = await rejection(decryptBackup({ ...envelope, ciphertext: undefined }, 'correct horse battery'))
+    expect(missing.code).toBe(BACKUP_CRYPTO_ERROR.CORRUPTED)
+
+    const garbled = await rejection(decryptBackup({ ...envelope, cipher: { name: 'AES-GCM', iv: '%%%' } }, 'x'))
+    expect(garbled.code).toBe(BACKUP_CRYPTO_ERROR.CORRUPTED)
+
+    const future = await rejection(decryptBackup({ ...envelope, version: 2 }, 'correct horse battery'))
+    expect(future.code).toBe(BACKUP_CRYPTO_ERROR.UNSUPPORTED)
+  })
+
+  it('refuses short passphrases when encrypting', async () => {
+    await expect(encryptBackup(payload, 'short', FAST)).rejects.toThrow(/at least 8/)
+  })
+})
@@ -0,0 +1,145 @@
+import { describe, expect, it } from 'vitest'
+import { CONFLICT_RESOLUTION, applyBackupMerge, planBackupMerge, readBackupPayload } from '../backupMerge.js'
+
+const localNotes = {
+  t1: [
+    { id: 'n1', body: 'Local edit', createdAt: 100 },
+    { body: 'Written after the backup', createdAt: 500 },
+  ],
+  t2: [{ body: 'Same everywhere', createdAt: 200 }],
+}
+const localTags = { t1: ['drums'] }
+
+const backupNotes = {
+  t1: [
+    { id: 'n1', body: 'Original text', createdAt: 100 },
+    { body: 'Only in backup', createdAt: 300 },
+  ],
+  t2: [{ body: 'Same everywhere', createdAt: 200 }],
+  t3: [{ id: 'n3', body: 'Track we lost', createdAt: 50, timestampMs: 1000 }],
+}
+const backupTags = { t1: ['drums', 'intro'] }
+
+const plan = planBackupMerge({
+  localNotes,
+  localTags,
+  backupNotes,
+  backupTags,
+  tracks: [{ id: 't1', title: 'Song One', artist: 'Band' }],
+})
+
+describe('planBackupMerge', () => {
+  it('sorts backup notes into added, kept and conflicting per track', () => {
+    expect(plan.totals).toEqual({ added: 2, conflicts: 1, addedTags: 1, unchangedTracks: 1 })
+    expect(plan.tracks.map((track) => track.trackId)).toEqual(['t1', 't3'])
+
+    const [t1, t3] = plan.tracks
+    expect(t1).toMatchObject({ title: 'Song One', artist: 'Band', addedTags: ['intro'] })
+    expect(t1.added.map((note) => note.body)).toEqual(['Only in backup'])
+    expect(t1.kept).toHaveLength(2)
+    expect(t1.conflicts).toEqual([
+      {
+        key: 't1:n1',
+        local: { id: 'n1', body: 'Local edit', createdAt: 100 },
+        backup: { id: 'n1', body: 'Original text', createdAt: 100 },
+      },
+    ])
+    expect(t3).toMatchObject({ title: 't3', kept: [], conflicts: [] })
+  })
+
+  it('treats notes with the same id and content as already present', () => {
+    const same = planBackupMerge({
+      localNotes: { t1: [{ id: 'n1', body: 'Hi', createdAt: 1 }] },
+      localTags: {},
+      backupNotes: { t1: [{ id: 'n1', body: 'Hi', createdAt: 1 }] },
+      backupTags: {},
+    })
+    expect(same.tracks).toEqual([])
+    expect(same.totals.unchangedTracks).toBe(1)
+  })
+})
+
+describe('applyBackupMerge', () => {
+  it('keeps both copies of a conflict by default, giving the copy and new notes their own ids', () => {
+    let nextId = 0
+    const createId = () => `new-${(nextId += 1)}`
+    const { notesByTrack, tagsByTrack } = applyBackupMerge({ localNotes, localTags, plan, createId })
+    expect(notesByTrack.t1).toEqual([
+      { id: 'n1', body: 'Local edit', createdAt: 100 },
+      { id: 'new-2', body: 'Original text', createdAt: 100 },
+      { id: 'new-1', body: 'Only in backup', createdAt: 300 },
+      { body: 'Written after the backup', createdAt: 500 },
+    ])
+    expect(notesByTrack.t2).toEqual(localNotes.t2)
+    expect(notesByTrack.t3).toEqual(backupNotes.t3)
+    expect(tagsByTrack.t1).toEqual(['drums', 'intro'])
+  })
+
+  it('honours keep local and keep backup choices', () => {
+    const keepLocal = applyBackupMerge({
+      localNotes,
+      localTags,
+      plan,
+      resolutions: { 't1:n1': CONFLICT_RESOLUTION.LOCAL },
+    })
+    expect(keepLocal.notesByTrack.t1.map((note) => note.body)).toEqual([
+      'Local edit',
+      'Only in backup',
+      'Written after the backup',
+    ])
+
+    const keepBackup = applyBackupMerge({
+      localNotes,
+      localTags,
+      plan,
+      resolutions: { 't1:n1': CONFLICT_RESOLUTION.BACKUP },
+    })
+    expect(keepBackup.notesByTrack.t1[0]).toEqual({ id: 'n1', body: 'Original text', createdAt: 100 })
+    expect(keepBackup.notesByTrack.t1).toHaveLength(3)
+  })
+
+  it('keeps the local revision when the backup copy replaces a synced note', () => {
+    const synced = { id: 'n1', body: 'Local edit', createdAt: 100, revision: 4 }
+    const stale = { id: 'n1', body: 'Original text', createdAt: 100, revision: 2 }
+    const revisionPlan = planBackupMerge({
+      localNotes: { t1: [synced] },
+      localTags: {},
+      backupNotes: { t1: [stale] },
+      backupTags: {},
+    })
+    const { notesByTrack } = applyBackupMerge({
+      localNotes: { t1: [synced] },
+      localTags: {},
+      plan: revisionPlan,
+      resolutions: { 't1:n1': CONFLICT_RESOLUTION.BACKUP },
+    })
+    expect(notesByTrack.t1).toEqual([{ id: 'n1', body: 'Original text', createdAt: 100, revision: 4 }])
+  })
+
+  it('does not touch the local maps', () => {
+    const before = JSON.stringify(localNotes)
+    applyBackupMerge({ localNotes, localTags, plan })
+    expect(JSON.stringify(localNotes)).toBe(before)
+  })
+})
+
+describe('readBackupPayload', () => {
+  it('rejects files without a notes map', () => {
+    expect(() => readBackupPayload({ version: 1 })).toThrow(/notesByTrack/)
+  })
+
+  it('reads the playlist title and date', () => {
+    expect(
+      readBackupPayload({ generatedAt: '2024-01-01T00:00:00Z', playlist: { title: 'Mix' }, notesByTrack: {} }),
+    ).toMatchObject({ playlistTitle: 'Mix', generatedAt: '2024-01-01T00:00:00Z', notesByTrack: {}, tagsByTrack: {} })
+  })
+
+  it('reads saved filters and tolerates backups without them', () => {
+    expect(readBackupPayload({ notesByTrack: {} }).savedFilters).toEqual([])
+    const { savedFilters } = readBackupPayload({
+      notesByTrack: {},
+      savedFilters: [{ id: 'f1', name: 'Dark intros', query: 'intro', selectedTags: ['dark'] }, { name: '' }],
+    })
+    expect(savedFilters).toEqual([expect.objectContaining({ name: 'Dark intros', query: 'intro', selectedTags: ['dark'] })])
+  })
+})
@@ -0,0 +1,90 @@
+import { describe, expect, it } from 'vitest'
+import { diffNotesAndTags, isEmptyNotesDiff, notesDiffTrackIds, rebaseRestoredNotes } from '../notesDiff.js'
+
+describe('diffNotesAndTags', () => {
+  it('lists created, edited and deleted notes by id, and changed tag lists', () => {
+    const diff = diffNotesAndTags({
+      beforeNotes: {
+        t1: [
+          { id: 'a', body: 'Keep', createdAt: 1, revision: 2 },
+          { id: 'b', body: 'Old text', createdAt: 2, revision: 1 },
+          { id: 'c', body: 'Gone', createdAt: 3 },
+        ],
+      },
+      afterNotes: {
+        t1: [
+          { id: 'a', body: 'Keep ', createdAt: 1, revision: 2 },
+          { id: 'b', body: 'New text', createdAt: 2, revision: 1 },
+        ],
+        t2: [{ id: 'd', body: 'Fresh', createdAt: 4, timestampMs: 5000 }],
+      },
+      beforeTags: { t1: ['drums', 'intro'], t2: ['x'] },
+      afterTags: { t1: ['intro', 'drums'], t2: [] },
+    })
+
+    expect(diff).toEqual({
+      created: [{ trackId: 't2', note: { id: 'd', body: 'Fresh', createdAt: 4, timestampMs: 5000 } }],
+      edited: [
+        {
+          trackId: 't1',
+          base: { id: 'b', body: 'Old text', createdAt: 2, revision: 1 },
+          next: { id: 'b', body: 'New text', createdAt: 2, revision: 1 },
+        },
+      ],
+      deleted: [{ trackId: 't1', noteId: 'c' }],
+      tags: [{ trackId: 't2', tags: [] }],
+    })
+  })
+
+  it('leaves out notes that have no id', () => {
+    const diff = diffNotesAndTags({
+      beforeNotes: { t1: [{ body: 'Legacy', createdAt: 1 }] },
+      afterNotes: { t1: [{ body: 'Legacy, edited', createdAt: 1 }] },
+      beforeTags: {},
+      afterTags: {},
+    })
+    expect(isEmptyNotesDiff(diff)).toBe(true)
+  })
+
+  it('sees a changed timestamp as an edit', () => {
+    const diff = diffNotesAndTags({
+      beforeNotes: { t1: [{ id: 'a', body: 'Drop', createdAt: 1, timestampMs: 1000 }] },
+      afterNotes: { t1: [{ id: 'a', body: 'Drop', createdAt: 1, timestampMs: 2000 }] },
+      beforeTags: {},
+      afterTags: {},
+    })
+    expect(diff.edited).toHaveLength(1)
+  })
+})
+
+describe('rebaseRestoredNotes', () => {
+  it('takes the current revision for notes that still exist and drops it for re-created ones', () => {
+    const restored = rebaseRestoredNotes(
+      {
+        t1: [
+          { id: 'a', body: 'Old text', createdAt: 1, revision: 1 },
+          { id: 'b', body: 'Deleted since', createdAt: 2, revision: 4 },
+          { body: 'Never synced', createdAt: 3 },
+        ],
+      },
+      { t1: [{ id: 'a', body: 'New text', createdAt: 1, revision: 5 }] },
+    )
+    expect(restored.t1).toEqual([
+      { id: 'a', body: 'Old text', createdAt: 1, revision: 5 },
+      { id: 'b', body: 'Deleted since', createdAt: 2 },
+      { body: 'Never synced', createdAt: 3 },
+    ])
+  })
+})
+
+describe('notesDiffTrackIds', () => {
+  it('collects every track a diff touches', () => {
+    const diff = diffNotesAndTags({
+      beforeNotes: { t1: [{ id: 'a', body: 'x', createdAt: 1 }] },
+      afterNotes: { t2: [{ id: 'b', body: 'y', createdAt: 1 }] },
+      beforeTags: {},
+      afterTags: { t3: ['z'] },
+    })
+    expect(notesDiffTrackIds(diff)).toEqual(new Set(['t1', 't2', 't3']))
+  })
+})
@@ -0,0 +1,114 @@
+import { beforeEach, describe, expect, it } from 'vitest'
+import {
+  addRestorePoint,
+  captureRestorePoint,
+  createRestorePoint,
+  isRestorePointDue,
+  loadRestorePoints,
+  pruneRestorePoints,
+  summarizeRestorePoint,
+} from '../restorePoints.js'
+
+const HOUR = 60 * 60 * 1000
+const DAY = 24 * HOUR
+const NOW = Date.parse('2024-05-20T12:30:00Z')
+
+/**
+ * @param {number} at
+ * @param {string} [body]
+ */
+const pointAt = (at, body = `note at ${at}`) =>
+  createRestorePoint(
+    { playlist: { title: 'Mix' }, notesByTrack: { t1: [{ id: 'n1', body, createdAt: 1 }] }, tagsByTrack: {} },
+    { now: at, id: `p-${at}` },
+  )
+
+describe('restorePoints', () => {
+  beforeEach(() => {
+    localStorage.clear()
+  })
+
+  it('keeps one point per hour unless forced', () => {
+    let points = addRestorePoint([], pointAt(NOW))
+    points = addRestorePoint(points, pointAt(NOW + 10 * 60 * 1000, 'later'))
+    expect(points).toHaveLength(1)
+
+    points = addRestorePoint(points, pointAt(NOW + 10 * 60 * 1000, 'later'), { force: true })
+    expect(points).toHaveLength(2)
+
+    points = addRestorePoint(points, pointAt(NOW + HOUR, 'later'))
+    expect(points).toHaveLength(2)
+  })
+
+  it('is due for a new point only once the newest is from an earlier hour', () => {
+    expect(isRestorePointDue([], NOW)).toBe(true)
+    const points = [pointAt(NOW)]
+    expect(isRestorePointDue(points, NOW + 20 * 60 * 1000)).toBe(false)
+    expect(isRestorePointDue(points, NOW + HOUR)).toBe(true)
+  })
+
+  it('thins points to one per day after a day and drops them after two weeks', () => {
+    const hourly = Array.from({ length: 30 }, (_, index) => pointAt(NOW - index * HOUR))
+    const older = [pointAt(NOW - 3 * DAY), pointAt(NOW - 3 * DAY + 10 * 60 * 1000), pointAt(NOW - 15 * DAY)]
+
+    const kept = pruneRestorePoints([...hourly, ...older], { now: NOW })
+    const ages = kept.map((point) => (NOW - Date.parse(point.generatedAt)) / HOUR)
+
+    expect(ages.filter((age) => age <= 24)).toHaveLength(25)
+    const ids = kept.map((point) => point.id)
+    expect(ids).toContain(`p-${NOW - 3 * DAY}`)
+    expect(ids).not.toContain(`p-${NOW - 3 * DAY + 10 * 60 * 1000}`)
+    expect(ages.some((age) => age > 14 * 24)).toBe(false)
+    expect(ages).toEqual([...ages].sort((a, b) => a - b))
+  })
+
+  it('drops the oldest points to fit the size budget but always keeps the newest', () => {
+    const points = [pointAt(NOW, 'x'.repeat(400)), pointAt(NOW - HOUR, 'y'.repeat(400)), pointAt(NOW - 2 * HOUR)]
+    const size = JSON.stringify(points[0]).length
+
+    expect(pruneRestorePoints(points, { now: NOW, maxChars: size * 2 + 10 }).map((p) => p.id)).toEqual([
+      `p-${NOW}`,
+      `p-${NOW - HOUR}`,
+    ])
+    expect(pruneRestorePoints(points, { now: NOW, maxChars: 10 })).toHaveLength(1)
+  })
+
+  it('summarizes what restoring a point would add and remove', () => {
+    const point = createRestorePoint({
+      notesByTrack: {
+        t1: [{ id: 'n1', body: 'kept', createdAt: 1 }, { id: 'n2', body: 'deleted by mistake', createdAt: 2 }],
+      },
+      tagsByTrack: { t1: ['rock', 'live'] },
+    })
+    const summary = summarizeRestorePoint(
+      point,
+      {
+        t1: [{ id: 'n1', body: 'kept', createdAt: 1 }],
+        t2: [{ id: 'n3', body: 'written since', createdAt: 3 }],
+      },
+      { t1: ['rock'], t2: ['demo'] },
+    )
+
+    expect(summary).toEqual({ notesAdded: 1, notesRemoved: 1, tagsAdded: 1, tagsRemoved: 1 })
+  })
+
+  it('folds the legacy single auto-backup into the history', () => {
+    localStorage.setItem(
+      'sta:v6:auto-backup',
+      JSON.stringify({
+        version: 1,
+        generatedAt: new Date(NOW - 2 * HOUR).toISOString(),
+        playlist: { title: 'Old' },
+        notesByTrack: { t1: [{ id: 'n1', body: 'old', createdAt: 1 }] },
+        tagsByTrack: {},
+      }),
+    )
+
+    expect(loadRestorePoints()).toEqual([expect.objectContaining({ reason: 'upgrade' })])
+
+    const points = captureRestorePoint({ notesByTrack: { t1: [] }, tagsByTrack: {} }, { now: NOW })
+    expect(points).toHaveLength(2)
+    expect(localStorage.getItem('sta:v6:auto-backup')).toBeNull()
+    expect(loadRestorePoints().map((point) => point.playlist.title)).toEqual(['', 'Old'])
+  })
+})
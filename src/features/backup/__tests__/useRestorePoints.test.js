@@ -0,0 +1,69 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { act, renderHook } from '@testing-library/react'
+import useRestorePoints, { RESTORE_POINT_CAPTURE_DELAY_MS } from '../useRestorePoints.js'
+
+const HOUR = 60 * 60 * 1000
+const NOW = Date.parse('2024-05-20T12:10:00Z')
+
+/** @param {string} body */
+const notesWith = (body) => ({ t1: [{ id: 'n1', body, createdAt: 1 }] })
+
+describe('useRestorePoints', () => {
+  beforeEach(() => {
+    localStorage.clear()
+    vi.useFakeTimers()
+    vi.setSystemTime(NOW)
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+    vi.useRealTimers()
+  })
+
+  it('leaves the stored history alone for edits within the hour of the newest point', () => {
+    const { result, rerender } = renderHook((props) => useRestorePoints(props), {
+      initialProps: {
+        enabled: true,
+        playlistTitle: 'Mix',
+        importMeta: {},
+        notesByTrack: notesWith('first'),
+        tagsByTrack: {},
+      },
+    })
+    act(() => {
+      vi.advanceTimersByTime(RESTORE_POINT_CAPTURE_DELAY_MS)
+    })
+    expect(result.current.points).toHaveLength(1)
+
+    const storageProto = Object.getPrototypeOf(window.localStorage)
+    const getItem = vi.spyOn(storageProto, 'getItem')
+    const setItem = vi.spyOn(storageProto, 'setItem')
+    rerender({
+      enabled: true,
+      playlistTitle: 'Mix',
+      importMeta: {},
+      notesByTrack: notesWith('second'),
+      tagsByTrack: {},
+    })
+    act(() => {
+      vi.advanceTimersByTime(RESTORE_POINT_CAPTURE_DELAY_MS)
+    })
+    expect(getItem).not.toHaveBeenCalled()
+    expect(setItem).not.toHaveBeenCalled()
+    expect(result.current.points).toHaveLength(1)
+
+    vi.setSystemTime(NOW + HOUR)
+    rerender({
+      enabled: true,
+      playlistTitle: 'Mix',
+      importMeta: {},
+      notesByTrack: notesWith('third'),
+      tagsByTrack: {},
+    })
+    act(() => {
+      vi.advanceTimersByTime(RESTORE_POINT_CAPTURE_DELAY_MS)
+    })
+    expect(result.current.points).toHaveLength(2)
+    expect(result.current.points[0].notesByTrack.t1[0].body).toBe('third')
+  })
+})
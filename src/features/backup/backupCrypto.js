@@ -0,0 +1,207 @@
+// src/features/backup/backupCrypto.js
+
+/**
+ * Passphrase encryption for backup files. The backup JSON is encrypted with AES-GCM under a
+ * key derived from the passphrase with PBKDF2-SHA-256, and wrapped in a versioned envelope
+ * that records the KDF parameters so later versions can raise the cost without breaking
+ * old files.
+ *
+ * The derivation yields 512 bits: the first half is the AES key, the second half a short
+ * check value stored in the envelope. A check mismatch means the passphrase is wrong; a
+ * matching check with a failed GCM tag means the file itself was damaged.
+ */
+
+export const ENCRYPTED_BACKUP_FORMAT = 'playlist-notes-encrypted-backup'
+export const ENCRYPTED_BACKUP_VERSION = 1
+export const BACKUP_KDF_ITERATIONS = 600_000
+export const MIN_BACKUP_PASSPHRASE_LENGTH = 8
+
+const SALT_BYTES = 16
+const IV_BYTES = 12
+const CHECK_BYTES = 16
+const MIN_ITERATIONS = 10_000
+const MAX_ITERATIONS = 10_000_000
+
+export const BACKUP_CRYPTO_ERROR = Object.freeze({
+  WRONG_PASSPHRASE: 'wrong-passphrase',
+  CORRUPTED: 'corrupted',
+  UNSUPPORTED: 'unsupported',
+})
+
+/** @typedef {typeof BACKUP_CRYPTO_ERROR[keyof typeof BACKUP_CRYPTO_ERROR]} BackupCryptoErrorCode */
+
+/**
+ * @typedef {Object} EncryptedBackupEnvelope
+ * @property {typeof ENCRYPTED_BACKUP_FORMAT} format
+ * @property {number} version
+ * @property {{ name: 'PBKDF2', hash: 'SHA-256', iterations: number, salt: string }} kdf
+ * @property {{ name: 'AES-GCM', iv: string }} cipher
+ * @property {string} check - Base64 key check value
+ * @property {string} ciphertext - Base64 AES-GCM output (ciphertext + tag)
+ */
+
+/**
+ * Decryption failure. `code` tells the UI which message to show.
+ */
+export class BackupCryptoError extends Error {
+  /**
+   * @param {string} message
+   * @param {BackupCryptoErrorCode} code
+   */
+  constructor(message, code) {
+    super(message)
+    this.name = 'BackupCryptoError'
+    this.code = code
+  }
+}
+
+/** @returns {SubtleCrypto} */
+function getSubtle() {
+  const subtle = globalThis.crypto?.subtle
+  if (!subtle) {
+    throw new BackupCryptoError('Encrypted backups need a browser with WebCrypto', BACKUP_CRYPTO_ERROR.UNSUPPORTED)
+  }
+  return subtle
+}
+
+/** @param {Uint8Array} bytes */
+function toBase64(bytes) {
+  let binary = ''
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  }
+  return btoa(binary)
+}
+
+/**
+ * @param {unknown} value
+ * @param {string} field
+ * @returns {Uint8Array<ArrayBuffer>}
+ */
+function fromBase64(value, field) {
+  if (typeof value !== 'string' || !value) {
+    throw new BackupCryptoError(`Encrypted backup is missing ${field}`, BACKUP_CRYPTO_ERROR.CORRUPTED)
+  }
+  try {
+    const binary = atob(value)
+    const bytes = new Uint8Array(binary.length)
+    for (let i = 0; i < binary.length; i += 1) bytes[i] = binary.charCodeAt(i)
+    return bytes
+  } catch (_err) {
+    throw new BackupCryptoError(`Encrypted backup has an unreadable ${field}`, BACKUP_CRYPTO_ERROR.CORRUPTED)
+  }
+}
+
+/**
+ * @param {Uint8Array} a
+ * @param {Uint8Array} b
+ */
+function bytesEqual(a, b) {
+  if (a.length !== b.length) return false
+  let diff = 0
+  for (let i = 0; i < a.length; i += 1) diff |= a[i] ^ b[i]
+  return diff === 0
+}
+
+/**
+ * @param {string} passphrase
+ * @param {Uint8Array<ArrayBuffer>} salt
+ * @param {number} iterations
+ * @returns {Promise<{ key: CryptoKey, check: Uint8Array }>}
+ */
+async function deriveKey(passphrase, salt, iterations) {
+  const subtle = getSubtle()
+  const material = await subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, [
+    'deriveBits',
+  ])
+  const bits = new Uint8Array(
+    await subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, material, 512),
+  )
+  const key = await subtle.importKey('raw', bits.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt'])
+  return { key, check: bits.slice(32, 32 + CHECK_BYTES) }
+}
+
+/**
+ * True when a parsed backup file is an encrypted envelope rather than plain notes.
+ * @param {any} parsed
+ * @returns {boolean}
+ */
+export function isEncryptedBackup(parsed) {
+  return Boolean(parsed) && typeof parsed === 'object' && parsed.format === ENCRYPTED_BACKUP_FORMAT
+}
+
+/**
+ * @param {unknown} payload - Backup object, serialized as JSON before encryption
+ * @param {string} passphrase
+ * @param {{ iterations?: number }} [options]
+ * @returns {Promise<EncryptedBackupEnvelope>}
+ */
+export async function encryptBackup(payload, passphrase, { iterations = BACKUP_KDF_ITERATIONS } = {}) {
+  if (typeof passphrase !== 'string' || passphrase.length < MIN_BACKUP_PASSPHRASE_LENGTH) {
+    throw new Error(`Passphrase must be at least ${MIN_BACKUP_PASSPHRASE_LENGTH} characters`)
+  }
+  const salt = globalThis.crypto.getRandomValues(new Uint8Array(SALT_BYTES))
+  const iv = globalThis.crypto.getRandomValues(new Uint8Array(IV_BYTES))
+  const { key, check } = await deriveKey(passphrase, salt, iterations)
+  const plaintext = new TextEncoder().encode(JSON.stringify(payload))
+  const ciphertext = new Uint8Array(await getSubtle().encrypt({ name: 'AES-GCM', iv }, key, plaintext))
+  return {
+    format: ENCRYPTED_BACKUP_FORMAT,
+    version: ENCRYPTED_BACKUP_VERSION,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: toBase64(salt) },
+    cipher: { name: 'AES-GCM', iv: toBase64(iv) },
+    check: toBase64(check),
+    ciphertext: toBase64(ciphertext),
+  }
+}
+
+/**
+ * Decrypt an envelope back into the parsed backup object.
+ * @param {any} envelope
+ * @param {string} passphrase
+ * @returns {Promise<any>}
+ * @throws {BackupCryptoError}
+ */
+export async function decryptBackup(envelope, passphrase) {
+  if (!isEncryptedBackup(envelope)) {
+    throw new BackupCryptoError('Not an encrypted backup', BACKUP_CRYPTO_ERROR.CORRUPTED)
+  }
+  if (envelope.version !== ENCRYPTED_BACKUP_VERSION) {
+    throw new BackupCryptoError(
+      `Encrypted backup version ${envelope.version} is not supported`,
+      BACKUP_CRYPTO_ERROR.UNSUPPORTED,
+    )
+  }
+  const { kdf, cipher } = envelope
+  if (kdf?.name !== 'PBKDF2' || kdf?.hash !== 'SHA-256' || cipher?.name !== 'AES-GCM') {
+    throw new BackupCryptoError('Encrypted backup uses an unknown algorithm', BACKUP_CRYPTO_ERROR.UNSUPPORTED)
+  }
+  const iterations = kdf.iterations
+  if (!Number.isInteger(iterations) || iterations < MIN_ITERATIONS || iterations > MAX_ITERATIONS) {
+    throw new BackupCryptoError('Encrypted backup has invalid key settings', BACKUP_CRYPTO_ERROR.CORRUPTED)
+  }
+  const salt = fromBase64(kdf.salt, 'salt')
+  const iv = fromBase64(cipher.iv, 'iv')
+  const expectedCheck = fromBase64(envelope.check, 'check')
+  const ciphertext = fromBase64(envelope.ciphertext, 'ciphertext')
+  if (iv.length !== IV_BYTES || expectedCheck.length !== CHECK_BYTES) {
+    throw new BackupCryptoError('Encrypted backup header is damaged', BACKUP_CRYPTO_ERROR.CORRUPTED)
+  }
+
+  const { key, check } = await deriveKey(passphrase, salt, iterations)
+  if (!bytesEqual(check, expectedCheck)) {
+    throw new BackupCryptoError('Wrong passphrase', BACKUP_CRYPTO_ERROR.WRONG_PASSPHRASE)
+  }
+
+  let plaintext
+  try {
+    plaintext = await getSubtle().decrypt({ name: 'AES-GCM', iv }, key, ciphertext)
+  } catch (_err) {
+    throw new BackupCryptoError('Encrypted backup is damaged', BACKUP_CRYPTO_ERROR.CORRUPTED)
+  }
+  try {
+    return JSON.parse(new TextDecoder().decode(plaintext))
+  } catch (_err) {
+    throw new BackupCryptoError('Encrypted backup does not contain valid JSON', BACKUP_CRYPTO_ERROR.CORRUPTED)
+  }
+}
@@ -0,0 +1,226 @@
+// src/features/backup/backupMerge.js
+
+/**
+ * Pure helpers for restoring a JSON notes backup by merging it into local notes instead of
+ * overwriting them. `planBackupMerge` compares both sides and builds a per-track preview;
+ * `applyBackupMerge` turns that preview plus the user's conflict choices into new maps.
+ *
+ * Notes are matched by server id first, then by `createdAt` + body. An id match whose
+ * content differs is a conflict; anything in the backup that matches nothing locally is added.
+ */
+
+import { cloneNotesMap, cloneTagsMap, getNoteBody, normalizeNotesList } from '../../utils/notesTagsData.js'
+import { normalizeSavedFilters } from '../filter/savedFilters.js'
+
+/** @typedef {import('../../utils/notesTagsData.js').NoteEntry} NoteEntry */
+
+export const CONFLICT_RESOLUTION = Object.freeze({
+  BOTH: 'both',
+  LOCAL: 'local',
+  BACKUP: 'backup',
+})
+
+/** @typedef {typeof CONFLICT_RESOLUTION[keyof typeof CONFLICT_RESOLUTION]} ConflictResolution */
+
+/**
+ * @typedef {Object} NoteConflict
+ * @property {string} key - Stable key for the resolutions map (`trackId:noteId`)
+ * @property {NoteEntry} local
+ * @property {NoteEntry} backup
+ */
+
+/**
+ * @typedef {Object} TrackMergePreview
+ * @property {string} trackId
+ * @property {string} title
+ * @property {string} artist
+ * @property {NoteEntry[]} added - Backup notes missing locally
+ * @property {NoteEntry[]} kept - Local notes, including ones the backup already has
+ * @property {NoteConflict[]} conflicts - Same server id, different content
+ * @property {string[]} addedTags
+ */
+
+/**
+ * @typedef {Object} BackupMergePlan
+ * @property {TrackMergePreview[]} tracks - Only tracks the backup changes
+ * @property {{ added: number, conflicts: number, addedTags: number, unchangedTracks: number }} totals
+ */
+
+/**
+ * @param {NoteEntry} note
+ * @returns {string}
+ */
+const contentKey = (note) => `${note.createdAt}\u0000${getNoteBody(note)}`
+
+/**
+ * @param {NoteEntry} a
+ * @param {NoteEntry} b
+ * @returns {boolean}
+ */
+function sameContent(a, b) {
+  return (
+    getNoteBody(a) === getNoteBody(b) &&
+    (a.timestampMs ?? null) === (b.timestampMs ?? null) &&
+    (a.timestampEndMs ?? null) === (b.timestampEndMs ?? null)
+  )
+}
+
+/**
+ * Read the notes and tags maps, and any saved filters, out of a parsed backup file.
+ * @param {any} parsed
+ * @returns {{
+ *   notesByTrack: Record<string, NoteEntry[]>,
+ *   tagsByTrack: Record<string, string[]>,
+ *   savedFilters: import('../filter/savedFilters.js').SavedFilter[],
+ *   playlistTitle: string,
+ *   generatedAt: string | null,
+ * }}
+ */
+export function readBackupPayload(parsed) {
+  if (!parsed || typeof parsed !== 'object' || !parsed.notesByTrack || typeof parsed.notesByTrack !== 'object') {
+    throw new Error('Backup file is missing notesByTrack')
+  }
+  return {
+    notesByTrack: cloneNotesMap(parsed.notesByTrack),
+    tagsByTrack: cloneTagsMap(parsed.tagsByTrack ?? {}),
+    // Older backups predate saved filters
+    savedFilters: normalizeSavedFilters(parsed.savedFilters),
+    playlistTitle: typeof parsed.playlist?.title === 'string' ? parsed.playlist.title : '',
+    generatedAt: typeof parsed.generatedAt === 'string' ? parsed.generatedAt : null,
+  }
+}
+
+/**
+ * Compare a backup against local notes and tags without changing either.
+ * @param {{
+ *   localNotes: Record<string, NoteEntry[]>,
+ *   localTags: Record<string, string[]>,
+ *   backupNotes: Record<string, NoteEntry[]>,
+ *   backupTags: Record<string, string[]>,
+ *   tracks?: Array<{ id?: string, title?: string, artist?: string }>,
+ * }} params
+ * @returns {BackupMergePlan}
+ */
+export function planBackupMerge({ localNotes, localTags, backupNotes, backupTags, tracks = [] }) {
+  /** @type {Map<string, { title: string, artist: string }>} */
+  const labels = new Map()
+  tracks.forEach((track) => {
+    if (!track?.id || labels.has(track.id)) return
+    labels.set(track.id, { title: track.title ?? '', artist: track.artist ?? '' })
+  })
+
+  const trackIds = new Set([...Object.keys(backupNotes ?? {}), ...Object.keys(backupTags ?? {})])
+  /** @type {TrackMergePreview[]} */
+  const previews = []
+  const totals = { added: 0, conflicts: 0, addedTags: 0, unchangedTracks: 0 }
+
+  trackIds.forEach((trackId) => {
+    const local = normalizeNotesList(localNotes?.[trackId])
+    const incoming = normalizeNotesList(backupNotes?.[trackId])
+    /** @type {Map<string, NoteEntry>} */
+    const localById = new Map()
+    local.forEach((note) => {
+      if (note.id) localById.set(note.id, note)
+    })
+    const localContent = new Set(local.map(contentKey))
+
+    /** @type {NoteEntry[]} */
+    const added = []
+    /** @type {NoteConflict[]} */
+    const conflicts = []
+    incoming.forEach((note) => {
+      const byId = note.id ? localById.get(note.id) : undefined
+      if (byId) {
+        if (!sameContent(byId, note)) {
+          conflicts.push({ key: `${trackId}:${note.id}`, local: byId, backup: note })
+        }
+        return
+      }
+      if (localContent.has(contentKey(note))) return
+      localContent.add(contentKey(note))
+      added.push(note)
+    })
+
+    const existingTags = new Set(Array.isArray(localTags?.[trackId]) ? localTags[trackId] : [])
+    const addedTags = (Array.isArray(backupTags?.[trackId]) ? backupTags[trackId] : []).filter(
+      (tag) => !existingTags.has(tag),
+    )
+
+    if (added.length === 0 && conflicts.length === 0 && addedTags.length === 0) {
+      totals.unchangedTracks += 1
+      return
+    }
+    totals.added += added.length
+    totals.conflicts += conflicts.length
+    totals.addedTags += addedTags.length
+    const label = labels.get(trackId)
+    previews.push({
+      trackId,
+      title: label?.title || trackId,
+      artist: label?.artist ?? '',
+      added,
+      kept: local,
+      conflicts,
+      addedTags,
+    })
+  })
+
+  return { tracks: previews, totals }
+}
+
+/**
+ * Apply a plan to the local maps. Conflicts without a choice keep both copies, so nothing
+ * is lost by default. Every note the merge adds gets an id (a kept backup copy a new one,
+ * since its old id belongs to the local note), so it can be synced, undone and matched
+ * against server revisions like any other note. A backup copy that replaces a local note
+ * keeps the local revision: it is an edit on top of what the server has.
+ * @param {{
+ *   localNotes: Record<string, NoteEntry[]>,
+ *   localTags: Record<string, string[]>,
+ *   plan: BackupMergePlan,
+ *   resolutions?: Record<string, ConflictResolution>,
+ *   createId?: () => string,
+ * }} params
+ * @returns {{ notesByTrack: Record<string, NoteEntry[]>, tagsByTrack: Record<string, string[]> }}
+ */
+export function applyBackupMerge({
+  localNotes,
+  localTags,
+  plan,
+  resolutions = {},
+  createId = () => crypto.randomUUID(),
+}) {
+  const notesByTrack = cloneNotesMap(localNotes)
+  const tagsByTrack = cloneTagsMap(localTags)
+
+  plan.tracks.forEach((preview) => {
+    /** @type {Map<NoteEntry, NoteEntry>} */
+    const replacements = new Map()
+    /** @type {NoteEntry[]} */
+    const extra = preview.added.map((note) => (note.id ? note : { ...note, id: createId() }))
+    preview.conflicts.forEach((conflict) => {
+      const choice = resolutions[conflict.key] ?? CONFLICT_RESOLUTION.BOTH
+      if (choice === CONFLICT_RESOLUTION.BACKUP) {
+        const { revision: _revision, ...backup } = conflict.backup
+        replacements.set(conflict.local, {
+          ...backup,
+          ...(conflict.local.revision ? { revision: conflict.local.revision } : {}),
+        })
+      } else if (choice === CONFLICT_RESOLUTION.BOTH) {
+        const { revision: _revision, ...copy } = conflict.backup
+        extra.push({ ...copy, id: createId() })
+      }
+    })
+
+    const merged = [...preview.kept.map((note) => replacements.get(note) ?? note), ...extra]
+    merged.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0))
+    if (merged.length > 0) notesByTrack[preview.trackId] = merged
+
+    if (preview.addedTags.length > 0) {
+      const existing = Array.isArray(tagsByTrack[preview.trackId]) ? tagsByTrack[preview.trackId] : []
+      tagsByTrack[preview.trackId] = [...existing, ...preview.addedTags].sort()
+    }
+  })
+
+  return { notesByTrack, tagsByTrack }
+}
@@ -0,0 +1,139 @@
+// src/features/backup/notesDiff.js
+
+/**
+ * What changed between two versions of the notes and tags maps, as the outbox ops that
+ * bring the server along. Restoring a backup or a restore point replaces the maps
+ * wholesale; this is how those restores reach the server instead of staying local.
+ *
+ * Notes are compared by id. Notes without an id were never synced and cannot be
+ * addressed on the server, so they are left out.
+ */
+
+import { getNoteBody, normalizeNotesList } from '../../utils/notesTagsData.js'
+
+/** @typedef {import('../../utils/notesTagsData.js').NoteEntry} NoteEntry */
+
+/**
+ * @typedef {Object} NotesDiff
+ * @property {Array<{ trackId: string, note: NoteEntry }>} created
+ * @property {Array<{ trackId: string, base: NoteEntry, next: NoteEntry }>} edited
+ * @property {Array<{ trackId: string, noteId: string }>} deleted
+ * @property {Array<{ trackId: string, tags: string[] }>} tags - The whole new list per changed track
+ */
+
+/**
+ * @param {NoteEntry} a
+ * @param {NoteEntry} b
+ * @returns {boolean}
+ */
+function sameContent(a, b) {
+  return (
+    getNoteBody(a).trim() === getNoteBody(b).trim() &&
+    (a.timestampMs ?? null) === (b.timestampMs ?? null) &&
+    (a.timestampEndMs ?? null) === (b.timestampEndMs ?? null)
+  )
+}
+
+/**
+ * @param {unknown} tags
+ * @returns {string[]}
+ */
+const tagList = (tags) => (Array.isArray(tags) ? tags : [])
+
+/**
+ * @param {{
+ *   beforeNotes: Record<string, NoteEntry[]>,
+ *   afterNotes: Record<string, NoteEntry[]>,
+ *   beforeTags: Record<string, string[]>,
+ *   afterTags: Record<string, string[]>,
+ * }} params
+ * @returns {NotesDiff}
+ */
+export function diffNotesAndTags({ beforeNotes, afterNotes, beforeTags, afterTags }) {
+  /** @type {NotesDiff} */
+  const diff = { created: [], edited: [], deleted: [], tags: [] }
+
+  const noteTrackIds = new Set([...Object.keys(beforeNotes ?? {}), ...Object.keys(afterNotes ?? {})])
+  noteTrackIds.forEach((trackId) => {
+    /** @type {Map<string, NoteEntry>} */
+    const before = new Map()
+    normalizeNotesList(beforeNotes?.[trackId]).forEach((note) => {
+      if (note.id) before.set(note.id, note)
+    })
+    /** @type {Set<string>} */
+    const kept = new Set()
+    normalizeNotesList(afterNotes?.[trackId]).forEach((note) => {
+      if (!note.id) return
+      kept.add(note.id)
+      const base = before.get(note.id)
+      if (!base) {
+        diff.created.push({ trackId, note })
+      } else if (!sameContent(base, note)) {
+        diff.edited.push({ trackId, base, next: note })
+      }
+    })
+    before.forEach((_note, noteId) => {
+      if (!kept.has(noteId)) diff.deleted.push({ trackId, noteId })
+    })
+  })
+
+  const tagTrackIds = new Set([...Object.keys(beforeTags ?? {}), ...Object.keys(afterTags ?? {})])
+  tagTrackIds.forEach((trackId) => {
+    const before = tagList(beforeTags?.[trackId])
+    const after = tagList(afterTags?.[trackId])
+    const changed = before.length !== after.length || after.some((tag) => !before.includes(tag))
+    if (changed) diff.tags.push({ trackId, tags: [...after] })
+  })
+
+  return diff
+}
+
+/**
+ * Line restored notes up with the server before they replace the current ones. A note
+ * that still exists is an edit on top of its current revision; one deleted since is
+ * created again, so the revision it had then means nothing.
+ * @param {Record<string, NoteEntry[]>} restoredNotes
+ * @param {Record<string, NoteEntry[]>} currentNotes
+ * @returns {Record<string, NoteEntry[]>}
+ */
+export function rebaseRestoredNotes(restoredNotes, currentNotes) {
+  /** @type {Map<string, number | undefined>} */
+  const revisions = new Map()
+  Object.values(currentNotes ?? {}).forEach((notes) => {
+    normalizeNotesList(notes).forEach((note) => {
+      if (note.id) revisions.set(note.id, note.revision)
+    })
+  })
+  /** @type {Record<string, NoteEntry[]>} */
+  const out = {}
+  Object.entries(restoredNotes ?? {}).forEach(([trackId, notes]) => {
+    out[trackId] = (Array.isArray(notes) ? notes : []).map((note) => {
+      if (!note?.id) return note
+      const { revision: _revision, ...rest } = note
+      const revision = revisions.get(note.id)
+      return revision ? { ...rest, revision } : rest
+    })
+  })
+  return out
+}
+
+/**
+ * Track ids a diff touches.
+ * @param {NotesDiff} diff
+ * @returns {Set<string>}
+ */
+export function notesDiffTrackIds(diff) {
+  return new Set(
+    [...diff.created, ...diff.edited, ...diff.deleted, ...diff.tags].map((change) => change.trackId),
+  )
+}
+
+/**
+ * @param {NotesDiff} diff
+ * @returns {boolean}
+ */
+export function isEmptyNotesDiff(diff) {
+  return (
+    diff.created.length === 0 && diff.edited.length === 0 && diff.deleted.length === 0 && diff.tags.length === 0
+  )
+}
@@ -0,0 +1,303 @@
+// src/features/backup/restorePoints.js
+
+/**
+ * Rotating history of automatic backups ("restore points") kept in localStorage.
+ *
+ * At most one point is taken per clock hour. Points older than a day thin out to the
+ * first one of each day, and anything older than two weeks is dropped. The history
+ * must also fit a size budget, so the oldest points go first when notes grow.
+ *
+ * Points use the same shape as a downloaded backup file (`playlist`, `notesByTrack`,
+ * `tagsByTrack`, `generatedAt`) plus an id and the reason they were taken.
+ */
+
+import { cloneNotesMap, cloneTagsMap, getNoteBody, normalizeNotesList } from '../../utils/notesTagsData.js'
+
+/** @typedef {import('../../utils/notesTagsData.js').NoteEntry} NoteEntry */
+
+const STORAGE_KEY = 'sta:v6:restore-points'
+// The single snapshot kept before the history existed; folded in on first load.
+const LEGACY_KEY = 'sta:v6:auto-backup'
+const HOUR_MS = 60 * 60 * 1000
+const DAY_MS = 24 * HOUR_MS
+
+export const RESTORE_POINT_HOURLY_WINDOW_MS = DAY_MS
+export const RESTORE_POINT_DAILY_WINDOW_MS = 14 * DAY_MS
+/** Serialized size budget for the whole history, in characters. */
+export const RESTORE_POINTS_MAX_CHARS = 1_000_000
+
+/**
+ * `hourly`: taken while editing. `upgrade`: before a storage migration.
+ * `before-restore`: the notes as they were just before another point was restored.
+ * @typedef {'hourly' | 'upgrade' | 'before-restore'} RestorePointReason
+ */
+
+/**
+ * @typedef {Object} RestorePointPlaylist
+ * @property {string} title
+ * @property {string | null} [provider]
+ * @property {string | null} [playlistId]
+ * @property {string | null} [snapshotId]
+ * @property {string | null} [sourceUrl]
+ */
+
+/**
+ * @typedef {Object} RestorePoint
+ * @property {string} id
+ * @property {number} version
+ * @property {string} generatedAt
+ * @property {RestorePointReason} reason
+ * @property {RestorePointPlaylist} playlist
+ * @property {Record<string, NoteEntry[]>} notesByTrack
+ * @property {Record<string, string[]>} tagsByTrack
+ */
+
+/**
+ * @typedef {Object} RestorePointSummary
+ * @property {number} notesAdded - Notes restoring would bring back
+ * @property {number} notesRemoved - Current notes restoring would remove
+ * @property {number} tagsAdded
+ * @property {number} tagsRemoved
+ */
+
+/**
+ * @param {{ generatedAt?: string }} point
+ * @returns {number}
+ */
+const pointTime = (point) => Date.parse(point?.generatedAt ?? '')
+
+/** @param {number} time */
+const hourBucket = (time) => Math.floor(time / HOUR_MS)
+
+/** @param {number} time */
+const dayBucket = (time) => new Date(time).toDateString()
+
+/**
+ * @param {any} point
+ * @returns {point is RestorePoint}
+ */
+function isValidPoint(point) {
+  return (
+    Boolean(point) &&
+    typeof point.id === 'string' &&
+    Number.isFinite(pointTime(point)) &&
+    Boolean(point.notesByTrack) &&
+    typeof point.notesByTrack === 'object'
+  )
+}
+
+/**
+ * @param {{ playlist?: Partial<RestorePointPlaylist>, notesByTrack?: Record<string, any>, tagsByTrack?: Record<string, any> }} source
+ * @param {{ reason?: RestorePointReason, now?: number, id?: string }} [options]
+ * @returns {RestorePoint}
+ */
+export function createRestorePoint(source, { reason = 'hourly', now = Date.now(), id } = {}) {
+  return {
+    id: id ?? `rp-${now}-${Math.random().toString(36).slice(2, 8)}`,
+    version: 1,
+    generatedAt: new Date(now).toISOString(),
+    reason,
+    playlist: {
+      title: typeof source?.playlist?.title === 'string' ? source.playlist.title : '',
+      provider: source?.playlist?.provider ?? null,
+      playlistId: source?.playlist?.playlistId ?? null,
+      snapshotId: source?.playlist?.snapshotId ?? null,
+      sourceUrl: source?.playlist?.sourceUrl ?? null,
+    },
+    notesByTrack: cloneNotesMap(source?.notesByTrack ?? {}),
+    tagsByTrack: cloneTagsMap(source?.tagsByTrack ?? {}),
+  }
+}
+
+/**
+ * @param {RestorePoint} a
+ * @param {RestorePoint} b
+ */
+function sameContent(a, b) {
+  return (
+    JSON.stringify(a.notesByTrack) === JSON.stringify(b.notesByTrack) &&
+    JSON.stringify(a.tagsByTrack) === JSON.stringify(b.tagsByTrack)
+  )
+}
+
+/**
+ * Whether an hourly point taken at `now` would be kept: false while the newest point
+ * is from the same clock hour.
+ * @param {RestorePoint[]} points - Newest first
+ * @param {number} [now]
+ */
+export function isRestorePointDue(points, now = Date.now()) {
+  const [newest] = points
+  return !newest || hourBucket(pointTime(newest)) !== hourBucket(now)
+}
+
+/**
+ * Put a new point at the front of the history (newest first). Without `force` it is
+ * skipped when the newest point is from the same clock hour, so that point keeps
+ * describing the notes as they were before this hour's edits. Points identical to
+ * the newest one are always skipped.
+ * @param {RestorePoint[]} points
+ * @param {RestorePoint} point
+ * @param {{ force?: boolean }} [options]
+ * @returns {RestorePoint[]}
+ */
+export function addRestorePoint(points, point, { force = false } = {}) {
+  const [newest] = points
+  if (newest) {
+    if (!force && !isRestorePointDue(points, pointTime(point))) return points
+    if (sameContent(newest, point)) return points
+  }
+  return [point, ...points]
+}
+
+/**
+ * Apply the retention rules and the size budget. The newest point always survives.
+ * @param {RestorePoint[]} points
+ * @param {{ now?: number, maxChars?: number }} [options]
+ * @returns {RestorePoint[]}
+ */
+export function pruneRestorePoints(points, { now = Date.now(), maxChars = RESTORE_POINTS_MAX_CHARS } = {}) {
+  const oldestFirst = points.filter(isValidPoint).sort((a, b) => pointTime(a) - pointTime(b))
+  const seenDays = new Set()
+  /** @type {RestorePoint[]} */
+  const kept = []
+  oldestFirst.forEach((point) => {
+    const age = now - pointTime(point)
+    if (age > RESTORE_POINT_DAILY_WINDOW_MS) return
+    if (age > RESTORE_POINT_HOURLY_WINDOW_MS) {
+      const day = dayBucket(pointTime(point))
+      if (seenDays.has(day)) return
+      seenDays.add(day)
+    }
+    kept.push(point)
+  })
+  kept.reverse()
+
+  const sizes = kept.map((point) => JSON.stringify(point).length)
+  let total = sizes.reduce((sum, size) => sum + size, 0)
+  while (kept.length > 1 && total > maxChars) {
+    kept.pop()
+    total -= sizes.pop() ?? 0
+  }
+  return kept
+}
+
+/**
+ * @param {NoteEntry} note
+ * @returns {string}
+ */
+const noteKey = (note) => `${note.id ?? note.createdAt ?? ''}\u0000${getNoteBody(note)}`
+
+/**
+ * What restoring `point` would change compared to the current notes and tags. An
+ * edited note counts as one removed and one added.
+ * @param {RestorePoint} point
+ * @param {Record<string, NoteEntry[]>} currentNotes
+ * @param {Record<string, string[]>} currentTags
+ * @returns {RestorePointSummary}
+ */
+export function summarizeRestorePoint(point, currentNotes, currentTags) {
+  const summary = { notesAdded: 0, notesRemoved: 0, tagsAdded: 0, tagsRemoved: 0 }
+  /**
+   * @param {string[]} from
+   * @param {string[]} to
+   */
+  const diff = (from, to) => {
+    const fromSet = new Set(from)
+    const toSet = new Set(to)
+    return {
+      added: [...toSet].filter((key) => !fromSet.has(key)).length,
+      removed: [...fromSet].filter((key) => !toSet.has(key)).length,
+    }
+  }
+
+  const noteTracks = new Set([...Object.keys(currentNotes ?? {}), ...Object.keys(point.notesByTrack ?? {})])
+  noteTracks.forEach((trackId) => {
+    const { added, removed } = diff(
+      normalizeNotesList(currentNotes?.[trackId]).map(noteKey),
+      normalizeNotesList(point.notesByTrack?.[trackId]).map(noteKey),
+    )
+    summary.notesAdded += added
+    summary.notesRemoved += removed
+  })
+
+  const tagTracks = new Set([...Object.keys(currentTags ?? {}), ...Object.keys(point.tagsByTrack ?? {})])
+  tagTracks.forEach((trackId) => {
+    const { added, removed } = diff(currentTags?.[trackId] ?? [], point.tagsByTrack?.[trackId] ?? [])
+    summary.tagsAdded += added
+    summary.tagsRemoved += removed
+  })
+  return summary
+}
+
+/** @returns {Storage | null} */
+function getStorage() {
+  if (typeof window === 'undefined' || !window.localStorage) return null
+  return window.localStorage
+}
+
+/**
+ * Stored restore points, newest first.
+ * @returns {RestorePoint[]}
+ */
+export function loadRestorePoints() {
+  const storage = getStorage()
+  if (!storage) return []
+  try {
+    const raw = storage.getItem(STORAGE_KEY)
+    if (raw) {
+      const parsed = JSON.parse(raw)
+      return Array.isArray(parsed)
+        ? parsed.filter(isValidPoint).sort((a, b) => pointTime(b) - pointTime(a))
+        : []
+    }
+    const legacyRaw = storage.getItem(LEGACY_KEY)
+    if (!legacyRaw) return []
+    const legacy = JSON.parse(legacyRaw)
+    const time = pointTime(legacy)
+    if (!legacy?.notesByTrack || !Number.isFinite(time)) return []
+    return [createRestorePoint(legacy, { reason: 'upgrade', now: time })]
+  } catch (_err) {
+    return []
+  }
+}
+
+/**
+ * Persist the history, dropping the oldest points if storage is full.
+ * @param {RestorePoint[]} points
+ * @returns {RestorePoint[]} What was actually saved
+ */
+export function saveRestorePoints(points) {
+  const storage = getStorage()
+  if (!storage) return points
+  let remaining = points
+  while (remaining.length > 0) {
+    try {
+      storage.setItem(STORAGE_KEY, JSON.stringify(remaining))
+      storage.removeItem(LEGACY_KEY)
+      return remaining
+    } catch (err) {
+      if (remaining.length === 1) {
+        console.error('[restore points] failed to save', err)
+        return remaining
+      }
+      remaining = remaining.slice(0, -1)
+    }
+  }
+  storage.removeItem(STORAGE_KEY)
+  return remaining
+}
+
+/**
+ * Take a restore point now (subject to the hourly rule unless forced) and rotate
+ * the history.
+ * @param {{ playlist?: Partial<RestorePointPlaylist>, notesByTrack?: Record<string, any>, tagsByTrack?: Record<string, any> }} source
+ * @param {{ reason?: RestorePointReason, force?: boolean, now?: number }} [options]
+ * @returns {RestorePoint[]} The history after the capture, newest first
+ */
+export function captureRestorePoint(source, { reason = 'hourly', force = false, now = Date.now() } = {}) {
+  const points = loadRestorePoints()
+  const next = addRestorePoint(points, createRestorePoint(source, { reason, now }), { force })
+  if (next === points) return points
+  return saveRestorePoints(pruneRestorePoints(next, { now }))
+}
@@ -0,0 +1,74 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { captureRestorePoint, isRestorePointDue, loadRestorePoints } from './restorePoints.js'
+
+/** @typedef {import('./restorePoints.js').RestorePoint} RestorePoint */
+/** @typedef {import('./restorePoints.js').RestorePointReason} RestorePointReason */
+/** @typedef {import('../../utils/notesTagsData.js').NoteEntry} NoteEntry */
+
+// Wait for a pause in editing so a point never lands in the middle of a burst of changes.
+export const RESTORE_POINT_CAPTURE_DELAY_MS = 5000
+
+/**
+ * @typedef {Object} RestorePointSource
+ * @property {string} playlistTitle
+ * @property {{ provider?: string | null, playlistId?: string | null, snapshotId?: string | null, sourceUrl?: string | null }} importMeta
+ * @property {Record<string, NoteEntry[]>} notesByTrack
+ * @property {Record<string, string[]>} tagsByTrack
+ */
+
+/**
+ * @param {RestorePointSource} source
+ */
+function toBackupShape({ playlistTitle, importMeta, notesByTrack, tagsByTrack }) {
+  return {
+    playlist: {
+      title: playlistTitle,
+      provider: importMeta?.provider ?? null,
+      playlistId: importMeta?.playlistId ?? null,
+      snapshotId: importMeta?.snapshotId ?? null,
+      sourceUrl: importMeta?.sourceUrl ?? null,
+    },
+    notesByTrack,
+    tagsByTrack,
+  }
+}
+
+/**
+ * Takes hourly restore points while notes and tags change and exposes the history.
+ * The history stays in memory between captures; storage is read again only once the
+ * newest point is from an earlier hour, since edits within the hour would be skipped.
+ *
+ * @param {RestorePointSource & { enabled: boolean }} options
+ */
+export default function useRestorePoints({ enabled, playlistTitle, importMeta, notesByTrack, tagsByTrack }) {
+  const [points, setPoints] = useState(() => loadRestorePoints())
+  const pointsRef = useRef(points)
+  pointsRef.current = points
+  const sourceRef = useRef({ playlistTitle, importMeta, notesByTrack, tagsByTrack })
+  sourceRef.current = { playlistTitle, importMeta, notesByTrack, tagsByTrack }
+
+  useEffect(() => {
+    if (!enabled) return undefined
+    const hasContent =
+      Object.values(notesByTrack).some((notes) => Array.isArray(notes) && notes.length > 0) ||
+      Object.values(tagsByTrack).some((tags) => Array.isArray(tags) && tags.length > 0)
+    if (!hasContent) return undefined
+    const timer = setTimeout(() => {
+      if (!isRestorePointDue(pointsRef.current)) return
+      setPoints(captureRestorePoint(toBackupShape(sourceRef.current)))
+    }, RESTORE_POINT_CAPTURE_DELAY_MS)
+    return () => clearTimeout(timer)
+  }, [enabled, notesByTrack, tagsByTrack])
+
+  /**
+   * Snapshot the current notes right away, regardless of the hourly rule.
+   * @param {RestorePointReason} reason
+   */
+  const captureNow = useCallback((reason) => {
+    setPoints(captureRestorePoint(toBackupShape(sourceRef.current), { reason, force: true }))
+  }, [])
+
+  const refresh = useCallback(() => setPoints(loadRestorePoints()), [])
+
+  return { points, captureNow, refresh }
+}
@@ -0,0 +1,239 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { rankFuzzy } from './fuzzyMatch.js'
+import { useCommandList } from './useRegisterCommands.js'
+
+/** @typedef {import('./commandRegistry.js').Command} Command */
+
+const MAX_RESULTS = 50
+const LISTBOX_ID = 'command-palette-listbox'
+
+/** @type {import('react').CSSProperties} */
+const overlayStyle = {
+  position: 'fixed',
+  inset: 0,
+  backgroundColor: 'rgba(0, 0, 0, 0.6)',
+  display: 'flex',
+  alignItems: 'flex-start',
+  justifyContent: 'center',
+  padding: '12vh 24px 24px',
+  zIndex: 1000,
+}
+
+/** @type {import('react').CSSProperties} */
+const dialogStyle = {
+  width: 'min(600px, 100%)',
+  backgroundColor: 'var(--surface-4, var(--surface, #0f1115))',
+  borderRadius: 12,
+  border: '1px solid var(--border, rgba(255,255,255,0.1))',
+  padding: '16px',
+  color: 'var(--fg, #f7f7f7)',
+  boxShadow: '0 20px 48px rgba(0,0,0,0.45)',
+}
+
+/** @type {import('react').CSSProperties} */
+const inputStyle = {
+  width: '100%',
+  boxSizing: 'border-box',
+  padding: '10px 12px',
+  borderRadius: 8,
+  border: '1px solid var(--border, rgba(255,255,255,0.1))',
+  background: 'var(--card, #161920)',
+  color: 'inherit',
+  fontSize: '1rem',
+}
+
+/** @param {number} index */
+const optionId = (index) => `command-palette-option-${index}`
+
+/** @param {Command} command */
+const searchText = (command) => [command.title, command.keywords, command.hint].filter(Boolean).join(' ')
+
+/**
+ * Ctrl/Cmd+K palette over every registered command. The input is an ARIA combobox that
+ * drives a listbox of matches; focus stays in the input and the highlighted option is
+ * tracked with `aria-activedescendant`.
+ *
+ * Commands flagged `searchOnly` (tracks, recents) are left out until the user types, so the
+ * empty palette lists actions rather than a whole playlist.
+ * @param {object} props
+ * @param {boolean} props.open
+ * @param {() => void} props.onClose
+ * @param {import('./commandRegistry.js').CommandRegistry | null} props.registry
+ * @param {(message: string) => void} props.announce
+ */
+export default function CommandPalette({ open, onClose, registry, announce }) {
+  const commands = useCommandList(registry)
+  const [query, setQuery] = useState('')
+  const [activeIndex, setActiveIndex] = useState(0)
+  const inputRef = useRef(/** @type {HTMLInputElement | null} */ (null))
+  const returnFocusRef = useRef(/** @type {HTMLElement | null} */ (null))
+
+  useEffect(() => {
+    if (!open) return undefined
+    returnFocusRef.current = document.activeElement instanceof HTMLElement ? document.activeElement : null
+    setQuery('')
+    setActiveIndex(0)
+    const timer = setTimeout(() => inputRef.current?.focus({ preventScroll: true }), 0)
+    return () => {
+      clearTimeout(timer)
+      returnFocusRef.current?.focus({ preventScroll: true })
+      returnFocusRef.current = null
+    }
+  }, [open])
+
+  const results = useMemo(() => {
+    const pool = query.trim() ? commands : commands.filter((command) => !command.searchOnly)
+    return rankFuzzy(pool, query, searchText).slice(0, MAX_RESULTS)
+  }, [commands, query])
+
+  useEffect(() => {
+    if (!open) return
+    const count = results.length
+    announce(
+      count === 0
+        ? 'No matching commands.'
+        : `${count}${count === MAX_RESULTS ? '+' : ''} result${count === 1 ? '' : 's'}. Use the arrow keys to choose.`,
+    )
+  }, [open, results, announce])
+
+  useEffect(() => {
+    if (!open) return
+    document.getElementById(optionId(activeIndex))?.scrollIntoView?.({ block: 'nearest' })
+  }, [open, activeIndex])
+
+  if (!open) return null
+
+  const activeCommand = results[activeIndex] ?? null
+
+  /** @param {Command} command */
+  const runCommand = (command) => {
+    // Hand focus back first, so commands that move focus themselves have the last word
+    returnFocusRef.current?.focus({ preventScroll: true })
+    returnFocusRef.current = null
+    onClose()
+    command.run()
+  }
+
+  /** @param {import('react').KeyboardEvent<HTMLInputElement>} event */
+  const handleInputKeyDown = (event) => {
+    const last = results.length - 1
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault()
+        setActiveIndex((index) => (index >= last ? 0 : index + 1))
+        break
+      case 'ArrowUp':
+        event.preventDefault()
+        setActiveIndex((index) => (index <= 0 ? Math.max(last, 0) : index - 1))
+        break
+      case 'Home':
+        if (!event.ctrlKey) return
+        event.preventDefault()
+        setActiveIndex(0)
+        break
+      case 'End':
+        if (!event.ctrlKey) return
+        event.preventDefault()
+        setActiveIndex(Math.max(last, 0))
+        break
+      case 'Enter':
+        event.preventDefault()
+        if (activeCommand) runCommand(activeCommand)
+        break
+      default:
+    }
+  }
+
+  return (
+    <div
+      style={overlayStyle}
+      role="presentation"
+      onMouseDown={(event) => {
+        if (event.target === event.currentTarget) onClose()
+      }}
+    >
+      <div
+        style={dialogStyle}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="command-palette-title"
+        onKeyDown={(event) => {
+          if (event.key === 'Escape') {
+            event.preventDefault()
+            event.stopPropagation()
+            onClose()
+          }
+        }}
+      >
+        <h2 id="command-palette-title" className="sr-only">
+          Command palette
+        </h2>
+        <label htmlFor="command-palette-input" className="sr-only">
+          Search commands and tracks
+        </label>
+        <input
+          ref={inputRef}
+          id="command-palette-input"
+          type="text"
+          role="combobox"
+          autoComplete="off"
+          spellCheck="false"
+          placeholder="Type a command or a track title…"
+          aria-autocomplete="list"
+          aria-expanded={results.length > 0}
+          aria-controls={LISTBOX_ID}
+          aria-activedescendant={activeCommand ? optionId(activeIndex) : undefined}
+          value={query}
+          onChange={(event) => {
+            setQuery(event.target.value)
+            setActiveIndex(0)
+          }}
+          onKeyDown={handleInputKeyDown}
+          style={inputStyle}
+        />
+        <ul
+          id={LISTBOX_ID}
+          role="listbox"
+          aria-label="Commands"
+          style={{ listStyle: 'none', margin: '12px 0 0', padding: 0, maxHeight: '50vh', overflowY: 'auto' }}
+        >
+          {results.map((command, index) => {
+            const selected = index === activeIndex
+            return (
+              <li
+                key={command.id}
+                id={optionId(index)}
+                role="option"
+                aria-selected={selected}
+                onMouseDown={(event) => event.preventDefault()}
+                onClick={() => runCommand(command)}
+                onMouseMove={() => {
+                  if (!selected) setActiveIndex(index)
+                }}
+                style={{
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  gap: 12,
+                  padding: '8px 10px',
+                  borderRadius: 6,
+                  cursor: 'pointer',
+                  background: selected ? 'var(--accent-soft, rgba(255,255,255,0.1))' : undefined,
+                  outline: selected ? '2px solid var(--focus, #7aa2ff)' : undefined,
+                }}
+              >
+                <span style={{ minWidth: 0, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                  {command.title}
+                  {command.hint && <span style={{ color: 'var(--muted)' }}> — {command.hint}</span>}
+                </span>
+                <span style={{ color: 'var(--muted)', fontSize: '0.85rem', flexShrink: 0 }}>{command.group}</span>
+              </li>
+            )
+          })}
+        </ul>
+        {results.length === 0 && (
+          <p style={{ margin: '12px 0 0', color: 'var(--muted)' }}>No matching commands.</p>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,85 @@
+import { describe, expect, it, vi } from 'vitest'
+import { act, fireEvent, render, screen } from '@testing-library/react'
+import CommandPalette from '../CommandPalette.jsx'
+import { createCommandRegistry } from '../commandRegistry.js'
+
+function setup(extra = []) {
+  const registry = createCommandRegistry()
+  const commands = [
+    { id: 'nav:account', title: 'Go to account', group: 'Navigation', run: vi.fn() },
+    { id: 'notes:backup', title: 'Back up notes', group: 'Notes', run: vi.fn() },
+    { id: 'track:1', title: 'Windowlicker', hint: 'Aphex Twin', group: 'Tracks', searchOnly: true, run: vi.fn() },
+    ...extra,
+  ]
+  registry.register(commands)
+  const onClose = vi.fn()
+  const announce = vi.fn()
+  render(<CommandPalette open onClose={onClose} registry={registry} announce={announce} />)
+  return { registry, commands, onClose, announce }
+}
+
+describe('CommandPalette', () => {
+  it('exposes a combobox that controls a listbox of options', () => {
+    const { announce } = setup()
+    const input = screen.getByRole('combobox', { name: 'Search commands and tracks' })
+    const listbox = screen.getByRole('listbox', { name: 'Commands' })
+
+    expect(input).toHaveAttribute('aria-controls', listbox.id)
+    expect(input).toHaveAttribute('aria-expanded', 'true')
+    expect(input).toHaveAttribute('aria-activedescendant', 'command-palette-option-0')
+    expect(screen.getAllByRole('option').map((option) => option.textContent)).toEqual([
+      'Go to accountNavigation',
+      'Back up notesNotes',
+    ])
+    expect(screen.getByRole('option', { name: /Go to account/ })).toHaveAttribute('aria-selected', 'true')
+    expect(announce).toHaveBeenLastCalledWith('2 results. Use the arrow keys to choose.')
+  })
+
+  it('finds tracks once the user types and runs the chosen command with Enter', () => {
+    const { commands, onClose, announce } = setup()
+    const input = screen.getByRole('combobox')
+
+    fireEvent.change(input, { target: { value: 'aphex' } })
+    expect(screen.getAllByRole('option')).toHaveLength(1)
+    expect(announce).toHaveBeenLastCalledWith('1 result. Use the arrow keys to choose.')
+
+    fireEvent.keyDown(input, { key: 'Enter' })
+    expect(onClose).toHaveBeenCalled()
+    expect(commands[2].run).toHaveBeenCalledTimes(1)
+  })
+
+  it('moves the active option with the arrow keys and wraps around', () => {
+    const { commands } = setup()
+    const input = screen.getByRole('combobox')
+
+    fireEvent.keyDown(input, { key: 'ArrowDown' })
+    expect(input).toHaveAttribute('aria-activedescendant', 'command-palette-option-1')
+    fireEvent.keyDown(input, { key: 'ArrowDown' })
+    expect(input).toHaveAttribute('aria-activedescendant', 'command-palette-option-0')
+    fireEvent.keyDown(input, { key: 'ArrowUp' })
+    fireEvent.keyDown(input, { key: 'Enter' })
+    expect(commands[1].run).toHaveBeenCalledTimes(1)
+  })
+
+  it('announces when nothing matches and closes on Escape', () => {
+    const { onClose, announce } = setup()
+    const input = screen.getByRole('combobox')
+
+    fireEvent.change(input, { target: { value: 'zzzz' } })
+    expect(screen.queryAllByRole('option')).toHaveLength(0)
+    expect(input).toHaveAttribute('aria-expanded', 'false')
+    expect(input).not.toHaveAttribute('aria-activedescendant')
+    expect(announce).toHaveBeenLastCalledWith('No matching commands.')
+
+    fireEvent.keyDown(input, { key: 'Escape' })
+    expect(onClose).toHaveBeenCalled()
+  })
+
+  it('picks up commands registered while it is open', () => {
+    const { registry } = setup()
+    act(() => {
+      registry.register([{ id: 'help', title: 'Show keyboard shortcuts', group: 'Help', run: vi.fn() }])
+    })
+    expect(screen.getByRole('option', { name: /Show keyboard shortcuts/ })).toBeInTheDocument()
+  })
+})
@@ -0,0 +1,37 @@
+import { describe, expect, it, vi } from 'vitest'
+import { createCommandRegistry } from '../commandRegistry.js'
+
+const command = (id, title = id) => ({ id, title, group: 'Test', run: vi.fn() })
+
+describe('createCommandRegistry', () => {
+  it('lists registered commands until they are unregistered', () => {
+    const registry = createCommandRegistry()
+    const listener = vi.fn()
+    registry.subscribe(listener)
+
+    const unregister = registry.register([command('a'), command('b')])
+    expect(registry.list().map((c) => c.id)).toEqual(['a', 'b'])
+    expect(listener).toHaveBeenCalledTimes(1)
+
+    unregister()
+    unregister()
+    expect(registry.list()).toEqual([])
+    expect(listener).toHaveBeenCalledTimes(2)
+  })
+
+  it('returns a stable snapshot between changes', () => {
+    const registry = createCommandRegistry()
+    registry.register([command('a')])
+    expect(registry.list()).toBe(registry.list())
+  })
+
+  it('lets a later registration override a command with the same id', () => {
+    const registry = createCommandRegistry()
+    registry.register([command('nav:home', 'Home'), command('help')])
+    const unregister = registry.register([command('nav:home', 'Home (playlist)')])
+    expect(registry.list().map((c) => c.title)).toEqual(['Home (playlist)', 'help'])
+
+    unregister()
+    expect(registry.list().map((c) => c.title)).toEqual(['Home', 'help'])
+  })
+})
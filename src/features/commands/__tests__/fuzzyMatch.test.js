@@ -0,0 +1,26 @@
+import { describe, expect, it } from 'vitest'
+import { rankFuzzy, scoreFuzzy } from '../fuzzyMatch.js'
+
+describe('fuzzyMatch', () => {
+  it('matches subsequences and rejects missing characters', () => {
+    expect(scoreFuzzy('ex md', 'Export notes as Markdown')).not.toBeNull()
+    expect(scoreFuzzy('xyz', 'Export notes as Markdown')).toBeNull()
+    expect(scoreFuzzy('', 'anything')).toBe(0)
+  })
+
+  it('ignores case and accents', () => {
+    expect(scoreFuzzy('beyonce', 'Beyoncé – Halo')).not.toBeNull()
+  })
+
+  it('ranks word starts and whole words above scattered letters', () => {
+    const items = ['Show keyboard shortcuts', 'Go to account', 'Back up notes']
+    expect(rankFuzzy(items, 'acc', (item) => item)[0]).toBe('Go to account')
+    expect(rankFuzzy(items, 'notes', (item) => item)).toEqual(['Back up notes'])
+  })
+
+  it('keeps the original order for an empty query and for ties', () => {
+    const items = [{ t: 'Alpha one' }, { t: 'Alpha two' }]
+    expect(rankFuzzy(items, '  ', (item) => item.t)).toEqual(items)
+    expect(rankFuzzy(items, 'alpha', (item) => item.t.slice(0, 5))).toEqual(items)
+  })
+})
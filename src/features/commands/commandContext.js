@@ -0,0 +1,9 @@
+// src/features/commands/commandContext.js
+
+import { createContext } from 'react'
+
+/**
+ * Registry the command palette reads from. Provided once by App.
+ * @type {import('react').Context<import('./commandRegistry.js').CommandRegistry | null>}
+ */
+export const CommandRegistryContext = createContext(null)
@@ -0,0 +1,68 @@
+// src/features/commands/commandRegistry.js
+// @ts-check
+
+/**
+ * Registry behind the command palette. Features register the commands they own while they are
+ * mounted (see `useRegisterCommands`), so the palette only offers what makes sense on the
+ * current screen.
+ */
+
+/**
+ * @typedef {Object} Command
+ * @property {string} id - Unique across the app, e.g. `nav:account` or `track:123`
+ * @property {string} title - What the palette shows and matches against
+ * @property {string} group - Section label, e.g. "Navigation" or "Tracks"
+ * @property {string} [keywords] - Extra words to match that are not in the title
+ * @property {string} [hint] - Secondary text, e.g. a track's artist
+ * @property {boolean} [searchOnly] - Only listed once the user types, e.g. tracks and recents
+ * @property {() => void} run
+ */
+
+/**
+ * @typedef {Object} CommandRegistry
+ * @property {(commands: Command[]) => () => void} register - Returns an unregister function
+ * @property {() => Command[]} list - All commands, in registration order
+ * @property {(listener: () => void) => () => void} subscribe
+ */
+
+/** @returns {CommandRegistry} */
+export function createCommandRegistry() {
+  /** @type {Map<symbol, Command[]>} */
+  const sources = new Map()
+  /** @type {Set<() => void>} */
+  const listeners = new Set()
+  /** @type {Command[] | null} */
+  let snapshot = null
+
+  const notify = () => {
+    snapshot = null
+    listeners.forEach((listener) => listener())
+  }
+
+  return {
+    register(commands) {
+      const key = Symbol('commands')
+      sources.set(key, commands)
+      notify()
+      return () => {
+        if (sources.delete(key)) notify()
+      }
+    },
+    list() {
+      if (!snapshot) {
+        /** @type {Map<string, Command>} */
+        const byId = new Map()
+        // Later registrations win, so a screen can override a global command
+        sources.forEach((commands) => commands.forEach((command) => byId.set(command.id, command)))
+        snapshot = Array.from(byId.values())
+      }
+      return snapshot
+    },
+    subscribe(listener) {
+      listeners.add(listener)
+      return () => {
+        listeners.delete(listener)
+      }
+    },
+  }
+}
@@ -0,0 +1,58 @@
+// src/features/commands/fuzzyMatch.js
+// @ts-check
+
+import { toSearchable } from '../filter/filterTracks.js'
+
+/**
+ * Subsequence match of `query` in `text`, scored so that prefixes, word starts and runs of
+ * consecutive characters rank first. Returns null when some query character is missing.
+ *
+ *   scoreFuzzy('ex md', 'Export notes as Markdown') // matches E-x ... M-d
+ *
+ * @param {string} query
+ * @param {string} text
+ * @returns {number | null} Higher is better
+ */
+export function scoreFuzzy(query, text) {
+  const needle = toSearchable(query).replace(/\s+/g, '')
+  if (!needle) return 0
+  const haystack = toSearchable(text)
+  let score = 0
+  let from = 0
+  let previous = -2
+  for (const char of needle) {
+    const index = haystack.indexOf(char, from)
+    if (index === -1) return null
+    const atWordStart = index === 0 || /[\s\-_:/.(]/.test(haystack[index - 1])
+    if (index === previous + 1) score += 5
+    if (atWordStart) score += 8
+    if (index === 0) score += 4
+    score -= Math.min(index - from, 10) * 0.5
+    previous = index
+    from = index + 1
+  }
+  // A whole-word hit beats letters scattered over a long label
+  if (haystack.includes(toSearchable(query).trim())) score += 10
+  return score - haystack.length * 0.05
+}
+
+/**
+ * Items matching `query`, best first. Ties keep their original order. An empty query returns
+ * the items unchanged.
+ * @template T
+ * @param {T[]} items
+ * @param {string} query
+ * @param {(item: T) => string} getText
+ * @returns {T[]}
+ */
+export function rankFuzzy(items, query, getText) {
+  if (!query.trim()) return items.slice()
+  /** @type {Array<{ item: T, score: number, index: number }>} */
+  const scored = []
+  items.forEach((item, index) => {
+    const score = scoreFuzzy(query, getText(item))
+    if (score !== null) scored.push({ item, score, index })
+  })
+  scored.sort((a, b) => b.score - a.score || a.index - b.index)
+  return scored.map((entry) => entry.item)
+}
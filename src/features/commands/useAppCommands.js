@@ -0,0 +1,149 @@
+import { useEffect, useMemo, useRef } from 'react'
+import { EXPORT_FORMAT_INFO } from '../export/exportNotes.js'
+import { FONT_OPTIONS, applyFontPreference, toggleTheme } from '../../theme/displayPrefs.js'
+
+/** @typedef {import('./commandRegistry.js').Command} Command */
+
+/**
+ * @typedef {Object} AppCommandHandlers
+ * @property {(screen: 'landing' | 'playlist' | 'podcast' | 'library' | 'account') => void} setScreen
+ * @property {() => void} focusImportInput
+ * @property {(recent: any) => void} onSelectRecent
+ * @property {() => void} onBackupNotes
+ * @property {() => void} onBackupNotesEncrypted
+ * @property {(format: import('../export/exportNotes.js').ExportFormat) => void} onExportNotes
+ * @property {() => void} onShowKeyboardShortcuts
+ * @property {(message: string) => void} announce
+ */
+
+/**
+ * Registers the app-wide palette commands: navigation, recents, backups and exports, and
+ * display settings. Handlers are read through a ref so re-renders do not re-register;
+ * only the inputs that change which commands exist are dependencies.
+ *
+ * @param {import('./commandRegistry.js').CommandRegistry | null} registry
+ * @param {AppCommandHandlers & {
+ *   hasMusicTracks: boolean,
+ *   hasPodcastTracks: boolean,
+ *   podcastsEnabled: boolean,
+ *   canExportNotes: boolean,
+ *   recents: Array<{ id: string, title?: string, provider?: string }>,
+ * }} params
+ */
+export default function useAppCommands(registry, params) {
+  const { hasMusicTracks, hasPodcastTracks, podcastsEnabled, canExportNotes, recents } = params
+  const handlersRef = useRef(params)
+  handlersRef.current = params
+
+  const commands = useMemo(() => {
+    const h = () => handlersRef.current
+    /** @type {Command[]} */
+    const list = [
+      {
+        id: 'nav:import',
+        title: 'Import a playlist from a link',
+        group: 'Navigation',
+        keywords: 'url paste spotify youtube soundcloud',
+        run: () => {
+          h().setScreen('landing')
+          h().focusImportInput()
+        },
+      },
+    ]
+    if (hasMusicTracks) {
+      list.push({ id: 'nav:playlist', title: 'Go to playlist', group: 'Navigation', run: () => h().setScreen('playlist') })
+    }
+    if (podcastsEnabled && hasPodcastTracks) {
+      list.push({ id: 'nav:podcast', title: 'Go to podcast', group: 'Navigation', run: () => h().setScreen('podcast') })
+    }
+    list.push(
+      {
+        id: 'nav:library',
+        title: 'Go to library',
+        group: 'Navigation',
+        keywords: 'all notes cross playlist',
+        run: () => h().setScreen('library'),
+      },
+      {
+        id: 'nav:account',
+        title: 'Go to account',
+        group: 'Navigation',
+        keywords: 'settings recovery code spotify',
+        run: () => h().setScreen('account'),
+      },
+    )
+
+    recents.forEach((recent) => {
+      list.push({
+        id: `recent:${recent.id}`,
+        title: `Open ${recent.title || 'untitled playlist'}`,
+        hint: recent.provider,
+        group: 'Recent playlists',
+        keywords: 'recent',
+        searchOnly: true,
+        run: () => h().onSelectRecent(recent),
+      })
+    })
+
+    list.push(
+      {
+        id: 'notes:backup',
+        title: 'Back up notes',
+        group: 'Notes',
+        keywords: 'download json save',
+        run: () => h().onBackupNotes(),
+      },
+      {
+        id: 'notes:backup-encrypted',
+        title: 'Download encrypted backup',
+        group: 'Notes',
+        keywords: 'passphrase password',
+        run: () => h().onBackupNotesEncrypted(),
+      },
+    )
+    if (canExportNotes) {
+      Object.entries(EXPORT_FORMAT_INFO).forEach(([format, info]) => {
+        list.push({
+          id: `notes:export:${format}`,
+          title: `Export notes as ${info.label}`,
+          group: 'Notes',
+          keywords: 'download',
+          run: () => h().onExportNotes(/** @type {import('../export/exportNotes.js').ExportFormat} */ (format)),
+        })
+      })
+    }
+
+    list.push({
+      id: 'display:theme',
+      title: 'Toggle dark or light theme',
+      group: 'Display',
+      keywords: 'colour color mode',
+      run: () => h().announce(toggleTheme() ? 'Dark theme on.' : 'Light theme on.'),
+    })
+    FONT_OPTIONS.forEach((option) => {
+      list.push({
+        id: `display:font:${option.value}`,
+        title: `Use font: ${option.label}`,
+        group: 'Display',
+        keywords: 'typeface',
+        run: () => {
+          applyFontPreference(option.value)
+          h().announce(`Font set to ${option.label}.`)
+        },
+      })
+    })
+    list.push({
+      id: 'help:shortcuts',
+      title: 'Show keyboard shortcuts',
+      group: 'Help',
+      keywords: 'keys keymap remap',
+      run: () => h().onShowKeyboardShortcuts(),
+    })
+    return list
+  }, [hasMusicTracks, hasPodcastTracks, podcastsEnabled, canExportNotes, recents])
+
+  useEffect(() => {
+    if (!registry) return undefined
+    return registry.register(commands)
+  }, [registry, commands])
+}
@@ -0,0 +1,32 @@
+import { useContext, useEffect, useSyncExternalStore } from 'react'
+import { CommandRegistryContext } from './commandContext.js'
+
+/** @typedef {import('./commandRegistry.js').Command} Command */
+
+const EMPTY = /** @type {Command[]} */ ([])
+const noopSubscribe = () => () => {}
+
+/**
+ * Offer `commands` in the palette while the calling component is mounted. Memoize the list:
+ * a new array re-registers. Does nothing outside a `CommandRegistryContext` provider.
+ * @param {Command[]} commands
+ */
+export default function useRegisterCommands(commands) {
+  const registry = useContext(CommandRegistryContext)
+  useEffect(() => {
+    if (!registry || commands.length === 0) return undefined
+    return registry.register(commands)
+  }, [registry, commands])
+}
+
+/**
+ * Live list of registered commands.
+ * @param {import('./commandRegistry.js').CommandRegistry | null} registry
+ * @returns {Command[]}
+ */
+export function useCommandList(registry) {
+  return useSyncExternalStore(
+    registry ? registry.subscribe : noopSubscribe,
+    registry ? registry.list : () => EMPTY,
+  )
+}
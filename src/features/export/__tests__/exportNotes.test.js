@@ -0,0 +1,161 @@
+import { describe, expect, it } from 'vitest'
+import {
+  EXPORT_FORMAT,
+  buildExportFileName,
+  buildTimeline,
+  csvCell,
+  formatAudacityLabels,
+  formatCsv,
+  formatExport,
+  formatMarkdown,
+  formatReaperRegions,
+} from '../exportNotes.js'
+
+const CREATED = Date.UTC(2024, 0, 2, 3, 4, 5)
+
+/** @type {import('../exportNotes.js').ExportInput} */
+const input = {
+  title: 'Friday Set',
+  sourceUrl: 'https://open.spotify.com/playlist/abc',
+  generatedAt: '2024-02-01T00:00:00.000Z',
+  tracks: [
+    { id: 't1', title: 'Windowlicker', artist: 'Aphex Twin', album: 'Windowlicker', durationMs: 366_000 },
+    { id: 't2', title: 'Da Funk', artist: 'Daft Punk', durationMs: 328_000 },
+    { id: 't3', title: 'Teardrop', artist: 'Massive Attack', durationMs: 330_000 },
+  ],
+  notesByTrack: {
+    t1: [
+      { body: 'Bring in the pads', createdAt: CREATED, timestampMs: 30_000 },
+      { body: 'Breakdown, "loop it"', createdAt: CREATED, timestampMs: 90_000, timestampEndMs: 120_500 },
+    ],
+    t3: [{ body: 'Closer\nkeep it long', createdAt: CREATED }],
+  },
+  tagsByTrack: { t2: ['warmup', 'funk'], t3: ['closer'] },
+}
+
+describe('formatMarkdown', () => {
+  it('writes one section per annotated track with timestamps and tags', () => {
+    expect(formatMarkdown(input)).toBe(
+      [
+        '# Friday Set',
+        '',
+        'Source: <https://open.spotify.com/playlist/abc>',
+        'Exported: 2024-02-01T00:00:00.000Z',
+        '',
+        '## 1. Aphex Twin - Windowlicker',
+        '',
+        '_Windowlicker_',
+        '',
+        '- **[0:30]** Bring in the pads',
+        '- **[1:30–2:00]** Breakdown, "loop it"',
+        '',
+        '## 2. Daft Punk - Da Funk',
+        '',
+        'Tags: `funk`, `warmup`',
+        '',
+        '## 3. Massive Attack - Teardrop',
+        '',
+        'Tags: `closer`',
+        '',
+        '- Closer',
+        '  keep it long',
+        '',
+      ].join('\n'),
+    )
+  })
+
+  it('says so when nothing is annotated', () => {
+    expect(formatMarkdown({ tracks: [{ id: 'x', title: 'Plain' }] })).toBe(
+      '# Playlist notes\n\n_No notes or tags yet._\n',
+    )
+  })
+})
+
+describe('formatCsv', () => {
+  it('writes a row per note and quotes cells', () => {
+    expect(formatCsv(input)).toBe(
+      [
+        'position,title,artist,album,tags,note,timestamp_start,timestamp_end,note_created_at',
+        '1,Windowlicker,Aphex Twin,Windowlicker,,Bring in the pads,0:30,,2024-01-02T03:04:05.000Z',
+        '1,Windowlicker,Aphex Twin,Windowlicker,,"Breakdown, ""loop it""",1:30,2:00,2024-01-02T03:04:05.000Z',
+        '2,Da Funk,Daft Punk,,funk; warmup,,,,',
+        '3,Teardrop,Massive Attack,,closer,"Closer\nkeep it long",,,2024-01-02T03:04:05.000Z',
+        '',
+      ].join('\r\n'),
+    )
+  })
+
+  it('defuses spreadsheet formulas', () => {
+    expect(csvCell('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"')
+    expect(csvCell('@SUM')).toBe("'@SUM")
+    expect(csvCell(-3)).toBe('-3')
+  })
+})
+
+describe('buildTimeline', () => {
+  it('places notes on the playlist timeline using track durations', () => {
+    const timeline = buildTimeline(input)
+
+    expect(timeline.regions.map((r) => [r.label, r.startMs, r.endMs])).toEqual([
+      ['1. Aphex Twin - Windowlicker', 0, 366_000],
+      ['2. Daft Punk - Da Funk', 366_000, 694_000],
+      ['3. Massive Attack - Teardrop', 694_000, 1_024_000],
+    ])
+    expect(timeline.markers.map((m) => [m.label, m.startMs, m.endMs])).toEqual([
+      ['Bring in the pads', 30_000, 30_000],
+      ['Breakdown, "loop it"', 90_000, 120_500],
+    ])
+    expect(timeline.skipped).toBe(0)
+  })
+
+  it('skips timestamped notes after a track with no duration', () => {
+    const timeline = buildTimeline({
+      tracks: [
+        { id: 'a', title: 'A', notes: [{ body: 'first', createdAt: 1, timestampMs: 1000 }] },
+        { id: 'b', title: 'B', durationMs: 1000, notes: [{ body: 'second', createdAt: 1, timestampMs: 500 }] },
+      ],
+    })
+    expect(timeline.markers.map((m) => m.label)).toEqual(['first'])
+    expect(timeline.regions).toEqual([])
+    expect(timeline.skipped).toBe(1)
+  })
+})
+
+describe('DAW formats', () => {
+  it('writes Audacity labels in seconds', () => {
+    expect(formatAudacityLabels(input)).toBe(
+      [
+        '0.000000\t366.000000\t1. Aphex Twin - Windowlicker',
+        '30.000000\t30.000000\tBring in the pads',
+        '90.000000\t120.500000\tBreakdown, "loop it"',
+        '366.000000\t694.000000\t2. Daft Punk - Da Funk',
+        '694.000000\t1024.000000\t3. Massive Attack - Teardrop',
+        '',
+      ].join('\n'),
+    )
+  })
+
+  it('writes Reaper regions and markers', () => {
+    expect(formatReaperRegions(input)).toBe(
+      [
+        '#,Name,Start,End,Length',
+        'R1,1. Aphex Twin - Windowlicker,0:00.000,6:06.000,6:06.000',
+        'M1,Bring in the pads,0:30.000,,',
+        'R2,"Breakdown, ""loop it""",1:30.000,2:00.500,0:30.500',
+        'R3,2. Daft Punk - Da Funk,6:06.000,11:34.000,5:28.000',
+        'R4,3. Massive Attack - Teardrop,11:34.000,17:04.000,5:30.000',
+        '',
+      ].join('\r\n'),
+    )
+  })
+})
+
+describe('formatExport', () => {
+  it('dispatches by format and names files', () => {
+    expect(formatExport(EXPORT_FORMAT.CSV, input)).toBe(formatCsv(input))
+    expect(() => formatExport(/** @type {any} */ ('pdf'), input)).toThrow(/unknown export format/i)
+    expect(buildExportFileName('Friday Set!', EXPORT_FORMAT.MARKDOWN)).toBe('friday-set-notes.md')
+    expect(buildExportFileName('Café Mix', EXPORT_FORMAT.AUDACITY)).toBe('cafe-mix-labels.txt')
+    expect(buildExportFileName('', EXPORT_FORMAT.REAPER)).toBe('playlist-regions.csv')
+  })
+})
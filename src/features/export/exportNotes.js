@@ -0,0 +1,401 @@
+// src/features/export/exportNotes.js
+
+/**
+ * Pure formatters that turn a playlist's notes and tags into files other tools can read:
+ * Markdown for docs, CSV for spreadsheets, and Audacity label tracks / Reaper region CSV
+ * for DAWs. Keep output byte-stable; the unit tests pin each format.
+ */
+
+import { getNoteBody, normalizeNotesList, normalizeTagList } from '../../utils/notesTagsData.js'
+import { formatTimestampMs, formatTimestampRange } from '../playlist/noteTimestamps.js'
+
+/** @typedef {import('../../utils/notesTagsData.js').NoteEntry} NoteEntry */
+
+export const EXPORT_FORMAT = Object.freeze({
+  MARKDOWN: 'markdown',
+  CSV: 'csv',
+  AUDACITY: 'audacity',
+  REAPER: 'reaper',
+})
+
+/** @typedef {typeof EXPORT_FORMAT[keyof typeof EXPORT_FORMAT]} ExportFormat */
+
+/** @type {Readonly<Record<ExportFormat, { label: string, extension: string, mimeType: string }>>} */
+export const EXPORT_FORMAT_INFO = Object.freeze({
+  [EXPORT_FORMAT.MARKDOWN]: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+  [EXPORT_FORMAT.CSV]: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  [EXPORT_FORMAT.AUDACITY]: { label: 'Audacity labels', extension: 'txt', mimeType: 'text/plain' },
+  [EXPORT_FORMAT.REAPER]: { label: 'Reaper regions', extension: 'csv', mimeType: 'text/csv' },
+})
+
+/**
+ * @typedef {Object} ExportInput
+ * @property {string} [title]
+ * @property {string} [sourceUrl]
+ * @property {any[]} tracks - Playlist order; `durationMs` places tracks on the DAW timeline
+ * @property {Record<string, NoteEntry[]>} [notesByTrack] - Falls back to `track.notes`
+ * @property {Record<string, string[]>} [tagsByTrack] - Falls back to `track.tags`
+ * @property {string} [generatedAt] - ISO timestamp for the Markdown header
+ */
+
+/**
+ * @typedef {Object} ExportTrack
+ * @property {string} id
+ * @property {number} position - 1-based position in the playlist
+ * @property {string} title
+ * @property {string} artist
+ * @property {string} album
+ * @property {number | null} durationMs
+ * @property {NoteEntry[]} notes
+ * @property {string[]} tags
+ */
+
+/**
+ * @typedef {Object} TimelineItem
+ * @property {string} label
+ * @property {number} startMs
+ * @property {number} endMs - Equal to `startMs` for point markers
+ * @property {'track' | 'note'} kind
+ */
+
+/**
+ * @typedef {Object} Timeline
+ * @property {TimelineItem[]} regions - One per track with a known duration
+ * @property {TimelineItem[]} markers - One per timestamped note
+ * @property {number} skipped - Timestamped notes that could not be placed
+ */
+
+/**
+ * @param {unknown} value
+ * @returns {string}
+ */
+const text = (value) => (typeof value === 'string' ? value.trim() : '')
+
+/**
+ * @param {any} track
+ * @returns {string}
+ */
+function trackLabel(track) {
+  const title = track.title || 'Untitled'
+  return track.artist ? `${track.artist} - ${title}` : title
+}
+
+/**
+ * Attach notes and tags to tracks in playlist order.
+ * @param {ExportInput} input
+ * @returns {ExportTrack[]}
+ */
+export function collectExportTracks(input) {
+  const tracks = Array.isArray(input?.tracks) ? input.tracks : []
+  /** @type {ExportTrack[]} */
+  const out = []
+  tracks.forEach((track, index) => {
+    if (!track || typeof track !== 'object' || track.id == null) return
+    const id = String(track.id)
+    const notes = normalizeNotesList(input.notesByTrack?.[id] ?? track.notes)
+    const tags = normalizeTagList(input.tagsByTrack?.[id] ?? track.tags)
+    const duration = Number(track.durationMs)
+    out.push({
+      id,
+      position: index + 1,
+      title: text(track.title),
+      artist: text(track.artist),
+      album: text(track.album),
+      durationMs: Number.isFinite(duration) && duration > 0 ? duration : null,
+      notes,
+      tags,
+    })
+  })
+  return out
+}
+
+/**
+ * @param {ExportTrack} track
+ * @returns {boolean}
+ */
+const isAnnotated = (track) => track.notes.length > 0 || track.tags.length > 0
+
+/**
+ * @param {NoteEntry} note
+ * @returns {boolean}
+ */
+const hasTimestamp = (note) => typeof note.timestampMs === 'number' && Number.isFinite(note.timestampMs)
+
+/**
+ * @param {NoteEntry} note
+ * @returns {number | null}
+ */
+function noteEndMs(note) {
+  const end = note.timestampEndMs
+  if (typeof end !== 'number' || !Number.isFinite(end)) return null
+  return end > /** @type {number} */ (note.timestampMs) ? end : null
+}
+
+/**
+ * @param {NoteEntry} note
+ * @returns {string}
+ */
+function noteTimeLabel(note) {
+  if (!hasTimestamp(note)) return ''
+  const end = noteEndMs(note)
+  return (end != null
+    ? formatTimestampRange(note.timestampMs, end)
+    : formatTimestampMs(note.timestampMs)) ?? ''
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+const singleLine = (value) => value.replace(/\s*\r?\n\s*/g, ' ').trim()
+
+/**
+ * Annotated tracks as a Markdown document, one section per track.
+ * @param {ExportInput} input
+ * @returns {string}
+ */
+export function formatMarkdown(input) {
+  const lines = [`# ${singleLine(text(input.title)) || 'Playlist notes'}`, '']
+  const sourceUrl = text(input.sourceUrl)
+  if (sourceUrl) lines.push(`Source: <${sourceUrl}>`)
+  if (input.generatedAt) lines.push(`Exported: ${input.generatedAt}`)
+  if (sourceUrl || input.generatedAt) lines.push('')
+
+  const annotated = collectExportTracks(input).filter(isAnnotated)
+  if (annotated.length === 0) {
+    lines.push('_No notes or tags yet._', '')
+    return lines.join('\n')
+  }
+
+  annotated.forEach((track) => {
+    lines.push(`## ${track.position}. ${singleLine(trackLabel(track))}`, '')
+    if (track.album) lines.push(`_${singleLine(track.album)}_`, '')
+    if (track.tags.length > 0) {
+      lines.push(`Tags: ${track.tags.map((tag) => `\`${tag}\``).join(', ')}`, '')
+    }
+    if (track.notes.length > 0) {
+      track.notes.forEach((note) => {
+        const time = noteTimeLabel(note)
+        const body = getNoteBody(note).replace(/\r?\n/g, '\n  ')
+        lines.push(`- ${time ? `**[${time}]** ` : ''}${body}`)
+      })
+      lines.push('')
+    }
+  })
+  return lines.join('\n')
+}
+
+/**
+ * Quote a CSV cell per RFC 4180 and defuse spreadsheet formulas.
+ * @param {string | number | null | undefined} value
+ * @returns {string}
+ */
+export function csvCell(value) {
+  if (value == null) return ''
+  let cell = String(value)
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(cell)) {
+    cell = `'${cell}`
+  }
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell
+}
+
+/**
+ * @param {Array<string | number | null | undefined>} cells
+ * @returns {string}
+ */
+const csvRow = (cells) => cells.map(csvCell).join(',')
+
+const CSV_HEADER = [
+  'position',
+  'title',
+  'artist',
+  'album',
+  'tags',
+  'note',
+  'timestamp_start',
+  'timestamp_end',
+  'note_created_at',
+]
+
+/**
+ * One row per note; tagged tracks without notes get a single row with an empty note.
+ * Timestamps are within-track `m:ss` labels.
+ * @param {ExportInput} input
+ * @returns {string}
+ */
+export function formatCsv(input) {
+  const rows = [csvRow(CSV_HEADER)]
+  collectExportTracks(input)
+    .filter(isAnnotated)
+    .forEach((track) => {
+      const base = [track.position, track.title, track.artist, track.album, track.tags.join('; ')]
+      if (track.notes.length === 0) {
+        rows.push(csvRow([...base, '', '', '', '']))
+        return
+      }
+      track.notes.forEach((note) => {
+        const end = noteEndMs(note)
+        rows.push(
+          csvRow([
+            ...base,
+            getNoteBody(note),
+            hasTimestamp(note) ? formatTimestampMs(note.timestampMs) : '',
+            end != null ? formatTimestampMs(end) : '',
+            Number.isFinite(note.createdAt) ? new Date(note.createdAt).toISOString() : '',
+          ]),
+        )
+      })
+    })
+  return `${rows.join('\r\n')}\r\n`
+}
+
+/**
+ * Lay the playlist end to end and place each timestamped note on that timeline.
+ * A track's offset is the sum of the durations before it, so once a duration is
+ * unknown later tracks can't be placed and their timestamped notes count as skipped.
+ * Notes without a timestamp are not markers and are left out.
+ * @param {ExportInput} input
+ * @returns {Timeline}
+ */
+export function buildTimeline(input) {
+  /** @type {TimelineItem[]} */
+  const regions = []
+  /** @type {TimelineItem[]} */
+  const markers = []
+  let skipped = 0
+  /** @type {number | null} */
+  let offset = 0
+
+  collectExportTracks(input).forEach((track) => {
+    const timed = track.notes.filter(hasTimestamp)
+    if (offset == null) {
+      skipped += timed.length
+      return
+    }
+    const start = offset
+    if (track.durationMs != null) {
+      regions.push({
+        label: `${track.position}. ${singleLine(trackLabel(track))}`,
+        startMs: start,
+        endMs: start + track.durationMs,
+        kind: 'track',
+      })
+    }
+    timed.forEach((note) => {
+      const noteStart = start + /** @type {number} */ (note.timestampMs)
+      const end = noteEndMs(note)
+      markers.push({
+        label: singleLine(getNoteBody(note)) || singleLine(trackLabel(track)),
+        startMs: noteStart,
+        endMs: end != null ? start + end : noteStart,
+        kind: 'note',
+      })
+    })
+    offset = track.durationMs != null ? start + track.durationMs : null
+  })
+
+  return { regions, markers, skipped }
+}
+
+/**
+ * @param {number} ms
+ * @returns {string}
+ */
+const seconds = (ms) => (ms / 1000).toFixed(6)
+
+/**
+ * Audacity label track: `start<TAB>end<TAB>label` in seconds, one label per line.
+ * Tracks become region labels and timestamped notes become point or region labels.
+ * @param {ExportInput} input
+ * @returns {string}
+ */
+export function formatAudacityLabels(input) {
+  const { regions, markers } = buildTimeline(input)
+  const items = [...regions, ...markers].sort((a, b) => a.startMs - b.startMs || a.endMs - b.endMs)
+  return items
+    .map((item) => `${seconds(item.startMs)}\t${seconds(item.endMs)}\t${item.label.replace(/\t/g, ' ')}\n`)
+    .join('')
+}
+
+/**
+ * Reaper's `m:ss.mmm` time format (minutes keep counting past an hour).
+ * @param {number} ms
+ * @returns {string}
+ */
+function reaperTime(ms) {
+  const totalMs = Math.max(0, Math.round(ms))
+  const minutes = Math.floor(totalMs / 60000)
+  const secs = Math.floor((totalMs % 60000) / 1000)
+  const millis = totalMs % 1000
+  return `${minutes}:${String(secs).padStart(2, '0')}.${String(millis).padStart(3, '0')}`
+}
+
+/**
+ * Reaper Region/Marker Manager CSV. Tracks and ranged notes are regions (`R#`),
+ * single-point notes are markers (`M#`).
+ * @param {ExportInput} input
+ * @returns {string}
+ */
+export function formatReaperRegions(input) {
+  const { regions, markers } = buildTimeline(input)
+  const items = [...regions, ...markers].sort((a, b) => a.startMs - b.startMs || a.endMs - b.endMs)
+  const rows = [csvRow(['#', 'Name', 'Start', 'End', 'Length'])]
+  let regionCount = 0
+  let markerCount = 0
+  items.forEach((item) => {
+    if (item.endMs > item.startMs) {
+      regionCount += 1
+      rows.push(
+        csvRow([
+          `R${regionCount}`,
+          item.label,
+          reaperTime(item.startMs),
+          reaperTime(item.endMs),
+          reaperTime(item.endMs - item.startMs),
+        ]),
+      )
+    } else {
+      markerCount += 1
+      rows.push(csvRow([`M${markerCount}`, item.label, reaperTime(item.startMs), '', '']))
+    }
+  })
+  return `${rows.join('\r\n')}\r\n`
+}
+
+/**
+ * @param {ExportFormat} format
+ * @param {ExportInput} input
+ * @returns {string}
+ */
+export function formatExport(format, input) {
+  switch (format) {
+    case EXPORT_FORMAT.MARKDOWN:
+      return formatMarkdown(input)
+    case EXPORT_FORMAT.CSV:
+      return formatCsv(input)
+    case EXPORT_FORMAT.AUDACITY:
+      return formatAudacityLabels(input)
+    case EXPORT_FORMAT.REAPER:
+      return formatReaperRegions(input)
+    default:
+      throw new Error(`Unknown export format: ${format}`)
+  }
+}
+
+/**
+ * File name for an export, e.g. `friday-set-notes.md`.
+ * @param {string | null | undefined} title
+ * @param {ExportFormat} format
+ * @returns {string}
+ */
+export function buildExportFileName(title, format) {
+  const slug = text(title)
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60)
+  const suffix = format === EXPORT_FORMAT.AUDACITY ? 'labels' : format === EXPORT_FORMAT.REAPER ? 'regions' : 'notes'
+  return `${slug || 'playlist'}-${suffix}.${EXPORT_FORMAT_INFO[format].extension}`
+}
@@ -0,0 +1,33 @@
+// src/features/filter/HighlightedText.jsx
+// Text with the words that matched the current search wrapped in <mark>.
+
+import { useContext, useMemo } from 'react';
+import { SearchHighlightContext } from './highlightContext.js';
+import { findHighlightRanges } from './searchIndex.js';
+
+/**
+ * @param {object} props
+ * @param {string} props.text
+ * @param {'title' | 'notes'} props.field Which matches apply: track titles or note bodies
+ */
+export default function HighlightedText({ text, field }) {
+  const highlights = useContext(SearchHighlightContext);
+  const terms = highlights ? highlights[field] : null;
+  const ranges = useMemo(() => findHighlightRanges(text, terms), [text, terms]);
+
+  if (ranges.length === 0) return text;
+
+  const parts = [];
+  let cursor = 0;
+  ranges.forEach(({ start, end }) => {
+    if (start > cursor) parts.push(text.slice(cursor, start));
+    parts.push(
+      <mark key={start} className="search-hit">
+        {text.slice(start, end)}
+      </mark>,
+    );
+    cursor = end;
+  });
+  if (cursor < text.length) parts.push(text.slice(cursor));
+  return <>{parts}</>;
+}
@@ -0,0 +1,212 @@
+// src/features/filter/SavedFilterChips.jsx
+// Saved filters as chips above the filter bar, each with a live count of the tracks it
+// would show here, plus a small form for saving the current filters under a name.
+
+import { memo, useCallback, useId, useMemo, useRef, useState, useSyncExternalStore } from 'react';
+import { focusElement } from '../../utils/focusById.js';
+import { describeScope, describeSort } from './filterTracks.js';
+import {
+  MAX_SAVED_FILTER_NAME_LENGTH,
+  deleteSavedFilter,
+  isSavedFilterActive,
+  loadSavedFilters,
+  saveFilter,
+  subscribeToSavedFilters,
+} from './savedFilters.js';
+
+/**
+ * @param {import('./savedFilters.js').SavedFilter} filter
+ */
+function describeSavedFilter(filter) {
+  const parts = [];
+  if (filter.query) parts.push(`Search: ${filter.query}`);
+  if (filter.selectedTags.length > 0) parts.push(`Tags: ${filter.selectedTags.join(', ')}`);
+  if (filter.hasNotesOnly) parts.push('Has notes');
+  parts.push(`In: ${describeScope(filter.scope)}`);
+  parts.push(`Sort: ${describeSort(filter.sort)}`);
+  return parts.join(' · ');
+}
+
+/**
+ * @param {object} props
+ * @param {import('./savedFilters.js').FilterState} props.filterState - Filters in effect now
+ * @param {boolean} props.hasActiveFilters - Saving is offered only when something is set
+ * @param {(filter: import('./savedFilters.js').SavedFilter) => void} props.onApply
+ * @param {(state: import('./savedFilters.js').FilterState) => number} props.countMatches
+ * @param {(message: string) => void} [props.announce]
+ */
+function SavedFilterChips({ filterState, hasActiveFilters, onApply, countMatches, announce }) {
+  const filters = useSyncExternalStore(subscribeToSavedFilters, loadSavedFilters);
+  const [draftName, setDraftName] = useState(/** @type {string | null} */ (null));
+  const [error, setError] = useState('');
+  const nameInputId = useId();
+  const errorId = useId();
+  const chipRefs = useRef(new Map());
+
+  const counts = useMemo(
+    () => new Map(filters.map((filter) => [filter.id, countMatches(filter)])),
+    [filters, countMatches],
+  );
+
+  const activeId = useMemo(
+    () => filters.find((filter) => isSavedFilterActive(filter, filterState))?.id ?? null,
+    [filters, filterState],
+  );
+
+  const closeForm = useCallback(() => {
+    setDraftName(null);
+    setError('');
+  }, []);
+
+  const handleSubmit = useCallback(
+    (event) => {
+      event.preventDefault();
+      const result = saveFilter(draftName ?? '', filterState);
+      if ('error' in result) {
+        setError(result.error);
+        return;
+      }
+      closeForm();
+      announce?.(
+        result.replaced
+          ? `Updated saved filter "${result.filter.name}".`
+          : `Saved filter "${result.filter.name}".`,
+      );
+    },
+    [draftName, filterState, closeForm, announce],
+  );
+
+  const handleDelete = useCallback(
+    (filter) => {
+      const index = filters.findIndex((entry) => entry.id === filter.id);
+      const neighbour = filters[index + 1] ?? filters[index - 1] ?? null;
+      if (!deleteSavedFilter(filter.id)) return;
+      announce?.(`Deleted saved filter "${filter.name}".`);
+      // The focused button is gone; keep focus among the chips instead of the page body
+      if (neighbour) {
+        focusElement(chipRefs.current.get(neighbour.id));
+      }
+    },
+    [filters, announce],
+  );
+
+  if (filters.length === 0 && !hasActiveFilters && draftName === null) return null;
+
+  return (
+    <nav
+      aria-label="Saved filters"
+      data-filter-bar="true"
+      style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 8, marginTop: 12 }}
+    >
+      {filters.length > 0 && (
+        <ul
+          style={{
+            display: 'flex',
+            flexWrap: 'wrap',
+            gap: 6,
+            listStyle: 'none',
+            margin: 0,
+            padding: 0,
+          }}
+        >
+          {filters.map((filter) => {
+            const count = counts.get(filter.id) ?? 0;
+            const isActive = filter.id === activeId;
+            return (
+              <li key={filter.id} className="saved-filter">
+                <button
+                  type="button"
+                  className={`scope-pill${isActive ? ' is-active' : ''}`}
+                  ref={(node) => {
+                    if (node) {
+                      chipRefs.current.set(filter.id, node);
+                    } else {
+                      chipRefs.current.delete(filter.id);
+                    }
+                  }}
+                  aria-pressed={isActive ? 'true' : 'false'}
+                  aria-label={`${filter.name}, ${count} ${count === 1 ? 'track' : 'tracks'}`}
+                  title={describeSavedFilter(filter)}
+                  onClick={() => {
+                    onApply(filter);
+                    announce?.(`Applied saved filter "${filter.name}".`);
+                  }}
+                >
+                  {filter.name}
+                  <span className="saved-filter__count" aria-hidden="true">
+                    {count}
+                  </span>
+                </button>
+                <button
+                  type="button"
+                  className="saved-filter__delete"
+                  aria-label={`Delete saved filter ${filter.name}`}
+                  onClick={() => handleDelete(filter)}
+                >
+                  ×
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {draftName === null ? (
+        hasActiveFilters && (
+          <button
+            type="button"
+            className="btn"
+            onClick={() => {
+              setDraftName(filters.find((filter) => filter.id === activeId)?.name ?? '');
+              setError('');
+            }}
+          >
+            Save filter
+          </button>
+        )
+      ) : (
+        <form
+          onSubmit={handleSubmit}
+          style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 6 }}
+        >
+          <label htmlFor={nameInputId} style={{ fontWeight: 600 }}>
+            Name
+          </label>
+          <input
+            id={nameInputId}
+            className="filter-input"
+            value={draftName}
+            maxLength={MAX_SAVED_FILTER_NAME_LENGTH}
+            placeholder="e.g. dark intros"
+            autoFocus
+            aria-invalid={error ? 'true' : undefined}
+            aria-describedby={error ? errorId : undefined}
+            onChange={(event) => {
+              setDraftName(event.target.value);
+              setError('');
+            }}
+            onKeyDown={(event) => {
+              if (event.key === 'Escape') {
+                event.preventDefault();
+                closeForm();
+              }
+            }}
+          />
+          <button type="submit" className="btn primary">
+            Save
+          </button>
+          <button type="button" className="btn" onClick={closeForm}>
+            Cancel
+          </button>
+          {error && (
+            <span id={errorId} role="alert" style={{ color: 'var(--danger, #ff6b6b)' }}>
+              {error}
+            </span>
+          )}
+        </form>
+      )}
+    </nav>
+  );
+}
+
+export default memo(SavedFilterChips);
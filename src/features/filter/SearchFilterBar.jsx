@@ -17,6 +17,10 @@ const SCOPE_OPTIONS = [
 ];
 
 const SORT_OPTIONS = [
+  {
+    value: `${SORT_KEY.RELEVANCE}:${SORT_DIRECTION.DESC}`,
+    label: 'Best match',
+  },
   {
     value: `${SORT_KEY.DATE}:${SORT_DIRECTION.ASC}`,
     label: 'Date added - oldest first',
@@ -39,6 +43,8 @@ const SORT_OPTIONS = [
  * @param {object} props
  * @param {string} props.query
  * @param {(value: string) => void} props.onQueryChange
+ * @param {import('./searchQuery.js').QueryError[]} [props.queryErrors]
+ *   Problems in the query, listed under the search box.
  * @param {string} props.scope
  * @param {(value: string) => void} props.onScopeChange
  * @param {{ key: string, direction: string }} props.sort
@@ -58,6 +64,7 @@ const SORT_OPTIONS = [
 function SearchFilterBar({
   query,
   onQueryChange,
+  queryErrors = [],
   scope,
   onScopeChange,
   sort,
@@ -92,7 +99,7 @@ function SearchFilterBar({
       const value = event.target.value;
       const [key, direction] = value.split(':');
       onSortChange({
-        key: key === SORT_KEY.TITLE ? SORT_KEY.TITLE : SORT_KEY.DATE,
+        key: key === SORT_KEY.TITLE || key === SORT_KEY.RELEVANCE ? key : SORT_KEY.DATE,
         direction: direction === SORT_DIRECTION.ASC ? SORT_DIRECTION.ASC : SORT_DIRECTION.DESC,
       });
     },
@@ -183,6 +190,7 @@ function SearchFilterBar({
   );
 
   const sortLabel = useMemo(() => describeSort(sort), [sort]);
+  const hasQueryErrors = queryErrors.length > 0;
 
   return (
     <section
@@ -224,6 +232,10 @@ function SearchFilterBar({
             aria-label="Search tracks, artists, notes"
             onChange={(event) => onQueryChange(event.target.value)}
             onKeyDown={handleSearchKeyDown}
+            aria-invalid={hasQueryErrors ? 'true' : undefined}
+            aria-describedby={
+              hasQueryErrors ? 'filter-search-hint filter-search-errors' : 'filter-search-hint'
+            }
             className="filter-input"
             style={{ flex: '1 1 auto' }}
           />
@@ -238,6 +250,29 @@ function SearchFilterBar({
             </button>
           ) : null}
         </div>
+        <span id="filter-search-hint" style={{ color: 'var(--muted)', fontSize: '0.85rem' }}>
+          Narrow with tag:, artist:, title:, note:, has:timestamp, added:&gt;2024-01-01 or
+          kind:podcast. Use OR, -to exclude and &quot;quotes&quot; for phrases.
+        </span>
+        <div id="filter-search-errors" aria-live="polite">
+          {hasQueryErrors && (
+            <ul
+              aria-label="Search query problems"
+              style={{
+                margin: 0,
+                paddingLeft: 18,
+                color: 'var(--danger, #ff6b6b)',
+                fontSize: '0.9rem',
+              }}
+            >
+              {queryErrors.map((error) => (
+                <li key={`${error.start}:${error.message}`}>
+                  <code>{error.token}</code> {error.message}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
       </div>
 
       <div>
@@ -0,0 +1,45 @@
+import { describe, expect, it } from 'vitest'
+import { render } from '@testing-library/react'
+import HighlightedText from '../HighlightedText.jsx'
+import { SearchHighlightContext } from '../highlightContext.js'
+
+function renderWith(highlights, props) {
+  return render(
+    <SearchHighlightContext.Provider value={highlights}>
+      <p>
+        <HighlightedText {...props} />
+      </p>
+    </SearchHighlightContext.Provider>,
+  )
+}
+
+describe('HighlightedText', () => {
+  it('marks the matched words and keeps the rest of the text', () => {
+    const { container } = renderWith(
+      { title: new Set(['ros', 'live']), notes: new Set() },
+      { text: 'Sigur Rós – Live', field: 'title' },
+    )
+
+    expect(container.querySelector('p')).toHaveTextContent('Sigur Rós – Live')
+    expect([...container.querySelectorAll('mark')].map((mark) => mark.textContent)).toEqual([
+      'Rós',
+      'Live',
+    ])
+  })
+
+  it('only uses the matches for its own field', () => {
+    const { container } = renderWith(
+      { title: new Set(['live']), notes: new Set() },
+      { text: 'Live take', field: 'notes' },
+    )
+
+    expect(container.querySelector('mark')).toBeNull()
+    expect(container.querySelector('p')).toHaveTextContent('Live take')
+  })
+
+  it('renders plain text outside a search', () => {
+    const { container } = render(<HighlightedText text="Live take" field="title" />)
+    expect(container).toHaveTextContent('Live take')
+    expect(container.querySelector('mark')).toBeNull()
+  })
+})
@@ -0,0 +1,101 @@
+import '@testing-library/jest-dom/vitest'
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { act, render, screen, within } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import SavedFilterChips from '../SavedFilterChips.jsx'
+import { loadSavedFilters, saveFilter } from '../savedFilters.js'
+
+const EMPTY_STATE = {
+  query: '',
+  scope: 'both',
+  sort: { key: 'date', direction: 'asc' },
+  selectedTags: [],
+  hasNotesOnly: false,
+}
+
+const DARK_STATE = { ...EMPTY_STATE, query: 'intro', selectedTags: ['dark'] }
+
+function renderChips(overrides = {}) {
+  const props = {
+    filterState: EMPTY_STATE,
+    hasActiveFilters: false,
+    onApply: vi.fn(),
+    countMatches: (state) => state.selectedTags.length + state.query.length,
+    announce: vi.fn(),
+    ...overrides,
+  }
+  render(<SavedFilterChips {...props} />)
+  return props
+}
+
+describe('SavedFilterChips', () => {
+  beforeEach(() => {
+    window.localStorage.clear()
+  })
+
+  it('renders nothing without saved or active filters', () => {
+    renderChips()
+    expect(screen.queryByRole('navigation', { name: 'Saved filters' })).not.toBeInTheDocument()
+  })
+
+  it('saves the current filters under a name', async () => {
+    const { announce } = renderChips({ filterState: DARK_STATE, hasActiveFilters: true })
+
+    await userEvent.click(screen.getByRole('button', { name: 'Save filter' }))
+    await userEvent.type(screen.getByLabelText('Name'), 'Dark intros{Enter}')
+
+    expect(announce).toHaveBeenCalledWith('Saved filter "Dark intros".')
+    expect(loadSavedFilters()).toEqual([expect.objectContaining({ name: 'Dark intros', ...DARK_STATE })])
+    // The chip for the filters in effect shows as pressed
+    expect(screen.getByRole('button', { name: 'Dark intros, 6 tracks' })).toHaveAttribute(
+      'aria-pressed',
+      'true',
+    )
+  })
+
+  it('shows an error for an empty name and keeps the form open', async () => {
+    renderChips({ filterState: DARK_STATE, hasActiveFilters: true })
+
+    await userEvent.click(screen.getByRole('button', { name: 'Save filter' }))
+    await userEvent.click(screen.getByRole('button', { name: 'Save' }))
+
+    expect(screen.getByRole('alert')).toHaveTextContent('Give the filter a name.')
+    expect(screen.getByLabelText('Name')).toHaveAttribute('aria-invalid', 'true')
+
+    await userEvent.type(screen.getByLabelText('Name'), '{Escape}')
+    expect(screen.queryByLabelText('Name')).not.toBeInTheDocument()
+  })
+
+  it('applies a saved filter and shows its live count', async () => {
+    saveFilter('Ambient', { selectedTags: ['ambient'] })
+    const { onApply, announce } = renderChips()
+
+    const nav = screen.getByRole('navigation', { name: 'Saved filters' })
+    const chip = within(nav).getByRole('button', { name: 'Ambient, 1 track' })
+    expect(chip).toHaveAttribute('aria-pressed', 'false')
+    expect(chip).toHaveAttribute('title', expect.stringContaining('Tags: ambient'))
+
+    await userEvent.click(chip)
+    expect(onApply).toHaveBeenCalledWith(expect.objectContaining({ name: 'Ambient', selectedTags: ['ambient'] }))
+    expect(announce).toHaveBeenCalledWith('Applied saved filter "Ambient".')
+  })
+
+  it('deletes a saved filter', async () => {
+    saveFilter('Ambient', { selectedTags: ['ambient'] })
+    saveFilter('Dark intros', DARK_STATE)
+    renderChips()
+
+    await userEvent.click(screen.getByRole('button', { name: 'Delete saved filter Ambient' }))
+
+    expect(screen.queryByRole('button', { name: /^Ambient/ })).not.toBeInTheDocument()
+    expect(loadSavedFilters().map((filter) => filter.name)).toEqual(['Dark intros'])
+  })
+
+  it('picks up filters saved elsewhere', () => {
+    renderChips({ hasActiveFilters: true })
+    act(() => {
+      saveFilter('Ambient', { selectedTags: ['ambient'] })
+    })
+    expect(screen.getByRole('button', { name: 'Ambient, 1 track' })).toBeInTheDocument()
+  })
+})
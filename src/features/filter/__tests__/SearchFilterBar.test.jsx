@@ -1,5 +1,5 @@
 import { describe, expect, it, vi } from 'vitest'
-import { render, screen, waitFor } from '@testing-library/react'
+import { render, screen, waitFor, within } from '@testing-library/react'
 import userEvent from '@testing-library/user-event'
 import SearchFilterBar from '../SearchFilterBar.jsx'
 import { SEARCH_SCOPE, SORT_DIRECTION, SORT_KEY } from '../filterTracks.js'
@@ -63,3 +63,32 @@ describe('SearchFilterBar segmented scope control', () => {
     expect(handleScopeChange).toHaveBeenLastCalledWith(SEARCH_SCOPE.NOTES)
   })
 })
+
+describe('SearchFilterBar query errors', () => {
+  it('lists query problems under the search box and marks it invalid', () => {
+    renderBar({
+      query: 'tag: mood:happy',
+      queryErrors: [
+        { token: 'tag:', message: '"tag:" needs a value, like tag:dark.', start: 0, end: 4 },
+        { token: 'mood:happy', message: 'Unknown filter "mood:".', start: 5, end: 15 },
+      ],
+    })
+
+    const input = screen.getByRole('searchbox', { name: 'Search tracks, artists, notes' })
+    expect(input).toHaveAttribute('aria-invalid', 'true')
+    expect(input.getAttribute('aria-describedby')).toContain('filter-search-errors')
+
+    const list = screen.getByRole('list', { name: 'Search query problems' })
+    const items = within(list).getAllByRole('listitem')
+    expect(items).toHaveLength(2)
+    expect(items[1]).toHaveTextContent('mood:happy Unknown filter "mood:".')
+  })
+
+  it('leaves the search box valid without errors', () => {
+    renderBar({ query: 'tag:dark' })
+
+    const input = screen.getByRole('searchbox', { name: 'Search tracks, artists, notes' })
+    expect(input).not.toHaveAttribute('aria-invalid')
+    expect(screen.queryByRole('list', { name: 'Search query problems' })).not.toBeInTheDocument()
+  })
+})
@@ -137,6 +137,108 @@ describe('filterTracks', () => {
   })
 })
 
+describe('filterTracks query operators', () => {
+  const tracks = [
+    ...MOCK_TRACKS,
+    {
+      id: 'p-1',
+      title: 'Episode 12: Sampling',
+      artist: 'Sound Talk',
+      kind: 'podcast',
+      notes: [makeNote('Chop the intro', { timestampMs: 65000 })],
+      tags: ['interview'],
+      dateAdded: '2024-03-01T10:00:00Z',
+      originalIndex: 4,
+    },
+  ]
+  const index = buildIndexMap(tracks)
+  const ids = (query, scope = SEARCH_SCOPE.BOTH) =>
+    filterTracks(tracks, index, { query, scope }).map((t) => t.id)
+
+  it('matches whole tags and excludes negated ones', () => {
+    expect(ids('tag:jazz')).toEqual(['t-1', 't-2'])
+    expect(ids('tag:jazz -tag:practice')).toEqual(['t-1'])
+    expect(ids('tag:jaz')).toEqual([])
+  })
+
+  it('narrows to artist, title and note text', () => {
+    expect(ids('artist:"john coltrane"')).toEqual(['t-2'])
+    expect(ids('artist:steps')).toEqual([])
+    expect(ids('title:steps')).toEqual(['t-2'])
+    expect(ids('note:"chop the"')).toEqual(['p-1'])
+  })
+
+  it('filters by has:, kind: and added:', () => {
+    expect(ids('has:timestamp')).toEqual(['p-1'])
+    expect(ids('has:notes')).toEqual(['t-1', 't-2', 't-3', 'p-1'])
+    expect(ids('kind:podcast')).toEqual(['p-1'])
+    expect(ids('kind:music')).toEqual(['t-1', 't-2', 't-3', 't-4'])
+    expect(ids('added:>2024-02-01')).toEqual(['t-4', 'p-1'])
+    expect(ids('added:>=2024-02-01')).toEqual(['t-2', 't-4', 'p-1'])
+    expect(ids('added:<2024-01-05')).toEqual(['t-3'])
+    expect(ids('added:<=2024-01-05')).toEqual(['t-1', 't-3'])
+    expect(ids('added:2024-02-01')).toEqual(['t-2'])
+  })
+
+  it('combines OR groups with other terms', () => {
+    expect(ids('tag:ambient OR tag:draft')).toEqual(['t-3', 't-4'])
+    expect(ids('(tag:swing OR tag:interview) has:notes -kind:podcast')).toEqual(['t-1'])
+  })
+
+  it('applies the scope to bare words only', () => {
+    expect(ids('giant tag:jazz', SEARCH_SCOPE.NOTES)).toEqual([])
+    expect(ids('"focus on" tag:jazz', SEARCH_SCOPE.NOTES)).toEqual(['t-2'])
+    expect(ids('note:focus', SEARCH_SCOPE.TRACK)).toEqual(['t-2'])
+  })
+
+  it('ignores malformed tokens and keeps filtering with the rest', () => {
+    expect(ids('tag:jazz mood:happy')).toEqual(['t-1', 't-2'])
+    expect(ids('mood:happy')).toHaveLength(tracks.length)
+  })
+
+  it('matches plain words in any order and quoted phrases as written', () => {
+    expect(ids('blue monk')).toEqual(['t-1'])
+    expect(ids('monk blue')).toEqual(['t-1'])
+    expect(ids('"monk blue"')).toEqual([])
+  })
+})
+
+describe('filterTracks ranking', () => {
+  const tracks = [
+    {
+      id: 'r-1',
+      title: 'Untitled',
+      artist: 'Someone',
+      notes: [makeNote('sounds like burial')],
+      originalIndex: 0,
+    },
+    { id: 'r-2', title: 'Archangel', artist: 'Burial', notes: [], originalIndex: 1 },
+    { id: 'r-3', title: 'Burial Ground', artist: 'Other', notes: [], originalIndex: 2 },
+  ]
+  const index = buildIndexMap(tracks)
+
+  it('puts title and artist matches ahead of note matches', () => {
+    const results = filterTracks(tracks, index, { query: 'burial' })
+    expect(results.map((t) => t.id)).toEqual(['r-3', 'r-2', 'r-1'])
+  })
+
+  it('finds tracks despite a typo or a partial word', () => {
+    expect(filterTracks(tracks, index, { query: 'archangle' }).map((t) => t.id)).toEqual(['r-2'])
+    expect(filterTracks(tracks, index, { query: 'arch' }).map((t) => t.id)).toEqual(['r-2'])
+  })
+
+  it('ranks by bare words when the query has operators', () => {
+    const results = filterTracks(tracks, index, { query: 'burial -artist:other' })
+    expect(results.map((t) => t.id)).toEqual(['r-2', 'r-1'])
+  })
+
+  it('keeps the ranked order under the relevance sort', () => {
+    const results = filterTracks(tracks, index, { query: 'burial' })
+    const sorted = sortTracks(results, { key: SORT_KEY.RELEVANCE, direction: SORT_DIRECTION.DESC })
+    expect(sorted.map((t) => t.id)).toEqual(['r-3', 'r-2', 'r-1'])
+  })
+})
+
 describe('sortTracks', () => {
   it('sorts by title ascending', () => {
     const sorted = sortTracks(MOCK_TRACKS, { key: SORT_KEY.TITLE, direction: SORT_DIRECTION.ASC })
@@ -0,0 +1,125 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import {
+  MAX_SAVED_FILTERS,
+  deleteSavedFilter,
+  importSavedFilters,
+  isSavedFilterActive,
+  loadSavedFilters,
+  normalizeSavedFilters,
+  planSavedFilterImport,
+  saveFilter,
+  subscribeToSavedFilters,
+} from '../savedFilters.js'
+
+const DARK_INTROS = {
+  query: 'intro has:timestamp',
+  scope: 'notes',
+  sort: { key: 'title', direction: 'asc' },
+  selectedTags: ['dark'],
+  hasNotesOnly: false,
+}
+
+describe('savedFilters', () => {
+  beforeEach(() => {
+    window.localStorage.clear()
+  })
+
+  it('saves a filter under a name and loads it back', () => {
+    const result = saveFilter('  Dark   intros ', DARK_INTROS)
+    expect(result).toMatchObject({ replaced: false, filter: { name: 'Dark intros', ...DARK_INTROS } })
+    expect(loadSavedFilters()).toEqual([expect.objectContaining({ name: 'Dark intros', ...DARK_INTROS })])
+  })
+
+  it('returns the same list until it changes', () => {
+    saveFilter('Dark intros', DARK_INTROS)
+    const first = loadSavedFilters()
+    expect(loadSavedFilters()).toBe(first)
+    saveFilter('Ambient', { selectedTags: ['ambient'] })
+    expect(loadSavedFilters()).not.toBe(first)
+  })
+
+  it('updates a filter saved again under the same name', () => {
+    const first = saveFilter('Dark intros', DARK_INTROS)
+    const second = saveFilter('dark INTROS', { ...DARK_INTROS, selectedTags: ['dark', 'vocal'] })
+    expect(second).toMatchObject({ replaced: true, filter: { id: first.filter.id } })
+    expect(loadSavedFilters()).toHaveLength(1)
+    expect(loadSavedFilters()[0].selectedTags).toEqual(['dark', 'vocal'])
+  })
+
+  it('rejects empty and overlong names', () => {
+    expect(saveFilter('   ', DARK_INTROS)).toEqual({ error: 'Give the filter a name.' })
+    expect(saveFilter('x'.repeat(41), DARK_INTROS)).toHaveProperty('error')
+    expect(loadSavedFilters()).toEqual([])
+  })
+
+  it('stops at the limit', () => {
+    for (let i = 0; i < MAX_SAVED_FILTERS; i += 1) {
+      saveFilter(`Filter ${i}`, DARK_INTROS)
+    }
+    expect(saveFilter('One more', DARK_INTROS)).toHaveProperty('error')
+    expect(saveFilter('Filter 3', { query: 'edited' })).toMatchObject({ replaced: true })
+  })
+
+  it('deletes filters and notifies subscribers', () => {
+    const listener = vi.fn()
+    const unsubscribe = subscribeToSavedFilters(listener)
+    const { filter } = saveFilter('Dark intros', DARK_INTROS)
+    expect(listener).toHaveBeenCalledTimes(1)
+    expect(deleteSavedFilter(filter.id)).toBe(true)
+    expect(deleteSavedFilter(filter.id)).toBe(false)
+    expect(listener).toHaveBeenCalledTimes(2)
+    expect(loadSavedFilters()).toEqual([])
+    unsubscribe()
+    saveFilter('Ambient', {})
+    expect(listener).toHaveBeenCalledTimes(2)
+  })
+
+  it('ignores unreadable storage', () => {
+    window.localStorage.setItem('sta:v5:saved-filters', '{not json')
+    expect(loadSavedFilters()).toEqual([])
+  })
+
+  it('normalizes stored entries and drops duplicates', () => {
+    expect(
+      normalizeSavedFilters([
+        { id: 'a', name: 'Dark', scope: 'everywhere', sort: { key: 'mood' }, selectedTags: ['dark', 'dark', 3] },
+        { id: 'b', name: 'dark' },
+        { name: 'No id' },
+        null,
+      ]),
+    ).toEqual([
+      {
+        id: 'a',
+        name: 'Dark',
+        query: '',
+        scope: 'both',
+        sort: { key: 'date', direction: 'asc' },
+        selectedTags: ['dark'],
+        hasNotesOnly: false,
+        createdAt: 0,
+      },
+    ])
+  })
+
+  it('imports backup filters whose names are new here', () => {
+    saveFilter('Dark intros', DARK_INTROS)
+    const incoming = [
+      { id: 'x', name: 'DARK INTROS', query: 'other' },
+      { id: 'y', name: 'Ambient', selectedTags: ['ambient'] },
+    ]
+    expect(planSavedFilterImport(loadSavedFilters(), incoming).map((filter) => filter.name)).toEqual([
+      'Ambient',
+    ])
+    expect(importSavedFilters(normalizeSavedFilters(incoming))).toBe(1)
+    expect(loadSavedFilters().map((filter) => filter.name)).toEqual(['Dark intros', 'Ambient'])
+    expect(loadSavedFilters()[0].query).toBe(DARK_INTROS.query)
+    expect(importSavedFilters(normalizeSavedFilters(incoming))).toBe(0)
+  })
+
+  it('tells whether the live filters match a saved one', () => {
+    const { filter } = saveFilter('Dark intros', DARK_INTROS)
+    expect(isSavedFilterActive(filter, { ...DARK_INTROS, query: ' intro has:timestamp ' })).toBe(true)
+    expect(isSavedFilterActive(filter, { ...DARK_INTROS, selectedTags: [] })).toBe(false)
+    expect(isSavedFilterActive(filter, { ...DARK_INTROS, scope: 'both' })).toBe(false)
+  })
+})
@@ -0,0 +1,52 @@
+import { bench, describe } from 'vitest'
+import { createSearchIndex, updateSearchIndex } from '../searchIndex.js'
+import { SEARCH_SCOPE, buildIndexMap, filterTracks } from '../filterTracks.js'
+import { makeSearchLibrary } from '../../../test-utils/searchLibrary.js'
+
+// Run with `npm run bench`; kept out of `npm test` so timings never fail a build.
+// Typing notices lag once a query takes more than about 100ms after the 250ms debounce.
+const TRACK_COUNT = 5000
+
+const QUERIES = [
+  'ka',
+  'kalo',
+  'kalomi',
+  'kalomira',
+  'kalomirx',
+  'ralone tosuvi',
+  'tag:x OR mirane',
+  'anorelba "ka lo"',
+]
+
+describe(`search at ${TRACK_COUNT} tracks`, () => {
+  const tracks = makeSearchLibrary(TRACK_COUNT)
+  const indexMap = buildIndexMap(tracks)
+  const target = tracks[2500]
+  const edited = tracks.map((track) =>
+    track === target
+      ? { ...target, notes: [...target.notes, { body: 'zzqx overdub', createdAt: 2 }] }
+      : track,
+  )
+
+  bench('build the index', () => {
+    createSearchIndex(tracks)
+  })
+
+  let searchIndex = createSearchIndex(tracks)
+  // A fresh index per run, outside the timing, so no query is served from the term cache
+  const freshIndex = {
+    beforeEach: () => {
+      searchIndex = createSearchIndex(tracks)
+    },
+  }
+
+  bench('answer each query', () => {
+    QUERIES.forEach((query) => {
+      filterTracks(tracks, indexMap, { query, scope: SEARCH_SCOPE.BOTH, searchIndex })
+    })
+  }, freshIndex)
+
+  bench('reindex a single edited track', () => {
+    updateSearchIndex(searchIndex, edited)
+  }, freshIndex)
+})
@@ -0,0 +1,38 @@
+import { describe, expect, it } from 'vitest'
+import { createSearchIndex, updateSearchIndex } from '../searchIndex.js'
+import { buildIndexMap, filterTracks } from '../filterTracks.js'
+import { makeSearchLibrary } from '../../../test-utils/searchLibrary.js'
+
+// Timings for the same library live in searchIndex.bench.js (`npm run bench`)
+const TRACK_COUNT = 5000
+
+describe(`search at ${TRACK_COUNT} tracks`, () => {
+  const tracks = makeSearchLibrary(TRACK_COUNT)
+  const indexMap = buildIndexMap(tracks)
+
+  it('finds tracks despite a typo and ranks title matches first', () => {
+    const searchIndex = createSearchIndex(tracks)
+    const target = tracks[1234]
+    const titleWord = target.title.split(' ')[0]
+    // Words are built from two-letter syllables without an x, so this is one typo away
+    const typo = `${titleWord.slice(0, -1)}x`
+
+    const exact = filterTracks(tracks, indexMap, { query: titleWord, searchIndex })
+    expect(exact.length).toBeGreaterThan(0)
+    expect(exact[0].title.split(' ')).toContain(titleWord)
+
+    const fuzzy = filterTracks(tracks, indexMap, { query: typo, searchIndex })
+    expect(fuzzy.map((track) => track.id)).toContain(target.id)
+  })
+
+  it('finds an edited track after reindexing', () => {
+    const searchIndex = createSearchIndex(tracks)
+    const target = tracks[2500]
+    const edited = { ...target, notes: [...target.notes, { body: 'zzqx overdub', createdAt: 2 }] }
+    const next = tracks.map((track) => (track === target ? edited : track))
+
+    const updated = updateSearchIndex(searchIndex, next)
+    const found = filterTracks(next, indexMap, { query: 'zzqx', searchIndex: updated })
+    expect(found.map((track) => track.id)).toEqual([target.id])
+  })
+})
@@ -0,0 +1,127 @@
+import { describe, expect, it } from 'vitest'
+import {
+  collectHighlightTerms,
+  createSearchIndex,
+  findHighlightRanges,
+  matchWord,
+  queryWords,
+  scoreTracks,
+  searchTracks,
+  updateSearchIndex,
+} from '../searchIndex.js'
+import { makeNote } from '../../../test-utils/noteHelpers.js'
+
+const TRACKS = [
+  { id: 'a', title: 'Archangel', artist: 'Burial', album: 'Untrue', notes: [] },
+  { id: 'b', title: 'Night Bus', artist: 'Burial', album: 'Burial', notes: [makeNote('Rain on the window')] },
+  {
+    id: 'c',
+    title: 'Kong',
+    artist: 'Bonobo',
+    album: 'Black Sands',
+    notes: [makeNote('Sounds like burial in the second half')],
+  },
+  { id: 'd', title: 'Sigur Rós Live', artist: 'Sigur Rós', notes: [makeNote('Hopelandic vocals')] },
+]
+
+const index = createSearchIndex(TRACKS)
+const ranked = (query, scope = 'both') => {
+  const scores = searchTracks(index, query, scope)
+  return scores ? [...scores.entries()].sort((x, y) => y[1] - x[1]).map(([id]) => id) : null
+}
+
+describe('searchIndex', () => {
+  it('splits queries into normalized words', () => {
+    expect(queryWords('  Sigur RÓS, sigur!  ')).toEqual(['sigur', 'ros'])
+    expect(queryWords('-- ??')).toEqual([])
+  })
+
+  it('finds exact words, prefixes and words inside longer ones', () => {
+    expect(ranked('kong')).toEqual(['c'])
+    expect(ranked('arch')).toEqual(['a'])
+    expect(ranked('angel')).toEqual(['a'])
+  })
+
+  it('tolerates typos in longer words', () => {
+    expect(ranked('burrial')).toEqual(['a', 'b', 'c'])
+    expect(ranked('burail')).toEqual(['a', 'b', 'c'])
+    expect(ranked('archangle')).toEqual(['a'])
+    expect(ranked('hopelandik')).toEqual(['d'])
+  })
+
+  it('does not allow typos in short words', () => {
+    expect(ranked('kog')).toEqual([])
+  })
+
+  it('ranks title and artist matches above note matches', () => {
+    expect(ranked('burial')).toEqual(['a', 'b', 'c'])
+    expect(ranked('burial', 'notes')).toEqual(['c'])
+    expect(ranked('burial', 'track')).toEqual(['a', 'b'])
+  })
+
+  it('ranks exact matches above prefix and typo matches', () => {
+    const tracks = [
+      { id: 'typo', title: 'Ruin' },
+      { id: 'prefix', title: 'Rainbow' },
+      { id: 'exact', title: 'Rain' },
+    ]
+    const scores = searchTracks(createSearchIndex(tracks), 'rain', 'both')
+    expect([...scores.entries()].sort((x, y) => y[1] - x[1]).map(([id]) => id)).toEqual([
+      'exact',
+      'prefix',
+      'typo',
+    ])
+  })
+
+  it('requires every word to match and ignores diacritics', () => {
+    expect(ranked('sigur ros')).toEqual(['d'])
+    expect(ranked('burial rain')).toEqual(['b'])
+    expect(ranked('burial kong')).toEqual(['c'])
+    expect(ranked('burial hopelandic')).toEqual([])
+  })
+
+  it('returns null when there is nothing to look up', () => {
+    expect(searchTracks(index, '!!', 'both')).toBeNull()
+  })
+
+  it('scores single words and partial matches', () => {
+    expect([...matchWord(index, 'bonobo', 'both').keys()]).toEqual(['c'])
+    const partial = scoreTracks(index, ['kong', 'rain'], 'both')
+    expect([...partial.keys()].sort()).toEqual(['b', 'c'])
+  })
+
+  it('collects the matched terms per field for highlighting', () => {
+    const terms = collectHighlightTerms(index, ['buri', 'windo'], 'both')
+    expect([...terms.title]).toEqual([])
+    expect([...terms.notes].sort()).toEqual(['burial', 'window'])
+
+    const trackOnly = collectHighlightTerms(index, ['nigt', 'rain'], 'track')
+    expect([...trackOnly.title]).toEqual(['night'])
+    expect([...trackOnly.notes]).toEqual([])
+  })
+
+  it('finds highlight ranges in the original text', () => {
+    expect(findHighlightRanges('Sigur Rós Live', new Set(['ros', 'live']))).toEqual([
+      { start: 6, end: 9 },
+      { start: 10, end: 14 },
+    ])
+    expect(findHighlightRanges('Anything', null)).toEqual([])
+  })
+
+  it('reindexes only changed, added and removed tracks on update', () => {
+    const updatable = createSearchIndex(TRACKS)
+    expect(updateSearchIndex(updatable, [...TRACKS])).toBe(updatable)
+
+    const edited = { ...TRACKS[1], notes: [makeNote('Snow on the roof')] }
+    const added = { id: 'e', title: 'Windowlicker', artist: 'Aphex Twin', notes: [] }
+    const next = [TRACKS[0], edited, TRACKS[3], added]
+    const updated = updateSearchIndex(updatable, next)
+
+    expect(updated).not.toBe(updatable)
+    const fresh = createSearchIndex(next)
+    expect(new Set(updated.vocabulary)).toEqual(new Set(fresh.vocabulary))
+    ;['rain', 'snow', 'bonobo', 'burial', 'window'].forEach((word) => {
+      expect(matchWord(updated, word, 'both')).toEqual(matchWord(fresh, word, 'both'))
+    })
+  })
+})
@@ -0,0 +1,201 @@
+import { describe, expect, it } from 'vitest'
+import { parseSearchQuery } from '../searchQuery.js'
+
+describe('parseSearchQuery', () => {
+  it('returns no node for an empty query', () => {
+    expect(parseSearchQuery('   ')).toEqual({ node: null, errors: [], hasOperators: false })
+  })
+
+  it('treats plain words as text terms without operators', () => {
+    const parsed = parseSearchQuery('blue monk')
+    expect(parsed.hasOperators).toBe(false)
+    expect(parsed.errors).toEqual([])
+    expect(parsed.node).toEqual({
+      type: 'and',
+      children: [
+        { type: 'text', value: 'blue' },
+        { type: 'text', value: 'monk' },
+      ],
+    })
+  })
+
+  it('parses the documented example', () => {
+    const parsed = parseSearchQuery(
+      'tag:dark -tag:vocal artist:"burial" has:timestamp note:"chop" added:>2024-01-01 kind:podcast',
+    )
+    expect(parsed.errors).toEqual([])
+    expect(parsed.hasOperators).toBe(true)
+    expect(parsed.node).toEqual({
+      type: 'and',
+      children: [
+        { type: 'field', field: 'tag', value: 'dark' },
+        { type: 'not', child: { type: 'field', field: 'tag', value: 'vocal' } },
+        { type: 'field', field: 'artist', value: 'burial' },
+        { type: 'has', value: 'timestamp' },
+        { type: 'field', field: 'note', value: 'chop' },
+        {
+          type: 'added',
+          op: '>',
+          start: Date.UTC(2024, 0, 1),
+          end: Date.UTC(2024, 0, 2),
+        },
+        { type: 'kind', value: 'podcast' },
+      ],
+    })
+  })
+
+  it('keeps quoted phrases together, with or without a field', () => {
+    expect(parseSearchQuery('"late night drive"').node).toEqual({
+      type: 'text',
+      value: 'late night drive',
+      exact: true,
+    })
+    expect(parseSearchQuery('artist:"Four Tet"').node).toEqual({
+      type: 'field',
+      field: 'artist',
+      value: 'Four Tet',
+    })
+  })
+
+  it('does not read a field out of a quoted phrase', () => {
+    expect(parseSearchQuery('"note: chop"').node).toEqual({
+      type: 'text',
+      value: 'note: chop',
+      exact: true,
+    })
+  })
+
+  it('binds AND tighter than OR', () => {
+    expect(parseSearchQuery('tag:dark OR tag:ambient artist:burial').node).toEqual({
+      type: 'or',
+      children: [
+        { type: 'field', field: 'tag', value: 'dark' },
+        {
+          type: 'and',
+          children: [
+            { type: 'field', field: 'tag', value: 'ambient' },
+            { type: 'field', field: 'artist', value: 'burial' },
+          ],
+        },
+      ],
+    })
+  })
+
+  it('supports parenthesised OR groups and negated groups', () => {
+    expect(parseSearchQuery('(tag:dark OR tag:ambient) -(kind:podcast)').node).toEqual({
+      type: 'and',
+      children: [
+        {
+          type: 'or',
+          children: [
+            { type: 'field', field: 'tag', value: 'dark' },
+            { type: 'field', field: 'tag', value: 'ambient' },
+          ],
+        },
+        { type: 'not', child: { type: 'kind', value: 'podcast' } },
+      ],
+    })
+  })
+
+  it('only treats upper-case OR as the keyword', () => {
+    const parsed = parseSearchQuery('rock or roll')
+    expect(parsed.hasOperators).toBe(false)
+    expect(parsed.node?.type).toBe('and')
+  })
+
+  it('accepts every date comparison', () => {
+    const ops = ['>', '>=', '<', '<=', '=']
+    ops.forEach((op) => {
+      expect(parseSearchQuery(`added:${op}2024-02-29`).node).toMatchObject({ type: 'added', op })
+    })
+    expect(parseSearchQuery('added:2024-02-29').node).toMatchObject({ type: 'added', op: '=' })
+  })
+
+  it('reports unknown fields with their position and leaves them out', () => {
+    const parsed = parseSearchQuery('tag:dark mood:happy')
+    expect(parsed.errors).toEqual([
+      expect.objectContaining({ token: 'mood:happy', start: 9, end: 19 }),
+    ])
+    expect(parsed.errors[0].message).toMatch(/Unknown filter "mood:"/)
+    expect(parsed.node).toEqual({ type: 'field', field: 'tag', value: 'dark' })
+  })
+
+  it('reports fields without a value', () => {
+    const parsed = parseSearchQuery('tag: burial')
+    expect(parsed.errors).toEqual([expect.objectContaining({ token: 'tag:', start: 0, end: 4 })])
+    expect(parsed.errors[0].message).toMatch(/needs a value/)
+    expect(parsed.node).toEqual({ type: 'text', value: 'burial' })
+  })
+
+  it('reports values a field does not take', () => {
+    expect(parseSearchQuery('has:lyrics').errors[0].message).toMatch(/"has:" takes timestamp, notes, tags/)
+    expect(parseSearchQuery('kind:video').errors[0].message).toMatch(/"kind:" takes podcast or music/)
+  })
+
+  it('reports malformed and impossible dates', () => {
+    expect(parseSearchQuery('added:>yesterday').errors).toHaveLength(1)
+    expect(parseSearchQuery('added:2024-13-01').errors).toHaveLength(1)
+    expect(parseSearchQuery('added:2023-02-29').errors).toHaveLength(1)
+    expect(parseSearchQuery('added:=>2024-01-01').errors).toHaveLength(1)
+  })
+
+  it('reports a missing closing quote but still searches the phrase', () => {
+    const parsed = parseSearchQuery('note:"chop')
+    expect(parsed.errors).toEqual([
+      expect.objectContaining({ message: 'Missing closing quote.', start: 0, end: 10 }),
+    ])
+    expect(parsed.node).toEqual({ type: 'field', field: 'note', value: 'chop' })
+  })
+
+  it('reports a lone quote once', () => {
+    expect(parseSearchQuery('dark "').errors).toEqual([
+      expect.objectContaining({ message: 'Missing closing quote.', token: '"' }),
+    ])
+  })
+
+  it('reports empty quotes', () => {
+    expect(parseSearchQuery('""').errors[0].message).toMatch(/Empty quotes/)
+  })
+
+  it('reports OR without a term on each side', () => {
+    expect(parseSearchQuery('OR dark').errors).toHaveLength(1)
+    expect(parseSearchQuery('dark OR').errors).toHaveLength(1)
+    const doubled = parseSearchQuery('dark OR OR ambient')
+    expect(doubled.errors).toEqual([expect.objectContaining({ token: 'OR', start: 8 })])
+    expect(doubled.node).toEqual({
+      type: 'or',
+      children: [
+        { type: 'text', value: 'dark' },
+        { type: 'text', value: 'ambient' },
+      ],
+    })
+  })
+
+  it('reports unbalanced parentheses', () => {
+    expect(parseSearchQuery('(tag:dark OR tag:ambient').errors).toEqual([
+      expect.objectContaining({ token: '(', start: 0 }),
+    ])
+    expect(parseSearchQuery('tag:dark)').errors).toEqual([
+      expect.objectContaining({ token: ')', start: 8 }),
+    ])
+  })
+
+  it('keeps a hyphen inside or at the end of a word as text', () => {
+    expect(parseSearchQuery('lo-fi -').node).toEqual({
+      type: 'and',
+      children: [
+        { type: 'text', value: 'lo-fi' },
+        { type: 'text', value: '-' },
+      ],
+    })
+  })
+
+  it('leaves colons after digits alone', () => {
+    expect(parseSearchQuery('12:30').node).toEqual({ type: 'text', value: '12:30' })
+  })
+
+  it('lists errors in the order they appear', () => {
+    const parsed = parseSearchQuery('(foo:bar OR has:x')
+    expect(parsed.errors.map((error) => error.token)).toEqual(['(', 'foo:bar', 'has:x'])
+  })
+})
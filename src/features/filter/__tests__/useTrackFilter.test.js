@@ -119,6 +119,123 @@ describe('useTrackFilter', () => {
     expect(result.current.debouncedQuery).toBe('ambient')
   })
 
+  it('reports query problems once the query settles', () => {
+    vi.useFakeTimers()
+    const { result } = renderHook(() =>
+      useTrackFilter({
+        tracks,
+        provider: null,
+        playlistId: null,
+        snapshotId: null,
+        announce,
+      }),
+    )
+
+    act(() => {
+      result.current.setQuery('alpha mood:happy')
+    })
+    expect(result.current.queryErrors).toEqual([])
+
+    act(() => {
+      vi.advanceTimersByTime(250)
+    })
+    expect(result.current.queryErrors).toEqual([
+      expect.objectContaining({ token: 'mood:happy', start: 6, end: 16 }),
+    ])
+    expect(result.current.filteredTracks.map((track) => track.id)).toEqual(['1'])
+
+    act(() => {
+      result.current.setQuery('')
+    })
+    expect(result.current.queryErrors).toEqual([])
+  })
+
+  it('switches an untouched sort to best match while searching', () => {
+    const { result } = renderHook(() =>
+      useTrackFilter({ tracks, provider: null, playlistId: null, snapshotId: null, announce }),
+    )
+
+    act(() => {
+      result.current.setQuery('alpha')
+    })
+    expect(result.current.sort).toEqual({ key: SORT_KEY.RELEVANCE, direction: SORT_DIRECTION.DESC })
+
+    act(() => {
+      result.current.setQuery('')
+    })
+    expect(result.current.sort).toEqual({ key: SORT_KEY.DATE, direction: SORT_DIRECTION.ASC })
+
+    act(() => {
+      result.current.setSort({ key: SORT_KEY.TITLE, direction: SORT_DIRECTION.DESC })
+    })
+    act(() => {
+      result.current.setQuery('alpha')
+    })
+    expect(result.current.sort).toEqual({ key: SORT_KEY.TITLE, direction: SORT_DIRECTION.DESC })
+  })
+
+  it('exposes the matched words for highlighting', () => {
+    vi.useFakeTimers()
+    const { result } = renderHook(() =>
+      useTrackFilter({ tracks, provider: null, playlistId: null, snapshotId: null, announce }),
+    )
+    expect(result.current.highlightTerms).toBeNull()
+
+    act(() => {
+      result.current.setQuery('alpah')
+    })
+    act(() => {
+      vi.advanceTimersByTime(250)
+    })
+    expect([...result.current.highlightTerms.title]).toEqual(['alpha'])
+    expect(result.current.filteredTracks.map((track) => track.id)).toEqual(['1'])
+  })
+
+  it('finds an edit made while searching', () => {
+    vi.useFakeTimers()
+    const { result, rerender } = renderHook(
+      ({ items }) =>
+        useTrackFilter({ tracks: items, provider: null, playlistId: null, snapshotId: null, announce }),
+      { initialProps: { items: tracks } },
+    )
+
+    act(() => {
+      result.current.setQuery('chorus')
+    })
+    act(() => {
+      vi.advanceTimersByTime(250)
+    })
+    expect(result.current.filteredTracks).toEqual([])
+
+    rerender({ items: [tracks[0], { ...tracks[1], notes: ['Big chorus'] }] })
+    expect(result.current.filteredTracks.map((track) => track.id)).toEqual(['2'])
+    expect([...result.current.highlightTerms.notes]).toEqual(['chorus'])
+  })
+
+  it('applies a whole filter state at once and counts matches for others', () => {
+    const { result } = renderHook(() =>
+      useTrackFilter({ tracks, provider: null, playlistId: null, snapshotId: null, announce }),
+    )
+    expect(result.current.countMatches({ query: 'bravo' })).toBe(1)
+    expect(result.current.countMatches({ hasNotesOnly: true })).toBe(1)
+    expect(result.current.countMatches({ query: 'alpha', scope: SEARCH_SCOPE.NOTES })).toBe(0)
+
+    act(() => {
+      result.current.applyFilters({
+        query: 'bravo',
+        scope: SEARCH_SCOPE.TRACK,
+        sort: { key: SORT_KEY.TITLE, direction: SORT_DIRECTION.DESC },
+        selectedTags: [],
+        hasNotesOnly: false,
+      })
+    })
+    // No debounce: the saved search shows at once
+    expect(result.current.query).toBe('bravo')
+    expect(result.current.scope).toBe(SEARCH_SCOPE.TRACK)
+    expect(result.current.sort).toEqual({ key: SORT_KEY.TITLE, direction: SORT_DIRECTION.DESC })
+    expect(result.current.filteredTracks.map((track) => track.id)).toEqual(['2'])
+  })
+
   it('handles storage write and delete errors without throwing', () => {
     const storageProto = Object.getPrototypeOf(window.localStorage)
     const setItemSpy = vi.spyOn(storageProto, 'setItem').mockImplementation(() => {
@@ -208,4 +325,39 @@ describe('useTrackFilter', () => {
     })
     expect(result.current.canRestoreFilters).toBe(false)
   })
+
+  it('prefers filters from a link to this playlist and keeps the query string in sync', () => {
+    window.history.replaceState(null, '', '/playlist/spotify/abc?q=live&tag=rock&notes=1')
+    setStoredState('sta:v5:filters:spotify:abc', { query: 'stored' })
+
+    const { result } = renderHook(() =>
+      useTrackFilter({ tracks, provider: 'spotify', playlistId: 'abc', announce, syncWithUrl: true }),
+    )
+
+    expect(result.current.query).toBe('live')
+    expect(result.current.selectedTags).toEqual(['rock'])
+    expect(result.current.hasNotesOnly).toBe(true)
+
+    act(() => {
+      result.current.setScope(SEARCH_SCOPE.NOTES)
+      result.current.setHasNotesOnly(false)
+    })
+    expect(window.location.search).toBe('?q=live&scope=notes&tag=rock')
+
+    act(() => {
+      result.current.clearFilters()
+    })
+    expect(window.location.search).toBe('')
+  })
+
+  it('ignores query filters that belong to another playlist', () => {
+    window.history.replaceState(null, '', '/playlist/spotify/other?q=live')
+
+    const { result } = renderHook(() =>
+      useTrackFilter({ tracks, provider: 'spotify', playlistId: 'abc', announce, syncWithUrl: true }),
+    )
+
+    expect(result.current.query).toBe('')
+    expect(window.location.search).toBe('?q=live')
+  })
 })
@@ -2,6 +2,20 @@
 // Pure utilities for indexing, filtering, and sorting track lists.
 
 import { getNoteBody } from '../../utils/notesTagsData.js'
+import { isPodcastTrack } from '../playlist/helpers.js'
+import { parseSearchQuery } from './searchQuery.js'
+import {
+  collectHighlightTerms,
+  createSearchIndex,
+  queryWords,
+  scoreTracks,
+  searchTracks,
+  toSearchable,
+} from './searchIndex.js'
+
+export { toSearchable }
+
+/** @typedef {import('./searchIndex.js').SearchIndex} SearchIndex */
 
 const COLLATOR = new Intl.Collator(undefined, {
   sensitivity: 'base',
@@ -18,6 +32,7 @@ export const SEARCH_SCOPE = Object.freeze({
 export const SORT_KEY = Object.freeze({
   DATE: 'date',
   TITLE: 'title',
+  RELEVANCE: 'relevance',
 });
 
 export const SORT_DIRECTION = Object.freeze({
@@ -36,25 +51,15 @@ const SCOPE_LABELS = {
   [SEARCH_SCOPE.NOTES]: 'Notes',
 };
 
-/**
- * Normalize text for search by lower-casing and stripping diacritics.
- * @param {string} value
- */
-function toSearchable(value = '') {
-  if (!value) return '';
-  try {
-    return value
-      .normalize('NFKD')
-      .replace(/[\u0300-\u036f]/g, '')
-      .toLowerCase();
-  } catch {
-    return value.toLowerCase();
-  }
-}
-
 /**
  * @param {any} track
- * @returns {{ id: string, trackText: string, notesText: string }}
+ * @returns {{
+ *   id: string,
+ *   trackText: string,
+ *   notesText: string,
+ *   titleText: string,
+ *   artistText: string,
+ * }}
  */
 export function buildIndexEntry(track) {
   const id = track?.id != null ? String(track.id) : '';
@@ -75,6 +80,8 @@ export function buildIndexEntry(track) {
     id,
     trackText: toSearchable(trackText),
     notesText: toSearchable(notesText),
+    titleText: toSearchable(track?.title || ''),
+    artistText: toSearchable(track?.artist || ''),
   };
 }
 
@@ -125,13 +132,129 @@ function resolveDateValue(track) {
 }
 
 /**
+ * @param {ReturnType<typeof buildIndexEntry>} entry
+ * @param {string} scope
+ * @param {string} text Already normalized
+ */
+function matchesText(entry, scope, text) {
+  if (scope === SEARCH_SCOPE.NOTES) {
+    return entry.notesText.includes(text);
+  }
+  if (scope === SEARCH_SCOPE.TRACK) {
+    return entry.trackText.includes(text);
+  }
+  return entry.trackText.includes(text) || entry.notesText.includes(text);
+}
+
+/**
+ * Turn a parsed query into a predicate, normalizing each value once up front. Bare words
+ * follow the search scope and go through the search index; quoted text and field
+ * operators are plain substring tests, and field operators always read their own field.
+ * @param {import('./searchQuery.js').QueryNode} node
+ * @param {string} scope
+ * @param {() => SearchIndex} getSearchIndex
+ * @returns {(track: any, entry: ReturnType<typeof buildIndexEntry>) => boolean}
+ */
+function compileQuery(node, scope, getSearchIndex) {
+  switch (node.type) {
+    case 'and': {
+      const children = node.children.map((child) => compileQuery(child, scope, getSearchIndex));
+      return (track, entry) => children.every((match) => match(track, entry));
+    }
+    case 'or': {
+      const children = node.children.map((child) => compileQuery(child, scope, getSearchIndex));
+      return (track, entry) => children.some((match) => match(track, entry));
+    }
+    case 'not': {
+      const child = compileQuery(node.child, scope, getSearchIndex);
+      return (track, entry) => !child(track, entry);
+    }
+    case 'text': {
+      const text = toSearchable(node.value);
+      const found = node.exact ? null : searchTracks(getSearchIndex(), node.value, scope);
+      if (found) {
+        return (_track, entry) => found.has(entry.id);
+      }
+      return (_track, entry) => matchesText(entry, scope, text);
+    }
+    case 'field': {
+      const value = toSearchable(node.value);
+      if (node.field === 'tag') {
+        return (track) =>
+          Array.isArray(track.tags) &&
+          track.tags.some((tag) => typeof tag === 'string' && toSearchable(tag) === value);
+      }
+      if (node.field === 'artist') return (_track, entry) => entry.artistText.includes(value);
+      if (node.field === 'title') return (_track, entry) => entry.titleText.includes(value);
+      return (_track, entry) => entry.notesText.includes(value);
+    }
+    case 'has': {
+      if (node.value === 'tags') {
+        return (track) => Array.isArray(track.tags) && track.tags.length > 0;
+      }
+      if (node.value === 'notes') {
+        return (track) => Array.isArray(track.notes) && track.notes.length > 0;
+      }
+      return (track) =>
+        Array.isArray(track.notes) &&
+        track.notes.some((note) => typeof note?.timestampMs === 'number');
+    }
+    case 'kind': {
+      const wantsPodcast = node.value === 'podcast';
+      return (track) => isPodcastTrack(track) === wantsPodcast;
+    }
+    case 'added': {
+      const { op, start, end } = node;
+      return (track) => {
+        const added = resolveDateValue(track);
+        if (!Number.isFinite(added)) return false;
+        switch (op) {
+          case '>':
+            return added >= end;
+          case '>=':
+            return added >= start;
+          case '<':
+            return added < start;
+          case '<=':
+            return added < end;
+          default:
+            return added >= start && added < end;
+        }
+      };
+    }
+    default:
+      return () => true;
+  }
+}
+
+/**
+ * Words that rank the results of a query with operators: bare words that are not negated.
+ * @param {import('./searchQuery.js').QueryNode | null} node
+ * @param {string[]} [words]
+ * @returns {string[]}
+ */
+function collectRankingWords(node, words = []) {
+  if (!node) return words;
+  if (node.type === 'and' || node.type === 'or') {
+    node.children.forEach((child) => collectRankingWords(child, words));
+  } else if (node.type === 'text' && !node.exact) {
+    words.push(...queryWords(node.value));
+  }
+  return words;
+}
+
+/**
+ * `query` is the search box text, in the syntax parsed by `parseSearchQuery`. When it has
+ * words to look up, matches come back best first: see searchIndex.js for the scoring.
+ * Pass the playlist's `searchIndex` to avoid rebuilding it on every call.
  * @param {Array<any>} tracks
  * @param {Map<string, ReturnType<typeof buildIndexEntry>>} indexMap
  * @param {{
  *   query?: string,
  *   scope?: string,
  *   selectedTags?: string[],
- *   hasNotesOnly?: boolean
+ *   hasNotesOnly?: boolean,
+ *   searchIndex?: SearchIndex
  * }} options
  */
 export function filterTracks(tracks, indexMap, options = {}) {
@@ -139,13 +262,37 @@ export function filterTracks(tracks, indexMap, options = {}) {
   const query = typeof options.query === 'string' ? options.query.trim() : '';
   const scope = options.scope || SEARCH_SCOPE.BOTH;
   const normalizedQuery = toSearchable(query);
-  const hasSearch = hasQuery(query);
+  const parsed = hasQuery(query) ? parseSearchQuery(query) : null;
+  /** @type {SearchIndex | null} */
+  let searchIndex = options.searchIndex ?? null;
+  const getSearchIndex = () => {
+    if (!searchIndex) searchIndex = createSearchIndex(tracks);
+    return searchIndex;
+  };
+
+  // Plain words all have to match, typos and prefixes included; anything with operators
+  // goes through the parsed query, minus the tokens that did not parse. Punctuation-only
+  // queries have no words to look up and fall back to a substring test.
+  /** @type {Map<string, number> | null} */
+  let scores = null;
+  /** @type {((track: any, entry: ReturnType<typeof buildIndexEntry>) => boolean) | null} */
+  let matchQuery = null;
+  if (parsed && !parsed.hasOperators) {
+    scores = searchTracks(getSearchIndex(), query, scope);
+    const found = scores;
+    if (found) matchQuery = (_track, entry) => found.has(entry.id);
+  } else if (parsed?.node) {
+    matchQuery = compileQuery(parsed.node, scope, getSearchIndex);
+    const words = collectRankingWords(parsed.node);
+    if (words.length > 0) scores = scoreTracks(getSearchIndex(), words, scope);
+  }
+  const hasSearch = Boolean(parsed) && (!parsed.hasOperators || Boolean(matchQuery));
   const selectedTags = Array.isArray(options.selectedTags)
     ? options.selectedTags.filter(Boolean)
     : [];
   const hasNotesOnly = Boolean(options.hasNotesOnly);
 
-  return tracks.filter((track) => {
+  const results = tracks.filter((track) => {
     if (!track || typeof track !== 'object') return false;
 
     if (hasNotesOnly) {
@@ -164,20 +311,38 @@ export function filterTracks(tracks, indexMap, options = {}) {
     }
 
     const entry = indexMap.get(String(track.id)) ?? buildIndexEntry(track);
-    if (scope === SEARCH_SCOPE.NOTES) {
-      return entry.notesText.includes(normalizedQuery);
-    }
-    if (scope === SEARCH_SCOPE.TRACK) {
-      return entry.trackText.includes(normalizedQuery);
+    if (matchQuery) {
+      return matchQuery(track, entry);
     }
-    return (
-      entry.trackText.includes(normalizedQuery) ||
-      entry.notesText.includes(normalizedQuery)
-    );
+    return matchesText(entry, scope, normalizedQuery);
   });
+
+  if (!scores) return results;
+  const ranking = scores;
+  // Array#sort is stable, so equal scores keep playlist order
+  return results.sort(
+    (a, b) => (ranking.get(String(b.id)) ?? 0) - (ranking.get(String(a.id)) ?? 0),
+  );
 }
 
 /**
+ * Which words to highlight for `query`: the index terms its bare words matched, split into
+ * title and note-body matches. Null when nothing in the query is looked up in the index.
+ * @param {SearchIndex} searchIndex
+ * @param {string} query
+ * @param {string} scope
+ * @returns {import('./searchIndex.js').HighlightTerms | null}
+ */
+export function getSearchHighlights(searchIndex, query, scope) {
+  if (!hasQuery(query)) return null;
+  const parsed = parseSearchQuery(query);
+  const words = parsed.hasOperators ? collectRankingWords(parsed.node) : queryWords(query);
+  if (words.length === 0) return null;
+  return collectHighlightTerms(searchIndex, words, scope || SEARCH_SCOPE.BOTH);
+}
+
+/**
+ * Relevance keeps the order `filterTracks` ranked the results in.
  * @param {Array<any>} tracks
  * @param {{ key: string, direction: string }} sort
  */
@@ -186,6 +351,9 @@ export function sortTracks(tracks, sort = DEFAULT_SORT) {
     return Array.isArray(tracks) ? [...tracks] : [];
   }
   const key = sort?.key || SORT_KEY.DATE;
+  if (key === SORT_KEY.RELEVANCE) {
+    return [...tracks];
+  }
   const direction = sort?.direction === SORT_DIRECTION.ASC ? 1 : -1;
 
   const comparator =
@@ -208,6 +376,9 @@ export function sortTracks(tracks, sort = DEFAULT_SORT) {
 export function describeSort(sort = DEFAULT_SORT) {
   const key = sort?.key || SORT_KEY.DATE;
   const dir = sort?.direction === SORT_DIRECTION.ASC ? SORT_DIRECTION.ASC : SORT_DIRECTION.DESC;
+  if (key === SORT_KEY.RELEVANCE) {
+    return 'Best match';
+  }
   if (key === SORT_KEY.TITLE) {
     return dir === SORT_DIRECTION.ASC ? 'Title A to Z' : 'Title Z to A';
   }
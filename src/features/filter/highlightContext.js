@@ -0,0 +1,12 @@
+// src/features/filter/highlightContext.js
+
+import { createContext } from 'react'
+
+/**
+ * Words to highlight for the current search, from `useTrackFilter().highlightTerms`.
+ * Null outside a filtered list or when nothing is being searched.
+ * @type {import('react').Context<import('./searchIndex.js').HighlightTerms | null>}
+ */
+export const SearchHighlightContext = createContext(
+  /** @type {import('./searchIndex.js').HighlightTerms | null} */ (null),
+)
@@ -0,0 +1,280 @@
+// src/features/filter/savedFilters.js
+// Named filter combinations ("smart crates") that can be reapplied on any playlist and in
+// the Library. Unlike the per-playlist state in useTrackFilter, the list is shared by every
+// view, so it lives under one key and notifies subscribers whenever it changes.
+
+// @ts-check
+
+import { DEFAULT_SORT, SEARCH_SCOPE, SORT_DIRECTION, SORT_KEY } from './filterTracks.js';
+
+const STORAGE_KEY = 'sta:v5:saved-filters';
+const STORAGE_VERSION = 1;
+
+export const MAX_SAVED_FILTERS = 50;
+export const MAX_SAVED_FILTER_NAME_LENGTH = 40;
+
+/**
+ * @typedef {Object} FilterState
+ * @property {string} query
+ * @property {string} scope
+ * @property {{ key: string, direction: string }} sort
+ * @property {string[]} selectedTags
+ * @property {boolean} hasNotesOnly
+ */
+
+/**
+ * @typedef {FilterState & { id: string, name: string, createdAt: number }} SavedFilter
+ */
+
+/** @type {SavedFilter[]} */
+const EMPTY = [];
+/** @type {Set<() => void>} */
+const listeners = new Set();
+/** @type {{ raw: string | null, filters: SavedFilter[] }} */
+let snapshot = { raw: null, filters: EMPTY };
+
+function safeLocalStorage() {
+  if (typeof window === 'undefined' || !window.localStorage) return null;
+  return window.localStorage;
+}
+
+/**
+ * @param {unknown} value
+ * @returns {string}
+ */
+function normalizeName(value) {
+  return typeof value === 'string' ? value.trim().replace(/\s+/g, ' ') : '';
+}
+
+/**
+ * @param {unknown} tags
+ * @returns {string[]}
+ */
+function normalizeTags(tags) {
+  if (!Array.isArray(tags)) return [];
+  const out = new Set();
+  tags.forEach((tag) => {
+    if (typeof tag === 'string' && tag.trim()) out.add(tag.trim());
+  });
+  return Array.from(out);
+}
+
+/**
+ * @param {any} sort
+ * @returns {{ key: string, direction: string }}
+ */
+function normalizeSort(sort) {
+  const keys = /** @type {string[]} */ (Object.values(SORT_KEY));
+  if (!sort || !keys.includes(sort.key)) return { ...DEFAULT_SORT };
+  return {
+    key: sort.key,
+    direction: sort.direction === SORT_DIRECTION.ASC ? SORT_DIRECTION.ASC : SORT_DIRECTION.DESC,
+  };
+}
+
+/**
+ * The filter part of a saved filter or of the live filter state, with defaults filled in.
+ * @param {Partial<FilterState> | null | undefined} value
+ * @returns {FilterState}
+ */
+export function toFilterState(value) {
+  const scopes = /** @type {string[]} */ (Object.values(SEARCH_SCOPE));
+  return {
+    query: typeof value?.query === 'string' ? value.query.trim() : '',
+    scope: value?.scope && scopes.includes(value.scope) ? value.scope : SEARCH_SCOPE.BOTH,
+    sort: normalizeSort(value?.sort),
+    selectedTags: normalizeTags(value?.selectedTags),
+    hasNotesOnly: Boolean(value?.hasNotesOnly),
+  };
+}
+
+/**
+ * @param {unknown} value
+ * @returns {SavedFilter | null}
+ */
+function normalizeSavedFilter(value) {
+  if (!value || typeof value !== 'object') return null;
+  const entry = /** @type {Record<string, any>} */ (value);
+  const name = normalizeName(entry.name).slice(0, MAX_SAVED_FILTER_NAME_LENGTH);
+  if (!name || typeof entry.id !== 'string' || !entry.id) return null;
+  return {
+    id: entry.id,
+    name,
+    ...toFilterState(entry),
+    createdAt: Number.isFinite(entry.createdAt) ? entry.createdAt : 0,
+  };
+}
+
+/**
+ * Drop malformed entries and later duplicates of a name, keeping at most the limit.
+ * @param {unknown} list
+ * @returns {SavedFilter[]}
+ */
+export function normalizeSavedFilters(list) {
+  if (!Array.isArray(list)) return [];
+  const names = new Set();
+  /** @type {SavedFilter[]} */
+  const out = [];
+  list.forEach((value) => {
+    const filter = normalizeSavedFilter(value);
+    if (!filter || out.length >= MAX_SAVED_FILTERS) return;
+    const key = filter.name.toLowerCase();
+    if (names.has(key)) return;
+    names.add(key);
+    out.push(filter);
+  });
+  return out;
+}
+
+/**
+ * Saved filters in the order they were created. Returns the same array until the stored
+ * list changes, so it can back `useSyncExternalStore`.
+ * @returns {SavedFilter[]}
+ */
+export function loadSavedFilters() {
+  const storage = safeLocalStorage();
+  let raw = null;
+  try {
+    raw = storage ? storage.getItem(STORAGE_KEY) : null;
+  } catch {
+    raw = null;
+  }
+  if (raw === snapshot.raw) return snapshot.filters;
+  let filters = EMPTY;
+  try {
+    const parsed = raw ? JSON.parse(raw) : null;
+    filters = normalizeSavedFilters(parsed?.filters);
+  } catch {
+    filters = EMPTY;
+  }
+  snapshot = { raw, filters };
+  return filters;
+}
+
+/**
+ * @param {SavedFilter[]} filters
+ * @returns {boolean}
+ */
+function persistSavedFilters(filters) {
+  const storage = safeLocalStorage();
+  if (!storage) return false;
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify({ version: STORAGE_VERSION, filters }));
+  } catch {
+    return false;
+  }
+  listeners.forEach((listener) => listener());
+  return true;
+}
+
+/**
+ * Calls `listener` when the list changes here or in another tab.
+ * @param {() => void} listener
+ * @returns {() => void}
+ */
+export function subscribeToSavedFilters(listener) {
+  listeners.add(listener);
+  /** @param {StorageEvent} event */
+  const onStorage = (event) => {
+    if (event.key === STORAGE_KEY || event.key === null) listener();
+  };
+  if (typeof window !== 'undefined') window.addEventListener('storage', onStorage);
+  return () => {
+    listeners.delete(listener);
+    if (typeof window !== 'undefined') window.removeEventListener('storage', onStorage);
+  };
+}
+
+/**
+ * Save `state` under `name`. A filter that already has the name (ignoring case) is
+ * updated in place, so saving again is how a saved filter gets edited.
+ * @param {string} name
+ * @param {Partial<FilterState>} state
+ * @returns {{ filter: SavedFilter, replaced: boolean } | { error: string }}
+ */
+export function saveFilter(name, state) {
+  const trimmed = normalizeName(name);
+  if (!trimmed) return { error: 'Give the filter a name.' };
+  if (trimmed.length > MAX_SAVED_FILTER_NAME_LENGTH) {
+    return { error: `Keep the name under ${MAX_SAVED_FILTER_NAME_LENGTH + 1} characters.` };
+  }
+  const current = loadSavedFilters();
+  const existing = current.find((filter) => filter.name.toLowerCase() === trimmed.toLowerCase());
+  if (!existing && current.length >= MAX_SAVED_FILTERS) {
+    return { error: `You can keep up to ${MAX_SAVED_FILTERS} saved filters. Delete one first.` };
+  }
+  /** @type {SavedFilter} */
+  const filter = {
+    id: existing?.id ?? crypto.randomUUID(),
+    name: trimmed,
+    ...toFilterState(state),
+    createdAt: existing?.createdAt ?? Date.now(),
+  };
+  const next = existing
+    ? current.map((entry) => (entry.id === existing.id ? filter : entry))
+    : [...current, filter];
+  if (!persistSavedFilters(next)) {
+    return { error: 'Could not save the filter. Storage may be full.' };
+  }
+  return { filter, replaced: Boolean(existing) };
+}
+
+/**
+ * @param {string} id
+ * @returns {boolean} Whether a filter was removed
+ */
+export function deleteSavedFilter(id) {
+  const current = loadSavedFilters();
+  const next = current.filter((filter) => filter.id !== id);
+  if (next.length === current.length) return false;
+  return persistSavedFilters(next);
+}
+
+/**
+ * Filters from a backup that are not saved here yet, matched by name. A local filter with
+ * the same name wins, since it is the one the user has been using.
+ * @param {SavedFilter[]} local
+ * @param {unknown} incoming
+ * @returns {SavedFilter[]}
+ */
+export function planSavedFilterImport(local, incoming) {
+  const names = new Set(local.map((filter) => filter.name.toLowerCase()));
+  const room = Math.max(0, MAX_SAVED_FILTERS - local.length);
+  return normalizeSavedFilters(incoming)
+    .filter((filter) => !names.has(filter.name.toLowerCase()))
+    .slice(0, room);
+}
+
+/**
+ * Add the filters `planSavedFilterImport` picked. New ids keep them from colliding with
+ * filters deleted here since the backup was made.
+ * @param {SavedFilter[]} filters
+ * @returns {number} How many were added
+ */
+export function importSavedFilters(filters) {
+  const additions = planSavedFilterImport(loadSavedFilters(), filters);
+  if (additions.length === 0) return 0;
+  const next = [
+    ...loadSavedFilters(),
+    ...additions.map((filter) => ({ ...filter, id: crypto.randomUUID() })),
+  ];
+  return persistSavedFilters(next) ? additions.length : 0;
+}
+
+/**
+ * Whether the live filter state is exactly what `filter` applies.
+ * @param {SavedFilter} filter
+ * @param {Partial<FilterState>} state
+ */
+export function isSavedFilterActive(filter, state) {
+  const current = toFilterState(state);
+  return (
+    filter.query === current.query &&
+    filter.scope === current.scope &&
+    filter.sort.key === current.sort.key &&
+    filter.sort.direction === current.sort.direction &&
+    filter.hasNotesOnly === current.hasNotesOnly &&
+    filter.selectedTags.length === current.selectedTags.length &&
+    filter.selectedTags.every((tag) => current.selectedTags.includes(tag))
+  );
+}
@@ -0,0 +1,451 @@
+// src/features/filter/searchIndex.js
+// In-memory inverted index behind ranked search. Every word of a track's title, artist,
+// album and note bodies points back at the track, tagged with the fields it came from.
+// A query word matches index terms exactly, as a prefix, inside a longer word, or within
+// one or two typos, and each track scores by its best match per word: the better the
+// match and the more prominent the field, the higher the score.
+
+// @ts-check
+
+import { getNoteBody } from '../../utils/notesTagsData.js'
+
+/**
+ * Bit flags for the fields a term was seen in.
+ */
+export const SEARCH_FIELD = Object.freeze({
+  TITLE: 1,
+  ARTIST: 2,
+  ALBUM: 4,
+  NOTES: 8,
+});
+
+const TRACK_FIELDS = SEARCH_FIELD.TITLE | SEARCH_FIELD.ARTIST | SEARCH_FIELD.ALBUM;
+const ALL_FIELDS = TRACK_FIELDS | SEARCH_FIELD.NOTES;
+
+// Heaviest first; a term found in several fields counts for the best of them
+const FIELD_WEIGHTS = [
+  [SEARCH_FIELD.TITLE, 10],
+  [SEARCH_FIELD.ARTIST, 8],
+  [SEARCH_FIELD.ALBUM, 4],
+  [SEARCH_FIELD.NOTES, 3],
+];
+
+const MATCH_QUALITY = Object.freeze({
+  EXACT: 1,
+  PREFIX: 0.8,
+  ONE_TYPO: 0.6,
+  TWO_TYPOS: 0.4,
+  INFIX: 0.35,
+});
+
+// Typing fast sends many near-identical words; older lookups are dropped past this
+const TERM_CACHE_LIMIT = 200;
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * @typedef {{
+ *   postings: Map<string, Map<string, number>>,
+ *   entries: Map<string, { tracks: any[], terms: Set<string> }>,
+ *   vocabulary: string[],
+ *   termCache: Map<string, Array<{ term: string, quality: number }>>,
+ * }} SearchIndex
+ */
+
+/**
+ * Normalize text for search by lower-casing and stripping diacritics.
+ * @param {string} value
+ */
+export function toSearchable(value = '') {
+  if (!value) return '';
+  try {
+    return value
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase();
+  } catch {
+    return value.toLowerCase();
+  }
+}
+
+/**
+ * Words of `text` with their offsets in the original string.
+ * @param {string} text
+ * @returns {Array<{ term: string, start: number, end: number }>}
+ */
+function tokenize(text) {
+  if (typeof text !== 'string' || !text) return [];
+  const words = [];
+  for (const match of text.matchAll(WORD_PATTERN)) {
+    const term = toSearchable(match[0]);
+    if (term) {
+      const start = match.index ?? 0;
+      words.push({ term, start, end: start + match[0].length });
+    }
+  }
+  return words;
+}
+
+/**
+ * The normalized words of a search query, without duplicates.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function queryWords(text) {
+  return Array.from(new Set(tokenize(text).map((word) => word.term)));
+}
+
+/**
+ * @param {Map<string, Map<string, number>>} postings
+ * @param {string} id
+ * @param {unknown} text
+ * @param {number} field
+ * @param {Set<string>} terms Collects the terms added for the track
+ */
+function addText(postings, id, text, field, terms) {
+  if (typeof text !== 'string') return;
+  tokenize(text).forEach(({ term }) => {
+    let byTrack = postings.get(term);
+    if (!byTrack) {
+      byTrack = new Map();
+      postings.set(term, byTrack);
+    }
+    byTrack.set(id, (byTrack.get(id) ?? 0) | field);
+    terms.add(term);
+  });
+}
+
+/**
+ * @param {Map<string, Map<string, number>>} postings
+ * @param {string} id
+ * @param {any[]} tracks Every track with this id, usually just one
+ * @returns {Set<string>}
+ */
+function addTrackTerms(postings, id, tracks) {
+  /** @type {Set<string>} */
+  const terms = new Set();
+  tracks.forEach((track) => {
+    addText(postings, id, track.title, SEARCH_FIELD.TITLE, terms);
+    addText(postings, id, track.artist, SEARCH_FIELD.ARTIST, terms);
+    addText(postings, id, track.album, SEARCH_FIELD.ALBUM, terms);
+    if (Array.isArray(track.notes)) {
+      track.notes.forEach((note) =>
+        addText(postings, id, getNoteBody(note), SEARCH_FIELD.NOTES, terms),
+      );
+    }
+  });
+  return terms;
+}
+
+/**
+ * @param {Map<string, Map<string, number>>} postings
+ * @param {string} id
+ * @param {Set<string>} terms
+ */
+function removeTrackTerms(postings, id, terms) {
+  terms.forEach((term) => {
+    const byTrack = postings.get(term);
+    if (!byTrack) return;
+    byTrack.delete(id);
+    if (byTrack.size === 0) postings.delete(term);
+  });
+}
+
+/**
+ * Indexable tracks grouped by id, in playlist order.
+ * @param {any[]} tracks
+ * @returns {Map<string, any[]>}
+ */
+function groupTracks(tracks) {
+  /** @type {Map<string, any[]>} */
+  const byId = new Map();
+  if (!Array.isArray(tracks)) return byId;
+  tracks.forEach((track) => {
+    if (!track || typeof track !== 'object' || track.id == null) return;
+    const id = String(track.id);
+    const group = byId.get(id);
+    if (group) {
+      group.push(track);
+    } else {
+      byId.set(id, [track]);
+    }
+  });
+  return byId;
+}
+
+/**
+ * @param {any[]} a
+ * @param {any[]} b
+ */
+const sameTracks = (a, b) => a.length === b.length && a.every((track, i) => track === b[i]);
+
+/**
+ * @param {any[]} tracks
+ * @returns {SearchIndex}
+ */
+export function createSearchIndex(tracks) {
+  /** @type {Map<string, Map<string, number>>} */
+  const postings = new Map();
+  /** @type {SearchIndex['entries']} */
+  const entries = new Map();
+  groupTracks(tracks).forEach((group, id) => {
+    entries.set(id, { tracks: group, terms: addTrackTerms(postings, id, group) });
+  });
+  return { postings, entries, vocabulary: Array.from(postings.keys()), termCache: new Map() };
+}
+
+/**
+ * Bring an index in line with a new version of the playlist by reindexing only the
+ * tracks that changed. Tracks are compared by reference, which holds because state
+ * updates replace an edited track and keep the others. Returns `index` itself when
+ * nothing changed; otherwise `index` is updated in place and a new object is returned,
+ * so memoized results that depend on it are recomputed.
+ * @param {SearchIndex} index
+ * @param {any[]} tracks
+ * @returns {SearchIndex}
+ */
+export function updateSearchIndex(index, tracks) {
+  const { postings, entries } = index;
+  const next = groupTracks(tracks);
+  let changed = false;
+
+  entries.forEach((entry, id) => {
+    if (next.has(id)) return;
+    removeTrackTerms(postings, id, entry.terms);
+    entries.delete(id);
+    changed = true;
+  });
+  next.forEach((group, id) => {
+    const entry = entries.get(id);
+    if (entry && sameTracks(entry.tracks, group)) return;
+    if (entry) removeTrackTerms(postings, id, entry.terms);
+    entries.set(id, { tracks: group, terms: addTrackTerms(postings, id, group) });
+    changed = true;
+  });
+
+  if (!changed) return index;
+  return { postings, entries, vocabulary: Array.from(postings.keys()), termCache: new Map() };
+}
+
+// Rows for the edit distance, reused between calls; terms longer than this are skipped
+const MAX_TERM_LENGTH = 64;
+const rows = [0, 1, 2].map(() => new Uint8Array(MAX_TERM_LENGTH + 1));
+
+/**
+ * Edit distance between `a` and `b`, counting a swap of two neighbouring letters as one
+ * edit, or `limit + 1` once it is certain to exceed `limit`. Runs once per vocabulary term
+ * for every new query word, so it avoids allocating.
+ * @param {string} a
+ * @param {string} b
+ * @param {number} limit
+ */
+function boundedEditDistance(a, b, limit) {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+  if (a.length > MAX_TERM_LENGTH || b.length > MAX_TERM_LENGTH) return limit + 1;
+  let [beforePrevious, previous, current] = rows;
+  for (let j = 0; j <= b.length; j += 1) previous[j] = j;
+  for (let i = 1; i <= a.length; i += 1) {
+    current[0] = i;
+    let rowMin = i;
+    const char = a.charCodeAt(i - 1);
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = char === b.charCodeAt(j - 1) ? 0 : 1;
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (
+        i > 1 &&
+        j > 1 &&
+        char === b.charCodeAt(j - 2) &&
+        a.charCodeAt(i - 2) === b.charCodeAt(j - 1)
+      ) {
+        value = Math.min(value, beforePrevious[j - 2] + 1);
+      }
+      current[j] = value;
+      if (value < rowMin) rowMin = value;
+    }
+    if (rowMin > limit) return limit + 1;
+    [beforePrevious, previous, current] = [previous, current, beforePrevious];
+  }
+  return previous[b.length];
+}
+
+/**
+ * Short words would match almost anything with a typo allowed.
+ * @param {string} word
+ */
+function typoLimit(word) {
+  if (word.length >= 8) return 2;
+  if (word.length >= 4) return 1;
+  return 0;
+}
+
+/**
+ * Index terms a query word matches, with how well each matches.
+ * @param {SearchIndex} index
+ * @param {string} word Already normalized
+ * @returns {Array<{ term: string, quality: number }>}
+ */
+function matchTerms(index, word) {
+  const cached = index.termCache.get(word);
+  if (cached) return cached;
+
+  const limit = typoLimit(word);
+  /** @type {Array<{ term: string, quality: number }>} */
+  const matches = [];
+  index.vocabulary.forEach((term) => {
+    if (term === word) {
+      matches.push({ term, quality: MATCH_QUALITY.EXACT });
+    } else if (term.startsWith(word)) {
+      matches.push({ term, quality: MATCH_QUALITY.PREFIX });
+    } else {
+      const distance = limit > 0 ? boundedEditDistance(word, term, limit) : limit + 1;
+      if (distance <= limit) {
+        matches.push({
+          term,
+          quality: distance === 1 ? MATCH_QUALITY.ONE_TYPO : MATCH_QUALITY.TWO_TYPOS,
+        });
+      } else if (word.length >= 3 && term.includes(word)) {
+        matches.push({ term, quality: MATCH_QUALITY.INFIX });
+      }
+    }
+  });
+
+  if (index.termCache.size >= TERM_CACHE_LIMIT) {
+    index.termCache.clear();
+  }
+  index.termCache.set(word, matches);
+  return matches;
+}
+
+/**
+ * @param {string} scope `both`, `track` or `notes`, as in SEARCH_SCOPE
+ */
+function scopeFields(scope) {
+  if (scope === 'track') return TRACK_FIELDS;
+  if (scope === 'notes') return SEARCH_FIELD.NOTES;
+  return ALL_FIELDS;
+}
+
+/**
+ * @param {number} mask
+ */
+function fieldWeight(mask) {
+  for (const [field, weight] of FIELD_WEIGHTS) {
+    if (mask & field) return weight;
+  }
+  return 0;
+}
+
+/**
+ * Tracks a single query word finds within the scope, with their best score for it.
+ * @param {SearchIndex} index
+ * @param {string} word Already normalized
+ * @param {string} scope
+ * @returns {Map<string, number>}
+ */
+export function matchWord(index, word, scope) {
+  const fields = scopeFields(scope);
+  /** @type {Map<string, number>} */
+  const scores = new Map();
+  matchTerms(index, word).forEach(({ term, quality }) => {
+    index.postings.get(term)?.forEach((mask, id) => {
+      const weight = fieldWeight(mask & fields);
+      if (!weight) return;
+      const score = weight * quality;
+      if (score > (scores.get(id) ?? 0)) {
+        scores.set(id, score);
+      }
+    });
+  });
+  return scores;
+}
+
+/**
+ * Tracks that match every word of `text`, scored by the sum of their per-word scores.
+ * Null when the text has no words to look up (punctuation only), so callers can fall
+ * back to a plain substring test.
+ * @param {SearchIndex} index
+ * @param {string} text
+ * @param {string} scope
+ * @returns {Map<string, number> | null}
+ */
+export function searchTracks(index, text, scope) {
+  const words = queryWords(text);
+  if (words.length === 0) return null;
+  /** @type {Map<string, number> | null} */
+  let totals = null;
+  for (const word of words) {
+    const scores = matchWord(index, word, scope);
+    if (totals === null) {
+      totals = scores;
+    } else {
+      const next = new Map();
+      totals.forEach((total, id) => {
+        const score = scores.get(id);
+        if (score !== undefined) next.set(id, total + score);
+      });
+      totals = next;
+    }
+    if (totals.size === 0) break;
+  }
+  return totals;
+}
+
+/**
+ * Relevance for tracks that were filtered some other way: the sum of whatever the words
+ * match, without requiring all of them.
+ * @param {SearchIndex} index
+ * @param {string[]} words Already normalized
+ * @param {string} scope
+ * @returns {Map<string, number>}
+ */
+export function scoreTracks(index, words, scope) {
+  /** @type {Map<string, number>} */
+  const totals = new Map();
+  words.forEach((word) => {
+    matchWord(index, word, scope).forEach((score, id) => {
+      totals.set(id, (totals.get(id) ?? 0) + score);
+    });
+  });
+  return totals;
+}
+
+/**
+ * @typedef {{ title: Set<string>, notes: Set<string> }} HighlightTerms
+ */
+
+/**
+ * Index terms the query words matched in titles and in note bodies, for highlighting.
+ * @param {SearchIndex} index
+ * @param {string[]} words Already normalized
+ * @param {string} scope
+ * @returns {HighlightTerms}
+ */
+export function collectHighlightTerms(index, words, scope) {
+  const fields = scopeFields(scope);
+  /** @type {HighlightTerms} */
+  const terms = { title: new Set(), notes: new Set() };
+  words.forEach((word) => {
+    matchTerms(index, word).forEach(({ term }) => {
+      let mask = 0;
+      index.postings.get(term)?.forEach((fieldMask) => {
+        mask |= fieldMask;
+      });
+      mask &= fields;
+      if (mask & SEARCH_FIELD.TITLE) terms.title.add(term);
+      if (mask & SEARCH_FIELD.NOTES) terms.notes.add(term);
+    });
+  });
+  return terms;
+}
+
+/**
+ * Character ranges of the words in `text` that are among `terms`.
+ * @param {string} text
+ * @param {Set<string> | null | undefined} terms
+ * @returns {Array<{ start: number, end: number }>}
+ */
+export function findHighlightRanges(text, terms) {
+  if (!terms || terms.size === 0) return [];
+  return tokenize(text)
+    .filter((word) => terms.has(word.term))
+    .map(({ start, end }) => ({ start, end }));
+}
@@ -0,0 +1,365 @@
+// src/features/filter/searchQuery.js
+// Parser for the search box query language. Words are ANDed, `OR` between
+// terms or parenthesised groups makes alternatives, `-` negates, and double quotes keep a
+// phrase together. Field operators narrow a term to one part of the track:
+//
+//   tag:dark -tag:vocal artist:"burial" has:timestamp note:"chop" added:>2024-01-01 kind:podcast
+//
+// Malformed tokens are reported with their position and left out of the query, so the
+// rest of it keeps filtering while the user fixes the typo. Matching lives in
+// filterTracks.js, next to the index it reads.
+
+// @ts-check
+
+/**
+ * @typedef {'>' | '>=' | '<' | '<=' | '='} DateOperator
+ */
+
+/**
+ * @typedef {(
+ *   | { type: 'text', value: string, exact?: boolean }
+ *   | { type: 'field', field: 'tag' | 'artist' | 'title' | 'note', value: string }
+ *   | { type: 'has', value: 'timestamp' | 'notes' | 'tags' }
+ *   | { type: 'kind', value: 'podcast' | 'music' }
+ *   | { type: 'added', op: DateOperator, start: number, end: number }
+ *   | { type: 'not', child: QueryNode }
+ *   | { type: 'and', children: QueryNode[] }
+ *   | { type: 'or', children: QueryNode[] }
+ * )} QueryNode
+ */
+
+/**
+ * @typedef {{ message: string, token: string, start: number, end: number }} QueryError
+ */
+
+/**
+ * @typedef {{ node: QueryNode | null, errors: QueryError[], hasOperators: boolean }} ParsedQuery
+ */
+
+/**
+ * Field operators, in the order the error hint lists them.
+ */
+export const QUERY_FIELDS = Object.freeze(['tag', 'artist', 'title', 'note', 'has', 'added', 'kind']);
+
+const TEXT_FIELDS = new Set(['tag', 'artist', 'title', 'note']);
+const HAS_VALUES = Object.freeze(['timestamp', 'notes', 'tags']);
+const KIND_VALUES = Object.freeze(['podcast', 'music']);
+const DATE_PATTERN = /^(>=|<=|>|<|=)?(\d{4})-(\d{2})-(\d{2})$/;
+const FIELD_PATTERN = /^([a-z]+):/i;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {(
+ *   | { kind: 'open', start: number, end: number, raw: string, negated: boolean }
+ *   | { kind: 'close', start: number, end: number, raw: string }
+ *   | { kind: 'or', start: number, end: number, raw: string }
+ *   | {
+ *       kind: 'term',
+ *       start: number,
+ *       end: number,
+ *       raw: string,
+ *       negated: boolean,
+ *       field: string | null,
+ *       value: string,
+ *       unterminated: boolean,
+ *     }
+ * )} Token
+ */
+
+/**
+ * @param {string} char
+ */
+function isSpace(char) {
+  return /\s/.test(char);
+}
+
+/**
+ * Split the query into terms, `OR` keywords and parentheses. A quote opens a phrase
+ * anywhere in a term (`artist:"burial"`), and runs to the next quote or the end.
+ * @param {string} text
+ * @returns {Token[]}
+ */
+function tokenize(text) {
+  /** @type {Token[]} */
+  const tokens = [];
+  let index = 0;
+  while (index < text.length) {
+    const char = text[index];
+    if (isSpace(char)) {
+      index += 1;
+      continue;
+    }
+    if (char === ')') {
+      tokens.push({ kind: 'close', start: index, end: index + 1, raw: char });
+      index += 1;
+      continue;
+    }
+    if (char === '(' || (char === '-' && text[index + 1] === '(')) {
+      const negated = char === '-';
+      const end = index + (negated ? 2 : 1);
+      tokens.push({ kind: 'open', start: index, end, raw: text.slice(index, end), negated });
+      index = end;
+      continue;
+    }
+
+    const start = index;
+    let negated = false;
+    const next = text[index + 1];
+    if (char === '-' && next !== undefined && !isSpace(next) && next !== ')') {
+      negated = true;
+      index += 1;
+    }
+
+    let word = '';
+    let quoted = false;
+    let unterminated = false;
+    while (index < text.length) {
+      const current = text[index];
+      if (current === '"') {
+        const close = text.indexOf('"', index + 1);
+        quoted = true;
+        if (close === -1) {
+          word += text.slice(index + 1);
+          index = text.length;
+          unterminated = true;
+          break;
+        }
+        word += text.slice(index + 1, close);
+        index = close + 1;
+        continue;
+      }
+      if (isSpace(current) || current === '(' || current === ')') break;
+      word += current;
+      index += 1;
+    }
+
+    const raw = text.slice(start, index);
+    if (!negated && !quoted && word === 'OR') {
+      tokens.push({ kind: 'or', start, end: index, raw });
+      continue;
+    }
+
+    let field = null;
+    let value = word;
+    const fieldMatch = quoted && raw.replace(/^-/, '').startsWith('"') ? null : FIELD_PATTERN.exec(word);
+    if (fieldMatch) {
+      field = fieldMatch[1].toLowerCase();
+      value = word.slice(fieldMatch[0].length);
+    }
+    tokens.push({ kind: 'term', start, end: index, raw, negated, field, value, unterminated });
+  }
+  return tokens;
+}
+
+/**
+ * @param {string} year
+ * @param {string} month
+ * @param {string} day
+ * @returns {number | null} Start of the day in UTC, or null when the date does not exist
+ */
+function parseDay(year, month, day) {
+  const time = Date.UTC(Number(year), Number(month) - 1, Number(day));
+  const date = new Date(time);
+  if (
+    date.getUTCFullYear() !== Number(year) ||
+    date.getUTCMonth() !== Number(month) - 1 ||
+    date.getUTCDate() !== Number(day)
+  ) {
+    return null;
+  }
+  return time;
+}
+
+/**
+ * @param {Extract<Token, { kind: 'term' }>} token
+ * @returns {{ node: QueryNode } | { error: string }}
+ */
+function termToNode(token) {
+  const { field, value } = token;
+  if (field === null) {
+    const text = value.trim();
+    if (!text) return { error: 'Empty quotes match nothing. Put some text between them.' };
+    // Quoted text is matched as written rather than word by word
+    if (token.raw.includes('"')) return { node: { type: 'text', value: text, exact: true } };
+    return { node: { type: 'text', value: text } };
+  }
+  if (!QUERY_FIELDS.includes(field)) {
+    return {
+      error: `Unknown filter "${field}:". Use ${QUERY_FIELDS.map((name) => `${name}:`).join(', ')}, or put the text in quotes.`,
+    };
+  }
+  const trimmed = value.trim();
+  if (!trimmed) {
+    return { error: `"${field}:" needs a value, like ${field}:${exampleValue(field)}.` };
+  }
+  if (TEXT_FIELDS.has(field)) {
+    return {
+      node: {
+        type: 'field',
+        field: /** @type {'tag' | 'artist' | 'title' | 'note'} */ (field),
+        value: trimmed,
+      },
+    };
+  }
+  const lower = trimmed.toLowerCase();
+  if (field === 'has') {
+    if (!HAS_VALUES.includes(lower)) {
+      return { error: `"has:" takes ${HAS_VALUES.join(', ')}.` };
+    }
+    return { node: { type: 'has', value: /** @type {'timestamp' | 'notes' | 'tags'} */ (lower) } };
+  }
+  if (field === 'kind') {
+    if (!KIND_VALUES.includes(lower)) {
+      return { error: `"kind:" takes ${KIND_VALUES.join(' or ')}.` };
+    }
+    return { node: { type: 'kind', value: /** @type {'podcast' | 'music'} */ (lower) } };
+  }
+  const match = DATE_PATTERN.exec(trimmed);
+  const start = match ? parseDay(match[2], match[3], match[4]) : null;
+  if (!match || start === null) {
+    return { error: '"added:" takes a date as YYYY-MM-DD, optionally after >, >=, < or <=.' };
+  }
+  return {
+    node: {
+      type: 'added',
+      op: /** @type {DateOperator} */ (match[1] || '='),
+      start,
+      end: start + DAY_MS,
+    },
+  };
+}
+
+/**
+ * @param {string} field
+ */
+function exampleValue(field) {
+  switch (field) {
+    case 'has':
+      return 'timestamp';
+    case 'kind':
+      return 'podcast';
+    case 'added':
+      return '>2024-01-01';
+    default:
+      return 'dark';
+  }
+}
+
+/**
+ * @param {QueryNode[]} children
+ * @param {'and' | 'or'} type
+ * @returns {QueryNode | null}
+ */
+function combine(children, type) {
+  if (children.length === 0) return null;
+  if (children.length === 1) return children[0];
+  return { type, children };
+}
+
+/**
+ * Parse a search box query. Never throws: problems come back in `errors`, each with the
+ * offending text and its character range, and the node tree holds whatever did parse. A
+ * phrase missing its closing quote is reported but still searched for, so results keep up
+ * while it is being typed. `hasOperators` is false when the query is only plain words.
+ * @param {string} text
+ * @returns {ParsedQuery}
+ */
+export function parseSearchQuery(text) {
+  const source = typeof text === 'string' ? text : '';
+  const tokens = tokenize(source);
+  /** @type {QueryError[]} */
+  const errors = [];
+  let hasOperators = false;
+  let position = 0;
+
+  /**
+   * @param {Token} token
+   * @param {string} message
+   */
+  const report = (token, message) => {
+    errors.push({ message, token: token.raw, start: token.start, end: token.end });
+  };
+
+  /**
+   * @param {number} depth
+   * @returns {QueryNode | null}
+   */
+  const parseOr = (depth) => {
+    /** @type {QueryNode[]} */
+    const alternatives = [];
+    /** @type {Token | null} */
+    let pendingOr = null;
+    let sawOperand = false;
+    while (position < tokens.length) {
+      const token = tokens[position];
+      if (token.kind === 'close') {
+        if (depth > 0) break;
+        report(token, 'This ")" has no matching "(".');
+        position += 1;
+        continue;
+      }
+      if (token.kind === 'or') {
+        hasOperators = true;
+        if (!sawOperand || pendingOr) {
+          report(token, 'OR needs a term on both sides.');
+        }
+        pendingOr = token;
+        sawOperand = false;
+        position += 1;
+        continue;
+      }
+      const group = parseAnd(depth);
+      if (group) alternatives.push(group);
+      sawOperand = true;
+      pendingOr = null;
+    }
+    if (pendingOr) {
+      report(pendingOr, 'OR needs a term on both sides.');
+    }
+    return combine(alternatives, 'or');
+  };
+
+  /**
+   * @param {number} depth
+   * @returns {QueryNode | null}
+   */
+  const parseAnd = (depth) => {
+    /** @type {QueryNode[]} */
+    const parts = [];
+    while (position < tokens.length) {
+      const token = tokens[position];
+      if (token.kind === 'or' || token.kind === 'close') break;
+      position += 1;
+      if (token.kind === 'open') {
+        hasOperators = true;
+        const inner = parseOr(depth + 1);
+        const closing = tokens[position];
+        if (closing?.kind === 'close') {
+          position += 1;
+        } else {
+          report(token, 'This "(" is never closed.');
+        }
+        if (inner) parts.push(token.negated ? { type: 'not', child: inner } : inner);
+        continue;
+      }
+      if (token.negated || token.field !== null || token.raw.includes('"')) {
+        hasOperators = true;
+      }
+      if (token.unterminated) {
+        report(token, 'Missing closing quote.');
+      }
+      const result = termToNode(token);
+      if ('error' in result) {
+        // An open quote with nothing after it already has its error
+        if (!token.unterminated) report(token, result.error);
+        continue;
+      }
+      parts.push(token.negated ? { type: 'not', child: result.node } : result.node);
+    }
+    return combine(parts, 'and');
+  };
+
+  const node = parseOr(0);
+  errors.sort((a, b) => a.start - b.start);
+  return { node, errors, hasOperators };
+}
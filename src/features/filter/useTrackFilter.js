@@ -9,10 +9,20 @@ import {
   DEFAULT_SORT,
   buildIndexMap,
   filterTracks,
+  getSearchHighlights,
   sortTracks,
   describeScope,
   describeSort,
 } from './filterTracks.js';
+import { parseSearchQuery } from './searchQuery.js';
+import { createSearchIndex, updateSearchIndex } from './searchIndex.js';
+import {
+  parseLocation,
+  readFilterParams,
+  replaceSearch,
+  subscribeToRoute,
+  writeFilterParams,
+} from '../routing/routes.js';
 
 const STORAGE_PREFIX = 'sta:v5:filters';
 const STORAGE_VERSION = 2;
@@ -45,7 +55,15 @@ function normalizeScope(value) {
   return SEARCH_SCOPE.BOTH;
 }
 
+const RELEVANCE_SORT = Object.freeze({
+  key: SORT_KEY.RELEVANCE,
+  direction: SORT_DIRECTION.DESC,
+});
+
 function normalizeSort(sort) {
+  if (sort?.key === SORT_KEY.RELEVANCE) {
+    return { ...RELEVANCE_SORT };
+  }
   const key = sort?.key === SORT_KEY.TITLE ? SORT_KEY.TITLE : SORT_KEY.DATE;
   const direction =
     sort?.direction === SORT_DIRECTION.ASC ? SORT_DIRECTION.ASC : SORT_DIRECTION.DESC;
@@ -64,6 +82,10 @@ function migrateStoredSort(sort, version) {
   return normalized;
 }
 
+function isDefaultSort(sort) {
+  return sort.key === DEFAULT_SORT.key && sort.direction === DEFAULT_SORT.direction;
+}
+
 function normalizeTags(tags) {
   if (!Array.isArray(tags)) return [];
   const seen = new Set();
@@ -126,6 +148,23 @@ function clearStoredState(key) {
   }
 }
 
+/**
+ * Filters carried by the current URL, when it points at this playlist.
+ */
+function readUrlFilters(provider, playlistId) {
+  if (typeof window === 'undefined' || !provider || !playlistId) return null;
+  const route = parseLocation(window.location);
+  if (route.provider !== provider || route.playlistId !== playlistId) return null;
+  const filters = readFilterParams(window.location.search);
+  return filters ? { ...filters, sort: normalizeSort(filters.sort) } : null;
+}
+
+function isUrlForPlaylist(provider, playlistId) {
+  if (typeof window === 'undefined' || !provider || !playlistId) return false;
+  const route = parseLocation(window.location);
+  return route.provider === provider && route.playlistId === playlistId;
+}
+
 function computeEmptyMessage(tracks, filteredCount, scope) {
   const total = Array.isArray(tracks) ? tracks.length : 0;
   if (total === 0) return '';
@@ -148,7 +187,10 @@ function computeEmptyMessage(tracks, filteredCount, scope) {
  *   playlistId?: string | null,
  *   snapshotId?: string | null,
  *   announce?: (message: string) => void,
+ *   syncWithUrl?: boolean,
  * }} params
+ *   `syncWithUrl` mirrors the filters into the query string while the URL points at this
+ *   playlist, and takes them from there first when it does.
  */
 export default function useTrackFilter({
   tracks,
@@ -156,6 +198,7 @@ export default function useTrackFilter({
   playlistId,
   snapshotId,
   announce,
+  syncWithUrl = false,
 }) {
   const storageKey = useMemo(
     () => buildStorageKey(provider, playlistId, snapshotId),
@@ -166,7 +209,12 @@ export default function useTrackFilter({
     [provider, playlistId],
   );
 
-  const stored = useMemo(() => loadStoredState(storageKey), [storageKey]);
+  const stored = useMemo(
+    () => (syncWithUrl ? readUrlFilters(provider, playlistId) : null) ?? loadStoredState(storageKey),
+    // Only the initial state reads this; later playlist changes go through the effect below.
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [storageKey],
+  );
 
   const [query, setQuery] = useState(stored?.query ?? DEFAULT_FILTER_STATE.query);
   const [scope, setScope] = useState(stored?.scope ?? DEFAULT_FILTER_STATE.scope);
@@ -199,7 +247,8 @@ export default function useTrackFilter({
       setCanRestoreFilters(false);
       return;
     }
-    const next = loadStoredState(storageKey);
+    const next =
+      (syncWithUrl ? readUrlFilters(provider, playlistId) : null) ?? loadStoredState(storageKey);
     if (!next) {
       let candidate = null;
       // Extract the base prefix to match any snapshot for this playlist
@@ -225,7 +274,7 @@ export default function useTrackFilter({
     setHasNotesOnly(next.hasNotesOnly);
     restoreCandidateRef.current = null;
     setCanRestoreFilters(false);
-  }, [storageKey, baseStorageKey]);
+  }, [storageKey, baseStorageKey, syncWithUrl, provider, playlistId]);
 
   const restoreFilters = useCallback(() => {
     const candidate = restoreCandidateRef.current;
@@ -256,15 +305,46 @@ export default function useTrackFilter({
 
   const indexMap = useMemo(() => buildIndexMap(tracks), [tracks]);
 
+  // The index is only built once something is searched for, and after that an edit
+  // reindexes just the tracks it touched instead of the whole playlist.
+  const searchIndexRef = useRef(/** @type {import('./searchIndex.js').SearchIndex | null} */ (null));
+  const getSearchIndex = useCallback(() => {
+    const current = searchIndexRef.current;
+    searchIndexRef.current = current
+      ? updateSearchIndex(current, tracks)
+      : createSearchIndex(tracks);
+    return searchIndexRef.current;
+  }, [tracks]);
+  const hasSearchQuery = debouncedQuery.trim().length > 0;
+  const searchIndex = useMemo(
+    () => (hasSearchQuery ? getSearchIndex() : null),
+    [hasSearchQuery, getSearchIndex],
+  );
+
+  // Errors follow the debounced text so a half-typed `tag:` is not flagged mid-keystroke.
+  const queryErrors = useMemo(
+    () => (query.trim() ? parseSearchQuery(debouncedQuery).errors : []),
+    [query, debouncedQuery],
+  );
+
   const filtered = useMemo(() => {
     const results = filterTracks(tracks, indexMap, {
       query: debouncedQuery,
       scope,
       selectedTags,
       hasNotesOnly,
+      searchIndex: searchIndex ?? undefined,
     });
-    return sortTracks(results, sort);
-  }, [tracks, indexMap, debouncedQuery, scope, selectedTags, hasNotesOnly, sort]);
+    // Without a search there is nothing to rank by
+    const effectiveSort =
+      sort.key === SORT_KEY.RELEVANCE && !debouncedQuery.trim() ? DEFAULT_SORT : sort;
+    return sortTracks(results, effectiveSort);
+  }, [tracks, indexMap, searchIndex, debouncedQuery, scope, selectedTags, hasNotesOnly, sort]);
+
+  const highlightTerms = useMemo(
+    () => (searchIndex ? getSearchHighlights(searchIndex, debouncedQuery, scope) : null),
+    [searchIndex, debouncedQuery, scope],
+  );
 
   const totalCount = Array.isArray(tracks) ? tracks.length : 0;
   const filteredCount = filtered.length;
@@ -297,10 +377,92 @@ export default function useTrackFilter({
     });
   }, [storageKey, query, scope, sort, selectedTags, hasNotesOnly]);
 
+  const filterStateRef = useRef({ query, scope, sort, selectedTags, hasNotesOnly });
+  filterStateRef.current = { query, scope, sort, selectedTags, hasNotesOnly };
+
+  useEffect(() => {
+    if (!syncWithUrl || !isUrlForPlaylist(provider, playlistId)) return;
+    replaceSearch(
+      writeFilterParams(window.location.search, { query, scope, sort, selectedTags, hasNotesOnly }),
+    );
+  }, [syncWithUrl, provider, playlistId, query, scope, sort, selectedTags, hasNotesOnly]);
+
+  // Back/forward can bring a different filter set for the same playlist; a fresh
+  // navigation to this playlist without filters gets the current ones written back.
+  useEffect(() => {
+    if (!syncWithUrl) return undefined;
+    return subscribeToRoute(() => {
+      if (!isUrlForPlaylist(provider, playlistId)) return;
+      const current = filterStateRef.current;
+      const fromUrl = readUrlFilters(provider, playlistId);
+      if (!fromUrl) {
+        replaceSearch(writeFilterParams(window.location.search, current));
+        return;
+      }
+      if (writeFilterParams('', fromUrl) === writeFilterParams('', current)) return;
+      setQuery(fromUrl.query);
+      setScope(fromUrl.scope);
+      setSortState(fromUrl.sort);
+      setSelectedTags(fromUrl.selectedTags);
+      setHasNotesOnly(fromUrl.hasNotesOnly);
+    });
+  }, [syncWithUrl, provider, playlistId]);
+
   const updateSort = useCallback((nextSort) => {
     setSortState(normalizeSort(nextSort));
   }, []);
 
+  // Starting a search switches an untouched sort to best match, and clearing it switches back.
+  const updateQuery = useCallback((value) => {
+    const next = typeof value === 'string' ? value : '';
+    const { query: previous, sort: currentSort } = filterStateRef.current;
+    let nextSort = currentSort;
+    if (!previous.trim() && next.trim() && isDefaultSort(currentSort)) {
+      nextSort = { ...RELEVANCE_SORT };
+    } else if (previous.trim() && !next.trim() && currentSort.key === SORT_KEY.RELEVANCE) {
+      nextSort = normalizeSort(DEFAULT_SORT);
+    }
+    // Keystrokes can arrive before the next render refreshes the ref
+    filterStateRef.current = { ...filterStateRef.current, query: next, sort: nextSort };
+    if (nextSort !== currentSort) setSortState(nextSort);
+    setQuery(next);
+  }, []);
+
+  // Replaces the whole filter state at once, e.g. from a saved filter. The search applies
+  // right away instead of waiting out the typing debounce.
+  const applyFilters = useCallback((next) => {
+    const nextQuery = typeof next?.query === 'string' ? next.query : '';
+    const nextState = {
+      query: nextQuery,
+      scope: normalizeScope(next?.scope),
+      sort: normalizeSort(next?.sort),
+      selectedTags: normalizeTags(next?.selectedTags),
+      hasNotesOnly: Boolean(next?.hasNotesOnly),
+    };
+    filterStateRef.current = nextState;
+    setQuery(nextState.query);
+    setDebouncedQuery(nextState.query);
+    setScope(nextState.scope);
+    setSortState(nextState.sort);
+    setSelectedTags(nextState.selectedTags);
+    setHasNotesOnly(nextState.hasNotesOnly);
+  }, []);
+
+  // How many tracks a filter state would show, without applying it.
+  const countMatches = useCallback(
+    (state) => {
+      const stateQuery = typeof state?.query === 'string' ? state.query : '';
+      return filterTracks(tracks, indexMap, {
+        query: stateQuery,
+        scope: normalizeScope(state?.scope),
+        selectedTags: normalizeTags(state?.selectedTags),
+        hasNotesOnly: Boolean(state?.hasNotesOnly),
+        searchIndex: stateQuery.trim() ? getSearchIndex() : undefined,
+      }).length;
+    },
+    [tracks, indexMap, getSearchIndex],
+  );
+
   const toggleTag = useCallback((tag) => {
     if (typeof tag !== 'string') return;
     setSelectedTags((prev) => {
@@ -338,8 +500,10 @@ export default function useTrackFilter({
 
   return {
     query,
-    setQuery,
+    setQuery: updateQuery,
     debouncedQuery,
+    queryErrors,
+    highlightTerms,
     scope,
     setScope: (value) => setScope(normalizeScope(value)),
     sort,
@@ -360,5 +524,7 @@ export default function useTrackFilter({
     canRestoreFilters,
     restoreFilters,
     dismissRestoreFilters,
+    applyFilters,
+    countMatches,
   };
 }
@@ -0,0 +1,103 @@
+/** @typedef {import('./trackIdentity.js').TrackLinkSuggestion} TrackLinkSuggestion */
+
+const PROVIDER_LABELS = {
+  spotify: 'Spotify',
+  youtube: 'YouTube',
+  soundcloud: 'SoundCloud',
+  applemusic: 'Apple Music',
+  deezer: 'Deezer',
+  file: 'a tracklist',
+}
+
+const REASON_LABELS = {
+  isrc: 'same recording code',
+  metadata: 'same artist, title and length',
+}
+
+/** @param {string | null} provider */
+function providerLabel(provider) {
+  return (provider && PROVIDER_LABELS[provider]) || 'another service'
+}
+
+/** @param {{ title?: string, artist?: string }} track */
+function describeTrack(track) {
+  const title = track?.title || 'Untitled'
+  return track?.artist ? `"${title}" by ${track.artist}` : `"${title}"`
+}
+
+/**
+ * Suggested and confirmed links between tracks on screen and the same song
+ * annotated from another provider.
+ * @param {object} props
+ * @param {Array<any>} props.tracks - Loaded tracks; linked ones carry `linkedFromId`
+ * @param {TrackLinkSuggestion[]} props.suggestions
+ * @param {(suggestion: TrackLinkSuggestion) => void} props.onConfirm
+ * @param {(suggestion: TrackLinkSuggestion) => void} props.onDismiss
+ * @param {(track: any) => void} props.onBreak
+ */
+export default function TrackLinksPanel({ tracks, suggestions, onConfirm, onDismiss, onBreak }) {
+  const linked = Array.isArray(tracks) ? tracks.filter((track) => track?.linkedFromId) : []
+  const pending = Array.isArray(suggestions) ? suggestions : []
+  if (linked.length === 0 && pending.length === 0) return null
+
+  const byId = new Map((tracks ?? []).map((track) => [String(track.id), track]))
+
+  return (
+    <details
+      open={pending.length > 0 || undefined}
+      style={{
+        marginBottom: 12,
+        padding: '8px 12px',
+        background: 'var(--surface)',
+        borderRadius: 6,
+        border: '1px solid var(--border)',
+      }}
+    >
+      <summary style={{ cursor: 'pointer', fontWeight: 600 }}>
+        Same song on other services
+        {pending.length > 0 ? ` (${pending.length} to review)` : ` (${linked.length} linked)`}
+      </summary>
+      {pending.length > 0 && (
+        <ul aria-label="Suggested links" style={{ margin: '8px 0 0', paddingLeft: 20 }}>
+          {pending.map((suggestion) => {
+            const track = byId.get(suggestion.trackId)
+            return (
+              <li key={`${suggestion.trackId}>${suggestion.canonicalId}`} style={{ marginBottom: 8 }}>
+                <div>
+                  {describeTrack(track ?? {})} looks like {describeTrack(suggestion.candidate)} from{' '}
+                  {providerLabel(suggestion.candidate.provider)}
+                  <span style={{ color: 'var(--muted)' }}> ({REASON_LABELS[suggestion.reason]})</span>
+                </div>
+                <div style={{ display: 'flex', gap: 8, marginTop: 4 }}>
+                  <button type="button" className="btn" onClick={() => onConfirm(suggestion)}>
+                    Link notes
+                  </button>
+                  <button type="button" className="btn" onClick={() => onDismiss(suggestion)}>
+                    Not the same song
+                  </button>
+                </div>
+              </li>
+            )
+          })}
+        </ul>
+      )}
+      {linked.length > 0 && (
+        <ul aria-label="Linked songs" style={{ margin: '8px 0 0', paddingLeft: 20 }}>
+          {linked.map((track) => (
+            <li key={track.linkedFromId} style={{ marginBottom: 8 }}>
+              <span>{describeTrack(track)} shares notes with its copy on another service.</span>{' '}
+              <button
+                type="button"
+                className="btn"
+                onClick={() => onBreak(track)}
+                aria-label={`Unlink ${describeTrack(track)}`}
+              >
+                Unlink
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </details>
+  )
+}
@@ -0,0 +1,56 @@
+import { render, screen } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { describe, expect, it, vi } from 'vitest'
+import TrackLinksPanel from '../TrackLinksPanel.jsx'
+
+const suggestion = {
+  trackId: 'yt-1',
+  canonicalId: 'sp-1',
+  reason: 'isrc',
+  candidate: { title: 'Dancing Queen', artist: 'ABBA', provider: 'spotify' },
+}
+
+describe('TrackLinksPanel', () => {
+  it('renders nothing without suggestions or linked tracks', () => {
+    const { container } = render(
+      <TrackLinksPanel
+        tracks={[{ id: 'yt-1', title: 'Dancing Queen' }]}
+        suggestions={[]}
+        onConfirm={vi.fn()}
+        onDismiss={vi.fn()}
+        onBreak={vi.fn()}
+      />,
+    )
+    expect(container.firstChild).toBeNull()
+  })
+
+  it('confirms or rejects a suggestion and breaks a confirmed link', async () => {
+    const user = userEvent.setup()
+    const onConfirm = vi.fn()
+    const onDismiss = vi.fn()
+    const onBreak = vi.fn()
+    const linkedTrack = { id: 'sp-2', linkedFromId: 'yt-2', title: 'Waterloo', artist: 'ABBA' }
+
+    render(
+      <TrackLinksPanel
+        tracks={[{ id: 'yt-1', title: 'ABBA - Dancing Queen', artist: 'ABBAVEVO' }, linkedTrack]}
+        suggestions={[suggestion]}
+        onConfirm={onConfirm}
+        onDismiss={onDismiss}
+        onBreak={onBreak}
+      />,
+    )
+
+    expect(screen.getByText(/Same song on other services \(1 to review\)/)).toBeInTheDocument()
+    expect(
+      screen.getByText(/"ABBA - Dancing Queen" by ABBAVEVO looks like "Dancing Queen" by ABBA from Spotify/),
+    ).toBeInTheDocument()
+
+    await user.click(screen.getByRole('button', { name: 'Link notes' }))
+    expect(onConfirm).toHaveBeenCalledWith(suggestion)
+    await user.click(screen.getByRole('button', { name: 'Not the same song' }))
+    expect(onDismiss).toHaveBeenCalledWith(suggestion)
+    await user.click(screen.getByRole('button', { name: 'Unlink "Waterloo" by ABBA' }))
+    expect(onBreak).toHaveBeenCalledWith(linkedTrack)
+  })
+})
@@ -0,0 +1,115 @@
+import { beforeEach, describe, expect, it } from 'vitest'
+import {
+  applyTrackLink,
+  createEmptyTrackLinks,
+  dismissTrackLink,
+  findTrackLinkSuggestions,
+  getIdentityKeys,
+  linkTracks,
+  loadTrackLinks,
+  matchTracks,
+  normalizeIsrc,
+  saveTrackLinks,
+  unlinkTrack,
+} from '../trackIdentity.js'
+
+const spotifyTrack = {
+  id: 'sp-1',
+  provider: 'spotify',
+  title: 'Dancing Queen - Remastered 2014',
+  artist: 'ABBA',
+  durationMs: 230_400,
+  isrc: 'SEAYD7601020',
+}
+
+describe('trackIdentity', () => {
+  beforeEach(() => {
+    window.localStorage.removeItem('sta:track-links')
+  })
+
+  it('normalizes ISRCs and rejects malformed ones', () => {
+    expect(normalizeIsrc('se-ayd-76-01020')).toBe('SEAYD7601020')
+    expect(normalizeIsrc('not-an-isrc')).toBeNull()
+    expect(normalizeIsrc(undefined)).toBeNull()
+  })
+
+  it('builds the same key for a music video title under a channel name', () => {
+    const video = { title: 'ABBA - Dancing Queen (Official Music Video)', artist: 'ABBAVEVO' }
+    expect(getIdentityKeys(video)).toContain('abba|dancing queen')
+    expect(getIdentityKeys(spotifyTrack)).toEqual(['abba|dancing queen'])
+  })
+
+  it('matches on ISRC first, then on names within the duration tolerance', () => {
+    expect(matchTracks(spotifyTrack, { id: 'dz-1', isrc: 'SEAYD7601020', title: 'Other' })).toBe('isrc')
+    expect(
+      matchTracks(spotifyTrack, { id: 'dz-2', isrc: 'GBAYE0000001', title: 'Dancing Queen', artist: 'ABBA' }),
+    ).toBeNull()
+    expect(
+      matchTracks(spotifyTrack, {
+        id: 'yt-1',
+        title: 'ABBA - Dancing Queen (Official Music Video)',
+        artist: 'ABBA - Topic',
+        durationMs: 231_000,
+      }),
+    ).toBe('metadata')
+    expect(
+      matchTracks(spotifyTrack, { id: 'yt-2', title: 'Dancing Queen', artist: 'ABBA', durationMs: 300_000 }),
+    ).toBeNull()
+  })
+
+  it('suggests cross-provider matches, skipping same-provider, on-screen and dismissed ones', () => {
+    const tracks = [
+      { id: 'yt-1', provider: 'youtube', title: 'ABBA - Dancing Queen', artist: 'ABBA', durationMs: 231_000 },
+      { id: 'yt-2', provider: 'youtube', title: 'Waterloo', artist: 'ABBA' },
+    ]
+    const candidates = [
+      spotifyTrack,
+      { id: 'yt-9', provider: 'youtube', title: 'Waterloo', artist: 'ABBA' },
+      { id: 'yt-2', provider: 'spotify', title: 'Waterloo', artist: 'ABBA' },
+    ]
+
+    const suggestions = findTrackLinkSuggestions(tracks, candidates, createEmptyTrackLinks())
+    expect(suggestions).toEqual([
+      {
+        trackId: 'yt-1',
+        canonicalId: 'sp-1',
+        reason: 'metadata',
+        candidate: { title: spotifyTrack.title, artist: 'ABBA', provider: 'spotify' },
+      },
+    ])
+
+    const dismissed = dismissTrackLink(createEmptyTrackLinks(), 'yt-1', 'sp-1')
+    expect(findTrackLinkSuggestions(tracks, candidates, dismissed)).toEqual([])
+  })
+
+  it('re-keys linked tracks and restores their own id once unlinked', () => {
+    const linked = linkTracks(createEmptyTrackLinks(), 'yt-1', 'sp-1')
+    const track = applyTrackLink({ id: 'yt-1', title: 'Dancing Queen' }, linked)
+    expect(track).toEqual({ id: 'sp-1', linkedFromId: 'yt-1', title: 'Dancing Queen' })
+    expect(applyTrackLink(track, linked)).toBe(track)
+
+    const unlinked = unlinkTrack(linked, 'yt-1')
+    expect(unlinked).toEqual({ links: {}, dismissed: ['yt-1>sp-1'] })
+    expect(applyTrackLink(track, unlinked)).toEqual({ id: 'yt-1', title: 'Dancing Queen' })
+  })
+
+  it('keeps links pointing straight at a canonical id', () => {
+    let links = linkTracks(createEmptyTrackLinks(), 'dz-1', 'yt-1')
+    links = linkTracks(links, 'yt-1', 'sp-1')
+    links = linkTracks(links, 'am-1', 'dz-1')
+    expect(links.links).toEqual({ 'dz-1': 'sp-1', 'yt-1': 'sp-1', 'am-1': 'sp-1' })
+    expect(linkTracks(links, 'sp-1', 'yt-1')).toBe(links)
+  })
+
+  it('persists the link map and drops malformed entries', () => {
+    const links = linkTracks(createEmptyTrackLinks(), 'yt-1', 'sp-1')
+    expect(saveTrackLinks(links)).toBe(true)
+    expect(loadTrackLinks()).toEqual(links)
+
+    window.localStorage.setItem(
+      'sta:track-links',
+      JSON.stringify({ links: { a: 'a', b: 42, c: 'd' }, dismissed: ['x>y', 7] }),
+    )
+    expect(loadTrackLinks()).toEqual({ links: { c: 'd' }, dismissed: ['x>y'] })
+  })
+})
@@ -0,0 +1,348 @@
+/**
+ * Track Identity
+ * Links the same song across providers so its notes follow it
+ *
+ * Every adapter hands out its own track ids, so a song imported from Spotify and
+ * from YouTube starts with two unrelated note buckets. A confirmed link maps the
+ * newer id onto a canonical id (the track that already carried notes); imported
+ * tracks are then re-keyed to that id and remember their own as `linkedFromId`.
+ * Matches are only ever suggestions: ISRC when both adapters expose one, otherwise
+ * normalized artist + title with durations close enough. The user confirms or
+ * rejects each one and the map stays on this device.
+ *
+ * @module features/identity/trackIdentity
+ */
+
+// @ts-check
+
+const STORAGE_KEY = 'sta:track-links'
+// Same recording on two services is usually within a second; allow for rounding and padding.
+export const DURATION_TOLERANCE_MS = 3000
+
+const ISRC_RE = /^[A-Z]{2}[A-Z0-9]{3}\d{7}$/
+// "(Official Video)", "[Lyrics]", "(feat. X)" and friends never change which song it is.
+const BRACKETED_RE = /[([][^)\]]*[)\]]/g
+const FEATURING_RE = /\s(?:feat\.?|ft\.?|featuring)\s.*$/
+const REMASTER_SUFFIX_RE = /\s-\s[^-]*\b(?:remaster(?:ed)?|mono|stereo)\b[^-]*$/
+const ARTIST_SUFFIX_RE = /(?:\s-\stopic|vevo|\sofficial)$/
+
+/**
+ * @typedef {Object} TrackLinks
+ * @property {Record<string, string>} links - Track id to the canonical id its notes live under
+ * @property {string[]} dismissed - `trackId>canonicalId` pairs the user said are different songs
+ */
+
+/**
+ * @typedef {Object} TrackLinkSuggestion
+ * @property {string} trackId
+ * @property {string} canonicalId
+ * @property {'isrc' | 'metadata'} reason
+ * @property {{ title: string, artist: string, provider: string | null }} candidate
+ */
+
+/** @returns {TrackLinks} */
+export function createEmptyTrackLinks() {
+  return { links: {}, dismissed: [] }
+}
+
+/**
+ * @param {unknown} value
+ * @returns {string | null}
+ */
+export function normalizeIsrc(value) {
+  if (typeof value !== 'string') return null
+  const compact = value.replace(/[\s-]/g, '').toUpperCase()
+  return ISRC_RE.test(compact) ? compact : null
+}
+
+/**
+ * Lowercase, accent-free, punctuation-free text for comparing titles and artists.
+ * @param {unknown} value
+ * @returns {string}
+ */
+function foldText(value) {
+  if (typeof value !== 'string') return ''
+  return value
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+}
+
+/**
+ * @param {unknown} value
+ * @returns {string}
+ */
+export function normalizeIdentityTitle(value) {
+  if (typeof value !== 'string') return ''
+  const stripped = value
+    .toLowerCase()
+    .replace(BRACKETED_RE, ' ')
+    .replace(FEATURING_RE, '')
+    .replace(REMASTER_SUFFIX_RE, '')
+  return foldText(stripped)
+}
+
+/**
+ * Main artist only: "A, B", "A & B" and "A feat. B" all compare as "a".
+ * @param {unknown} value
+ * @returns {string}
+ */
+export function normalizeIdentityArtist(value) {
+  if (typeof value !== 'string') return ''
+  const [main = ''] = value
+    .toLowerCase()
+    .replace(ARTIST_SUFFIX_RE, '')
+    .split(/,|\s&\s|\s(?:feat\.?|ft\.?|featuring|x|and)\s/)
+  return foldText(main.replace(ARTIST_SUFFIX_RE, ''))
+}
+
+/**
+ * Artist|title keys a track could be known by. Video titles are often
+ * "Artist - Title" under a channel name, so that split is tried as well.
+ * @param {{ title?: unknown, artist?: unknown }} track
+ * @returns {string[]}
+ */
+export function getIdentityKeys(track) {
+  /** @type {Set<string>} */
+  const keys = new Set()
+  const title = normalizeIdentityTitle(track?.title)
+  const artist = normalizeIdentityArtist(track?.artist)
+  if (title && artist) keys.add(`${artist}|${title}`)
+
+  const rawTitle =
+    typeof track?.title === 'string' ? track.title.toLowerCase().replace(REMASTER_SUFFIX_RE, '') : ''
+  const dash = rawTitle.indexOf(' - ')
+  if (dash > 0) {
+    const splitArtist = normalizeIdentityArtist(rawTitle.slice(0, dash))
+    const splitTitle = normalizeIdentityTitle(rawTitle.slice(dash + 3))
+    if (splitArtist && splitTitle) keys.add(`${splitArtist}|${splitTitle}`)
+  }
+  return [...keys]
+}
+
+/**
+ * @param {unknown} a
+ * @param {unknown} b
+ */
+function durationsAgree(a, b) {
+  if (typeof a !== 'number' || typeof b !== 'number' || a <= 0 || b <= 0) return true
+  return Math.abs(a - b) <= DURATION_TOLERANCE_MS
+}
+
+/**
+ * Whether two tracks look like the same recording, and why.
+ * Differing ISRCs rule a match out even when the names agree (live cuts, re-recordings).
+ * @param {Record<string, any>} a
+ * @param {Record<string, any>} b
+ * @returns {'isrc' | 'metadata' | null}
+ */
+export function matchTracks(a, b) {
+  const isrcA = normalizeIsrc(a?.isrc)
+  const isrcB = normalizeIsrc(b?.isrc)
+  if (isrcA && isrcB) return isrcA === isrcB ? 'isrc' : null
+  if (!durationsAgree(a?.durationMs, b?.durationMs)) return null
+  const keysB = new Set(getIdentityKeys(b))
+  return getIdentityKeys(a).some((key) => keysB.has(key)) ? 'metadata' : null
+}
+
+/**
+ * @param {TrackLinks | null | undefined} trackLinks
+ * @param {string} trackId
+ * @returns {string}
+ */
+export function resolveCanonicalTrackId(trackLinks, trackId) {
+  const target = trackLinks?.links?.[trackId]
+  return typeof target === 'string' && target ? target : trackId
+}
+
+/**
+ * Give a track the id its notes are stored under. The provider's own id is kept as
+ * `linkedFromId` so a broken link can restore it later.
+ * @template {Record<string, any>} T
+ * @param {T} track
+ * @param {TrackLinks | null | undefined} trackLinks
+ * @returns {T}
+ */
+export function applyTrackLink(track, trackLinks) {
+  if (!track || typeof track !== 'object' || track.id == null) return track
+  const ownId = typeof track.linkedFromId === 'string' ? track.linkedFromId : String(track.id)
+  const canonicalId = resolveCanonicalTrackId(trackLinks, ownId)
+  if (canonicalId !== ownId) {
+    return track.id === canonicalId && track.linkedFromId === ownId
+      ? track
+      : { ...track, id: canonicalId, linkedFromId: ownId }
+  }
+  if (!('linkedFromId' in track)) return track
+  const { linkedFromId: _linkedFromId, ...rest } = track
+  return /** @type {T} */ (/** @type {unknown} */ ({ ...rest, id: ownId }))
+}
+
+/**
+ * @param {string} trackId
+ * @param {string} canonicalId
+ */
+function pairKey(trackId, canonicalId) {
+  return `${trackId}>${canonicalId}`
+}
+
+/**
+ * Record that `trackId` is the same song as `canonicalId`. Anything already linked to
+ * `trackId` moves along with it so every link points straight at a canonical id.
+ * @param {TrackLinks} trackLinks
+ * @param {string} trackId
+ * @param {string} canonicalId
+ * @returns {TrackLinks}
+ */
+export function linkTracks(trackLinks, trackId, canonicalId) {
+  const target = resolveCanonicalTrackId(trackLinks, canonicalId)
+  if (!trackId || !target || target === trackId) return trackLinks
+  /** @type {Record<string, string>} */
+  const links = {}
+  Object.entries(trackLinks.links).forEach(([from, to]) => {
+    links[from] = to === trackId ? target : to
+  })
+  links[trackId] = target
+  const dismissed = trackLinks.dismissed.filter((key) => key !== pairKey(trackId, target))
+  return { links, dismissed }
+}
+
+/**
+ * Break a link. Notes saved while it held stay with the canonical id, and the pair
+ * is not suggested again.
+ * @param {TrackLinks} trackLinks
+ * @param {string} trackId
+ * @returns {TrackLinks}
+ */
+export function unlinkTrack(trackLinks, trackId) {
+  const canonicalId = trackLinks.links[trackId]
+  if (!canonicalId) return trackLinks
+  const { [trackId]: _removed, ...links } = trackLinks.links
+  return dismissTrackLink({ links, dismissed: trackLinks.dismissed }, trackId, canonicalId)
+}
+
+/**
+ * @param {TrackLinks} trackLinks
+ * @param {string} trackId
+ * @param {string} canonicalId
+ * @returns {TrackLinks}
+ */
+export function dismissTrackLink(trackLinks, trackId, canonicalId) {
+  const key = pairKey(trackId, canonicalId)
+  if (trackLinks.dismissed.includes(key)) return trackLinks
+  return { links: trackLinks.links, dismissed: [...trackLinks.dismissed, key] }
+}
+
+/**
+ * Suggest links between the loaded tracks and annotated tracks from other providers.
+ * A candidate whose id is already on screen is skipped so one playlist never shows
+ * two tracks under the same id. Candidates are indexed by ISRC and name key first,
+ * so a long playlist is not compared against every annotated track.
+ * @param {Record<string, any>[]} tracks - Tracks of the open playlist
+ * @param {Record<string, any>[]} candidates - Annotated tracks (for example Library rows)
+ * @param {TrackLinks} trackLinks
+ * @returns {TrackLinkSuggestion[]}
+ */
+export function findTrackLinkSuggestions(tracks, candidates, trackLinks) {
+  if (!Array.isArray(tracks) || !Array.isArray(candidates) || !candidates.length) return []
+  const onScreen = new Set(tracks.map((track) => String(track?.id ?? '')))
+  const dismissed = new Set(trackLinks.dismissed)
+
+  /** @type {Map<string, Record<string, any>[]>} */
+  const index = new Map()
+  /**
+   * @param {string} key
+   * @param {Record<string, any>} candidate
+   */
+  const addToIndex = (key, candidate) => {
+    const bucket = index.get(key)
+    if (bucket) bucket.push(candidate)
+    else index.set(key, [candidate])
+  }
+  candidates.forEach((candidate) => {
+    if (candidate?.id == null || !candidate.provider) return
+    const id = String(candidate.id)
+    if (trackLinks.links[id] || onScreen.has(id)) return
+    const isrc = normalizeIsrc(candidate.isrc)
+    if (isrc) addToIndex(`isrc:${isrc}`, candidate)
+    getIdentityKeys(candidate).forEach((key) => addToIndex(key, candidate))
+  })
+  if (!index.size) return []
+
+  /** @type {TrackLinkSuggestion[]} */
+  const out = []
+  tracks.forEach((track) => {
+    if (!track || track.id == null || track.linkedFromId || track.kind === 'podcast') return
+    const trackId = String(track.id)
+    const isrc = normalizeIsrc(track.isrc)
+    const lookups = [...(isrc ? [`isrc:${isrc}`] : []), ...getIdentityKeys(track)]
+    /** @type {TrackLinkSuggestion | null} */
+    let best = null
+    for (const candidate of lookups.flatMap((key) => index.get(key) ?? [])) {
+      if (candidate.provider === track.provider) continue
+      const canonicalId = String(candidate.id)
+      if (dismissed.has(pairKey(trackId, canonicalId))) continue
+      const reason = matchTracks(track, candidate)
+      // First match wins unless a later one is backed by ISRC.
+      if (!reason || (best && (best.reason === 'isrc' || reason !== 'isrc'))) continue
+      best = {
+        trackId,
+        canonicalId,
+        reason,
+        candidate: {
+          title: typeof candidate.title === 'string' ? candidate.title : canonicalId,
+          artist: typeof candidate.artist === 'string' ? candidate.artist : '',
+          provider: candidate.provider ?? null,
+        },
+      }
+    }
+    if (best) out.push(best)
+  })
+  return out
+}
+
+/**
+ * @param {unknown} value
+ * @returns {TrackLinks}
+ */
+function sanitizeTrackLinks(value) {
+  const source = /** @type {any} */ (value)
+  const result = createEmptyTrackLinks()
+  if (source?.links && typeof source.links === 'object') {
+    Object.entries(source.links).forEach(([from, to]) => {
+      if (from && typeof to === 'string' && to && to !== from) result.links[from] = to
+    })
+  }
+  if (Array.isArray(source?.dismissed)) {
+    result.dismissed = source.dismissed.filter(
+      /** @param {unknown} key */ (key) => typeof key === 'string' && key.includes('>'),
+    )
+  }
+  return result
+}
+
+/** @returns {TrackLinks} */
+export function loadTrackLinks() {
+  if (typeof window === 'undefined' || !window.localStorage) return createEmptyTrackLinks()
+  try {
+    return sanitizeTrackLinks(JSON.parse(window.localStorage.getItem(STORAGE_KEY) ?? 'null'))
+  } catch {
+    return createEmptyTrackLinks()
+  }
+}
+
+/**
+ * @param {TrackLinks} trackLinks
+ * @returns {boolean} false when storage is unavailable or full
+ */
+export function saveTrackLinks(trackLinks) {
+  if (typeof window === 'undefined' || !window.localStorage) return false
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(trackLinks))
+    return true
+  } catch {
+    return false
+  }
+}
@@ -0,0 +1,69 @@
+// src/features/identity/useTrackLinking.js
+
+import { useCallback, useMemo } from 'react'
+import { playlistActions } from '../playlist/actions.js'
+import {
+  usePlaylistDispatch,
+  usePlaylistSync,
+  usePlaylistTrackLinks,
+  usePlaylistTracks,
+} from '../playlist/usePlaylistContext.js'
+import { findTrackLinkSuggestions } from './trackIdentity.js'
+
+/** @typedef {import('./trackIdentity.js').TrackLinkSuggestion} TrackLinkSuggestion */
+
+/**
+ * Link suggestions for the open playlist and the handlers to confirm, reject or
+ * break them. Candidates are the annotated tracks the Library already collects.
+ * @param {{
+ *   candidates: import('../library/buildLibraryTracks.js').LibraryTrack[],
+ *   announce: (message: string) => void,
+ * }} params
+ * @returns {{
+ *   suggestions: TrackLinkSuggestion[],
+ *   confirmLink: (suggestion: TrackLinkSuggestion) => void,
+ *   dismissLink: (suggestion: TrackLinkSuggestion) => void,
+ *   breakLink: (track: any) => void,
+ * }}
+ */
+export default function useTrackLinking({ candidates, announce }) {
+  const dispatch = usePlaylistDispatch()
+  const tracks = usePlaylistTracks()
+  const trackLinks = usePlaylistTrackLinks()
+  const { syncTrackLink } = usePlaylistSync()
+
+  const suggestions = useMemo(
+    () => (trackLinks ? findTrackLinkSuggestions(tracks, candidates, trackLinks) : []),
+    [tracks, candidates, trackLinks],
+  )
+
+  const confirmLink = useCallback(
+    /** @param {TrackLinkSuggestion} suggestion */
+    (suggestion) => {
+      dispatch(playlistActions.confirmTrackLink(suggestion.trackId, suggestion.canonicalId))
+      syncTrackLink(suggestion.trackId, suggestion.canonicalId)
+      announce(`Linked. Notes for "${suggestion.candidate.title}" now show on this track too.`)
+    },
+    [dispatch, syncTrackLink, announce],
+  )
+
+  const dismissLink = useCallback(
+    /** @param {TrackLinkSuggestion} suggestion */
+    (suggestion) => {
+      dispatch(playlistActions.dismissTrackLink(suggestion.trackId, suggestion.canonicalId))
+      announce('Suggestion dismissed.')
+    },
+    [dispatch, announce],
+  )
+
+  const breakLink = useCallback(
+    (track) => {
+      if (!track?.linkedFromId) return
+      dispatch(playlistActions.breakTrackLink(track.linkedFromId))
+      announce(`Unlinked "${track.title}". Its earlier notes stay with the other copy.`)
+    },
+    [dispatch, announce],
+  )
+
+  return { suggestions, confirmLink, dismissLink, breakLink }
+}
@@ -0,0 +1,107 @@
+import { useState } from 'react'
+import { ERROR_MAP } from './errors.js'
+import { CODES } from './adapters/types.js'
+import { MAX_BATCH_URLS } from './batchImport.js'
+
+/**
+ * @param {import('./batchImport.js').BatchItem} item
+ * @returns {string}
+ */
+function describeStatus(item) {
+  switch (item.status) {
+    case 'queued':
+      return 'Queued'
+    case 'importing':
+      return item.attempts > 1 ? `Importing (attempt ${item.attempts})...` : 'Importing...'
+    case 'waiting':
+      return item.retryAt
+        ? `Rate limited. Retrying at ${new Date(item.retryAt).toLocaleTimeString()}.`
+        : 'Rate limited. Retrying shortly.'
+    case 'done': {
+      const title = item.title || 'Playlist'
+      return typeof item.total === 'number'
+        ? `Imported "${title}", ${item.total} track${item.total === 1 ? '' : 's'}`
+        : `Imported "${title}"`
+    }
+    case 'canceled':
+      return 'Canceled'
+    default:
+      return ERROR_MAP[item.errorCode ?? CODES.ERR_UNKNOWN] ?? ERROR_MAP[CODES.ERR_UNKNOWN]
+  }
+}
+
+/**
+ * Several-links import form plus per-link progress.
+ *
+ * @param {object} props
+ * @param {import('./batchImport.js').BatchItem[]} props.items - Items of the current or last batch
+ * @param {boolean} props.running - Whether a batch is in progress
+ * @param {(text: string) => Promise<void>} props.onStart - Starts a batch from newline-separated links
+ * @param {() => void} props.onCancel - Stops the running batch
+ * @param {() => void} props.onClear - Dismisses a finished batch
+ */
+export default function BatchImportPanel({ items, running, onStart, onCancel, onClear }) {
+  const [text, setText] = useState('')
+  const finished = items.filter(
+    (item) => item.status === 'done' || item.status === 'failed' || item.status === 'canceled',
+  ).length
+
+  /** @param {import('react').FormEvent} event */
+  const handleSubmit = (event) => {
+    event.preventDefault()
+    if (running || !text.trim()) return
+    void onStart(text).then(() => setText(''))
+  }
+
+  return (
+    <details className="batch-import" open={items.length > 0 || undefined}>
+      <summary>Import several links</summary>
+      <form onSubmit={handleSubmit} className="batch-import__form">
+        <label htmlFor="batch-import-urls">
+          Playlist links, one per line (up to {MAX_BATCH_URLS})
+        </label>
+        <textarea
+          id="batch-import-urls"
+          rows={4}
+          value={text}
+          onChange={(event) => setText(event.target.value)}
+          disabled={running}
+        />
+        <div className="batch-import__actions">
+          <button type="submit" className="btn" disabled={running || !text.trim()}>
+            Import all
+          </button>
+        </div>
+      </form>
+
+      {items.length > 0 && (
+        <section aria-labelledby="batch-import-heading" className="batch-import__progress">
+          <div className="batch-import__header">
+            <h3 id="batch-import-heading">
+              Batch import: {finished} of {items.length} done
+            </h3>
+            {running ? (
+              <button type="button" className="btn" onClick={onCancel}>
+                Cancel batch
+              </button>
+            ) : (
+              <button type="button" className="btn" onClick={onClear}>
+                Clear
+              </button>
+            )}
+          </div>
+          <ul className="batch-import__list" aria-busy={running ? 'true' : 'false'}>
+            {items.map((item) => (
+              <li key={item.id} className="batch-import__item" data-status={item.status}>
+                <span className="batch-import__url" title={item.url}>
+                  {item.url}
+                </span>
+                <span className="batch-import__status">{describeStatus(item)}</span>
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+    </details>
+  )
+}
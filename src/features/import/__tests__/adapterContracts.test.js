@@ -6,12 +6,24 @@ import {
 } from '../adapters/spotifyAdapter.js';
 import { importPlaylist as importYouTube } from '../adapters/youtubeAdapter.js';
 import { importPlaylist as importSoundCloud } from '../adapters/soundcloudAdapter.js';
+import { importPlaylist as importAppleMusic } from '../adapters/appleMusicAdapter.js';
+import { importPlaylist as importDeezer } from '../adapters/deezerAdapter.js';
+import {
+  importPlaylist as importTracklist,
+  buildTracklistSourceUrl,
+} from '../adapters/fileAdapter.js';
+import { parsePlaylistIdentityFromUrl } from '../playlistIdentity.js';
 import { CODES } from '../adapters/types.js';
 import { __setPodcastFlagOverrideForTests } from '../../../utils/podcastFlags.js';
+import { clearDeviceContext, setDeviceId } from '../../../lib/deviceState.js';
+import { isSpotifyLinked, setSpotifyLinked } from '../../../lib/spotifyLinkState.js';
 
 const SPOTIFY_URL = 'https://open.spotify.com/playlist/37i9dQZF1DXcBWIGoYBM5M';
 const SPOTIFY_SHOW_URL = 'https://open.spotify.com/show/2rYZ0msCH4KcKPZJGG6xY3';
 const SPOTIFY_EPISODE_URL = 'https://open.spotify.com/episode/2o3sE8uLsDFOiF23Y8QbXn';
+const SPOTIFY_ALBUM_ID = '4aawyAB9vmqN3uQ7FjRGTy';
+const SPOTIFY_ARTIST_ID = '0OdUWJ0sBjDrqHygGUXeCF';
+const SPOTIFY_TRACK_ID = '11dFghVXANMlKmJXsNCbNl';
 
 describe('adapter contracts', () => {
   describe('spotify importPlaylist', () => {
@@ -109,6 +121,77 @@ describe('adapter contracts', () => {
       expect(result.total).toBe(1);
     });
 
+    describe('with a linked Spotify account', () => {
+      const metaPayload = { name: 'daylist • late night', snapshot_id: 'snap-d' };
+      const tracksPayload = { items: [], next: null, total: 0 };
+
+      beforeEach(() => {
+        setDeviceId('device-1');
+        setSpotifyLinked(true);
+      });
+
+      afterEach(() => {
+        setSpotifyLinked(false);
+        clearDeviceContext();
+      });
+
+      it('uses the user token so private playlists and daylists resolve', async () => {
+        const fetchClient = {
+          getJson: vi
+            .fn()
+            .mockResolvedValueOnce({ access_token: 'user-token', expires_in: 3600 })
+            .mockResolvedValueOnce(metaPayload)
+            .mockResolvedValueOnce(tracksPayload),
+        };
+
+        const result = await importSpotify({ url: SPOTIFY_URL, fetchClient });
+
+        expect(fetchClient.getJson).toHaveBeenNthCalledWith(
+          1,
+          '/api/spotify/user-token',
+          expect.objectContaining({
+            headers: expect.objectContaining({ 'x-device-id': 'device-1' }),
+          })
+        );
+        expect(fetchClient.getJson).toHaveBeenNthCalledWith(
+          2,
+          expect.stringContaining('/v1/playlists/'),
+          expect.objectContaining({
+            headers: expect.objectContaining({ Authorization: 'Bearer user-token' }),
+          })
+        );
+        expect(fetchClient.getJson).toHaveBeenCalledTimes(3);
+        expect(result.title).toBe('daylist • late night');
+      });
+
+      it('falls back to the app token and forgets the link when the server has none', async () => {
+        const notLinked = Object.assign(new Error('HTTP_404'), { code: 'HTTP_404' });
+        const fetchClient = {
+          getJson: vi
+            .fn()
+            .mockRejectedValueOnce(notLinked)
+            .mockResolvedValueOnce({ access_token: 'app-token', expires_in: 3600 })
+            .mockResolvedValueOnce(metaPayload)
+            .mockResolvedValueOnce(tracksPayload),
+        };
+
+        await importSpotify({ url: SPOTIFY_URL, fetchClient });
+
+        expect(fetchClient.getJson.mock.calls.map(([url]) => url).slice(0, 2)).toEqual([
+          '/api/spotify/user-token',
+          '/api/spotify/token',
+        ]);
+        expect(fetchClient.getJson).toHaveBeenNthCalledWith(
+          3,
+          expect.any(String),
+          expect.objectContaining({
+            headers: expect.objectContaining({ Authorization: 'Bearer app-token' }),
+          })
+        );
+        expect(isSpotifyLinked()).toBe(false);
+      });
+    });
+
     it('maps HTTP_429 responses from the tracks endpoint to ERR_RATE_LIMITED', async () => {
       const tokenPayload = { access_token: 'token-789', expires_in: 3600 };
       const metaPayload = { name: 'Test', snapshot_id: 'snap' };
@@ -370,30 +453,344 @@ describe('adapter contracts', () => {
         code: CODES.ERR_SHOW_EMPTY,
       });
     });
+    it('imports an album with its own tracks, cover and a type-scoped id', async () => {
+      const url = `https://open.spotify.com/album/${SPOTIFY_ALBUM_ID}`;
+      const albumPayload = {
+        name: 'Global Warming',
+        total_tracks: 3,
+        images: [{ url: 'https://images.spotify.com/album.jpg', width: 640 }],
+        tracks: {
+          items: [
+            { id: 'alb-1', name: 'Intro', duration_ms: 1000, artists: [{ name: 'Pitbull' }] },
+            { id: 'alb-2', name: 'Feel This Moment', duration_ms: 2000, artists: [{ name: 'Pitbull' }] },
+          ],
+          next: `https://api.spotify.com/v1/albums/${SPOTIFY_ALBUM_ID}/tracks?offset=2&limit=2`,
+        },
+      };
+      const fetchClient = {
+        getJson: vi
+          .fn()
+          .mockResolvedValueOnce({ access_token: 'token-album', expires_in: 3600 })
+          .mockResolvedValueOnce(albumPayload)
+          .mockResolvedValueOnce(albumPayload)
+          .mockResolvedValueOnce({
+            items: [{ id: 'alb-3', name: 'Outro', artists: [{ name: 'Pitbull' }] }],
+            next: null,
+          }),
+      };
+
+      const first = await importSpotify({ url, fetchClient });
+      expect(first).toMatchObject({
+        playlistId: `album:${SPOTIFY_ALBUM_ID}`,
+        title: 'Global Warming',
+        coverUrl: 'https://images.spotify.com/album.jpg',
+        total: 3,
+        sourceUrl: url,
+      });
+      expect(first.tracks[1]).toMatchObject({
+        id: 'alb-2',
+        album: 'Global Warming',
+        thumbnailUrl: 'https://images.spotify.com/album.jpg',
+        kind: 'music',
+      });
+      expect(parsePlaylistIdentityFromUrl(url)).toEqual({
+        provider: 'spotify',
+        playlistId: first.playlistId,
+      });
+
+      const second = await importSpotify({ url, cursor: first.pageInfo.cursor, fetchClient });
+      expect(fetchClient.getJson.mock.calls[3][0]).toBe(first.pageInfo.cursor);
+      expect(second.tracks.map((t) => t.id)).toEqual(['alb-3']);
+      expect(second.tracks[0].album).toBe('Global Warming');
+      expect(second.pageInfo).toEqual({ cursor: null, hasMore: false });
+    });
+
+    it('imports an artist as top tracks followed by their album tracks, paged by album', async () => {
+      const url = `https://open.spotify.com/artist/${SPOTIFY_ARTIST_ID}`;
+      const albumsNext = `https://api.spotify.com/v1/artists/${SPOTIFY_ARTIST_ID}/albums?offset=20&limit=20`;
+      const album = {
+        id: SPOTIFY_ALBUM_ID,
+        name: 'Debut',
+        images: [{ url: 'https://images.spotify.com/debut.jpg' }],
+        tracks: {
+          items: [
+            { id: 'hit-1', name: 'Hit', artists: [{ name: 'Band' }] },
+            { id: 'deep-1', name: 'Deep Cut', artists: [{ name: 'Band' }] },
+          ],
+        },
+      };
+      const getJson = vi.fn(async (endpoint) => {
+        if (endpoint === '/api/spotify/token') return { access_token: 'token-artist', expires_in: 3600 };
+        if (endpoint.includes('/top-tracks')) {
+          return {
+            tracks: [
+              { id: 'hit-1', name: 'Hit', artists: [{ name: 'Band' }], album: { name: 'Debut', images: [] } },
+            ],
+          };
+        }
+        if (endpoint.includes(`/artists/${SPOTIFY_ARTIST_ID}/albums`)) {
+          return endpoint === albumsNext
+            ? { items: [], next: null }
+            : { items: [{ id: SPOTIFY_ALBUM_ID }], next: albumsNext };
+        }
+        if (endpoint.includes('/albums?ids=')) return { albums: [album] };
+        if (endpoint.endsWith(`/artists/${SPOTIFY_ARTIST_ID}`)) {
+          return { name: 'Band', images: [{ url: 'https://images.spotify.com/band.jpg' }] };
+        }
+        throw new Error(`unexpected ${endpoint}`);
+      });
+
+      const first = await importSpotify({ url, fetchClient: { getJson } });
+      expect(first).toMatchObject({
+        playlistId: `artist:${SPOTIFY_ARTIST_ID}`,
+        title: 'Band',
+        coverUrl: 'https://images.spotify.com/band.jpg',
+        pageInfo: { cursor: albumsNext, hasMore: true },
+      });
+      expect(first.tracks.map((t) => t.id)).toEqual(['hit-1', 'deep-1']);
+      expect(first.tracks[1]).toMatchObject({ album: 'Debut', kind: 'music' });
+      expect(getJson.mock.calls.some(([endpoint]) => endpoint.includes('/albums?ids=' + SPOTIFY_ALBUM_ID))).toBe(true);
+
+      getJson.mockClear();
+      const second = await importSpotify({ url, cursor: albumsNext, fetchClient: { getJson } });
+      expect(getJson.mock.calls.some(([endpoint]) => endpoint.includes('/top-tracks'))).toBe(false);
+      expect(second.tracks).toEqual([]);
+      expect(second.pageInfo).toEqual({ cursor: null, hasMore: false });
+    });
+
+    it('imports a single track as a one-item list', async () => {
+      const url = `spotify:track:${SPOTIFY_TRACK_ID}`;
+      const fetchClient = {
+        getJson: vi
+          .fn()
+          .mockResolvedValueOnce({ access_token: 'token-track', expires_in: 3600 })
+          .mockResolvedValueOnce({
+            id: SPOTIFY_TRACK_ID,
+            name: 'Solo',
+            duration_ms: 4000,
+            artists: [{ name: 'Frank Ocean' }],
+            album: { name: 'Blonde', images: [{ url: 'https://images.spotify.com/blonde.jpg' }] },
+          }),
+      };
+
+      const result = await importSpotify({ url, fetchClient });
+      expect(fetchClient.getJson.mock.calls[1][0]).toBe(
+        `https://api.spotify.com/v1/tracks/${SPOTIFY_TRACK_ID}`
+      );
+      expect(result).toMatchObject({
+        playlistId: `track:${SPOTIFY_TRACK_ID}`,
+        title: 'Solo',
+        total: 1,
+        coverUrl: 'https://images.spotify.com/blonde.jpg',
+        sourceUrl: `https://open.spotify.com/track/${SPOTIFY_TRACK_ID}`,
+        pageInfo: { cursor: null, hasMore: false },
+      });
+      expect(result.tracks).toHaveLength(1);
+      expect(result.tracks[0]).toMatchObject({ id: SPOTIFY_TRACK_ID, artist: 'Frank Ocean', album: 'Blonde' });
+    });
   });
 
-  describe('mock adapters', () => {
-    it('youtube adapter returns paginated data and advances cursor', async () => {
-      const url = 'https://www.youtube.com/playlist?list=PL123';
+  describe('youtube importPlaylist', () => {
+    it('uses provided fetch client and returns normalized payload', async () => {
+      const fetchClient = {
+        getJson: vi.fn(async (url) => {
+          if (url.startsWith('/api/youtube/playlists')) {
+            return { items: [{ snippet: { title: 'Crate', thumbnails: {} }, contentDetails: { itemCount: 1 } }] };
+          }
+          if (url.startsWith('/api/youtube/playlistItems')) {
+            return {
+              nextPageToken: 'NEXT',
+              items: [
+                {
+                  snippet: { title: 'Loop', videoOwnerChannelTitle: 'Channel A', resourceId: { videoId: 'v1' } },
+                  contentDetails: { videoId: 'v1' },
+                  status: { privacyStatus: 'public' },
+                },
+              ],
+            };
+          }
+          return { items: [{ id: 'v1', contentDetails: { duration: 'PT2M' } }] };
+        }),
+      };
 
-      const first = await importYouTube({ url });
-      expect(first.provider).toBe('youtube');
-      expect(first.pageInfo?.hasMore).toBe(true);
-      expect(first.pageInfo?.cursor).toBe('page:1');
-      expect(first.tracks).toHaveLength(10);
+      const result = await importYouTube({ url: 'https://www.youtube.com/playlist?list=PL123', fetchClient });
+      expect(result.provider).toBe('youtube');
+      expect(result.title).toBe('Crate');
+      expect(result.pageInfo).toEqual({ cursor: 'NEXT', hasMore: true });
+      expect(result.tracks[0]).toMatchObject({ id: 'v1', artist: 'Channel A', durationMs: 120000 });
+      expect(fetchClient.getJson).toHaveBeenCalledTimes(3);
+    });
 
-      const second = await importYouTube({ url, cursor: first.pageInfo?.cursor });
-      expect(second.pageInfo?.cursor).toBe('page:2');
-      expect(second.tracks[0]?.id).not.toBe(first.tracks[0]?.id);
+    it('maps HTTP_429 responses from the proxy to ERR_RATE_LIMITED', async () => {
+      const rateErr = new Error('HTTP_429');
+      rateErr.code = 'HTTP_429';
+      rateErr.details = { status: 429 };
+      const fetchClient = { getJson: vi.fn().mockRejectedValue(rateErr) };
+
+      await expect(
+        importYouTube({ url: 'https://www.youtube.com/playlist?list=PL123', fetchClient }),
+      ).rejects.toMatchObject({ code: CODES.ERR_RATE_LIMITED });
     });
+  });
 
-    it('soundcloud adapter mirrors pagination behaviour', async () => {
+  describe('soundcloud importPlaylist', () => {
+    it('resolves the set and follows next_href pagination', async () => {
+      const fetchClient = {
+        getJson: vi.fn(async (url) => {
+          if (url.includes('url=')) {
+            return { kind: 'playlist', id: 42, title: 'Mix', track_count: 2 };
+          }
+          if (url.includes('playlistId=42')) {
+            return {
+              collection: [{ id: 1, title: 'One', duration: 1000, user: { username: 'User A' } }],
+              next_href: 'https://api.soundcloud.com/playlists/42/tracks?cursor=2',
+            };
+          }
+          return { collection: [{ id: 2, title: 'Two', duration: 2000, user: { username: 'User B' } }], next_href: null };
+        }),
+      };
       const url = 'https://soundcloud.com/user/sets/mix';
 
-      const first = await importSoundCloud({ url });
+      const first = await importSoundCloud({ url, fetchClient });
       expect(first.provider).toBe('soundcloud');
-      expect(first.pageInfo?.hasMore).toBe(true);
-      expect(first.pageInfo?.cursor).toBe('page:1');
+      expect(first.playlistId).toBe('user/sets/mix');
+      expect(first.pageInfo).toEqual({
+        cursor: 'https://api.soundcloud.com/playlists/42/tracks?cursor=2',
+        hasMore: true,
+      });
+
+      const second = await importSoundCloud({ url, cursor: first.pageInfo.cursor, fetchClient });
+      expect(second.pageInfo).toEqual({ cursor: null, hasMore: false });
+      expect(second.tracks[0]).toMatchObject({ id: '2', artist: 'User B', durationMs: 2000 });
+    });
+  });
+
+  describe('applemusic importPlaylist', () => {
+    const url = 'https://music.apple.com/gb/playlist/late-night-crate/pl.a1b2c3d4';
+
+    it('reads the embedded first page and pages by offset', async () => {
+      const fetchClient = {
+        getJson: vi.fn(async (requestUrl) => {
+          if (requestUrl.startsWith('/api/apple-music/playlist')) {
+            return {
+              data: [
+                {
+                  id: 'pl.a1b2c3d4',
+                  attributes: { name: 'Late Night Crate', lastModifiedDate: '2024-03-01T10:00:00Z' },
+                  relationships: {
+                    tracks: {
+                      data: [{ id: '1001', attributes: { name: 'One', artistName: 'Artist A', durationInMillis: 1000 } }],
+                      next: '/v1/catalog/gb/playlists/pl.a1b2c3d4/tracks?offset=100',
+                    },
+                  },
+                },
+              ],
+            };
+          }
+          return { data: [{ id: '1002', attributes: { name: 'Two', artistName: 'Artist B', durationInMillis: 2000 } }] };
+        }),
+      };
+
+      const first = await importAppleMusic({ url, fetchClient });
+      expect(first.provider).toBe('applemusic');
+      expect(first.snapshotId).toBe('2024-03-01T10:00:00Z');
+      expect(first.pageInfo).toEqual({ cursor: '100', hasMore: true });
+      expect(first.tracks[0]).toMatchObject({ id: '1001', artist: 'Artist A', durationMs: 1000 });
+      expect(fetchClient.getJson).toHaveBeenCalledTimes(1);
+
+      const second = await importAppleMusic({ url, cursor: first.pageInfo.cursor, fetchClient });
+      expect(fetchClient.getJson).toHaveBeenLastCalledWith(
+        '/api/apple-music/tracks?storefront=gb&id=pl.a1b2c3d4&offset=100',
+        expect.anything(),
+      );
+      expect(second.pageInfo).toEqual({ cursor: null, hasMore: false });
+      expect(second.tracks[0]).toMatchObject({ id: '1002', artist: 'Artist B' });
+    });
+
+    it('returns a playlistId that matches the cache identity for the URL', async () => {
+      const fetchClient = {
+        getJson: vi.fn(async () => ({
+          data: [{ id: 'pl.a1b2c3d4', attributes: { name: 'Crate' }, relationships: { tracks: { data: [] } } }],
+        })),
+      };
+      const result = await importAppleMusic({ url, fetchClient });
+      expect(parsePlaylistIdentityFromUrl(url)).toEqual({ provider: result.provider, playlistId: result.playlistId });
+    });
+
+    it('maps library playlists to ERR_PRIVATE_PLAYLIST without calling the proxy', async () => {
+      const fetchClient = { getJson: vi.fn() };
+      await expect(
+        importAppleMusic({ url: 'https://music.apple.com/library/playlist/p.XyZ123', fetchClient }),
+      ).rejects.toMatchObject({ code: CODES.ERR_PRIVATE_PLAYLIST });
+      expect(fetchClient.getJson).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deezer importPlaylist', () => {
+    const url = 'https://www.deezer.com/en/playlist/908622995';
+
+    it('combines playlist metadata with the first tracks page and pages by index', async () => {
+      const fetchClient = {
+        getJson: vi.fn(async (requestUrl) => {
+          if (requestUrl.startsWith('/api/deezer/playlist')) {
+            return { id: 908622995, title: 'Crate', public: true, nb_tracks: 2, checksum: 'abc123' };
+          }
+          if (requestUrl.includes('index=0')) {
+            return {
+              data: [{ id: 1, title: 'One', duration: 61, artist: { name: 'Artist A' } }],
+              next: 'https://api.deezer.com/playlist/908622995/tracks?index=100',
+            };
+          }
+          return { data: [{ id: 2, title: 'Two', duration: 2, artist: { name: 'Artist B' } }] };
+        }),
+      };
+
+      const first = await importDeezer({ url, fetchClient });
+      expect(first.provider).toBe('deezer');
+      expect(first.snapshotId).toBe('abc123');
+      expect(first.total).toBe(2);
+      expect(first.pageInfo).toEqual({ cursor: '100', hasMore: true });
+      expect(first.tracks[0]).toMatchObject({ id: '1', artist: 'Artist A', durationMs: 61000 });
+      expect(parsePlaylistIdentityFromUrl(url)).toEqual({ provider: 'deezer', playlistId: first.playlistId });
+
+      const second = await importDeezer({ url, cursor: first.pageInfo.cursor, fetchClient });
+      expect(second.pageInfo).toEqual({ cursor: null, hasMore: false });
+      expect(second.tracks[0]).toMatchObject({ id: '2', artist: 'Artist B', durationMs: 2000 });
+    });
+
+    it('maps non-public playlists to ERR_PRIVATE_PLAYLIST', async () => {
+      const fetchClient = {
+        getJson: vi.fn(async (requestUrl) =>
+          requestUrl.startsWith('/api/deezer/playlist') ? { id: 1, title: 'Mine', public: false } : { data: [] },
+        ),
+      };
+      await expect(importDeezer({ url, fetchClient })).rejects.toMatchObject({
+        code: CODES.ERR_PRIVATE_PLAYLIST,
+      });
+    });
+  });
+
+  describe('file importPlaylist', () => {
+    const tracklist = { text: 'Daft Punk - Da Funk\nAphex Twin - Windowlicker', fileName: 'Friday Set.txt' };
+    const url = buildTracklistSourceUrl(tracklist);
+
+    it('returns a single page without fetching', async () => {
+      const fetchClient = { getJson: vi.fn() };
+      const result = await importTracklist({ url, fetchClient, context: { tracklist } });
+
+      expect(fetchClient.getJson).not.toHaveBeenCalled();
+      expect(result).toMatchObject({
+        provider: 'file',
+        title: 'Friday Set',
+        sourceUrl: url,
+        total: 2,
+        pageInfo: { cursor: null, hasMore: false },
+      });
+      expect(parsePlaylistIdentityFromUrl(url)).toEqual({ provider: 'file', playlistId: result.playlistId });
+    });
+
+    it('maps a missing tracklist to ERR_NOT_FOUND', async () => {
+      await expect(importTracklist({ url })).rejects.toMatchObject({ code: CODES.ERR_NOT_FOUND });
     });
   });
 });
@@ -0,0 +1,159 @@
+import { describe, expect, it, vi } from 'vitest'
+import {
+  MAX_BATCH_URLS,
+  isBatchUrlList,
+  parseBatchUrls,
+  resolveRetryDelayMs,
+  runBatchImport,
+} from '../batchImport.js'
+import { CODES, createAdapterError } from '../adapters/types.js'
+
+const SPOTIFY_A = 'https://open.spotify.com/playlist/37i9dQZF1DXcBWIGoYBM5M'
+const SPOTIFY_B = 'https://open.spotify.com/playlist/37i9dQZF1DX4WYpdgoPlCD'
+const YOUTUBE = 'https://www.youtube.com/playlist?list=PL1234567890'
+
+const queued = (urls) =>
+  urls.map((url, index) => ({
+    id: `batch-${index}`,
+    url,
+    provider: url.includes('youtube') ? 'youtube' : 'spotify',
+    status: 'queued',
+    attempts: 0,
+  }))
+
+describe('parseBatchUrls', () => {
+  it('keeps one item per playlist and fails unrecognised lines up front', () => {
+    const { items, overflow } = parseBatchUrls(
+      `${SPOTIFY_A}\n\n  ${YOUTUBE}  \n${SPOTIFY_A}?si=abc\nnot a link\n`,
+    )
+
+    expect(overflow).toBe(0)
+    expect(items.map(({ url, provider, status }) => ({ url, provider, status }))).toEqual([
+      { url: SPOTIFY_A, provider: 'spotify', status: 'queued' },
+      { url: YOUTUBE, provider: 'youtube', status: 'queued' },
+      { url: 'not a link', provider: null, status: 'failed' },
+    ])
+    expect(items[2].errorCode).toBe(CODES.ERR_UNSUPPORTED_URL)
+  })
+
+  it('caps a batch and counts what was left out', () => {
+    const lines = Array.from({ length: MAX_BATCH_URLS + 2 }, (_, i) => `${YOUTUBE}${i}`)
+    const { items, overflow } = parseBatchUrls(lines.join('\n'))
+    expect(items).toHaveLength(MAX_BATCH_URLS)
+    expect(overflow).toBe(2)
+  })
+})
+
+describe('isBatchUrlList', () => {
+  it('only accepts several lines that are all importable links', () => {
+    expect(isBatchUrlList(`${SPOTIFY_A}\n${YOUTUBE}`)).toBe(true)
+    expect(isBatchUrlList(SPOTIFY_A)).toBe(false)
+    expect(isBatchUrlList(`${SPOTIFY_A}\nDaft Punk - Da Funk`)).toBe(false)
+  })
+})
+
+describe('resolveRetryDelayMs', () => {
+  it('reads Retry-After data through adapter error causes', () => {
+    const httpError = Object.assign(new Error('HTTP_429'), {
+      details: { status: 429, retryAfterSeconds: 7 },
+    })
+    expect(resolveRetryDelayMs(createAdapterError(CODES.ERR_RATE_LIMITED, {}, httpError))).toBe(7000)
+    expect(resolveRetryDelayMs({ retryAfterMs: 250 })).toBe(250)
+    expect(resolveRetryDelayMs(createAdapterError(CODES.ERR_RATE_LIMITED))).toBeNull()
+  })
+})
+
+describe('runBatchImport', () => {
+  it('never runs more imports at once than the concurrency limit', async () => {
+    let active = 0
+    let peak = 0
+    const importOne = vi.fn(async (item) => {
+      active += 1
+      peak = Math.max(peak, active)
+      await new Promise((resolve) => setTimeout(resolve, 5))
+      active -= 1
+      return { title: item.url, total: 1 }
+    })
+
+    const items = await runBatchImport(queued([`${YOUTUBE}1`, `${YOUTUBE}2`, `${YOUTUBE}3`, `${YOUTUBE}4`, `${YOUTUBE}5`]), {
+      importOne,
+      concurrency: 2,
+    })
+
+    expect(peak).toBe(2)
+    expect(importOne).toHaveBeenCalledTimes(5)
+    expect(items.every((item) => item.status === 'done')).toBe(true)
+  })
+
+  it('pauses a rate-limited provider for the Retry-After time and retries', async () => {
+    let clock = 0
+    const waits = []
+    const wait = vi.fn(async (ms) => {
+      waits.push(ms)
+      clock += ms
+    })
+    let limited = true
+    const importOne = vi.fn(async (item) => {
+      if (item.url === SPOTIFY_A && limited) {
+        limited = false
+        throw createAdapterError(CODES.ERR_RATE_LIMITED, { retryAfterSeconds: 3 })
+      }
+      return { title: item.url }
+    })
+    const updates = []
+
+    const items = await runBatchImport(queued([SPOTIFY_A, SPOTIFY_B]), {
+      importOne,
+      concurrency: 1,
+      wait,
+      now: () => clock,
+      onUpdate: (snapshot) => updates.push(snapshot[0].status),
+    })
+
+    expect(updates).toContain('waiting')
+    expect(waits).toEqual([3000])
+    // The whole provider waits, so SPOTIFY_B only starts after the pause too.
+    expect(importOne.mock.calls.map(([item]) => item.url)).toEqual([SPOTIFY_A, SPOTIFY_B, SPOTIFY_A])
+    expect(items.map((item) => [item.status, item.attempts])).toEqual([
+      ['done', 2],
+      ['done', 1],
+    ])
+  })
+
+  it('reports per-item failures and gives up on rate limits after the last attempt', async () => {
+    const importOne = vi.fn(async (item) => {
+      if (item.url === SPOTIFY_A) throw createAdapterError(CODES.ERR_PRIVATE_PLAYLIST)
+      throw createAdapterError(CODES.ERR_RATE_LIMITED)
+    })
+
+    const items = await runBatchImport(queued([SPOTIFY_A, YOUTUBE]), {
+      importOne,
+      maxAttempts: 2,
+      wait: async () => {},
+      now: (() => {
+        let t = 0
+        return () => (t += 10_000)
+      })(),
+    })
+
+    expect(items[0]).toMatchObject({ status: 'failed', errorCode: CODES.ERR_PRIVATE_PLAYLIST, attempts: 1 })
+    expect(items[1]).toMatchObject({ status: 'failed', errorCode: CODES.ERR_RATE_LIMITED, attempts: 2 })
+  })
+
+  it('marks unfinished items as canceled when aborted', async () => {
+    const controller = new AbortController()
+    const importOne = vi.fn(async (_item, { signal }) => {
+      controller.abort()
+      throw Object.assign(new Error('aborted'), { name: 'AbortError', signal })
+    })
+
+    const items = await runBatchImport(queued([SPOTIFY_A, SPOTIFY_B]), {
+      importOne,
+      concurrency: 1,
+      signal: controller.signal,
+    })
+
+    expect(importOne).toHaveBeenCalledTimes(1)
+    expect(items.map((item) => item.status)).toEqual(['canceled', 'canceled'])
+  })
+})
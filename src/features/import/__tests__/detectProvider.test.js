@@ -34,6 +34,27 @@ describe('detectProvider', () => {
     expect(detectProvider('https://soundcloud.com/user/playlist/my-mix')).toBe('soundcloud');
   });
 
+  it('returns applemusic for catalog and library playlist URLs', () => {
+    expect(
+      detectProvider('https://music.apple.com/us/playlist/todays-hits/pl.f4d106fed2bd41149aaacabb233eb5eb')
+    ).toBe('applemusic');
+    expect(detectProvider('music.apple.com/gb/playlist/pl.u-8aAVZAzCkDLKql')).toBe('applemusic');
+    expect(detectProvider('https://music.apple.com/library/playlist/p.XyZ123')).toBe('applemusic');
+    expect(detectProvider('https://music.apple.com/us/album/some-album/1440857781')).toBeNull();
+  });
+
+  it('returns deezer for playlist URLs with or without a language prefix', () => {
+    expect(detectProvider('https://www.deezer.com/en/playlist/908622995')).toBe('deezer');
+    expect(detectProvider('https://deezer.com/playlist/908622995?utm_source=share')).toBe('deezer');
+    expect(detectProvider('https://www.deezer.com/en/album/302127')).toBeNull();
+  });
+
+  it('returns file for tracklist pseudo-URLs', () => {
+    expect(detectProvider('tracklist:file-friday-set-m3u')).toBe('file');
+    expect(detectProvider('tracklist:paste-1a2b3c')).toBe('file');
+    expect(detectProvider('tracklist:')).toBeNull();
+  });
+
   it('guards against non-string inputs', () => {
     expect(detectProvider(null)).toBeNull();
     expect(detectProvider(undefined)).toBeNull();
@@ -45,6 +66,12 @@ describe('detectProvider', () => {
     expect(detectProvider('https://example.com/not-a-playlist')).toBeNull();
   });
 
+  it('detects Spotify album, artist and track links', () => {
+    expect(detectProvider(`https://open.spotify.com/album/${VALID_ID}`)).toBe('spotify');
+    expect(detectProvider(`https://open.spotify.com/intl-de/artist/${VALID_ID}`)).toBe('spotify');
+    expect(detectProvider(`spotify:track:${VALID_ID}`)).toBe('spotify');
+  });
+
   it('detects Spotify show and episode URLs only when podcasts are enabled', () => {
     __setPodcastFlagOverrideForTests(true);
     expect(detectProvider(`https://open.spotify.com/show/${VALID_ID}`)).toBe('spotify');
@@ -0,0 +1,68 @@
+import { describe, expect, it, vi, beforeEach } from 'vitest'
+import { act, renderHook } from '@testing-library/react'
+import useBatchImport from '../useBatchImport.js'
+import { importFromUrl } from '../useImportPlaylist.js'
+import { CODES, createAdapterError } from '../adapters/types.js'
+
+vi.mock('../useImportPlaylist.js', () => ({
+  importFromUrl: vi.fn(),
+}))
+
+const SPOTIFY_URL = 'https://open.spotify.com/playlist/37i9dQZF1DXcBWIGoYBM5M'
+const YOUTUBE_URL = 'https://www.youtube.com/playlist?list=PL1234567890'
+
+describe('useBatchImport', () => {
+  beforeEach(() => {
+    importFromUrl.mockReset()
+  })
+
+  it('adds each imported playlist to recents and announces a summary', async () => {
+    importFromUrl.mockImplementation(async (url) => {
+      if (url === YOUTUBE_URL) throw createAdapterError(CODES.ERR_NOT_FOUND)
+      return {
+        provider: 'spotify',
+        playlistId: '37i9dQZF1DXcBWIGoYBM5M',
+        title: 'Crate Digging',
+        sourceUrl: SPOTIFY_URL,
+        coverUrl: 'https://images.test/cover.jpg',
+        total: 42,
+        tracks: [],
+      }
+    })
+    const announce = vi.fn()
+    const pushRecentPlaylist = vi.fn()
+    const rememberImportResult = vi.fn()
+    const { result } = renderHook(() =>
+      useBatchImport({ announce, pushRecentPlaylist, rememberImportResult }),
+    )
+
+    await act(async () => {
+      await result.current.startBatchImport(`${SPOTIFY_URL}\n${YOUTUBE_URL}`)
+    })
+
+    expect(pushRecentPlaylist).toHaveBeenCalledTimes(1)
+    expect(pushRecentPlaylist).toHaveBeenCalledWith(
+      { provider: 'spotify', playlistId: '37i9dQZF1DXcBWIGoYBM5M', sourceUrl: SPOTIFY_URL },
+      expect.objectContaining({ title: 'Crate Digging', total: 42, coverUrl: 'https://images.test/cover.jpg' }),
+    )
+    expect(rememberImportResult).toHaveBeenCalledTimes(1)
+    expect(rememberImportResult).toHaveBeenCalledWith(
+      expect.objectContaining({
+        tracks: [],
+        title: 'Crate Digging',
+        meta: expect.objectContaining({
+          provider: 'spotify',
+          playlistId: '37i9dQZF1DXcBWIGoYBM5M',
+          sourceUrl: SPOTIFY_URL,
+        }),
+      }),
+      { sourceUrl: SPOTIFY_URL, aliases: [SPOTIFY_URL] },
+    )
+    expect(result.current.batchRunning).toBe(false)
+    expect(result.current.batchItems.map((item) => item.status)).toEqual(['done', 'failed'])
+    expect(announce).toHaveBeenLastCalledWith('Batch import finished. 1 imported, 1 failed.')
+
+    act(() => result.current.clearBatchImport())
+    expect(result.current.batchItems).toEqual([])
+  })
+})
@@ -5,6 +5,7 @@ import useImportPlaylist from '../useImportPlaylist.js';
 import { CODES } from '../adapters/types.js';
 import * as youtubeAdapter from '../adapters/youtubeAdapter.js';
 import * as spotifyAdapter from '../adapters/spotifyAdapter.js';
+import { createPagedMockAdapter } from '../adapters/mockAdapterUtils.js';
 import { __setPodcastFlagOverrideForTests } from '../../../utils/podcastFlags.js';
 
 const { __resetSpotifyTokenMemoForTests } = spotifyAdapter;
@@ -446,6 +447,8 @@ describe('useImportPlaylist', () => {
 
   describe('adapter integration: pagination', () => {
     it('appends tracks across pages and disables hasMore after final page', async () => {
+      const paged = createPagedMockAdapter({ provider: 'youtube', title: 'Paged', tracks: [] });
+      vi.spyOn(youtubeAdapter, 'importPlaylist').mockImplementation(paged.importPlaylist);
       const { result } = renderHook(() => useImportPlaylist());
 
       await act(async () => {
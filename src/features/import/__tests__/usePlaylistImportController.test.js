@@ -1,14 +1,18 @@
 import { renderHook, act, waitFor } from '@testing-library/react';
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import usePlaylistImportController from '../usePlaylistImportController.js';
+import useBatchImport from '../useBatchImport.js';
+import { importFromUrl } from '../useImportPlaylist.js';
 import { CODES } from '../adapters/types.js';
 import { playlistActions } from '../../playlist/actions.js';
 import { DEMO_PLAYLIST_URL } from '../../../data/demoPlaylist.js';
+import { loadDaylistSnapshots, saveDaylistSnapshot } from '../../recent/daylistSnapshots.js';
 
 const detectProviderMock = vi.hoisted(() => vi.fn(() => 'spotify'));
 const importFlowState = vi.hoisted(() => ({ status: 'idle', loading: false }));
 const importInitialMock = vi.hoisted(() => vi.fn());
 const reimportMock = vi.hoisted(() => vi.fn());
+const checkForUpdatesMock = vi.hoisted(() => vi.fn());
 const loadMoreMock = vi.hoisted(() => vi.fn());
 const resetFlowMock = vi.hoisted(() => vi.fn());
 const primeUpstreamServicesMock = vi.hoisted(() => vi.fn(() => Promise.resolve()));
@@ -42,12 +46,19 @@ vi.mock('../detectProvider.js', () => ({
   default: detectProviderMock,
 }));
 
-vi.mock('../usePlaylistImportFlow.js', () => ({
+vi.mock('../useImportPlaylist.js', () => ({
+  default: vi.fn(),
+  importFromUrl: vi.fn(),
+}));
+
+vi.mock('../usePlaylistImportFlow.js', async (importOriginal) => ({
+  buildImportData: (await importOriginal()).buildImportData,
   default: vi.fn(() => ({
     status: importFlowState.status,
     loading: importFlowState.loading,
     importInitial: importInitialMock,
     reimport: reimportMock,
+    checkForUpdates: checkForUpdatesMock,
     loadMore: loadMoreMock,
     resetFlow: resetFlowMock,
     primeUpstreamServices: primeUpstreamServicesMock,
@@ -178,6 +189,7 @@ beforeEach(() => {
   detectProviderMock.mockReturnValue('spotify');
   importInitialMock.mockReset();
   reimportMock.mockReset();
+  checkForUpdatesMock.mockReset();
   loadMoreMock.mockReset();
   resetFlowMock.mockReset();
   primeUpstreamServicesMock.mockClear();
@@ -310,6 +322,56 @@ describe('usePlaylistImportController', () => {
     expect(importInitialMock).not.toHaveBeenCalled();
   });
 
+  it('opens a batch-imported recent from the cache without re-importing', async () => {
+    const sourceUrl = 'https://open.spotify.com/playlist/batch-1';
+    importFromUrl.mockResolvedValue({
+      provider: 'spotify',
+      playlistId: 'batch-1',
+      title: 'Batch Playlist',
+      snapshotId: 'snap-b',
+      sourceUrl,
+      total: 2,
+      tracks: [
+        { id: 'b-1', title: 'One', artist: 'A' },
+        { id: 'b-2', title: 'Two', artist: 'B' },
+      ],
+      pageInfo: { hasMore: false, cursor: null },
+    });
+    const deps = createDeps();
+    const { result } = renderHook(() => {
+      const controller = usePlaylistImportController(deps);
+      const batch = useBatchImport({
+        announce: deps.announce,
+        pushRecentPlaylist: deps.pushRecentPlaylist,
+        rememberImportResult: controller.rememberImportResult,
+      });
+      return { controller, batch };
+    });
+
+    await act(async () => {
+      await result.current.batch.startBatchImport(sourceUrl);
+    });
+    expect(deps.pushRecentPlaylist).toHaveBeenCalledTimes(1);
+
+    let outcome;
+    await act(async () => {
+      outcome = await result.current.controller.handleSelectRecent({
+        id: 'recent-batch',
+        sourceUrl,
+        provider: 'spotify',
+        playlistId: 'batch-1',
+        title: 'Batch Playlist',
+      });
+    });
+
+    expect(outcome).toEqual({ ok: true });
+    expect(importInitialMock).not.toHaveBeenCalled();
+    const loaded = deps.dispatch.mock.calls.find(
+      (call) => call[0].type === playlistActions.setTracksWithNotes([], {}, {}).type,
+    );
+    expect(loaded?.[0].payload.tracks.map((track) => track.id)).toEqual(['b-1', 'b-2']);
+  });
+
   it('hydrates a recent playlist from cache without re-importing', async () => {
     const deps = createDeps();
     const cachedPayload = {
@@ -744,6 +806,177 @@ describe('usePlaylistImportController', () => {
     expect(deps.announce).toHaveBeenCalledWith('Import canceled.');
   });
 
+  describe('check for updates', () => {
+    const url = 'https://open.spotify.com/playlist/xyz';
+    const storedTracks = [
+      { id: 'a', title: 'A', artist: 'Artist' },
+      { id: 'b', title: 'B', artist: 'Artist' },
+      { id: 'c', title: 'C', artist: 'Artist' },
+    ];
+    const makeDeps = (overrides = {}) =>
+      createDeps({
+        tracks: storedTracks,
+        tracksRef: { current: storedTracks },
+        lastImportUrl: url,
+        lastImportUrlRef: { current: url },
+        screen: 'playlist',
+        initialImportMeta: {
+          provider: 'spotify',
+          playlistId: 'playlist-xyz',
+          cursor: null,
+          sourceUrl: url,
+          hasMore: false,
+          snapshotId: 'snap-1',
+          total: 3,
+          contentKind: 'music',
+        },
+        ...overrides,
+      });
+
+    it('announces when the snapshot is unchanged', async () => {
+      const deps = makeDeps();
+      checkForUpdatesMock.mockResolvedValueOnce({ ok: true, data: { unchanged: true, tracks: [] } });
+
+      const { result } = renderHook(() => usePlaylistImportController(deps));
+      await act(async () => {
+        await result.current.handleCheckForUpdates();
+      });
+
+      expect(checkForUpdatesMock).toHaveBeenCalledWith(
+        url,
+        expect.objectContaining({ existingMeta: expect.objectContaining({ snapshotId: 'snap-1' }) }),
+      );
+      expect(result.current.pendingUpdate).toBeNull();
+      expect(deps.announce).toHaveBeenCalledWith('Playlist is up to date.');
+      expect(deps.dispatch).not.toHaveBeenCalled();
+    });
+
+    it('holds the diff for review and orphans notes from removed tracks on apply', async () => {
+      const deps = makeDeps({
+        notesByTrack: { b: [{ body: 'keep this', createdAt: 1 }] },
+        tagsByTrack: { b: ['warmup'] },
+      });
+      const freshTracks = [
+        { id: 'c', title: 'C', artist: 'Artist' },
+        { id: 'a', title: 'A', artist: 'Artist' },
+        { id: 'd', title: 'D', artist: 'Artist' },
+      ];
+      checkForUpdatesMock.mockResolvedValueOnce({
+        ok: true,
+        data: {
+          tracks: freshTracks,
+          meta: { provider: 'spotify', playlistId: 'playlist-xyz', snapshotId: 'snap-2', hasMore: false },
+          title: 'My Playlist',
+          total: 3,
+        },
+      });
+
+      const { result } = renderHook(() => usePlaylistImportController(deps));
+      await act(async () => {
+        await result.current.handleCheckForUpdates();
+      });
+
+      const pending = result.current.pendingUpdate;
+      expect(pending?.diff.added.map((t) => t.id)).toEqual(['d']);
+      expect(pending?.diff.removed.map((t) => t.id)).toEqual(['b']);
+      expect(pending?.diff.reordered.map((m) => m.track.id)).toEqual(['c']);
+      expect(pending?.orphanCount).toBe(1);
+      expect(deps.dispatch).not.toHaveBeenCalled();
+
+      act(() => {
+        result.current.handleApplyUpdate();
+      });
+
+      const setCall = deps.dispatch.mock.calls.find(
+        (call) => call[0].type === playlistActions.setTracksWithNotes([], {}, {}).type,
+      );
+      expect(setCall?.[0].payload.tracks.map((t) => t.id)).toEqual(['c', 'a', 'd']);
+      expect(setCall?.[0].payload.orphans).toEqual([
+        expect.objectContaining({ id: 'b', playlistId: 'playlist-xyz', tags: ['warmup'] }),
+      ]);
+      expect(result.current.pendingUpdate).toBeNull();
+    });
+
+    it('does not report a linked track as removed and re-added', async () => {
+      // "b" was linked to a song from another service, so its notes live under that id
+      const linkedTracks = [storedTracks[0], { ...storedTracks[1], id: 'yt:b', linkedFromId: 'b' }, storedTracks[2]];
+      const deps = makeDeps({
+        tracks: linkedTracks,
+        tracksRef: { current: linkedTracks },
+        notesByTrack: { 'yt:b': [{ body: 'linked note', createdAt: 1 }] },
+      });
+      checkForUpdatesMock.mockResolvedValueOnce({
+        ok: true,
+        data: {
+          tracks: [{ id: 'a' }, { id: 'b' }, { id: 'new' }],
+          meta: { provider: 'spotify', playlistId: 'playlist-xyz', snapshotId: 'snap-2', hasMore: false },
+        },
+      });
+
+      const { result } = renderHook(() => usePlaylistImportController(deps));
+      await act(async () => {
+        await result.current.handleCheckForUpdates();
+      });
+
+      const pending = result.current.pendingUpdate;
+      expect(pending?.diff.added.map((t) => t.id)).toEqual(['new']);
+      expect(pending?.diff.removed.map((t) => t.id)).toEqual(['c']);
+      expect(pending?.orphanCount).toBe(0);
+    });
+
+    it('does not report removals when the check stopped before the last page', async () => {
+      const deps = makeDeps({ notesByTrack: { c: [{ body: 'note', createdAt: 1 }] } });
+      checkForUpdatesMock.mockResolvedValueOnce({
+        ok: true,
+        data: {
+          tracks: [{ id: 'a' }, { id: 'b' }, { id: 'new' }],
+          meta: { provider: 'spotify', playlistId: 'playlist-xyz', hasMore: true, cursor: 'next' },
+        },
+      });
+
+      const { result } = renderHook(() => usePlaylistImportController(deps));
+      await act(async () => {
+        await result.current.handleCheckForUpdates();
+      });
+
+      expect(result.current.pendingUpdate?.partial).toBe(true);
+      expect(result.current.pendingUpdate?.diff.removed).toEqual([]);
+      expect(result.current.pendingUpdate?.orphanCount).toBe(0);
+    });
+
+    it('does not report tracks past the loaded pages as added', async () => {
+      const deps = makeDeps({
+        initialImportMeta: {
+          provider: 'spotify',
+          playlistId: 'playlist-xyz',
+          cursor: 'page-2',
+          sourceUrl: url,
+          hasMore: true,
+          snapshotId: 'snap-1',
+          total: 5,
+          contentKind: 'music',
+        },
+      });
+      checkForUpdatesMock.mockResolvedValueOnce({
+        ok: true,
+        data: {
+          tracks: [{ id: 'new' }, { id: 'a' }, { id: 'b' }, { id: 'c' }, { id: 'd' }, { id: 'e' }],
+          meta: { provider: 'spotify', playlistId: 'playlist-xyz', snapshotId: 'snap-2', hasMore: false },
+        },
+      });
+
+      const { result } = renderHook(() => usePlaylistImportController(deps));
+      await act(async () => {
+        await result.current.handleCheckForUpdates();
+      });
+
+      // "d" and "e" were never loaded here, so only the track inside the loaded range is new
+      expect(result.current.pendingUpdate?.diff.added.map((t) => t.id)).toEqual(['new']);
+      expect(result.current.pendingUpdate?.loadedOnly).toBe(true);
+      expect(deps.announce).toHaveBeenCalledWith('Updates found: 1 added, 0 removed, 0 moved.');
+    });
+  });
+
   it('surfaces cancel state on select recent abort', async () => {
     const deps = createDeps();
     const recent = {
@@ -1056,6 +1289,149 @@ describe('usePlaylistImportController', () => {
     expect(deps.announce).toHaveBeenCalledWith('Too many requests. Try again shortly.');
   });
 
+  it('imports a dropped tracklist file through the file provider', async () => {
+    const deps = createDeps();
+    importInitialMock.mockResolvedValue({
+      ok: true,
+      data: {
+        tracks: [{ id: 'file-abc', title: 'Da Funk', artist: 'Daft Punk' }],
+        meta: { provider: 'file', playlistId: 'file-friday-set', hasMore: false, total: 1 },
+        importedAt: '2024-01-01T00:00:00.000Z',
+        title: 'Friday Set',
+        total: 1,
+      },
+    });
+    const file = /** @type {any} */ ({
+      name: 'Friday Set.txt',
+      size: 20,
+      text: vi.fn(() => Promise.resolve('Daft Punk - Da Funk\n')),
+    });
+
+    const { result } = renderHook(() => usePlaylistImportController(deps));
+
+    await act(async () => {
+      await result.current.handleImportTracklist({ file });
+    });
+
+    expect(importInitialMock).toHaveBeenCalledWith(
+      'tracklist:file-friday-set',
+      expect.objectContaining({
+        providerHint: 'file',
+        tracklist: { text: 'Daft Punk - Da Funk\n', fileName: 'Friday Set.txt' },
+      }),
+    );
+    expect(deps.setScreen).toHaveBeenCalledWith('playlist');
+  });
+
+  it('rejects oversized or empty tracklists before importing', async () => {
+    const deps = createDeps();
+    const { result } = renderHook(() => usePlaylistImportController(deps));
+    const bigFile = /** @type {any} */ ({ name: 'huge.csv', size: 3 * 1024 * 1024, text: vi.fn() });
+
+    await act(async () => {
+      await result.current.handleImportTracklist({ file: bigFile });
+    });
+    expect(result.current.importError).toEqual({
+      message: 'That file is too large to import (2 MB max).',
+      type: 'error',
+    });
+    expect(bigFile.text).not.toHaveBeenCalled();
+
+    await act(async () => {
+      await result.current.handleImportTracklist({ text: '   \n' });
+    });
+    expect(result.current.importError?.message).toMatch(/no tracks found/i);
+    expect(importInitialMock).not.toHaveBeenCalled();
+  });
+
+  describe('daylist snapshots', () => {
+    const DAYLIST_URL = 'https://open.spotify.com/playlist/37i9dQZF1EP6YuccBxUcC1';
+    const daylistDeps = () =>
+      createDeps({
+        tracksRef: {
+          current: [
+            { id: 'sp-1', title: 'One', notes: [{ body: 'keep', createdAt: 1 }], tags: ['calm'] },
+            { id: 'sp-2', title: 'Two', notes: [], tags: [] },
+          ],
+        },
+        playlistTitle: 'daylist • dreamy tuesday night',
+        lastImportUrl: DAYLIST_URL,
+        initialImportMeta: {
+          ...createDeps().initialImportMeta,
+          provider: 'spotify',
+          playlistId: '37i9dQZF1EP6YuccBxUcC1',
+        },
+      });
+
+    beforeEach(() => {
+      window.localStorage.removeItem('sta:daylist-snapshots');
+    });
+
+    it('stores a frozen copy and opens it as a snapshot recent', () => {
+      const deps = daylistDeps();
+      const { result } = renderHook(() => usePlaylistImportController(deps));
+
+      let outcome;
+      act(() => {
+        outcome = result.current.handleSnapshotDaylist();
+      });
+
+      expect(outcome).toEqual({ ok: true });
+      const [snapshot] = loadDaylistSnapshots();
+      expect(snapshot).toMatchObject({
+        kind: 'daylist-snapshot',
+        sourcePlaylistId: '37i9dQZF1EP6YuccBxUcC1',
+        title: 'daylist • dreamy tuesday night',
+        tracks: [{ id: 'sp-1', title: 'One' }, { id: 'sp-2', title: 'Two' }],
+      });
+      expect(snapshot.tracks[0]).not.toHaveProperty('notes');
+      expect(deps.setLastImportUrl).toHaveBeenCalledWith(`snapshot:${snapshot.id}`);
+      expect(deps.pushRecentPlaylist).toHaveBeenCalledWith(
+        expect.objectContaining({ provider: 'spotify', playlistId: snapshot.id }),
+        expect.objectContaining({ kind: 'daylist-snapshot', capturedAt: snapshot.capturedAt }),
+      );
+      expect(deps.announce).toHaveBeenCalledWith('Daylist snapshot saved. 2 tracks.');
+      expect(importInitialMock).not.toHaveBeenCalled();
+    });
+
+    it('reopens snapshots from this device and never re-imports them', async () => {
+      saveDaylistSnapshot({
+        id: 'daylist-1-100',
+        kind: 'daylist-snapshot',
+        sourcePlaylistId: 'daylist-1',
+        capturedAt: 100,
+        title: 'daylist • sunday',
+        tracks: [{ id: 'sp-9', title: 'Nine' }],
+      });
+      const deps = createDeps();
+      const { result } = renderHook(() => usePlaylistImportController(deps));
+      const recent = {
+        id: 'spotify:daylist-1-100',
+        provider: 'spotify',
+        playlistId: 'daylist-1-100',
+        sourceUrl: 'snapshot:daylist-1-100',
+        kind: 'daylist-snapshot',
+      };
+
+      let outcome;
+      await act(async () => {
+        outcome = await result.current.handleSelectRecent(recent);
+      });
+      expect(outcome).toEqual({ ok: true });
+      expect(deps.setPlaylistTitle).toHaveBeenCalledWith('daylist • sunday');
+
+      window.localStorage.removeItem('sta:daylist-snapshots');
+      await act(async () => {
+        outcome = await result.current.handleSelectRecent(recent);
+      });
+      expect(outcome).toMatchObject({ ok: false });
+      expect(deps.announce).toHaveBeenCalledWith(
+        'This daylist snapshot is no longer saved on this device.',
+      );
+      expect(importInitialMock).not.toHaveBeenCalled();
+    });
+  });
+
   it('clears import error when set to null', async () => {
     const deps = createDeps();
     const { result } = renderHook(() => usePlaylistImportController(deps));
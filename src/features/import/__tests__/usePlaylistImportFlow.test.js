@@ -8,6 +8,7 @@ import usePlaylistImportFlow, { ImportFlowStatus } from '../usePlaylistImportFlo
  * @property {typeof ImportFlowStatus[keyof typeof ImportFlowStatus]} status
  * @property {(url: string, options?: any) => Promise<ImportResult>} importInitial
  * @property {(url: string, options?: any) => Promise<ImportResult>} reimport
+ * @property {(url: string, options?: any) => Promise<ImportResult>} checkForUpdates
  * @property {(options?: any) => Promise<ImportResult>} loadMore
  * @property {() => void} resetFlow
  * @property {boolean} loading
@@ -239,6 +240,68 @@ describe('usePlaylistImportFlow', () => {
     expect(outcome.code).toBe('ERR_NOT_FOUND')
   })
 
+  it('stops checking for updates when the snapshot id matches', async () => {
+    importPlaylistMock.mockResolvedValueOnce({
+      provider: 'spotify',
+      snapshotId: 'snap-1',
+      tracks: [{ id: 'track-1', title: 'One', artist: 'A' }],
+      pageInfo: { cursor: 'next', hasMore: true },
+    })
+
+    const { result } = renderHook(() => usePlaylistImportFlow())
+    const flow = /** @type {TestImportFlowApi} */ (result.current)
+
+    /** @type {ImportResult | undefined} */
+    let outcome
+    await act(async () => {
+      outcome = await flow.checkForUpdates('https://example.com/a', {
+        existingMeta: { snapshotId: 'snap-1' },
+      })
+    })
+
+    expect(importPlaylistMock).toHaveBeenCalledTimes(1)
+    expect(outcome?.ok).toBe(true)
+    expect(outcome?.data?.unchanged).toBe(true)
+  })
+
+  it('loads every page when checking for updates without a matching snapshot', async () => {
+    importPlaylistMock
+      .mockResolvedValueOnce({
+        provider: 'spotify',
+        snapshotId: 'snap-2',
+        tracks: [{ id: 'track-1', title: 'One', artist: 'A' }],
+        pageInfo: { cursor: 'page-2', hasMore: true },
+      })
+      .mockResolvedValueOnce({
+        provider: 'spotify',
+        tracks: [
+          { id: 'track-1', title: 'One', artist: 'A' },
+          { id: 'track-2', title: 'Two', artist: 'B' },
+        ],
+        pageInfo: { cursor: null, hasMore: false },
+      })
+
+    const { result } = renderHook(() => usePlaylistImportFlow())
+    const flow = /** @type {TestImportFlowApi} */ (result.current)
+
+    /** @type {ImportResult | undefined} */
+    let outcome
+    await act(async () => {
+      outcome = await flow.checkForUpdates('https://example.com/a', {
+        existingMeta: { snapshotId: 'snap-1' },
+      })
+    })
+
+    expect(importPlaylistMock).toHaveBeenLastCalledWith(
+      'https://example.com/a',
+      expect.objectContaining({ cursor: 'page-2' }),
+    )
+    expect(outcome?.data?.unchanged).toBe(false)
+    expect(outcome?.data?.tracks.map((t) => t.id)).toEqual(['track-1', 'track-2'])
+    expect(outcome?.data?.meta).toMatchObject({ snapshotId: 'snap-2', hasMore: false })
+    expect(result.current.status).toBe(ImportFlowStatus.IDLE)
+  })
+
   it('returns unknown error when reimport is called without a url', async () => {
     const { result } = renderHook(() => usePlaylistImportFlow())
     const flow = /** @type {TestImportFlowApi} */ (result.current)
@@ -0,0 +1,129 @@
+// @vitest-environment node
+import { describe, expect, it, beforeAll, afterAll } from 'vitest'
+import { fileURLToPath } from 'node:url'
+import { readFixture, startFixtureServer } from '../../../../test-utils/fixtureServer.js'
+
+const { CODES } = await import('../types.js')
+const { importPlaylist, parsePlaylistUrl } = await import('../appleMusicAdapter.js')
+
+const FIXTURE_DIR = fileURLToPath(new URL('./fixtures/applemusic/', import.meta.url))
+const PLAYLIST_URL = 'https://music.apple.com/gb/playlist/reference-crate/pl.crate01'
+
+/** @type {Record<string, { status: number, body: unknown }>} */
+const ERROR_PLAYLISTS = {
+  'pl.missing': { status: 404, body: { error: 'apple_music_error', status: 404 } },
+  'pl.busy': { status: 429, body: { error: 'apple_music_error', status: 429 } },
+  'pl.down': { status: 502, body: { error: 'apple_music_unavailable' } },
+}
+
+/** @param {URL} url */
+function route(url) {
+  const id = url.searchParams.get('id') ?? ''
+  const storefront = url.searchParams.get('storefront')
+  if (ERROR_PLAYLISTS[id]) return ERROR_PLAYLISTS[id]
+  if (storefront !== 'gb') return { status: 404, body: { error: 'apple_music_error', status: 404 } }
+  if (url.pathname === '/api/apple-music/playlist') {
+    const body = readFixture(FIXTURE_DIR, `playlist.${id}.json`)
+    return body ? { body } : { status: 404, body: { error: 'apple_music_error', status: 404 } }
+  }
+  if (url.pathname === '/api/apple-music/tracks') {
+    const offset = url.searchParams.get('offset') ?? '0'
+    const body = readFixture(FIXTURE_DIR, `tracks.${id}.${offset}.json`)
+    return body ? { body } : { status: 404, body: { error: 'apple_music_error', status: 404 } }
+  }
+  return null
+}
+
+describe('appleMusicAdapter', () => {
+  /** @type {Awaited<ReturnType<typeof startFixtureServer>>} */
+  let stub
+
+  beforeAll(async () => {
+    stub = await startFixtureServer(route)
+  })
+
+  afterAll(async () => {
+    await stub.close()
+  })
+
+  it('imports the playlist and its embedded first tracks page', async () => {
+    const before = stub.requests.length
+    const result = await importPlaylist({ url: `${PLAYLIST_URL}?l=en-GB`, fetchClient: stub.fetchClient })
+
+    expect(stub.requests.slice(before).map((url) => url.pathname)).toEqual(['/api/apple-music/playlist'])
+    expect(result).toMatchObject({
+      provider: 'applemusic',
+      playlistId: 'pl.crate01',
+      title: 'Reference Crate',
+      snapshotId: '2024-02-11T20:14:03Z',
+      sourceUrl: PLAYLIST_URL,
+      coverUrl: 'https://is1-ssl.mzstatic.com/image/thumb/crate/160x160cc.jpg',
+      total: 3,
+      pageInfo: { cursor: '100', hasMore: true },
+    })
+    expect(result.debug).toMatchObject({ stage: 'initial', skipped: 1 })
+    expect(result.tracks).toHaveLength(1)
+    expect(result.tracks[0]).toMatchObject({
+      id: '697195462',
+      providerTrackId: '697195462',
+      title: 'Teardrop',
+      artist: 'Massive Attack',
+      album: 'Mezzanine',
+      durationMs: 330_773,
+      thumbnailUrl: 'https://is1-ssl.mzstatic.com/image/thumb/mezzanine/160x160bb.jpg',
+      sourceUrl: 'https://music.apple.com/gb/album/teardrop/697194953?i=697195462',
+      provider: 'applemusic',
+      kind: 'music',
+    })
+  })
+
+  it('pages through the tracks resource with the offset cursor', async () => {
+    const result = await importPlaylist({ url: PLAYLIST_URL, cursor: '100', fetchClient: stub.fetchClient })
+
+    expect(result.pageInfo).toEqual({ cursor: null, hasMore: false })
+    expect(result.tracks.map((t) => t.id)).toEqual(['1440857781'])
+    expect(result.tracks[0].thumbnailUrl).toBeUndefined()
+  })
+
+  it.each([
+    ['pl.missing', CODES.ERR_NOT_FOUND],
+    ['pl.busy', CODES.ERR_RATE_LIMITED],
+    ['pl.down', CODES.ERR_NETWORK],
+  ])('maps proxy errors for %s to %s', async (playlistId, code) => {
+    await expect(
+      importPlaylist({ url: `https://music.apple.com/gb/playlist/${playlistId}`, fetchClient: stub.fetchClient }),
+    ).rejects.toMatchObject({ code, details: { provider: 'applemusic', stage: 'meta' } })
+  })
+
+  it('maps AbortError to ERR_ABORTED', async () => {
+    const controller = new AbortController()
+    controller.abort()
+
+    await expect(
+      importPlaylist({ url: PLAYLIST_URL, signal: controller.signal, fetchClient: stub.fetchClient }),
+    ).rejects.toMatchObject({ code: CODES.ERR_ABORTED, details: { provider: 'applemusic' } })
+  })
+})
+
+describe('parsePlaylistUrl', () => {
+  it('reads the storefront and catalog id', () => {
+    expect(parsePlaylistUrl('https://music.apple.com/us/playlist/todays-hits/pl.f4d106fed2bd')).toEqual({
+      playlistId: 'pl.f4d106fed2bd',
+      storefront: 'us',
+      library: false,
+    })
+    expect(parsePlaylistUrl('music.apple.com/JP/playlist/pl.u-8aAVZAzCkDLKql')).toMatchObject({
+      playlistId: 'pl.u-8aAVZAzCkDLKql',
+      storefront: 'jp',
+    })
+  })
+
+  it('flags library playlists and rejects other Apple Music pages', () => {
+    expect(parsePlaylistUrl('https://music.apple.com/library/playlist/p.XyZ123')).toMatchObject({
+      playlistId: 'p.XyZ123',
+      library: true,
+    })
+    expect(parsePlaylistUrl('https://music.apple.com/us/album/mezzanine/697194953')).toBeNull()
+    expect(parsePlaylistUrl('https://example.com/us/playlist/pl.abc')).toBeNull()
+  })
+})
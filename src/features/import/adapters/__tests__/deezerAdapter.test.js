@@ -0,0 +1,127 @@
+// @vitest-environment node
+import { describe, expect, it, beforeAll, afterAll } from 'vitest'
+import { fileURLToPath } from 'node:url'
+import { readFixture, startFixtureServer } from '../../../../test-utils/fixtureServer.js'
+
+const { CODES } = await import('../types.js')
+const { importPlaylist, extractPlaylistId } = await import('../deezerAdapter.js')
+
+const FIXTURE_DIR = fileURLToPath(new URL('./fixtures/deezer/', import.meta.url))
+const PLAYLIST_URL = 'https://www.deezer.com/en/playlist/908622995'
+
+/** @type {Record<string, { status: number, body: unknown }>} */
+const ERROR_PLAYLISTS = {
+  '111': { status: 403, body: { error: 'deezer_error', code: 200 } },
+  '222': { status: 404, body: { error: 'deezer_error', code: 800 } },
+  '333': { status: 429, body: { error: 'deezer_error', code: 4 } },
+  '444': { status: 502, body: { error: 'deezer_unavailable' } },
+}
+
+/** @param {URL} url */
+function route(url) {
+  const id = url.searchParams.get('id') ?? ''
+  if (ERROR_PLAYLISTS[id]) return ERROR_PLAYLISTS[id]
+  if (url.pathname === '/api/deezer/playlist') {
+    const body = readFixture(FIXTURE_DIR, `playlist.${id}.json`)
+    return body ? { body } : { status: 404, body: { error: 'deezer_error', code: 800 } }
+  }
+  if (url.pathname === '/api/deezer/tracks') {
+    const index = url.searchParams.get('index') ?? '0'
+    const body = readFixture(FIXTURE_DIR, `tracks.${id}.${index}.json`)
+    return body ? { body } : { status: 404, body: { error: 'deezer_error', code: 800 } }
+  }
+  return null
+}
+
+describe('deezerAdapter', () => {
+  /** @type {Awaited<ReturnType<typeof startFixtureServer>>} */
+  let stub
+
+  beforeAll(async () => {
+    stub = await startFixtureServer(route)
+  })
+
+  afterAll(async () => {
+    await stub.close()
+  })
+
+  it('imports the first page with playlist metadata', async () => {
+    const result = await importPlaylist({ url: PLAYLIST_URL, fetchClient: stub.fetchClient })
+
+    expect(result).toMatchObject({
+      provider: 'deezer',
+      playlistId: '908622995',
+      title: 'Reference Crate',
+      snapshotId: '9f2c6a1e0b7d4c3a',
+      sourceUrl: 'https://www.deezer.com/playlist/908622995',
+      coverUrl: 'https://e-cdns-images.dzcdn.net/images/playlist/crate/250x250-000000-80-0-0.jpg',
+      total: 3,
+      pageInfo: { cursor: '2', hasMore: true },
+    })
+    expect(result.debug).toMatchObject({ stage: 'initial', skipped: 1 })
+    expect(result.tracks).toHaveLength(1)
+    expect(result.tracks[0]).toMatchObject({
+      id: '3135556',
+      providerTrackId: '3135556',
+      title: 'Harder, Better, Faster, Stronger',
+      artist: 'Daft Punk',
+      album: 'Discovery',
+      durationMs: 224_000,
+      isrc: 'GBDUW0000059',
+      thumbnailUrl: 'https://e-cdns-images.dzcdn.net/images/cover/discovery/250x250-000000-80-0-0.jpg',
+      sourceUrl: 'https://www.deezer.com/track/3135556',
+      dateAdded: '2024-01-31T23:00:00.000Z',
+      provider: 'deezer',
+      kind: 'music',
+    })
+  })
+
+  it('pages with the index cursor and skips the metadata lookup', async () => {
+    const before = stub.requests.length
+    const result = await importPlaylist({ url: PLAYLIST_URL, cursor: '2', fetchClient: stub.fetchClient })
+    const paths = stub.requests.slice(before).map((url) => url.pathname)
+
+    expect(paths).toEqual(['/api/deezer/tracks'])
+    expect(result.pageInfo).toEqual({ cursor: null, hasMore: false })
+    expect(result.tracks[0]).toMatchObject({
+      id: '1109731',
+      artist: 'Aphex Twin',
+      durationMs: 366_000,
+      thumbnailUrl: 'https://e-cdns-images.dzcdn.net/images/cover/windowlicker/56x56-000000-80-0-0.jpg',
+    })
+  })
+
+  it.each([
+    ['111', CODES.ERR_PRIVATE_PLAYLIST],
+    ['222', CODES.ERR_NOT_FOUND],
+    ['333', CODES.ERR_RATE_LIMITED],
+    ['444', CODES.ERR_NETWORK],
+  ])('maps proxy errors for playlist %s to %s', async (playlistId, code) => {
+    await expect(
+      importPlaylist({
+        url: `https://www.deezer.com/playlist/${playlistId}`,
+        cursor: '100',
+        fetchClient: stub.fetchClient,
+      }),
+    ).rejects.toMatchObject({ code, details: { provider: 'deezer', stage: 'tracks' } })
+  })
+
+  it('maps AbortError to ERR_ABORTED', async () => {
+    const controller = new AbortController()
+    controller.abort()
+
+    await expect(
+      importPlaylist({ url: PLAYLIST_URL, signal: controller.signal, fetchClient: stub.fetchClient }),
+    ).rejects.toMatchObject({ code: CODES.ERR_ABORTED, details: { provider: 'deezer' } })
+  })
+})
+
+describe('extractPlaylistId', () => {
+  it('reads numeric ids with or without a language prefix', () => {
+    expect(extractPlaylistId('https://www.deezer.com/fr/playlist/123456?utm=1')).toBe('123456')
+    expect(extractPlaylistId('deezer.com/playlist/123456')).toBe('123456')
+    expect(extractPlaylistId('https://www.deezer.com/en/album/123456')).toBeNull()
+    expect(extractPlaylistId('https://www.deezer.com/en/playlist/not-a-number')).toBeNull()
+    expect(extractPlaylistId('https://link.deezer.com/s/30abc')).toBeNull()
+  })
+})
@@ -0,0 +1,180 @@
+import { describe, expect, it } from 'vitest'
+import { CODES } from '../types.js'
+import {
+  buildTracklistSourceUrl,
+  detectTracklistFormat,
+  extractTracklistId,
+  importPlaylist,
+  makeTrackId,
+  MAX_TRACKLIST_TRACKS,
+  parseTracklist,
+} from '../fileAdapter.js'
+
+const REKORDBOX_TSV = [
+  '#\tTrack Title\tArtist\tAlbum\tTime',
+  '1\tWindowlicker\tAphex Twin\tWindowlicker\t06:06',
+  '2\tDa Funk\tDaft Punk\tHomework\t05:28',
+].join('\n')
+
+const SERATO_CSV = [
+  'name,artist,album,length',
+  '"Teardrop","Massive Attack","Mezzanine","5:30"',
+  '"Hey, Boy Hey, Girl","The Chemical Brothers","Surrender","4:50"',
+].join('\r\n')
+
+const M3U = [
+  '#EXTM3U',
+  '#PLAYLIST:Warm-up',
+  '#EXTINF:366,Aphex Twin - Windowlicker',
+  '/Music/Aphex Twin/Windowlicker.mp3',
+  '#EXTINF:-1,Radio Stream',
+  'https://stream.example.com/live',
+  '/Music/Untagged/Daft Punk - Da Funk.flac',
+].join('\n')
+
+describe('parseTracklist', () => {
+  it('reads "Artist - Title" lines and strips numbering and cue times', () => {
+    const text = [
+      '# Friday set',
+      '01. Aphex Twin - Windowlicker',
+      '[2] Daft Punk – Da Funk',
+      '[1:02:45] Massive Attack — Teardrop',
+      '12:30 - Underworld - Born Slippy',
+      'A Guy Called Gerald - 1.5 Degrees',
+      'not a track line',
+    ].join('\n')
+
+    const parsed = parseTracklist(text)
+
+    expect(parsed.format).toBe('text')
+    expect(parsed.skipped).toBe(0)
+    expect(parsed.tracks.map((t) => [t.artist, t.title])).toEqual([
+      ['Aphex Twin', 'Windowlicker'],
+      ['Daft Punk', 'Da Funk'],
+      ['Massive Attack', 'Teardrop'],
+      ['Underworld', 'Born Slippy'],
+      ['A Guy Called Gerald', '1.5 Degrees'],
+      ['Unknown Artist', 'not a track line'],
+    ])
+    expect(parsed.tracks[0]).toMatchObject({ provider: 'file', kind: 'music' })
+  })
+
+  it('reads Rekordbox TSV and Serato CSV exports', () => {
+    const rekordbox = parseTracklist(REKORDBOX_TSV, { fileName: 'crate.txt' })
+    expect(rekordbox.format).toBe('csv')
+    expect(rekordbox.tracks[0]).toMatchObject({
+      title: 'Windowlicker',
+      artist: 'Aphex Twin',
+      album: 'Windowlicker',
+      durationMs: 366_000,
+    })
+
+    const serato = parseTracklist(SERATO_CSV)
+    expect(serato.format).toBe('csv')
+    expect(serato.tracks.map((t) => t.title)).toEqual(['Teardrop', 'Hey, Boy Hey, Girl'])
+    expect(serato.tracks[1]).toMatchObject({ artist: 'The Chemical Brothers', durationMs: 290_000 })
+  })
+
+  it('reads M3U playlists, falling back to file names without EXTINF', () => {
+    const parsed = parseTracklist(M3U)
+
+    expect(parsed.format).toBe('m3u')
+    expect(parsed.title).toBe('Warm-up')
+    expect(parsed.tracks.map((t) => [t.artist, t.title])).toEqual([
+      ['Aphex Twin', 'Windowlicker'],
+      ['Unknown Artist', 'Radio Stream'],
+      ['Daft Punk', 'Da Funk'],
+    ])
+    expect(parsed.tracks[0].durationMs).toBe(366_000)
+    expect(parsed.tracks[1]).toMatchObject({ sourceUrl: 'https://stream.example.com/live' })
+    expect(parsed.tracks[1].durationMs).toBeUndefined()
+  })
+
+  it('keeps ids stable across re-imports and suffixes duplicates', () => {
+    const first = parseTracklist('Aphex Twin - Windowlicker\nDaft Punk - Da Funk\naphex twin - WINDOWLICKER')
+    const second = parseTracklist('Daft Punk - Da Funk\nAphex  Twin - Windowlicker')
+
+    expect(first.tracks[0].id).toBe(makeTrackId('Aphex Twin', 'Windowlicker'))
+    expect(first.tracks[2].id).toBe(`${first.tracks[0].id}-2`)
+    expect(second.tracks[1].id).toBe(first.tracks[0].id)
+    expect(second.tracks[0].id).toBe(first.tracks[1].id)
+  })
+
+  it('caps very long tracklists', () => {
+    const text = Array.from({ length: MAX_TRACKLIST_TRACKS + 3 }, (_, i) => `Artist - Track ${i}`).join('\n')
+    const parsed = parseTracklist(text)
+
+    expect(parsed.truncated).toBe(true)
+    expect(parsed.tracks).toHaveLength(MAX_TRACKLIST_TRACKS)
+    expect(parsed.skipped).toBe(3)
+  })
+})
+
+describe('detectTracklistFormat', () => {
+  it('prefers the file extension, then sniffs content', () => {
+    expect(detectTracklistFormat('Artist - Title', 'set.m3u8')).toBe('m3u')
+    expect(detectTracklistFormat('#EXTM3U\nfoo.mp3', null)).toBe('m3u')
+    expect(detectTracklistFormat(SERATO_CSV, 'export.csv')).toBe('csv')
+    expect(detectTracklistFormat('Artist - Title', 'notes.txt')).toBe('text')
+  })
+})
+
+describe('buildTracklistSourceUrl', () => {
+  it('keys files by name and pastes by content', () => {
+    const fromFile = buildTracklistSourceUrl({ text: 'a - b', fileName: 'Friday Set.m3u' })
+    expect(fromFile).toBe('tracklist:file-friday-set')
+    expect(buildTracklistSourceUrl({ text: 'c - d', fileName: 'Friday Set.m3u' })).toBe(fromFile)
+
+    const paste = buildTracklistSourceUrl({ text: 'a - b' })
+    expect(paste).toMatch(/^tracklist:paste-[a-z0-9]+$/)
+    expect(buildTracklistSourceUrl({ text: ' a - b \n' })).toBe(paste)
+    expect(extractTracklistId(paste)).toBe(paste.slice('tracklist:'.length))
+    expect(extractTracklistId('https://example.com/tracklist')).toBeNull()
+  })
+})
+
+describe('importPlaylist', () => {
+  it('returns the parsed tracklist as a single page', async () => {
+    const tracklist = { text: REKORDBOX_TSV, fileName: 'Peak Time.txt' }
+    const url = buildTracklistSourceUrl(tracklist)
+    const result = await importPlaylist({ url, context: { tracklist } })
+
+    expect(result).toMatchObject({
+      provider: 'file',
+      playlistId: 'file-peak-time',
+      title: 'Peak Time',
+      sourceUrl: url,
+      total: 2,
+      pageInfo: { cursor: null, hasMore: false },
+    })
+    expect(result.snapshotId).toEqual(expect.any(String))
+    expect(result.debug).toMatchObject({ source: 'file:csv', skipped: 0 })
+  })
+
+  it('titles pastes generically', async () => {
+    const tracklist = { text: 'Aphex Twin - Windowlicker' }
+    const result = await importPlaylist({ url: buildTracklistSourceUrl(tracklist), context: { tracklist } })
+    expect(result.title).toBe('Pasted tracklist')
+  })
+
+  it('rejects unsupported URLs, missing text and empty tracklists', async () => {
+    await expect(importPlaylist({ url: 'https://example.com' })).rejects.toMatchObject({
+      code: CODES.ERR_UNSUPPORTED_URL,
+    })
+    await expect(importPlaylist({ url: 'tracklist:paste-abc' })).rejects.toMatchObject({
+      code: CODES.ERR_NOT_FOUND,
+      details: { provider: 'file', reason: 'tracklist_unavailable' },
+    })
+    await expect(
+      importPlaylist({ url: 'tracklist:paste-abc', context: { tracklist: { text: '# only comments\n\n' } } }),
+    ).rejects.toMatchObject({ code: CODES.ERR_EMPTY_TRACKLIST })
+  })
+
+  it('maps an aborted signal to ERR_ABORTED', async () => {
+    const controller = new AbortController()
+    controller.abort()
+    await expect(
+      importPlaylist({ url: 'tracklist:paste-abc', signal: controller.signal, context: { tracklist: { text: 'a - b' } } }),
+    ).rejects.toMatchObject({ code: CODES.ERR_ABORTED })
+  })
+})
@@ -1,64 +1,158 @@
-import { describe, expect, it, beforeEach, vi } from 'vitest'
+// @vitest-environment node
+import { describe, expect, it, beforeAll, afterAll } from 'vitest'
+import { fileURLToPath } from 'node:url'
+import { readFixture, startFixtureServer } from '../../../../test-utils/fixtureServer.js'
 
-const importPlaylistMock = vi.fn()
+const { CODES } = await import('../types.js')
+const { importPlaylist, extractSetPath } = await import('../soundcloudAdapter.js')
 
-vi.mock('../mockAdapterUtils.js', () => ({
-  createPagedMockAdapter: vi.fn(() => ({
-    importPlaylist: importPlaylistMock,
-  })),
-}))
+const FIXTURE_DIR = fileURLToPath(new URL('./fixtures/soundcloud/', import.meta.url))
+const SET_URL = 'https://soundcloud.com/beatdigger/sets/sample-crate-vol-3'
+const GEO_PLAYLIST_ID = '1620339999'
 
-const { CODES } = await import('../types.js')
-const { importPlaylist } = await import('../soundcloudAdapter.js')
+/** @type {Record<string, { status: number, body?: unknown }>} */
+const RESOLVE_ERRORS = {
+  'https://soundcloud.com/beatdigger/sets/locked': { status: 403, body: { error: 'soundcloud_error' } },
+  'https://soundcloud.com/beatdigger/sets/gone': { status: 404, body: { error: 'soundcloud_error' } },
+  'https://soundcloud.com/beatdigger/sets/busy': { status: 429, body: { error: 'rate_limited' } },
+}
 
-describe('soundcloudAdapter importPlaylist', () => {
-  beforeEach(() => {
-    importPlaylistMock.mockReset()
-  })
+/** @param {URL} url */
+function route(url) {
+  if (url.pathname !== '/api/soundcloud') return null
+  const setUrl = url.searchParams.get('url')
+  if (setUrl) {
+    if (RESOLVE_ERRORS[setUrl]) return RESOLVE_ERRORS[setUrl]
+    const base = readFixture(FIXTURE_DIR, 'resolve.json')
+    if (setUrl === SET_URL) return { body: base }
+    if (setUrl.endsWith('/sets/region-only')) return { body: { ...base, id: Number(GEO_PLAYLIST_ID) } }
+    if (setUrl.endsWith('/sets/hidden')) return { body: { ...base, sharing: 'private' } }
+    if (setUrl.endsWith('/sets/hidden/s-AbCdE')) return { body: { ...base, sharing: 'private' } }
+    return { status: 404, body: { error: 'soundcloud_error' } }
+  }
+  const playlistId = url.searchParams.get('playlistId')
+  if (playlistId === GEO_PLAYLIST_ID) return { body: readFixture(FIXTURE_DIR, 'tracks.geoblocked.json') }
+  if (playlistId) return { body: readFixture(FIXTURE_DIR, 'tracks.first.json') }
+  const next = url.searchParams.get('next')
+  if (next) {
+    const cursor = new URL(next).searchParams.get('cursor')
+    const body = readFixture(FIXTURE_DIR, `tracks.cursor-${cursor}.json`)
+    return body ? { body } : { status: 404, body: { error: 'soundcloud_error' } }
+  }
+  return { status: 400, body: { error: 'invalid_params' } }
+}
 
-  it('returns successful payload from the underlying adapter', async () => {
-    const result = { ok: true, data: [] }
-    importPlaylistMock.mockResolvedValueOnce(result)
+describe('soundcloudAdapter', () => {
+  /** @type {Awaited<ReturnType<typeof startFixtureServer>>} */
+  let stub
 
-    await expect(importPlaylist({ cursor: null })).resolves.toBe(result)
+  beforeAll(async () => {
+    stub = await startFixtureServer(route)
   })
 
-  it('wraps abort errors with ERR_ABORTED', async () => {
-    const error = new Error('cancelled')
-    error.name = 'AbortError'
-    importPlaylistMock.mockRejectedValueOnce(error)
+  afterAll(async () => {
+    await stub.close()
+  })
 
-    await expect(importPlaylist({ cursor: null })).rejects.toMatchObject({
-      code: CODES.ERR_ABORTED,
-      details: { provider: 'soundcloud' },
+  it('resolves the set URL and maps the first tracks page', async () => {
+    const result = await importPlaylist({ url: `${SET_URL}?si=abc&utm_source=clipboard`, fetchClient: stub.fetchClient })
+
+    expect(result).toMatchObject({
+      provider: 'soundcloud',
+      playlistId: 'beatdigger/sets/sample-crate-vol-3',
+      title: 'Sample Crate Vol. 3',
+      sourceUrl: SET_URL,
+      coverUrl: 'https://i1.sndcdn.com/artworks-crate3-large.jpg',
+      snapshotId: '2024/02/11 20:14:03 +0000',
+      total: 3,
+      pageInfo: {
+        cursor: 'https://api.soundcloud.com/playlists/1620334561/tracks?linked_partitioning=true&limit=50&cursor=2',
+        hasMore: true,
+      },
+    })
+    expect(result.debug).toMatchObject({ stage: 'initial', skipped: 1 })
+    expect(result.tracks).toHaveLength(1)
+    expect(result.tracks[0]).toMatchObject({
+      id: '1100000001',
+      providerTrackId: '1100000001',
+      title: 'Dusty Rhodes Loop 92bpm',
+      artist: 'The Diggers',
+      album: 'Loops Vol. 1',
+      durationMs: 184_000,
+      thumbnailUrl: 'https://i1.sndcdn.com/artworks-dusty-large.jpg',
+      sourceUrl: 'https://soundcloud.com/beatdigger/dusty-rhodes-loop',
+      provider: 'soundcloud',
     })
   })
 
-  it('wraps rate limit errors', async () => {
-    importPlaylistMock.mockRejectedValueOnce({ status: 429 })
+  it('follows next_href as the cursor without resolving again', async () => {
+    const first = await importPlaylist({ url: SET_URL, fetchClient: stub.fetchClient })
+    const before = stub.requests.length
+    const second = await importPlaylist({
+      url: SET_URL,
+      cursor: first.pageInfo?.cursor ?? undefined,
+      fetchClient: stub.fetchClient,
+    })
+    const calls = stub.requests.slice(before)
 
-    await expect(importPlaylist({ cursor: null })).rejects.toMatchObject({
-      code: CODES.ERR_RATE_LIMITED,
-      details: { provider: 'soundcloud' },
+    expect(calls).toHaveLength(1)
+    expect(calls[0].searchParams.has('next')).toBe(true)
+    expect(second.playlistId).toBe('beatdigger/sets/sample-crate-vol-3')
+    expect(second.pageInfo).toEqual({ cursor: null, hasMore: false })
+    expect(second.tracks[0]).toMatchObject({
+      id: '1100000003',
+      artist: 'foley-fiend',
+      durationMs: 95_000,
+      thumbnailUrl: 'https://i1.sndcdn.com/avatars-foley-large.jpg',
     })
   })
 
-  it('wraps unauthorized errors as private playlist', async () => {
-    importPlaylistMock.mockRejectedValueOnce({ status: 403 })
-
-    await expect(importPlaylist({ cursor: null })).rejects.toMatchObject({
-      code: CODES.ERR_PRIVATE_PLAYLIST,
-      details: { provider: 'soundcloud' },
+  it('maps sets where every track is geo-blocked to ERR_NOT_FOUND', async () => {
+    await expect(
+      importPlaylist({ url: 'https://soundcloud.com/beatdigger/sets/region-only', fetchClient: stub.fetchClient }),
+    ).rejects.toMatchObject({
+      code: CODES.ERR_NOT_FOUND,
+      details: { provider: 'soundcloud', reason: 'geo_blocked', blocked: 2 },
     })
   })
 
-  it('defaults unknown errors to ERR_UNKNOWN', async () => {
-    importPlaylistMock.mockRejectedValueOnce({ status: 500 })
+  it('maps private sets to ERR_PRIVATE_PLAYLIST unless a secret link is used', async () => {
+    await expect(
+      importPlaylist({ url: 'https://soundcloud.com/beatdigger/sets/hidden', fetchClient: stub.fetchClient }),
+    ).rejects.toMatchObject({ code: CODES.ERR_PRIVATE_PLAYLIST })
 
-    await expect(importPlaylist({ cursor: null })).rejects.toMatchObject({
-      code: CODES.ERR_UNKNOWN,
-      details: { provider: 'soundcloud' },
+    const secret = await importPlaylist({
+      url: 'https://soundcloud.com/beatdigger/sets/hidden/s-AbCdE',
+      fetchClient: stub.fetchClient,
     })
+    expect(secret.playlistId).toBe('beatdigger/sets/hidden/s-AbCdE')
+  })
+
+  it.each([
+    ['locked', CODES.ERR_PRIVATE_PLAYLIST],
+    ['gone', CODES.ERR_NOT_FOUND],
+    ['busy', CODES.ERR_RATE_LIMITED],
+  ])('maps resolve failures for %s to %s', async (name, code) => {
+    await expect(
+      importPlaylist({ url: `https://soundcloud.com/beatdigger/sets/${name}`, fetchClient: stub.fetchClient }),
+    ).rejects.toMatchObject({ code, details: { provider: 'soundcloud', stage: 'resolve' } })
+  })
+
+  it('wraps abort errors with ERR_ABORTED', async () => {
+    const controller = new AbortController()
+    controller.abort()
+
+    await expect(
+      importPlaylist({ url: SET_URL, signal: controller.signal, fetchClient: stub.fetchClient }),
+    ).rejects.toMatchObject({ code: CODES.ERR_ABORTED, details: { provider: 'soundcloud' } })
   })
 })
 
+describe('extractSetPath', () => {
+  it('keeps the user/sets/name path and any secret token', () => {
+    expect(extractSetPath('https://soundcloud.com/user/sets/mix')).toBe('user/sets/mix')
+    expect(extractSetPath('m.soundcloud.com/user/sets/mix/s-Xy12?si=1')).toBe('user/sets/mix/s-Xy12')
+    expect(extractSetPath('https://soundcloud.com/user/track-name')).toBeNull()
+    expect(extractSetPath('https://example.com/user/sets/mix')).toBeNull()
+  })
+})
@@ -1,64 +1,149 @@
-import { describe, expect, it, beforeEach, vi } from 'vitest'
+// @vitest-environment node
+import { describe, expect, it, beforeAll, afterAll } from 'vitest'
+import { fileURLToPath } from 'node:url'
+import { readFixture, startFixtureServer } from '../../../../test-utils/fixtureServer.js'
 
-const importPlaylistMock = vi.fn()
+const { CODES } = await import('../types.js')
+const { importPlaylist, extractPlaylistId, parseIsoDuration } = await import('../youtubeAdapter.js')
 
-vi.mock('../mockAdapterUtils.js', () => ({
-  createPagedMockAdapter: vi.fn(() => ({
-    importPlaylist: importPlaylistMock,
-  })),
-}))
+const FIXTURE_DIR = fileURLToPath(new URL('./fixtures/youtube/', import.meta.url))
+const PLAYLIST_URL = 'https://www.youtube.com/playlist?list=PLfixture'
 
-const { CODES } = await import('../types.js')
-const { importPlaylist } = await import('../youtubeAdapter.js')
+/** @type {Record<string, { status: number, body: unknown }>} */
+const ERROR_PLAYLISTS = {
+  PLprivate: { status: 403, body: { error: 'playlistItemsNotAccessible', status: 403 } },
+  PLmissing: { status: 404, body: { error: 'playlistNotFound', status: 404 } },
+  PLquota: { status: 429, body: { error: 'quota_exceeded', status: 403 } },
+  PLdown: { status: 502, body: { error: 'youtube_unavailable' } },
+}
 
-describe('youtubeAdapter importPlaylist', () => {
-  beforeEach(() => {
-    importPlaylistMock.mockReset()
-  })
+/** @param {URL} url */
+function route(url) {
+  const [, , , resource] = url.pathname.split('/')
+  if (resource === 'playlists') {
+    const id = url.searchParams.get('id') ?? ''
+    return { body: readFixture(FIXTURE_DIR, `playlists.${id}.json`) ?? { items: [] } }
+  }
+  if (resource === 'playlistItems') {
+    const id = url.searchParams.get('playlistId') ?? ''
+    if (ERROR_PLAYLISTS[id]) return ERROR_PLAYLISTS[id]
+    const token = url.searchParams.get('pageToken') ?? 'first'
+    const body = readFixture(FIXTURE_DIR, `playlistItems.${id}.${token}.json`)
+    return body ? { body } : { status: 404, body: { error: 'playlistNotFound' } }
+  }
+  if (resource === 'videos') {
+    const ids = new Set((url.searchParams.get('id') ?? '').split(','))
+    const all = readFixture(FIXTURE_DIR, 'videos.json')
+    return { body: { ...all, items: all.items.filter((item) => ids.has(item.id)) } }
+  }
+  return null
+}
 
-  it('returns adapter payload on success', async () => {
-    const result = { ok: true, data: [] }
-    importPlaylistMock.mockResolvedValueOnce(result)
+describe('youtubeAdapter', () => {
+  /** @type {Awaited<ReturnType<typeof startFixtureServer>>} */
+  let stub
 
-    await expect(importPlaylist({ url: 'https://youtube.com/test', cursor: null })).resolves.toBe(result)
+  beforeAll(async () => {
+    stub = await startFixtureServer(route)
   })
 
-  it('maps AbortError to ERR_ABORTED', async () => {
-    const error = new Error('cancel')
-    error.name = 'AbortError'
-    importPlaylistMock.mockRejectedValueOnce(error)
+  afterAll(async () => {
+    await stub.close()
+  })
 
-    await expect(importPlaylist({ url: 'https://youtube.com/test', cursor: null })).rejects.toMatchObject({
-      code: CODES.ERR_ABORTED,
-      details: { provider: 'youtube' },
+  it('imports the first page with playlist metadata and durations', async () => {
+    const result = await importPlaylist({ url: PLAYLIST_URL, fetchClient: stub.fetchClient })
+
+    expect(result).toMatchObject({
+      provider: 'youtube',
+      playlistId: 'PLfixture',
+      title: 'Late Night Sample Crate',
+      sourceUrl: 'https://www.youtube.com/playlist?list=PLfixture',
+      coverUrl: 'https://i.ytimg.com/vi/vid00000001/default.jpg',
+      total: 4,
+      pageInfo: { cursor: 'EAAaBlBUOkNBSQ', hasMore: true },
+    })
+    expect(result.debug).toMatchObject({ stage: 'initial', skipped: 1 })
+    expect(result.tracks).toHaveLength(1)
+    expect(result.tracks[0]).toMatchObject({
+      id: 'vid00000001',
+      providerTrackId: 'vid00000001',
+      title: 'Archangel',
+      artist: 'Burial',
+      durationMs: 238_000,
+      thumbnailUrl: 'https://i.ytimg.com/vi/vid00000001/default.jpg',
+      sourceUrl: 'https://www.youtube.com/watch?v=vid00000001&list=PLfixture',
+      provider: 'youtube',
+      kind: 'music',
+      dateAdded: '2023-04-02T18:12:00.000Z',
     })
   })
 
-  it('maps 429 to ERR_RATE_LIMITED', async () => {
-    importPlaylistMock.mockRejectedValueOnce({ status: 429 })
-
-    await expect(importPlaylist({ url: 'https://youtube.com/test', cursor: null })).rejects.toMatchObject({
-      code: CODES.ERR_RATE_LIMITED,
-      details: { provider: 'youtube' },
+  it('pages with the cursor and skips the metadata lookup', async () => {
+    const before = stub.requests.length
+    const result = await importPlaylist({
+      url: PLAYLIST_URL,
+      cursor: 'EAAaBlBUOkNBSQ',
+      fetchClient: stub.fetchClient,
     })
+    const resources = stub.requests.slice(before).map((url) => url.pathname)
+
+    expect(resources).not.toContain('/api/youtube/playlists')
+    expect(result.pageInfo).toEqual({ cursor: null, hasMore: false })
+    expect(result.tracks.map((t) => t.id)).toEqual(['vid00000003', 'vid00000004'])
+    expect(result.tracks[0].durationMs).toBe(3_725_000)
+    expect(result.tracks[1].durationMs).toBeUndefined()
+    expect(result.tracks[1].artist).toBe('Boiler Room')
   })
 
-  it('maps 401 to ERR_PRIVATE_PLAYLIST', async () => {
-    importPlaylistMock.mockRejectedValueOnce({ status: 401 })
+  it('maps a playlist that the lookup cannot see to ERR_NOT_FOUND', async () => {
+    await expect(
+      importPlaylist({ url: 'https://www.youtube.com/playlist?list=PLghost', fetchClient: stub.fetchClient }),
+    ).rejects.toMatchObject({ code: CODES.ERR_NOT_FOUND, details: { provider: 'youtube' } })
+  })
 
-    await expect(importPlaylist({ url: 'https://youtube.com/test', cursor: null })).rejects.toMatchObject({
-      code: CODES.ERR_PRIVATE_PLAYLIST,
-      details: { provider: 'youtube' },
-    })
+  it.each([
+    ['PLprivate', CODES.ERR_PRIVATE_PLAYLIST],
+    ['PLmissing', CODES.ERR_NOT_FOUND],
+    ['PLquota', CODES.ERR_RATE_LIMITED],
+    ['PLdown', CODES.ERR_NETWORK],
+  ])('maps proxy errors for %s to %s', async (playlistId, code) => {
+    await expect(
+      importPlaylist({
+        url: `https://www.youtube.com/playlist?list=${playlistId}`,
+        cursor: 'any-page',
+        fetchClient: stub.fetchClient,
+      }),
+    ).rejects.toMatchObject({ code, details: { provider: 'youtube', stage: 'tracks' } })
   })
 
-  it('falls back to ERR_UNKNOWN for unexpected errors', async () => {
-    importPlaylistMock.mockRejectedValueOnce({ status: 500 })
+  it('maps AbortError to ERR_ABORTED', async () => {
+    const controller = new AbortController()
+    controller.abort()
 
-    await expect(importPlaylist({ url: 'https://youtube.com/test', cursor: null })).rejects.toMatchObject({
-      code: CODES.ERR_UNKNOWN,
-      details: { provider: 'youtube' },
-    })
+    await expect(
+      importPlaylist({ url: PLAYLIST_URL, signal: controller.signal, fetchClient: stub.fetchClient }),
+    ).rejects.toMatchObject({ code: CODES.ERR_ABORTED, details: { provider: 'youtube' } })
+  })
+
+  it('rejects URLs without a playlist id', async () => {
+    await expect(
+      importPlaylist({ url: 'https://www.youtube.com/watch?v=abc', fetchClient: stub.fetchClient }),
+    ).rejects.toMatchObject({ code: CODES.ERR_UNSUPPORTED_URL })
   })
 })
 
+describe('youtube helpers', () => {
+  it('extracts list ids from YouTube and YouTube Music links', () => {
+    expect(extractPlaylistId('https://www.youtube.com/playlist?list=PL123')).toBe('PL123')
+    expect(extractPlaylistId('music.youtube.com/playlist?list=OLAK5uy_x')).toBe('OLAK5uy_x')
+    expect(extractPlaylistId('https://example.com/playlist?list=PL123')).toBeNull()
+  })
+
+  it('parses ISO 8601 durations', () => {
+    expect(parseIsoDuration('PT4M13S')).toBe(253_000)
+    expect(parseIsoDuration('P1DT1S')).toBe(86_401_000)
+    expect(parseIsoDuration('P0D')).toBeUndefined()
+    expect(parseIsoDuration('4:13')).toBeUndefined()
+  })
+})
@@ -0,0 +1,301 @@
+// src/features/import/adapters/appleMusicAdapter.js
+// Apple Music adapter that reads catalog playlists through the /api/apple-music proxy (developer token stays server-side).
+
+// @ts-check
+
+import { normalizeTrack } from '../normalizeTrack.js';
+import { CODES, createAdapterError, isKnownAdapterErrorObject } from './types.js';
+import { defaultFetchClient } from '../../../utils/fetchClient.js';
+import { isDev } from '../../../utils/isDev.js';
+
+const PROVIDER = 'applemusic';
+const PROXY_BASE = '/api/apple-music';
+const CANONICAL_BASE_URL = 'https://music.apple.com/';
+const DEFAULT_STOREFRONT = 'us';
+const ARTWORK_SIZE = 160; // ~2x the 80px cover slot for HiDPI clarity
+const CATALOG_ID_PATTERN = /^pl\.[\w-]{1,64}$/;
+const LIBRARY_ID_PATTERN = /^p\.[\w-]{1,64}$/;
+const STOREFRONT_PATTERN = /^[a-z]{2}$/;
+const APPLE_MUSIC_HOSTS = new Set(['music.apple.com', 'embed.music.apple.com', 'geo.music.apple.com']);
+
+function debugLog(label, payload) {
+  if (isDev()) {
+    console.debug(`[applemusic] ${label}`, payload);
+  }
+}
+
+/**
+ * Parse an Apple Music playlist URL into its playlist ID and storefront.
+ * Handles `music.apple.com/{storefront}/playlist/{slug}/{id}`, slug-less links, and
+ * `music.apple.com/library/playlist/{id}` (library playlists report `library: true`).
+ * @param {string} raw
+ * @returns {{ playlistId: string, storefront: string, library: boolean } | null}
+ */
+export function parsePlaylistUrl(raw) {
+  if (typeof raw !== 'string') return null;
+  const input = raw.trim();
+  if (!input) return null;
+
+  const candidateUrl = /^https?:\/\//i.test(input) ? input : `https://${input}`;
+  try {
+    const parsed = new URL(candidateUrl);
+    if (!APPLE_MUSIC_HOSTS.has(parsed.hostname.toLowerCase())) return null;
+    const segments = parsed.pathname.split('/').filter(Boolean);
+    const markerIndex = segments.findIndex((segment) => segment.toLowerCase() === 'playlist');
+    if (markerIndex !== 1) return null;
+    const prefix = segments[0].toLowerCase();
+    const id = segments[segments.length - 1];
+    if (prefix === 'library') {
+      return LIBRARY_ID_PATTERN.test(id)
+        ? { playlistId: id, storefront: DEFAULT_STOREFRONT, library: true }
+        : null;
+    }
+    if (!STOREFRONT_PATTERN.test(prefix) || !CATALOG_ID_PATTERN.test(id)) return null;
+    return { playlistId: id, storefront: prefix, library: false };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Extract the playlist ID (`pl.*` or library `p.*`) from an Apple Music URL.
+ * @param {string} raw
+ * @returns {string | null}
+ */
+export function extractPlaylistId(raw) {
+  return parsePlaylistUrl(raw)?.playlistId ?? null;
+}
+
+/**
+ * Apple artwork URLs are templates (`.../{w}x{h}bb.jpg`).
+ * @param {any} artwork
+ * @returns {string | undefined}
+ */
+function selectArtwork(artwork) {
+  const template = artwork?.url;
+  if (typeof template !== 'string' || !template) return undefined;
+  return template.replace('{w}', String(ARTWORK_SIZE)).replace('{h}', String(ARTWORK_SIZE));
+}
+
+/**
+ * Apple's `next` links look like `/v1/catalog/us/playlists/pl.x/tracks?offset=100`.
+ * @param {unknown} next
+ * @returns {string | null}
+ */
+function extractNextOffset(next) {
+  if (typeof next !== 'string' || !next) return null;
+  try {
+    const offset = new URL(next, 'https://api.music.apple.com').searchParams.get('offset');
+    return offset && /^\d+$/.test(offset) ? offset : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {unknown} err
+ * @returns {number | null}
+ */
+function extractHttpStatus(err) {
+  const anyErr = /** @type {any} */ (err);
+  if (typeof anyErr?.status === 'number') return anyErr.status;
+  if (typeof anyErr?.details?.status === 'number') return anyErr.details.status;
+  const code = typeof anyErr?.code === 'string' ? anyErr.code : '';
+  const match = /^HTTP_(\d+)/.exec(code);
+  return match ? Number.parseInt(match[1], 10) : null;
+}
+
+/**
+ * Apple answers 404 for both missing playlists and ones not offered in the storefront.
+ * @param {'meta' | 'tracks'} stage
+ * @param {unknown} err
+ * @returns {never}
+ */
+function mapAppleMusicError(stage, err) {
+  const anyErr = /** @type {any} */ (err);
+  if (anyErr?.name === 'AbortError') {
+    throw createAdapterError(CODES.ERR_ABORTED, { provider: PROVIDER, stage }, err);
+  }
+  if (isKnownAdapterErrorObject(err)) throw err;
+
+  const status = extractHttpStatus(err);
+  const details = { provider: PROVIDER, stage, ...(status ? { status } : {}) };
+
+  if (status === 401 || status === 403) {
+    throw createAdapterError(CODES.ERR_PRIVATE_PLAYLIST, details, err);
+  }
+  if (status === 404) {
+    throw createAdapterError(CODES.ERR_NOT_FOUND, details, err);
+  }
+  if (status === 429) {
+    throw createAdapterError(CODES.ERR_RATE_LIMITED, details, err);
+  }
+  if ((status && status >= 500) || anyErr instanceof TypeError) {
+    throw createAdapterError(CODES.ERR_NETWORK, details, err);
+  }
+  throw createAdapterError(CODES.ERR_UNKNOWN, details, err);
+}
+
+/**
+ * @param {ReturnType<typeof import('../../../utils/fetchClient.js').makeFetchClient>} fetchClient
+ * @param {'playlist' | 'tracks'} resource
+ * @param {Record<string, string>} params
+ * @param {'meta' | 'tracks'} stage
+ * @param {AbortSignal | undefined} signal
+ */
+async function fetchResource(fetchClient, resource, params, stage, signal) {
+  const url = `${PROXY_BASE}/${resource}?${new URLSearchParams(params).toString()}`;
+  try {
+    return await fetchClient.getJson(url, { signal });
+  } catch (err) {
+    mapAppleMusicError(stage, err);
+  }
+}
+
+/**
+ * Songs pulled from the storefront come back without `attributes`; skip them.
+ * @param {any[]} data
+ * @returns {import('./types.js').NormalizedTrack[]}
+ */
+function toNormalizedTracks(data) {
+  /** @type {import('./types.js').NormalizedTrack[]} */
+  const out = [];
+
+  data.forEach((item) => {
+    const attrs = item?.attributes;
+    if (!item || item.id == null || !attrs || typeof attrs !== 'object') return;
+
+    const trackId = String(item.id);
+    out.push(
+      normalizeTrack(
+        {
+          id: trackId,
+          providerTrackId: trackId,
+          title: typeof attrs.name === 'string' ? attrs.name : '',
+          artist: typeof attrs.artistName === 'string' ? attrs.artistName : '',
+          album: typeof attrs.albumName === 'string' ? attrs.albumName : undefined,
+          durationMs:
+            typeof attrs.durationInMillis === 'number' && Number.isFinite(attrs.durationInMillis)
+              ? attrs.durationInMillis
+              : undefined,
+          isrc: typeof attrs.isrc === 'string' && attrs.isrc ? attrs.isrc : undefined,
+          thumbnailUrl: selectArtwork(attrs.artwork),
+          sourceUrl: typeof attrs.url === 'string' ? attrs.url : '',
+          provider: PROVIDER,
+          kind: 'music',
+        },
+        out.length, // note: indices are page-local
+        PROVIDER
+      )
+    );
+  });
+
+  return out;
+}
+
+/**
+ * Apple Music catalog playlist import adapter.
+ *
+ * Inputs:
+ *  - options.url: Apple Music playlist URL (`music.apple.com/{storefront}/playlist/{slug}/pl.{id}`). Required.
+ *  - options.cursor: track offset from a prior call. Optional for pagination.
+ *  - options.signal: AbortSignal to cancel proxy requests.
+ *  - options.fetchClient: injected fetch client (tests/SSR).
+ *
+ * The first call reads the playlist, whose `tracks` relationship embeds the first page;
+ * cursor calls hit the tracks resource directly.
+ *
+ * Throws adapter errors (createAdapterError) with codes:
+ *  - ERR_UNSUPPORTED_URL, ERR_PRIVATE_PLAYLIST (library playlists), ERR_NOT_FOUND (404 or empty
+ *    lookup), ERR_RATE_LIMITED (429), ERR_INVALID_RESPONSE, ERR_NETWORK, ERR_ABORTED, ERR_UNKNOWN.
+ *
+ * @param {import('./types.js').AdapterOptions | Partial<import('./types.js').AdapterOptions>} [options]
+ * @returns {Promise<import('./types.js').PlaylistAdapterResult & { coverUrl?: string, debug?: Record<string, any> }>}
+ */
+export async function importPlaylist(options = {}) {
+  const fetchClient = options.fetchClient ?? defaultFetchClient;
+  const inputUrl = typeof options.url === 'string' ? options.url.trim() : '';
+  const ref = parsePlaylistUrl(inputUrl);
+  if (!ref) {
+    throw createAdapterError(CODES.ERR_UNSUPPORTED_URL, {
+      provider: PROVIDER,
+      urlPreview: inputUrl.slice(0, 120),
+    });
+  }
+  // Library playlists live in the owner's account and need a Music User Token we don't have.
+  if (ref.library) {
+    throw createAdapterError(CODES.ERR_PRIVATE_PLAYLIST, { provider: PROVIDER, reason: 'library_playlist' });
+  }
+
+  const { playlistId, storefront } = ref;
+  const signal = options.signal;
+  const cursor =
+    typeof options.cursor === 'string' && /^\d+$/.test(options.cursor) ? options.cursor : null;
+
+  let playlist = null;
+  let tracksPage;
+  if (cursor) {
+    tracksPage = await fetchResource(
+      fetchClient,
+      'tracks',
+      { storefront, id: playlistId, offset: cursor },
+      'tracks',
+      signal
+    );
+  } else {
+    const payload = await fetchResource(fetchClient, 'playlist', { storefront, id: playlistId }, 'meta', signal);
+    playlist = Array.isArray(payload?.data) ? payload.data[0] : null;
+    if (!playlist) {
+      throw createAdapterError(CODES.ERR_NOT_FOUND, { provider: PROVIDER, stage: 'meta', playlistId });
+    }
+    tracksPage = playlist.relationships?.tracks;
+  }
+
+  if (!Array.isArray(tracksPage?.data)) {
+    throw createAdapterError(CODES.ERR_INVALID_RESPONSE, {
+      provider: PROVIDER,
+      stage: 'tracks',
+      reason: 'missing_data',
+    });
+  }
+
+  const tracks = toNormalizedTracks(tracksPage.data);
+  const nextCursor = extractNextOffset(tracksPage.next);
+  const trackCount = tracksPage.meta?.total;
+  const attrs = playlist?.attributes ?? null;
+
+  debugLog('page', {
+    playlist: playlistId.slice(0, 12),
+    storefront,
+    items: tracksPage.data.length,
+    kept: tracks.length,
+    next: Boolean(nextCursor),
+  });
+
+  return {
+    provider: PROVIDER,
+    playlistId,
+    title: typeof attrs?.name === 'string' ? attrs.name : `Apple Music playlist ${playlistId}`,
+    snapshotId: typeof attrs?.lastModifiedDate === 'string' ? attrs.lastModifiedDate : undefined,
+    sourceUrl:
+      typeof attrs?.url === 'string'
+        ? attrs.url
+        : `${CANONICAL_BASE_URL}${storefront}/playlist/${playlistId}`,
+    coverUrl: selectArtwork(attrs?.artwork),
+    total: typeof trackCount === 'number' && Number.isFinite(trackCount) ? trackCount : undefined,
+    tracks,
+    pageInfo: {
+      cursor: nextCursor,
+      hasMore: Boolean(nextCursor),
+    },
+    debug: {
+      source: 'applemusic:catalog',
+      stage: cursor ? 'paginate' : 'initial',
+      hasNext: Boolean(nextCursor),
+      skipped: tracksPage.data.length - tracks.length,
+      inputUrl: inputUrl || null,
+    },
+  };
+}
+
+export default { importPlaylist };
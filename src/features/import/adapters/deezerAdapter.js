@@ -0,0 +1,259 @@
+// src/features/import/adapters/deezerAdapter.js
+// Deezer adapter that reads public playlists through the /api/deezer proxy.
+
+// @ts-check
+
+import { normalizeTrack } from '../normalizeTrack.js';
+import { CODES, createAdapterError, isKnownAdapterErrorObject } from './types.js';
+import { defaultFetchClient } from '../../../utils/fetchClient.js';
+import { isDev } from '../../../utils/isDev.js';
+
+const PROVIDER = 'deezer';
+const PROXY_BASE = '/api/deezer';
+const CANONICAL_PLAYLIST_URL = 'https://www.deezer.com/playlist/';
+const PLAYLIST_ID_PATTERN = /^\d{1,20}$/;
+const DEEZER_HOSTS = new Set(['deezer.com', 'www.deezer.com']);
+
+function debugLog(label, payload) {
+  if (isDev()) {
+    console.debug(`[deezer] ${label}`, payload);
+  }
+}
+
+/**
+ * Extract the numeric playlist ID from a Deezer URL (`deezer.com/[lang/]playlist/{id}`).
+ * Short share links (`link.deezer.com`) need a redirect lookup and are not supported.
+ * @param {string} raw
+ * @returns {string | null}
+ */
+export function extractPlaylistId(raw) {
+  if (typeof raw !== 'string') return null;
+  const input = raw.trim();
+  if (!input) return null;
+
+  const candidateUrl = /^https?:\/\//i.test(input) ? input : `https://${input}`;
+  try {
+    const parsed = new URL(candidateUrl);
+    if (!DEEZER_HOSTS.has(parsed.hostname.toLowerCase())) return null;
+    const segments = parsed.pathname.split('/').filter(Boolean);
+    const markerIndex = segments.findIndex((segment) => segment.toLowerCase() === 'playlist');
+    // The language prefix is optional, so "playlist" must be the first or second segment.
+    if (markerIndex < 0 || markerIndex > 1) return null;
+    const id = segments[markerIndex + 1];
+    return id && PLAYLIST_ID_PATTERN.test(id) ? id : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Deezer pages carry a `next` URL (`.../tracks?index=100`); the index alone is enough to resume.
+ * @param {unknown} next
+ * @returns {string | null}
+ */
+function extractNextIndex(next) {
+  if (typeof next !== 'string' || !next) return null;
+  try {
+    const index = new URL(next).searchParams.get('index');
+    return index && /^\d+$/.test(index) ? index : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {unknown} err
+ * @returns {number | null}
+ */
+function extractHttpStatus(err) {
+  const anyErr = /** @type {any} */ (err);
+  if (typeof anyErr?.status === 'number') return anyErr.status;
+  if (typeof anyErr?.details?.status === 'number') return anyErr.details.status;
+  const code = typeof anyErr?.code === 'string' ? anyErr.code : '';
+  const match = /^HTTP_(\d+)/.exec(code);
+  return match ? Number.parseInt(match[1], 10) : null;
+}
+
+/**
+ * @param {'meta' | 'tracks'} stage
+ * @param {unknown} err
+ * @returns {never}
+ */
+function mapDeezerError(stage, err) {
+  const anyErr = /** @type {any} */ (err);
+  if (anyErr?.name === 'AbortError') {
+    throw createAdapterError(CODES.ERR_ABORTED, { provider: PROVIDER, stage }, err);
+  }
+  if (isKnownAdapterErrorObject(err)) throw err;
+
+  const status = extractHttpStatus(err);
+  const details = { provider: PROVIDER, stage, ...(status ? { status } : {}) };
+
+  if (status === 401 || status === 403) {
+    throw createAdapterError(CODES.ERR_PRIVATE_PLAYLIST, details, err);
+  }
+  if (status === 404) {
+    throw createAdapterError(CODES.ERR_NOT_FOUND, details, err);
+  }
+  if (status === 429) {
+    throw createAdapterError(CODES.ERR_RATE_LIMITED, details, err);
+  }
+  if ((status && status >= 500) || anyErr instanceof TypeError) {
+    throw createAdapterError(CODES.ERR_NETWORK, details, err);
+  }
+  throw createAdapterError(CODES.ERR_UNKNOWN, details, err);
+}
+
+/**
+ * @param {ReturnType<typeof import('../../../utils/fetchClient.js').makeFetchClient>} fetchClient
+ * @param {'playlist' | 'tracks'} resource
+ * @param {Record<string, string>} params
+ * @param {'meta' | 'tracks'} stage
+ * @param {AbortSignal | undefined} signal
+ */
+async function fetchResource(fetchClient, resource, params, stage, signal) {
+  const url = `${PROXY_BASE}/${resource}?${new URLSearchParams(params).toString()}`;
+  try {
+    return await fetchClient.getJson(url, { signal });
+  } catch (err) {
+    mapDeezerError(stage, err);
+  }
+}
+
+/**
+ * Deezer marks tracks that can't be streamed in the caller's region as `readable: false`.
+ * @param {any} track
+ */
+function isReadable(track) {
+  return track?.readable !== false;
+}
+
+/**
+ * @param {any[]} data
+ * @returns {import('./types.js').NormalizedTrack[]}
+ */
+function toNormalizedTracks(data) {
+  /** @type {import('./types.js').NormalizedTrack[]} */
+  const out = [];
+
+  data.forEach((track) => {
+    if (!track || typeof track !== 'object' || track.id == null) return;
+    if (!isReadable(track)) return;
+
+    const trackId = String(track.id);
+    // `duration` and `time_add` are in seconds.
+    const duration = typeof track.duration === 'number' && track.duration > 0 ? track.duration * 1000 : undefined;
+    const addedAt = typeof track.time_add === 'number' ? new Date(track.time_add * 1000).toISOString() : undefined;
+    // cover_small is 56px, under the 80px HiDPI target, so prefer cover_medium.
+    const cover = track.album?.cover_medium ?? track.album?.cover_small;
+
+    out.push(
+      normalizeTrack(
+        {
+          id: trackId,
+          providerTrackId: trackId,
+          title: typeof track.title === 'string' ? track.title : '',
+          artist: typeof track.artist?.name === 'string' ? track.artist.name : '',
+          album: typeof track.album?.title === 'string' ? track.album.title : undefined,
+          durationMs: duration,
+          isrc: typeof track.isrc === 'string' && track.isrc ? track.isrc : undefined,
+          thumbnailUrl: typeof cover === 'string' && cover ? cover : undefined,
+          sourceUrl: typeof track.link === 'string' ? track.link : '',
+          dateAdded: addedAt,
+          provider: PROVIDER,
+          kind: 'music',
+        },
+        out.length, // note: indices are page-local
+        PROVIDER
+      )
+    );
+  });
+
+  return out;
+}
+
+/**
+ * Deezer playlist import adapter.
+ *
+ * Inputs:
+ *  - options.url: Deezer playlist URL (`deezer.com/[lang/]playlist/{id}`). Required.
+ *  - options.cursor: track index from a prior call. Optional for pagination.
+ *  - options.signal: AbortSignal to cancel proxy requests.
+ *  - options.fetchClient: injected fetch client (tests/SSR).
+ *
+ * Playlist metadata is only requested for the first page.
+ *
+ * Throws adapter errors (createAdapterError) with codes:
+ *  - ERR_UNSUPPORTED_URL, ERR_PRIVATE_PLAYLIST (403 or a non-public playlist), ERR_NOT_FOUND (404),
+ *    ERR_RATE_LIMITED (429/quota), ERR_INVALID_RESPONSE, ERR_NETWORK, ERR_ABORTED, ERR_UNKNOWN.
+ *
+ * @param {import('./types.js').AdapterOptions | Partial<import('./types.js').AdapterOptions>} [options]
+ * @returns {Promise<import('./types.js').PlaylistAdapterResult & { coverUrl?: string, debug?: Record<string, any> }>}
+ */
+export async function importPlaylist(options = {}) {
+  const fetchClient = options.fetchClient ?? defaultFetchClient;
+  const inputUrl = typeof options.url === 'string' ? options.url.trim() : '';
+  const playlistId = extractPlaylistId(inputUrl);
+  if (!playlistId) {
+    throw createAdapterError(CODES.ERR_UNSUPPORTED_URL, {
+      provider: PROVIDER,
+      urlPreview: inputUrl.slice(0, 120),
+    });
+  }
+
+  const signal = options.signal;
+  const cursor =
+    typeof options.cursor === 'string' && /^\d+$/.test(options.cursor) ? options.cursor : null;
+
+  const [playlist, tracksPayload] = await Promise.all([
+    cursor ? Promise.resolve(null) : fetchResource(fetchClient, 'playlist', { id: playlistId }, 'meta', signal),
+    fetchResource(fetchClient, 'tracks', { id: playlistId, index: cursor ?? '0' }, 'tracks', signal),
+  ]);
+
+  // Owners can still read their private playlists through a user token; the public proxy cannot.
+  if (playlist && playlist.public === false) {
+    throw createAdapterError(CODES.ERR_PRIVATE_PLAYLIST, { provider: PROVIDER, stage: 'meta' });
+  }
+  if (!Array.isArray(tracksPayload?.data)) {
+    throw createAdapterError(CODES.ERR_INVALID_RESPONSE, {
+      provider: PROVIDER,
+      stage: 'tracks',
+      reason: 'missing_data',
+    });
+  }
+
+  const tracks = toNormalizedTracks(tracksPayload.data);
+  const nextCursor = extractNextIndex(tracksPayload.next);
+  const trackCount = playlist?.nb_tracks ?? tracksPayload.total;
+
+  debugLog('page', {
+    playlist: playlistId,
+    items: tracksPayload.data.length,
+    kept: tracks.length,
+    next: Boolean(nextCursor),
+  });
+
+  return {
+    provider: PROVIDER,
+    playlistId,
+    title: typeof playlist?.title === 'string' ? playlist.title : `Deezer playlist ${playlistId}`,
+    snapshotId: typeof playlist?.checksum === 'string' ? playlist.checksum : undefined,
+    sourceUrl: typeof playlist?.link === 'string' ? playlist.link : `${CANONICAL_PLAYLIST_URL}${playlistId}`,
+    coverUrl: typeof playlist?.picture_medium === 'string' ? playlist.picture_medium : undefined,
+    total: typeof trackCount === 'number' && Number.isFinite(trackCount) ? trackCount : undefined,
+    tracks,
+    pageInfo: {
+      cursor: nextCursor,
+      hasMore: Boolean(nextCursor),
+    },
+    debug: {
+      source: 'deezer:api',
+      stage: cursor ? 'paginate' : 'initial',
+      hasNext: Boolean(nextCursor),
+      skipped: tracksPayload.data.length - tracks.length,
+      inputUrl: inputUrl || null,
+    },
+  };
+}
+
+export default { importPlaylist };
@@ -0,0 +1,453 @@
+// src/features/import/adapters/fileAdapter.js
+// Local "file" pseudo-provider that parses pasted tracklists, CSV/TSV exports, and M3U playlists.
+
+// @ts-check
+
+import { normalizeTrack } from '../normalizeTrack.js';
+import { CODES, createAdapterError } from './types.js';
+
+const PROVIDER = 'file';
+/** Pseudo-URL scheme that stands in for a source URL so recents and the playlist cache keep working. */
+export const TRACKLIST_SCHEME = 'tracklist:';
+export const MAX_TRACKLIST_TRACKS = 5000;
+const PASTE_TITLE = 'Pasted tracklist';
+const TRACKLIST_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,79}$/;
+const ARTIST_TITLE_SEPARATOR = /\s+[-–—]\s+/;
+const LEADING_NUMBER = /^(?:\[\d{1,4}\]\s*|\d{1,4}[.)]\s+)/;
+const LEADING_TIMESTAMP = /^\[?(?:\d{1,2}:)?\d{1,2}:\d{2}\]?\s*(?:[-–—|]\s*)?/;
+
+/** Header aliases (lower-cased) for the columns we understand in Rekordbox/Serato/generic exports. */
+const CSV_COLUMNS = Object.freeze({
+  title: ['title', 'track title', 'track name', 'name', 'track', 'song'],
+  artist: ['artist', 'artists', 'artist name', 'track artist'],
+  album: ['album', 'album title', 'album name'],
+  duration: ['time', 'duration', 'length', 'track time'],
+});
+
+/**
+ * @typedef {'m3u' | 'csv' | 'text'} TracklistFormat
+ *
+ * @typedef {Object} TracklistInput
+ * @property {string} text
+ * @property {string | null} [fileName]
+ *
+ * @typedef {Object} ParsedTracklist
+ * @property {TracklistFormat} format
+ * @property {string | null} title
+ * @property {import('./types.js').NormalizedTrack[]} tracks
+ * @property {number} skipped
+ * @property {boolean} truncated
+ *
+ * @typedef {{ title: string, artist: string, album?: string, durationMs?: number, sourceUrl?: string }} RawEntry
+ */
+
+/**
+ * 32-bit FNV-1a, rendered in base36. Two passes with different offsets give ids long enough
+ * that collisions within one person's library are not a practical concern.
+ * @param {string} input
+ * @param {number} [offset]
+ */
+function fnv1a(input, offset = 0x811c9dc5) {
+  let hash = offset;
+  for (let i = 0; i < input.length; i += 1) {
+    hash ^= input.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+}
+
+/** @param {string} input */
+function hashText(input) {
+  return `${fnv1a(input)}${fnv1a(input, 0x01000193)}`;
+}
+
+/**
+ * Case, accent, punctuation, and spacing differences should not change a track's identity.
+ * @param {string} value
+ */
+function normalizeKeyPart(value) {
+  return value
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Stable track id derived from artist + title, so notes stick when the same tracklist is re-imported.
+ * @param {string} artist
+ * @param {string} title
+ * @returns {string}
+ */
+export function makeTrackId(artist, title) {
+  return `file-${hashText(`${normalizeKeyPart(artist)}\u0000${normalizeKeyPart(title)}`)}`;
+}
+
+/** @param {string} fileName */
+function stripExtension(fileName) {
+  const base = fileName.split(/[\\/]/).pop() ?? '';
+  return base.replace(/\.[^.]+$/, '');
+}
+
+/**
+ * Build the `tracklist:` pseudo-URL for an input. Files key on their name so an updated export of
+ * the same playlist lands on the same recents card; pastes key on their content.
+ * @param {TracklistInput} input
+ * @returns {string}
+ */
+export function buildTracklistSourceUrl({ text, fileName }) {
+  const slug =
+    typeof fileName === 'string'
+      ? normalizeKeyPart(stripExtension(fileName)).replace(/\s+/g, '-').slice(0, 60)
+      : '';
+  const playlistId = slug ? `file-${slug}` : `paste-${hashText(text.trim())}`;
+  return `${TRACKLIST_SCHEME}${playlistId}`;
+}
+
+/**
+ * Extract the playlist id from a `tracklist:` pseudo-URL.
+ * @param {string} raw
+ * @returns {string | null}
+ */
+export function extractTracklistId(raw) {
+  if (typeof raw !== 'string') return null;
+  const input = raw.trim();
+  if (!input.toLowerCase().startsWith(TRACKLIST_SCHEME)) return null;
+  const id = input.slice(TRACKLIST_SCHEME.length);
+  return TRACKLIST_ID_PATTERN.test(id) ? id : null;
+}
+
+/**
+ * Parse `m:ss`, `h:mm:ss`, or a bare number of seconds.
+ * @param {string | undefined} value
+ * @returns {number | undefined}
+ */
+function parseDuration(value) {
+  if (typeof value !== 'string') return undefined;
+  const trimmed = value.trim();
+  if (/^\d+(?:\.\d+)?$/.test(trimmed)) {
+    const seconds = Number.parseFloat(trimmed);
+    return seconds > 0 ? Math.round(seconds * 1000) : undefined;
+  }
+  const match = /^(?:(\d{1,2}):)?(\d{1,3}):(\d{2})$/.exec(trimmed);
+  if (!match) return undefined;
+  const [, hours = '0', minutes, seconds] = match;
+  const total = Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+  return total > 0 ? total * 1000 : undefined;
+}
+
+/**
+ * Split "Artist - Title" (hyphen, en dash, or em dash with surrounding spaces).
+ * @param {string} value
+ * @returns {{ artist: string, title: string }}
+ */
+function splitArtistTitle(value) {
+  const parts = value.split(ARTIST_TITLE_SEPARATOR);
+  if (parts.length < 2) return { artist: '', title: value.trim() };
+  return { artist: parts[0].trim(), title: parts.slice(1).join(' - ').trim() };
+}
+
+/** @param {string} text */
+function splitLines(text) {
+  return text.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+}
+
+/**
+ * @param {string} line
+ * @param {string} delimiter
+ * @returns {string[]}
+ */
+function splitDelimitedLine(line, delimiter) {
+  /** @type {string[]} */
+  const fields = [];
+  let current = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i += 1) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"' && current.trim() === '') {
+      current = '';
+      quoted = true;
+    } else if (char === delimiter) {
+      fields.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  fields.push(current.trim());
+  return fields;
+}
+
+/**
+ * Pick the delimiter that splits the header into the most columns.
+ * @param {string} header
+ */
+function detectDelimiter(header) {
+  return ['\t', ',', ';']
+    .map((delimiter) => ({ delimiter, count: splitDelimitedLine(header, delimiter).length }))
+    .sort((a, b) => b.count - a.count)[0].delimiter;
+}
+
+/**
+ * Map header cells onto the columns we know, or null when no title column exists.
+ * @param {string} header
+ * @returns {{ delimiter: string, columns: Partial<Record<keyof typeof CSV_COLUMNS, number>> } | null}
+ */
+function readCsvHeader(header) {
+  const delimiter = detectDelimiter(header);
+  const cells = splitDelimitedLine(header, delimiter).map((cell) => cell.toLowerCase());
+  if (cells.length < 2) return null;
+  /** @type {Partial<Record<keyof typeof CSV_COLUMNS, number>>} */
+  const columns = {};
+  /** @type {(keyof typeof CSV_COLUMNS)[]} */ (Object.keys(CSV_COLUMNS)).forEach((key) => {
+    const index = cells.findIndex((cell) => CSV_COLUMNS[key].includes(cell));
+    if (index >= 0) columns[key] = index;
+  });
+  return columns.title != null ? { delimiter, columns } : null;
+}
+
+/**
+ * @param {string} text
+ * @param {string | null | undefined} fileName
+ * @returns {TracklistFormat}
+ */
+export function detectTracklistFormat(text, fileName) {
+  const extension = typeof fileName === 'string' ? (/\.([^.]+)$/.exec(fileName)?.[1] ?? '').toLowerCase() : '';
+  if (extension === 'm3u' || extension === 'm3u8') return 'm3u';
+  const firstLine = splitLines(text).find((line) => line.trim()) ?? '';
+  if (/^#EXTM3U/i.test(firstLine.trim())) return 'm3u';
+  if (readCsvHeader(firstLine)) return 'csv';
+  return 'text';
+}
+
+/**
+ * @param {string[]} lines
+ * @returns {{ title: string | null, entries: RawEntry[], skipped: number }}
+ */
+function parseM3u(lines) {
+  /** @type {RawEntry[]} */
+  const entries = [];
+  /** @type {string | null} */
+  let title = null;
+  /** @type {{ display: string, durationMs?: number } | null} */
+  let pending = null;
+  let skipped = 0;
+
+  lines.forEach((rawLine) => {
+    const line = rawLine.trim();
+    if (!line) return;
+    if (line.startsWith('#')) {
+      if (/^#PLAYLIST:/i.test(line)) {
+        title = line.slice('#PLAYLIST:'.length).trim() || null;
+      } else if (/^#EXTINF:/i.test(line)) {
+        const body = line.slice('#EXTINF:'.length);
+        const commaIndex = body.indexOf(',');
+        const seconds = Number.parseFloat(commaIndex >= 0 ? body.slice(0, commaIndex) : body);
+        pending = {
+          display: commaIndex >= 0 ? body.slice(commaIndex + 1).trim() : '',
+          durationMs: Number.isFinite(seconds) && seconds > 0 ? Math.round(seconds * 1000) : undefined,
+        };
+      }
+      return;
+    }
+
+    const location = line;
+    const display = pending?.display || stripExtension(decodeURIComponentSafe(location));
+    const { artist, title: trackTitle } = splitArtistTitle(display);
+    if (!trackTitle) {
+      skipped += 1;
+    } else {
+      entries.push({
+        artist,
+        title: trackTitle,
+        durationMs: pending?.durationMs,
+        sourceUrl: /^https?:\/\//i.test(location) ? location : undefined,
+      });
+    }
+    pending = null;
+  });
+
+  return { title, entries, skipped };
+}
+
+/** @param {string} value */
+function decodeURIComponentSafe(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * @param {string[]} lines
+ * @returns {{ title: null, entries: RawEntry[], skipped: number }}
+ */
+function parseCsv(lines) {
+  const rows = lines.filter((line) => line.trim());
+  const header = rows.length ? readCsvHeader(rows[0]) : null;
+  if (!header) return { title: null, entries: [], skipped: rows.length };
+  const { delimiter, columns } = header;
+  /** @param {string[]} cells @param {keyof typeof CSV_COLUMNS} key */
+  const cell = (cells, key) => (columns[key] != null ? cells[/** @type {number} */ (columns[key])] ?? '' : '');
+
+  /** @type {RawEntry[]} */
+  const entries = [];
+  let skipped = 0;
+  rows.slice(1).forEach((row) => {
+    const cells = splitDelimitedLine(row, delimiter);
+    const title = cell(cells, 'title');
+    if (!title) {
+      skipped += 1;
+      return;
+    }
+    entries.push({
+      title,
+      artist: cell(cells, 'artist'),
+      album: cell(cells, 'album') || undefined,
+      durationMs: parseDuration(cell(cells, 'duration')),
+    });
+  });
+  return { title: null, entries, skipped };
+}
+
+/**
+ * One track per line: "Artist - Title", optionally prefixed by a number ("01.", "[3]") or a cue
+ * time ("12:30", "[1:02:45]") as in DJ-mix tracklists. Lines starting with "#" are comments.
+ * @param {string[]} lines
+ * @returns {{ title: null, entries: RawEntry[], skipped: number }}
+ */
+function parseText(lines) {
+  /** @type {RawEntry[]} */
+  const entries = [];
+  let skipped = 0;
+  lines.forEach((rawLine) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) return;
+    const stripped = line.replace(LEADING_NUMBER, '').replace(LEADING_TIMESTAMP, '').trim();
+    const { artist, title } = splitArtistTitle(stripped);
+    if (!title) {
+      skipped += 1;
+      return;
+    }
+    entries.push({ artist, title });
+  });
+  return { title: null, entries, skipped };
+}
+
+/**
+ * Parse a tracklist into NormalizedTracks. Repeated artist+title pairs get `-2`, `-3`… suffixes
+ * so every row keeps a distinct id.
+ * @param {string} text
+ * @param {{ fileName?: string | null }} [options]
+ * @returns {ParsedTracklist}
+ */
+export function parseTracklist(text, options = {}) {
+  const source = typeof text === 'string' ? text : '';
+  const format = detectTracklistFormat(source, options.fileName);
+  const lines = splitLines(source);
+  const parsed = format === 'm3u' ? parseM3u(lines) : format === 'csv' ? parseCsv(lines) : parseText(lines);
+
+  const truncated = parsed.entries.length > MAX_TRACKLIST_TRACKS;
+  const entries = truncated ? parsed.entries.slice(0, MAX_TRACKLIST_TRACKS) : parsed.entries;
+  /** @type {Map<string, number>} */
+  const seen = new Map();
+
+  const tracks = entries.map((entry, index) => {
+    const baseId = makeTrackId(entry.artist, entry.title);
+    const occurrence = (seen.get(baseId) ?? 0) + 1;
+    seen.set(baseId, occurrence);
+    return normalizeTrack(
+      {
+        id: occurrence > 1 ? `${baseId}-${occurrence}` : baseId,
+        title: entry.title,
+        artist: entry.artist,
+        album: entry.album,
+        durationMs: entry.durationMs,
+        sourceUrl: entry.sourceUrl,
+        provider: PROVIDER,
+        kind: 'music',
+      },
+      index,
+      PROVIDER
+    );
+  });
+
+  return {
+    format,
+    title: parsed.title,
+    tracks,
+    skipped: parsed.skipped + (parsed.entries.length - entries.length),
+    truncated,
+  };
+}
+
+/**
+ * Tracklist import adapter. Unlike the network adapters it never fetches: the text travels in
+ * `options.context.tracklist`, and `options.url` is the `tracklist:` pseudo-URL from
+ * `buildTracklistSourceUrl`. Everything is returned as a single page.
+ *
+ * Throws adapter errors (createAdapterError) with codes:
+ *  - ERR_UNSUPPORTED_URL (not a `tracklist:` URL), ERR_NOT_FOUND (no text supplied, e.g. a re-import
+ *    after reload), ERR_EMPTY_TRACKLIST (nothing parseable), ERR_ABORTED.
+ *
+ * @param {import('./types.js').AdapterOptions | Partial<import('./types.js').AdapterOptions>} [options]
+ * @returns {Promise<import('./types.js').PlaylistAdapterResult & { debug?: Record<string, any> }>}
+ */
+export async function importPlaylist(options = {}) {
+  const inputUrl = typeof options.url === 'string' ? options.url.trim() : '';
+  const playlistId = extractTracklistId(inputUrl);
+  if (!playlistId) {
+    throw createAdapterError(CODES.ERR_UNSUPPORTED_URL, {
+      provider: PROVIDER,
+      urlPreview: inputUrl.slice(0, 120),
+    });
+  }
+  if (options.signal?.aborted) {
+    throw createAdapterError(CODES.ERR_ABORTED, { provider: PROVIDER });
+  }
+
+  /** @type {TracklistInput | undefined} */
+  const tracklist = options.context?.tracklist;
+  if (!tracklist || typeof tracklist.text !== 'string') {
+    throw createAdapterError(CODES.ERR_NOT_FOUND, { provider: PROVIDER, reason: 'tracklist_unavailable' });
+  }
+
+  const fileName = typeof tracklist.fileName === 'string' ? tracklist.fileName : null;
+  const parsed = parseTracklist(tracklist.text, { fileName });
+  if (!parsed.tracks.length) {
+    throw createAdapterError(CODES.ERR_EMPTY_TRACKLIST, {
+      provider: PROVIDER,
+      format: parsed.format,
+      skipped: parsed.skipped,
+    });
+  }
+
+  return {
+    provider: PROVIDER,
+    playlistId,
+    title: parsed.title || (fileName ? stripExtension(fileName) : '') || PASTE_TITLE,
+    snapshotId: hashText(tracklist.text),
+    sourceUrl: inputUrl,
+    total: parsed.tracks.length,
+    tracks: parsed.tracks,
+    pageInfo: { cursor: null, hasMore: false },
+    debug: {
+      source: `file:${parsed.format}`,
+      skipped: parsed.skipped,
+      truncated: parsed.truncated,
+    },
+  };
+}
+
+export default { importPlaylist };
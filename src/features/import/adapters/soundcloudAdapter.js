@@ -1,40 +1,281 @@
 // src/features/import/adapters/soundcloudAdapter.js
-// Mocked SoundCloud adapter with paginated responses and unified error handling.
+// SoundCloud adapter that resolves set URLs and pages their tracks through the /api/soundcloud proxy.
 
 // @ts-check
 
-import { mockPlaylists } from '../../../data/mockPlaylists.js';
-import { createPagedMockAdapter } from './mockAdapterUtils.js';
-import { CODES, createAdapterError } from './types.js';
+import { normalizeTrack } from '../normalizeTrack.js';
+import { CODES, createAdapterError, isKnownAdapterErrorObject } from './types.js';
+import { defaultFetchClient } from '../../../utils/fetchClient.js';
+import { isDev } from '../../../utils/isDev.js';
 
-const adapter = createPagedMockAdapter({
-  provider: 'soundcloud',
-  title: mockPlaylists.soundcloud?.title || 'Mock SoundCloud Playlist',
-  tracks: mockPlaylists.soundcloud?.tracks || [],
-});
+const PROVIDER = 'soundcloud';
+const PROXY_ENDPOINT = '/api/soundcloud';
+const CANONICAL_BASE_URL = 'https://soundcloud.com/';
+const SOUNDCLOUD_HOSTS = new Set(['soundcloud.com', 'www.soundcloud.com', 'm.soundcloud.com']);
+const BLOCKED_ACCESS = 'blocked';
+const BLOCKED_POLICY = 'BLOCK';
+
+function debugLog(label, payload) {
+  if (isDev()) {
+    console.debug(`[soundcloud] ${label}`, payload);
+  }
+}
 
 /**
- * Simulated importPlaylist function that wraps the mock adapter with standardized errors.
- * @param {import('./types.js').AdapterOptions} options
- * @returns {Promise<import('./types.js').PlaylistAdapterResult>}
+ * Extract the `user/sets/name` permalink path (including any `s-xxxx` secret token) from a set URL.
+ * The path doubles as the playlist ID so cache keys stay stable without a resolve round trip.
+ * @param {string} raw
+ * @returns {string | null}
  */
-export async function importPlaylist(options) {
+export function extractSetPath(raw) {
+  if (typeof raw !== 'string') return null;
+  const input = raw.trim();
+  if (!input) return null;
+
+  const candidateUrl = /^https?:\/\//i.test(input) ? input : `https://${input}`;
   try {
-    return await adapter.importPlaylist(options);
-  } catch (e) {
-    const err = /** @type {any} */ (e);
+    const parsed = new URL(candidateUrl);
+    if (!SOUNDCLOUD_HOSTS.has(parsed.hostname.toLowerCase())) return null;
+    const segments = parsed.pathname.split('/').filter(Boolean);
+    if (segments.length < 3 || segments[1].toLowerCase() !== 'sets') return null;
+    return segments.slice(0, 4).join('/');
+  } catch {
+    return null;
+  }
+}
 
-    if (err?.name === 'AbortError') {
-      throw createAdapterError(CODES.ERR_ABORTED, { provider: 'soundcloud' }, err);
-    }
-    if (err?.status === 429) {
-      throw createAdapterError(CODES.ERR_RATE_LIMITED, { provider: 'soundcloud' }, err);
+/**
+ * SoundCloud artwork defaults to "-large" (100x100), which already covers the 80px ideal.
+ * @param {any} track
+ * @returns {string | undefined}
+ */
+function selectArtwork(track) {
+  const artwork = track?.artwork_url ?? track?.user?.avatar_url;
+  return typeof artwork === 'string' && artwork ? artwork : undefined;
+}
+
+/**
+ * @param {any} track
+ */
+function isBlocked(track) {
+  return track?.access === BLOCKED_ACCESS || track?.policy === BLOCKED_POLICY;
+}
+
+/**
+ * @param {unknown} err
+ * @returns {number | null}
+ */
+function extractHttpStatus(err) {
+  const anyErr = /** @type {any} */ (err);
+  if (typeof anyErr?.status === 'number') return anyErr.status;
+  if (typeof anyErr?.details?.status === 'number') return anyErr.details.status;
+  const code = typeof anyErr?.code === 'string' ? anyErr.code : '';
+  const match = /^HTTP_(\d+)/.exec(code);
+  return match ? Number.parseInt(match[1], 10) : null;
+}
+
+/**
+ * @param {'resolve' | 'tracks'} stage
+ * @param {unknown} err
+ * @returns {never}
+ */
+function mapSoundCloudError(stage, err) {
+  const anyErr = /** @type {any} */ (err);
+  if (anyErr?.name === 'AbortError') {
+    throw createAdapterError(CODES.ERR_ABORTED, { provider: PROVIDER, stage }, err);
+  }
+  if (isKnownAdapterErrorObject(err)) throw err;
+
+  const status = extractHttpStatus(err);
+  const details = { provider: PROVIDER, stage, ...(status ? { status } : {}) };
+
+  if (status === 401 || status === 403) {
+    throw createAdapterError(CODES.ERR_PRIVATE_PLAYLIST, details, err);
+  }
+  // 451 is how SoundCloud reports geo-restricted resources; to the user the set simply isn't there.
+  if (status === 404 || status === 451) {
+    throw createAdapterError(CODES.ERR_NOT_FOUND, details, err);
+  }
+  if (status === 429) {
+    throw createAdapterError(CODES.ERR_RATE_LIMITED, details, err);
+  }
+  if ((status && status >= 500) || anyErr instanceof TypeError) {
+    throw createAdapterError(CODES.ERR_NETWORK, details, err);
+  }
+  throw createAdapterError(CODES.ERR_UNKNOWN, details, err);
+}
+
+/**
+ * @param {ReturnType<typeof import('../../../utils/fetchClient.js').makeFetchClient>} fetchClient
+ * @param {Record<string, string>} params
+ * @param {'resolve' | 'tracks'} stage
+ * @param {AbortSignal | undefined} signal
+ */
+async function fetchProxy(fetchClient, params, stage, signal) {
+  try {
+    return await fetchClient.getJson(`${PROXY_ENDPOINT}?${new URLSearchParams(params).toString()}`, {
+      signal,
+    });
+  } catch (err) {
+    mapSoundCloudError(stage, err);
+  }
+}
+
+/**
+ * @param {any[]} collection
+ * @returns {import('./types.js').NormalizedTrack[]}
+ */
+function toNormalizedTracks(collection) {
+  /** @type {import('./types.js').NormalizedTrack[]} */
+  const out = [];
+
+  collection.forEach((track) => {
+    if (!track || typeof track !== 'object' || track.id == null) return;
+    if (isBlocked(track)) return;
+
+    const trackId = String(track.id);
+    const artist =
+      typeof track.publisher_metadata?.artist === 'string' && track.publisher_metadata.artist.trim()
+        ? track.publisher_metadata.artist
+        : typeof track.user?.username === 'string'
+          ? track.user.username
+          : '';
+    const duration = track.full_duration ?? track.duration;
+
+    out.push(
+      normalizeTrack(
+        {
+          id: trackId,
+          providerTrackId: trackId,
+          title: typeof track.title === 'string' ? track.title : '',
+          artist,
+          durationMs: typeof duration === 'number' && Number.isFinite(duration) ? duration : undefined,
+          thumbnailUrl: selectArtwork(track),
+          sourceUrl: typeof track.permalink_url === 'string' ? track.permalink_url : '',
+          album:
+            typeof track.publisher_metadata?.album_title === 'string'
+              ? track.publisher_metadata.album_title
+              : undefined,
+          provider: PROVIDER,
+          kind: 'music',
+        },
+        out.length, // note: indices are page-local
+        PROVIDER
+      )
+    );
+  });
+
+  return out;
+}
+
+/**
+ * SoundCloud set import adapter.
+ *
+ * Inputs:
+ *  - options.url: SoundCloud set URL (`soundcloud.com/{user}/sets/{name}[/s-token]`). Required.
+ *  - options.cursor: the proxy's `next_href` from a prior call. Optional for pagination.
+ *  - options.signal: AbortSignal to cancel proxy requests.
+ *  - options.fetchClient: injected fetch client (tests/SSR).
+ *
+ * The first call resolves the URL to a playlist, then requests its first tracks page; cursor calls
+ * skip the resolve step entirely.
+ *
+ * Throws adapter errors (createAdapterError) with codes:
+ *  - ERR_UNSUPPORTED_URL, ERR_PRIVATE_PLAYLIST (401/403), ERR_NOT_FOUND (404/451, or a set whose
+ *    tracks are all geo-blocked), ERR_RATE_LIMITED (429), ERR_INVALID_RESPONSE, ERR_NETWORK,
+ *    ERR_ABORTED, ERR_UNKNOWN.
+ *
+ * @param {import('./types.js').AdapterOptions | Partial<import('./types.js').AdapterOptions>} [options]
+ * @returns {Promise<import('./types.js').PlaylistAdapterResult & { coverUrl?: string, debug?: Record<string, any> }>}
+ */
+export async function importPlaylist(options = {}) {
+  const fetchClient = options.fetchClient ?? defaultFetchClient;
+  const inputUrl = typeof options.url === 'string' ? options.url.trim() : '';
+  const setPath = extractSetPath(inputUrl);
+  if (!setPath) {
+    throw createAdapterError(CODES.ERR_UNSUPPORTED_URL, {
+      provider: PROVIDER,
+      urlPreview: inputUrl.slice(0, 120),
+    });
+  }
+
+  const signal = options.signal;
+  const cursor = typeof options.cursor === 'string' && options.cursor ? options.cursor : null;
+  const canonicalUrl = `${CANONICAL_BASE_URL}${setPath}`;
+
+  let playlist = null;
+  let tracksPayload;
+  if (cursor) {
+    tracksPayload = await fetchProxy(fetchClient, { next: cursor }, 'tracks', signal);
+  } else {
+    playlist = await fetchProxy(fetchClient, { url: canonicalUrl }, 'resolve', signal);
+    if (playlist?.id == null) {
+      throw createAdapterError(CODES.ERR_INVALID_RESPONSE, {
+        provider: PROVIDER,
+        stage: 'resolve',
+        reason: 'missing_id',
+      });
     }
-    if (err?.status === 403 || err?.status === 401) {
-      throw createAdapterError(CODES.ERR_PRIVATE_PLAYLIST, { provider: 'soundcloud' }, err);
+    if (playlist.sharing === 'private' && !/\/s-[\w-]+$/.test(setPath)) {
+      throw createAdapterError(CODES.ERR_PRIVATE_PLAYLIST, { provider: PROVIDER, stage: 'resolve' });
     }
-    throw createAdapterError(CODES.ERR_UNKNOWN, { provider: 'soundcloud' }, err);
+    tracksPayload = await fetchProxy(fetchClient, { playlistId: String(playlist.id) }, 'tracks', signal);
   }
+
+  if (!Array.isArray(tracksPayload?.collection)) {
+    throw createAdapterError(CODES.ERR_INVALID_RESPONSE, {
+      provider: PROVIDER,
+      stage: 'tracks',
+      reason: 'missing_collection',
+    });
+  }
+
+  const tracks = toNormalizedTracks(tracksPayload.collection);
+  const blocked = tracksPayload.collection.filter(isBlocked).length;
+  if (!cursor && tracks.length === 0 && blocked > 0) {
+    throw createAdapterError(CODES.ERR_NOT_FOUND, {
+      provider: PROVIDER,
+      stage: 'tracks',
+      reason: 'geo_blocked',
+      blocked,
+    });
+  }
+
+  const nextCursor =
+    typeof tracksPayload.next_href === 'string' && tracksPayload.next_href
+      ? tracksPayload.next_href
+      : null;
+  const trackCount = playlist?.track_count;
+
+  debugLog('page', {
+    set: setPath,
+    items: tracksPayload.collection.length,
+    kept: tracks.length,
+    blocked,
+    next: Boolean(nextCursor),
+  });
+
+  return {
+    provider: PROVIDER,
+    playlistId: setPath,
+    title: typeof playlist?.title === 'string' ? playlist.title : `SoundCloud set ${setPath}`,
+    snapshotId: typeof playlist?.last_modified === 'string' ? playlist.last_modified : undefined,
+    sourceUrl: typeof playlist?.permalink_url === 'string' ? playlist.permalink_url : canonicalUrl,
+    coverUrl: typeof playlist?.artwork_url === 'string' ? playlist.artwork_url : undefined,
+    total: typeof trackCount === 'number' && Number.isFinite(trackCount) ? trackCount : undefined,
+    tracks,
+    pageInfo: {
+      cursor: nextCursor,
+      hasMore: Boolean(nextCursor),
+    },
+    debug: {
+      source: 'soundcloud:api',
+      stage: cursor ? 'paginate' : 'initial',
+      hasNext: Boolean(nextCursor),
+      skipped: blocked,
+      inputUrl: inputUrl || null,
+    },
+  };
 }
 
 export default { importPlaylist };
@@ -1,5 +1,6 @@
 // src/features/import/adapters/spotifyAdapter.js
-// Spotify adapter backed by the official Web API using the client-credentials flow.
+// Spotify adapter backed by the official Web API. Uses the linked account's token when the
+// user has connected Spotify (private playlists, daylist), otherwise the client-credentials flow.
 
 // @ts-check
 
@@ -8,18 +9,25 @@ import { createAdapterError, CODES } from './types.js';
 import { defaultFetchClient } from '../../../utils/fetchClient.js';
 import { isDev } from '../../../utils/isDev.js';
 import { isPodcastImportEnabled } from '../../../utils/podcastFlags.js';
+import { getDeviceId } from '../../../lib/deviceState.js';
+import { isSpotifyLinked, setSpotifyLinked } from '../../../lib/spotifyLinkState.js';
 
 const PROVIDER = 'spotify';
 const TOKEN_ENDPOINT = '/api/spotify/token';
+const USER_TOKEN_ENDPOINT = '/api/spotify/user-token';
 const SPOTIFY_API_BASE = 'https://api.spotify.com/v1';
 const PLAYLIST_FIELDS = 'name,external_urls,images,owner(display_name),snapshot_id';
 const TRACK_FIELDS =
-  'items(added_at,track(id,uri,name,duration_ms,external_urls,album(name,images),artists(name),is_local,type,show(publisher,name,images))),next,total';
+  'items(added_at,track(id,uri,name,duration_ms,external_urls,external_ids(isrc),album(name,images),artists(name),is_local,type,show(publisher,name,images))),next,total';
 const SHOW_FIELDS = 'name,publisher,images,external_urls';
 const EPISODE_FIELDS =
   'id,uri,name,description,duration_ms,images,external_urls,show(id,name,publisher,images)';
 const PLAYLIST_PAGE_SIZE = 100;
 const SHOW_PAGE_SIZE = 50;
+const ALBUM_TRACKS_PAGE_SIZE = 50;
+// GET /albums?ids= accepts at most 20 ids, so one artist page expands in a single request.
+const ARTIST_ALBUMS_PAGE_SIZE = 20;
+const ARTIST_ALBUM_GROUPS = 'album,single';
 const TOKEN_REFRESH_BUFFER_MS = 30_000;
 const CANONICAL_BASE_URL = 'https://open.spotify.com/';
 const TRACK_THUMB_DISPLAY_WIDTH = 40;
@@ -41,6 +49,7 @@ let tokenMemo = null;
 let tokenPromise = null;
 
 const SPOTIFY_HOSTS = new Set(['open.spotify.com', 'play.spotify.com']);
+const SCOPED_CONTENT_TYPES = new Set(['album', 'artist', 'track']);
 const PLAYLIST_ID_LENGTH = 22;
 const PLAYLIST_ID_PATTERN = /^[0-9a-zA-Z]+$/;
 
@@ -65,7 +74,7 @@ function debugLog(label, payload) {
  * Extract a Spotify ID from supported formats for the given path segment.
  * Supports canonical, legacy user, embed, localized (/intl-xx), and URI share links.
  * @param {string} raw
- * @param {'playlist' | 'show' | 'episode'} kind
+ * @param {'playlist' | 'show' | 'episode' | 'album' | 'artist' | 'track'} kind
  * @returns {string | null}
  */
 function extractIdByKind(raw, kind) {
@@ -138,9 +147,33 @@ export function extractEpisodeId(raw) {
   return extractIdByKind(raw, 'episode');
 }
 
+export function extractAlbumId(raw) {
+  return extractIdByKind(raw, 'album');
+}
+
+export function extractArtistId(raw) {
+  return extractIdByKind(raw, 'artist');
+}
+
+export function extractTrackId(raw) {
+  return extractIdByKind(raw, 'track');
+}
+
+/**
+ * Id used as `playlistId` (and so in cache keys and recents) for a piece of Spotify content.
+ * Playlists, shows and episodes keep their bare id so existing caches stay valid; albums,
+ * artists and single tracks are prefixed with their type so they never share a key.
+ * @param {'playlist' | 'show' | 'episode' | 'album' | 'artist' | 'track'} type
+ * @param {string} id
+ * @returns {string}
+ */
+export function buildSpotifyContentId(type, id) {
+  return SCOPED_CONTENT_TYPES.has(type) ? `${type}:${id}` : id;
+}
+
 /**
  * @param {string} raw
- * @returns {{ type: 'playlist' | 'show' | 'episode', id: string, canonicalUrl: string } | null}
+ * @returns {{ type: 'playlist' | 'show' | 'episode' | 'album' | 'artist' | 'track', id: string, canonicalUrl: string } | null}
  */
 function detectContent(raw) {
   const playlistId = extractPlaylistId(raw);
@@ -170,6 +203,13 @@ function detectContent(raw) {
     };
   }
 
+  for (const type of /** @type {const} */ (['album', 'artist', 'track'])) {
+    const id = extractIdByKind(raw, type);
+    if (id) {
+      return { type, id, canonicalUrl: `${CANONICAL_BASE_URL}${type}/${id}` };
+    }
+  }
+
   return null;
 }
 
@@ -397,6 +437,37 @@ function toTokenMemo(payload) {
   };
 }
 
+/**
+ * Fetch the linked account's token, or null when this device has no Spotify link.
+ * Failures fall back to the app token so public playlists keep importing.
+ * @param {ReturnType<typeof import('../../../utils/fetchClient.js').makeFetchClient>} fetchClient
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<any | null>}
+ */
+async function fetchUserTokenPayload(fetchClient, { signal } = {}) {
+  const deviceId = getDeviceId();
+  if (!deviceId || !isSpotifyLinked()) return null;
+  try {
+    return await fetchClient.getJson(USER_TOKEN_ENDPOINT, {
+      method: 'GET',
+      signal,
+      headers: {
+        'Cache-Control': 'no-store',
+        'x-device-id': deviceId,
+      },
+    });
+  } catch (err) {
+    if (/** @type {any} */ (err)?.name === 'AbortError') throw err;
+    const status = extractHttpStatus(err);
+    if (status === 404) {
+      // Revoked here or on Spotify's side.
+      setSpotifyLinked(false);
+    }
+    debugLog('token:user_unavailable', { status });
+    return null;
+  }
+}
+
 /**
  * @param {ReturnType<typeof import('../../../utils/fetchClient.js').makeFetchClient>} fetchClient
  * @param {{ signal?: AbortSignal, forceRefresh?: boolean }} [options]
@@ -422,16 +493,19 @@ async function fetchAccessToken(fetchClient, { signal, forceRefresh = false } =
 
   const request = (async () => {
     try {
-      const tokenPayload = await fetchClient.getJson(TOKEN_ENDPOINT, {
-        method: 'GET',
-        signal,
-        headers: {
-          'Cache-Control': 'no-store',
-        },
-      });
+      const userTokenPayload = await fetchUserTokenPayload(fetchClient, { signal });
+      const tokenPayload =
+        userTokenPayload ??
+        (await fetchClient.getJson(TOKEN_ENDPOINT, {
+          method: 'GET',
+          signal,
+          headers: {
+            'Cache-Control': 'no-store',
+          },
+        }));
       const memo = toTokenMemo(tokenPayload);
       tokenMemo = memo;
-      debugLog('token:stored', { expiresAt: memo.expiresAt });
+      debugLog('token:stored', { expiresAt: memo.expiresAt, user: Boolean(userTokenPayload) });
       return memo;
     } catch (err) {
       invalidateTokenMemo();
@@ -639,6 +713,137 @@ function buildEpisodeUrl(episodeId) {
   return `${SPOTIFY_API_BASE}/episodes/${episodeId}?${params.toString()}`;
 }
 
+/**
+ * @param {string} albumId
+ */
+function buildAlbumUrl(albumId) {
+  return `${SPOTIFY_API_BASE}/albums/${albumId}`;
+}
+
+/**
+ * @param {string} albumId
+ */
+function buildAlbumTracksUrl(albumId) {
+  const params = new URLSearchParams({ limit: String(ALBUM_TRACKS_PAGE_SIZE) });
+  return `${SPOTIFY_API_BASE}/albums/${albumId}/tracks?${params.toString()}`;
+}
+
+/**
+ * @param {string[]} albumIds
+ */
+function buildSeveralAlbumsUrl(albumIds) {
+  const params = new URLSearchParams({ ids: albumIds.join(',') });
+  return `${SPOTIFY_API_BASE}/albums?${params.toString()}`;
+}
+
+/**
+ * @param {string} artistId
+ */
+function buildArtistUrl(artistId) {
+  return `${SPOTIFY_API_BASE}/artists/${artistId}`;
+}
+
+/**
+ * Top tracks require a market; the podcast market doubles as the catalogue market.
+ * @param {string} artistId
+ */
+function buildArtistTopTracksUrl(artistId) {
+  const params = new URLSearchParams({ market: PODCAST_MARKET });
+  return `${SPOTIFY_API_BASE}/artists/${artistId}/top-tracks?${params.toString()}`;
+}
+
+/**
+ * @param {string} artistId
+ */
+function buildArtistAlbumsUrl(artistId) {
+  const params = new URLSearchParams({
+    include_groups: ARTIST_ALBUM_GROUPS,
+    limit: String(ARTIST_ALBUMS_PAGE_SIZE),
+  });
+  return `${SPOTIFY_API_BASE}/artists/${artistId}/albums?${params.toString()}`;
+}
+
+/**
+ * @param {string} trackId
+ */
+function buildTrackUrl(trackId) {
+  return `${SPOTIFY_API_BASE}/tracks/${trackId}`;
+}
+
+/**
+ * GET a Web API endpoint with the bearer token, mapping failures to adapter errors.
+ * @param {ReturnType<typeof import('../../../utils/fetchClient.js').makeFetchClient>} fetchClient
+ * @param {string} endpoint
+ * @param {TokenMemo} token
+ * @param {'meta' | 'tracks'} stage
+ * @param {{ signal?: AbortSignal }} options
+ */
+async function fetchSpotifyJson(fetchClient, endpoint, token, stage, { signal }) {
+  try {
+    return await fetchClient.getJson(endpoint, {
+      signal,
+      headers: {
+        Authorization: `${token.tokenType} ${token.value}`,
+      },
+    });
+  } catch (err) {
+    mapSpotifyError(stage, err);
+  }
+}
+
+/**
+ * @param {string | null} cursor
+ * @param {string} fallback
+ */
+function resolvePageEndpoint(cursor, fallback) {
+  if (!cursor) return fallback;
+  const endpoint = sanitizeCursor(cursor);
+  if (!endpoint) {
+    invalidResponse('tracks', { reason: 'invalid_cursor', cursor });
+  }
+  return endpoint;
+}
+
+/**
+ * Map one Spotify music track. Simplified tracks (album and artist listings) carry no
+ * `album`, so the parent album is passed in.
+ * @param {any} track
+ * @param {number} index
+ * @param {{ album?: any, fallbackThumb?: string | null, addedAt?: string }} [context]
+ */
+function normalizeMusicTrack(track, index, { album = track?.album, fallbackThumb = null, addedAt } = {}) {
+  const title = typeof track.name === 'string' ? track.name : '';
+  const artistList = Array.isArray(track.artists)
+    ? /** @type {Array<{ name?: string }>} */ (track.artists)
+    : [];
+  const artists = artistList
+    .map((artist) => (artist && typeof artist.name === 'string' ? artist.name.trim() : ''))
+    .filter(Boolean)
+    .join(', ');
+  const albumThumb = selectAlbumThumb(album?.images, fallbackThumb);
+  const albumName = album && typeof album.name === 'string' ? album.name : undefined;
+
+  return normalizeTrack(
+    {
+      id: track.id ?? track.uri ?? undefined,
+      title,
+      artist: artists,
+      providerTrackId: track.id ?? track.uri ?? undefined,
+      durationMs: typeof track.duration_ms === 'number' ? track.duration_ms : undefined,
+      // Album track listings are simplified objects without external_ids.
+      isrc: typeof track.external_ids?.isrc === 'string' ? track.external_ids.isrc : undefined,
+      sourceUrl: track.external_urls?.spotify ?? '',
+      thumbnailUrl: albumThumb ?? undefined,
+      provider: PROVIDER,
+      album: albumName,
+      dateAdded: addedAt,
+      kind: 'music',
+    },
+    index,
+    PROVIDER
+  );
+}
+
 /**
  * @param {any[]} rawItems
  * @param {any} meta
@@ -667,39 +872,55 @@ function toNormalizedTracks(rawItems, meta) {
       return;
     }
 
-    const title = typeof track.name === 'string' ? track.name : '';
-    const artistList = Array.isArray(track.artists)
-      ? /** @type {Array<{ name?: string }>} */ (track.artists)
-      : [];
-    const artists = artistList
-      .map((artist) => (artist && typeof artist.name === 'string' ? artist.name.trim() : ''))
-      .filter(Boolean)
-      .join(', ');
-    const albumThumb = selectAlbumThumb(track.album?.images, fallbackThumb);
-    const albumName =
-      track?.album && typeof track.album.name === 'string' ? track.album.name : undefined;
-
-    const normalized = normalizeTrack(
-      {
-        id: track.id ?? track.uri ?? undefined,
-        title,
-        artist: artists,
-        providerTrackId: track.id ?? track.uri ?? undefined,
-        durationMs: typeof track.duration_ms === 'number' ? track.duration_ms : undefined,
-        sourceUrl: track.external_urls?.spotify ?? '',
-        thumbnailUrl: albumThumb ?? undefined,
-        provider: PROVIDER,
-        album: albumName,
-        dateAdded: addedAt,
-        kind: 'music',
-      },
-      out.length, // note: indices are page-local
-      PROVIDER
-    );
+    // note: indices are page-local
+    out.push(normalizeMusicTrack(track, out.length, { fallbackThumb, addedAt }));
+  });
+
+  return out;
+}
+
+/**
+ * Album tracks come back simplified; album name and art come from the album itself.
+ * @param {any[]} rawItems
+ * @param {any} album
+ */
+function toNormalizedAlbumTracks(rawItems, album) {
+  if (!Array.isArray(rawItems)) {
+    invalidResponse('tracks', { reason: 'missing_items' });
+  }
 
-    out.push(normalized);
+  /** @type {import('./types.js').NormalizedTrack[]} */
+  const out = [];
+  rawItems.forEach((track) => {
+    if (!track || typeof track !== 'object' || track.is_local) return;
+    out.push(normalizeMusicTrack(track, out.length, { album }));
   });
+  return out;
+}
+
+/**
+ * Artist pages list the top tracks (first page only) followed by every track of each
+ * album on the page. The same recording can appear in both; keep the first one.
+ * @param {any[]} topTracks
+ * @param {any[]} albums
+ */
+function toNormalizedArtistTracks(topTracks, albums) {
+  /** @type {import('./types.js').NormalizedTrack[]} */
+  const out = [];
+  const seen = new Set();
+  const push = (track, album) => {
+    if (!track || typeof track !== 'object' || track.is_local) return;
+    const key = track.id ?? track.uri;
+    if (!key || seen.has(key)) return;
+    seen.add(key);
+    out.push(normalizeMusicTrack(track, out.length, album ? { album } : undefined));
+  };
 
+  topTracks.forEach((track) => push(track, null));
+  albums.forEach((album) => {
+    const items = Array.isArray(album?.tracks?.items) ? album.tracks.items : [];
+    items.forEach((track) => push(track, album));
+  });
   return out;
 }
 
@@ -727,10 +948,12 @@ function toNormalizedShowEpisodes(rawItems, showMeta, startIndex = 0) {
 }
 
 /**
- * Spotify playlist import adapter (client-credentials via server token proxy).
+ * Spotify import adapter (client-credentials or linked-account token via server proxy).
+ * Handles playlists, albums, artists (top tracks, then every album and single), single
+ * tracks, and, behind the podcast flag, shows and episodes.
  *
  * Inputs:
- *  - options.url: any supported Spotify playlist link/URI. Required for first page.
+ *  - options.url: any supported Spotify link/URI. Required for first page.
  *  - options.cursor: opaque Spotify "next" URL from a prior call. Optional for pagination.
  *  - options.signal: AbortSignal to cancel both token + data requests.
  *  - options.fetchClient: injected fetch client (tests/SSR).
@@ -846,6 +1069,93 @@ export async function importPlaylist(options = {}) {
       return { meta, tracksPayload, timings: { metaMs, tracksMs, tokenMs } };
     }
 
+    if (contentType === 'album') {
+      // The album payload embeds its first page of tracks; later pages follow tracks.next.
+      const metaStart = perfNow();
+      const metaPromise = fetchSpotifyJson(fetchClient, buildAlbumUrl(contentId), token, 'meta', {
+        signal,
+      }).then((meta) => {
+        metaMs = perfNow() - metaStart;
+        return meta;
+      });
+      const tracksPromise = cursor
+        ? fetchSpotifyJson(fetchClient, resolvePageEndpoint(cursor, buildAlbumTracksUrl(contentId)), token, 'tracks', { signal })
+        : metaPromise.then((meta) => meta?.tracks);
+
+      const [meta, tracksPayload] = await Promise.all([metaPromise, tracksPromise]);
+      tracksMs = perfNow() - metaStart;
+      debugLog('parallel:fetch:album', {
+        metaMs,
+        tracksMs,
+        tokenMs,
+        next: Boolean(tracksPayload?.next),
+        items: Array.isArray(tracksPayload?.items) ? tracksPayload.items.length : 0,
+      });
+      return { meta, tracksPayload, timings: { metaMs, tracksMs, tokenMs } };
+    }
+
+    if (contentType === 'artist') {
+      const metaStart = perfNow();
+      const metaPromise = fetchSpotifyJson(fetchClient, buildArtistUrl(contentId), token, 'meta', {
+        signal,
+      }).then((meta) => {
+        metaMs = perfNow() - metaStart;
+        return meta;
+      });
+      const topTracksPromise = cursor
+        ? Promise.resolve(null)
+        : fetchSpotifyJson(fetchClient, buildArtistTopTracksUrl(contentId), token, 'tracks', {
+            signal,
+          });
+      const albumsPromise = fetchSpotifyJson(
+        fetchClient,
+        resolvePageEndpoint(cursor, buildArtistAlbumsUrl(contentId)),
+        token,
+        'tracks',
+        { signal }
+      );
+
+      const [meta, topTracksPayload, albumsPage] = await Promise.all([
+        metaPromise,
+        topTracksPromise,
+        albumsPromise,
+      ]);
+      const albumIds = (Array.isArray(albumsPage?.items) ? albumsPage.items : [])
+        .map((album) => sanitizeSpotifyId(album?.id))
+        .filter(Boolean);
+      const albumsPayload = albumIds.length
+        ? await fetchSpotifyJson(fetchClient, buildSeveralAlbumsUrl(albumIds), token, 'tracks', {
+            signal,
+          })
+        : { albums: [] };
+      tracksMs = perfNow() - metaStart;
+      debugLog('parallel:fetch:artist', {
+        metaMs,
+        tracksMs,
+        tokenMs,
+        next: Boolean(albumsPage?.next),
+        albums: albumIds.length,
+      });
+      return {
+        meta,
+        tracksPayload: {
+          topTracks: Array.isArray(topTracksPayload?.tracks) ? topTracksPayload.tracks : [],
+          albums: Array.isArray(albumsPayload?.albums) ? albumsPayload.albums : [],
+          next: albumsPage?.next ?? null,
+        },
+        timings: { metaMs, tracksMs, tokenMs },
+      };
+    }
+
+    if (contentType === 'track') {
+      const metaStart = perfNow();
+      const trackPayload = await fetchSpotifyJson(fetchClient, buildTrackUrl(contentId), token, 'tracks', {
+        signal,
+      });
+      metaMs = perfNow() - metaStart;
+      return { meta: trackPayload, tracksPayload: trackPayload, timings: { metaMs, tracksMs: 0, tokenMs } };
+    }
+
     const metaStart = perfNow();
     const episodePayload = await fetchEpisode(fetchClient, contentId, token, { signal }).then((episode) => {
       metaMs = perfNow() - metaStart;
@@ -947,6 +1257,64 @@ export async function importPlaylist(options = {}) {
         };
       }
 
+      if (contentType === 'album' || contentType === 'artist' || contentType === 'track') {
+        /** @type {import('./types.js').NormalizedTrack[]} */
+        let tracks;
+        /** @type {string | null} */
+        let nextCursor = null;
+        /** @type {number | undefined} */
+        let total;
+        let title;
+        let coverUrl;
+
+        if (contentType === 'album') {
+          tracks = toNormalizedAlbumTracks(tracksPayload?.items, meta);
+          nextCursor = typeof tracksPayload?.next === 'string' ? tracksPayload.next : null;
+          const albumTotal = meta?.total_tracks ?? tracksPayload?.total;
+          total = typeof albumTotal === 'number' && Number.isFinite(albumTotal) ? albumTotal : undefined;
+          title = typeof meta?.name === 'string' ? meta.name : `Spotify album ${contentId}`;
+          coverUrl = meta?.images?.[0]?.url;
+        } else if (contentType === 'artist') {
+          tracks = toNormalizedArtistTracks(tracksPayload.topTracks, tracksPayload.albums);
+          nextCursor = typeof tracksPayload.next === 'string' ? tracksPayload.next : null;
+          title = typeof meta?.name === 'string' ? meta.name : `Spotify artist ${contentId}`;
+          coverUrl = meta?.images?.[0]?.url;
+        } else {
+          if (!tracksPayload || typeof tracksPayload !== 'object' || !tracksPayload.id) {
+            invalidResponse('tracks', { reason: 'missing_track' });
+          }
+          tracks = [normalizeMusicTrack(tracksPayload, 0)];
+          total = 1;
+          title = typeof tracksPayload.name === 'string' ? tracksPayload.name : `Spotify track ${contentId}`;
+          coverUrl = tracksPayload.album?.images?.[0]?.url;
+        }
+
+        return {
+          provider: PROVIDER,
+          playlistId: buildSpotifyContentId(contentType, contentId),
+          title,
+          sourceUrl: canonicalUrl,
+          coverUrl: typeof coverUrl === 'string' && coverUrl ? coverUrl : undefined,
+          total,
+          tracks,
+          pageInfo: {
+            cursor: nextCursor,
+            hasMore: Boolean(nextCursor),
+          },
+          debug: {
+            source: 'spotify:web',
+            stage: cursor ? 'paginate' : 'initial',
+            hasNext: Boolean(nextCursor),
+            tokenRefreshed,
+            metaMs: timings.metaMs,
+            tracksMs: timings.tracksMs,
+            tokenMs: timings.tokenMs,
+            inputUrl: playlistUrl || null,
+            contentType,
+          },
+        };
+      }
+
       const episodeTrack = normalizeEpisodeItem(
         tracksPayload,
         tracksPayload?.show ?? {},
@@ -1018,7 +1386,15 @@ export async function prime(options = {}) {
 
 export default { importPlaylist, prime };
 
-export function __resetSpotifyTokenMemoForTests() {
+/**
+ * Forget the memoized token, e.g. after linking or unlinking a Spotify account so the
+ * next import picks up the right one.
+ */
+export function clearSpotifyTokenMemo() {
   tokenMemo = null;
   tokenPromise = null;
 }
+
+export function __resetSpotifyTokenMemoForTests() {
+  clearSpotifyTokenMemo();
+}
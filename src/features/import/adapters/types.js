@@ -5,7 +5,7 @@
 
 /**
  * Known playlist providers the app supports.
- * @typedef {'spotify' | 'youtube' | 'soundcloud' | 'demo'} PlaylistProvider
+ * @typedef {'spotify' | 'youtube' | 'soundcloud' | 'applemusic' | 'deezer' | 'file' | 'demo'} PlaylistProvider
  */
 
 /**
@@ -24,6 +24,7 @@
  * @property {string} [publisher]
  * @property {string} [description]
  * @property {number} [durationMs]
+ * @property {string} [isrc] - International Standard Recording Code, when the provider exposes it
  * @property {string} [thumbnailUrl]
  * @property {any[]} [notes]
  * @property {string} [album]
@@ -69,10 +70,10 @@
 
 /**
  * Error codes adapters should surface so the UI can branch correctly.
- * @typedef {'ERR_UNSUPPORTED_URL' | 'ERR_NOT_FOUND' | 'ERR_PRIVATE_PLAYLIST' | 'ERR_RATE_LIMITED' | 'ERR_TOKEN_EXPIRED' | 'ERR_NETWORK' | 'ERR_INVALID_RESPONSE' | 'ERR_ABORTED' | 'ERR_UNKNOWN' | 'ERR_EPISODE_UNAVAILABLE' | 'ERR_SHOW_EMPTY' | 'ERR_PODCAST_CONTENT'} AdapterErrorCode
+ * @typedef {'ERR_UNSUPPORTED_URL' | 'ERR_NOT_FOUND' | 'ERR_PRIVATE_PLAYLIST' | 'ERR_RATE_LIMITED' | 'ERR_TOKEN_EXPIRED' | 'ERR_NETWORK' | 'ERR_INVALID_RESPONSE' | 'ERR_ABORTED' | 'ERR_UNKNOWN' | 'ERR_EPISODE_UNAVAILABLE' | 'ERR_SHOW_EMPTY' | 'ERR_PODCAST_CONTENT' | 'ERR_EMPTY_TRACKLIST'} AdapterErrorCode
  */
 
-export const KNOWN_PROVIDERS = Object.freeze(['spotify', 'youtube', 'soundcloud']);
+export const KNOWN_PROVIDERS = Object.freeze(['spotify', 'youtube', 'soundcloud', 'applemusic', 'deezer', 'file']);
 
 export const KNOWN_ADAPTER_ERRORS = Object.freeze([
   'ERR_UNSUPPORTED_URL',
@@ -86,6 +87,7 @@ export const KNOWN_ADAPTER_ERRORS = Object.freeze([
   'ERR_EPISODE_UNAVAILABLE',
   'ERR_SHOW_EMPTY',
   'ERR_PODCAST_CONTENT',
+  'ERR_EMPTY_TRACKLIST',
   'ERR_UNKNOWN',
 ]);
 
@@ -120,6 +122,7 @@ export const CODES = Object.freeze({
   ERR_EPISODE_UNAVAILABLE: 'ERR_EPISODE_UNAVAILABLE',
   ERR_SHOW_EMPTY: 'ERR_SHOW_EMPTY',
   ERR_PODCAST_CONTENT: 'ERR_PODCAST_CONTENT',
+  ERR_EMPTY_TRACKLIST: 'ERR_EMPTY_TRACKLIST',
   ERR_UNKNOWN: 'ERR_UNKNOWN',
 });
 
@@ -194,6 +197,7 @@ export function isKnownAdapterErrorObject(e) {
  * @typedef {Object} ImportInitialOptions
  * @property {string=} providerHint   e.g. "spotify"; used if adapter didn't set res.provider.
  * @property {string=} sourceUrl      Canonicalized URL to store in meta.sourceUrl.
+ * @property {{ text: string, fileName?: string | null }=} tracklist  Raw text for `tracklist:` (file provider) imports.
  */
 
 /**
@@ -219,7 +223,7 @@ export function isKnownAdapterErrorObject(e) {
  * Unified result shape returned by all playlist import flow functions.
  * @typedef {Object} ImportResult
  * @property {boolean} ok
- * @property {{tracks: NormalizedTrack[], meta: ImportMeta, title?: string, importedAt?: string, coverUrl?: string|null, total?: number}=} [data]
+ * @property {{tracks: NormalizedTrack[], meta: ImportMeta, title?: string, importedAt?: string, coverUrl?: string|null, total?: number, unchanged?: boolean}=} [data]
  * @property {AdapterErrorCode=} code
  * @property {any=} error
  * @property {number=} retryAt
@@ -1,40 +1,334 @@
 // src/features/import/adapters/youtubeAdapter.js
-// Mocked YouTube adapter with paginated responses and unified error handling.
+// YouTube adapter backed by the Data API v3 through the /api/youtube proxy (the API key stays server-side).
 
 // @ts-check
 
-import { mockPlaylists } from '../../../data/mockPlaylists.js';
-import { createPagedMockAdapter } from './mockAdapterUtils.js';
-import { CODES, createAdapterError } from './types.js';
+import { normalizeTrack } from '../normalizeTrack.js';
+import { CODES, createAdapterError, isKnownAdapterErrorObject } from './types.js';
+import { defaultFetchClient } from '../../../utils/fetchClient.js';
+import { isDev } from '../../../utils/isDev.js';
 
-const adapter = createPagedMockAdapter({
-  provider: 'youtube',
-  title: mockPlaylists.youtube?.title || 'Mock YouTube Playlist',
-  tracks: mockPlaylists.youtube?.tracks || [],
-});
+const PROVIDER = 'youtube';
+const PROXY_BASE = '/api/youtube';
+const PAGE_SIZE = 50;
+const CANONICAL_PLAYLIST_URL = 'https://www.youtube.com/playlist?list=';
+const WATCH_URL = 'https://www.youtube.com/watch';
+const IDEAL_THUMB_WIDTH = 80; // ~2x the 40px track thumbnail for HiDPI clarity
+const PLAYLIST_ID_PATTERN = /^[\w-]{2,64}$/;
+const YOUTUBE_HOSTS = new Set([
+  'youtube.com',
+  'www.youtube.com',
+  'm.youtube.com',
+  'music.youtube.com',
+]);
+const UNAVAILABLE_PRIVACY = new Set(['private', 'privacyStatusUnspecified']);
+const TOPIC_SUFFIX = / - Topic$/;
+
+function debugLog(label, payload) {
+  if (isDev()) {
+    console.debug(`[youtube] ${label}`, payload);
+  }
+}
+
+/**
+ * Extract the `list=` playlist ID from a YouTube or YouTube Music URL.
+ * @param {string} raw
+ * @returns {string | null}
+ */
+export function extractPlaylistId(raw) {
+  if (typeof raw !== 'string') return null;
+  const input = raw.trim();
+  if (!input) return null;
+
+  const candidateUrl = /^https?:\/\//i.test(input) ? input : `https://${input}`;
+  try {
+    const parsed = new URL(candidateUrl);
+    if (!YOUTUBE_HOSTS.has(parsed.hostname.toLowerCase())) return null;
+    const listParam = parsed.searchParams.get('list')?.trim() ?? '';
+    return PLAYLIST_ID_PATTERN.test(listParam) ? listParam : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse an ISO 8601 duration (`PT1H2M3S`) into milliseconds.
+ * @param {unknown} value
+ * @returns {number | undefined}
+ */
+export function parseIsoDuration(value) {
+  if (typeof value !== 'string') return undefined;
+  const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/.exec(value.trim());
+  if (!match) return undefined;
+  const [, days, hours, minutes, seconds] = match;
+  const totalSeconds =
+    Number(days ?? 0) * 86_400 +
+    Number(hours ?? 0) * 3_600 +
+    Number(minutes ?? 0) * 60 +
+    Number(seconds ?? 0);
+  // Live streams and premieres report P0D; treat that as unknown rather than zero-length.
+  return totalSeconds > 0 ? Math.round(totalSeconds * 1000) : undefined;
+}
+
+/**
+ * YouTube exposes keyed thumbnails (default/medium/high/...). Prefer the smallest one that still
+ * covers the ideal display width, falling back to the largest available.
+ * @param {Record<string, { url?: string, width?: number }> | undefined} thumbnails
+ * @returns {string | undefined}
+ */
+function selectThumbnail(thumbnails) {
+  if (!thumbnails || typeof thumbnails !== 'object') return undefined;
+  const candidates = Object.values(thumbnails)
+    .filter((thumb) => thumb && typeof thumb.url === 'string')
+    .map((thumb) => ({ url: /** @type {string} */ (thumb.url), width: Number(thumb.width) || 0 }))
+    .sort((a, b) => a.width - b.width);
+  if (!candidates.length) return undefined;
+  const fit = candidates.find((thumb) => thumb.width >= IDEAL_THUMB_WIDTH);
+  return (fit ?? candidates[candidates.length - 1]).url;
+}
+
+/**
+ * @param {unknown} err
+ * @returns {number | null}
+ */
+function extractHttpStatus(err) {
+  const anyErr = /** @type {any} */ (err);
+  if (typeof anyErr?.status === 'number') return anyErr.status;
+  if (typeof anyErr?.details?.status === 'number') return anyErr.details.status;
+  const code = typeof anyErr?.code === 'string' ? anyErr.code : '';
+  const match = /^HTTP_(\d+)/.exec(code);
+  return match ? Number.parseInt(match[1], 10) : null;
+}
+
+/**
+ * @param {'meta' | 'tracks' | 'durations'} stage
+ * @param {unknown} err
+ * @returns {never}
+ */
+function mapYouTubeError(stage, err) {
+  const anyErr = /** @type {any} */ (err);
+  if (anyErr?.name === 'AbortError') {
+    throw createAdapterError(CODES.ERR_ABORTED, { provider: PROVIDER, stage }, err);
+  }
+  if (isKnownAdapterErrorObject(err)) throw err;
+
+  const status = extractHttpStatus(err);
+  const details = { provider: PROVIDER, stage, ...(status ? { status } : {}) };
+
+  if (status === 401 || status === 403) {
+    throw createAdapterError(CODES.ERR_PRIVATE_PLAYLIST, details, err);
+  }
+  if (status === 404) {
+    throw createAdapterError(CODES.ERR_NOT_FOUND, details, err);
+  }
+  if (status === 429) {
+    throw createAdapterError(CODES.ERR_RATE_LIMITED, details, err);
+  }
+  if ((status && status >= 500) || anyErr instanceof TypeError) {
+    throw createAdapterError(CODES.ERR_NETWORK, details, err);
+  }
+  throw createAdapterError(CODES.ERR_UNKNOWN, details, err);
+}
+
+/**
+ * @param {ReturnType<typeof import('../../../utils/fetchClient.js').makeFetchClient>} fetchClient
+ * @param {string} resource
+ * @param {Record<string, string>} params
+ * @param {'meta' | 'tracks' | 'durations'} stage
+ * @param {AbortSignal | undefined} signal
+ */
+async function fetchResource(fetchClient, resource, params, stage, signal) {
+  const url = `${PROXY_BASE}/${resource}?${new URLSearchParams(params).toString()}`;
+  try {
+    return await fetchClient.getJson(url, { signal });
+  } catch (err) {
+    mapYouTubeError(stage, err);
+  }
+}
 
 /**
- * Simulated importPlaylist function that wraps the mock adapter with standardized errors.
- * @param {import('./types.js').AdapterOptions} options
- * @returns {Promise<import('./types.js').PlaylistAdapterResult>}
+ * Durations live on the `videos` resource, so they cost one extra proxy call per page.
+ * Failures here are non-fatal: the tracks still import, just without durations.
+ * @param {ReturnType<typeof import('../../../utils/fetchClient.js').makeFetchClient>} fetchClient
+ * @param {string[]} videoIds
+ * @param {AbortSignal | undefined} signal
+ * @returns {Promise<Map<string, number>>}
  */
-export async function importPlaylist(options) {
+async function fetchDurations(fetchClient, videoIds, signal) {
+  /** @type {Map<string, number>} */
+  const durations = new Map();
+  if (!videoIds.length) return durations;
   try {
-    return await adapter.importPlaylist(options);
-  } catch (e) {
-    const err = /** @type {any} */ (e);
-
-    if (err?.name === 'AbortError') {
-      throw createAdapterError(CODES.ERR_ABORTED, { provider: 'youtube' }, err);
-    }
-    if (err?.status === 429) {
-      throw createAdapterError(CODES.ERR_RATE_LIMITED, { provider: 'youtube' }, err);
-    }
-    if (err?.status === 403 || err?.status === 401) {
-      throw createAdapterError(CODES.ERR_PRIVATE_PLAYLIST, { provider: 'youtube' }, err);
-    }
-    throw createAdapterError(CODES.ERR_UNKNOWN, { provider: 'youtube' }, err);
+    const payload = await fetchResource(
+      fetchClient,
+      'videos',
+      { id: videoIds.join(',') },
+      'durations',
+      signal
+    );
+    const items = Array.isArray(payload?.items) ? payload.items : [];
+    items.forEach((item) => {
+      const ms = parseIsoDuration(item?.contentDetails?.duration);
+      if (typeof item?.id === 'string' && typeof ms === 'number') {
+        durations.set(item.id, ms);
+      }
+    });
+  } catch (err) {
+    const code = /** @type {any} */ (err)?.code ?? null;
+    if (code === CODES.ERR_ABORTED) throw err;
+    debugLog('durations:failed', { code });
+  }
+  return durations;
+}
+
+/**
+ * @param {any} item
+ * @returns {boolean}
+ */
+function isPlayable(item) {
+  const videoId = item?.contentDetails?.videoId ?? item?.snippet?.resourceId?.videoId;
+  if (typeof videoId !== 'string' || !videoId) return false;
+  const privacy = item?.status?.privacyStatus;
+  return !(typeof privacy === 'string' && UNAVAILABLE_PRIVACY.has(privacy));
+}
+
+/**
+ * @param {any[]} items
+ * @param {Map<string, number>} durations
+ * @param {string} playlistId
+ * @returns {import('./types.js').NormalizedTrack[]}
+ */
+function toNormalizedTracks(items, durations, playlistId) {
+  /** @type {import('./types.js').NormalizedTrack[]} */
+  const out = [];
+
+  items.forEach((item) => {
+    if (!isPlayable(item)) return;
+    const snippet = item.snippet ?? {};
+    const videoId = item.contentDetails?.videoId ?? snippet.resourceId?.videoId;
+    const channel =
+      typeof snippet.videoOwnerChannelTitle === 'string'
+        ? snippet.videoOwnerChannelTitle.replace(TOPIC_SUFFIX, '')
+        : '';
+    const watchParams = new URLSearchParams({ v: videoId, list: playlistId });
+
+    out.push(
+      normalizeTrack(
+        {
+          id: videoId,
+          providerTrackId: videoId,
+          title: typeof snippet.title === 'string' ? snippet.title : '',
+          artist: channel,
+          durationMs: durations.get(videoId),
+          thumbnailUrl: selectThumbnail(snippet.thumbnails),
+          sourceUrl: `${WATCH_URL}?${watchParams.toString()}`,
+          provider: PROVIDER,
+          dateAdded: typeof snippet.publishedAt === 'string' ? snippet.publishedAt : undefined,
+          kind: 'music',
+        },
+        out.length, // note: indices are page-local
+        PROVIDER
+      )
+    );
+  });
+
+  return out;
+}
+
+/**
+ * YouTube playlist import adapter.
+ *
+ * Inputs:
+ *  - options.url: YouTube or YouTube Music URL with a `list=` param. Required.
+ *  - options.cursor: `nextPageToken` from a prior call. Optional for pagination.
+ *  - options.signal: AbortSignal to cancel proxy requests.
+ *  - options.fetchClient: injected fetch client (tests/SSR).
+ *
+ * Playlist metadata is only requested for the first page; paginated calls skip it to save quota.
+ *
+ * Throws adapter errors (createAdapterError) with codes:
+ *  - ERR_UNSUPPORTED_URL, ERR_PRIVATE_PLAYLIST (401/403), ERR_NOT_FOUND (404 or empty lookup),
+ *    ERR_RATE_LIMITED (429/quota), ERR_INVALID_RESPONSE, ERR_NETWORK, ERR_ABORTED, ERR_UNKNOWN.
+ *
+ * @param {import('./types.js').AdapterOptions | Partial<import('./types.js').AdapterOptions>} [options]
+ * @returns {Promise<import('./types.js').PlaylistAdapterResult & { coverUrl?: string, debug?: Record<string, any> }>}
+ */
+export async function importPlaylist(options = {}) {
+  const fetchClient = options.fetchClient ?? defaultFetchClient;
+  const inputUrl = typeof options.url === 'string' ? options.url.trim() : '';
+  const playlistId = extractPlaylistId(inputUrl);
+  if (!playlistId) {
+    throw createAdapterError(CODES.ERR_UNSUPPORTED_URL, {
+      provider: PROVIDER,
+      urlPreview: inputUrl.slice(0, 120),
+    });
+  }
+
+  const signal = options.signal;
+  const cursor = typeof options.cursor === 'string' && options.cursor ? options.cursor : null;
+
+  const itemParams = { playlistId, maxResults: String(PAGE_SIZE), ...(cursor ? { pageToken: cursor } : {}) };
+  const [meta, itemsPayload] = await Promise.all([
+    cursor ? Promise.resolve(null) : fetchResource(fetchClient, 'playlists', { id: playlistId }, 'meta', signal),
+    fetchResource(fetchClient, 'playlistItems', itemParams, 'tracks', signal),
+  ]);
+
+  const playlist = Array.isArray(meta?.items) ? meta.items[0] : null;
+  if (!cursor && !playlist) {
+    throw createAdapterError(CODES.ERR_NOT_FOUND, { provider: PROVIDER, stage: 'meta', playlistId });
+  }
+  if (!Array.isArray(itemsPayload?.items)) {
+    throw createAdapterError(CODES.ERR_INVALID_RESPONSE, {
+      provider: PROVIDER,
+      stage: 'tracks',
+      reason: 'missing_items',
+    });
   }
+
+  const playableIds = itemsPayload.items
+    .filter(isPlayable)
+    .map((item) => item.contentDetails?.videoId ?? item.snippet?.resourceId?.videoId);
+  const durations = await fetchDurations(fetchClient, playableIds, signal);
+  const tracks = toNormalizedTracks(itemsPayload.items, durations, playlistId);
+
+  const nextCursor =
+    typeof itemsPayload.nextPageToken === 'string' && itemsPayload.nextPageToken
+      ? itemsPayload.nextPageToken
+      : null;
+  const itemCount = playlist?.contentDetails?.itemCount ?? itemsPayload.pageInfo?.totalResults;
+  const total = typeof itemCount === 'number' && Number.isFinite(itemCount) ? itemCount : undefined;
+
+  debugLog('page', {
+    playlist: playlistId.slice(0, 8),
+    items: itemsPayload.items.length,
+    kept: tracks.length,
+    durations: durations.size,
+    next: Boolean(nextCursor),
+  });
+
+  return {
+    provider: PROVIDER,
+    playlistId,
+    title:
+      typeof playlist?.snippet?.title === 'string'
+        ? playlist.snippet.title
+        : `YouTube playlist ${playlistId}`,
+    sourceUrl: `${CANONICAL_PLAYLIST_URL}${playlistId}`,
+    coverUrl: selectThumbnail(playlist?.snippet?.thumbnails),
+    total,
+    tracks,
+    pageInfo: {
+      cursor: nextCursor,
+      hasMore: Boolean(nextCursor),
+    },
+    debug: {
+      source: 'youtube:data-api',
+      stage: cursor ? 'paginate' : 'initial',
+      hasNext: Boolean(nextCursor),
+      skipped: itemsPayload.items.length - tracks.length,
+      inputUrl: inputUrl || null,
+    },
+  };
 }
 
 export default { importPlaylist };
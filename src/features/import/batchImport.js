@@ -0,0 +1,239 @@
+// src/features/import/batchImport.js
+// Queue runner for importing several playlist links in one go.
+
+// @ts-check
+import detectProvider from './detectProvider.js'
+import { buildPlaylistCacheKey, parsePlaylistIdentityFromUrl } from './playlistIdentity.js'
+import { CODES, extractErrorCode } from './adapters/types.js'
+
+export const DEFAULT_BATCH_CONCURRENCY = 3
+export const MAX_BATCH_ATTEMPTS = 3
+// Lines taken from one paste; the rest are reported as skipped.
+export const MAX_BATCH_URLS = 20
+// Used when a rate-limited response carries no Retry-After; grows with each attempt.
+const DEFAULT_RETRY_DELAY_MS = 5_000
+
+/**
+ * @typedef {'queued' | 'importing' | 'waiting' | 'done' | 'failed' | 'canceled'} BatchItemStatus
+ */
+
+/**
+ * One line of a batch and where it got to.
+ * @typedef {Object} BatchItem
+ * @property {string} id
+ * @property {string} url
+ * @property {string | null} provider
+ * @property {BatchItemStatus} status
+ * @property {number} attempts
+ * @property {string=} title
+ * @property {number=} total
+ * @property {import('./adapters/types.js').AdapterErrorCode=} errorCode
+ * @property {number=} retryAt  Unix ms when a rate-limited item will be retried.
+ */
+
+/**
+ * Split pasted text into batch items, one per non-empty line. Repeats of the same
+ * playlist are dropped; lines no adapter recognises fail straight away.
+ * @param {string} text
+ * @returns {{ items: BatchItem[], overflow: number }}
+ */
+export function parseBatchUrls(text) {
+  const lines = typeof text === 'string' ? text.split(/\r?\n/) : []
+  /** @type {BatchItem[]} */
+  const items = []
+  const seen = new Set()
+  let overflow = 0
+
+  lines.forEach((line) => {
+    const url = line.trim()
+    if (!url) return
+    const identity = parsePlaylistIdentityFromUrl(url)
+    const key = identity ? buildPlaylistCacheKey(identity.provider, identity.playlistId) : url
+    if (seen.has(key)) return
+    seen.add(key)
+    if (items.length >= MAX_BATCH_URLS) {
+      overflow += 1
+      return
+    }
+    const provider = detectProvider(url)
+    items.push({
+      id: `batch-${items.length}`,
+      url,
+      provider,
+      status: provider ? 'queued' : 'failed',
+      attempts: 0,
+      ...(provider ? {} : { errorCode: CODES.ERR_UNSUPPORTED_URL }),
+    })
+  })
+
+  return { items, overflow }
+}
+
+/**
+ * True when pasted text is a list of links rather than a tracklist: at least two
+ * non-empty lines and every one of them a URL some adapter can import.
+ * @param {string} text
+ */
+export function isBatchUrlList(text) {
+  const lines = typeof text === 'string' ? text.split(/\r?\n/).filter((line) => line.trim()) : []
+  if (lines.length < 2) return false
+  return lines.every((line) => {
+    const provider = detectProvider(line.trim())
+    return Boolean(provider) && provider !== 'file'
+  })
+}
+
+/**
+ * Retry delay for a rate-limited error, from Retry-After data on the error, its
+ * details, or its cause (adapters wrap the HTTP error).
+ * @param {unknown} error
+ * @returns {number | null}
+ */
+export function resolveRetryDelayMs(error) {
+  let current = /** @type {any} */ (error)
+  for (let depth = 0; current && typeof current === 'object' && depth < 3; depth += 1) {
+    for (const source of [current, current.details]) {
+      if (!source || typeof source !== 'object') continue
+      const directMs = Number(source.retryAfterMs)
+      if (Number.isFinite(directMs) && directMs > 0) return directMs
+      const seconds = Number(source.retryAfterSeconds ?? source.retryAfter)
+      if (Number.isFinite(seconds) && seconds > 0) return seconds * 1000
+    }
+    current = current.cause
+  }
+  return null
+}
+
+/**
+ * @param {number} ms
+ * @param {AbortSignal | undefined} signal
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    if (signal?.aborted) {
+      resolve()
+      return
+    }
+    const timer = setTimeout(done, Math.max(0, ms))
+    function done() {
+      clearTimeout(timer)
+      signal?.removeEventListener('abort', done)
+      resolve()
+    }
+    signal?.addEventListener('abort', done, { once: true })
+  })
+}
+
+/**
+ * Run queued batch items with bounded concurrency.
+ *
+ * A rate-limited item is put back in the queue and its provider is paused until the
+ * Retry-After time (or a growing default), so the other workers keep going on other
+ * providers instead of hammering the limited one. After `maxAttempts` it fails.
+ * Aborting marks everything unfinished as canceled; the promise never rejects.
+ *
+ * @param {BatchItem[]} initialItems
+ * @param {{
+ *   importOne: (item: BatchItem, options: { signal?: AbortSignal }) => Promise<{ title?: string, total?: number }>,
+ *   onUpdate?: (items: BatchItem[]) => void,
+ *   signal?: AbortSignal,
+ *   concurrency?: number,
+ *   maxAttempts?: number,
+ *   wait?: (ms: number, signal?: AbortSignal) => Promise<void>,
+ *   now?: () => number,
+ * }} options
+ * @returns {Promise<BatchItem[]>}
+ */
+export async function runBatchImport(initialItems, options) {
+  const {
+    importOne,
+    onUpdate,
+    signal,
+    concurrency = DEFAULT_BATCH_CONCURRENCY,
+    maxAttempts = MAX_BATCH_ATTEMPTS,
+    wait = sleep,
+    now = Date.now,
+  } = options
+  const items = initialItems.map((item) => ({ ...item }))
+  /** @type {number[]} */
+  const queue = []
+  items.forEach((item, index) => {
+    if (item.status === 'queued') queue.push(index)
+  })
+  /** @type {Map<string, number>} */
+  const cooldowns = new Map()
+
+  /**
+   * @param {number} index
+   * @param {Partial<BatchItem>} patch
+   */
+  const update = (index, patch) => {
+    items[index] = { ...items[index], ...patch }
+    onUpdate?.(items.slice())
+  }
+
+  /** @returns {{ index: number } | { waitMs: number } | null} */
+  const pickNext = () => {
+    if (!queue.length) return null
+    const current = now()
+    let earliest = Infinity
+    for (let position = 0; position < queue.length; position += 1) {
+      const index = queue[position]
+      const until = cooldowns.get(items[index].provider ?? '') ?? 0
+      if (until <= current) {
+        queue.splice(position, 1)
+        return { index }
+      }
+      earliest = Math.min(earliest, until)
+    }
+    return { waitMs: earliest - current }
+  }
+
+  const worker = async () => {
+    while (!signal?.aborted) {
+      const next = pickNext()
+      if (!next) return
+      if ('waitMs' in next) {
+        await wait(next.waitMs, signal)
+        continue
+      }
+
+      const { index } = next
+      const attempts = items[index].attempts + 1
+      update(index, { status: 'importing', attempts, retryAt: undefined })
+      try {
+        const result = await importOne(items[index], { signal })
+        if (signal?.aborted) return
+        update(index, { status: 'done', title: result?.title, total: result?.total })
+      } catch (err) {
+        if (signal?.aborted) return
+        const code = extractErrorCode(err)
+        if (code === CODES.ERR_RATE_LIMITED && attempts < maxAttempts) {
+          const delay = resolveRetryDelayMs(err) ?? DEFAULT_RETRY_DELAY_MS * attempts
+          const retryAt = now() + delay
+          const provider = items[index].provider ?? ''
+          cooldowns.set(provider, Math.max(cooldowns.get(provider) ?? 0, retryAt))
+          update(index, { status: 'waiting', retryAt })
+          queue.push(index)
+          continue
+        }
+        update(index, { status: 'failed', errorCode: code, retryAt: undefined })
+      }
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(concurrency, queue.length))
+  await Promise.all(Array.from({ length: workerCount }, () => worker()))
+
+  if (signal?.aborted) {
+    items.forEach((item, index) => {
+      if (item.status === 'queued' || item.status === 'importing' || item.status === 'waiting') {
+        items[index] = { ...item, status: 'canceled', retryAt: undefined }
+      }
+    })
+    onUpdate?.(items.slice())
+  }
+
+  return items
+}
@@ -2,11 +2,17 @@ import {
   extractPlaylistId,
   extractShowId,
   extractEpisodeId,
+  extractAlbumId,
+  extractArtistId,
+  extractTrackId,
 } from './adapters/spotifyAdapter.js';
+import { extractPlaylistId as extractAppleMusicPlaylistId } from './adapters/appleMusicAdapter.js';
+import { extractPlaylistId as extractDeezerPlaylistId } from './adapters/deezerAdapter.js';
+import { extractTracklistId } from './adapters/fileAdapter.js';
 import { isPodcastImportEnabled } from '../../utils/podcastFlags.js';
 
 // Detects which platform a playlist URL belongs to.
-// Returns 'spotify' | 'youtube' | 'soundcloud' | null.
+// Returns 'spotify' | 'youtube' | 'soundcloud' | 'applemusic' | 'deezer' | 'file' | null.
 export default function detectProvider(input = '') {
   if (!input || typeof input !== 'string') return null;
 
@@ -17,6 +23,9 @@ export default function detectProvider(input = '') {
   if (isPodcastImportEnabled() && (extractShowId(trimmed) || extractEpisodeId(trimmed))) {
     return 'spotify';
   }
+  if (extractAlbumId(trimmed) || extractArtistId(trimmed) || extractTrackId(trimmed)) {
+    return 'spotify';
+  }
 
   const lower = trimmed.toLowerCase();
 
@@ -36,5 +45,12 @@ export default function detectProvider(input = '') {
     return 'soundcloud';
   }
 
+  // Apple Music (catalog `pl.*` and library `p.*` playlists) and Deezer playlists
+  if (extractAppleMusicPlaylistId(trimmed)) return 'applemusic';
+  if (extractDeezerPlaylistId(trimmed)) return 'deezer';
+
+  // Pasted or dropped tracklists travel under a `tracklist:` pseudo-URL
+  if (extractTracklistId(trimmed)) return 'file';
+
   return null;
 }
@@ -8,8 +8,8 @@ const PODCASTS_ENABLED = isPodcastImportEnabled();
 /** @type {Record<string, string>} */
 export const ERROR_MAP = {
   [CODES.ERR_UNSUPPORTED_URL]: PODCASTS_ENABLED
-    ? "That URL doesn't look like a Spotify, YouTube, or SoundCloud playlist, show, or episode."
-    : "That URL doesn't look like a Spotify, YouTube, or SoundCloud playlist.",
+    ? "That URL doesn't look like a Spotify playlist, album, artist, track, show, or episode, or a YouTube, SoundCloud, Apple Music, or Deezer playlist."
+    : "That URL doesn't look like a Spotify playlist, album, artist, or track, or a YouTube, SoundCloud, Apple Music, or Deezer playlist.",
   [CODES.ERR_PRIVATE_PLAYLIST]: 'This playlist is private or unavailable.',
   [CODES.ERR_RATE_LIMITED]: 'Too many requests \\u2014 please try again shortly.',
   [CODES.ERR_TOKEN_EXPIRED]: 'Session expired \\u2014 please re-authenticate.',
@@ -20,6 +20,8 @@ export const ERROR_MAP = {
   [CODES.ERR_EPISODE_UNAVAILABLE]: 'This episode is unavailable in your region.',
   [CODES.ERR_SHOW_EMPTY]: 'This show has no episodes to import.',
   [CODES.ERR_PODCAST_CONTENT]: 'Unable to import this podcast content. Please try another link.',
+  [CODES.ERR_EMPTY_TRACKLIST]:
+    'No tracks found. Use one "Artist - Title" per line, a CSV export with a title column, or an M3U file.',
   [CODES.ERR_UNKNOWN]: 'Something went wrong. Please try again.',
 };
 
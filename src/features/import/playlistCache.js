@@ -2,16 +2,31 @@
 
 /**
  * Lightweight persistence helpers for playlist import caching.
- * Stores a bounded list of serialized import results in localStorage so we can
- * hydrate the UI instantly on subsequent visits.
+ * Stores a bounded list of serialized import results so we can hydrate the UI
+ * instantly on subsequent visits: one IndexedDB record per playlist once the
+ * persistent store is hydrated, else a single localStorage blob.
  *
- * The storage schema is intentionally simple (JSON + version flag) to avoid
+ * The localStorage schema is intentionally simple (JSON + version flag) to avoid
  * pulling in additional dependencies while still allowing future migrations.
  */
 
+import {
+  isPersistentStoreReady,
+  readPersistedPlaylistEntries,
+  writePersistedPlaylistEntries,
+} from '../../utils/persistentStore.js'
+
 const STORAGE_KEY = 'sta:playlist-cache:v1'
 const STORAGE_VERSION = 2
+/** localStorage quota allows only a handful of large playlists. */
 export const PLAYLIST_CACHE_MAX_ENTRIES = 5
+/** IndexedDB stores each playlist separately, so it can keep many more. */
+export const PLAYLIST_CACHE_MAX_ENTRIES_INDEXED_DB = 50
+
+/** @returns {number} */
+export function getPlaylistCacheLimit() {
+  return isPersistentStoreReady() ? PLAYLIST_CACHE_MAX_ENTRIES_INDEXED_DB : PLAYLIST_CACHE_MAX_ENTRIES
+}
 
 /**
  * @typedef {import('./adapters/types.js').ImportResult} ImportResult
@@ -36,6 +51,9 @@ const canUseStorage = () =>
  * @returns {PlaylistCachePayload | null}
  */
 function readRawPayload() {
+  if (isPersistentStoreReady()) {
+    return { version: STORAGE_VERSION, entries: readPersistedPlaylistEntries() }
+  }
   if (!canUseStorage()) return null
   try {
     const raw = window.localStorage.getItem(STORAGE_KEY)
@@ -75,7 +93,7 @@ function normalizeEntry(entry) {
 }
 
 /**
- * Reads persisted playlist cache entries from localStorage.
+ * Reads persisted playlist cache entries.
  * @returns {PlaylistCacheEntry[]}
  */
 export function loadPersistedPlaylistCache() {
@@ -93,10 +111,14 @@ export function loadPersistedPlaylistCache() {
 }
 
 /**
- * Persists the provided entries (already sorted/trimmed) to localStorage.
+ * Persists the provided entries (already sorted/trimmed).
  * @param {Iterable<PlaylistCacheEntry>} entries
  */
 export function persistPlaylistCacheEntries(entries) {
+  if (isPersistentStoreReady()) {
+    writePersistedPlaylistEntries(Array.from(entries || []))
+    return
+  }
   if (!canUseStorage()) return
   try {
     const snapshot = Array.from(entries || [])
@@ -119,6 +141,10 @@ export function persistPlaylistCacheEntries(entries) {
  * Clears the persisted playlist cache. Primarily for tests.
  */
 export function clearPlaylistCacheStorage() {
+  if (isPersistentStoreReady()) {
+    writePersistedPlaylistEntries([])
+    return
+  }
   if (!canUseStorage()) return
   try {
     window.localStorage.removeItem(STORAGE_KEY)
@@ -135,8 +161,9 @@ export function clearPlaylistCacheStorage() {
 export function sortAndTrimEntries(entries) {
   const copy = Array.isArray(entries) ? [...entries] : []
   copy.sort((a, b) => b.storedAt - a.storedAt)
-  if (copy.length > PLAYLIST_CACHE_MAX_ENTRIES) {
-    copy.length = PLAYLIST_CACHE_MAX_ENTRIES
+  const limit = getPlaylistCacheLimit()
+  if (copy.length > limit) {
+    copy.length = limit
   }
   return copy
 }
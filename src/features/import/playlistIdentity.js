@@ -5,7 +5,16 @@ import {
   extractPlaylistId as extractSpotifyPlaylistId,
   extractShowId as extractSpotifyShowId,
   extractEpisodeId as extractSpotifyEpisodeId,
+  extractAlbumId as extractSpotifyAlbumId,
+  extractArtistId as extractSpotifyArtistId,
+  extractTrackId as extractSpotifyTrackId,
+  buildSpotifyContentId,
 } from './adapters/spotifyAdapter.js'
+import { extractPlaylistId as extractYoutubePlaylistId } from './adapters/youtubeAdapter.js'
+import { extractSetPath as extractSoundCloudPlaylistId } from './adapters/soundcloudAdapter.js'
+import { extractPlaylistId as extractAppleMusicPlaylistId } from './adapters/appleMusicAdapter.js'
+import { extractPlaylistId as extractDeezerPlaylistId } from './adapters/deezerAdapter.js'
+import { extractTracklistId } from './adapters/fileAdapter.js'
 import detectProvider from './detectProvider.js'
 
 const PROVIDER_ALIASES = new Map([
@@ -13,6 +22,11 @@ const PROVIDER_ALIASES = new Map([
   ['youtube', 'youtube'],
   ['youtube music', 'youtube'],
   ['soundcloud', 'soundcloud'],
+  ['applemusic', 'applemusic'],
+  ['apple music', 'applemusic'],
+  ['apple-music', 'applemusic'],
+  ['deezer', 'deezer'],
+  ['file', 'file'],
 ])
 
 const normalizeProvider = (value) => {
@@ -21,45 +35,6 @@ const normalizeProvider = (value) => {
   return PROVIDER_ALIASES.get(normalized) ?? null
 }
 
-const ensureUrlObject = (raw) => {
-  if (typeof raw !== 'string') return null
-  const trimmed = raw.trim()
-  if (!trimmed) return null
-  try {
-    if (/^[a-zA-Z][a-zA-Z\d+\-.]*:/.test(trimmed)) {
-      return new URL(trimmed)
-    }
-    return new URL(`https://${trimmed}`)
-  } catch (_err) {
-    return null
-  }
-}
-
-const extractYoutubePlaylistId = (raw) => {
-  const url = ensureUrlObject(raw)
-  if (url) {
-    const listParam = url.searchParams.get('list')
-    if (listParam && listParam.trim()) {
-      return listParam.trim()
-    }
-  }
-  const match = /[?&]list=([\w-]+)/i.exec(raw || '')
-  if (match && match[1]) {
-    return match[1]
-  }
-  return null
-}
-
-const extractSoundCloudPlaylistId = (raw) => {
-  const url = ensureUrlObject(raw)
-  if (!url) return null
-  const hostname = url.hostname.toLowerCase()
-  if (hostname !== 'soundcloud.com' && !hostname.endsWith('.soundcloud.com')) return null
-  const pathname = url.pathname?.replace(/\/+/g, '/').replace(/^\/|\/$/g, '')
-  if (!pathname) return null
-  return pathname
-}
-
 /**
  * Resolve provider + playlistId from a raw URL when possible.
  * @param {string} raw
@@ -74,7 +49,14 @@ export function parsePlaylistIdentityFromUrl(raw) {
     const showId = extractSpotifyShowId(raw)
     const episodeId = extractSpotifyEpisodeId(raw)
     const resolvedId = playlistId || showId || episodeId
-    return resolvedId ? { provider, playlistId: resolvedId } : null
+    if (resolvedId) return { provider, playlistId: resolvedId }
+    // Albums, artists and tracks get type-prefixed ids (see buildSpotifyContentId)
+    const albumId = extractSpotifyAlbumId(raw)
+    if (albumId) return { provider, playlistId: buildSpotifyContentId('album', albumId) }
+    const artistId = extractSpotifyArtistId(raw)
+    if (artistId) return { provider, playlistId: buildSpotifyContentId('artist', artistId) }
+    const trackId = extractSpotifyTrackId(raw)
+    return trackId ? { provider, playlistId: buildSpotifyContentId('track', trackId) } : null
   }
   if (provider === 'youtube') {
     const playlistId = extractYoutubePlaylistId(raw)
@@ -84,6 +66,18 @@ export function parsePlaylistIdentityFromUrl(raw) {
     const playlistId = extractSoundCloudPlaylistId(raw)
     return playlistId ? { provider, playlistId } : null
   }
+  if (provider === 'applemusic') {
+    const playlistId = extractAppleMusicPlaylistId(raw)
+    return playlistId ? { provider, playlistId } : null
+  }
+  if (provider === 'deezer') {
+    const playlistId = extractDeezerPlaylistId(raw)
+    return playlistId ? { provider, playlistId } : null
+  }
+  if (provider === 'file') {
+    const playlistId = extractTracklistId(raw)
+    return playlistId ? { provider, playlistId } : null
+  }
   return null
 }
 
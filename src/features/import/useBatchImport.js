@@ -0,0 +1,116 @@
+// src/features/import/useBatchImport.js
+import { useState, useCallback, useEffect, useRef } from 'react'
+import { importFromUrl } from './useImportPlaylist.js'
+import { buildImportData } from './usePlaylistImportFlow.js'
+import { MAX_BATCH_URLS, parseBatchUrls, runBatchImport } from './batchImport.js'
+
+/**
+ * Batch import: several links imported side by side, independent of the single-URL
+ * import flow so a batch never cancels (or is cancelled by) the playlist on screen.
+ * Each imported playlist is cached and added to recents as soon as it finishes, so
+ * opening it from recents later reads the saved copy like any other import.
+ *
+ * @param {Object} options
+ * @param {(message: string) => void} options.announce - Accessibility announcement callback
+ * @param {(meta: any, options?: Record<string, any>) => void} options.pushRecentPlaylist - Adds an entry to recents
+ * @param {(payload: any, options?: { sourceUrl?: string, aliases?: string[] }) => void} options.rememberImportResult - Stores an import in the playlist cache
+ * @returns {{
+ *   batchItems: import('./batchImport.js').BatchItem[],
+ *   batchRunning: boolean,
+ *   startBatchImport: (text: string) => Promise<void>,
+ *   cancelBatchImport: () => void,
+ *   clearBatchImport: () => void,
+ * }}
+ */
+export default function useBatchImport({ announce, pushRecentPlaylist, rememberImportResult }) {
+  const [batchItems, setBatchItems] = useState(
+    /** @type {import('./batchImport.js').BatchItem[]} */ ([]),
+  )
+  const [batchRunning, setBatchRunning] = useState(false)
+  const controllerRef = useRef(/** @type {AbortController | null} */ (null))
+
+  useEffect(
+    () => () => {
+      controllerRef.current?.abort()
+    },
+    [],
+  )
+
+  const startBatchImport = useCallback(
+    async (text) => {
+      if (controllerRef.current) return
+      const { items, overflow } = parseBatchUrls(text)
+      if (!items.length) {
+        announce('Paste one playlist link per line to import them together.')
+        return
+      }
+
+      const controller = new AbortController()
+      controllerRef.current = controller
+      setBatchItems(items)
+      setBatchRunning(true)
+      const queued = items.filter((item) => item.status === 'queued').length
+      announce(
+        `Importing ${queued} link${queued === 1 ? '' : 's'}.${
+          overflow ? ` ${overflow} more skipped; a batch takes up to ${MAX_BATCH_URLS} links.` : ''
+        }`,
+      )
+
+      const importOne = async (item, { signal }) => {
+        const result = await importFromUrl(item.url, { signal })
+        const data = buildImportData(result, { sourceUrl: result.sourceUrl ?? item.url })
+        const { total } = data
+        rememberImportResult(data, { sourceUrl: data.meta.sourceUrl, aliases: [item.url] })
+        pushRecentPlaylist(
+          {
+            provider: result.provider,
+            playlistId: result.playlistId,
+            sourceUrl: result.sourceUrl,
+          },
+          {
+            title: result.title,
+            sourceUrl: result.sourceUrl,
+            total,
+            coverUrl: result.coverUrl,
+            importedAt: Date.now(),
+          },
+        )
+        return { title: result.title, total }
+      }
+
+      try {
+        const finished = await runBatchImport(items, {
+          importOne,
+          signal: controller.signal,
+          onUpdate: setBatchItems,
+        })
+        const imported = finished.filter((item) => item.status === 'done').length
+        const failed = finished.filter((item) => item.status === 'failed').length
+        if (controller.signal.aborted) {
+          announce(`Batch import canceled. ${imported} imported.`)
+        } else {
+          announce(
+            `Batch import finished. ${imported} imported${failed ? `, ${failed} failed` : ''}.`,
+          )
+        }
+      } finally {
+        if (controllerRef.current === controller) {
+          controllerRef.current = null
+          setBatchRunning(false)
+        }
+      }
+    },
+    [announce, pushRecentPlaylist, rememberImportResult],
+  )
+
+  const cancelBatchImport = useCallback(() => {
+    controllerRef.current?.abort()
+  }, [])
+
+  const clearBatchImport = useCallback(() => {
+    if (controllerRef.current) return
+    setBatchItems([])
+  }, [])
+
+  return { batchItems, batchRunning, startBatchImport, cancelBatchImport, clearBatchImport }
+}
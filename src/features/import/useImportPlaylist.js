@@ -7,6 +7,9 @@ import detectProvider from './detectProvider.js';
 import * as spotifyAdapter from './adapters/spotifyAdapter.js';
 import * as youtubeAdapter from './adapters/youtubeAdapter.js';
 import * as soundcloudAdapter from './adapters/soundcloudAdapter.js';
+import * as appleMusicAdapter from './adapters/appleMusicAdapter.js';
+import * as deezerAdapter from './adapters/deezerAdapter.js';
+import * as fileAdapter from './adapters/fileAdapter.js';
 import { normalizeTrack } from './normalizeTrack.js';
 import { CODES, createAdapterError, extractErrorCode } from './adapters/types.js';
 import { mockPlaylists } from '../../data/mockPlaylists.js';
@@ -16,6 +19,9 @@ const ADAPTER_REGISTRY = Object.freeze({
   spotify: spotifyAdapter,
   youtube: youtubeAdapter,
   soundcloud: soundcloudAdapter,
+  applemusic: appleMusicAdapter,
+  deezer: deezerAdapter,
+  file: fileAdapter,
 });
 
 const DEFAULT_ERROR_CODE = CODES.ERR_UNKNOWN;
@@ -44,7 +50,7 @@ function getImportFn(provider) {
 
 /**
  * Get provider-specific mock payload.
- * @param {'spotify'|'youtube'|'soundcloud'|'demo'} provider
+ * @param {'spotify'|'youtube'|'soundcloud'|'applemusic'|'deezer'|'file'|'demo'} provider
  */
 function getMock(provider) {
   // @ts-ignore
@@ -115,7 +121,7 @@ function mergeUniqueTracks(prev, next, provider) {
 /**
  * Coerce any adapter payload (or mock) into a normalized adapter result.
  * Adds a small debug envelope when returning fallbacks.
- * @param {'spotify'|'youtube'|'soundcloud'|'demo'} provider
+ * @param {'spotify'|'youtube'|'soundcloud'|'applemusic'|'deezer'|'file'|'demo'} provider
  * @param {string} url
  * @param {any} payload
  * @param {{ isFallback?: boolean, lastErrorCode?: import('./adapters/types.js').AdapterErrorCode }} [meta]
@@ -166,6 +172,47 @@ function coerceResult(provider, url, payload, meta = {}) {
   return result;
 }
 
+/**
+ * Import the first page of a URL without touching hook state or falling back to mock
+ * data. Batch imports run several of these side by side, so failures must surface.
+ * @param {string} rawUrl
+ * @param {{
+ *   signal?: AbortSignal,
+ *   fetchClient?: ReturnType<typeof import('../../utils/fetchClient.js').makeFetchClient>
+ * }} [options]
+ */
+export async function importFromUrl(rawUrl, options = {}) {
+  const url = typeof rawUrl === 'string' ? rawUrl.trim() : '';
+  const provider = url ? detectProvider(url) : null;
+  if (!provider) {
+    throw createAdapterError(CODES.ERR_UNSUPPORTED_URL, { urlPreview: url.slice(0, 120) });
+  }
+
+  const importFn = getImportFn(provider);
+  if (!importFn) {
+    throw createAdapterError(DEFAULT_ERROR_CODE, {
+      provider,
+      reason: 'missing_adapter',
+      urlPreview: url.slice(0, 120),
+    });
+  }
+
+  const payload = await importFn({
+    url,
+    signal: options.signal,
+    context: {},
+    ...(options.fetchClient ? { fetchClient: options.fetchClient } : {}),
+  });
+  if (!payload) {
+    throw createAdapterError(DEFAULT_ERROR_CODE, {
+      provider,
+      reason: 'empty_payload',
+      urlPreview: url.slice(0, 120),
+    });
+  }
+  return coerceResult(provider, url, payload);
+}
+
 /** @param {import('./adapters/types.js').NormalizedTrack[]} list @param {number | null} total */
 function computeProgress(list, total) {
   if (typeof total === 'number' && total > 0) {
@@ -270,7 +317,7 @@ export default function useImportPlaylist() {
 
   /**
    * Apply an adapter result to local state with dev-friendly telemetry.
-   * @param {'spotify'|'youtube'|'soundcloud'|'demo'} provider
+   * @param {'spotify'|'youtube'|'soundcloud'|'applemusic'|'deezer'|'file'|'demo'} provider
    * @param {string} url
    * @param {any} result
    */
@@ -12,11 +12,22 @@ import { EMPTY_IMPORT_META } from '../../utils/storageBootstrap.js';
 import { normalizeTimestamp } from '../../utils/trackProcessing.js';
 import { playlistActions } from '../playlist/actions.js';
 import { isPodcastTrack } from '../playlist/helpers.js';
+import { collectOrphanedTracks, diffTracks, hasTrackChanges } from '../playlist/playlistDiff.js';
 import { focusById, focusElement } from '../../utils/focusById.js';
 import { debugFocus } from '../../utils/debug.js';
 import usePersistentPlaylistCache from './usePersistentPlaylistCache.js';
 import { apiFetch } from '../../lib/apiClient.js';
 import { derivePlaylistIdentity } from './playlistIdentity.js';
+import { buildTracklistSourceUrl } from './adapters/fileAdapter.js';
+import {
+  DAYLIST_SNAPSHOT_KIND,
+  buildSnapshotSourceUrl,
+  createDaylistSnapshot,
+  getDaylistSnapshot,
+  isSnapshotSourceUrl,
+  saveDaylistSnapshot,
+  snapshotToImportResult,
+} from '../recent/daylistSnapshots.js';
 import {
   DEMO_PLAYLIST_URL,
   DEMO_PLAYLIST_ID,
@@ -25,6 +36,7 @@ import {
 } from '../../data/demoPlaylist.js';
 
 const REFRESHING_FROM_CACHE_ANNOUNCEMENT = 'Showing saved playlist while refreshing the latest data.';
+const MAX_TRACKLIST_FILE_BYTES = 2 * 1024 * 1024;
 
 /**
  * Check if a URL is the demo playlist URL
@@ -124,9 +136,16 @@ function formatRateLimitMessage(retryAt) {
  * @property {boolean} showReimportSpinner
  * @property {boolean} showLoadMoreSpinner
  * @property {(event?: import('react').FormEvent<HTMLFormElement>) => Promise<void>} handleImport
+ * @property {(input: TracklistImportInput) => Promise<void>} handleImportTracklist
  * @property {() => Promise<void>} handleImportDemo
  * @property {(recent: Record<string, any>) => Promise<{ ok: boolean, error?: string, stale?: boolean }>} handleSelectRecent
  * @property {() => Promise<void>} handleReimport
+ * @property {() => Promise<void>} handleCheckForUpdates
+ * @property {() => { ok: boolean, error?: string }} handleSnapshotDaylist
+ * @property {() => void} handleApplyUpdate
+ * @property {() => void} handleDismissUpdate
+ * @property {PendingPlaylistUpdate | null} pendingUpdate
+ * @property {boolean} showCheckUpdatesSpinner
  * @property {(options?: { mode?: 'manual' | 'background', metaOverride?: ImportMeta }) => Promise<any>} handleLoadMore
  * @property {(options?: { resetHistory?: boolean }) => void} cancelBackgroundPagination
  * @property {(metaOverride?: ImportMeta) => void} startBackgroundPagination
@@ -136,6 +155,22 @@ function formatRateLimitMessage(retryAt) {
  * @property {() => Promise<void>} primeUpstreamServices
  * @property {boolean} isRefreshingCachedData
  * @property {CachedViewInfo | null} cachedViewInfo
+ * @property {Map<string, { key: string, storedAt: number, data: any, aliases: string[] }>} cachedPlaylists
+ * @property {() => Promise<void>} syncAnnotations
+ * @property {(payload: any, options?: { sourceUrl?: string, aliases?: string[] }) => void} rememberImportResult
+ */
+
+/**
+ * A fetched-but-not-applied playlist refresh awaiting the user's review.
+ * `partial` means the check stopped before the last page, so removals are not reported.
+ * @typedef {{ diff: import('../playlist/playlistDiff.js').TrackDiff, data: any, partial: boolean, loadedOnly: boolean, orphanCount: number }} PendingPlaylistUpdate
+ *   `partial`: the check was capped, so removals are not known. `loadedOnly`: only the
+ *   tracks loaded so far were compared, so additions further down are not known.
+ */
+
+/**
+ * Pasted text, or a dropped/chosen file, for the local `file` provider.
+ * @typedef {{ text?: string, fileName?: string | null, file?: (Blob & { name?: string }) | null }} TracklistImportInput
  */
 
 /**
@@ -208,7 +243,7 @@ export default function usePlaylistImportController({
     [initialImportMeta],
   );
 
-  const { getCachedResult, rememberCachedResult } = usePersistentPlaylistCache();
+  const { cachedPlaylists, getCachedResult, rememberCachedResult } = usePersistentPlaylistCache();
 
   const [importUrl, setImportUrl] = useState('');
   const providerChip = useMemo(() => detectProvider(importUrl || ''), [importUrl]);
@@ -225,6 +260,8 @@ export default function usePlaylistImportController({
   );
   const [isRefreshingCachedData, setIsRefreshingCachedData] = useState(false);
   const [cachedViewInfo, setCachedViewInfo] = useState(null);
+  const [pendingUpdate, setPendingUpdate] = useState(/** @type {PendingPlaylistUpdate | null} */ (null));
+  const [isCheckingUpdates, setIsCheckingUpdates] = useState(false);
 
   const rememberResultInCache = useCallback(
     (payload, options = {}) => {
@@ -276,6 +313,7 @@ export default function usePlaylistImportController({
     loading: importLoading,
     importInitial,
     reimport: reimportPlaylist,
+    checkForUpdates,
     loadMore: loadMoreTracks,
     resetFlow: resetImportFlow,
     primeUpstreamServices,
@@ -371,9 +409,12 @@ export default function usePlaylistImportController({
    *     total?: number | null,
    *     coverUrl?: string | null,
    *     lastUsedAt?: number | null,
-   *     pinned?: boolean
+   *     pinned?: boolean,
+   *     kind?: 'daylist-snapshot',
+   *     capturedAt?: number
    *   } | null,
-   *   updateLastImportUrl?: boolean
+   *   updateLastImportUrl?: boolean,
+   *   orphans?: import('../playlist/playlistDiff.js').OrphanedTrack[]
    * }} [options]
    */
   const applyImportResult = useCallback(
@@ -385,6 +426,7 @@ export default function usePlaylistImportController({
         focusBehavior = 'first-track',
         recents,
         updateLastImportUrl = true,
+        orphans = [],
       } = options || {};
 
       cancelBackgroundPagination({ resetHistory: true });
@@ -467,6 +509,7 @@ export default function usePlaylistImportController({
             samePlaylist ? previousTracks : [],
             importedTimestamp ?? null,
             meta?.provider,
+            orphans,
           ),
         );
         markTrackFocusContext('initial-import');
@@ -586,6 +629,8 @@ export default function usePlaylistImportController({
           lastUsedAt: recents.lastUsedAt,
           pinned: recents.pinned,
           lastRefreshedAt: recents.lastRefreshedAt,
+          kind: recents.kind,
+          capturedAt: recents.capturedAt,
         });
       }
 
@@ -699,11 +744,11 @@ export default function usePlaylistImportController({
   /**
    * Internal import handler - shared logic for both user imports and demo playlist.
    * @param {string} url - The playlist URL to import
-   * @param {{ source: 'import' | 'demo', providerHint?: string | null }} options
+   * @param {{ source: 'import' | 'demo', providerHint?: string | null, tracklist?: { text: string, fileName?: string | null } }} options
    */
   const handleImportInternal = useCallback(
     async (url, options = {}) => {
-      const { source = 'import', providerHint = null } = options;
+      const { source = 'import', providerHint = null, tracklist = null } = options;
       const isDemoSource = source === 'demo';
 
       setImportError(null);
@@ -743,6 +788,7 @@ export default function usePlaylistImportController({
         const result = await importInitial(trimmedUrl, {
           providerHint: effectiveProviderHint,
           sourceUrl: trimmedUrl,
+          ...(tracklist ? { tracklist } : {}),
         });
 
         if (result?.stale) return;
@@ -821,6 +867,47 @@ export default function usePlaylistImportController({
     [handleImportInternal, importUrl],
   );
 
+  const handleImportTracklist = useCallback(
+    /** @param {TracklistImportInput} input */
+    async (input = {}) => {
+      const failImport = (msg) => {
+        setImportError({ message: msg, type: 'error' });
+        announce('Import failed. ' + msg);
+        focusImportInput();
+      };
+
+      let text = typeof input.text === 'string' ? input.text : '';
+      let fileName = typeof input.fileName === 'string' ? input.fileName : null;
+      const file = input.file ?? null;
+      if (file) {
+        if (typeof file.size === 'number' && file.size > MAX_TRACKLIST_FILE_BYTES) {
+          failImport('That file is too large to import (2 MB max).');
+          return;
+        }
+        try {
+          text = await file.text();
+        } catch (err) {
+          console.log('[import error]', { code: 'FILE_UNREADABLE', raw: err });
+          failImport("Couldn't read that file.");
+          return;
+        }
+        fileName = typeof file.name === 'string' && file.name ? file.name : fileName;
+      }
+
+      if (!text.trim()) {
+        failImport(msgFromCode(CODES.ERR_EMPTY_TRACKLIST));
+        return;
+      }
+
+      await handleImportInternal(buildTracklistSourceUrl({ text, fileName }), {
+        source: 'import',
+        providerHint: 'file',
+        tracklist: { text, fileName },
+      });
+    },
+    [announce, focusImportInput, handleImportInternal, msgFromCode],
+  );
+
   const handleImportDemo = useCallback(
     async () => {
       await handleImportInternal(DEMO_PLAYLIST_URL, { source: 'demo' });
@@ -838,6 +925,69 @@ export default function usePlaylistImportController({
       // Best-effort warmup; failures are intentionally ignored.
     });
   }, [importUrl, providerChip, primeUpstreamServices]);
+  /**
+   * Load a stored daylist snapshot through the normal import path.
+   * @param {import('../recent/daylistSnapshots.js').DaylistSnapshot} snapshot
+   * @param {{ announceMessage: string, pinned?: boolean }} options
+   */
+  const openDaylistSnapshot = useCallback(
+    (snapshot, { announceMessage, pinned = false }) => {
+      cancelBackgroundPagination({ resetHistory: true });
+      applyImportResult(snapshotToImportResult(snapshot), {
+        sourceUrl: buildSnapshotSourceUrl(snapshot.id),
+        announceMessage,
+        focusBehavior: 'heading',
+        recents: {
+          importedAt: snapshot.capturedAt,
+          total: snapshot.tracks.length,
+          coverUrl: snapshot.coverUrl ?? null,
+          lastUsedAt: Date.now(),
+          pinned,
+          kind: DAYLIST_SNAPSHOT_KIND,
+          capturedAt: snapshot.capturedAt,
+        },
+      });
+      setCachedViewInfo(null);
+    },
+    [applyImportResult, cancelBackgroundPagination, setCachedViewInfo],
+  );
+
+  const handleSnapshotDaylist = useCallback(() => {
+    const currentTracks = Array.isArray(tracksRef.current) ? tracksRef.current : [];
+    if (
+      importMeta?.provider !== 'spotify' ||
+      !importMeta?.playlistId ||
+      isSnapshotSourceUrl(lastImportUrl) ||
+      currentTracks.length === 0
+    ) {
+      return { ok: false, error: 'Load a Spotify daylist first.' };
+    }
+    const cached = lastImportUrl ? getCachedResult(lastImportUrl) : null;
+    const snapshot = createDaylistSnapshot({
+      sourcePlaylistId: importMeta.playlistId,
+      title: playlistTitle,
+      coverUrl: cached?.coverUrl ?? null,
+      tracks: currentTracks,
+    });
+    if (!saveDaylistSnapshot(snapshot)) {
+      const msg = 'Could not save the snapshot. Storage on this device may be full.';
+      announce(msg);
+      return { ok: false, error: msg };
+    }
+    openDaylistSnapshot(snapshot, {
+      announceMessage: `Daylist snapshot saved. ${snapshot.tracks.length} tracks.`,
+    });
+    return { ok: true };
+  }, [
+    announce,
+    getCachedResult,
+    importMeta,
+    lastImportUrl,
+    openDaylistSnapshot,
+    playlistTitle,
+    tracksRef,
+  ]);
+
   const handleSelectRecent = useCallback(
     async (recent) => {
       if (!recent || !recent.id) {
@@ -861,6 +1011,24 @@ export default function usePlaylistImportController({
         return { ok: false, error: msg };
       }
 
+      // Snapshots are frozen copies: load them from this device, never from Spotify.
+      if (recent.kind === DAYLIST_SNAPSHOT_KIND || isSnapshotSourceUrl(trimmedUrl)) {
+        const snapshot = getDaylistSnapshot(recent.playlistId);
+        if (!snapshot) {
+          const msg = 'This daylist snapshot is no longer saved on this device.';
+          updateRecentCardState(recent.id, { error: { message: msg, type: 'error' }, loading: false });
+          announce(msg);
+          return { ok: false, error: msg };
+        }
+        setImportError(null);
+        openDaylistSnapshot(snapshot, {
+          announceMessage: `Daylist snapshot loaded. ${snapshot.tracks.length} tracks.`,
+          pinned: Boolean(recent.pinned),
+        });
+        updateRecentCardState(recent.id, null);
+        return { ok: true };
+      }
+
       cancelBackgroundPagination({ resetHistory: true });
       setImportUrl(trimmedUrl);
       setImportError(null);
@@ -973,6 +1141,7 @@ export default function usePlaylistImportController({
       cancelBackgroundPagination,
       hydrateFromCache,
       importInitial,
+      openDaylistSnapshot,
       importStatus,
       msgFromCode,
       setImportError,
@@ -984,7 +1153,7 @@ export default function usePlaylistImportController({
     ],
   );
   const handleReimport = useCallback(async () => {
-    if (!lastImportUrl) return;
+    if (!lastImportUrl || isSnapshotSourceUrl(lastImportUrl)) return;
     cancelBackgroundPagination({ resetHistory: true });
     const wasActive = document.activeElement === reimportBtnRef.current;
     setImportError(null);
@@ -1081,6 +1250,146 @@ export default function usePlaylistImportController({
     reimportPlaylist,
     setImportError,
   ]);
+
+  const handleCheckForUpdates = useCallback(async () => {
+    if (!lastImportUrl || isSnapshotSourceUrl(lastImportUrl)) return;
+    cancelBackgroundPagination({ resetHistory: true });
+    setImportError(null);
+    setPendingUpdate(null);
+    setIsCheckingUpdates(true);
+    announce('Checking for updates.');
+    try {
+      const result = await checkForUpdates(lastImportUrl, {
+        providerHint: importMeta.provider ?? null,
+        existingMeta: importMeta,
+        fallbackTitle: playlistTitle ?? '',
+      });
+
+      if (result?.stale) return;
+
+      if (!result.ok) {
+        const code = result.code ?? CODES.ERR_UNKNOWN;
+        let msg = msgFromCode(code);
+        const type = code === CODES.ERR_RATE_LIMITED ? 'rateLimit' : 'error';
+        if (type === 'rateLimit') {
+          msg = formatRateLimitMessage(result.retryAt);
+        }
+        setImportError({ message: msg, type });
+        announce(msg);
+        return;
+      }
+
+      if (result.data?.unchanged) {
+        announce('Playlist is up to date.');
+        return;
+      }
+
+      const currentTracks = Array.isArray(tracksRef.current) ? tracksRef.current : [];
+      // Background pagination stops for the check, so the stored list can end partway
+      // through the playlist; its unloaded tail is not "added".
+      const loadedOnly = Boolean(importMeta.hasMore);
+      const diff = diffTracks(currentTracks, result.data?.tracks ?? [], {
+        previousPartial: loadedOnly,
+      });
+      // A capped check never saw the tail of the playlist, so "missing" tracks may still be there.
+      const partial = Boolean(result.data?.meta?.hasMore);
+      if (partial) diff.removed = [];
+
+      if (!hasTrackChanges(diff)) {
+        announce('Playlist is up to date.');
+        return;
+      }
+
+      const orphanCount = collectOrphanedTracks(diff.removed, notesByTrack, tagsByTrack).length;
+      setPendingUpdate({ diff, data: result.data, partial, loadedOnly, orphanCount });
+      announce(
+        `Updates found: ${diff.added.length} added, ${diff.removed.length} removed, ${diff.reordered.length} moved.`,
+      );
+    } catch (err) {
+      if (err?.name === 'AbortError') {
+        setImportError({ message: 'Import canceled.', type: 'cancel' });
+        announce('Import canceled.');
+        return;
+      }
+      const code = extractErrorCode(err);
+      let msg = msgFromCode(code);
+      const type = code === CODES.ERR_RATE_LIMITED ? 'rateLimit' : 'error';
+      if (type === 'rateLimit') {
+        msg = formatRateLimitMessage(err?.retryAt);
+      }
+      setImportError({ message: msg, type });
+      announce(msg);
+    } finally {
+      setIsCheckingUpdates(false);
+    }
+  }, [
+    announce,
+    cancelBackgroundPagination,
+    checkForUpdates,
+    importMeta,
+    lastImportUrl,
+    msgFromCode,
+    notesByTrack,
+    playlistTitle,
+    setImportError,
+    tagsByTrack,
+    tracksRef,
+  ]);
+
+  const handleApplyUpdate = useCallback(() => {
+    if (!pendingUpdate || !lastImportUrl) return;
+    const { diff, data } = pendingUpdate;
+    const orphans = collectOrphanedTracks(diff.removed, notesByTrack, tagsByTrack, {
+      provider: importMeta.provider ?? null,
+      playlistId: importMeta.playlistId ?? null,
+    });
+    const resolvedTotal =
+      typeof data?.total === 'number'
+        ? data.total
+        : Array.isArray(data?.tracks)
+          ? data.tracks.length
+          : null;
+    const keptNotes = orphans.length
+      ? ` Notes from ${orphans.length} removed ${orphans.length === 1 ? 'track were' : 'tracks were'} kept.`
+      : '';
+
+    applyImportResult(data, {
+      sourceUrl: lastImportUrl,
+      fallbackTitle: playlistTitle ?? '',
+      announceMessage: `Playlist updated. ${resolvedTotal ?? 0} tracks available.${keptNotes}`,
+      focusBehavior: 'heading',
+      recents: {
+        importedAt: data?.importedAt ?? null,
+        total: resolvedTotal,
+        coverUrl: data?.coverUrl ?? null,
+        lastUsedAt: Date.now(),
+        lastRefreshedAt: Date.now(),
+      },
+      updateLastImportUrl: false,
+      orphans,
+    });
+    setPendingUpdate(null);
+    setCachedViewInfo(null);
+  }, [
+    applyImportResult,
+    importMeta,
+    lastImportUrl,
+    notesByTrack,
+    pendingUpdate,
+    playlistTitle,
+    setCachedViewInfo,
+    tagsByTrack,
+  ]);
+
+  const handleDismissUpdate = useCallback(() => {
+    setPendingUpdate(null);
+  }, []);
+
+  useEffect(() => {
+    // A review belongs to the playlist it was fetched for.
+    setPendingUpdate(null);
+  }, [lastImportUrl]);
+
   const handleLoadMore = useCallback(
     async (options = {}) => {
       const mode = options?.mode === 'background' ? 'background' : 'manual';
@@ -1527,7 +1836,8 @@ export default function usePlaylistImportController({
   const isLoadMoreBusy = importStatus === ImportFlowStatus.LOADING_MORE;
   const isAnyImportBusy = importStatus !== ImportFlowStatus.IDLE;
   const showInitialSpinner = isInitialImportBusy && importLoading;
-  const showReimportSpinner = isReimportBusy && importLoading;
+  const showReimportSpinner = isReimportBusy && importLoading && !isCheckingUpdates;
+  const showCheckUpdatesSpinner = isCheckingUpdates && importLoading;
   const showLoadMoreSpinner = isLoadMoreBusy && importLoading;
 
   return {
@@ -1544,11 +1854,18 @@ export default function usePlaylistImportController({
     isAnyImportBusy,
     showInitialSpinner,
     showReimportSpinner,
+    showCheckUpdatesSpinner,
     showLoadMoreSpinner,
     handleImport: handleImportSubmit,
+    handleImportTracklist,
     handleImportDemo,
     handleSelectRecent,
     handleReimport,
+    handleCheckForUpdates,
+    handleSnapshotDaylist,
+    pendingUpdate,
+    handleApplyUpdate,
+    handleDismissUpdate,
     handleLoadMore,
     cancelBackgroundPagination,
     startBackgroundPagination,
@@ -1558,6 +1875,9 @@ export default function usePlaylistImportController({
     primeUpstreamServices,
     isRefreshingCachedData,
     cachedViewInfo,
+    cachedPlaylists,
+    syncAnnotations,
+    rememberImportResult: rememberResultInCache,
   };
 }
 /**
@@ -22,6 +22,7 @@ import { extractErrorCode, CODES } from './adapters/types.js'
  * @property {boolean} loading
  * @property {(url: string, options?: ImportInitialOptions) => Promise<ImportResult>} importInitial
  * @property {(url: string, options?: ReimportOptions) => Promise<ImportResult>} reimport
+ * @property {(url: string, options?: ReimportOptions) => Promise<ImportResult>} checkForUpdates
  * @property {(options?: LoadMoreOptions) => Promise<ImportResult>} loadMore
  * @property {() => void} resetFlow
  * @property {() => Promise<void>} primeUpstreamServices
@@ -63,6 +64,8 @@ export const ImportFlowStatus = Object.freeze({
 })
 
 const DEFAULT_TITLE = 'Imported Playlist'
+// Upper bound on pages fetched by checkForUpdates; past it the rest stays behind "Load more".
+const MAX_UPDATE_CHECK_PAGES = 100
 
 function toIsoNow() {
   return new Date().toISOString()
@@ -166,7 +169,7 @@ function buildTracks(res, providerHint, startIndex = 0, existingIds) {
 /**
  * buildMeta(res, fallback)
  * Produces normalized playlist metadata:
- *  - provider: "spotify" | "youtube" | "soundcloud" | null
+ *  - provider: "spotify" | "youtube" | "soundcloud" | "applemusic" | "deezer" | null
  *  - playlistId: string | null   // provider's playlist identifier
  *  - snapshotId: string | null   // provider's change token for this playlist revision
  *  - cursor: string | null       // opaque pagination token; null means "no more pages"
@@ -206,6 +209,26 @@ function buildMeta(res, fallback = {}) {
   }
 }
 
+/**
+ * buildImportData(res, { providerHint, sourceUrl })
+ * The `data` an initial import resolves with, built from one adapter response.
+ * Batch import uses it to cache playlists it fetched without opening them.
+ *
+ * @param {any} res
+ * @param {{ providerHint?: string | null, sourceUrl?: string }} [options]
+ */
+export function buildImportData(res, { providerHint = null, sourceUrl = '' } = {}) {
+  const tracks = buildTracks(res, providerHint)
+  return {
+    tracks,
+    meta: buildMeta(res, { providerHint, sourceUrl }),
+    title: res?.title || DEFAULT_TITLE,
+    importedAt: toIsoNow(),
+    coverUrl: res?.coverUrl ?? null,
+    total: typeof res?.total === 'number' ? res.total : tracks.length,
+  }
+}
+
 /**
  * @returns {ImportFlowApi}
  */
@@ -263,7 +286,10 @@ export default function usePlaylistImportFlow() {
     setErrorCode(null)
 
     try {
-      const res = await importPlaylist(trimmedUrl, { context: { importBusyKind: 'initial' } })
+      const context = options.tracklist
+        ? { importBusyKind: 'initial', tracklist: options.tracklist }
+        : { importBusyKind: 'initial' }
+      const res = await importPlaylist(trimmedUrl, { context })
 
       if (requestId !== requestIdRef.current) {
         // Another request started after this one; mark as stale so callers can ignore without side effects.
@@ -273,23 +299,12 @@ export default function usePlaylistImportFlow() {
       finishRequest(requestId)
       setErrorCode(null)
 
-      const providerHint = options.providerHint ?? null
-      const tracks = buildTracks(res, providerHint)
-      const meta = buildMeta(res, {
-        providerHint,
-        sourceUrl: options.sourceUrl ?? trimmedUrl,
-      })
-
       return {
         ok: true,
-        data: {
-          tracks,
-          meta,
-          title: res?.title || DEFAULT_TITLE,
-          importedAt: toIsoNow(),
-          coverUrl: res?.coverUrl ?? null,
-          total: typeof res?.total === 'number' ? res.total : tracks.length,
-        },
+        data: buildImportData(res, {
+          providerHint: options.providerHint ?? null,
+          sourceUrl: options.sourceUrl ?? trimmedUrl,
+        }),
       }
     } catch (err) {
       if (err?.name === 'AbortError') {
@@ -377,6 +392,105 @@ export default function usePlaylistImportFlow() {
     [beginRequest, finishRequest, importPlaylist],
   )
 
+  /**
+   * Fetches the whole playlist again so it can be compared with the stored tracks.
+   * When the provider reports the same `snapshotId` as `existingMeta`, only the first
+   * page is fetched and the result carries `unchanged: true`.
+   * Shares the REIMPORTING status so existing busy/spinner handling applies.
+   * @param {string} url
+   * @param {ReimportOptions=} options
+   * @returns {Promise<ImportResult>}
+   */
+  const checkForUpdates = useCallback(
+    /**
+     * @param {string} url
+     * @param {ReimportOptions} [options]
+     * @returns {Promise<ImportResult>}
+     */
+    async (
+      url,
+      options = /** @type {ReimportOptions} */ ({}),
+    ) => {
+    if (!url) return { ok: false, code: CODES.ERR_UNKNOWN }
+    const trimmedUrl = String(url).trim()
+    const requestId = beginRequest(ImportFlowStatus.REIMPORTING)
+    setErrorCode(null)
+    const context = { importBusyKind: 'check-updates' }
+
+    try {
+      const first = await importPlaylist(trimmedUrl, { context })
+      if (requestId !== requestIdRef.current) {
+        return { ok: false, stale: true }
+      }
+
+      const knownSnapshot = options.existingMeta?.snapshotId ?? null
+      const unchanged = Boolean(knownSnapshot && first?.snapshotId && first.snapshotId === knownSnapshot)
+
+      const pages = [first]
+      let last = first
+      while (
+        !unchanged &&
+        last?.pageInfo?.hasMore &&
+        last.pageInfo.cursor &&
+        pages.length < MAX_UPDATE_CHECK_PAGES
+      ) {
+        last = await importPlaylist(trimmedUrl, { cursor: last.pageInfo.cursor, context })
+        if (requestId !== requestIdRef.current) {
+          return { ok: false, stale: true }
+        }
+        pages.push(last)
+      }
+
+      finishRequest(requestId)
+      setErrorCode(null)
+
+      const providerHint = options.providerHint ?? options.existingMeta?.provider ?? null
+      /** @type {any[]} */
+      const tracks = []
+      pages.forEach((page) => {
+        tracks.push(...buildTracks(page, providerHint, tracks.length, tracks.map((track) => track.id)))
+      })
+      const lastMeta = buildMeta(last)
+      const meta = {
+        ...buildMeta(first, {
+          providerHint,
+          playlistId: options.existingMeta?.playlistId ?? null,
+          snapshotId: knownSnapshot,
+          sourceUrl: options.existingMeta?.sourceUrl ?? trimmedUrl,
+          debug: options.existingMeta?.debug ?? null,
+        }),
+        cursor: lastMeta.cursor,
+        hasMore: lastMeta.hasMore,
+      }
+
+      return {
+        ok: true,
+        data: {
+          tracks,
+          meta,
+          title: first?.title || options.fallbackTitle || DEFAULT_TITLE,
+          importedAt: toIsoNow(),
+          coverUrl: first?.coverUrl ?? null,
+          total: typeof first?.total === 'number' ? first.total : tracks.length,
+          unchanged,
+        },
+      }
+    } catch (err) {
+      if (err?.name === 'AbortError') {
+        finishRequest(requestId)
+        throw err
+      }
+      const code = extractErrorCode(err) || CODES.ERR_UNKNOWN
+      if (requestId === requestIdRef.current) {
+        setErrorCode(code)
+        finishRequest(requestId)
+      }
+      return { ok: false, code, error: err }
+    }
+    },
+    [beginRequest, finishRequest, importPlaylist],
+  )
+
   /**
    * Loads the next page for the current import session.
    * When the adapter indicates terminal state, returns `ok:true` with `meta.hasMore=false`.
@@ -499,6 +613,7 @@ export default function usePlaylistImportFlow() {
    *  - loading:     boolean passthrough from underlying adapter hook
   *  - importInitial(url, opts?): Promise<ImportResult>
   *  - reimport(url, opts?):      Promise<ImportResult>
+  *  - checkForUpdates(url, opts?): Promise<ImportResult> (every page, or `unchanged`)
   *  - loadMore(opts?):           Promise<ImportResult>
   *  - resetFlow():               cancels in-flight work, clears error/status
    *  - primeUpstreamServices():  warms up providers/server before import
@@ -509,6 +624,7 @@ export default function usePlaylistImportFlow() {
     loading,
     importInitial,
     reimport,
+    checkForUpdates,
     loadMore,
     resetFlow,
     primeUpstreamServices,
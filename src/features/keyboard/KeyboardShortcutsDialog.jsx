@@ -0,0 +1,230 @@
+import { useEffect, useRef, useState } from 'react'
+import {
+  FIXED_SHORTCUTS,
+  KEY_ACTIONS,
+  assignKey,
+  formatKeyLabel,
+  getDefaultKeymap,
+  isBindableKey,
+} from './keymap.js'
+
+/** @typedef {import('./keymap.js').Keymap} Keymap */
+/** @typedef {import('./keymap.js').KeyAction} KeyAction */
+
+/** @type {import('react').CSSProperties} */
+const overlayStyle = {
+  position: 'fixed',
+  inset: 0,
+  backgroundColor: 'rgba(0, 0, 0, 0.6)',
+  display: 'flex',
+  alignItems: 'center',
+  justifyContent: 'center',
+  padding: '24px',
+  zIndex: 1000,
+}
+
+/** @type {import('react').CSSProperties} */
+const dialogStyle = {
+  width: 'min(560px, 100%)',
+  maxHeight: 'calc(100vh - 48px)',
+  overflowY: 'auto',
+  backgroundColor: 'var(--surface-4, var(--surface, #0f1115))',
+  borderRadius: 12,
+  border: '1px solid var(--border, rgba(255,255,255,0.1))',
+  padding: '26px',
+  color: 'var(--fg, #f7f7f7)',
+  boxShadow: '0 20px 48px rgba(0,0,0,0.45)',
+}
+
+/** @type {import('react').CSSProperties} */
+const cellStyle = { padding: '8px 6px', textAlign: 'left', verticalAlign: 'middle' }
+
+/** @param {{ children: import('react').ReactNode }} props */
+function Key({ children }) {
+  return (
+    <kbd
+      style={{
+        display: 'inline-block',
+        minWidth: 28,
+        padding: '2px 8px',
+        borderRadius: 6,
+        border: '1px solid var(--border, rgba(255,255,255,0.2))',
+        background: 'var(--card, #161920)',
+        textAlign: 'center',
+        fontFamily: 'inherit',
+      }}
+    >
+      {children}
+    </kbd>
+  )
+}
+
+/**
+ * Lists every keyboard shortcut and lets the user remap the single-key ones. Choosing a key
+ * another action already uses swaps the two.
+ * @param {object} props
+ * @param {boolean} props.open
+ * @param {Keymap} props.keymap
+ * @param {(keymap: Keymap) => void} props.onChangeKeymap
+ * @param {() => void} props.onClose
+ */
+export default function KeyboardShortcutsDialog({ open, keymap, onChangeKeymap, onClose }) {
+  const [capturing, setCapturing] = useState(/** @type {KeyAction | null} */ (null))
+  const [message, setMessage] = useState(/** @type {{ text: string, error: boolean } | null} */ (null))
+  const closeRef = useRef(/** @type {HTMLButtonElement | null} */ (null))
+  const returnFocusRef = useRef(/** @type {HTMLElement | null} */ (null))
+
+  useEffect(() => {
+    if (!open) return undefined
+    returnFocusRef.current = document.activeElement instanceof HTMLElement ? document.activeElement : null
+    setCapturing(null)
+    setMessage(null)
+    const timer = setTimeout(() => closeRef.current?.focus({ preventScroll: true }), 0)
+    return () => {
+      clearTimeout(timer)
+      returnFocusRef.current?.focus({ preventScroll: true })
+    }
+  }, [open])
+
+  if (!open) return null
+
+  /** @param {KeyAction} action */
+  const labelFor = (action) => KEY_ACTIONS.find(({ id }) => id === action)?.label ?? action
+
+  /** @param {import('react').KeyboardEvent} event */
+  const handleKeyDown = (event) => {
+    if (capturing) {
+      if (event.key === 'Tab' || event.key === 'Shift') return
+      event.preventDefault()
+      event.stopPropagation()
+      if (event.key === 'Escape') {
+        setCapturing(null)
+        setMessage({ text: 'Shortcut unchanged.', error: false })
+        return
+      }
+      if (event.ctrlKey || event.metaKey || event.altKey || !isBindableKey(event.key)) {
+        setMessage({ text: 'That key cannot be used. Press a letter, number or symbol.', error: true })
+        return
+      }
+      const { keymap: next, swappedWith } = assignKey(keymap, capturing, event.key)
+      onChangeKeymap(next)
+      const keyLabel = formatKeyLabel(next[capturing])
+      setMessage({
+        text: swappedWith
+          ? `${labelFor(capturing)} is now ${keyLabel}. ${labelFor(swappedWith)} moved to ${formatKeyLabel(next[swappedWith])}.`
+          : `${labelFor(capturing)} is now ${keyLabel}.`,
+        error: false,
+      })
+      setCapturing(null)
+      return
+    }
+    if (event.key === 'Escape') {
+      event.preventDefault()
+      event.stopPropagation()
+      onClose()
+    }
+  }
+
+  const handleReset = () => {
+    setCapturing(null)
+    onChangeKeymap(getDefaultKeymap())
+    setMessage({ text: 'Shortcuts reset to their defaults.', error: false })
+  }
+
+  return (
+    <div style={overlayStyle} role="presentation">
+      <div
+        style={dialogStyle}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="keyboard-shortcuts-title"
+        aria-describedby="keyboard-shortcuts-description"
+        onKeyDown={handleKeyDown}
+      >
+        <h2 id="keyboard-shortcuts-title" style={{ marginTop: 0 }}>
+          Keyboard shortcuts
+        </h2>
+        <p id="keyboard-shortcuts-description" style={{ marginTop: 0 }}>
+          Single-key shortcuts work whenever you are not typing in a field. Choose Change, then press the
+          key you want to use instead.
+        </p>
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr>
+              <th scope="col" style={cellStyle}>
+                Action
+              </th>
+              <th scope="col" style={cellStyle}>
+                Key
+              </th>
+              <th scope="col" style={cellStyle}>
+                <span className="sr-only">Remap</span>
+              </th>
+            </tr>
+          </thead>
+          <tbody>
+            {KEY_ACTIONS.map((action) => (
+              <tr key={action.id}>
+                <th scope="row" style={{ ...cellStyle, fontWeight: 400 }}>
+                  {action.label}
+                </th>
+                <td style={cellStyle}>
+                  <Key>{formatKeyLabel(keymap[action.id])}</Key>
+                  {(action.fixedKeys ?? []).map((key) => (
+                    <span key={key}>
+                      {' or '}
+                      <Key>{formatKeyLabel(key)}</Key>
+                    </span>
+                  ))}
+                </td>
+                <td style={{ ...cellStyle, textAlign: 'right' }}>
+                  <button
+                    type="button"
+                    className="btn"
+                    aria-pressed={capturing === action.id}
+                    aria-label={
+                      capturing === action.id
+                        ? `Press a key for ${action.label}, or Escape to cancel`
+                        : `Change key for ${action.label}`
+                    }
+                    onClick={() => {
+                      setCapturing(capturing === action.id ? null : action.id)
+                      setMessage(null)
+                    }}
+                  >
+                    {capturing === action.id ? 'Press a key…' : 'Change'}
+                  </button>
+                </td>
+              </tr>
+            ))}
+            {FIXED_SHORTCUTS.map((shortcut) => (
+              <tr key={shortcut.keys}>
+                <th scope="row" style={{ ...cellStyle, fontWeight: 400 }}>
+                  {shortcut.label}
+                </th>
+                <td style={cellStyle}>
+                  <Key>{shortcut.keys}</Key>
+                </td>
+                <td style={cellStyle} />
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <p
+          role={message?.error ? 'alert' : 'status'}
+          style={{ minHeight: '1.5em', marginBottom: 0, color: message?.error ? 'var(--error, #f87171)' : undefined }}
+        >
+          {message?.text ?? ''}
+        </p>
+        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 12, marginTop: 16 }}>
+          <button type="button" className="btn" onClick={handleReset}>
+            Reset to defaults
+          </button>
+          <button ref={closeRef} type="button" className="btn primary" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
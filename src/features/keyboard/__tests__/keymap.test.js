@@ -0,0 +1,44 @@
+import { describe, expect, it } from 'vitest'
+import {
+  assignKey,
+  findActionForKey,
+  getDefaultKeymap,
+  resolveKeymap,
+  sanitizeKeymapOverrides,
+  toKeymapOverrides,
+} from '../keymap.js'
+
+describe('keymap', () => {
+  it('matches keys case-insensitively and keeps the arrows on track movement', () => {
+    const keymap = getDefaultKeymap()
+    expect(findActionForKey(keymap, 'J')).toBe('nextTrack')
+    expect(findActionForKey(keymap, 'ArrowUp')).toBe('previousTrack')
+    expect(findActionForKey(keymap, '?')).toBe('showHelp')
+    expect(findActionForKey(keymap, 'x')).toBeNull()
+  })
+
+  it('swaps keys when a remap picks one that is already in use', () => {
+    const { keymap, swappedWith } = assignKey(getDefaultKeymap(), 'addNote', 'j')
+    expect(swappedWith).toBe('nextTrack')
+    expect(keymap).toMatchObject({ addNote: 'j', nextTrack: 'n' })
+    expect(toKeymapOverrides(keymap)).toEqual({ nextTrack: 'n', addNote: 'j' })
+  })
+
+  it('drops unknown actions, unusable keys and duplicate overrides', () => {
+    expect(
+      sanitizeKeymapOverrides({
+        nope: 'x',
+        addNote: 'ArrowDown',
+        addTag: ' ',
+        focusSearch: 'F',
+        editLastNote: 'f',
+        showHelp: '?',
+      }),
+    ).toEqual({ focusSearch: 'f' })
+    expect(sanitizeKeymapOverrides('nope')).toEqual({})
+  })
+
+  it('leaves an action unbound when a stored override took its default key', () => {
+    expect(resolveKeymap({ addTag: 'n' })).toMatchObject({ addTag: 'n', addNote: '' })
+  })
+})
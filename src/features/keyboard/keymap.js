@@ -0,0 +1,190 @@
+// src/features/keyboard/keymap.js
+// @ts-check
+
+/**
+ * Single-key shortcuts and the user's remapping of them. Every action has one remappable key;
+ * the arrow keys stay bound to track movement as fixed extras so they keep working whatever
+ * j/k are remapped to. Modifier shortcuts (Ctrl/⌘+Z, Home) are fixed and listed for the help
+ * dialog only.
+ */
+
+/**
+ * @typedef {'nextTrack' | 'previousTrack' | 'addNote' | 'addTag' | 'focusSearch' | 'editLastNote' | 'showHelp'} KeyAction
+ */
+
+/**
+ * @typedef {Object} KeyActionDefinition
+ * @property {KeyAction} id
+ * @property {string} label
+ * @property {string} defaultKey
+ * @property {string[]} [fixedKeys] - Extra keys that cannot be remapped
+ * @property {'playlist' | 'global'} scope
+ */
+
+/** @typedef {Record<KeyAction, string>} Keymap */
+
+/** @type {ReadonlyArray<KeyActionDefinition>} */
+export const KEY_ACTIONS = Object.freeze([
+  { id: 'nextTrack', label: 'Next track', defaultKey: 'j', fixedKeys: ['ArrowDown'], scope: 'playlist' },
+  { id: 'previousTrack', label: 'Previous track', defaultKey: 'k', fixedKeys: ['ArrowUp'], scope: 'playlist' },
+  { id: 'addNote', label: 'Add a note to the current track', defaultKey: 'n', scope: 'playlist' },
+  { id: 'addTag', label: 'Add a tag to the current track', defaultKey: 't', scope: 'playlist' },
+  { id: 'focusSearch', label: 'Search tracks and notes', defaultKey: '/', scope: 'playlist' },
+  { id: 'editLastNote', label: 'Edit the last note on the current track', defaultKey: 'e', scope: 'playlist' },
+  { id: 'showHelp', label: 'Show keyboard shortcuts', defaultKey: '?', scope: 'global' },
+])
+
+/** Shortcuts that use modifiers and cannot be remapped. */
+export const FIXED_SHORTCUTS = Object.freeze([
+  { keys: 'Ctrl+Z / ⌘+Z', label: 'Undo the last note or tag change' },
+  { keys: 'Ctrl+Shift+Z / Ctrl+Y', label: 'Redo' },
+  { keys: 'Home', label: 'Go to the import screen' },
+  { keys: 'Ctrl+K / ⌘+K', label: 'Open the command palette' },
+])
+
+const FIXED_KEYS = new Set(KEY_ACTIONS.flatMap((action) => action.fixedKeys ?? []))
+
+/** @type {Record<string, string>} */
+const KEY_LABELS = {
+  ArrowDown: 'Down arrow',
+  ArrowUp: 'Up arrow',
+  ' ': 'Space',
+}
+
+/** @returns {Keymap} */
+export function getDefaultKeymap() {
+  return /** @type {Keymap} */ (Object.fromEntries(KEY_ACTIONS.map((action) => [action.id, action.defaultKey])))
+}
+
+/**
+ * Key as stored and matched: letters lower-cased so Caps Lock does not matter.
+ * @param {string} key - `KeyboardEvent.key`
+ */
+export function normalizeKey(key) {
+  return typeof key === 'string' && key.length === 1 ? key.toLowerCase() : key
+}
+
+/**
+ * Whether `key` can be bound: one printable, non-space character that is not already a fixed key.
+ * @param {unknown} key
+ * @returns {key is string}
+ */
+export function isBindableKey(key) {
+  return typeof key === 'string' && key.length === 1 && key.trim() !== '' && !FIXED_KEYS.has(key)
+}
+
+/**
+ * Keep only known actions with bindable keys, dropping any override whose key another
+ * override already took. Defaults are left out so stored prefs stay small.
+ * @param {unknown} value
+ * @returns {Partial<Keymap>}
+ */
+export function sanitizeKeymapOverrides(value) {
+  /** @type {Partial<Keymap>} */
+  const out = {}
+  if (!value || typeof value !== 'object') return out
+  const defaults = getDefaultKeymap()
+  const taken = new Set()
+  KEY_ACTIONS.forEach(({ id }) => {
+    const raw = /** @type {Record<string, unknown>} */ (value)[id]
+    if (!isBindableKey(raw)) return
+    const key = normalizeKey(raw)
+    if (key === defaults[id] || taken.has(key)) return
+    taken.add(key)
+    out[id] = key
+  })
+  return out
+}
+
+/**
+ * Defaults with the user's overrides applied. A default that an override has taken moves
+ * nowhere: that action is left unbound (empty string) rather than firing twice.
+ * @param {unknown} overrides
+ * @returns {Keymap}
+ */
+export function resolveKeymap(overrides) {
+  const clean = sanitizeKeymapOverrides(overrides)
+  const keymap = { ...getDefaultKeymap(), ...clean }
+  const overridden = new Set(Object.values(clean))
+  KEY_ACTIONS.forEach(({ id }) => {
+    if (!(id in clean) && overridden.has(keymap[id])) keymap[id] = ''
+  })
+  return keymap
+}
+
+/**
+ * Overrides to store for `keymap`: only the actions that differ from their default.
+ * @param {Keymap} keymap
+ * @returns {Partial<Keymap>}
+ */
+export function toKeymapOverrides(keymap) {
+  const defaults = getDefaultKeymap()
+  /** @type {Partial<Keymap>} */
+  const out = {}
+  KEY_ACTIONS.forEach(({ id }) => {
+    if (keymap[id] !== defaults[id]) out[id] = keymap[id]
+  })
+  return out
+}
+
+/**
+ * Bind `key` to `action`. An action that already had the key swaps to the old key of
+ * `action`, so no two actions ever share one.
+ * @param {Keymap} keymap
+ * @param {KeyAction} action
+ * @param {string} key
+ * @returns {{ keymap: Keymap, swappedWith: KeyAction | null }}
+ */
+export function assignKey(keymap, action, key) {
+  const normalized = normalizeKey(key)
+  const previous = keymap[action]
+  const holder = KEY_ACTIONS.find(({ id }) => id !== action && keymap[id] === normalized)?.id ?? null
+  const next = { ...keymap, [action]: normalized }
+  if (holder) next[holder] = previous
+  return { keymap: next, swappedWith: holder }
+}
+
+/**
+ * @param {Keymap} keymap
+ * @param {string} key - `KeyboardEvent.key`
+ * @returns {KeyAction | null}
+ */
+export function findActionForKey(keymap, key) {
+  const normalized = normalizeKey(key)
+  if (!normalized) return null
+  const match = KEY_ACTIONS.find(
+    ({ id, fixedKeys }) => keymap[id] === normalized || (fixedKeys ?? []).includes(normalized),
+  )
+  return match ? match.id : null
+}
+
+/**
+ * @param {string} key
+ * @returns {string} Readable name for `<kbd>` and announcements
+ */
+export function formatKeyLabel(key) {
+  if (!key) return 'Not set'
+  return KEY_LABELS[key] ?? key
+}
+
+/**
+ * True for text fields and other controls that need the keys for themselves.
+ * @param {EventTarget | null} target
+ */
+export function isEditableTarget(target) {
+  if (!target || !(target instanceof HTMLElement)) return false
+  const tagName = target.tagName
+  return target.isContentEditable || tagName === 'INPUT' || tagName === 'TEXTAREA' || tagName === 'SELECT'
+}
+
+/**
+ * Whether a keydown should be left alone: modifier chords, typing, and keys pressed inside an
+ * open dialog (which owns its own keyboard handling).
+ * @param {KeyboardEvent} event
+ */
+export function shouldIgnoreShortcut(event) {
+  if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey || event.isComposing) return true
+  if (isEditableTarget(event.target)) return true
+  const target = event.target instanceof Element ? event.target : null
+  return Boolean(target?.closest('[role="dialog"], [role="alertdialog"], dialog'))
+}
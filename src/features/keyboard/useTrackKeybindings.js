@@ -0,0 +1,187 @@
+import { useCallback, useEffect, useRef } from 'react'
+import { findActionForKey, formatKeyLabel, shouldIgnoreShortcut } from './keymap.js'
+
+/** @typedef {import('./keymap.js').Keymap} Keymap */
+
+/** @returns {Promise<void>} */
+function nextFrame() {
+  return new Promise((resolve) => {
+    if (typeof window.requestAnimationFrame === 'function') window.requestAnimationFrame(() => resolve())
+    else setTimeout(resolve, 0)
+  })
+}
+
+/** @param {string} trackId */
+function getCard(trackId) {
+  return document.getElementById(`track-${trackId}`)
+}
+
+/**
+ * Single-key shortcuts for the playlist view: move between tracks, add a note or tag to the
+ * current track, jump to search and edit the track's last note. The current track is the one
+ * holding focus, or the last one that did.
+ *
+ * Track cards are found by their DOM ids, so the list can be virtualized: pass
+ * `scrollToIndex` and off-screen cards are scrolled into the window before use. Passing no
+ * keymap turns the keys off; `runTrackAction` still works for other callers such as the
+ * command palette.
+ *
+ * @param {{
+ *   keymap: Keymap | null,
+ *   tracks: Array<{ id: string | number }>,
+ *   scrollToIndex?: ((index: number) => void) | null,
+ *   onAddNote: (trackId: string | number) => void,
+ *   readOnly?: boolean,
+ *   searchInputRef: import('react').RefObject<HTMLInputElement | null>,
+ *   announce: (message: string) => void,
+ * }} params
+ * @returns {{ runTrackAction: (action: import('./keymap.js').KeyAction, target?: Element | null) => boolean }}
+ */
+export default function useTrackKeybindings({
+  keymap,
+  tracks,
+  scrollToIndex = null,
+  onAddNote,
+  readOnly = false,
+  searchInputRef,
+  announce,
+}) {
+  const lastTrackIdRef = useRef(/** @type {string | null} */ (null))
+  const latestRef = useRef({ keymap, tracks, scrollToIndex, onAddNote, readOnly, searchInputRef, announce })
+  latestRef.current = { keymap, tracks, scrollToIndex, onAddNote, readOnly, searchInputRef, announce }
+  const enabled = Boolean(keymap)
+
+  useEffect(() => {
+    /** @param {FocusEvent} event */
+    const handleFocusIn = (event) => {
+      const target = event.target instanceof Element ? event.target : null
+      const trackId = target?.closest('[data-track-id]')?.getAttribute('data-track-id')
+      if (trackId) lastTrackIdRef.current = trackId
+    }
+    document.addEventListener('focusin', handleFocusIn)
+    return () => document.removeEventListener('focusin', handleFocusIn)
+  }, [])
+
+  /**
+   * Run a track action against the track holding focus (or the last one that did).
+   * Returns false when the action does not apply, so a key press can fall through.
+   */
+  const runTrackAction = useCallback(
+    /**
+     * @param {import('./keymap.js').KeyAction} action
+     * @param {Element | null} [target]
+     */
+    (action, target = document.activeElement) => {
+      const latest = latestRef.current
+
+      /**
+       * Scroll a card into view, rendering it first when the list is virtualized.
+       * @param {string} trackId
+       * @returns {Promise<HTMLElement | null>}
+       */
+      const revealCard = async (trackId) => {
+        const { tracks: list, scrollToIndex: scroll } = latestRef.current
+        const index = list.findIndex((track) => String(track.id) === trackId)
+        if (index === -1) return null
+        if (scroll) {
+          scroll(index)
+          if (!getCard(trackId)) {
+            await nextFrame()
+            await nextFrame()
+          }
+        }
+        const card = getCard(trackId)
+        card?.scrollIntoView?.({ block: 'nearest' })
+        return card
+      }
+
+      const fromTarget = target?.closest('[data-track-id]')?.getAttribute('data-track-id') ?? null
+      const candidate = fromTarget ?? lastTrackIdRef.current
+      const currentId =
+        candidate && latest.tracks.some((track) => String(track.id) === candidate) ? candidate : null
+
+      if (action === 'focusSearch') {
+        const input = latest.searchInputRef.current
+        if (!input) return false
+        input.focus()
+        input.select()
+        return true
+      }
+
+      if (action === 'nextTrack' || action === 'previousTrack') {
+        if (latest.tracks.length === 0) return false
+        const index = currentId ? latest.tracks.findIndex((track) => String(track.id) === currentId) : -1
+        const step = action === 'nextTrack' ? 1 : -1
+        const nextIndex = index === -1 ? 0 : Math.min(Math.max(index + step, 0), latest.tracks.length - 1)
+        if (nextIndex === index) {
+          latest.announce(action === 'nextTrack' ? 'Already at the last track.' : 'Already at the first track.')
+          return true
+        }
+        const trackId = String(latest.tracks[nextIndex].id)
+        lastTrackIdRef.current = trackId
+        void revealCard(trackId).then((card) => {
+          if (!card) return
+          const focusTarget = document.getElementById(`add-note-btn-${trackId}`) ?? card
+          focusTarget.focus({ preventScroll: true })
+        })
+        return true
+      }
+
+      if (action === 'showHelp' || latest.readOnly) return false
+      if (!currentId) {
+        latest.announce(
+          latest.keymap
+            ? `Move to a track first. Press ${formatKeyLabel(latest.keymap.nextTrack)} for the next track.`
+            : 'Move to a track first.',
+        )
+        return true
+      }
+
+      if (action === 'addNote') {
+        const track = latest.tracks.find((item) => String(item.id) === currentId)
+        if (track) latest.onAddNote(track.id)
+        return true
+      }
+
+      void revealCard(currentId).then((card) => {
+        if (!card) return
+        if (action === 'addTag') {
+          const button = card.querySelector('[data-shortcut="add-tag"]')
+          if (button instanceof HTMLElement) button.click()
+          return
+        }
+        const editButtons = card.querySelectorAll('[data-shortcut="edit-note"]')
+        const lastEdit = editButtons[editButtons.length - 1]
+        if (lastEdit instanceof HTMLElement) lastEdit.click()
+        else latestRef.current.announce('This track has no notes to edit.')
+      })
+      return true
+    },
+    [],
+  )
+
+  useEffect(() => {
+    if (!enabled || typeof window === 'undefined') return undefined
+
+    /** @param {KeyboardEvent} event */
+    const handleKeyDown = (event) => {
+      if (shouldIgnoreShortcut(event)) return
+      const { keymap: currentKeymap } = latestRef.current
+      if (!currentKeymap) return
+      const action = findActionForKey(currentKeymap, event.key)
+      if (!action || action === 'showHelp') return
+
+      const target = event.target instanceof Element ? event.target : null
+      const isArrow = event.key === 'ArrowDown' || event.key === 'ArrowUp'
+      // Arrows only move between tracks from inside a card; elsewhere they keep scrolling the page
+      if (isArrow && !target?.closest('[data-track-id]')) return
+
+      if (runTrackAction(action, target)) event.preventDefault()
+    }
+
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [enabled, runTrackAction])
+
+  return { runTrackAction }
+}
@@ -1,7 +1,10 @@
 // src/features/landing/LandingScreen.jsx
+import { useRef, useState } from 'react'
 import ErrorMessage from '../../components/ErrorMessage.jsx'
 import DemoCard from '../../components/DemoCard.jsx'
 import RecentPlaylists from '../recent/RecentPlaylists.jsx'
+import BatchImportPanel from '../import/BatchImportPanel.jsx'
+import { isBatchUrlList } from '../import/batchImport.js'
 
 /**
  * @typedef {Object} LandingScreenProps
@@ -13,6 +16,8 @@ import RecentPlaylists from '../recent/RecentPlaylists.jsx'
  * @property {boolean} showInitialSpinner - Whether to show loading state on button
  * @property {import('react').RefObject<HTMLInputElement>} importInputRef - Ref for focus management
  * @property {(event: import('react').FormEvent) => Promise<void>} onImport - Form submit handler
+ * @property {(input: { text?: string, file?: File | null }) => Promise<void>} [onImportTracklist] - Imports a pasted or dropped tracklist
+ * @property {{ items: import('../import/batchImport.js').BatchItem[], running: boolean, onStart: (text: string) => Promise<void>, onCancel: () => void, onClear: () => void }} [batchImport] - Several-links import queue
  * @property {Array<any>} recentPlaylists - Array of recent playlist items
  * @property {Record<string, { loading?: boolean, error?: string | { message: string, type: 'error' | 'cancel' | 'rateLimit' } }>} recentCardState - Per-card state
  * @property {(item: any) => Promise<any>} onSelectRecent - Handler for selecting a recent playlist
@@ -35,6 +40,8 @@ export default function LandingScreen({
     showInitialSpinner,
     importInputRef,
     onImport,
+    onImportTracklist,
+    batchImport,
     recentPlaylists,
     recentCardState,
     onSelectRecent,
@@ -43,6 +50,51 @@ export default function LandingScreen({
     showDemoHelper = false,
     onLoadDemo,
 }) {
+    const fileInputRef = useRef(/** @type {HTMLInputElement | null} */ (null))
+    const [isDraggingFile, setIsDraggingFile] = useState(false)
+
+    /** @param {import('react').ClipboardEvent<HTMLInputElement>} event */
+    const handlePaste = (event) => {
+        const text = event.clipboardData?.getData('text') ?? ''
+        // URL inputs flatten newlines, so multi-line pastes are caught here: a list of
+        // links becomes a batch import, anything else a tracklist.
+        if (batchImport && !batchImport.running && isBatchUrlList(text)) {
+            event.preventDefault()
+            void batchImport.onStart(text)
+            return
+        }
+        if (!onImportTracklist || isAnyImportBusy) return
+        const lines = text.split(/\r?\n/).filter((line) => line.trim())
+        if (lines.length < 2) return
+        event.preventDefault()
+        void onImportTracklist({ text })
+    }
+
+    /** @param {import('react').DragEvent<HTMLDivElement>} event */
+    const handleDragOver = (event) => {
+        if (!onImportTracklist || !event.dataTransfer?.types?.includes('Files')) return
+        event.preventDefault()
+        setIsDraggingFile(true)
+    }
+
+    /** @param {import('react').DragEvent<HTMLDivElement>} event */
+    const handleDrop = (event) => {
+        if (!onImportTracklist) return
+        event.preventDefault()
+        setIsDraggingFile(false)
+        const file = event.dataTransfer?.files?.[0]
+        if (!file || isAnyImportBusy) return
+        void onImportTracklist({ file })
+    }
+
+    /** @param {import('react').ChangeEvent<HTMLInputElement>} event */
+    const handleFileChange = (event) => {
+        const file = event.target.files?.[0]
+        event.target.value = ''
+        if (!file || !onImportTracklist) return
+        void onImportTracklist({ file })
+    }
+
     return (
         <section aria-labelledby="landing-title">
             <h2 id="landing-title" className="section-title" style={{ marginTop: 0 }}>Turn your Spotify library into<br />a searchable notebook</h2>
@@ -50,7 +102,13 @@ export default function LandingScreen({
                 Add timestamped notes so you can jump back to any moment.
             </p>
 
-            <div className="import-form-card">
+            <div
+                className="import-form-card"
+                data-dragging={isDraggingFile ? 'true' : undefined}
+                onDragOver={handleDragOver}
+                onDragLeave={() => setIsDraggingFile(false)}
+                onDrop={handleDrop}
+            >
                 <form
                     onSubmit={(event) => {
                         void onImport(event)
@@ -66,10 +124,11 @@ export default function LandingScreen({
                                 ref={importInputRef}
                                 type="url"
                                 inputMode="url"
-                                placeholder="Paste a Spotify playlist or episode link"
+                                placeholder={onImportTracklist ? 'Paste a Spotify playlist link or a tracklist' : 'Paste a Spotify playlist or episode link'}
                                 autoComplete="off"
                                 value={importUrl}
                                 onChange={onImportUrlChange}
+                                onPaste={handlePaste}
                                 aria-invalid={!!importError?.message}
                                 aria-describedby={importError?.message ? 'import-error' : undefined}
                             />
@@ -87,7 +146,27 @@ export default function LandingScreen({
                             </div>
                         )}
 
-                        <div style={{ justifySelf: 'end' }}>
+                        <div style={{ justifySelf: 'end', display: 'flex', gap: 8 }}>
+                            {onImportTracklist && (
+                                <>
+                                    <input
+                                        ref={fileInputRef}
+                                        type="file"
+                                        accept=".txt,.csv,.tsv,.m3u,.m3u8,text/plain,text/csv"
+                                        hidden
+                                        data-testid="tracklist-file-input"
+                                        onChange={handleFileChange}
+                                    />
+                                    <button
+                                        type="button"
+                                        className="btn"
+                                        disabled={isAnyImportBusy}
+                                        onClick={() => fileInputRef.current?.click()}
+                                    >
+                                        Choose tracklist file
+                                    </button>
+                                </>
+                            )}
                             <button
                                 type="submit"
                                 className="btn primary"
@@ -101,6 +180,16 @@ export default function LandingScreen({
                 </form>
             </div>
 
+            {batchImport && (
+                <BatchImportPanel
+                    items={batchImport.items}
+                    running={batchImport.running}
+                    onStart={batchImport.onStart}
+                    onCancel={batchImport.onCancel}
+                    onClear={batchImport.onClear}
+                />
+            )}
+
             {showDemoHelper && onLoadDemo && (
                 <DemoCard onLoadDemo={onLoadDemo} disabled={isAnyImportBusy} />
             )}
@@ -97,4 +97,74 @@ describe('LandingScreen', () => {
         expect(onLoadDemo).toHaveBeenCalledTimes(1)
         expect(onImport).not.toHaveBeenCalled()
     })
+
+    it('routes multi-line pastes to onImportTracklist and leaves links alone', () => {
+        const onImportTracklist = vi.fn()
+        render(<LandingScreen {...{ ...createDefaultProps(), onImportTracklist }} />)
+        const input = screen.getByRole('textbox', { name: /playlist url/i })
+
+        fireEvent.paste(input, { clipboardData: { getData: () => 'https://open.spotify.com/playlist/abc' } })
+        expect(onImportTracklist).not.toHaveBeenCalled()
+
+        const text = 'Daft Punk - Da Funk\nAphex Twin - Windowlicker'
+        fireEvent.paste(input, { clipboardData: { getData: () => text } })
+        expect(onImportTracklist).toHaveBeenCalledWith({ text })
+    })
+
+    it('routes a multi-line paste of links to the batch import instead of the tracklist', () => {
+        const onImportTracklist = vi.fn()
+        const batchImport = {
+            items: [],
+            running: false,
+            onStart: vi.fn().mockResolvedValue(undefined),
+            onCancel: vi.fn(),
+            onClear: vi.fn(),
+        }
+        render(<LandingScreen {...{ ...createDefaultProps(), onImportTracklist, batchImport }} />)
+        const text =
+            'https://open.spotify.com/playlist/37i9dQZF1DXcBWIGoYBM5M\nhttps://www.youtube.com/playlist?list=PL1234567890'
+
+        fireEvent.paste(screen.getByRole('textbox', { name: /playlist url/i }), {
+            clipboardData: { getData: () => text },
+        })
+        expect(batchImport.onStart).toHaveBeenCalledWith(text)
+        expect(onImportTracklist).not.toHaveBeenCalled()
+    })
+
+    it('lists batch progress per link with a cancel action while running', () => {
+        const onCancel = vi.fn()
+        const batchImport = {
+            items: [
+                { id: 'batch-0', url: 'https://a', provider: 'spotify', status: 'done', attempts: 1, title: 'Crate', total: 3 },
+                { id: 'batch-1', url: 'https://b', provider: 'spotify', status: 'waiting', attempts: 1, retryAt: Date.now() + 5000 },
+                { id: 'batch-2', url: 'https://c', provider: null, status: 'failed', attempts: 0, errorCode: 'ERR_NOT_FOUND' },
+            ],
+            running: true,
+            onStart: vi.fn(),
+            onCancel,
+            onClear: vi.fn(),
+        }
+        render(<LandingScreen {...{ ...createDefaultProps(), batchImport }} />)
+
+        expect(screen.getByRole('heading', { name: 'Batch import: 2 of 3 done' })).toBeInTheDocument()
+        expect(screen.getByText('Imported "Crate", 3 tracks')).toBeInTheDocument()
+        expect(screen.getByText(/^Rate limited\. Retrying at/)).toBeInTheDocument()
+        expect(screen.getByText('Playlist not found.')).toBeInTheDocument()
+        fireEvent.click(screen.getByRole('button', { name: 'Cancel batch' }))
+        expect(onCancel).toHaveBeenCalledTimes(1)
+    })
+
+    it('imports a chosen or dropped tracklist file', () => {
+        const onImportTracklist = vi.fn()
+        render(<LandingScreen {...{ ...createDefaultProps(), onImportTracklist }} />)
+        const file = new File(['Daft Punk - Da Funk'], 'set.txt', { type: 'text/plain' })
+
+        expect(screen.getByRole('button', { name: /choose tracklist file/i })).toBeInTheDocument()
+        fireEvent.change(screen.getByTestId('tracklist-file-input'), { target: { files: [file] } })
+        expect(onImportTracklist).toHaveBeenCalledWith({ file })
+
+        const card = screen.getByRole('textbox').closest('.import-form-card')
+        fireEvent.drop(card, { dataTransfer: { files: [file], types: ['Files'] } })
+        expect(onImportTracklist).toHaveBeenCalledTimes(2)
+    })
 })
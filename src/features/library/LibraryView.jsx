@@ -0,0 +1,201 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import SearchFilterBar from '../filter/SearchFilterBar.jsx'
+import SavedFilterChips from '../filter/SavedFilterChips.jsx'
+import useTrackFilter from '../filter/useTrackFilter.js'
+import TagChip from '../tags/TagChip.jsx'
+import { getNoteBody } from '../../utils/notesTagsData.js'
+
+/** @typedef {import('./buildLibraryTracks.js').LibraryTrack} LibraryTrack */
+/** @typedef {import('./buildLibraryTracks.js').LibrarySource} LibrarySource */
+
+// Filters persist under this pseudo playlist so the Library keeps its own search state.
+const LIBRARY_FILTER_PROVIDER = 'library'
+const LIBRARY_FILTER_ID = 'all'
+
+/**
+ * @param {object} props
+ * @param {LibraryTrack[]} props.tracks
+ * @param {(source: LibrarySource) => void} props.onOpenSource
+ * @param {() => Promise<void>} [props.onRefresh] - Pulls the latest notes from the server on open
+ * @param {boolean} [props.isAnyImportBusy]
+ * @param {(message: string) => void} [props.announce]
+ */
+export default function LibraryView({ tracks, onOpenSource, onRefresh, isAnyImportBusy = false, announce }) {
+  const searchInputRef = useRef(null)
+  const [syncStatus, setSyncStatus] = useState(/** @type {'idle' | 'loading' | 'error'} */ ('idle'))
+
+  const {
+    query,
+    setQuery,
+    queryErrors,
+    scope,
+    setScope,
+    sort,
+    setSort,
+    selectedTags,
+    toggleTag,
+    hasNotesOnly,
+    setHasNotesOnly,
+    filteredTracks,
+    totalCount,
+    filteredCount,
+    hasActiveFilters,
+    clearFilters,
+    summaryText,
+    emptyMessage,
+    applyFilters,
+    countMatches,
+  } = useTrackFilter({
+    tracks,
+    provider: LIBRARY_FILTER_PROVIDER,
+    playlistId: LIBRARY_FILTER_ID,
+    announce,
+  })
+
+  const filterState = useMemo(
+    () => ({ query, scope, sort, selectedTags, hasNotesOnly }),
+    [query, scope, sort, selectedTags, hasNotesOnly],
+  )
+
+  const availableTags = useMemo(() => {
+    const bucket = new Set()
+    tracks.forEach((track) => track.tags.forEach((tag) => bucket.add(tag)))
+    // A saved filter can select a tag no track here has; keep it visible so it can be unticked
+    selectedTags.forEach((tag) => bucket.add(tag))
+    return Array.from(bucket).sort((a, b) => a.localeCompare(b))
+  }, [tracks, selectedTags])
+
+  useEffect(() => {
+    if (typeof onRefresh !== 'function') return
+    let cancelled = false
+    setSyncStatus('loading')
+    onRefresh()
+      .then(() => {
+        if (!cancelled) setSyncStatus('idle')
+      })
+      .catch(() => {
+        if (!cancelled) setSyncStatus('error')
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [onRefresh])
+
+  return (
+    <section aria-labelledby="library-title" className="library-screen">
+      <h1 id="library-title" style={{ marginTop: 0 }}>
+        Library
+      </h1>
+      <p style={{ marginTop: 0, color: 'var(--muted)' }}>
+        Every track you have noted or tagged, across your playlists.
+      </p>
+
+      {syncStatus !== 'idle' && (
+        <div
+          role="status"
+          style={{
+            marginBottom: 12,
+            padding: '8px 12px',
+            background: 'var(--surface)',
+            borderRadius: 6,
+            border: '1px solid var(--border)',
+            color: syncStatus === 'error' ? 'var(--warning, #ffa726)' : 'var(--muted)',
+          }}
+        >
+          {syncStatus === 'error'
+            ? "Couldn't load notes from your other devices. Showing notes saved here."
+            : 'Syncing notes in the background...'}
+        </div>
+      )}
+
+      <SavedFilterChips
+        filterState={filterState}
+        hasActiveFilters={hasActiveFilters}
+        onApply={applyFilters}
+        countMatches={countMatches}
+        announce={announce}
+      />
+
+      <SearchFilterBar
+        query={query}
+        onQueryChange={setQuery}
+        queryErrors={queryErrors}
+        scope={scope}
+        onScopeChange={setScope}
+        sort={sort}
+        onSortChange={setSort}
+        hasNotesOnly={hasNotesOnly}
+        onHasNotesToggle={setHasNotesOnly}
+        selectedTags={selectedTags}
+        onToggleTag={toggleTag}
+        availableTags={availableTags}
+        hasActiveFilters={hasActiveFilters}
+        onClearFilters={clearFilters}
+        summaryText={summaryText}
+        filteredCount={filteredCount}
+        totalCount={totalCount}
+        searchInputRef={searchInputRef}
+      />
+
+      {totalCount === 0 ? (
+        <p style={{ color: 'var(--muted)' }}>No notes or tags yet. Import a playlist and add a note to see it here.</p>
+      ) : filteredCount === 0 ? (
+        <p style={{ color: 'var(--muted)' }}>{emptyMessage}</p>
+      ) : (
+        <ul style={{ listStyle: 'none', padding: 0, margin: 0, display: 'grid', gap: 12 }}>
+          {filteredTracks.map((track) => (
+            <li
+              key={track.id}
+              data-testid={`library-track-${track.id}`}
+              style={{
+                border: '1px solid var(--border)',
+                background: 'var(--card)',
+                boxShadow: 'var(--shadow)',
+                borderRadius: 8,
+                padding: 12,
+              }}
+            >
+              <div style={{ fontWeight: 600 }}>{track.title}</div>
+              {track.artist && <div style={{ color: 'var(--muted)' }}>{track.artist}</div>}
+              {track.notes.length > 0 && (
+                <ul style={{ margin: '8px 0 0', paddingLeft: 20 }}>
+                  {track.notes.map((note, idx) => (
+                    <li key={note.id ?? idx}>{getNoteBody(note)}</li>
+                  ))}
+                </ul>
+              )}
+              {track.tags.length > 0 && (
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: 6, marginTop: 8 }}>
+                  {track.tags.map((tag) => (
+                    <TagChip key={tag} tag={tag} onFilter={toggleTag} />
+                  ))}
+                </div>
+              )}
+              <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 8, marginTop: 8 }}>
+                {track.sources.length === 0 ? (
+                  <span style={{ color: 'var(--muted)', fontSize: '0.85rem' }}>
+                    Playlist not saved on this device
+                  </span>
+                ) : (
+                  track.sources.map((source) => (
+                    <button
+                      key={source.id}
+                      type="button"
+                      className="btn"
+                      onClick={() => onOpenSource(source)}
+                      disabled={isAnyImportBusy}
+                      aria-label={`Open ${source.title}${source.removed ? ' (track removed)' : ''} for ${track.title}`}
+                    >
+                      {source.title}
+                      {source.removed ? ' (removed)' : ''}
+                    </button>
+                  ))
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  )
+}
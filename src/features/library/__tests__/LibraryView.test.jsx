@@ -0,0 +1,86 @@
+import '@testing-library/jest-dom/vitest'
+import { render, screen, fireEvent, act, waitFor } from '@testing-library/react'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import LibraryView from '../LibraryView.jsx'
+
+/** @type {import('../buildLibraryTracks.js').LibraryTrack[]} */
+const tracks = [
+  {
+    id: 'a',
+    title: 'Windowlicker',
+    artist: 'Aphex Twin',
+    provider: 'spotify',
+    originalIndex: 0,
+    notes: [{ body: 'peak moment', createdAt: 1 }],
+    tags: ['closer'],
+    sources: [
+      { id: 'spotify:warmup', title: 'Warm-up', provider: 'spotify', sourceUrl: 'https://open.spotify.com/playlist/warmup' },
+      { id: 'deezer:peak', title: 'Peak Time', provider: 'deezer', sourceUrl: 'https://www.deezer.com/playlist/peak' },
+    ],
+  },
+  {
+    id: 'b',
+    title: 'Teardrop',
+    artist: 'Massive Attack',
+    provider: 'deezer',
+    originalIndex: 1,
+    notes: [],
+    tags: ['opener'],
+    sources: [],
+  },
+]
+
+describe('LibraryView', () => {
+  beforeEach(() => {
+    window.localStorage.clear()
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('lists annotated tracks and links back to their playlists', () => {
+    const onOpenSource = vi.fn()
+    render(<LibraryView tracks={tracks} onOpenSource={onOpenSource} />)
+
+    expect(screen.getByRole('heading', { level: 1, name: 'Library' })).toBeInTheDocument()
+    expect(screen.getByText('peak moment')).toBeInTheDocument()
+    expect(screen.getByText('Playlist not saved on this device')).toBeInTheDocument()
+
+    fireEvent.click(screen.getByRole('button', { name: 'Open Peak Time for Windowlicker' }))
+    expect(onOpenSource).toHaveBeenCalledWith(tracks[0].sources[1])
+  })
+
+  it('filters by tag through the shared filter bar', () => {
+    render(<LibraryView tracks={tracks} onOpenSource={vi.fn()} />)
+
+    fireEvent.click(screen.getAllByRole('button', { name: 'Filter by tag opener' })[0])
+
+    expect(screen.queryByTestId('library-track-a')).toBeNull()
+    expect(screen.getByTestId('library-track-b')).toBeInTheDocument()
+  })
+
+  it('searches notes with the debounced query', async () => {
+    vi.useFakeTimers()
+    render(<LibraryView tracks={tracks} onOpenSource={vi.fn()} />)
+
+    fireEvent.change(screen.getByRole('searchbox'), { target: { value: 'peak moment' } })
+    await act(async () => {
+      vi.advanceTimersByTime(300)
+    })
+
+    expect(screen.getByTestId('library-track-a')).toBeInTheDocument()
+    expect(screen.queryByTestId('library-track-b')).toBeNull()
+  })
+
+  it('refreshes remote notes on open and reports failures', async () => {
+    const onRefresh = vi.fn(() => Promise.reject(new Error('offline')))
+    render(<LibraryView tracks={[]} onOpenSource={vi.fn()} onRefresh={onRefresh} />)
+
+    expect(onRefresh).toHaveBeenCalledTimes(1)
+    await waitFor(() => {
+      expect(screen.getByRole('status')).toHaveTextContent(/couldn't load notes/i)
+    })
+    expect(screen.getByText(/no notes or tags yet/i)).toBeInTheDocument()
+  })
+})
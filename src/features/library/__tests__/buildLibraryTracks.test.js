@@ -0,0 +1,123 @@
+import { describe, expect, it } from 'vitest'
+import { buildLibraryTracks, collectLibraryPlaylists } from '../buildLibraryTracks.js'
+
+const note = (body, createdAt = 1_700_000_000_000) => ({ body, createdAt })
+
+const recents = [
+  {
+    id: 'spotify:warmup',
+    provider: 'spotify',
+    playlistId: 'warmup',
+    title: 'Warm-up',
+    sourceUrl: 'https://open.spotify.com/playlist/warmup',
+    importedAt: 1,
+    lastUsedAt: 2,
+  },
+  {
+    id: 'deezer:peak',
+    provider: 'deezer',
+    playlistId: 'peak',
+    title: 'Peak Time',
+    sourceUrl: 'https://www.deezer.com/playlist/peak',
+    importedAt: 1,
+    lastUsedAt: 1,
+  },
+]
+
+const cacheEntries = [
+  {
+    key: 'deezer:peak',
+    aliases: ['https://www.deezer.com/playlist/peak'],
+    data: {
+      title: 'Peak Time',
+      meta: { provider: 'deezer', playlistId: 'peak' },
+      tracks: [
+        { id: 'd1', title: 'Teardrop', artist: 'Massive Attack' },
+        { id: 'shared', title: 'Windowlicker', artist: 'Aphex Twin' },
+      ],
+    },
+  },
+  {
+    key: 'youtube:old',
+    aliases: [],
+    data: {
+      title: 'Old Mix',
+      meta: { provider: 'youtube', playlistId: 'old', sourceUrl: 'https://youtube.com/playlist?list=old' },
+      tracks: [{ id: 'y1', title: 'Born Slippy', artist: 'Underworld' }],
+    },
+  },
+]
+
+describe('collectLibraryPlaylists', () => {
+  it('orders the current playlist first, then recents, then cache-only entries', () => {
+    const playlists = collectLibraryPlaylists({
+      currentTracks: [{ id: 's1', title: 'Da Funk', artist: 'Daft Punk' }],
+      currentMeta: { provider: 'spotify', playlistId: 'warmup' },
+      currentTitle: 'Warm-up (live)',
+      currentSourceUrl: 'https://open.spotify.com/playlist/warmup',
+      recents,
+      cacheEntries,
+    })
+
+    expect(playlists.map((p) => [p.source.id, p.source.title, p.tracks.length])).toEqual([
+      ['spotify:warmup', 'Warm-up (live)', 1],
+      ['deezer:peak', 'Peak Time', 2],
+      ['youtube:old', 'Old Mix', 1],
+    ])
+    expect(playlists[2].source.sourceUrl).toBe('https://youtube.com/playlist?list=old')
+  })
+})
+
+describe('buildLibraryTracks', () => {
+  it('lists every annotated track with metadata and all of its playlists', () => {
+    const playlists = collectLibraryPlaylists({
+      currentTracks: [{ id: 'shared', title: 'Windowlicker', artist: 'Aphex Twin', dateAdded: '2024-01-01T00:00:00Z' }],
+      currentMeta: { provider: 'spotify', playlistId: 'warmup' },
+      currentTitle: 'Warm-up',
+      recents,
+      cacheEntries,
+    })
+
+    const library = buildLibraryTracks({
+      notesByTrack: { shared: [note('peak moment')], d1: [], remoteOnly: [note('from phone')] },
+      tagsByTrack: { d1: ['closer'] },
+      playlists,
+    })
+
+    expect(library.map((t) => t.id)).toEqual(['shared', 'd1', 'remoteOnly'])
+    expect(library[0]).toMatchObject({
+      title: 'Windowlicker',
+      artist: 'Aphex Twin',
+      dateAdded: '2024-01-01T00:00:00Z',
+      importedAt: new Date(1_700_000_000_000).toISOString(),
+    })
+    expect(library[0].sources.map((s) => s.id)).toEqual(['spotify:warmup', 'deezer:peak'])
+    expect(library[1]).toMatchObject({ title: 'Teardrop', tags: ['closer'], notes: [] })
+    expect(library[2]).toMatchObject({ title: 'remoteOnly', artist: '', sources: [] })
+  })
+
+  it('includes orphaned notes and links them back as removed', () => {
+    const playlists = collectLibraryPlaylists({ recents, cacheEntries })
+    const library = buildLibraryTracks({
+      notesByTrack: {},
+      tagsByTrack: {},
+      playlists,
+      orphanedTracks: [
+        {
+          id: 'gone',
+          title: 'Porcelain',
+          artist: 'Moby',
+          provider: 'deezer',
+          playlistId: 'peak',
+          notes: [note('was the opener')],
+          tags: [],
+          orphanedAt: '2024-05-01T00:00:00.000Z',
+        },
+      ],
+    })
+
+    expect(library).toHaveLength(1)
+    expect(library[0]).toMatchObject({ title: 'Porcelain', artist: 'Moby' })
+    expect(library[0].sources).toEqual([expect.objectContaining({ id: 'deezer:peak', removed: true })])
+  })
+})
@@ -0,0 +1,277 @@
+// src/features/library/buildLibraryTracks.js
+
+/**
+ * Pure helpers that flatten every annotated track into one list for the Library screen.
+ * Notes and tags are keyed by track id across all playlists, so the Library starts from
+ * those maps and borrows track metadata from whichever playlists we still have tracks for.
+ */
+
+import { normalizeNotesList, normalizeTagList } from '../../utils/notesTagsData.js'
+
+/** @typedef {import('../../utils/notesTagsData.js').NoteEntry} NoteEntry */
+/** @typedef {import('../../utils/storage.js').RecentPlaylist} RecentPlaylist */
+/** @typedef {import('../playlist/playlistDiff.js').OrphanedTrack} OrphanedTrack */
+
+/**
+ * A playlist a Library track appears in (or used to, when `removed`).
+ * @typedef {Object} LibrarySource
+ * @property {string} id - `provider:playlistId` when known, otherwise the source URL
+ * @property {string} title
+ * @property {string | null} provider
+ * @property {string} sourceUrl
+ * @property {boolean} [removed] - The track was dropped upstream; only its notes remain
+ */
+
+/**
+ * @typedef {Object} LibraryPlaylist
+ * @property {LibrarySource} source
+ * @property {any[]} tracks
+ */
+
+/**
+ * @typedef {Object} LibraryTrack
+ * @property {string} id
+ * @property {string} title
+ * @property {string} artist
+ * @property {string} [album]
+ * @property {string} [thumbnailUrl]
+ * @property {number} [durationMs]
+ * @property {string} [isrc]
+ * @property {string | null} provider
+ * @property {string} [dateAdded]
+ * @property {string} [importedAt] - Newest note time, used by the date sort when `dateAdded` is missing
+ * @property {number} originalIndex
+ * @property {NoteEntry[]} notes
+ * @property {string[]} tags
+ * @property {LibrarySource[]} sources
+ */
+
+/**
+ * @param {string | null | undefined} value
+ * @returns {string}
+ */
+const trimmed = (value) => (typeof value === 'string' ? value.trim() : '')
+
+/**
+ * @param {{ provider?: string | null, playlistId?: string | null }} meta
+ * @returns {string | null}
+ */
+function identityKey(meta) {
+  const provider = trimmed(meta?.provider)
+  const playlistId = trimmed(meta?.playlistId)
+  return provider && playlistId ? `${provider}:${playlistId}` : null
+}
+
+/**
+ * Turn the current playlist, recents and cached import results into a de-duplicated,
+ * priority-ordered list of playlists. The current playlist wins, then recents in their
+ * stored order, then any cached results that are no longer in recents.
+ * @param {{
+ *   currentTracks?: any[],
+ *   currentMeta?: { provider?: string | null, playlistId?: string | null, sourceUrl?: string | null } | null,
+ *   currentTitle?: string,
+ *   currentSourceUrl?: string,
+ *   recents?: RecentPlaylist[],
+ *   cacheEntries?: Iterable<{ key?: string, aliases?: string[], data?: any }>,
+ * }} params
+ * @returns {LibraryPlaylist[]}
+ */
+export function collectLibraryPlaylists({
+  currentTracks = [],
+  currentMeta = null,
+  currentTitle = '',
+  currentSourceUrl = '',
+  recents = [],
+  cacheEntries = [],
+}) {
+  /** @type {Map<string, { key: string, aliases: string[], data: any }>} */
+  const cacheByKey = new Map()
+  /** @type {Map<string, string>} */
+  const aliasToKey = new Map()
+  for (const entry of cacheEntries) {
+    const key = trimmed(entry?.key)
+    if (!key || !entry?.data || typeof entry.data !== 'object') continue
+    const aliases = Array.isArray(entry.aliases) ? entry.aliases.map(trimmed).filter(Boolean) : []
+    cacheByKey.set(key, { key, aliases, data: entry.data })
+    aliases.forEach((alias) => aliasToKey.set(alias, key))
+  }
+
+  /**
+   * @param {string | null} key
+   * @param {string} sourceUrl
+   */
+  const findCached = (key, sourceUrl) => {
+    if (key && cacheByKey.has(key)) return cacheByKey.get(key) ?? null
+    const url = trimmed(sourceUrl)
+    if (!url) return null
+    if (cacheByKey.has(url)) return cacheByKey.get(url) ?? null
+    const aliasKey = aliasToKey.get(url)
+    return aliasKey ? cacheByKey.get(aliasKey) ?? null : null
+  }
+
+  /** @type {LibraryPlaylist[]} */
+  const out = []
+  /** @type {Set<string>} */
+  const seen = new Set()
+  /** @type {Set<string>} */
+  const usedCacheKeys = new Set()
+
+  /**
+   * @param {LibrarySource} source
+   * @param {any[]} tracks
+   * @param {string | null} [cacheKey]
+   */
+  const push = (source, tracks, cacheKey = null) => {
+    if (!source.id || seen.has(source.id)) return
+    seen.add(source.id)
+    if (cacheKey) usedCacheKeys.add(cacheKey)
+    out.push({ source, tracks: Array.isArray(tracks) ? tracks : [] })
+  }
+
+  const currentUrl = trimmed(currentSourceUrl) || trimmed(currentMeta?.sourceUrl)
+  const currentKey = identityKey(currentMeta ?? {})
+  if (Array.isArray(currentTracks) && currentTracks.length > 0 && (currentKey || currentUrl)) {
+    push(
+      {
+        id: currentKey ?? currentUrl,
+        title: trimmed(currentTitle) || 'Current playlist',
+        provider: trimmed(currentMeta?.provider) || null,
+        sourceUrl: currentUrl,
+      },
+      currentTracks,
+      findCached(currentKey, currentUrl)?.key ?? null,
+    )
+  }
+
+  ;(Array.isArray(recents) ? recents : []).forEach((recent) => {
+    if (!recent || typeof recent !== 'object') return
+    const id = trimmed(recent.id) || identityKey(recent)
+    if (!id) return
+    const cached = findCached(id, recent.sourceUrl)
+    push(
+      {
+        id,
+        title: trimmed(recent.title) || trimmed(cached?.data?.title) || 'Untitled playlist',
+        provider: trimmed(recent.provider) || null,
+        sourceUrl: trimmed(recent.sourceUrl),
+      },
+      cached?.data?.tracks ?? [],
+      cached?.key ?? null,
+    )
+  })
+
+  cacheByKey.forEach((cached) => {
+    if (usedCacheKeys.has(cached.key)) return
+    const meta = cached.data?.meta ?? {}
+    push(
+      {
+        id: identityKey(meta) ?? cached.key,
+        title: trimmed(cached.data?.title) || 'Untitled playlist',
+        provider: trimmed(meta.provider) || null,
+        sourceUrl: trimmed(meta.sourceUrl) || cached.aliases[0] || '',
+      },
+      cached.data?.tracks ?? [],
+      cached.key,
+    )
+  })
+
+  return out
+}
+
+/**
+ * @param {NoteEntry[]} notes
+ * @returns {string | undefined}
+ */
+function newestNoteTime(notes) {
+  let newest = -Infinity
+  notes.forEach((note) => {
+    const value = Number(note?.createdAt)
+    if (Number.isFinite(value) && value > newest) newest = value
+  })
+  return Number.isFinite(newest) ? new Date(newest).toISOString() : undefined
+}
+
+/**
+ * Build one Library row per annotated track id. Tracks we have no metadata for (for example
+ * notes that only exist in the remote table) still appear, titled by their id.
+ * @param {{
+ *   notesByTrack?: Record<string, NoteEntry[]>,
+ *   tagsByTrack?: Record<string, string[]>,
+ *   playlists?: LibraryPlaylist[],
+ *   orphanedTracks?: OrphanedTrack[],
+ * }} params
+ * @returns {LibraryTrack[]}
+ */
+export function buildLibraryTracks({
+  notesByTrack = {},
+  tagsByTrack = {},
+  playlists = [],
+  orphanedTracks = [],
+}) {
+  /** @type {Map<string, { track: any, sources: LibrarySource[] }>} */
+  const known = new Map()
+  playlists.forEach(({ source, tracks }) => {
+    tracks.forEach((track) => {
+      const id = track?.id != null ? String(track.id) : ''
+      if (!id) return
+      const existing = known.get(id)
+      if (!existing) {
+        known.set(id, { track, sources: [source] })
+      } else if (!existing.sources.some((item) => item.id === source.id)) {
+        existing.sources.push(source)
+      }
+    })
+  })
+
+  /** @type {Map<string, OrphanedTrack>} */
+  const orphansById = new Map()
+  ;(Array.isArray(orphanedTracks) ? orphanedTracks : []).forEach((orphan) => {
+    if (orphan?.id) orphansById.set(orphan.id, orphan)
+  })
+
+  const ids = new Set([
+    ...Object.keys(notesByTrack ?? {}),
+    ...Object.keys(tagsByTrack ?? {}),
+    ...orphansById.keys(),
+  ])
+
+  /** @type {LibraryTrack[]} */
+  const out = []
+  ids.forEach((id) => {
+    const orphan = orphansById.get(id)
+    const notes = normalizeNotesList(notesByTrack?.[id] ?? orphan?.notes)
+    const tags = normalizeTagList(tagsByTrack?.[id] ?? orphan?.tags)
+    if (notes.length === 0 && tags.length === 0) return
+
+    const entry = known.get(id)
+    const track = entry?.track ?? orphan ?? {}
+    /** @type {LibrarySource[]} */
+    const sources = entry ? [...entry.sources] : []
+    if (orphan && orphan.provider && orphan.playlistId) {
+      const orphanSourceId = `${orphan.provider}:${orphan.playlistId}`
+      const match = playlists.find(({ source }) => source.id === orphanSourceId)?.source
+      if (match && !sources.some((item) => item.id === match.id)) {
+        sources.push({ ...match, removed: true })
+      }
+    }
+
+    const annotatedAt = newestNoteTime(notes)
+    out.push({
+      id,
+      title: trimmed(track.title) || id,
+      artist: trimmed(track.artist),
+      ...(trimmed(track.album) ? { album: trimmed(track.album) } : {}),
+      ...(trimmed(track.thumbnailUrl) ? { thumbnailUrl: trimmed(track.thumbnailUrl) } : {}),
+      ...(typeof track.durationMs === 'number' ? { durationMs: track.durationMs } : {}),
+      ...(trimmed(track.isrc) ? { isrc: trimmed(track.isrc) } : {}),
+      provider: trimmed(track.provider) || sources[0]?.provider || null,
+      ...(trimmed(track.dateAdded) ? { dateAdded: trimmed(track.dateAdded) } : {}),
+      ...(annotatedAt ? { importedAt: annotatedAt } : {}),
+      originalIndex: out.length,
+      notes,
+      tags,
+      sources,
+    })
+  })
+  return out
+}
@@ -0,0 +1,52 @@
+// src/features/library/useLibraryTracks.js
+
+import { useMemo } from 'react'
+import {
+  usePlaylistNotesByTrack,
+  usePlaylistOrphanedTracks,
+  usePlaylistTagsByTrack,
+  usePlaylistTracks,
+} from '../playlist/usePlaylistContext.js'
+import { buildLibraryTracks, collectLibraryPlaylists } from './buildLibraryTracks.js'
+
+/**
+ * Every annotated track across the current playlist, recents and the playlist cache.
+ * @param {{
+ *   recents: import('../../utils/storage.js').RecentPlaylist[],
+ *   cachedPlaylists?: Map<string, { key?: string, aliases?: string[], data?: any }> | null,
+ *   currentMeta?: { provider?: string | null, playlistId?: string | null, sourceUrl?: string | null } | null,
+ *   currentTitle?: string,
+ *   currentSourceUrl?: string,
+ * }} params
+ * @returns {import('./buildLibraryTracks.js').LibraryTrack[]}
+ */
+export default function useLibraryTracks({
+  recents,
+  cachedPlaylists,
+  currentMeta,
+  currentTitle,
+  currentSourceUrl,
+}) {
+  const tracks = usePlaylistTracks()
+  const notesByTrack = usePlaylistNotesByTrack()
+  const tagsByTrack = usePlaylistTagsByTrack()
+  const orphanedTracks = usePlaylistOrphanedTracks()
+
+  const playlists = useMemo(
+    () =>
+      collectLibraryPlaylists({
+        currentTracks: tracks,
+        currentMeta,
+        currentTitle,
+        currentSourceUrl,
+        recents,
+        cacheEntries: cachedPlaylists ? cachedPlaylists.values() : [],
+      }),
+    [tracks, currentMeta, currentTitle, currentSourceUrl, recents, cachedPlaylists],
+  )
+
+  return useMemo(
+    () => buildLibraryTracks({ notesByTrack, tagsByTrack, playlists, orphanedTracks }),
+    [notesByTrack, tagsByTrack, playlists, orphanedTracks],
+  )
+}
@@ -0,0 +1,114 @@
+import { useEffect, useRef } from 'react'
+import { getNoteBody } from '../../utils/notesTagsData.js'
+import { formatTimestampMs, formatTimestampRange } from '../playlist/noteTimestamps.js'
+import { NOTE_CONFLICT_CHOICE } from './noteConflicts.js'
+
+/** @typedef {import('./noteConflicts.js').NoteConflict} NoteConflict */
+/** @typedef {import('./noteConflicts.js').NoteConflictChoice} NoteConflictChoice */
+/** @typedef {import('../../utils/notesTagsData.js').NoteEntry} NoteEntry */
+
+/** @type {import('react').CSSProperties} */
+const overlayStyle = {
+  position: 'fixed',
+  inset: 0,
+  backgroundColor: 'rgba(0, 0, 0, 0.6)',
+  display: 'flex',
+  alignItems: 'center',
+  justifyContent: 'center',
+  padding: '24px',
+  zIndex: 1000,
+}
+
+/** @type {import('react').CSSProperties} */
+const dialogStyle = {
+  width: 'min(520px, 100%)',
+  backgroundColor: 'var(--surface-4, var(--surface, #0f1115))',
+  borderRadius: 12,
+  border: '1px solid var(--border, rgba(255,255,255,0.1))',
+  padding: '26px',
+  color: 'var(--fg, #f7f7f7)',
+  boxShadow: '0 20px 48px rgba(0,0,0,0.45)',
+}
+
+/** @type {import('react').CSSProperties} */
+const versionStyle = {
+  border: '1px solid var(--border)',
+  borderRadius: 8,
+  padding: '8px 12px',
+  margin: 0,
+}
+
+/**
+ * @param {NoteEntry} note
+ * @returns {string}
+ */
+function describeNote(note) {
+  if (typeof note.timestampMs !== 'number') return getNoteBody(note)
+  const stamp =
+    typeof note.timestampEndMs === 'number' && note.timestampEndMs > note.timestampMs
+      ? formatTimestampRange(note.timestampMs, note.timestampEndMs)
+      : formatTimestampMs(note.timestampMs)
+  return `[${stamp}] ${getNoteBody(note)}`
+}
+
+/**
+ * Asks which version to keep when a note was edited on two devices at once.
+ * Shows one conflict at a time; the rest wait in the queue.
+ * @param {object} props
+ * @param {NoteConflict[]} props.conflicts
+ * @param {Array<{ id: string, title?: string }>} [props.tracks] - Used to name the track
+ * @param {(key: string, choice: NoteConflictChoice) => void} props.onResolve
+ */
+export default function NoteConflictDialog({ conflicts, tracks = [], onResolve }) {
+  const headingRef = useRef(/** @type {HTMLHeadingElement | null} */ (null))
+  const conflict = conflicts[0] ?? null
+  const conflictKey = conflict?.key ?? null
+
+  useEffect(() => {
+    if (!conflictKey) return
+    setTimeout(() => headingRef.current?.focus({ preventScroll: true }), 0)
+  }, [conflictKey])
+
+  if (!conflict) return null
+
+  const trackTitle = tracks.find((track) => track?.id === conflict.trackId)?.title || 'this track'
+
+  return (
+    <div style={overlayStyle} role="presentation">
+      <div style={dialogStyle} role="dialog" aria-modal="true" aria-labelledby="note-conflict-title">
+        <h2 id="note-conflict-title" ref={headingRef} tabIndex={-1} style={{ marginTop: 0 }}>
+          Note changed on another device
+        </h2>
+        <p style={{ marginTop: 0 }}>
+          A note on {trackTitle} was edited here and on another device. Choose which version to keep.
+          {conflicts.length > 1 ? ` (${conflicts.length - 1} more after this one.)` : ''}
+        </p>
+        <div style={{ display: 'grid', gap: 8 }}>
+          <figure style={versionStyle}>
+            <figcaption style={{ fontWeight: 600 }}>This device</figcaption>
+            <div>{describeNote(conflict.local)}</div>
+          </figure>
+          <figure style={versionStyle}>
+            <figcaption style={{ fontWeight: 600 }}>Other device</figcaption>
+            <div>{describeNote(conflict.remote)}</div>
+          </figure>
+        </div>
+        <div style={{ display: 'flex', justifyContent: 'flex-end', flexWrap: 'wrap', gap: 12, marginTop: 20 }}>
+          <button type="button" className="btn" onClick={() => onResolve(conflict.key, NOTE_CONFLICT_CHOICE.BOTH)}>
+            Keep both
+          </button>
+          <button type="button" className="btn" onClick={() => onResolve(conflict.key, NOTE_CONFLICT_CHOICE.THEIRS)}>
+            Keep theirs
+          </button>
+          <button
+            type="button"
+            className="btn primary"
+            onClick={() => onResolve(conflict.key, NOTE_CONFLICT_CHOICE.MINE)}
+          >
+            Keep mine
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
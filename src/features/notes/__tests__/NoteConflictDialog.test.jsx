@@ -0,0 +1,39 @@
+import { describe, it, expect, vi } from 'vitest'
+import { fireEvent, render, screen } from '@testing-library/react'
+import NoteConflictDialog from '../NoteConflictDialog.jsx'
+import { NOTE_CONFLICT_CHOICE } from '../noteConflicts.js'
+
+const base = { id: 'n1', body: 'Vocals too quiet', createdAt: 1000, revision: 1 }
+const conflict = {
+  key: 'tA:n1',
+  trackId: 'tA',
+  base,
+  local: { ...base, body: 'Vocals too quiet in chorus', timestampMs: 65000 },
+  remote: { ...base, body: 'Vocals fine after remaster', revision: 2 },
+}
+
+describe('NoteConflictDialog', () => {
+  it('renders nothing without conflicts', () => {
+    const { container } = render(<NoteConflictDialog conflicts={[]} onResolve={vi.fn()} />)
+    expect(container).toBeEmptyDOMElement()
+  })
+
+  it('shows both versions and reports the chosen one', () => {
+    const onResolve = vi.fn()
+    render(
+      <NoteConflictDialog
+        conflicts={[conflict, { ...conflict, key: 'tA:n2' }]}
+        tracks={[{ id: 'tA', title: 'Track A' }]}
+        onResolve={onResolve}
+      />,
+    )
+
+    expect(screen.getByRole('dialog', { name: 'Note changed on another device' })).toBeInTheDocument()
+    expect(screen.getByText(/A note on Track A was edited/)).toHaveTextContent('1 more after this one')
+    expect(screen.getByText('[1:05] Vocals too quiet in chorus')).toBeInTheDocument()
+    expect(screen.getByText('Vocals fine after remaster')).toBeInTheDocument()
+
+    fireEvent.click(screen.getByRole('button', { name: 'Keep theirs' }))
+    expect(onResolve).toHaveBeenCalledWith('tA:n1', NOTE_CONFLICT_CHOICE.THEIRS)
+  })
+})
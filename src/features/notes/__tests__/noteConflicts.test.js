@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest'
+import {
+  NOTE_CONFLICT_CHOICE,
+  isSameNoteContent,
+  mergeNoteVersions,
+  resolveNoteConflict,
+} from '../noteConflicts.js'
+
+const base = { id: 'n1', body: 'Kick is muddy', createdAt: 1000, timestampMs: 30000, revision: 2 }
+
+describe('noteConflicts', () => {
+  it('compares body and timestamp but not id, revision or createdAt', () => {
+    expect(isSameNoteContent(base, { ...base, id: 'other', revision: 9, createdAt: 5 })).toBe(true)
+    expect(isSameNoteContent(base, { ...base, timestampMs: 31000 })).toBe(false)
+    expect(isSameNoteContent(base, { ...base, body: 'Kick is fine' })).toBe(false)
+  })
+
+  it('merges edits to different fields', () => {
+    const local = { ...base, body: 'Kick is muddy, cut 200Hz', createdAt: 1000 }
+    const remote = { ...base, timestampMs: 32000, revision: 3, createdAt: 999 }
+    const result = mergeNoteVersions({ base, local, remote })
+    expect(result).toEqual({
+      status: 'merged',
+      note: { id: 'n1', body: 'Kick is muddy, cut 200Hz', createdAt: 1000, timestampMs: 32000, revision: 3 },
+    })
+  })
+
+  it('treats the same edit on both devices as merged', () => {
+    const local = { ...base, body: 'Snare too loud' }
+    const remote = { ...base, body: 'Snare too loud', revision: 3 }
+    const result = mergeNoteVersions({ base, local, remote })
+    expect(result.status).toBe('merged')
+    if (result.status === 'merged') expect(isSameNoteContent(result.note, remote)).toBe(true)
+  })
+
+  it('reports a conflict when both devices changed the same field differently', () => {
+    const local = { ...base, body: 'Mine' }
+    const remote = { ...base, body: 'Theirs', revision: 3 }
+    expect(mergeNoteVersions({ base, local, remote })).toEqual({ status: 'conflict' })
+  })
+
+  it('builds replacement notes for each choice', () => {
+    const conflict = {
+      key: 'tA:n1',
+      trackId: 'tA',
+      base,
+      local: { ...base, body: 'Mine' },
+      remote: { ...base, body: 'Theirs', revision: 3, createdAt: 999 },
+    }
+
+    expect(resolveNoteConflict(conflict, NOTE_CONFLICT_CHOICE.THEIRS)).toEqual([
+      { ...conflict.remote, createdAt: 1000 },
+    ])
+    expect(resolveNoteConflict(conflict, NOTE_CONFLICT_CHOICE.MINE)).toEqual([
+      { ...conflict.local, revision: 3 },
+    ])
+    expect(resolveNoteConflict(conflict, NOTE_CONFLICT_CHOICE.BOTH, 'copy-1')).toEqual([
+      { ...conflict.remote, createdAt: 1000 },
+      { id: 'copy-1', body: 'Mine', createdAt: 1000, timestampMs: 30000 },
+    ])
+  })
+})
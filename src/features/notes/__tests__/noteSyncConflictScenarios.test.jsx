@@ -0,0 +1,332 @@
+// src/features/notes/__tests__/noteSyncConflictScenarios.test.jsx
+//
+// Scenario tests for two devices editing the same note.
+// The server keeps a revision per note; an edit based on a stale revision gets a 409
+// with the server's copy, and the client either merges it or asks the user.
+
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, act, waitFor } from '@testing-library/react'
+import { playlistReducer, initialPlaylistState } from '../../playlist/playlistReducer.js'
+import { playlistActions } from '../../playlist/actions.js'
+import { PlaylistStateProvider } from '../../playlist/PlaylistProvider.jsx'
+import { usePlaylistState, usePlaylistSync } from '../../playlist/usePlaylistContext.js'
+import { NOTE_CONFLICT_CHOICE } from '../noteConflicts.js'
+
+vi.mock('../../../lib/apiClient.js', () => ({
+  apiFetch: vi.fn(),
+}))
+
+vi.mock('../../../lib/deviceState.js', () => ({
+  notifyDeviceContextStale: vi.fn(),
+}))
+
+import { apiFetch } from '../../../lib/apiClient.js'
+
+const mockedApiFetch = vi.mocked(apiFetch)
+
+/**
+ * @param {string} body
+ * @param {number} revision
+ * @param {Partial<{ id: string, createdAt: number, timestampMs: number }>} [extra]
+ */
+function makeNote(body, revision, extra = {}) {
+  return {
+    id: extra.id ?? 'n1',
+    body,
+    createdAt: extra.createdAt ?? 1000,
+    revision,
+    ...(extra.timestampMs != null ? { timestampMs: extra.timestampMs } : {}),
+  }
+}
+
+/**
+ * Server row as returned by /api/db/notes.
+ * @param {ReturnType<typeof makeNote>} note
+ */
+function serverNote(note) {
+  return {
+    id: note.id,
+    trackId: 'tA',
+    body: note.body,
+    createdAt: '2024-01-01T00:00:00.000Z',
+    revision: note.revision,
+    ...(note.timestampMs != null ? { timestampMs: note.timestampMs } : {}),
+  }
+}
+
+/** @param {number} status @param {any} payload */
+function respond(status, payload) {
+  return /** @type {Response} */ (
+    /** @type {unknown} */ ({ ok: status >= 200 && status < 300, status, json: vi.fn().mockResolvedValue(payload) })
+  )
+}
+
+/** @param {ReturnType<typeof makeNote>} current */
+function conflictResponse(current) {
+  return respond(409, {
+    error: 'Note was changed on another device',
+    code: 'NOTE_CONFLICT',
+    conflict: { noteId: current.id, baseRevision: 1, current: serverNote(current) },
+  })
+}
+
+/** @param {ReturnType<typeof makeNote>[]} notes */
+function stateWithNotes(notes) {
+  return {
+    ...initialPlaylistState,
+    provider: 'spotify',
+    tracks: [{ id: 'tA', title: 'Track A', notes, tags: [] }],
+    notesByTrack: { tA: notes },
+  }
+}
+
+/** @param {ReturnType<typeof makeNote>[]} notes */
+function renderProvider(notes) {
+  /** @type {{ sync: ReturnType<typeof usePlaylistSync> | null, state: any }} */
+  const handle = { sync: null, state: null }
+  function Probe() {
+    handle.sync = usePlaylistSync()
+    handle.state = usePlaylistState()
+    return null
+  }
+  render(
+    <PlaylistStateProvider initialState={stateWithNotes(notes)} anonContext={{ deviceId: 'device-1', anonId: null }}>
+      <Probe />
+    </PlaylistStateProvider>,
+  )
+  return handle
+}
+
+/** @param {any} call */
+const requestBody = (call) => JSON.parse(call[1].body)
+
+// ============================================================================
+// SCENARIO 1: Pulling remote edits during sync
+// ============================================================================
+describe('Scenario 1: Pulling remote edits during sync', () => {
+  it('replaces a local note when the server has a newer revision', () => {
+    const state = stateWithNotes([makeNote('Old text', 1)])
+    const next = playlistReducer(state, playlistActions.mergeRemoteData({ tA: [makeNote('Edited elsewhere', 2)] }, {}))
+
+    expect(next.notesByTrack.tA).toHaveLength(1)
+    expect(next.notesByTrack.tA[0]).toMatchObject({ id: 'n1', body: 'Edited elsewhere', revision: 2 })
+  })
+
+  it('keeps an unpushed local edit when the server revision has not moved', () => {
+    const state = stateWithNotes([makeNote('Local edit not synced yet', 1)])
+    const next = playlistReducer(state, playlistActions.mergeRemoteData({ tA: [makeNote('Old text', 1)] }, {}))
+
+    expect(next.notesByTrack.tA).toHaveLength(1)
+    expect(next.notesByTrack.tA[0].body).toBe('Local edit not synced yet')
+  })
+
+  it('replaces a note in place by id without reordering its neighbours', () => {
+    const state = stateWithNotes([
+      makeNote('First', 1, { id: 'a', createdAt: 1000 }),
+      makeNote('Second', 1, { id: 'b', createdAt: 2000 }),
+    ])
+    const next = playlistReducer(
+      state,
+      playlistActions.replaceNote('tA', { id: 'a' }, [makeNote('First, edited', 2, { id: 'a', createdAt: 1000 })]),
+    )
+
+    expect(next.notesByTrack.tA.map((note) => note.body)).toEqual(['First, edited', 'Second'])
+    expect(next.tracks[0].notes[0].revision).toBe(2)
+  })
+})
+
+// ============================================================================
+// SCENARIO 2: Pushing an edit
+// ============================================================================
+describe('Scenario 2: Pushing an edit', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    window.localStorage.clear()
+  })
+
+  it('bumps the local revision when the server accepts the edit', async () => {
+    const base = makeNote('Kick is muddy', 1)
+    const edited = { ...base, body: 'Kick is muddy, cut 200Hz' }
+    const handle = renderProvider([edited])
+    mockedApiFetch.mockResolvedValueOnce(respond(200, { note: serverNote({ ...edited, revision: 2 }) }))
+
+    let result
+    await act(async () => {
+      result = await handle.sync?.syncNoteEdit('tA', base, edited)
+    })
+
+    expect(result).toBe('saved')
+    expect(requestBody(mockedApiFetch.mock.calls[0])).toMatchObject({ noteId: 'n1', baseRevision: 1 })
+    expect(handle.state.notesByTrack.tA[0]).toMatchObject({ body: 'Kick is muddy, cut 200Hz', revision: 2 })
+  })
+
+  it('auto-merges when the other device changed a different field', async () => {
+    const base = makeNote('Kick is muddy', 1, { timestampMs: 30000 })
+    const edited = { ...base, body: 'Kick is muddy, cut 200Hz' }
+    const remote = makeNote('Kick is muddy', 2, { timestampMs: 45000 })
+    const handle = renderProvider([edited])
+    mockedApiFetch
+      .mockResolvedValueOnce(conflictResponse(remote))
+      .mockResolvedValueOnce(
+        respond(200, { note: serverNote({ ...remote, body: 'Kick is muddy, cut 200Hz', revision: 3 }) }),
+      )
+
+    let result
+    await act(async () => {
+      result = await handle.sync?.syncNoteEdit('tA', base, edited)
+    })
+
+    expect(result).toBe('merged')
+    expect(requestBody(mockedApiFetch.mock.calls[1])).toMatchObject({
+      noteId: 'n1',
+      body: 'Kick is muddy, cut 200Hz',
+      timestampMs: 45000,
+      baseRevision: 2,
+    })
+    expect(handle.state.notesByTrack.tA[0]).toMatchObject({
+      body: 'Kick is muddy, cut 200Hz',
+      timestampMs: 45000,
+      revision: 3,
+      createdAt: 1000,
+    })
+    expect(handle.sync?.noteConflicts).toEqual([])
+  })
+
+  it('treats a 409 that already holds this edit as saved, without a retry', async () => {
+    const base = makeNote('Old', 1)
+    const edited = { ...base, body: 'Same fix' }
+    const handle = renderProvider([edited])
+    mockedApiFetch.mockResolvedValueOnce(conflictResponse(makeNote('Same fix', 2)))
+
+    let result
+    await act(async () => {
+      result = await handle.sync?.syncNoteEdit('tA', base, edited)
+    })
+
+    expect(result).toBe('saved')
+    expect(mockedApiFetch).toHaveBeenCalledTimes(1)
+    expect(handle.state.notesByTrack.tA[0]).toMatchObject({ body: 'Same fix', revision: 2 })
+  })
+
+  it('does not report a conflict when a replayed range edit already landed', async () => {
+    // The server keeps only the start of a range, so its copy never matches the local
+    // end timestamp; the edit still landed.
+    const base = { ...makeNote('Bridge', 1, { timestampMs: 30000 }), timestampEndMs: 40000 }
+    const edited = { ...base, body: 'Bridge', timestampMs: 32000, timestampEndMs: 41000 }
+    const handle = renderProvider([edited])
+    mockedApiFetch.mockResolvedValueOnce(conflictResponse(makeNote('Bridge', 2, { timestampMs: 32000 })))
+
+    let result
+    await act(async () => {
+      result = await handle.sync?.syncNoteEdit('tA', base, edited)
+    })
+
+    expect(result).toBe('saved')
+    expect(handle.sync?.noteConflicts).toEqual([])
+    expect(handle.state.notesByTrack.tA[0]).toMatchObject({
+      timestampMs: 32000,
+      timestampEndMs: 41000,
+      revision: 2,
+    })
+  })
+
+  it('skips the server for notes that were never synced', async () => {
+    const local = { body: 'Offline note', createdAt: 1000 }
+    const handle = renderProvider([])
+
+    let result
+    await act(async () => {
+      result = await handle.sync?.syncNoteEdit('tA', local, { ...local, body: 'Offline note, edited' })
+    })
+
+    expect(result).toBe('skipped')
+    expect(mockedApiFetch).not.toHaveBeenCalled()
+  })
+})
+
+// ============================================================================
+// SCENARIO 3: Same field edited on two devices
+// ============================================================================
+describe('Scenario 3: Same field edited on two devices', () => {
+  const base = makeNote('Vocals too quiet', 1)
+  const mine = { ...base, body: 'Vocals too quiet in chorus' }
+  const theirs = makeNote('Vocals fine after remaster', 2)
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    window.localStorage.clear()
+  })
+
+  async function renderWithConflict() {
+    const handle = renderProvider([mine])
+    mockedApiFetch.mockResolvedValueOnce(conflictResponse(theirs))
+    let result
+    await act(async () => {
+      result = await handle.sync?.syncNoteEdit('tA', base, mine)
+    })
+    expect(result).toBe('conflict')
+    expect(handle.sync?.noteConflicts).toHaveLength(1)
+    expect(handle.sync?.noteConflicts[0]).toMatchObject({ key: 'tA:n1', local: mine })
+    // The local edit stays in place until the user decides.
+    expect(handle.state.notesByTrack.tA[0].body).toBe('Vocals too quiet in chorus')
+    return handle
+  }
+
+  it('"keep mine" overwrites the server copy at its current revision', async () => {
+    const handle = await renderWithConflict()
+    mockedApiFetch.mockResolvedValueOnce(respond(200, { note: serverNote({ ...mine, revision: 3 }) }))
+
+    await act(async () => {
+      await handle.sync?.resolveNoteConflict('tA:n1', NOTE_CONFLICT_CHOICE.MINE)
+    })
+
+    expect(requestBody(mockedApiFetch.mock.calls[1])).toMatchObject({
+      noteId: 'n1',
+      body: 'Vocals too quiet in chorus',
+      baseRevision: 2,
+    })
+    expect(handle.state.notesByTrack.tA[0]).toMatchObject({ body: 'Vocals too quiet in chorus', revision: 3 })
+    expect(handle.sync?.noteConflicts).toEqual([])
+  })
+
+  it('"keep mine" asks again if the note moved on while the dialog was open', async () => {
+    const handle = await renderWithConflict()
+    mockedApiFetch.mockResolvedValueOnce(conflictResponse(makeNote('Third device wins', 3)))
+
+    await act(async () => {
+      await handle.sync?.resolveNoteConflict('tA:n1', NOTE_CONFLICT_CHOICE.MINE)
+    })
+
+    await waitFor(() => expect(handle.sync?.noteConflicts).toHaveLength(1))
+    expect(handle.sync?.noteConflicts[0].remote).toMatchObject({ body: 'Third device wins', revision: 3 })
+  })
+
+  it('"keep theirs" adopts the server copy without another request', async () => {
+    const handle = await renderWithConflict()
+
+    await act(async () => {
+      await handle.sync?.resolveNoteConflict('tA:n1', NOTE_CONFLICT_CHOICE.THEIRS)
+    })
+
+    expect(mockedApiFetch).toHaveBeenCalledTimes(1)
+    expect(handle.state.notesByTrack.tA).toHaveLength(1)
+    expect(handle.state.notesByTrack.tA[0]).toMatchObject({ body: 'Vocals fine after remaster', revision: 2 })
+    expect(handle.sync?.noteConflicts).toEqual([])
+  })
+
+  it('"keep both" keeps the server copy and saves this device\'s text as a new note', async () => {
+    const handle = await renderWithConflict()
+    mockedApiFetch.mockResolvedValueOnce(respond(201, { note: {} }))
+
+    await act(async () => {
+      await handle.sync?.resolveNoteConflict('tA:n1', NOTE_CONFLICT_CHOICE.BOTH)
+    })
+
+    const notes = handle.state.notesByTrack.tA
+    expect(notes.map((note) => note.body)).toEqual(['Vocals fine after remaster', 'Vocals too quiet in chorus'])
+    expect(notes[1].id).not.toBe('n1')
+    const posted = requestBody(mockedApiFetch.mock.calls[1])
+    expect(mockedApiFetch.mock.calls[1][1]?.method).toBe('POST')
+    expect(posted).toMatchObject({ trackId: 'tA', body: 'Vocals too quiet in chorus', noteId: notes[1].id })
+  })
+})
@@ -8,12 +8,8 @@ import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
 import { playlistReducer, initialPlaylistState } from '../../playlist/playlistReducer.js'
 import { playlistActions } from '../../playlist/actions.js'
 import { groupRemoteNotes } from '../../../utils/notesTagsData.js'
-import {
-  queueNoteDeletion,
-  cancelNoteDeletion,
-  flushDeleteQueue,
-  getQueueSize,
-} from '../noteDeleteQueue.js'
+import { createOutbox } from '../../sync/outbox.js'
+import { sendOutboxRequest } from '../../sync/outboxRequests.js'
 
 /**
  * Helper to create a note entry with consistent structure
@@ -30,6 +26,35 @@ function makeNote(body, createdAt, extra = {}) {
   }
 }
 
+/** @type {Array<() => void>} */
+const stopOutboxes = []
+afterEach(() => {
+  // Clears any backoff timers left by outboxes created in a test
+  stopOutboxes.splice(0).forEach((stop) => stop())
+})
+
+/**
+ * Outbox wired to a mock apiFetch the way PlaylistProvider wires it (minus note edits).
+ * Auto-flush is held back until `ready` is set so tests control when requests go out.
+ * @param {import('vitest').Mock} [mockApiFetch]
+ */
+function makeOutbox(mockApiFetch = vi.fn()) {
+  const gate = { ready: false }
+  const outbox = createOutbox({
+    send: (entry) => sendOutboxRequest(mockApiFetch, entry),
+    isReady: () => gate.ready,
+  })
+  stopOutboxes.push(outbox.start())
+  const queueDelete = (noteId, trackId) => outbox.enqueue({ type: 'note:delete', trackId, noteId })
+  const cancelDelete = (noteId) =>
+    outbox.cancel((entry) => entry.type === 'note:delete' && entry.noteId === noteId)
+  const flush = () => {
+    gate.ready = true
+    return outbox.flush()
+  }
+  return { outbox, queueDelete, cancelDelete, flush }
+}
+
 /**
  * Helper to extract note bodies from an array
  * @param {Array<{ body: string } | string>} notes
@@ -451,77 +476,85 @@ describe('Scenario 3: Note deletion (only targeted note disappears)', () => {
     })
 
     it('queues note deletion for server sync', () => {
-      expect(getQueueSize()).toBe(0)
+      const { outbox, queueDelete } = makeOutbox()
+      expect(outbox.size()).toBe(0)
 
-      queueNoteDeletion('note-123', 't1')
+      queueDelete('note-123', 't1')
 
-      expect(getQueueSize()).toBe(1)
+      expect(outbox.size()).toBe(1)
     })
 
     it('does not queue duplicate deletions', () => {
-      queueNoteDeletion('note-123', 't1')
-      queueNoteDeletion('note-123', 't1')
+      const { outbox, queueDelete } = makeOutbox()
+      queueDelete('note-123', 't1')
+      queueDelete('note-123', 't1')
 
-      expect(getQueueSize()).toBe(1)
+      expect(outbox.size()).toBe(1)
     })
 
     it('cancels deletion from queue (for undo support)', () => {
-      queueNoteDeletion('note-123', 't1')
-      queueNoteDeletion('note-456', 't1')
-      expect(getQueueSize()).toBe(2)
+      const { outbox, queueDelete, cancelDelete } = makeOutbox()
+      queueDelete('note-123', 't1')
+      queueDelete('note-456', 't1')
+      expect(outbox.size()).toBe(2)
+
+      cancelDelete('note-123')
+
+      expect(outbox.size()).toBe(1)
+    })
 
-      cancelNoteDeletion('note-123')
+    it('keeps queued deletions across reloads', () => {
+      makeOutbox().queueDelete('note-123', 't1')
 
-      expect(getQueueSize()).toBe(1)
+      expect(makeOutbox().outbox.size()).toBe(1)
     })
 
     it('flushes deletions to server via apiFetch', async () => {
       const mockApiFetch = vi.fn().mockResolvedValue({ ok: true })
+      const { outbox, queueDelete, flush } = makeOutbox(mockApiFetch)
 
-      queueNoteDeletion('note-1', 't1')
-      queueNoteDeletion('note-2', 't1')
+      queueDelete('note-1', 't1')
+      queueDelete('note-2', 't1')
 
-      const result = await flushDeleteQueue(mockApiFetch)
+      await flush()
 
       expect(mockApiFetch).toHaveBeenCalledTimes(2)
       expect(mockApiFetch).toHaveBeenCalledWith(
         '/api/db/notes?noteId=note-1',
-        { method: 'DELETE' }
+        expect.objectContaining({ method: 'DELETE' })
       )
       expect(mockApiFetch).toHaveBeenCalledWith(
         '/api/db/notes?noteId=note-2',
-        { method: 'DELETE' }
+        expect.objectContaining({ method: 'DELETE' })
       )
-      expect(result.processed).toBe(2)
-      expect(result.failed).toBe(0)
-      expect(getQueueSize()).toBe(0)
+      expect(outbox.size()).toBe(0)
     })
 
     it('retains failed deletions in queue for retry', async () => {
       const mockApiFetch = vi.fn()
         .mockResolvedValueOnce({ ok: true }) // First succeeds
         .mockResolvedValueOnce({ ok: false, status: 500 }) // Second fails
+      const { outbox, queueDelete, flush } = makeOutbox(mockApiFetch)
 
-      queueNoteDeletion('note-success', 't1')
-      queueNoteDeletion('note-fail', 't1')
+      queueDelete('note-success', 't1')
+      queueDelete('note-fail', 't1')
 
-      const result = await flushDeleteQueue(mockApiFetch)
+      await flush()
 
-      expect(result.processed).toBe(1)
-      expect(result.failed).toBe(1)
-      expect(getQueueSize()).toBe(1) // Failed one remains
+      expect(mockApiFetch).toHaveBeenCalledTimes(2)
+      expect(outbox.size()).toBe(1) // Failed one remains
+      expect(outbox.entries()[0]).toMatchObject({ noteId: 'note-fail', attempts: 1 })
     })
 
     it('treats 404 as success (already deleted)', async () => {
       const mockApiFetch = vi.fn().mockResolvedValue({ ok: false, status: 404 })
+      const { outbox, queueDelete, flush } = makeOutbox(mockApiFetch)
 
-      queueNoteDeletion('note-already-gone', 't1')
+      queueDelete('note-already-gone', 't1')
 
-      const result = await flushDeleteQueue(mockApiFetch)
+      await flush()
 
-      expect(result.processed).toBe(1)
-      expect(result.failed).toBe(0)
-      expect(getQueueSize()).toBe(0)
+      expect(outbox.size()).toBe(0)
     })
   })
 
@@ -628,13 +661,15 @@ describe('Scenario 4: Undo after delete (queue cleanup)', () => {
     state = playlistReducer(state, playlistActions.deleteNote('t1', 0))
     expect(state.notesByTrack.t1).toHaveLength(1)
 
-    // Queue the deletion (as useNoteHandlers does)
-    queueNoteDeletion(noteToDelete.id, 't1')
-    expect(getQueueSize()).toBe(1)
+    // Queue the deletion (as useNoteHandlers does via syncNoteDelete)
+    const mockApiFetch = vi.fn()
+    const { outbox, queueDelete, cancelDelete, flush } = makeOutbox(mockApiFetch)
+    queueDelete(noteToDelete.id, 't1')
+    expect(outbox.size()).toBe(1)
 
     // Step 2: User clicks Undo
-    cancelNoteDeletion(noteToDelete.id)
-    expect(getQueueSize()).toBe(0)
+    expect(cancelDelete(noteToDelete.id)).toBe(1)
+    expect(outbox.size()).toBe(0)
 
     // Restore the note (as App.jsx onUndo does)
     state = playlistReducer(state, playlistActions.restoreNote('t1', noteToDelete, 0))
@@ -642,8 +677,7 @@ describe('Scenario 4: Undo after delete (queue cleanup)', () => {
     expect(state.notesByTrack.t1[0].body).toBe('Oops deleted')
 
     // Step 3: Verify queue flush sends nothing
-    const mockApiFetch = vi.fn()
-    await flushDeleteQueue(mockApiFetch)
+    await flush()
     expect(mockApiFetch).not.toHaveBeenCalled()
   })
 })
@@ -0,0 +1,100 @@
+// src/features/notes/noteConflicts.js
+// Client-side resolution for note edits the server rejected with a 409.
+// A note has two editable fields: its body and its timestamp (start + optional end).
+// Given the version both devices started from, changes to different fields merge
+// on their own; only the same field changed two different ways needs the user.
+
+// @ts-check
+
+import { getNoteBody } from '../../utils/notesTagsData.js'
+
+/** @typedef {import('../../utils/notesTagsData.js').NoteEntry} NoteEntry */
+
+export const NOTE_CONFLICT_CHOICE = Object.freeze({
+  MINE: 'mine',
+  THEIRS: 'theirs',
+  BOTH: 'both',
+})
+
+/** @typedef {typeof NOTE_CONFLICT_CHOICE[keyof typeof NOTE_CONFLICT_CHOICE]} NoteConflictChoice */
+
+/**
+ * @typedef {Object} NoteConflict
+ * @property {string} key - `trackId:noteId`
+ * @property {string} trackId
+ * @property {NoteEntry} base - The version this device edited
+ * @property {NoteEntry} local - This device's edit
+ * @property {NoteEntry} remote - What the server has now
+ */
+
+/**
+ * @param {NoteEntry} note
+ * @returns {string}
+ */
+const timestampKey = (note) => `${note.timestampMs ?? ''}:${note.timestampEndMs ?? ''}`
+
+/**
+ * @param {NoteEntry} a
+ * @param {NoteEntry} b
+ * @returns {boolean}
+ */
+export function isSameNoteContent(a, b) {
+  return getNoteBody(a).trim() === getNoteBody(b).trim() && timestampKey(a) === timestampKey(b)
+}
+
+/**
+ * Three-way pick for one field. Returns `undefined` when both sides changed it differently.
+ * @template T
+ * @param {T} base
+ * @param {T} local
+ * @param {T} remote
+ * @returns {{ value: T } | undefined}
+ */
+function pickField(base, local, remote) {
+  if (local === remote) return { value: remote }
+  if (local === base) return { value: remote }
+  if (remote === base) return { value: local }
+  return undefined
+}
+
+/**
+ * Merge a local edit with the server's current copy of the same note.
+ * @param {{ base: NoteEntry, local: NoteEntry, remote: NoteEntry }} versions
+ * @returns {{ status: 'merged', note: NoteEntry } | { status: 'conflict' }}
+ */
+export function mergeNoteVersions({ base, local, remote }) {
+  const body = pickField(getNoteBody(base).trim(), getNoteBody(local).trim(), getNoteBody(remote).trim())
+  const stamp = pickField(timestampKey(base), timestampKey(local), timestampKey(remote))
+  if (!body || !stamp) return { status: 'conflict' }
+
+  const stampSource = stamp.value === timestampKey(remote) ? remote : local
+  /** @type {NoteEntry} */
+  const note = {
+    ...(remote.id ? { id: remote.id } : {}),
+    body: body.value,
+    createdAt: local.createdAt,
+    ...(typeof stampSource.timestampMs === 'number' ? { timestampMs: stampSource.timestampMs } : {}),
+    ...(typeof stampSource.timestampEndMs === 'number' ? { timestampEndMs: stampSource.timestampEndMs } : {}),
+    ...(remote.revision ? { revision: remote.revision } : {}),
+  }
+  return { status: 'merged', note }
+}
+
+/**
+ * Notes that replace the conflicting one locally for a given choice. "Both" keeps the
+ * server copy and saves this device's text as a new note (`copyId` becomes its id).
+ * @param {NoteConflict} conflict
+ * @param {NoteConflictChoice} choice
+ * @param {string} [copyId]
+ * @returns {NoteEntry[]}
+ */
+export function resolveNoteConflict(conflict, choice, copyId) {
+  const { local, remote } = conflict
+  // Local createdAt is kept so the note doesn't jump around the list.
+  if (choice === NOTE_CONFLICT_CHOICE.THEIRS) return [{ ...remote, createdAt: local.createdAt }]
+  if (choice === NOTE_CONFLICT_CHOICE.MINE) {
+    return [{ ...local, ...(remote.revision ? { revision: remote.revision } : {}) }]
+  }
+  const { id: _id, revision: _revision, ...copy } = local
+  return [{ ...remote, createdAt: local.createdAt }, { ...copy, ...(copyId ? { id: copyId } : {}) }]
+}
@@ -11,7 +11,6 @@ import {
   usePlaylistTracks,
 } from '../playlist/usePlaylistContext.js'
 import { extractTimestamp } from '../playlist/noteTimestamps.js'
-import { queueNoteDeletion } from './noteDeleteQueue.js'
 /** @typedef {import('../../utils/notesTagsData.js').NoteEntry} NoteEntry */
 
 /**
@@ -27,7 +26,9 @@ import { queueNoteDeletion } from './noteDeleteQueue.js'
  * @typedef {object} UseNoteHandlersOptions
  * @property {(message: string) => void} [announce]
  * @property {(pendingId: string, meta: PendingUndoMeta) => void} [scheduleInlineUndo]
- * @property {(trackId: string, body: string, timestampMs?: number | null, noteId?: string) => Promise<void>} [syncNote]
+ * @property {(trackId: string, body: string, timestampMs?: number | null, noteId?: string) => Promise<unknown>} [syncNote]
+ * @property {(trackId: string, base: NoteEntry, next: NoteEntry) => Promise<import('../playlist/PlaylistProvider.jsx').NoteEditSyncResult>} [syncNoteEdit]
+ * @property {(trackId: string, noteId: string) => void} [syncNoteDelete]
  * @property {() => void} [onTimestampDiscovered]
  */
 
@@ -38,7 +39,8 @@ const noop = () => {}
  * @param {UseNoteHandlersOptions} options
  */
 export function useNoteHandlers(options = {}) {
-  const { announce, scheduleInlineUndo, syncNote, onTimestampDiscovered } = /** @type {UseNoteHandlersOptions} */ (options || {})
+  const { announce, scheduleInlineUndo, syncNote, syncNoteEdit, syncNoteDelete, onTimestampDiscovered } =
+    /** @type {UseNoteHandlersOptions} */ (options || {})
   const dispatch = usePlaylistDispatch()
   const editingState = usePlaylistEditingState()
   const notesByTrack = usePlaylistNotesByTrack()
@@ -57,6 +59,14 @@ export function useNoteHandlers(options = {}) {
     () => (typeof syncNote === 'function' ? syncNote : null),
     [syncNote],
   )
+  const syncNoteEditFn = useMemo(
+    () => (typeof syncNoteEdit === 'function' ? syncNoteEdit : null),
+    [syncNoteEdit],
+  )
+  const syncNoteDeleteFn = useMemo(
+    () => (typeof syncNoteDelete === 'function' ? syncNoteDelete : null),
+    [syncNoteDelete],
+  )
   const timestampDiscoveredFn = useMemo(
     () => (typeof onTimestampDiscovered === 'function' ? onTimestampDiscovered : noop),
     [onTimestampDiscovered],
@@ -151,6 +161,59 @@ export function useNoteHandlers(options = {}) {
     focusElement(editorInvokerRef.current)
   }, [announceFn, dispatch])
 
+  const onEditNote = useCallback(
+    /**
+     * @param {string} trackId
+     * @param {number} noteIndex
+     * @param {string} nextDraft
+     * @returns {Promise<boolean>} false when the edit was rejected and the editor should stay open
+     */
+    async (trackId, noteIndex, nextDraft) => {
+      const notes = notesByTrack?.[trackId]
+      const previous = Array.isArray(notes) ? notes[noteIndex] : undefined
+      if (previous == null) return false
+
+      const { timestamp, cleanedBody } = extractTimestamp(nextDraft)
+      const body = cleanedBody.trim()
+      if (!body) {
+        announceFn('Note not saved. The note is empty.')
+        return false
+      }
+
+      /** @type {NoteEntry} */
+      const next = {
+        ...(previous.id ? { id: previous.id } : {}),
+        body,
+        createdAt: previous.createdAt,
+        ...(previous.revision ? { revision: previous.revision } : {}),
+      }
+      if (timestamp) {
+        next.timestampMs = timestamp.startMs
+        if (timestamp.kind === 'range') next.timestampEndMs = timestamp.endMs
+      }
+      const target = previous.id ? { id: previous.id } : { index: noteIndex }
+      dispatch(playlistActions.editNote(trackId, target, next))
+      announceFn('Note updated.')
+
+      if (!syncNoteEditFn || !previous.id) return true
+
+      try {
+        const result = await syncNoteEditFn(trackId, previous, next)
+        if (result === 'merged') {
+          announceFn('Note merged with changes from another device.')
+        } else if (result === 'conflict') {
+          announceFn('This note was also changed on another device. Choose which version to keep.')
+        }
+      } catch (err) {
+        console.error('[note edit] error', err)
+        dispatch(playlistActions.replaceNote(trackId, target, [previous]))
+        announceFn('Note update failed. Restored previous note.')
+      }
+      return true
+    },
+    [announceFn, dispatch, notesByTrack, syncNoteEditFn],
+  )
+
   const onDeleteNote = useCallback(
     (trackId, noteIndex) => {
       const notes = notesByTrack?.[trackId]
@@ -159,9 +222,9 @@ export function useNoteHandlers(options = {}) {
 
       dispatch(playlistActions.deleteNote(trackId, noteIndex))
 
-      // Queue deletion for server sync (offline-friendly)
-      if (noteToDelete.id) {
-        queueNoteDeletion(noteToDelete.id, trackId)
+      // Queued in the outbox; Undo cancels it if it hasn't been sent yet
+      if (noteToDelete.id && syncNoteDeleteFn) {
+        syncNoteDeleteFn(trackId, noteToDelete.id)
       }
 
       if (scheduleUndo) {
@@ -177,7 +240,7 @@ export function useNoteHandlers(options = {}) {
 
       announceFn('Note deleted. Press Undo to restore')
     },
-    [announceFn, dispatch, notesByTrack, scheduleUndo],
+    [announceFn, dispatch, notesByTrack, scheduleUndo, syncNoteDeleteFn],
   )
 
   return {
@@ -188,6 +251,7 @@ export function useNoteHandlers(options = {}) {
     onAddNote,
     onSaveNote,
     onCancelNote,
+    onEditNote,
     onDeleteNote,
   }
 }
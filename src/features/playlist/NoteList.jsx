@@ -1,4 +1,6 @@
+import { useState } from 'react'
 import UndoPlaceholder from '../../components/UndoPlaceholder.jsx'
+import HighlightedText from '../filter/HighlightedText.jsx'
 import { getNoteBody } from '../../utils/notesTagsData.js'
 import { formatNoteCreatedAt, formatTimestampMs, formatTimestampRange } from './noteTimestamps.js'
 
@@ -10,6 +12,7 @@ import { formatNoteCreatedAt, formatTimestampMs, formatTimestampRange } from './
  * @param {Array<{ pid: string, index: number, restoreFocusId?: string, fallbackFocusId?: string }>} props.placeholders
  * @param {(id: string) => boolean} props.isPending
  * @param {(noteIndex: number) => void} props.onDeleteNote
+ * @param {(noteIndex: number, draft: string) => Promise<boolean> | boolean} [props.onEditNote] - Resolves false to keep the editor open
  * @param {(pendingId: string) => void} props.onUndo
  * @param {(pendingId: string) => void} props.onDismissUndo
  * @param {boolean} [props.readOnly] - When true, hides delete buttons (demo mode)
@@ -21,10 +24,14 @@ export default function NoteList({
   placeholders,
   isPending,
   onDeleteNote,
+  onEditNote,
   onUndo,
   onDismissUndo,
   readOnly = false,
 }) {
+  const [editingIndex, setEditingIndex] = useState(/** @type {number | null} */ (null))
+  const [editDraft, setEditDraft] = useState('')
+  const canEdit = !readOnly && typeof onEditNote === 'function'
   const hasNotes = notes.length > 0
   const hasPlaceholders = placeholders.some(ph => isPending(ph.pid))
 
@@ -69,6 +76,44 @@ export default function NoteList({
       } else {
         timestampLabel = formatTimestampMs(note?.timestampMs)
       }
+      if (canEdit && editingIndex === idx) {
+        const inputId = `edit-note-input-${trackId}-${idx}`
+        const submitEdit = async () => {
+          const saved = await onEditNote(idx, editDraft)
+          if (saved !== false) setEditingIndex(null)
+        }
+        rows.push(
+          <li key={`n-${trackId}-${idx}`} style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+            <label className="sr-only" htmlFor={inputId}>
+              {`Edit note ${idx + 1} for ${trackTitle}`}
+            </label>
+            <input
+              id={inputId}
+              type="text"
+              value={editDraft}
+              autoFocus
+              onChange={(event) => setEditDraft(event.target.value)}
+              onKeyDown={(event) => {
+                if (event.key === 'Enter') {
+                  event.preventDefault()
+                  void submitEdit()
+                } else if (event.key === 'Escape') {
+                  event.preventDefault()
+                  setEditingIndex(null)
+                }
+              }}
+              style={{ flex: 1, minWidth: 0 }}
+            />
+            <button type="button" className="btn primary" onClick={() => void submitEdit()}>
+              Save
+            </button>
+            <button type="button" className="btn" onClick={() => setEditingIndex(null)}>
+              Cancel
+            </button>
+          </li>
+        )
+        continue
+      }
       rows.push(
         <li
           key={`n-${trackId}-${idx}`}
@@ -104,7 +149,9 @@ export default function NoteList({
                 [{timestampLabel}]
               </span>
             )}
-            <span style={{ whiteSpace: 'normal', minWidth: 0 }}>- {body}</span>
+            <span style={{ whiteSpace: 'normal', minWidth: 0 }}>
+              - <HighlightedText text={body} field="notes" />
+            </span>
             {createdAtLabel && (
               <span
                 style={{
@@ -119,6 +166,21 @@ export default function NoteList({
               </span>
             )}
           </div>
+          {canEdit && (
+            <button
+              type="button"
+              id={`edit-btn-${trackId}-${idx}`}
+              className="btn"
+              data-shortcut="edit-note"
+              aria-label={`Edit note ${idx + 1} for ${trackTitle}`}
+              onClick={() => {
+                setEditDraft(timestampLabel ? `${timestampLabel} ${body}` : body)
+                setEditingIndex(idx)
+              }}
+            >
+              Edit
+            </button>
+          )}
           {!readOnly && (
             <button
               type="button"
@@ -0,0 +1,50 @@
+import { getNoteBody } from '../../utils/notesTagsData.js'
+
+/** @typedef {import('./playlistDiff.js').OrphanedTrack} OrphanedTrack */
+
+/**
+ * Read-only list of notes and tags whose tracks were removed upstream.
+ * @param {object} props
+ * @param {OrphanedTrack[]} props.orphans
+ */
+export default function OrphanedNotesPanel({ orphans }) {
+  if (!Array.isArray(orphans) || orphans.length === 0) return null
+
+  return (
+    <details
+      style={{
+        marginBottom: 12,
+        padding: '8px 12px',
+        background: 'var(--surface)',
+        borderRadius: 6,
+        border: '1px solid var(--border)',
+      }}
+    >
+      <summary style={{ cursor: 'pointer', fontWeight: 600 }}>
+        Notes from removed tracks ({orphans.length})
+      </summary>
+      <ul style={{ margin: '8px 0 0', paddingLeft: 20 }}>
+        {orphans.map((orphan) => (
+          <li key={orphan.id} style={{ marginBottom: 8 }}>
+            <div>
+              {orphan.artist ? `${orphan.artist} - ` : ''}
+              {orphan.title || 'Untitled'}
+            </div>
+            {orphan.notes.length > 0 && (
+              <ul style={{ margin: '4px 0 0', paddingLeft: 20, color: 'var(--muted)' }}>
+                {orphan.notes.map((note, idx) => (
+                  <li key={idx}>{getNoteBody(note)}</li>
+                ))}
+              </ul>
+            )}
+            {orphan.tags.length > 0 && (
+              <div style={{ marginTop: 4, color: 'var(--muted)', fontSize: '0.85rem' }}>
+                Tags: {orphan.tags.join(', ')}
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+    </details>
+  )
+}
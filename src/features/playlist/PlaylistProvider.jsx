@@ -1,28 +1,141 @@
 // src/features/playlist/PlaylistProvider.jsx
 
-import { useReducer, useEffect, useRef, useCallback, useMemo } from 'react'
+import { useReducer, useEffect, useRef, useCallback, useMemo, useState } from 'react'
 // eslint-disable-next-line no-unused-vars -- used in JSDoc types
 import { playlistReducer, initialPlaylistState } from './playlistReducer.js'
 import { playlistActions } from './actions.js'
 import { apiFetch } from '../../lib/apiClient.js'
-import { groupRemoteNotes } from '../../utils/notesTagsData.js'
-import { createTagSyncScheduler } from '../tags/tagSyncQueue.js'
-import { PlaylistStateContext, PlaylistDispatchContext, PlaylistSyncContext } from './contexts.js'
+import { groupRemoteNotes, normalizeNotesList } from '../../utils/notesTagsData.js'
+import {
+  PlaylistStateContext,
+  PlaylistDispatchContext,
+  PlaylistSyncContext,
+  PlaylistHistoryContext,
+} from './contexts.js'
 import { notifyDeviceContextStale } from '../../lib/deviceState.js'
-import { flushDeleteQueue } from '../notes/noteDeleteQueue.js'
+import { OutboxSendError, createOutbox, takeLegacyQueueOps } from '../sync/outbox.js'
+import { sendOutboxRequest } from '../sync/outboxRequests.js'
+import { TAB_ID, electTabLeader, getTabChannel } from '../sync/tabChannel.js'
+import { saveTrackLinks } from '../identity/trackIdentity.js'
+import { PLAYLIST_TAB_MESSAGE, buildTabChanges, collectTabChanges } from './tabSync.js'
+import { notesDiffTrackIds } from '../backup/notesDiff.js'
+import {
+  EMPTY_HISTORY,
+  clearsHistory,
+  createHistoryEntry,
+  getRedoStep,
+  getStepAction,
+  getUndoStep,
+  recordHistoryEntry,
+  tagsFor,
+  takeRedo,
+  takeUndo,
+} from '../undo/undoHistory.js'
+import {
+  NOTE_CONFLICT_CHOICE,
+  isSameNoteContent,
+  mergeNoteVersions,
+  resolveNoteConflict as resolveConflictNotes,
+} from '../notes/noteConflicts.js'
 
 /** @typedef {import('../import/usePlaylistImportController.js').BackgroundSyncState} BackgroundSyncState */
+/** @typedef {import('../../utils/notesTagsData.js').NoteEntry} NoteEntry */
+/** @typedef {import('../notes/noteConflicts.js').NoteConflict} NoteConflict */
+/** @typedef {import('../notes/noteConflicts.js').NoteConflictChoice} NoteConflictChoice */
+/** @typedef {import('../sync/outbox.js').OutboxEntry} OutboxEntry */
+/** @typedef {import('../sync/outbox.js').OutboxOp} OutboxOp */
+/** @typedef {import('../sync/outbox.js').OutboxResult} OutboxResult */
+/** @typedef {import('../undo/undoHistory.js').HistoryEntry} HistoryEntry */
+/** @typedef {import('../undo/undoHistory.js').HistoryStep} HistoryStep */
+/** @typedef {import('../backup/notesDiff.js').NotesDiff} NotesDiff */
 
-const TAG_SYNC_QUEUE_PREFIX = 'sta:pending-tag-sync:'
-const TAG_SIGNATURE_DELIMITER = '\u0001'
+/**
+ * `queued`: the change is saved locally and will be sent when the server is reachable.
+ * @typedef {'saved' | 'queued' | 'skipped'} NoteSyncResult
+ * @typedef {'saved' | 'merged' | 'conflict' | 'queued' | 'skipped'} NoteEditSyncResult
+ */
+
+/**
+ * @typedef {Object} PlaylistSyncValue
+ * @property {(trackId: string, tags: string[]) => Promise<void>} syncTrackTags
+ * @property {(trackId: string, body: string, timestampMs?: number | null, noteId?: string) => Promise<NoteSyncResult>} syncNote
+ * @property {(trackId: string, base: NoteEntry, next: NoteEntry) => Promise<NoteEditSyncResult>} syncNoteEdit
+ * @property {(trackId: string, noteId: string) => void} syncNoteDelete
+ * @property {(noteId: string) => boolean} cancelNoteDelete - False when the delete was already sent
+ * @property {(fromTrackId: string, trackId: string) => void} syncTrackLink - Move a track's remote notes and tags to its canonical id
+ * @property {(diff: NotesDiff) => Promise<void>} syncNotesDiff - Send a wholesale change, such as a restored backup, to the server and other tabs; call it right after dispatching the change
+ * @property {number} pendingChanges - Queued changes not yet accepted by the server
+ * @property {() => Promise<void>} flushPendingChanges - Retry now, ignoring backoff
+ * @property {NoteConflict[]} noteConflicts - Edits the server rejected that need a decision
+ * @property {(key: string, choice: NoteConflictChoice) => Promise<void>} resolveNoteConflict
+ */
+
+/**
+ * @typedef {Object} PlaylistHistoryValue
+ * @property {HistoryEntry[]} past - Oldest first
+ * @property {HistoryEntry[]} future - Undone changes; the last one is redone first
+ * @property {(entryId?: string) => HistoryEntry | null} undo - The latest change, or a specific one
+ * @property {() => HistoryEntry | null} redo
+ */
+
+// Debounce window for tag updates; toggling several tags quickly sends one request.
+const TAG_SYNC_DELAY_MS = 350
 
-const canUseLocalStorage = () =>
-  typeof window !== 'undefined' && typeof window.localStorage !== 'undefined'
+// Between tabs: followers hand their outbox ops to the leader, which reports its queue size,
+// the result of each forwarded op, and any edit conflict back to the tab that made the edit.
+const OUTBOX_ENQUEUE_MESSAGE = 'outbox:enqueue'
+const OUTBOX_RESULT_MESSAGE = 'outbox:result'
+const OUTBOX_CANCEL_MESSAGE = 'outbox:cancel-delete'
+const OUTBOX_FLUSH_MESSAGE = 'outbox:flush'
+const OUTBOX_COUNT_MESSAGE = 'outbox:count'
+const NOTE_CONFLICT_MESSAGE = 'outbox:note-conflict'
 
-const getTagQueueStorageKey = (deviceId) => `${TAG_SYNC_QUEUE_PREFIX}${deviceId}`
+// How long a follower waits for the leader to answer before treating its op as queued
+const RELAY_TIMEOUT_MS = 30_000
+
+/** @type {OutboxResult} */
+const QUEUED_RESULT = { status: 'queued' }
+
+/**
+ * Turn an outbox result into what sync callers expect: the send result, `'queued'`
+ * while offline, or a rejection when the server refused the change.
+ * @param {Promise<OutboxResult>} pending
+ * @returns {Promise<any>}
+ */
+async function settleOutboxResult(pending) {
+  const result = await pending
+  if (result.status === 'dropped') throw result.error
+  return result.status === 'sent' ? result.result : 'queued'
+}
+
+/**
+ * Outbox results cross tabs as plain data (the storage fallback JSON-encodes them), so a
+ * refusal travels as its message and status and is rebuilt on the other side.
+ * @param {OutboxResult} result
+ */
+function toRelayedResult(result) {
+  if (result.status !== 'dropped') return result
+  const { error } = result
+  return {
+    status: 'dropped',
+    error: { message: error.message, status: error instanceof OutboxSendError ? error.status : undefined },
+  }
+}
 
-const getTagsSignature = (tags) =>
-  Array.isArray(tags) ? tags.join(TAG_SIGNATURE_DELIMITER) : ''
+/**
+ * @param {any} relayed
+ * @returns {OutboxResult}
+ */
+function fromRelayedResult(relayed) {
+  if (relayed?.status === 'sent') return { status: 'sent', result: relayed.result }
+  if (relayed?.status === 'dropped') {
+    return {
+      status: 'dropped',
+      error: new OutboxSendError(relayed.error?.message ?? 'Change was refused', relayed.error?.status),
+    }
+  }
+  return QUEUED_RESULT
+}
 
 /**
  * Provider component that manages playlist state via reducer
@@ -35,12 +148,70 @@ const getTagsSignature = (tags) =>
  */
 export function PlaylistStateProvider({ initialState, anonContext, onInitialSyncStatusChange, children }) {
   const [state, dispatch] = useReducer(playlistReducer, initialState)
-  const tagSyncSchedulerRef = useRef(null)
+  const providerRef = useRef(state.provider)
+  providerRef.current = state.provider
+
+  // The state every dispatched action adds up to. Rendered `state` only catches up on the
+  // next render, so two changes in one tick would both be recorded against the state from
+  // before the first. Every action goes through `apply`, which runs the (pure) reducer on
+  // this copy as well.
+  const stateRef = useRef(state)
+  const apply = useCallback((action) => {
+    stateRef.current = playlistReducer(stateRef.current, action)
+    dispatch(action)
+  }, [])
+
+  // Note, tag and link mutations are shared with other open tabs once they land in
+  // state. Changes received from those tabs go through plain `dispatch`, so they are
+  // never echoed back.
+  const pendingTabChangesRef = useRef(/** @type {import('./tabSync.js').PendingTabChanges | null} */ (null))
+  const shareAndApply = useCallback((action) => {
+    pendingTabChangesRef.current = collectTabChanges(action, pendingTabChangesRef.current)
+    apply(action)
+  }, [apply])
+
+  // User changes dispatched from this tab are also recorded for undo. Undo and redo
+  // apply their steps through `shareAndApply`, so they never record themselves.
+  const [history, setHistory] = useState(EMPTY_HISTORY)
+  const historyRef = useRef(history)
+  const updateHistory = useCallback((next) => {
+    historyRef.current = next
+    setHistory(next)
+  }, [])
+  const dispatchAndShare = useCallback(
+    (action) => {
+      const entry = createHistoryEntry(stateRef.current, action)
+      if (entry) updateHistory(recordHistoryEntry(historyRef.current, entry))
+      else if (clearsHistory(action)) updateHistory(EMPTY_HISTORY)
+      shareAndApply(action)
+    },
+    [shareAndApply, updateHistory],
+  )
+
+  useEffect(() => {
+    const pending = pendingTabChangesRef.current
+    if (!pending) return
+    pendingTabChangesRef.current = null
+    // Demo edits are never persisted, so they stay in this tab too
+    if (state.provider === 'demo') return
+    getTabChannel().post(PLAYLIST_TAB_MESSAGE, buildTabChanges(state, pending))
+  }, [state])
+
+  useEffect(
+    () =>
+      getTabChannel().subscribe(PLAYLIST_TAB_MESSAGE, (changes) => {
+        if (providerRef.current === 'demo') return
+        apply(playlistActions.mergeRemoteTabChanges(changes))
+      }),
+    [apply],
+  )
+
   const initialSyncStatusRef = useRef('idle')
   const syncAttemptedRef = useRef(false)
   const retryTimeoutRef = useRef(null)
-  const pendingTagQueueRef = useRef(new Map())
-  const isFlushingPendingTagsRef = useRef(false)
+  const [noteConflicts, setNoteConflicts] = useState(/** @type {NoteConflict[]} */ ([]))
+  const noteConflictsRef = useRef(noteConflicts)
+  noteConflictsRef.current = noteConflicts
   const updateInitialSyncStatus = useCallback(
     (next) => {
       const payload = /** @type {BackgroundSyncState} */ ({
@@ -75,82 +246,6 @@ export function PlaylistStateProvider({ initialState, anonContext, onInitialSync
     [updateInitialSyncStatus],
   )
 
-  const persistPendingTagQueue = useCallback(() => {
-    const deviceId = anonContext?.deviceId
-    if (!deviceId || !canUseLocalStorage()) return
-    const key = getTagQueueStorageKey(deviceId)
-    const entries = Array.from(pendingTagQueueRef.current.values())
-    if (entries.length === 0) {
-      window.localStorage.removeItem(key)
-      return
-    }
-    window.localStorage.setItem(
-      key,
-      JSON.stringify(
-        entries.map((entry) => ({
-          trackId: entry.trackId,
-          tags: entry.tags,
-          updatedAt: entry.updatedAt,
-        })),
-      ),
-    )
-  }, [anonContext?.deviceId])
-
-  const hydratePendingTagQueue = useCallback(() => {
-    pendingTagQueueRef.current = new Map()
-    const deviceId = anonContext?.deviceId
-    if (!deviceId || !canUseLocalStorage()) return
-    const key = getTagQueueStorageKey(deviceId)
-    try {
-      const raw = window.localStorage.getItem(key)
-      if (!raw) return
-      const parsed = JSON.parse(raw)
-      if (!Array.isArray(parsed)) return
-      parsed.forEach((entry) => {
-        if (!entry?.trackId || !Array.isArray(entry.tags)) return
-        pendingTagQueueRef.current.set(entry.trackId, {
-          trackId: entry.trackId,
-          tags: entry.tags,
-          updatedAt: typeof entry.updatedAt === 'number' ? entry.updatedAt : Date.now(),
-          signature: getTagsSignature(entry.tags),
-        })
-      })
-    } catch (err) {
-      console.error('[tag sync] failed to load pending queue', err)
-      window.localStorage.removeItem(key)
-    }
-  }, [anonContext?.deviceId])
-
-  const upsertPendingTagUpdate = useCallback(
-    (trackId, tags) => {
-      if (!trackId || !anonContext?.deviceId || !canUseLocalStorage()) return
-      pendingTagQueueRef.current.delete(trackId)
-      pendingTagQueueRef.current.set(trackId, {
-        trackId,
-        tags: Array.isArray(tags) ? [...tags] : [],
-        updatedAt: Date.now(),
-        signature: getTagsSignature(tags),
-      })
-      persistPendingTagQueue()
-    },
-    [anonContext?.deviceId, persistPendingTagQueue],
-  )
-
-  const clearPendingTagUpdate = useCallback(
-    (trackId, tags) => {
-      if (!trackId || pendingTagQueueRef.current.size === 0) return
-      const entry = pendingTagQueueRef.current.get(trackId)
-      if (!entry) return
-      const signature = getTagsSignature(tags)
-      if (entry.signature && signature && entry.signature !== signature) {
-        return
-      }
-      pendingTagQueueRef.current.delete(trackId)
-      persistPendingTagQueue()
-    },
-    [persistPendingTagQueue],
-  )
-
   // Remote sync: fetch notes/tags from server on mount when anonId is available
   // Note: We intentionally don't check for local data - after recovery restore,
   // the user may have no local tracks yet but needs to fetch remote notes
@@ -219,7 +314,7 @@ export function PlaylistStateProvider({ initialState, anonContext, onInitialSync
           return
         }
         // Merge remote data using reducer
-        dispatch(playlistActions.mergeRemoteData(remoteMap, remoteTagMap))
+        apply(playlistActions.mergeRemoteData(remoteMap, remoteTagMap))
         clearTimer()
         updateInitialSyncStatus({ status: 'complete', lastError: null })
       } catch (err) {
@@ -282,87 +377,257 @@ export function PlaylistStateProvider({ initialState, anonContext, onInitialSync
         cancelIdleCallback(deferredHandle)
       }
     }
-  }, [anonContext?.deviceId, anonContext?.anonId, initialState?.tracks, markSyncError, updateInitialSyncStatus])
+  }, [anonContext?.deviceId, anonContext?.anonId, initialState?.tracks, apply, markSyncError, updateInitialSyncStatus])
 
-  // Helper to send tag update to server
-  const sendTagUpdate = useCallback(
-    async (trackId, tags) => {
-      if (!anonContext?.deviceId) return
-      try {
-        const response = await apiFetch('/api/db/notes', {
-          method: 'POST',
-          body: JSON.stringify({ trackId, tags }),
+  // Edits forwarded by another tab, by conflict key: a conflict goes back to that tab so
+  // the user decides where they made the edit.
+  const conflictOriginsRef = useRef(/** @type {Map<string, string>} */ (new Map()))
+
+  /** @param {NoteConflict} conflict */
+  const queueNoteConflict = useCallback((conflict) => {
+    const origin = conflictOriginsRef.current.get(conflict.key)
+    if (origin) {
+      conflictOriginsRef.current.delete(conflict.key)
+      getTabChannel().post(NOTE_CONFLICT_MESSAGE, { origin, conflict })
+      return
+    }
+    setNoteConflicts((prev) => [...prev.filter((item) => item.key !== conflict.key), conflict])
+  }, [])
+
+  // PATCH an edited note against the revision it was based on. A 409 hands back the
+  // server's current copy instead of throwing so callers can merge.
+  const sendNoteEdit = useCallback(
+    /**
+     * @param {NoteEntry} note
+     * @param {number} baseRevision
+     * @param {string} idempotencyKey
+     * @returns {Promise<{ saved: NoteEntry } | { conflict: NoteEntry }>}
+     */
+    async (note, baseRevision, idempotencyKey) => {
+      const response = await apiFetch('/api/db/notes', {
+        method: 'PATCH',
+        headers: { 'Idempotency-Key': idempotencyKey },
+        body: JSON.stringify({
+          noteId: note.id,
+          body: note.body,
+          timestampMs: note.timestampMs ?? null,
+          baseRevision,
+        }),
+      })
+      const payload = await response.json().catch(() => ({}))
+      if (response.status === 409) {
+        const [remote] = normalizeNotesList([payload?.conflict?.current])
+        if (remote) return { conflict: remote }
+      }
+      if (!response.ok) {
+        throw new OutboxSendError(payload?.error ?? 'Failed to update note', response.status)
+      }
+      return { saved: { ...note, revision: payload?.note?.revision ?? baseRevision + 1 } }
+    },
+    [],
+  )
+
+  // Outbox sender for note edits: merges with the server copy on a 409 and retries
+  // once, or queues a conflict for the user.
+  const pushNoteEdit = useCallback(
+    /**
+     * @param {Extract<OutboxEntry, { type: 'note:edit' }>} entry
+     * @returns {Promise<NoteEditSyncResult>}
+     */
+    async ({ trackId, base, next, key: idempotencyKey }) => {
+      const target = { id: next.id }
+      const first = await sendNoteEdit(next, base?.revision ?? 1, idempotencyKey)
+      if ('saved' in first) {
+        dispatchAndShare(playlistActions.replaceNote(trackId, target, [first.saved]))
+        return 'saved'
+      }
+
+      const remote = first.conflict
+      // A replay of an edit that already landed (its response was lost) finds the server
+      // holding exactly what it sent: that is a save, not a conflict.
+      if (
+        remote.body.trim() === next.body.trim() &&
+        (remote.timestampMs ?? null) === (next.timestampMs ?? null)
+      ) {
+        dispatchAndShare(
+          playlistActions.replaceNote(trackId, target, [{ ...next, revision: remote.revision }]),
+        )
+        return 'saved'
+      }
+      const key = `${trackId}:${next.id}`
+      const merged = mergeNoteVersions({ base, local: next, remote })
+      if (merged.status === 'conflict') {
+        queueNoteConflict({ key, trackId, base, local: next, remote })
+        return 'conflict'
+      }
+      if (isSameNoteContent(merged.note, remote)) {
+        dispatchAndShare(playlistActions.replaceNote(trackId, target, [merged.note]))
+        return 'merged'
+      }
+      // Both devices changed different fields: push the combined note on top of theirs.
+      const retry = await sendNoteEdit(merged.note, remote.revision ?? 1, `${idempotencyKey}:merge`)
+      if ('saved' in retry) {
+        dispatchAndShare(playlistActions.replaceNote(trackId, target, [retry.saved]))
+        return 'merged'
+      }
+      queueNoteConflict({ key, trackId, base: remote, local: merged.note, remote: retry.conflict })
+      return 'conflict'
+    },
+    [sendNoteEdit, queueNoteConflict, dispatchAndShare],
+  )
+
+  // One persisted outbox carries every note and tag change. The sender and device id
+  // live in refs so the outbox itself survives re-renders and device changes.
+  const sendOutboxEntryRef = useRef(/** @type {(entry: OutboxEntry) => Promise<any>} */ (() => Promise.resolve()))
+  sendOutboxEntryRef.current = (entry) =>
+    entry.type === 'note:edit' ? pushNoteEdit(entry) : sendOutboxRequest(apiFetch, entry)
+  const deviceIdRef = useRef(anonContext?.deviceId ?? null)
+  deviceIdRef.current = anonContext?.deviceId ?? null
+  // With several tabs open only the one holding the outbox lock talks to the server.
+  // The others forward their ops to it; ops made before the election are held back.
+  const outboxRoleRef = useRef(/** @type {'pending' | 'leader' | 'follower'} */ ('pending'))
+  const heldOpsRef = useRef(
+    /** @type {Array<{ op: OutboxOp, delayMs: number, resolve: (result: OutboxResult) => void }>} */ ([]),
+  )
+  // Callers in this tab waiting on ops the leader is sending for it, by request id
+  const relayWaitersRef = useRef(/** @type {Map<string, (result: OutboxResult) => void>} */ (new Map()))
+  const [pendingChanges, setPendingChanges] = useState(0)
+  const [outbox] = useState(() =>
+    createOutbox({
+      send: (entry) => sendOutboxEntryRef.current(entry),
+      isReady: () => Boolean(deviceIdRef.current) && outboxRoleRef.current === 'leader',
+      onChange: (count) => {
+        setPendingChanges(count)
+        if (outboxRoleRef.current === 'leader') getTabChannel().post(OUTBOX_COUNT_MESSAGE, count)
+      },
+    }),
+  )
+
+  const enqueueChange = useCallback(
+    /**
+     * @param {OutboxOp} op
+     * @param {{ delayMs?: number }} [options]
+     * @returns {Promise<OutboxResult>}
+     */
+    (op, { delayMs = 0 } = {}) => {
+      const role = outboxRoleRef.current
+      if (role === 'leader') {
+        if (op.type === 'note:edit') conflictOriginsRef.current.delete(`${op.trackId}:${op.noteId}`)
+        return outbox.enqueue(op, { delayMs })
+      }
+      if (role === 'pending') {
+        return new Promise((resolve) => {
+          heldOpsRef.current.push({ op, delayMs, resolve })
         })
-        if (!response.ok) {
-          console.error('[tag sync] failed', { trackId, tags })
-          throw new Error('Failed to sync tags')
-        }
-        clearPendingTagUpdate(trackId, tags)
-      } catch (err) {
-        console.error('[tag sync] error', err)
-        throw err  // Re-throw to propagate to caller
       }
+      // The leader answers once its first attempt has one, like a local enqueue
+      const requestId = crypto.randomUUID()
+      const waiters = relayWaitersRef.current
+      return new Promise((resolve) => {
+        const timer = setTimeout(() => {
+          waiters.delete(requestId)
+          resolve(QUEUED_RESULT)
+        }, RELAY_TIMEOUT_MS)
+        waiters.set(requestId, (result) => {
+          clearTimeout(timer)
+          waiters.delete(requestId)
+          resolve(result)
+        })
+        getTabChannel().post(OUTBOX_ENQUEUE_MESSAGE, { op, delayMs, requestId, origin: TAB_ID })
+      })
     },
-    [anonContext?.deviceId, clearPendingTagUpdate],
+    [outbox],
   )
 
-  const flushPendingTagQueue = useCallback(async () => {
-    if (!anonContext?.deviceId) return
-    if (isFlushingPendingTagsRef.current) return
-    if (pendingTagQueueRef.current.size === 0) return
-    isFlushingPendingTagsRef.current = true
-    try {
-      for (const [trackId, entry] of pendingTagQueueRef.current) {
-        try {
-          await sendTagUpdate(trackId, entry.tags)
-        } catch (_err) {
-          break
-        }
+  // Ops this tab forwarded are in the shared outbox either way; once nobody is left to
+  // answer for them (this tab took over, or is going away) they count as queued.
+  const releaseRelayWaiters = useCallback(() => {
+    Array.from(relayWaitersRef.current.values()).forEach((resolve) => resolve(QUEUED_RESULT))
+  }, [])
+
+  useEffect(() => {
+    const release = electTabLeader((isLeader) => {
+      const wasFollower = outboxRoleRef.current === 'follower'
+      outboxRoleRef.current = isLeader ? 'leader' : 'follower'
+      const held = heldOpsRef.current
+      heldOpsRef.current = []
+      if (isLeader && wasFollower) {
+        // Take over whatever the previous leader left unsent
+        outbox.reload()
+        releaseRelayWaiters()
       }
-    } finally {
-      isFlushingPendingTagsRef.current = false
+      held.forEach(({ op, delayMs, resolve }) => {
+        void enqueueChange(op, { delayMs }).then(resolve)
+      })
+      if (isLeader) {
+        outbox.flush().catch((err) => {
+          console.error('[outbox] flush failed', err)
+        })
+      }
+    })
+    return () => {
+      release()
+      outboxRoleRef.current = 'pending'
+      releaseRelayWaiters()
     }
-  }, [anonContext?.deviceId, sendTagUpdate])
+  }, [outbox, enqueueChange, releaseRelayWaiters])
 
-  // Tag sync scheduler: debounces tag updates to reduce API load
   useEffect(() => {
-    if (!anonContext?.deviceId) {
-      tagSyncSchedulerRef.current?.clear?.()
-      tagSyncSchedulerRef.current = null
-      return
-    }
-    const scheduler = createTagSyncScheduler(sendTagUpdate, 350)
-    tagSyncSchedulerRef.current = scheduler
-    return () => scheduler?.clear()
-  }, [anonContext?.deviceId, sendTagUpdate])
+    const channel = getTabChannel()
+    const isLeader = () => outboxRoleRef.current === 'leader'
+    const unsubscribers = [
+      channel.subscribe(OUTBOX_ENQUEUE_MESSAGE, (message) => {
+        if (!isLeader() || !message?.op) return
+        const { op, requestId, origin } = message
+        if (op.type === 'note:edit' && origin) {
+          conflictOriginsRef.current.set(`${op.trackId}:${op.noteId}`, origin)
+        }
+        void outbox.enqueue(op, { delayMs: message.delayMs ?? 0 }).then((result) => {
+          if (requestId) channel.post(OUTBOX_RESULT_MESSAGE, { requestId, result: toRelayedResult(result) })
+        })
+      }),
+      channel.subscribe(OUTBOX_RESULT_MESSAGE, (message) => {
+        relayWaitersRef.current.get(message?.requestId)?.(fromRelayedResult(message.result))
+      }),
+      channel.subscribe(NOTE_CONFLICT_MESSAGE, (message) => {
+        if (message?.origin !== TAB_ID || !message.conflict) return
+        queueNoteConflict(message.conflict)
+      }),
+      channel.subscribe(OUTBOX_CANCEL_MESSAGE, (noteId) => {
+        if (!isLeader()) return
+        outbox.cancel((entry) => entry.type === 'note:delete' && entry.noteId === noteId)
+      }),
+      channel.subscribe(OUTBOX_FLUSH_MESSAGE, () => {
+        if (!isLeader()) return
+        outbox.flush({ force: true }).catch((err) => {
+          console.error('[outbox] flush failed', err)
+        })
+      }),
+      channel.subscribe(OUTBOX_COUNT_MESSAGE, (count) => {
+        if (!isLeader() && typeof count === 'number') setPendingChanges(count)
+      }),
+    ]
+    return () => unsubscribers.forEach((unsubscribe) => unsubscribe())
+  }, [outbox, queueNoteConflict])
 
+  // The link map lives outside the main app state, next to it in localStorage
   useEffect(() => {
-    hydratePendingTagQueue()
-    if (!anonContext?.deviceId) return undefined
-    flushPendingTagQueue()
-    if (typeof window === 'undefined') return undefined
-    const handleOnline = () => {
-      flushPendingTagQueue()
-    }
-    window.addEventListener('online', handleOnline)
-    return () => {
-      window.removeEventListener('online', handleOnline)
-    }
-  }, [anonContext?.deviceId, flushPendingTagQueue, hydratePendingTagQueue])
+    if (state.trackLinks) saveTrackLinks(state.trackLinks)
+  }, [state.trackLinks])
+
+  // Replay on reconnect and focus for as long as the provider is mounted
+  useEffect(() => outbox.start(), [outbox])
 
-  // Flush pending note deletions on mount and when coming online
+  // Adopt changes left in the pre-outbox queues, then send whatever is waiting
   useEffect(() => {
-    if (!anonContext?.deviceId) return undefined
-    flushDeleteQueue(apiFetch)
-    if (typeof window === 'undefined') return undefined
-    const handleOnline = () => {
-      flushDeleteQueue(apiFetch)
-    }
-    window.addEventListener('online', handleOnline)
-    return () => {
-      window.removeEventListener('online', handleOnline)
-    }
-  }, [anonContext?.deviceId])
+    if (!anonContext?.deviceId) return
+    takeLegacyQueueOps(anonContext.deviceId).forEach((op) => {
+      void enqueueChange(op)
+    })
+    outbox.flush().catch((err) => {
+      console.error('[outbox] flush failed', err)
+    })
+  }, [anonContext?.deviceId, outbox, enqueueChange])
 
   // Expose sync method for components to use
   const syncTrackTags = useCallback(
@@ -372,24 +637,270 @@ export function PlaylistStateProvider({ initialState, anonContext, onInitialSync
       if (state.provider === 'demo') {
         return Promise.resolve()
       }
-      upsertPendingTagUpdate(trackId, tags)
-      const scheduler = tagSyncSchedulerRef.current
-      if (scheduler) {
-        return scheduler.schedule(trackId, tags)
+      const op = { type: /** @type {const} */ ('tags:set'), trackId, tags: Array.isArray(tags) ? [...tags] : [] }
+      return settleOutboxResult(enqueueChange(op, { delayMs: TAG_SYNC_DELAY_MS })).then(() => {})
+    },
+    [state.provider, enqueueChange],
+  )
+
+  const syncNote = useCallback(
+    /**
+     * @param {string} trackId
+     * @param {string} body
+     * @param {number | null} [timestampMs]
+     * @param {string} [noteId] - Client-generated id; the server dedupes replays on it
+     * @returns {Promise<NoteSyncResult>}
+     */
+    async (trackId, body, timestampMs, noteId) => {
+      if (!trackId || !noteId || state.provider === 'demo') return 'skipped'
+      const result = await settleOutboxResult(
+        enqueueChange({
+          type: 'note:create',
+          trackId,
+          noteId,
+          body,
+          timestampMs: typeof timestampMs === 'number' && Number.isFinite(timestampMs) ? timestampMs : null,
+        }),
+      )
+      return result === 'queued' ? 'queued' : 'saved'
+    },
+    [state.provider, enqueueChange],
+  )
+
+  const syncNoteEdit = useCallback(
+    /**
+     * @param {string} trackId
+     * @param {NoteEntry} base - The note as it was before this edit
+     * @param {NoteEntry} next
+     * @returns {Promise<NoteEditSyncResult>}
+     */
+    async (trackId, base, next) => {
+      if (!next?.id || state.provider === 'demo') return 'skipped'
+      return settleOutboxResult(enqueueChange({ type: 'note:edit', trackId, noteId: next.id, base, next }))
+    },
+    [state.provider, enqueueChange],
+  )
+
+  const syncNoteDelete = useCallback(
+    /**
+     * @param {string} trackId
+     * @param {string} noteId
+     */
+    (trackId, noteId) => {
+      if (!noteId) return
+      void enqueueChange({ type: 'note:delete', trackId, noteId })
+    },
+    [enqueueChange],
+  )
+
+  const cancelNoteDelete = useCallback(
+    /** @param {string} noteId */
+    (noteId) => {
+      if (outboxRoleRef.current === 'leader') {
+        return outbox.cancel((entry) => entry.type === 'note:delete' && entry.noteId === noteId) > 0
+      }
+      // The leader may already have sent it; callers then re-create the note, which
+      // the server dedupes by id if the delete never went out.
+      getTabChannel().post(OUTBOX_CANCEL_MESSAGE, noteId)
+      return false
+    },
+    [outbox],
+  )
+
+  const syncTrackLink = useCallback(
+    /**
+     * @param {string} fromTrackId
+     * @param {string} trackId
+     */
+    (fromTrackId, trackId) => {
+      if (!fromTrackId || !trackId || state.provider === 'demo') return
+      void enqueueChange({ type: 'track:relink', trackId, fromTrackId })
+    },
+    [state.provider, enqueueChange],
+  )
+
+  const syncNotesDiff = useCallback(
+    /**
+     * Queue every change in `diff` and share the touched tracks with other tabs (the
+     * wholesale dispatch before it is not shared by itself). Rejects with the first
+     * refusal once all have an answer; edits that conflict surface through
+     * `noteConflicts` like any other.
+     * @param {NotesDiff} diff
+     */
+    async (diff) => {
+      if (state.provider === 'demo') return
+      const pending = pendingTabChangesRef.current ?? { trackIds: new Set(), links: false }
+      notesDiffTrackIds(diff).forEach((trackId) => pending.trackIds.add(trackId))
+      if (pending.trackIds.size > 0) pendingTabChangesRef.current = pending
+      diff.deleted.forEach(({ trackId, noteId }) => syncNoteDelete(trackId, noteId))
+      const results = await Promise.allSettled([
+        ...diff.created.map(({ trackId, note }) => syncNote(trackId, note.body, note.timestampMs ?? null, note.id)),
+        ...diff.edited.map(({ trackId, base, next }) => syncNoteEdit(trackId, base, next)),
+        ...diff.tags.map(({ trackId, tags }) => syncTrackTags(trackId, tags)),
+      ])
+      const refused = results.find((result) => result.status === 'rejected')
+      if (refused) throw refused.reason
+    },
+    [state.provider, syncNote, syncNoteEdit, syncNoteDelete, syncTrackTags],
+  )
+
+  const flushPendingChanges = useCallback(() => {
+    if (outboxRoleRef.current === 'leader') return outbox.flush({ force: true })
+    getTabChannel().post(OUTBOX_FLUSH_MESSAGE, null)
+    return Promise.resolve()
+  }, [outbox])
+
+  const resolveNoteConflict = useCallback(
+    /**
+     * @param {string} key
+     * @param {NoteConflictChoice} choice
+     */
+    async (key, choice) => {
+      const conflict = noteConflictsRef.current.find((item) => item.key === key)
+      if (!conflict) return
+      setNoteConflicts((prev) => prev.filter((item) => item.key !== key))
+
+      const copyId = choice === NOTE_CONFLICT_CHOICE.BOTH ? crypto.randomUUID() : undefined
+      const notes = resolveConflictNotes(conflict, choice, copyId)
+      const target = { id: conflict.local.id }
+      dispatchAndShare(playlistActions.replaceNote(conflict.trackId, target, notes))
+
+      if (choice === NOTE_CONFLICT_CHOICE.MINE && notes[0].id) {
+        // Based on the server copy, so a newer change from a third device conflicts again.
+        await settleOutboxResult(
+          enqueueChange({
+            type: 'note:edit',
+            trackId: conflict.trackId,
+            noteId: notes[0].id,
+            base: conflict.remote,
+            next: notes[0],
+          }),
+        )
+      } else if (choice === NOTE_CONFLICT_CHOICE.BOTH && copyId) {
+        const copy = notes[1]
+        await settleOutboxResult(
+          enqueueChange({
+            type: 'note:create',
+            trackId: conflict.trackId,
+            noteId: copyId,
+            body: copy.body,
+            timestampMs: copy.timestampMs ?? null,
+          }),
+        )
+      }
+    },
+    [enqueueChange, dispatchAndShare],
+  )
+
+  // Apply one undo/redo step and send the server the matching change
+  const applyHistoryStep = useCallback(
+    /** @param {HistoryStep} step */
+    (step) => {
+      const current = stateRef.current
+      const action = getStepAction(current, step)
+      if (!action) return
+      const { trackId } = step
+      const logError = (err) => console.error('[undo] sync failed', err)
+
+      switch (step.type) {
+        case 'note:insert': {
+          // Cancel the queued delete; if it already reached the server, save the note again
+          const { note } = step
+          if (note.id && !cancelNoteDelete(note.id)) {
+            const { revision: _revision, ...recreated } = note
+            shareAndApply(playlistActions.restoreNote(trackId, recreated, action.payload.index))
+            syncNote(trackId, note.body, note.timestampMs ?? null, note.id).catch(logError)
+            return
+          }
+          shareAndApply(action)
+          return
+        }
+        case 'note:remove':
+          shareAndApply(action)
+          if (step.note.id) syncNoteDelete(trackId, step.note.id)
+          return
+        case 'note:replace': {
+          const base = (current.notesByTrack[trackId] || []).find((note) => note.id === step.from.id)
+          shareAndApply(action)
+          if (base) syncNoteEdit(trackId, base, action.payload.notes[0]).catch(logError)
+          return
+        }
+        case 'tag:add':
+        case 'tag:remove': {
+          const tags = tagsFor(current, trackId)
+          const { tag } = action.payload
+          const nextTags = step.type === 'tag:add' ? [...tags, tag] : tags.filter((value) => value !== tag)
+          shareAndApply(action)
+          syncTrackTags(trackId, nextTags).catch(logError)
+          return
+        }
       }
-      return sendTagUpdate(trackId, tags)
     },
-    [state.provider, sendTagUpdate, upsertPendingTagUpdate],
+    [shareAndApply, cancelNoteDelete, syncNote, syncNoteDelete, syncNoteEdit, syncTrackTags],
+  )
+
+  const undo = useCallback(
+    /** @param {string} [entryId] */
+    (entryId) => {
+      const taken = takeUndo(historyRef.current, entryId)
+      if (!taken) return null
+      updateHistory(taken.history)
+      applyHistoryStep(getUndoStep(taken.entry))
+      return taken.entry
+    },
+    [applyHistoryStep, updateHistory],
+  )
+
+  const redo = useCallback(() => {
+    const taken = takeRedo(historyRef.current)
+    if (!taken) return null
+    updateHistory(taken.history)
+    applyHistoryStep(getRedoStep(taken.entry))
+    return taken.entry
+  }, [applyHistoryStep, updateHistory])
+
+  const historyValue = useMemo(
+    () => ({ past: history.past, future: history.future, undo, redo }),
+    [history, undo, redo],
   )
 
   // Memoize context value to prevent unnecessary re-renders
-  const syncValue = useMemo(() => ({ syncTrackTags }), [syncTrackTags])
+  const syncValue = useMemo(
+    () => ({
+      syncTrackTags,
+      syncNote,
+      syncNoteEdit,
+      syncNoteDelete,
+      cancelNoteDelete,
+      syncTrackLink,
+      syncNotesDiff,
+      pendingChanges,
+      flushPendingChanges,
+      noteConflicts,
+      resolveNoteConflict,
+    }),
+    [
+      syncTrackTags,
+      syncNote,
+      syncNoteEdit,
+      syncNoteDelete,
+      cancelNoteDelete,
+      syncTrackLink,
+      syncNotesDiff,
+      pendingChanges,
+      flushPendingChanges,
+      noteConflicts,
+      resolveNoteConflict,
+    ],
+  )
 
   return (
     <PlaylistStateContext.Provider value={state}>
-      <PlaylistDispatchContext.Provider value={dispatch}>
+      <PlaylistDispatchContext.Provider value={dispatchAndShare}>
         <PlaylistSyncContext.Provider value={syncValue}>
-          {children}
+          <PlaylistHistoryContext.Provider value={historyValue}>
+            {children}
+          </PlaylistHistoryContext.Provider>
         </PlaylistSyncContext.Provider>
       </PlaylistDispatchContext.Provider>
     </PlaylistStateContext.Provider>
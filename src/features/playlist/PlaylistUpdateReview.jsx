@@ -0,0 +1,89 @@
+/** @typedef {import('../import/usePlaylistImportController.js').PendingPlaylistUpdate} PendingPlaylistUpdate */
+
+const MAX_LISTED = 50
+
+/**
+ * @param {any} track
+ * @returns {string}
+ */
+function trackLabel(track) {
+  const title = typeof track?.title === 'string' && track.title ? track.title : 'Untitled'
+  const artist = typeof track?.artist === 'string' && track.artist ? track.artist : ''
+  return artist ? `${artist} - ${title}` : title
+}
+
+/**
+ * @param {object} props
+ * @param {string} props.heading
+ * @param {Array<{ key: string, label: string }>} props.items
+ */
+function ChangeGroup({ heading, items }) {
+  if (items.length === 0) return null
+  const listed = items.slice(0, MAX_LISTED)
+  const hidden = items.length - listed.length
+  return (
+    <div className="playlist-update__group">
+      <h3 className="playlist-update__group-heading">
+        {heading} ({items.length})
+      </h3>
+      <ul className="playlist-update__list">
+        {listed.map((item) => (
+          <li key={item.key}>{item.label}</li>
+        ))}
+      </ul>
+      {hidden > 0 && <p className="playlist-update__more">and {hidden} more</p>}
+    </div>
+  )
+}
+
+/**
+ * Preview of a "Check for updates" result. Nothing changes until the user applies it.
+ * @param {object} props
+ * @param {PendingPlaylistUpdate} props.update
+ * @param {() => void} props.onApply
+ * @param {() => void} props.onDismiss
+ */
+export default function PlaylistUpdateReview({ update, onApply, onDismiss }) {
+  const { diff, partial, loadedOnly, orphanCount } = update
+  const added = diff.added.map((track, i) => ({ key: `a-${track?.id ?? i}`, label: trackLabel(track) }))
+  const removed = diff.removed.map((track, i) => ({ key: `r-${track?.id ?? i}`, label: trackLabel(track) }))
+  const moved = diff.reordered.map((entry, i) => ({
+    key: `m-${entry.track?.id ?? i}`,
+    label: `${trackLabel(entry.track)} (#${entry.from + 1} to #${entry.to + 1})`,
+  }))
+
+  return (
+    <section className="playlist-update" aria-labelledby="playlist-update-heading">
+      <h2 id="playlist-update-heading" className="playlist-update__heading">
+        Updates available
+      </h2>
+      <ChangeGroup heading="Added" items={added} />
+      <ChangeGroup heading="Removed" items={removed} />
+      <ChangeGroup heading="Moved" items={moved} />
+      {orphanCount > 0 && (
+        <p className="playlist-update__note">
+          Notes and tags on {orphanCount} removed {orphanCount === 1 ? 'track' : 'tracks'} will be kept
+          under "Notes from removed tracks".
+        </p>
+      )}
+      {partial && (
+        <p className="playlist-update__note playlist-update__note--muted">
+          This playlist is too long to check in full, so removed tracks are not listed.
+        </p>
+      )}
+      {loadedOnly && (
+        <p className="playlist-update__note playlist-update__note--muted">
+          Only the tracks loaded so far were compared, so tracks added further down are not listed.
+        </p>
+      )}
+      <div className="playlist-update__actions">
+        <button type="button" className="btn primary" onClick={onApply}>
+          Apply updates
+        </button>
+        <button type="button" className="btn" onClick={onDismiss}>
+          Cancel
+        </button>
+      </div>
+    </section>
+  )
+}
@@ -1,12 +1,19 @@
-﻿import { useCallback, useEffect, useLayoutEffect, useMemo, useRef } from 'react'
+﻿import { useCallback, useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react'
 import { useVirtualizer } from '@tanstack/react-virtual'
 import focusById, { focusElement } from '../../utils/focusById.js'
 import SearchFilterBar from '../filter/SearchFilterBar.jsx'
+import SavedFilterChips from '../filter/SavedFilterChips.jsx'
 import useTrackFilter from '../filter/useTrackFilter.js'
 import { SORT_KEY } from '../filter/filterTracks.js'
+import { SearchHighlightContext } from '../filter/highlightContext.js'
 import { DEBUG_FOCUS, debugFocus } from '../../utils/debug.js'
 import TrackCard from './TrackCard.jsx'
 import ScrollArea from '../../components/ScrollArea.jsx'
+import PlaylistUpdateReview from './PlaylistUpdateReview.jsx'
+import OrphanedNotesPanel from './OrphanedNotesPanel.jsx'
+import TrackLinksPanel from '../identity/TrackLinksPanel.jsx'
+import useTrackKeybindings from '../keyboard/useTrackKeybindings.js'
+import useRegisterCommands from '../commands/useRegisterCommands.js'
 
 /** @typedef {import('../import/usePlaylistImportController.js').BackgroundSyncState} BackgroundSyncState */
 
@@ -68,14 +75,24 @@ function resolveVirtualizationPreference(trackCount) {
  * @param {(trackId: string|number) => void} props.onSaveNote
  * @param {() => void} props.onCancelNote
  * @param {(trackId: string|number, noteIndex: number) => void} props.onDeleteNote
+ * @param {(trackId: string|number, noteIndex: number, draft: string) => Promise<boolean> | boolean} [props.onEditNote]
  * @param {(trackId: string|number, tag: string) => boolean | { success: boolean, error?: string }} props.onAddTag
  * @param {(trackId: string|number, tag: string) => void} props.onRemoveTag
  * @param {(pendingId: string) => void} props.onUndo
  * @param {(pendingId: string) => void} props.onDismissUndo
  * @param {() => void} props.onReimport
+ * @param {() => void} [props.onCheckForUpdates]
+ * @param {boolean} [props.showCheckUpdatesSpinner]
+ * @param {import('../import/usePlaylistImportController.js').PendingPlaylistUpdate | null} [props.pendingUpdate]
+ * @param {() => void} [props.onApplyUpdate]
+ * @param {() => void} [props.onDismissUpdate]
+ * @param {import('./playlistDiff.js').OrphanedTrack[]} [props.orphanedTracks]
+ * @param {ReturnType<typeof import('../identity/useTrackLinking.js').default>} [props.trackLinking] - Cross-provider link suggestions and handlers
  * @param {() => void} props.onClear
  * @param {() => void} props.onBack
  * @param {boolean} props.canReimport
+ * @param {boolean} [props.isDaylistSnapshot] - Frozen daylist copy; labels the import chip as a capture
+ * @param {() => void} [props.onSnapshotDaylist] - When set, shows "Snapshot daylist"
  * @param {import('react').RefObject<HTMLButtonElement>} props.reimportBtnRef
  * @param {import('react').RefObject<HTMLButtonElement>} props.loadMoreBtnRef
  * @param {() => void} props.onLoadMore
@@ -86,6 +103,10 @@ function resolveVirtualizationPreference(trackCount) {
  * @param {import('../import/usePlaylistImportController.js').CachedViewInfo | null} [props.cachedViewInfo]
  * @param {BackgroundSyncState} [props.backgroundSync]
  * @param {{ reason: string|null, ts: number }} [props.focusContext]
+ * @param {{ trackId: string, ts: number } | null} [props.trackFocusRequest] - Scroll to and focus
+ *   this track, e.g. when a link points at it. Filters hiding the track are cleared first.
+ * @param {import('../keyboard/keymap.js').Keymap | null} [props.keymap] - Single-key shortcuts
+ *   for moving between tracks and editing them; off when not provided
  * @param {boolean} props.hasDiscoveredTimestamp
  * @param {boolean} [props.skipFocusManagement] - When true, the filter-aware focus management
  *   effect will not run. This is a one-shot guard used during initial imports to prevent
@@ -117,14 +138,24 @@ export default function PlaylistView({
   onSaveNote,
   onCancelNote,
   onDeleteNote,
+  onEditNote,
   onAddTag,
   onRemoveTag,
   onUndo,
   onDismissUndo,
   onReimport,
+  onCheckForUpdates,
+  showCheckUpdatesSpinner = false,
+  pendingUpdate = null,
+  onApplyUpdate,
+  onDismissUpdate,
+  orphanedTracks = [],
+  trackLinking,
   onClear,
   onBack,
   canReimport,
+  isDaylistSnapshot = false,
+  onSnapshotDaylist,
   reimportBtnRef,
   loadMoreBtnRef,
   onLoadMore,
@@ -134,6 +165,8 @@ export default function PlaylistView({
   hasDiscoveredTimestamp,
   backgroundSync = DEFAULT_BACKGROUND_SYNC,
   focusContext,
+  trackFocusRequest = null,
+  keymap = null,
   skipFocusManagement = false,
   onFirstVisibleTrackChange,
   initialSyncStatus,
@@ -218,6 +251,8 @@ export default function PlaylistView({
   const {
     query,
     setQuery,
+    queryErrors,
+    highlightTerms,
     scope,
     setScope,
     sort,
@@ -236,14 +271,22 @@ export default function PlaylistView({
     canRestoreFilters,
     restoreFilters,
     dismissRestoreFilters,
+    applyFilters,
+    countMatches,
   } = useTrackFilter({
     tracks,
     provider: importMeta?.provider ?? null,
     playlistId: importMeta?.playlistId ?? null,
     snapshotId: importMeta?.snapshotId ?? null,
     announce,
+    syncWithUrl: true,
   })
 
+  const filterState = useMemo(
+    () => ({ query, scope, sort, selectedTags, hasNotesOnly }),
+    [query, scope, sort, selectedTags, hasNotesOnly],
+  )
+
   const virtualizationEnabled = virtualizationPreference && filteredTracks.length > 0
   const estimateTrackSize = useCallback(() => 172, [])
   const getVirtualItemKey = useCallback(
@@ -392,6 +435,111 @@ export default function PlaylistView({
     [filteredTracks, virtualizer, virtualizationEnabled],
   )
 
+  const scrollToTrackIndex = useCallback(
+    (index) => virtualizer.scrollToIndex(index, { align: 'auto' }),
+    [virtualizer],
+  )
+  const { runTrackAction } = useTrackKeybindings({
+    keymap,
+    tracks: filteredTracks,
+    scrollToIndex: virtualizationEnabled ? scrollToTrackIndex : null,
+    onAddNote,
+    readOnly: isDemoPlaylist,
+    searchInputRef,
+    announce,
+  })
+
+  // Jumps picked in the command palette go through the same path as deep links
+  const [paletteFocusRequest, setPaletteFocusRequest] = useState(
+    /** @type {{ trackId: string, ts: number } | null} */ (null),
+  )
+  const activeFocusRequest =
+    paletteFocusRequest && (!trackFocusRequest || paletteFocusRequest.ts > trackFocusRequest.ts)
+      ? paletteFocusRequest
+      : trackFocusRequest
+
+  const trackCommands = useMemo(
+    () =>
+      (Array.isArray(tracks) ? tracks : []).map((track) => ({
+        id: `track:${track.id}`,
+        title: track.title,
+        hint: track.artist,
+        group: isPodcastMode ? 'Episodes' : 'Tracks',
+        searchOnly: true,
+        run: () => setPaletteFocusRequest({ trackId: String(track.id), ts: Date.now() }),
+      })),
+    [tracks, isPodcastMode],
+  )
+  useRegisterCommands(trackCommands)
+
+  const viewCommands = useMemo(() => {
+    /** @type {import('../commands/commandRegistry.js').Command[]} */
+    const commands = [
+      {
+        id: 'view:search',
+        title: 'Search tracks and notes',
+        group: 'Playlist',
+        run: () => runTrackAction('focusSearch'),
+      },
+    ]
+    if (hasActiveFilters) {
+      commands.push({ id: 'view:clear-filters', title: 'Clear filters', group: 'Playlist', run: clearFilters })
+    }
+    if (!isDemoPlaylist) {
+      commands.push(
+        {
+          id: 'track:add-note',
+          title: 'Add a note to the current track',
+          group: 'Current track',
+          run: () => runTrackAction('addNote'),
+        },
+        {
+          id: 'track:add-tag',
+          title: 'Add a tag to the current track',
+          group: 'Current track',
+          run: () => runTrackAction('addTag'),
+        },
+        {
+          id: 'track:edit-last-note',
+          title: 'Edit the last note on the current track',
+          group: 'Current track',
+          run: () => runTrackAction('editLastNote'),
+        },
+      )
+    }
+    return commands
+  }, [runTrackAction, hasActiveFilters, clearFilters, isDemoPlaylist])
+  useRegisterCommands(viewCommands)
+
+  const handledTrackFocusTsRef = useRef(/** @type {number | null} */ (null))
+  useEffect(() => {
+    if (!activeFocusRequest || handledTrackFocusTsRef.current === activeFocusRequest.ts) return
+    const { trackId } = activeFocusRequest
+    const visible = filteredTracks.some((track) => String(track.id) === trackId)
+    if (!visible) {
+      // Runs again once the cleared filters show the track
+      if (hasActiveFilters) clearFilters()
+      else handledTrackFocusTsRef.current = activeFocusRequest.ts
+      return
+    }
+    handledTrackFocusTsRef.current = activeFocusRequest.ts
+    const targetIndex = filteredTracks.findIndex((track) => String(track.id) === trackId)
+    if (virtualizationEnabled && virtualizer) {
+      virtualizer.scrollToIndex(targetIndex, { align: 'start' })
+    }
+    // Wait for App's own post-load focus (the heading) before taking over
+    const frame = () =>
+      typeof window.requestAnimationFrame === 'function'
+        ? new Promise((resolve) => window.requestAnimationFrame(resolve))
+        : Promise.resolve()
+    void frame()
+      .then(frame)
+      .then(() => {
+        document.getElementById(`track-${trackId}`)?.scrollIntoView?.({ block: 'center' })
+        focusById(`add-note-btn-${trackId}`)
+      })
+  }, [activeFocusRequest, filteredTracks, hasActiveFilters, clearFilters, virtualizationEnabled, virtualizer])
+
   // Filter-aware focus management: restore focus when current track is hidden by filters.
   // IMPORTANT: This effect must not run when skipFocusManagement is true. During initial
   // imports, App sets this flag to prevent PlaylistView from interfering with its own
@@ -504,6 +652,7 @@ export default function PlaylistView({
           onSaveNote={onSaveNote}
           onCancelNote={onCancelNote}
           onDeleteNote={onDeleteNote}
+          onEditNote={onEditNote}
           onAddTag={onAddTag}
           onRemoveTag={onRemoveTag}
           stockTags={stockTags}
@@ -526,6 +675,7 @@ export default function PlaylistView({
       onCancelNote,
       onDeleteNote,
       onDismissUndo,
+      onEditNote,
       onDraftChange,
       onRemoveTag,
       onSaveNote,
@@ -576,7 +726,9 @@ export default function PlaylistView({
           </h1>
           {importedAt && (
             <span className="chip">
-              {totalCount} tracks - imported {new Date(importedAt).toLocaleDateString()}{' '}
+              {isDaylistSnapshot ? 'Daylist snapshot - ' : ''}
+              {totalCount} tracks - {isDaylistSnapshot ? 'captured' : 'imported'}{' '}
+              {new Date(importedAt).toLocaleDateString()}{' '}
               {new Date(importedAt).toLocaleTimeString()}
             </span>
           )}
@@ -595,6 +747,29 @@ export default function PlaylistView({
               {showReimportSpinner ? 'Re-importing...' : 'Re-import'}
             </button>
           )}
+          {canReimport && !isDemoPlaylist && onCheckForUpdates && (
+            <button
+              type="button"
+              className="btn"
+              onClick={onCheckForUpdates}
+              aria-label={`Check this ${viewLabel} for updates`}
+              disabled={isAnyImportBusy}
+              aria-busy={showCheckUpdatesSpinner ? 'true' : 'false'}
+            >
+              {showCheckUpdatesSpinner ? 'Checking...' : 'Check for updates'}
+            </button>
+          )}
+          {onSnapshotDaylist && !isDemoPlaylist && (
+            <button
+              type="button"
+              className="btn"
+              onClick={onSnapshotDaylist}
+              disabled={isAnyImportBusy || backgroundSync?.status === 'loading'}
+              title="Save a copy of this daylist that won't change when Spotify updates it"
+            >
+              Snapshot daylist
+            </button>
+          )}
           {!isDemoPlaylist && (
             <button type="button" className="btn" onClick={onClear} aria-label="Clear all data">
               Clear
@@ -606,9 +781,22 @@ export default function PlaylistView({
         </div>
       </div>
 
+      {pendingUpdate && onApplyUpdate && onDismissUpdate && (
+        <PlaylistUpdateReview update={pendingUpdate} onApply={onApplyUpdate} onDismiss={onDismissUpdate} />
+      )}
+
+      <SavedFilterChips
+        filterState={filterState}
+        hasActiveFilters={hasActiveFilters}
+        onApply={applyFilters}
+        countMatches={countMatches}
+        announce={announce}
+      />
+
       <SearchFilterBar
         query={query}
         onQueryChange={setQuery}
+        queryErrors={queryErrors}
         scope={scope}
         onScopeChange={setScope}
         sort={sort}
@@ -636,6 +824,7 @@ export default function PlaylistView({
         saveKey={scrollSaveKey}
         className="scroll-area--playlist"
       >
+      <SearchHighlightContext.Provider value={highlightTerms}>
       {showInitialSyncBanner && (
         <div
           role="status"
@@ -673,6 +862,18 @@ export default function PlaylistView({
         </div>
       )}
 
+      {!isDemoPlaylist && <OrphanedNotesPanel orphans={orphanedTracks} />}
+
+      {!isDemoPlaylist && trackLinking && (
+        <TrackLinksPanel
+          tracks={tracks}
+          suggestions={trackLinking.suggestions}
+          onConfirm={trackLinking.confirmLink}
+          onDismiss={trackLinking.dismissLink}
+          onBreak={trackLinking.breakLink}
+        />
+      )}
+
       {isDemoPlaylist && (
         <div
           role="status"
@@ -912,6 +1113,7 @@ export default function PlaylistView({
           )}
         </div>
       )}
+      </SearchHighlightContext.Provider>
       </ScrollArea>
     </section>
   )
@@ -9,6 +9,7 @@ import {
   useId,
 } from 'react'
 import NoteList from './NoteList.jsx'
+import HighlightedText from '../filter/HighlightedText.jsx'
 import { extractTimestamp, formatTimestampMs, formatTimestampRange } from './noteTimestamps.js'
 import TagChip from '../tags/TagChip.jsx'
 import TagInput from '../tags/TagInput.jsx'
@@ -32,6 +33,7 @@ const TIMESTAMP_HINT_TEXT = 'Tip: Type “:30” or “1:05” to timestamp a mo
  * @property {(trackId: string|number) => void} onSaveNote
  * @property {() => void} onCancelNote
  * @property {(trackId: string|number, noteIndex: number) => void} onDeleteNote
+ * @property {(trackId: string|number, noteIndex: number, draft: string) => Promise<boolean> | boolean} [onEditNote]
  * @property {(trackId: string|number, tag: string) => boolean | { success: boolean, error?: string, tag?: string }} onAddTag
  * @property {(trackId: string|number, tag: string) => void} onRemoveTag
  * @property {string[]} stockTags
@@ -70,6 +72,7 @@ const TIMESTAMP_HINT_TEXT = 'Tip: Type “:30” or “1:05” to timestamp a mo
  * @param {(trackId: string|number) => void} props.onSaveNote
  * @param {() => void} props.onCancelNote
  * @param {(trackId: string|number, noteIndex: number) => void} props.onDeleteNote
+ * @param {(trackId: string|number, noteIndex: number, draft: string) => Promise<boolean> | boolean} [props.onEditNote]
  * @param {(trackId: string|number, tag: string) => boolean | { success: boolean, error?: string, tag?: string }} props.onAddTag
  * @param {(trackId: string|number, tag: string) => void} props.onRemoveTag
  * @param {string[]} props.stockTags
@@ -94,6 +97,7 @@ const TrackCardComponent = forwardRef(function TrackCard(
     onSaveNote,
     onCancelNote,
     onDeleteNote,
+    onEditNote,
     onAddTag,
     onRemoveTag,
     stockTags = [],
@@ -386,7 +390,7 @@ const TrackCardComponent = forwardRef(function TrackCard(
               <span className="sr-only">Track {index + 1}</span>
               <span aria-hidden="true">{index + 1}.</span>
               <span id={`title-${track.id}`} style={{ minWidth: 0, overflow: 'hidden', textOverflow: 'ellipsis' }}>
-                {track.title}
+                <HighlightedText text={track.title} field="title" />
               </span>
               <span className="sr-only">by {track.artist}</span>
               <span aria-hidden="true">- {track.artist}</span>
@@ -452,6 +456,7 @@ const TrackCardComponent = forwardRef(function TrackCard(
               type="button"
               ref={addTagBtnRef}
               className="tag-chip tag-chip--add"
+              data-shortcut="add-tag"
               onClick={startAddTag}
               onKeyDown={handleAddButtonKeyDown}
             >
@@ -471,6 +476,7 @@ const TrackCardComponent = forwardRef(function TrackCard(
         placeholders={placeholders}
         isPending={isPending}
         onDeleteNote={(noteIndex) => onDeleteNote(track.id, noteIndex)}
+        onEditNote={onEditNote ? (noteIndex, draft) => onEditNote(track.id, noteIndex, draft) : undefined}
         onUndo={onUndo}
         onDismissUndo={onDismissUndo}
         readOnly={readOnly}
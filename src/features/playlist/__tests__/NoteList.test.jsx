@@ -1,6 +1,7 @@
 import { describe, expect, it, vi } from 'vitest'
-import { render, screen } from '@testing-library/react'
+import { fireEvent, render, screen, waitFor } from '@testing-library/react'
 import NoteList from '../NoteList.jsx'
+import { SearchHighlightContext } from '../../filter/highlightContext.js'
 import { makeNote } from '../../../test-utils/noteHelpers.js'
 
 const noop = () => {}
@@ -28,6 +29,18 @@ describe('NoteList', () => {
     expect(label.textContent).toContain('2025')
   })
 
+  it('highlights words that matched the search in note bodies', () => {
+    const note = makeNote('Chop the intro loop')
+    render(
+      <SearchHighlightContext.Provider value={{ title: new Set(), notes: new Set(['chop', 'loop']) }}>
+        <NoteList {...baseProps} notes={[note]} />
+      </SearchHighlightContext.Provider>,
+    )
+
+    expect(screen.getByRole('listitem')).toHaveTextContent('- Chop the intro loop')
+    expect(screen.getAllByText(/^(Chop|loop)$/).map((node) => node.tagName)).toEqual(['MARK', 'MARK'])
+  })
+
   it('does not render createdAt label when missing', () => {
     const note = makeNote('No timestamp', { createdAt: 0 })
     delete note.createdAt
@@ -44,4 +57,25 @@ describe('NoteList', () => {
 
     expect(screen.getByText(/\[0:30–1:30\]/)).toBeInTheDocument()
   })
+
+  it('edits a note inline and prefills its timestamp', async () => {
+    const onEditNote = vi.fn().mockResolvedValue(true)
+    const note = makeNote('Kick is muddy', { timestampMs: 92000 })
+    render(<NoteList {...baseProps} notes={[note]} onEditNote={onEditNote} />)
+
+    fireEvent.click(screen.getByRole('button', { name: 'Edit note 1 for Track One' }))
+    const input = screen.getByRole('textbox', { name: 'Edit note 1 for Track One' })
+    expect(input).toHaveValue('1:32 Kick is muddy')
+
+    fireEvent.change(input, { target: { value: '1:32 Kick is muddy, cut 200Hz' } })
+    fireEvent.keyDown(input, { key: 'Enter' })
+
+    expect(onEditNote).toHaveBeenCalledWith(0, '1:32 Kick is muddy, cut 200Hz')
+    await waitFor(() => expect(screen.queryByRole('textbox')).toBeNull())
+  })
+
+  it('hides the edit button without an edit handler', () => {
+    render(<NoteList {...baseProps} notes={[makeNote('Read only')]} />)
+    expect(screen.queryByRole('button', { name: /Edit note/ })).toBeNull()
+  })
 })
@@ -1,10 +1,12 @@
 // src/features/playlist/__tests__/PlaylistProvider.test.jsx
 
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
-import { render, screen, waitFor } from '@testing-library/react'
+import { act, render, screen, waitFor } from '@testing-library/react'
 import { PlaylistStateProvider } from '../PlaylistProvider.jsx'
-import { usePlaylistState, usePlaylistDispatch, usePlaylistSync } from '../usePlaylistContext.js'
+import { usePlaylistState, usePlaylistDispatch, usePlaylistSync, usePlaylistHistory } from '../usePlaylistContext.js'
 import { initialPlaylistState } from '../playlistReducer.js'
+import { playlistActions } from '../actions.js'
+import { TAB_ID, createTabChannel } from '../../sync/tabChannel.js'
 import { noteBodies } from '../../../test-utils/noteHelpers.js'
 
 // Mock dependencies
@@ -25,19 +27,13 @@ vi.mock('../../../utils/notesTagsData.js', async (importOriginal) => {
   }
 })
 
-vi.mock('../../tags/tagSyncQueue.js', () => ({
-  createTagSyncScheduler: vi.fn()
-}))
-
 // Import mocked modules after mocking
 import { apiFetch } from '../../../lib/apiClient.js'
 import { groupRemoteNotes } from '../../../utils/notesTagsData.js'
-import { createTagSyncScheduler } from '../../tags/tagSyncQueue.js'
 import { notifyDeviceContextStale } from '../../../lib/deviceState.js'
 
 const mockedApiFetch = vi.mocked(apiFetch)
 const mockedGroupRemoteNotes = vi.mocked(groupRemoteNotes)
-const mockedCreateTagSyncScheduler = vi.mocked(createTagSyncScheduler)
 const mockedNotifyDeviceContextStale = vi.mocked(notifyDeviceContextStale)
 
 const makeResolvedResponse = (overrides = {}) => ({
@@ -46,7 +42,7 @@ const makeResolvedResponse = (overrides = {}) => ({
   ...overrides,
 })
 
-const getTagQueueKey = (deviceId) => `sta:pending-tag-sync:${deviceId}`
+const OUTBOX_KEY = 'sta:outbox'
 
 describe('PlaylistProvider', () => {
   beforeEach(() => {
@@ -63,9 +59,6 @@ describe('PlaylistProvider', () => {
     mockedApiFetch.mockResolvedValue(mockResponse)
     
     mockedGroupRemoteNotes.mockReturnValue({ notes: {}, tags: {} })
-    
-    const mockScheduler = { schedule: vi.fn().mockResolvedValue(undefined), clear: vi.fn() }
-    mockedCreateTagSyncScheduler.mockReturnValue(mockScheduler)
   })
 
   afterEach(() => {
@@ -489,22 +482,26 @@ describe('PlaylistProvider', () => {
     })
   })
 
-  describe('Persistent Tag Queue', () => {
-    it('persists tag updates until sync succeeds', async () => {
-      const storageKey = getTagQueueKey('device-1')
-      mockedCreateTagSyncScheduler.mockReturnValue(null)
-
-      const postResponse = /** @type {Response} */ (/** @type {unknown} */ (makeResolvedResponse()))
-      mockedApiFetch.mockResolvedValue(postResponse)
-
-      function TestChild() {
-        const { syncTrackTags } = usePlaylistSync()
+  describe('Outbox: tag sync', () => {
+    /** @param {{ onResult?: (value: any) => void, onError?: (err: any) => void }} [handlers] */
+    function makeTagSyncChild({ onResult, onError } = {}) {
+      return function TestChild() {
+        const { syncTrackTags, pendingChanges } = usePlaylistSync()
+        const handleSync = () => {
+          syncTrackTags('t1', ['tag1']).then(onResult, onError ?? (() => {}))
+        }
         return (
-          <button onClick={() => syncTrackTags('t1', ['tag1'])}>
-            Sync
-          </button>
+          <>
+            <button onClick={handleSync}>Sync</button>
+            <span data-testid="pending">{pendingChanges}</span>
+          </>
         )
       }
+    }
+
+    it('persists tag updates until sync succeeds', async () => {
+      mockedApiFetch.mockResolvedValue(/** @type {Response} */ (/** @type {unknown} */ (makeResolvedResponse())))
+      const TestChild = makeTagSyncChild()
 
       render(
         <PlaylistStateProvider 
@@ -515,26 +512,56 @@ describe('PlaylistProvider', () => {
         </PlaylistStateProvider>
       )
 
-      const button = screen.getByText('Sync')
-      button.click()
+      screen.getByText('Sync').click()
 
-      const rawQueue = window.localStorage.getItem(storageKey)
-      expect(rawQueue).toContain('"trackId":"t1"')
+      expect(window.localStorage.getItem(OUTBOX_KEY)).toContain('"trackId":"t1"')
 
       await waitFor(() => {
-        expect(window.localStorage.getItem(storageKey)).toBeNull()
+        expect(window.localStorage.getItem(OUTBOX_KEY)).toBeNull()
       })
+      expect(mockedApiFetch).toHaveBeenCalledWith(
+        '/api/db/notes',
+        expect.objectContaining({
+          method: 'POST',
+          body: JSON.stringify({ trackId: 't1', tags: ['tag1'] }),
+          headers: { 'Idempotency-Key': expect.any(String) },
+        }),
+      )
     })
 
-    it('retains pending entries when sync fails', async () => {
-      const storageKey = getTagQueueKey('device-1')
-      mockedCreateTagSyncScheduler.mockReturnValue(null)
-      mockedApiFetch.mockRejectedValue(new Error('offline'))
+    it('keeps tag updates queued and counted when the network is down', async () => {
+      const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {})
+      mockedApiFetch.mockRejectedValue(new TypeError('Failed to fetch'))
+      const onResult = vi.fn()
+      const TestChild = makeTagSyncChild({ onResult })
+
+      render(
+        <PlaylistStateProvider 
+          initialState={initialPlaylistState} 
+          anonContext={{ deviceId: 'device-1', anonId: null }}
+        >
+          <TestChild />
+        </PlaylistStateProvider>
+      )
+
+      screen.getByText('Sync').click()
+
+      await waitFor(() => {
+        expect(onResult).toHaveBeenCalled()
+      })
+      expect(window.localStorage.getItem(OUTBOX_KEY)).toContain('"trackId":"t1"')
+      expect(screen.getByTestId('pending')).toHaveTextContent('1')
+      consoleError.mockRestore()
+    })
+
+    it('sends one request for rapid updates to the same track', async () => {
+      mockedApiFetch.mockResolvedValue(/** @type {Response} */ (/** @type {unknown} */ (makeResolvedResponse())))
 
       function TestChild() {
         const { syncTrackTags } = usePlaylistSync()
         const handleSync = () => {
-          syncTrackTags('t1', ['offline']).catch(() => {})
+          syncTrackTags('t1', ['a'])
+          syncTrackTags('t1', ['a', 'b'])
         }
         return <button onClick={handleSync}>Sync</button>
       }
@@ -548,19 +575,60 @@ describe('PlaylistProvider', () => {
         </PlaylistStateProvider>
       )
 
-      const button = screen.getByText('Sync')
-      button.click()
+      screen.getByText('Sync').click()
 
       await waitFor(() => {
-        expect(window.localStorage.getItem(storageKey)).toContain('"trackId":"t1"')
+        expect(window.localStorage.getItem(OUTBOX_KEY)).toBeNull()
+      })
+      const tagPosts = mockedApiFetch.mock.calls.filter(([, init]) => init?.method === 'POST')
+      expect(tagPosts).toHaveLength(1)
+      expect(tagPosts[0][1]?.body).toBe(JSON.stringify({ trackId: 't1', tags: ['a', 'b'] }))
+    })
+
+    it('holds changes until a device is linked', async () => {
+      mockedApiFetch.mockResolvedValue(/** @type {Response} */ (/** @type {unknown} */ (makeResolvedResponse())))
+      const TestChild = makeTagSyncChild()
+
+      const { rerender } = render(
+        <PlaylistStateProvider 
+          initialState={initialPlaylistState} 
+          anonContext={{ deviceId: null, anonId: null }}
+        >
+          <TestChild />
+        </PlaylistStateProvider>
+      )
+
+      screen.getByText('Sync').click()
+      await new Promise((resolve) => setTimeout(resolve, 400))
+      expect(mockedApiFetch).not.toHaveBeenCalled()
+      expect(screen.getByTestId('pending')).toHaveTextContent('1')
+
+      rerender(
+        <PlaylistStateProvider 
+          initialState={initialPlaylistState} 
+          anonContext={{ deviceId: 'device-1', anonId: null }}
+        >
+          <TestChild />
+        </PlaylistStateProvider>
+      )
+
+      await waitFor(() => {
+        expect(mockedApiFetch).toHaveBeenCalledWith(
+          '/api/db/notes',
+          expect.objectContaining({ method: 'POST', body: JSON.stringify({ trackId: 't1', tags: ['tag1'] }) }),
+        )
+      }, { timeout: 2000 })
+      await waitFor(() => {
+        expect(screen.getByTestId('pending')).toHaveTextContent('0')
       })
     })
 
     it('flushes persisted queue on mount', async () => {
-      const storageKey = getTagQueueKey('device-1')
       window.localStorage.setItem(
-        storageKey,
-        JSON.stringify([{ trackId: 't1', tags: ['pending'], updatedAt: Date.now() }]),
+        OUTBOX_KEY,
+        JSON.stringify([
+          { type: 'tags:set', trackId: 't1', tags: ['pending'], key: 'k-1', queuedAt: Date.now(), attempts: 0, retryAt: 0 },
+        ]),
       )
 
       mockedApiFetch.mockImplementation((url, init = {}) => {
@@ -591,107 +659,64 @@ describe('PlaylistProvider', () => {
           '/api/db/notes',
           expect.objectContaining({
             method: 'POST',
+            headers: { 'Idempotency-Key': 'k-1' },
             body: JSON.stringify({ trackId: 't1', tags: ['pending'] }),
           }),
         )
       })
 
       await waitFor(() => {
-        expect(window.localStorage.getItem(storageKey)).toBeNull()
+        expect(window.localStorage.getItem(OUTBOX_KEY)).toBeNull()
       })
     })
-  })
 
-  describe('Tag Sync Scheduler', () => {
-    it('creates scheduler when deviceId is available', () => {
-      const mockScheduler = { schedule: vi.fn(), clear: vi.fn() }
-      mockedCreateTagSyncScheduler.mockReturnValue(mockScheduler)
-
-      function TestChild() {
-        return <div>Test</div>
-      }
-
-      render(
-        <PlaylistStateProvider 
-          initialState={initialPlaylistState} 
-          anonContext={{ deviceId: 'device-1', anonId: 'anon-1' }}
-        >
-          <TestChild />
-        </PlaylistStateProvider>
+    it('adopts the older tag and delete queues', async () => {
+      window.localStorage.setItem(
+        'sta:pending-tag-sync:device-1',
+        JSON.stringify([{ trackId: 't1', tags: ['legacy'], updatedAt: Date.now() }]),
       )
-
-      expect(mockedCreateTagSyncScheduler).toHaveBeenCalledWith(expect.any(Function), 350)
-    })
-
-    it('does not create scheduler when deviceId is null', () => {
-      function TestChild() {
-        return <div>Test</div>
-      }
-
-      render(
-        <PlaylistStateProvider 
-          initialState={initialPlaylistState} 
-          anonContext={{ deviceId: null, anonId: 'anon-1' }}
-        >
-          <TestChild />
-        </PlaylistStateProvider>
+      window.localStorage.setItem(
+        'sta:pending-note-deletes',
+        JSON.stringify([{ noteId: 'n-9', trackId: 't2', queuedAt: Date.now() }]),
       )
-
-      expect(mockedCreateTagSyncScheduler).not.toHaveBeenCalled()
-    })
-
-    it('syncTrackTags calls scheduler.schedule when scheduler exists', async () => {
-      const mockScheduler = { 
-        schedule: vi.fn().mockResolvedValue(undefined), 
-        clear: vi.fn() 
-      }
-      mockedCreateTagSyncScheduler.mockReturnValue(mockScheduler)
-
-      function TestChild() {
-        const { syncTrackTags } = usePlaylistSync()
-        return (
-          <button onClick={() => syncTrackTags('t1', ['tag1'])}>
-            Sync
-          </button>
-        )
-      }
+      mockedApiFetch.mockResolvedValue(/** @type {Response} */ (/** @type {unknown} */ (makeResolvedResponse())))
 
       render(
         <PlaylistStateProvider 
           initialState={initialPlaylistState} 
-          anonContext={{ deviceId: 'device-1', anonId: 'anon-1' }}
+          anonContext={{ deviceId: 'device-1', anonId: null }}
         >
-          <TestChild />
+          <div>Test</div>
         </PlaylistStateProvider>
       )
 
-      const button = screen.getByText('Sync')
-      button.click()
-
       await waitFor(() => {
-        expect(mockScheduler.schedule).toHaveBeenCalledWith('t1', ['tag1'])
+        expect(mockedApiFetch).toHaveBeenCalledWith(
+          '/api/db/notes?noteId=n-9',
+          expect.objectContaining({ method: 'DELETE' }),
+        )
+        expect(mockedApiFetch).toHaveBeenCalledWith(
+          '/api/db/notes',
+          expect.objectContaining({ body: JSON.stringify({ trackId: 't1', tags: ['legacy'] }) }),
+        )
       })
+      expect(window.localStorage.getItem('sta:pending-tag-sync:device-1')).toBeNull()
+      expect(window.localStorage.getItem('sta:pending-note-deletes')).toBeNull()
     })
+  })
 
-    it('syncTrackTags falls back to sendTagUpdate when no scheduler', async () => {
-      const mockResponse = /** @type {Response} */ (/** @type {unknown} */ ({
-        ok: true
-      }))
-      mockedApiFetch.mockResolvedValue(mockResponse)
-      
-      // No scheduler when deviceId is null
-      mockedCreateTagSyncScheduler.mockReturnValue(null)
+  describe('Outbox: notes', () => {
+    it('cancels a queued delete on undo, or reports that it was already sent', async () => {
+      mockedApiFetch.mockResolvedValue(/** @type {Response} */ (/** @type {unknown} */ (makeResolvedResponse())))
+      /** @type {ReturnType<typeof usePlaylistSync> | null} */
+      let sync = null
 
       function TestChild() {
-        const { syncTrackTags } = usePlaylistSync()
-        return (
-          <button onClick={() => syncTrackTags('t1', ['tag1'])}>
-            Sync
-          </button>
-        )
+        sync = usePlaylistSync()
+        return null
       }
 
-      const { rerender } = render(
+      render(
         <PlaylistStateProvider 
           initialState={initialPlaylistState} 
           anonContext={{ deviceId: null, anonId: null }}
@@ -699,61 +724,30 @@ describe('PlaylistProvider', () => {
           <TestChild />
         </PlaylistStateProvider>
       )
-      
-      // Now update to have deviceId (but still no scheduler)
-      rerender(
-        <PlaylistStateProvider 
-          initialState={initialPlaylistState} 
-          anonContext={{ deviceId: 'device-1', anonId: null }}
-        >
-          <TestChild />
-        </PlaylistStateProvider>
-      )
-
-      const button = screen.getByText('Sync')
-      button.click()
-
-      await waitFor(() => {
-        expect(mockedApiFetch).toHaveBeenCalledWith('/api/db/notes', {
-          method: 'POST',
-          body: JSON.stringify({ trackId: 't1', tags: ['tag1'] })
-        })
-      }, { timeout: 2000 })
-    })
-
-    it('clears scheduler on unmount', () => {
-      const mockScheduler = { schedule: vi.fn(), clear: vi.fn() }
-      mockedCreateTagSyncScheduler.mockReturnValue(mockScheduler)
-
-      function TestChild() {
-        return <div>Test</div>
-      }
-
-      const { unmount } = render(
-        <PlaylistStateProvider 
-          initialState={initialPlaylistState} 
-          anonContext={{ deviceId: 'device-1', anonId: 'anon-1' }}
-        >
-          <TestChild />
-        </PlaylistStateProvider>
-      )
-
-      unmount()
 
-      expect(mockScheduler.clear).toHaveBeenCalled()
+      act(() => sync?.syncNoteDelete('t1', 'n1'))
+      let cancelled
+      act(() => {
+        cancelled = sync?.cancelNoteDelete('n1')
+      })
+      expect(cancelled).toBe(true)
+      act(() => {
+        cancelled = sync?.cancelNoteDelete('n1')
+      })
+      expect(cancelled).toBe(false)
+      expect(window.localStorage.getItem(OUTBOX_KEY)).toBeNull()
     })
   })
 
   describe('Error Propagation', () => {
-    it('sendTagUpdate throws on non-OK response', async () => {
+    it('rejects when the server refuses a tag update', async () => {
       const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {})
       const mockResponse = /** @type {Response} */ (/** @type {unknown} */ ({
-        ok: false
+        ok: false,
+        status: 400,
+        json: vi.fn().mockResolvedValue({ error: 'Invalid tags' }),
       }))
       mockedApiFetch.mockResolvedValue(mockResponse)
-      
-      // No scheduler, so syncTrackTags will call sendTagUpdate directly
-      mockedCreateTagSyncScheduler.mockReturnValue(null)
 
       let thrownError = null
 
@@ -778,55 +772,14 @@ describe('PlaylistProvider', () => {
         </PlaylistStateProvider>
       )
 
-      const button = screen.getByText('Sync')
-      button.click()
+      screen.getByText('Sync').click()
 
       await waitFor(() => {
         expect(thrownError).not.toBeNull()
-        expect(thrownError.message).toContain('Failed to sync tags')
-      })
-
-      consoleError.mockRestore()
-    })
-
-    it('sendTagUpdate rethrows caught errors', async () => {
-      const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {})
-      const networkError = new Error('Network failure')
-      mockedApiFetch.mockRejectedValue(networkError)
-      
-      // No scheduler, so syncTrackTags will call sendTagUpdate directly
-      mockedCreateTagSyncScheduler.mockReturnValue(null)
-
-      let thrownError = null
-
-      function TestChild() {
-        const { syncTrackTags } = usePlaylistSync()
-        const handleSync = async () => {
-          try {
-            await syncTrackTags('t1', ['tag1'])
-          } catch (err) {
-            thrownError = err
-          }
-        }
-        return <button onClick={handleSync}>Sync</button>
-      }
-
-      render(
-        <PlaylistStateProvider 
-          initialState={initialPlaylistState} 
-          anonContext={{ deviceId: 'device-1', anonId: null }}
-        >
-          <TestChild />
-        </PlaylistStateProvider>
-      )
-
-      const button = screen.getByText('Sync')
-      button.click()
-
-      await waitFor(() => {
-        expect(thrownError).not.toBeNull()
-        expect(thrownError.message).toContain('Network failure')
+        expect(thrownError.message).toContain('Invalid tags')
       })
+      // A refused update is not retried
+      expect(window.localStorage.getItem(OUTBOX_KEY)).toBeNull()
 
       consoleError.mockRestore()
     })
@@ -837,9 +790,6 @@ describe('PlaylistProvider', () => {
         ok: false
       }))
       mockedApiFetch.mockResolvedValue(mockResponse)
-      
-      // No scheduler, so syncTrackTags will call sendTagUpdate directly
-      mockedCreateTagSyncScheduler.mockReturnValue(null)
 
       let caughtError = null
 
@@ -910,4 +860,416 @@ describe('PlaylistProvider', () => {
       expect(syncValues[0]).toBe(syncValues[1])
     })
   })
+
+  describe('Multi-tab sync', () => {
+    /** @type {Array<() => void>} */
+    let cleanups = []
+
+    afterEach(() => {
+      cleanups.forEach((fn) => fn())
+      cleanups = []
+    })
+
+    it('shares tag and note changes with other tabs and applies theirs without echoing', async () => {
+      const otherTab = createTabChannel({ tabId: 'other-tab' })
+      const received = vi.fn()
+      cleanups.push(otherTab.subscribe('playlist:changes', received))
+
+      function TestChild() {
+        const state = usePlaylistState()
+        const dispatch = usePlaylistDispatch()
+        return (
+          <>
+            <button onClick={() => dispatch(playlistActions.addTag('t1', 'rock', []))}>Tag</button>
+            <span data-testid="tags">{JSON.stringify(state.tagsByTrack)}</span>
+          </>
+        )
+      }
+
+      render(
+        <PlaylistStateProvider
+          initialState={{ ...initialPlaylistState, tracks: [{ id: 't1', notes: [], tags: [] }] }}
+          anonContext={{ deviceId: null, anonId: null }}
+        >
+          <TestChild />
+        </PlaylistStateProvider>
+      )
+
+      act(() => {
+        screen.getByText('Tag').click()
+      })
+      await waitFor(() => {
+        expect(received).toHaveBeenCalledWith({ notesByTrack: { t1: [] }, tagsByTrack: { t1: ['rock'] } })
+      })
+
+      otherTab.post('playlist:changes', { notesByTrack: {}, tagsByTrack: { t1: ['jazz', 'rock'] } })
+      await waitFor(() => {
+        expect(screen.getByTestId('tags')).toHaveTextContent('{"t1":["jazz","rock"]}')
+      })
+      expect(received).toHaveBeenCalledTimes(1)
+    })
+
+    it('shares a wholesale restore with other tabs once its diff is synced', async () => {
+      const otherTab = createTabChannel({ tabId: 'other-tab' })
+      const received = vi.fn()
+      cleanups.push(otherTab.subscribe('playlist:changes', received))
+      const before = { id: 'n1', body: 'Current', createdAt: 1 }
+      const restored = { id: 'n1', body: 'Restored', createdAt: 1 }
+      /** @type {{ sync: ReturnType<typeof usePlaylistSync> | null, dispatch: any }} */
+      const handle = { sync: null, dispatch: null }
+      function Probe() {
+        handle.sync = usePlaylistSync()
+        handle.dispatch = usePlaylistDispatch()
+        return null
+      }
+      const tracks = [{ id: 't1', notes: [before], tags: [] }]
+      render(
+        <PlaylistStateProvider
+          initialState={{ ...initialPlaylistState, provider: 'spotify', tracks, notesByTrack: { t1: [before] } }}
+          anonContext={{ deviceId: null, anonId: null }}
+        >
+          <Probe />
+        </PlaylistStateProvider>
+      )
+
+      act(() => {
+        handle.dispatch(playlistActions.setTracksWithNotes(tracks, { t1: [restored] }, { t1: [] }, tracks, null, 'spotify'))
+        void handle.sync?.syncNotesDiff({
+          created: [],
+          edited: [{ trackId: 't1', base: before, next: restored }],
+          deleted: [],
+          tags: [],
+        })
+      })
+
+      await waitFor(() => {
+        expect(received).toHaveBeenCalledWith({ notesByTrack: { t1: [restored] }, tagsByTrack: { t1: [] } })
+      })
+    })
+
+    it('forwards outbox ops to the tab holding the lock instead of sending them', async () => {
+      // Another tab holds the lock and never lets go
+      Object.defineProperty(navigator, 'locks', {
+        configurable: true,
+        value: {
+          request: (_name, options, callback) =>
+            options.ifAvailable ? Promise.resolve(callback(null)) : new Promise(() => {}),
+        },
+      })
+      cleanups.push(() => {
+        delete (/** @type {any} */ (navigator)).locks
+      })
+      const leaderTab = createTabChannel({ tabId: 'leader-tab' })
+      const forwarded = vi.fn()
+      cleanups.push(leaderTab.subscribe('outbox:enqueue', forwarded))
+
+      function TestChild() {
+        const { syncTrackTags } = usePlaylistSync()
+        return <button onClick={() => syncTrackTags('t1', ['tag1'])}>Sync</button>
+      }
+
+      render(
+        <PlaylistStateProvider initialState={initialPlaylistState} anonContext={{ deviceId: 'device-1', anonId: null }}>
+          <TestChild />
+        </PlaylistStateProvider>
+      )
+
+      // Leadership is decided asynchronously; ops made before then are held back
+      screen.getByText('Sync').click()
+
+      await waitFor(() => {
+        expect(forwarded).toHaveBeenCalledWith({
+          op: { type: 'tags:set', trackId: 't1', tags: ['tag1'] },
+          delayMs: 350,
+          requestId: expect.any(String),
+          origin: TAB_ID,
+        })
+      })
+      expect(window.localStorage.getItem(OUTBOX_KEY)).toBeNull()
+      expect(mockedApiFetch).not.toHaveBeenCalled()
+    })
+
+    /** Another tab holds the lock and never lets go; returns that tab's channel. */
+    function becomeFollower() {
+      Object.defineProperty(navigator, 'locks', {
+        configurable: true,
+        value: {
+          request: (_name, options, callback) =>
+            options.ifAvailable ? Promise.resolve(callback(null)) : new Promise(() => {}),
+        },
+      })
+      cleanups.push(() => {
+        delete (/** @type {any} */ (navigator)).locks
+      })
+      return createTabChannel({ tabId: 'leader-tab' })
+    }
+
+    const editedNote = { id: 'n1', body: 'Mine', createdAt: 1000, revision: 1 }
+    const editState = {
+      ...initialPlaylistState,
+      provider: 'spotify',
+      tracks: [{ id: 't1', notes: [editedNote], tags: [] }],
+      notesByTrack: { t1: [editedNote] },
+    }
+
+    it('settles a forwarded edit with the result the leader reports', async () => {
+      const leaderTab = becomeFollower()
+      cleanups.push(
+        leaderTab.subscribe('outbox:enqueue', ({ requestId }) => {
+          leaderTab.post('outbox:result', { requestId, result: { status: 'sent', result: 'merged' } })
+        }),
+      )
+      /** @type {{ sync: ReturnType<typeof usePlaylistSync> | null }} */
+      const handle = { sync: null }
+      function Probe() {
+        handle.sync = usePlaylistSync()
+        return null
+      }
+      render(
+        <PlaylistStateProvider initialState={editState} anonContext={{ deviceId: 'device-1', anonId: null }}>
+          <Probe />
+        </PlaylistStateProvider>
+      )
+
+      let result
+      await act(async () => {
+        result = await handle.sync?.syncNoteEdit('t1', { ...editedNote, body: 'Old' }, editedNote)
+      })
+      expect(result).toBe('merged')
+    })
+
+    it('rejects a forwarded change the server refused, so the caller can roll back', async () => {
+      const leaderTab = becomeFollower()
+      cleanups.push(
+        leaderTab.subscribe('outbox:enqueue', ({ requestId }) => {
+          leaderTab.post('outbox:result', {
+            requestId,
+            result: { status: 'dropped', error: { message: 'Invalid tags', status: 400 } },
+          })
+        }),
+      )
+      /** @type {{ sync: ReturnType<typeof usePlaylistSync> | null }} */
+      const handle = { sync: null }
+      function Probe() {
+        handle.sync = usePlaylistSync()
+        return null
+      }
+      render(
+        <PlaylistStateProvider initialState={editState} anonContext={{ deviceId: 'device-1', anonId: null }}>
+          <Probe />
+        </PlaylistStateProvider>
+      )
+
+      await act(async () => {
+        await expect(handle.sync?.syncTrackTags('t1', ['x'])).rejects.toMatchObject({
+          message: 'Invalid tags',
+          status: 400,
+        })
+      })
+    })
+
+    it('sends conflicts on edits from another tab back to that tab', async () => {
+      const followerTab = createTabChannel({ tabId: 'follower-tab' })
+      const conflicts = vi.fn()
+      const results = vi.fn()
+      cleanups.push(followerTab.subscribe('outbox:note-conflict', conflicts))
+      cleanups.push(followerTab.subscribe('outbox:result', results))
+      const remote = { id: 'n1', trackId: 't1', body: 'Theirs', createdAt: '2024-01-01T00:00:00.000Z', revision: 2 }
+      mockedApiFetch.mockImplementation(async (_url, options) =>
+        /** @type {Response} */ (/** @type {unknown} */ (
+          options?.method === 'PATCH'
+            ? {
+                ok: false,
+                status: 409,
+                json: vi.fn().mockResolvedValue({ conflict: { noteId: 'n1', current: remote } }),
+              }
+            : makeResolvedResponse({ json: vi.fn().mockResolvedValue({ notes: [] }) })
+        )),
+      )
+      /** @type {{ sync: ReturnType<typeof usePlaylistSync> | null }} */
+      const handle = { sync: null }
+      function Probe() {
+        handle.sync = usePlaylistSync()
+        return null
+      }
+      render(
+        <PlaylistStateProvider initialState={editState} anonContext={{ deviceId: 'device-1', anonId: null }}>
+          <Probe />
+        </PlaylistStateProvider>
+      )
+
+      const op = { type: 'note:edit', trackId: 't1', noteId: 'n1', base: { ...editedNote, body: 'Old' }, next: editedNote }
+      followerTab.post('outbox:enqueue', { op, delayMs: 0, requestId: 'r1', origin: 'follower-tab' })
+
+      await waitFor(() => {
+        expect(results).toHaveBeenCalledWith({ requestId: 'r1', result: { status: 'sent', result: 'conflict' } })
+      })
+      expect(conflicts).toHaveBeenCalledWith({
+        origin: 'follower-tab',
+        conflict: expect.objectContaining({ key: 't1:n1', local: editedNote, remote: expect.objectContaining({ body: 'Theirs' }) }),
+      })
+      expect(handle.sync?.noteConflicts).toEqual([])
+    })
+
+    it('shows conflicts the leader reports for edits made in this tab', async () => {
+      const leaderTab = becomeFollower()
+      /** @type {{ sync: ReturnType<typeof usePlaylistSync> | null }} */
+      const handle = { sync: null }
+      function Probe() {
+        handle.sync = usePlaylistSync()
+        return null
+      }
+      render(
+        <PlaylistStateProvider initialState={editState} anonContext={{ deviceId: 'device-1', anonId: null }}>
+          <Probe />
+        </PlaylistStateProvider>
+      )
+
+      const conflict = { key: 't1:n1', trackId: 't1', base: editedNote, local: editedNote, remote: { ...editedNote, body: 'Theirs' } }
+      act(() => {
+        leaderTab.post('outbox:note-conflict', { origin: 'some-other-tab', conflict })
+      })
+      expect(handle.sync?.noteConflicts).toEqual([])
+
+      await act(async () => {
+        leaderTab.post('outbox:note-conflict', { origin: TAB_ID, conflict })
+      })
+      await waitFor(() => {
+        expect(handle.sync?.noteConflicts).toEqual([conflict])
+      })
+    })
+  })
+
+  describe('Undo history', () => {
+    const historyState = {
+      ...initialPlaylistState,
+      tracks: [{ id: 't1', title: 'Test Track', notes: [], tags: [] }],
+      notesByTrack: { t1: [{ id: 'n1', body: 'First', createdAt: 1, revision: 2 }] },
+      tagsByTrack: { t1: [] },
+    }
+    const queued = () => JSON.parse(window.localStorage.getItem(OUTBOX_KEY) ?? '[]')
+
+    function renderWithHistory() {
+      /** @type {{ state: any, dispatch: any, sync: any, history: any }} */
+      const ctx = { state: null, dispatch: null, sync: null, history: null }
+      function TestChild() {
+        ctx.state = usePlaylistState()
+        ctx.dispatch = usePlaylistDispatch()
+        ctx.sync = usePlaylistSync()
+        ctx.history = usePlaylistHistory()
+        return null
+      }
+      render(
+        <PlaylistStateProvider initialState={historyState} anonContext={{ deviceId: null, anonId: null }}>
+          <TestChild />
+        </PlaylistStateProvider>,
+      )
+      return ctx
+    }
+
+    it('undoes and redoes tag changes and queues the matching tag sync', () => {
+      const ctx = renderWithHistory()
+
+      act(() => ctx.dispatch(playlistActions.addTag('t1', 'dark', [])))
+      expect(ctx.history.past.map((entry) => entry.label)).toEqual(['Added tag "dark" to "Test Track"'])
+
+      act(() => {
+        ctx.history.undo()
+      })
+      expect(ctx.state.tagsByTrack.t1 ?? []).toEqual([])
+      expect(ctx.history.past).toHaveLength(0)
+      expect(ctx.history.future).toHaveLength(1)
+      expect(queued()).toEqual([expect.objectContaining({ type: 'tags:set', trackId: 't1', tags: [] })])
+
+      act(() => {
+        ctx.history.redo()
+      })
+      expect(ctx.state.tagsByTrack.t1).toEqual(['dark'])
+      expect(ctx.history.future).toHaveLength(0)
+      expect(queued()).toEqual([expect.objectContaining({ type: 'tags:set', tags: ['dark'] })])
+    })
+
+    it('records changes dispatched in the same tick against the state each one saw', () => {
+      const ctx = renderWithHistory()
+
+      act(() => {
+        ctx.dispatch(playlistActions.addTag('t1', 'dark', []))
+        ctx.dispatch(playlistActions.removeTag('t1', 'dark'))
+      })
+      expect(ctx.history.past.map((entry) => entry.label)).toEqual([
+        'Added tag "dark" to "Test Track"',
+        'Removed tag "dark" from "Test Track"',
+      ])
+
+      act(() => {
+        ctx.history.undo()
+      })
+      expect(ctx.state.tagsByTrack.t1).toEqual(['dark'])
+    })
+
+    it('restores a deleted note by cancelling its queued delete', () => {
+      const ctx = renderWithHistory()
+
+      act(() => {
+        ctx.dispatch(playlistActions.deleteNote('t1', 0))
+        ctx.sync.syncNoteDelete('t1', 'n1')
+      })
+      expect(queued()).toEqual([expect.objectContaining({ type: 'note:delete', noteId: 'n1' })])
+
+      act(() => {
+        ctx.history.undo()
+      })
+      expect(noteBodies(ctx.state.notesByTrack.t1)).toEqual(['First'])
+      expect(ctx.state.notesByTrack.t1[0].revision).toBe(2)
+      expect(queued()).toEqual([])
+
+      act(() => {
+        ctx.history.redo()
+      })
+      expect(ctx.state.notesByTrack.t1 ?? []).toEqual([])
+      expect(queued()).toEqual([expect.objectContaining({ type: 'note:delete', noteId: 'n1' })])
+    })
+
+    it('reverts an edit with a server edit based on the current revision', () => {
+      const ctx = renderWithHistory()
+
+      act(() => ctx.dispatch(playlistActions.editNote('t1', { id: 'n1' }, { id: 'n1', body: 'Edited', createdAt: 1, revision: 2 })))
+      // Sync results replace notes too, but are not user changes
+      act(() => ctx.dispatch(playlistActions.replaceNote('t1', { id: 'n1' }, [{ id: 'n1', body: 'Edited', createdAt: 1, revision: 3 }])))
+      expect(ctx.history.past.map((entry) => entry.kind)).toEqual(['note:edit'])
+
+      act(() => {
+        ctx.history.undo()
+      })
+      expect(ctx.state.notesByTrack.t1).toEqual([{ id: 'n1', body: 'First', createdAt: 1, revision: 3 }])
+      expect(queued()).toEqual([
+        expect.objectContaining({
+          type: 'note:edit',
+          noteId: 'n1',
+          base: expect.objectContaining({ body: 'Edited', revision: 3 }),
+          next: expect.objectContaining({ body: 'First', revision: 3 }),
+        }),
+      ])
+    })
+
+    it('drops redo after a new change and starts over when another playlist loads', () => {
+      const ctx = renderWithHistory()
+
+      act(() => ctx.dispatch(playlistActions.addTag('t1', 'dark', [])))
+      act(() => {
+        ctx.history.undo()
+      })
+      act(() => ctx.dispatch(playlistActions.addTag('t1', 'calm', [])))
+      expect(ctx.history.future).toHaveLength(0)
+      expect(ctx.history.past).toHaveLength(1)
+
+      act(() => ctx.dispatch(playlistActions.setTracksWithNotes([{ id: 't2', title: 'Other' }], {}, {})))
+      expect(ctx.history.past).toHaveLength(0)
+      let result
+      act(() => {
+        result = ctx.history.undo()
+      })
+      expect(result).toBeNull()
+    })
+  })
 })
@@ -221,6 +221,52 @@ describe('PlaylistView', () => {
     expect(screen.queryAllByRole('listitem')).toHaveLength(0)
   })
 
+  it('reviews pending updates and lists notes from removed tracks', () => {
+    const props = createProps({
+      onCheckForUpdates: vi.fn(),
+      onApplyUpdate: vi.fn(),
+      onDismissUpdate: vi.fn(),
+      pendingUpdate: {
+        diff: {
+          added: [{ id: 'track-2', title: 'New Song', artist: 'Artist B' }],
+          removed: [{ id: 'track-9', title: 'Old Song', artist: 'Artist C' }],
+          reordered: [],
+          unchangedCount: 1,
+        },
+        data: {},
+        partial: false,
+        orphanCount: 1,
+      },
+      orphanedTracks: [
+        {
+          id: 'track-8',
+          title: 'Gone Song',
+          artist: 'Artist D',
+          provider: 'spotify',
+          playlistId: null,
+          notes: [{ body: 'remember this', createdAt: 1 }],
+          tags: ['rare'],
+          orphanedAt: '2024-01-01T00:00:00.000Z',
+        },
+      ],
+    })
+    render(<PlaylistView {...props} />)
+
+    fireEvent.click(screen.getByRole('button', { name: /check this playlist for updates/i }))
+    expect(props.onCheckForUpdates).toHaveBeenCalled()
+
+    const review = screen.getByRole('region', { name: /updates available/i })
+    expect(review).toHaveTextContent('Artist B - New Song')
+    expect(review).toHaveTextContent('Artist C - Old Song')
+    expect(review).toHaveTextContent(/notes and tags on 1 removed track will be kept/i)
+
+    fireEvent.click(screen.getByRole('button', { name: /apply updates/i }))
+    expect(props.onApplyUpdate).toHaveBeenCalled()
+
+    expect(screen.getByText(/notes from removed tracks \(1\)/i)).toBeInTheDocument()
+    expect(screen.getByText('remember this')).toBeInTheDocument()
+  })
+
   it('does not run focus management effect when skipFocusManagement is true', () => {
     // Create two tracks
     const tracks = [
@@ -257,6 +257,18 @@ describe('playlist helpers', () => {
       expect(result.tags).toEqual(['rock'])
     })
 
+    it('reads notes from the canonical id of a linked track', () => {
+      const track = { id: 'yt-1', title: 'Track 1' }
+      const trackLinks = { links: { 'yt-1': 'sp-1' }, dismissed: [] }
+
+      const result = attachNotesToTrack(track, { 'sp-1': ['shared'] }, { 'sp-1': ['rock'] }, trackLinks)
+
+      expect(result.id).toBe('sp-1')
+      expect(result.linkedFromId).toBe('yt-1')
+      expect(noteBodies(result.notes)).toEqual(['shared'])
+      expect(result.tags).toEqual(['rock'])
+    })
+
     it('attaches empty arrays when no notes/tags exist', () => {
       const track = { id: 't1', title: 'Track 1' }
       
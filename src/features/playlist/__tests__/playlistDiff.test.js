@@ -0,0 +1,95 @@
+import { describe, expect, it } from 'vitest'
+import {
+  collectOrphanedTracks,
+  diffTracks,
+  hasTrackChanges,
+  mergeOrphanedTracks,
+} from '../playlistDiff.js'
+
+const t = (id) => ({ id, title: `Title ${id}`, artist: `Artist ${id}` })
+
+describe('diffTracks', () => {
+  it('reports added and removed tracks by id', () => {
+    const diff = diffTracks([t('a'), t('b'), t('c')], [t('a'), t('c'), t('d')])
+
+    expect(diff.added.map((x) => x.id)).toEqual(['d'])
+    expect(diff.removed.map((x) => x.id)).toEqual(['b'])
+    expect(diff.reordered).toEqual([])
+    expect(diff.unchangedCount).toBe(2)
+    expect(hasTrackChanges(diff)).toBe(true)
+  })
+
+  it('flags only the tracks that actually moved', () => {
+    const diff = diffTracks([t('a'), t('b'), t('c'), t('d')], [t('new'), t('a'), t('d'), t('b'), t('c')])
+
+    expect(diff.added.map((x) => x.id)).toEqual(['new'])
+    expect(diff.reordered).toEqual([{ track: t('d'), from: 3, to: 2 }])
+    expect(diff.unchangedCount).toBe(3)
+  })
+
+  it('matches a linked track by its own id, not the canonical id its notes live under', () => {
+    // Stored copy after linking: re-keyed to the other service's id
+    const linked = { ...t('canon'), linkedFromId: 'b' }
+    const diff = diffTracks([t('a'), linked, t('c')], [t('a'), t('b')])
+
+    expect(diff.added).toEqual([])
+    expect(diff.removed.map((x) => x.id)).toEqual(['c'])
+    expect(diff.unchangedCount).toBe(2)
+
+    // Removing the linked track orphans the notes under its canonical id
+    const gone = diffTracks([t('a'), linked], [t('a')])
+    expect(gone.removed).toEqual([linked])
+    const orphans = collectOrphanedTracks(gone.removed, { canon: [{ body: 'Kept', createdAt: 1 }] }, {})
+    expect(orphans.map((orphan) => orphan.id)).toEqual(['canon'])
+  })
+
+  it('leaves out tracks past the loaded ones when the stored list is partial', () => {
+    const loaded = [t('a'), t('b')]
+    const upstream = [t('a'), t('new'), t('b'), t('c'), t('d')]
+    expect(diffTracks(loaded, upstream).added.map((track) => track.id)).toEqual(['new', 'c', 'd'])
+    expect(diffTracks(loaded, upstream, { previousPartial: true }).added.map((track) => track.id)).toEqual([
+      'new',
+    ])
+  })
+
+  it('returns no changes for identical lists', () => {
+    const diff = diffTracks([t('a'), t('b')], [t('a'), t('b')])
+    expect(hasTrackChanges(diff)).toBe(false)
+    expect(hasTrackChanges(null)).toBe(false)
+  })
+})
+
+describe('collectOrphanedTracks', () => {
+  it('keeps notes and tags from removed tracks and skips bare ones', () => {
+    const orphans = collectOrphanedTracks(
+      [t('a'), t('b'), t('c')],
+      { a: [{ body: 'great drop', createdAt: 1 }] },
+      { c: ['warmup'] },
+      { provider: 'spotify', playlistId: 'p1', orphanedAt: '2024-05-01T00:00:00.000Z' }
+    )
+
+    expect(orphans.map((o) => o.id)).toEqual(['a', 'c'])
+    expect(orphans[0]).toMatchObject({
+      title: 'Title a',
+      artist: 'Artist a',
+      provider: 'spotify',
+      playlistId: 'p1',
+      tags: [],
+      orphanedAt: '2024-05-01T00:00:00.000Z',
+    })
+    expect(orphans[0].notes[0].body).toBe('great drop')
+    expect(orphans[1].tags).toEqual(['warmup'])
+  })
+})
+
+describe('mergeOrphanedTracks', () => {
+  it('replaces entries by id and drops tracks that are present again', () => {
+    const old = { id: 'a', notes: [], tags: ['x'] }
+    const newer = { id: 'a', notes: [], tags: ['y'] }
+    const back = { id: 'b', notes: [], tags: ['z'] }
+
+    // @ts-expect-error partial orphan fixtures
+    const merged = mergeOrphanedTracks([old, back], [newer], [t('b')])
+    expect(merged).toEqual([newer])
+  })
+})
@@ -17,6 +17,8 @@ describe('playlistReducer', () => {
         notesByTrack: {},
         provider: null,
         tagsByTrack: {},
+        orphanedTracks: [],
+        trackLinks: { links: {}, dismissed: [] },
         editingState: {
           trackId: null,
           draft: '',
@@ -527,6 +529,36 @@ describe('playlistReducer', () => {
       expect(next._derived.hasLocalNotes).toBe(true)
       expect(next._derived.allCustomTags).toEqual(['jazz', 'rock'])
     })
+
+    it('keeps orphans and releases them when their track comes back', () => {
+      const orphan = {
+        id: 't2',
+        title: 'Gone',
+        artist: 'A',
+        provider: 'spotify',
+        playlistId: 'p1',
+        notes: [{ body: 'keep me', createdAt: 1 }],
+        tags: ['rare'],
+        orphanedAt: '2024-01-01T00:00:00.000Z',
+      }
+      const withOrphan = playlistReducer(
+        initialPlaylistState,
+        playlistActions.setTracksWithNotes([{ id: 't1' }], {}, {}, [], null, 'spotify', [orphan])
+      )
+      expect(withOrphan.orphanedTracks).toEqual([orphan])
+
+      const unrelated = playlistReducer(
+        withOrphan,
+        playlistActions.setTracksWithNotes([{ id: 't1' }], {}, {}, [], null, 'spotify')
+      )
+      expect(unrelated.orphanedTracks).toEqual([orphan])
+
+      const restored = playlistReducer(
+        unrelated,
+        playlistActions.setTracksWithNotes([{ id: 't1' }, { id: 't2' }], {}, {}, [], null, 'spotify')
+      )
+      expect(restored.orphanedTracks).toEqual([])
+    })
   })
 
   describe('REMOTE_DATA_MERGE', () => {
@@ -644,6 +676,106 @@ describe('playlistReducer', () => {
     })
   })
 
+  describe('REMOTE_TAB_MERGE', () => {
+    const state = () => ({
+      ...initialPlaylistState,
+      tracks: [
+        { id: 't1', notes: [{ id: 'n1', body: 'old', createdAt: 1 }], tags: ['rock'] },
+        { id: 't2', notes: [], tags: [] }
+      ],
+      notesByTrack: { t1: [{ id: 'n1', body: 'old', createdAt: 1 }] },
+      tagsByTrack: { t1: ['rock'] },
+      editingState: { trackId: 't2', draft: 'half-typed', error: null }
+    })
+
+    it('replaces the notes and tags of the tracks another tab changed', () => {
+      const next = playlistReducer(
+        state(),
+        playlistActions.mergeRemoteTabChanges({
+          notesByTrack: { t1: [], t2: [{ id: 'n2', body: 'from the other tab', createdAt: 2 }] },
+          tagsByTrack: { t1: [], t2: ['jazz'] }
+        })
+      )
+
+      expect(next.notesByTrack).not.toHaveProperty('t1')
+      expect(next.tagsByTrack).toEqual({ t2: ['jazz'] })
+      expect(next.tracks[0]).toMatchObject({ notes: [], tags: [] })
+      expectBodies(next.tracks[1].notes, ['from the other tab'])
+      expect(next._derived.allCustomTags).toEqual(['jazz'])
+      // This tab's draft is its own
+      expect(next.editingState.draft).toBe('half-typed')
+    })
+
+    it('re-keys tracks when the link map arrives with the changes', () => {
+      const next = playlistReducer(
+        state(),
+        playlistActions.mergeRemoteTabChanges({
+          notesByTrack: { t1: [], 'sp-1': [{ id: 'n1', body: 'old', createdAt: 1 }] },
+          tagsByTrack: { t1: [], 'sp-1': ['rock'] },
+          trackLinks: { links: { t1: 'sp-1' }, dismissed: [] }
+        })
+      )
+
+      expect(next.trackLinks.links).toEqual({ t1: 'sp-1' })
+      expect(next.tracks[0]).toMatchObject({ id: 'sp-1', linkedFromId: 't1', tags: ['rock'] })
+    })
+  })
+
+  describe('cross-provider links', () => {
+    const linkedState = () => ({
+      ...initialPlaylistState,
+      tracks: [{ id: 'yt-1', title: 'Song', provider: 'youtube', notes: [], tags: [] }],
+      notesByTrack: {
+        'sp-1': [{ id: 'n1', body: 'from spotify', createdAt: 1 }],
+        'yt-1': [{ id: 'n2', body: 'from youtube', createdAt: 2 }]
+      },
+      tagsByTrack: { 'sp-1': ['rock'], 'yt-1': ['live'] }
+    })
+
+    it('moves notes and tags to the canonical id and re-keys the track', () => {
+      const next = playlistReducer(linkedState(), playlistActions.confirmTrackLink('yt-1', 'sp-1'))
+
+      expect(next.trackLinks.links).toEqual({ 'yt-1': 'sp-1' })
+      expect(next.notesByTrack['yt-1']).toBeUndefined()
+      expectBodies(next.notesByTrack['sp-1'], ['from spotify', 'from youtube'])
+      expect(next.tagsByTrack['sp-1']).toEqual(['live', 'rock'])
+      expect(next.tracks[0]).toMatchObject({ id: 'sp-1', linkedFromId: 'yt-1', tags: ['live', 'rock'] })
+      expectBodies(next.tracks[0].notes, ['from spotify', 'from youtube'])
+    })
+
+    it('re-keys later imports of a linked track', () => {
+      const linked = playlistReducer(linkedState(), playlistActions.confirmTrackLink('yt-1', 'sp-1'))
+      const next = playlistReducer(
+        linked,
+        playlistActions.setTracksWithNotes(
+          [{ id: 'yt-1', title: 'Song' }],
+          linked.notesByTrack,
+          linked.tagsByTrack,
+          [],
+          null,
+          'youtube'
+        )
+      )
+
+      expect(next.tracks[0]).toMatchObject({ id: 'sp-1', linkedFromId: 'yt-1' })
+      expect(next.tracks[0].notes).toHaveLength(2)
+    })
+
+    it('gives the track its own id back when the link is broken and keeps links across resets', () => {
+      const linked = playlistReducer(linkedState(), playlistActions.confirmTrackLink('yt-1', 'sp-1'))
+      const broken = playlistReducer(linked, playlistActions.breakTrackLink('yt-1'))
+
+      expect(broken.trackLinks).toEqual({ links: {}, dismissed: ['yt-1>sp-1'] })
+      expect(broken.tracks[0].id).toBe('yt-1')
+      expect(broken.tracks[0]).not.toHaveProperty('linkedFromId')
+      expect(broken.tracks[0].notes).toEqual([])
+      expect(broken.notesByTrack['sp-1']).toHaveLength(2)
+
+      const reset = playlistReducer(linked, playlistActions.resetState())
+      expect(reset.trackLinks).toBe(linked.trackLinks)
+    })
+  })
+
   describe('STATE_RESET', () => {
     it('resets to initial state', () => {
       const state = {
@@ -0,0 +1,37 @@
+import { describe, expect, it } from 'vitest'
+import { buildTabChanges, collectTabChanges } from '../tabSync.js'
+import { initialPlaylistState } from '../playlistReducer.js'
+import { playlistActions } from '../actions.js'
+
+describe('tabSync', () => {
+  it('collects the tracks touched by shared mutations only', () => {
+    let pending = collectTabChanges(playlistActions.changeDraft('abc'), null)
+    expect(pending).toBeNull()
+
+    pending = collectTabChanges(playlistActions.saveNoteOptimistic('t1', 'hi'), pending)
+    pending = collectTabChanges(playlistActions.removeTag('t2', 'rock'), pending)
+    expect(pending).toEqual({ trackIds: new Set(['t1', 't2']), links: false })
+
+    pending = collectTabChanges(playlistActions.confirmTrackLink('t3', 'sp-1'), pending)
+    expect(pending?.links).toBe(true)
+    expect(pending?.trackIds.has('sp-1')).toBe(true)
+  })
+
+  it('sends empty lists for cleared tracks and adds the canonical id of linked tracks', () => {
+    const state = {
+      ...initialPlaylistState,
+      notesByTrack: { 'sp-1': [{ id: 'n1', body: 'moved', createdAt: 1 }] },
+      tagsByTrack: {},
+      trackLinks: { links: { t3: 'sp-1' }, dismissed: [] },
+    }
+
+    expect(buildTabChanges(state, { trackIds: new Set(['t1']), links: false })).toEqual({
+      notesByTrack: { t1: [] },
+      tagsByTrack: { t1: [] },
+    })
+
+    const changes = buildTabChanges(state, { trackIds: new Set(['t3']), links: true })
+    expect(Object.keys(changes.notesByTrack).sort()).toEqual(['sp-1', 't3'])
+    expect(changes.trackLinks).toBe(state.trackLinks)
+  })
+})
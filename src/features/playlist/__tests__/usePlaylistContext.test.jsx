@@ -26,10 +26,6 @@ vi.mock('../../../utils/notesTagsData.js', () => ({
   groupRemoteNotes: vi.fn()
 }))
 
-vi.mock('../../tags/tagSyncQueue.js', () => ({
-  createTagSyncScheduler: vi.fn()
-}))
-
 describe('usePlaylistContext hooks', () => {
   const wrapper = ({ children }) => (
     <PlaylistStateProvider 
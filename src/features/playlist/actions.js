@@ -120,6 +120,30 @@ export const playlistActions = {
     return { type: 'NOTE_RESTORE', payload: { trackId, note, index } }
   },
 
+  /**
+   * Replace one note in place (edits, server sync results, conflict resolution)
+   * @param {string} trackId
+   * @param {{ id?: string, index?: number }} target - Matched by id when present, otherwise by index
+   * @param {NoteEntry[]} notes - Zero or more notes to put in its place
+   * @returns {Object}
+   */
+  replaceNote(trackId, target, notes) {
+    if (!trackId) throw new Error('trackId required')
+    return { type: 'NOTE_REPLACE', payload: { trackId, target, notes } }
+  },
+
+  /**
+   * Replace a note with the user's edited version. Same as `replaceNote`, but recorded in
+   * the undo history.
+   * @param {string} trackId
+   * @param {{ id?: string, index?: number }} target
+   * @param {NoteEntry} note
+   * @returns {Object}
+   */
+  editNote(trackId, target, note) {
+    return { ...playlistActions.replaceNote(trackId, target, [note]), meta: { edit: true } }
+  },
+
   // ===== Tags =====
 
   /**
@@ -166,16 +190,49 @@ export const playlistActions = {
    * @param {Record<string, string[]>} tagsByTrack
    * @param {Array} baselineTracks - For comparison during merge
    * @param {string|null} importStamp - Timestamp for import
-   * @param {'spotify' | 'youtube' | 'soundcloud' | 'demo' | null} provider - Playlist provider
+   * @param {'spotify' | 'youtube' | 'soundcloud' | 'applemusic' | 'deezer' | 'file' | 'demo' | null} provider - Playlist provider
+   * @param {import('./playlistDiff.js').OrphanedTrack[]} [orphans] - Annotated tracks removed upstream
    * @returns {Object}
    */
-  setTracksWithNotes(tracks, notesByTrack, tagsByTrack, baselineTracks = [], importStamp = null, provider = null) {
+  setTracksWithNotes(tracks, notesByTrack, tagsByTrack, baselineTracks = [], importStamp = null, provider = null, orphans = []) {
     return {
       type: 'TRACKS_SET_WITH_NOTES',
-      payload: { tracks, notesByTrack, tagsByTrack, baselineTracks, importStamp, provider }
+      payload: { tracks, notesByTrack, tagsByTrack, baselineTracks, importStamp, provider, orphans }
     }
   },
 
+  // ===== Cross-provider Links =====
+
+  /**
+   * Confirm that a track is the same song as another provider's track; its notes and
+   * tags move to the canonical id
+   * @param {string} trackId
+   * @param {string} canonicalId
+   * @returns {Object}
+   */
+  confirmTrackLink(trackId, canonicalId) {
+    return { type: 'TRACK_LINK_CONFIRM', payload: { trackId, canonicalId } }
+  },
+
+  /**
+   * Break a confirmed link; the track gets its own id back
+   * @param {string} trackId - The provider's own id (`linkedFromId` on the loaded track)
+   * @returns {Object}
+   */
+  breakTrackLink(trackId) {
+    return { type: 'TRACK_LINK_BREAK', payload: { trackId } }
+  },
+
+  /**
+   * Stop suggesting a link the user rejected
+   * @param {string} trackId
+   * @param {string} canonicalId
+   * @returns {Object}
+   */
+  dismissTrackLink(trackId, canonicalId) {
+    return { type: 'TRACK_LINK_DISMISS', payload: { trackId, canonicalId } }
+  },
+
   /**
    * Merge remote data from API
    * @param {NotesByTrack} remoteNotes
@@ -186,6 +243,16 @@ export const playlistActions = {
     return { type: 'REMOTE_DATA_MERGE', payload: { remoteNotes, remoteTags } }
   },
 
+  /**
+   * Apply note, tag and link changes made in another open tab. Lists replace the
+   * ones held for those tracks; an empty list clears them.
+   * @param {{ notesByTrack?: NotesByTrack, tagsByTrack?: Record<string, string[]>, trackLinks?: import('../identity/trackIdentity.js').TrackLinks }} changes
+   * @returns {Object}
+   */
+  mergeRemoteTabChanges(changes) {
+    return { type: 'REMOTE_TAB_MERGE', payload: changes ?? {} }
+  },
+
   /**
    * Reset all state to initial
    * @returns {Object}
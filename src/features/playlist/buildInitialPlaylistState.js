@@ -17,6 +17,7 @@ import {
 import { attachNotesToTracks } from '../../utils/trackProcessing.js';
 import { initialPlaylistState } from './playlistReducer.js';
 import { computeHasLocalNotes, computeAllCustomTags } from './helpers.js';
+import { loadTrackLinks } from '../identity/trackIdentity.js';
 
 /**
  * @typedef {Object} PlaylistBootstrapState
@@ -48,13 +49,14 @@ export function buildInitialPlaylistState(bootstrapState) {
     ensureNotesEntries(initialNotesMap, persistedTracks)
   );
   const tagsMap = ensureTagsEntries(initialTagsMap, persistedTracks);
+  const trackLinks = loadTrackLinks();
 
   const tracksWithNotes = attachNotesToTracks(
     persistedTracks,
     notesMap,
     tagsMap,
     persistedTracks,
-    { importStamp: persisted?.importedAt ?? null },
+    { importStamp: persisted?.importedAt ?? null, trackLinks },
   );
 
   const initialPlaylistStateWithData = {
@@ -62,6 +64,8 @@ export function buildInitialPlaylistState(bootstrapState) {
     tracks: tracksWithNotes,
     notesByTrack: notesMap,
     tagsByTrack: tagsMap,
+    trackLinks,
+    orphanedTracks: Array.isArray(persisted?.orphanedTracks) ? persisted.orphanedTracks : [],
     _derived: {
       hasLocalNotes: computeHasLocalNotes(notesMap, tagsMap),
       allCustomTags: computeAllCustomTags(tagsMap),
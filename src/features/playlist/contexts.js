@@ -16,7 +16,12 @@ export const PlaylistDispatchContext = createContext(null)
 
 /**
  * Context for playlist sync operations
- * @type {import('react').Context<{ syncTrackTags: (trackId: string, tags: string[]) => Promise<void> } | null>}
+ * @type {import('react').Context<import('./PlaylistProvider.jsx').PlaylistSyncValue | null>}
  */
 export const PlaylistSyncContext = createContext(null)
 
+/**
+ * Context for the undo/redo history
+ * @type {import('react').Context<import('./PlaylistProvider.jsx').PlaylistHistoryValue | null>}
+ */
+export const PlaylistHistoryContext = createContext(null)
@@ -9,6 +9,7 @@ import { normalizeTag } from '../tags/tagUtils.js'
 import { MAX_TAG_LENGTH, MAX_TAGS_PER_TRACK, TAG_ALLOWED_RE } from '../tags/validation.js'
 /** @typedef {import('../../utils/notesTagsData.js').NoteEntry} NoteEntry */
 import { cloneNoteEntry, normalizeNotesList } from '../../utils/notesTagsData.js'
+import { applyTrackLink } from '../identity/trackIdentity.js'
 
 /**
  * Check if any notes or tags exist across all tracks
@@ -119,14 +120,17 @@ export function createTagSnapshot(tagsByTrack, trackId) {
 }
 
 /**
- * Attach notes and tags to a track object
+ * Attach notes and tags to a track object. A track linked to another provider's copy
+ * takes the canonical id, so it shows (and later stores) the notes kept under it.
  * @param {Object} track
  * @param {Record<string, NoteEntry[]>} notesByTrack
  * @param {Record<string, string[]>} tagsByTrack
+ * @param {import('../identity/trackIdentity.js').TrackLinks} [trackLinks]
  * @returns {Object}
  */
-export function attachNotesToTrack(track, notesByTrack, tagsByTrack) {
-  const notes = normalizeNotesList(notesByTrack[track.id] || [])
-  const tags = tagsByTrack[track.id] || []
-  return { ...track, notes, tags }
+export function attachNotesToTrack(track, notesByTrack, tagsByTrack, trackLinks) {
+  const linked = applyTrackLink(track, trackLinks)
+  const notes = normalizeNotesList(notesByTrack[linked.id] || [])
+  const tags = tagsByTrack[linked.id] || []
+  return { ...linked, notes, tags }
 }
@@ -0,0 +1,213 @@
+// src/features/playlist/playlistDiff.js
+
+/**
+ * Pure helpers for comparing a stored playlist with a fresh import.
+ * Used by "Check for updates" to preview changes before they are applied.
+ */
+
+import { normalizeNotesList, normalizeTagList } from '../../utils/notesTagsData.js'
+/** @typedef {import('../../utils/notesTagsData.js').NoteEntry} NoteEntry */
+
+/**
+ * @typedef {Object} MovedTrack
+ * @property {any} track
+ * @property {number} from - Index in the stored list
+ * @property {number} to - Index in the fresh list
+ */
+
+/**
+ * @typedef {Object} TrackDiff
+ * @property {any[]} added - Tracks only present upstream, in upstream order
+ * @property {any[]} removed - Stored tracks missing upstream, in stored order
+ * @property {MovedTrack[]} reordered - Tracks that moved relative to the others
+ * @property {number} unchangedCount - Tracks kept in place
+ */
+
+/**
+ * Notes and tags from a track that disappeared upstream, kept with enough
+ * metadata to tell the user what they belonged to.
+ * @typedef {Object} OrphanedTrack
+ * @property {string} id
+ * @property {string} title
+ * @property {string} artist
+ * @property {string | null} provider
+ * @property {string | null} playlistId
+ * @property {NoteEntry[]} notes
+ * @property {string[]} tags
+ * @property {string} orphanedAt - ISO timestamp
+ */
+
+/**
+ * @param {any} track
+ * @returns {string | null}
+ */
+function trackKey(track) {
+  const id = track?.id
+  return typeof id === 'string' || typeof id === 'number' ? String(id) : null
+}
+
+/**
+ * The id the provider knows a track by. A stored track linked to a song from another
+ * service carries the canonical id as `id` and its own as `linkedFromId`, while a fresh
+ * import only has the provider's, so matching on `id` would call it removed and re-added.
+ * @param {any} track
+ * @returns {string | null}
+ */
+function sourceKey(track) {
+  const ownId = track?.linkedFromId
+  return typeof ownId === 'string' && ownId ? ownId : trackKey(track)
+}
+
+/**
+ * Indices (into `values`) of one longest strictly increasing subsequence.
+ * @param {number[]} values
+ * @returns {Set<number>}
+ */
+function longestIncreasingIndices(values) {
+  /** @type {number[]} */
+  const tails = []
+  /** @type {number[]} */
+  const prev = new Array(values.length).fill(-1)
+
+  values.forEach((value, i) => {
+    let lo = 0
+    let hi = tails.length
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1
+      if (values[tails[mid]] < value) lo = mid + 1
+      else hi = mid
+    }
+    if (lo > 0) prev[i] = tails[lo - 1]
+    tails[lo] = i
+  })
+
+  const keep = new Set()
+  let cursor = tails.length ? tails[tails.length - 1] : -1
+  while (cursor >= 0) {
+    keep.add(cursor)
+    cursor = prev[cursor]
+  }
+  return keep
+}
+
+/**
+ * Compare stored tracks with a fresh import by the provider's track id.
+ * A track counts as reordered only when it moved relative to the tracks around it,
+ * so one insertion near the top doesn't flag everything below it.
+ * @param {any[]} previousTracks
+ * @param {any[]} nextTracks
+ * @param {{ previousPartial?: boolean }} [options] Set `previousPartial` when the stored
+ *   tracks are only the pages loaded so far. Upstream tracks past the last stored one
+ *   may simply not be loaded yet, so they are not reported as added.
+ * @returns {TrackDiff}
+ */
+export function diffTracks(previousTracks, nextTracks, options = {}) {
+  const prevList = Array.isArray(previousTracks) ? previousTracks : []
+  const nextList = Array.isArray(nextTracks) ? nextTracks : []
+
+  /** @type {Map<string, number>} */
+  const prevIndex = new Map()
+  prevList.forEach((track, index) => {
+    const key = sourceKey(track)
+    if (key && !prevIndex.has(key)) prevIndex.set(key, index)
+  })
+  /** @type {Set<string>} */
+  const nextKeys = new Set()
+
+  /** @type {{ track: any, index: number }[]} */
+  const added = []
+  /** @type {{ track: any, from: number, to: number }[]} */
+  const common = []
+  nextList.forEach((track, index) => {
+    const key = sourceKey(track)
+    if (!key || nextKeys.has(key)) return
+    nextKeys.add(key)
+    const from = prevIndex.get(key)
+    if (from == null) {
+      added.push({ track, index })
+    } else {
+      common.push({ track, from, to: index })
+    }
+  })
+  const loadedEnd = options.previousPartial
+    ? common.reduce((end, entry) => Math.max(end, entry.to + 1), 0)
+    : nextList.length
+
+  const removed = prevList.filter((track) => {
+    const key = sourceKey(track)
+    return key != null && !nextKeys.has(key)
+  })
+
+  const inPlace = longestIncreasingIndices(common.map((entry) => entry.from))
+  const reordered = common.filter((_, i) => !inPlace.has(i))
+
+  return {
+    added: added.filter((entry) => entry.index < loadedEnd).map((entry) => entry.track),
+    removed,
+    reordered,
+    unchangedCount: common.length - reordered.length,
+  }
+}
+
+/**
+ * @param {TrackDiff | null | undefined} diff
+ * @returns {boolean}
+ */
+export function hasTrackChanges(diff) {
+  if (!diff) return false
+  return diff.added.length > 0 || diff.removed.length > 0 || diff.reordered.length > 0
+}
+
+/**
+ * Build orphan entries for removed tracks that carry notes or tags.
+ * Tracks without annotations are skipped; there is nothing to keep.
+ * @param {any[]} removedTracks
+ * @param {Record<string, NoteEntry[]>} notesByTrack
+ * @param {Record<string, string[]>} tagsByTrack
+ * @param {{ provider?: string | null, playlistId?: string | null, orphanedAt?: string }} [context]
+ * @returns {OrphanedTrack[]}
+ */
+export function collectOrphanedTracks(removedTracks, notesByTrack, tagsByTrack, context = {}) {
+  const orphanedAt = context.orphanedAt ?? new Date().toISOString()
+  /** @type {OrphanedTrack[]} */
+  const out = []
+  ;(Array.isArray(removedTracks) ? removedTracks : []).forEach((track) => {
+    const key = trackKey(track)
+    if (!key) return
+    const notes = normalizeNotesList(notesByTrack?.[key] ?? track?.notes)
+    const tags = normalizeTagList(tagsByTrack?.[key] ?? track?.tags)
+    if (notes.length === 0 && tags.length === 0) return
+    out.push({
+      id: key,
+      title: typeof track?.title === 'string' ? track.title : '',
+      artist: typeof track?.artist === 'string' ? track.artist : '',
+      provider: context.provider ?? track?.provider ?? null,
+      playlistId: context.playlistId ?? null,
+      notes,
+      tags,
+      orphanedAt,
+    })
+  })
+  return out
+}
+
+/**
+ * Merge new orphans into the bucket and release any whose track is back in `tracks`.
+ * Newer entries replace older ones for the same track id.
+ * @param {OrphanedTrack[]} existing
+ * @param {OrphanedTrack[]} incoming
+ * @param {any[]} tracks - The playlist's tracks after the update
+ * @returns {OrphanedTrack[]}
+ */
+export function mergeOrphanedTracks(existing, incoming, tracks) {
+  const present = new Set((Array.isArray(tracks) ? tracks : []).map(trackKey).filter(Boolean))
+  /** @type {Map<string, OrphanedTrack>} */
+  const byId = new Map()
+  ;[...(Array.isArray(existing) ? existing : []), ...(Array.isArray(incoming) ? incoming : [])].forEach(
+    (entry) => {
+      if (!entry?.id || present.has(entry.id)) return
+      byId.set(entry.id, entry)
+    }
+  )
+  return Array.from(byId.values())
+}
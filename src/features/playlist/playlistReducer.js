@@ -8,17 +8,31 @@ import {
   mergeRemoteNotes,
   mergeRemoteTags,
   normalizeNotesList,
+  normalizeTagList,
 } from '../../utils/notesTagsData.js'
 /** @typedef {import('../../utils/notesTagsData.js').NoteEntry} NoteEntry */
 import { attachNotesToTracks } from '../../utils/trackProcessing.js'
 import { computeHasLocalNotes, computeAllCustomTags } from './helpers.js'
+import { mergeOrphanedTracks } from './playlistDiff.js'
+import {
+  applyTrackLink,
+  createEmptyTrackLinks,
+  dismissTrackLink,
+  linkTracks,
+  resolveCanonicalTrackId,
+  unlinkTrack,
+} from '../identity/trackIdentity.js'
+/** @typedef {import('../identity/trackIdentity.js').TrackLinks} TrackLinks */
+/** @typedef {import('./playlistDiff.js').OrphanedTrack} OrphanedTrack */
 
 /**
  * @typedef {Object} PlaylistState
  * @property {Array<any>} tracks
  * @property {Record<string, NoteEntry[]>} notesByTrack
  * @property {Record<string, string[]>} tagsByTrack
- * @property {'spotify' | 'youtube' | 'soundcloud' | 'demo' | null} provider
+ * @property {OrphanedTrack[]} orphanedTracks - Notes/tags from tracks removed upstream
+ * @property {TrackLinks} trackLinks - Confirmed cross-provider links, persisted separately
+ * @property {'spotify' | 'youtube' | 'soundcloud' | 'applemusic' | 'deezer' | 'file' | 'demo' | null} provider
  * @property {{ trackId: string | null, draft: string, error: string | null }} editingState
  * @property {{ hasLocalNotes: boolean, allCustomTags: string[] }} _derived
  */
@@ -31,6 +45,8 @@ export const initialPlaylistState = {
   tracks: [],
   notesByTrack: {},
   tagsByTrack: {},
+  orphanedTracks: [],
+  trackLinks: createEmptyTrackLinks(),
   provider: null,
   editingState: {
     trackId: null,
@@ -59,6 +75,24 @@ function recomputeDerived(state) {
   }
 }
 
+/**
+ * Re-key loaded tracks after the link map changed and re-read their notes and tags.
+ * @param {Object} state
+ * @param {TrackLinks} trackLinks
+ * @returns {Object}
+ */
+function relinkTracks(state, trackLinks) {
+  const tracks = state.tracks.map(track => {
+    const linked = applyTrackLink(track, trackLinks)
+    return {
+      ...linked,
+      notes: state.notesByTrack[linked.id] || [],
+      tags: state.tagsByTrack[linked.id] || []
+    }
+  })
+  return recomputeDerived({ ...state, trackLinks, tracks })
+}
+
 function normalizeTimestampMs(value) {
   if (typeof value !== 'number' || !Number.isFinite(value)) return undefined
   return Math.trunc(value)
@@ -236,6 +270,32 @@ export function playlistReducer(state, action) {
       })
     }
 
+    case 'NOTE_REPLACE': {
+      const { trackId, target, notes } = action.payload
+      const existing = normalizeNotesList(state.notesByTrack[trackId] || [])
+      const index = target?.id
+        ? existing.findIndex((note) => note.id === target.id)
+        : typeof target?.index === 'number' ? target.index : -1
+      if (index < 0 || index >= existing.length) {
+        return state
+      }
+      const updated = [...existing]
+      updated.splice(index, 1, ...normalizeNotesList(notes))
+      const nextNotesMap = updateNotesMap(state.notesByTrack, trackId, updated)
+      const hydratedNotes = nextNotesMap[trackId] || []
+      const nextTracks = state.tracks.map(t =>
+        t.id === trackId
+          ? { ...t, notes: hydratedNotes }
+          : t
+      )
+
+      return recomputeDerived({
+        ...state,
+        notesByTrack: nextNotesMap,
+        tracks: nextTracks
+      })
+    }
+
     // ===== Tag Operations =====
     case 'TAG_ADD': {
       const { trackId, tag } = action.payload
@@ -292,14 +352,19 @@ export function playlistReducer(state, action) {
     }
 
     case 'TRACKS_SET_WITH_NOTES': {
-      const { tracks, notesByTrack, tagsByTrack, baselineTracks, importStamp, provider } = action.payload
-      const merged = attachNotesToTracks(tracks, notesByTrack, tagsByTrack, baselineTracks, { importStamp })
+      const { tracks, notesByTrack, tagsByTrack, baselineTracks, importStamp, provider, orphans } = action.payload
+      const merged = attachNotesToTracks(tracks, notesByTrack, tagsByTrack, baselineTracks, {
+        importStamp,
+        trackLinks: state.trackLinks
+      })
 
       return recomputeDerived({
         ...state,
         tracks: merged,
         notesByTrack,
         tagsByTrack,
+        // Tracks that reappear upstream leave the bucket; their notes are still keyed by id.
+        orphanedTracks: mergeOrphanedTracks(state.orphanedTracks, orphans, merged),
         provider: provider || null
       })
     }
@@ -327,8 +392,78 @@ export function playlistReducer(state, action) {
       })
     }
 
+    case 'REMOTE_TAB_MERGE': {
+      const { notesByTrack: incomingNotes, tagsByTrack: incomingTags, trackLinks } = action.payload
+      const notesByTrack = { ...state.notesByTrack }
+      const tagsByTrack = { ...state.tagsByTrack }
+      const changed = new Set()
+      Object.entries(incomingNotes || {}).forEach(([trackId, notes]) => {
+        const cleaned = normalizeNotesList(notes)
+        if (cleaned.length > 0) notesByTrack[trackId] = cleaned
+        else delete notesByTrack[trackId]
+        changed.add(trackId)
+      })
+      Object.entries(incomingTags || {}).forEach(([trackId, tags]) => {
+        const cleaned = normalizeTagList(tags)
+        if (cleaned.length > 0) tagsByTrack[trackId] = cleaned
+        else delete tagsByTrack[trackId]
+        changed.add(trackId)
+      })
+      const next = { ...state, notesByTrack, tagsByTrack }
+      if (trackLinks && Array.isArray(trackLinks.dismissed) && trackLinks.links) {
+        return relinkTracks(next, trackLinks)
+      }
+      const tracks = state.tracks.map(track =>
+        changed.has(track.id)
+          ? { ...track, notes: notesByTrack[track.id] || [], tags: tagsByTrack[track.id] || [] }
+          : track
+      )
+      return recomputeDerived({ ...next, tracks })
+    }
+
+    // ===== Cross-provider Links =====
+    case 'TRACK_LINK_CONFIRM': {
+      const { trackId, canonicalId } = action.payload
+      const current = state.trackLinks || createEmptyTrackLinks()
+      const trackLinks = linkTracks(current, trackId, canonicalId)
+      if (trackLinks === current) return state
+      // Whatever was written against the provider's own id moves to the canonical one.
+      const target = resolveCanonicalTrackId(trackLinks, trackId)
+      const { [trackId]: movedNotes = [], ...restNotes } = state.notesByTrack
+      const { [trackId]: movedTags = [], ...restTags } = state.tagsByTrack
+      const targetNotes = normalizeNotesList(restNotes[target])
+      const knownIds = new Set(targetNotes.map(note => note.id))
+      const notesByTrack = {
+        ...restNotes,
+        [target]: [...targetNotes, ...normalizeNotesList(movedNotes).filter(note => !knownIds.has(note.id))]
+      }
+      const tagsByTrack = {
+        ...restTags,
+        [target]: normalizeTagList([...(restTags[target] || []), ...movedTags])
+      }
+      return relinkTracks({ ...state, notesByTrack, tagsByTrack }, trackLinks)
+    }
+
+    case 'TRACK_LINK_BREAK': {
+      const current = state.trackLinks || createEmptyTrackLinks()
+      const trackLinks = unlinkTrack(current, action.payload.trackId)
+      return trackLinks === current ? state : relinkTracks(state, trackLinks)
+    }
+
+    case 'TRACK_LINK_DISMISS': {
+      const { trackId, canonicalId } = action.payload
+      return {
+        ...state,
+        trackLinks: dismissTrackLink(state.trackLinks || createEmptyTrackLinks(), trackId, canonicalId)
+      }
+    }
+
     case 'STATE_RESET':
-      return recomputeDerived(initialPlaylistState)
+      // Links describe songs, not the open playlist, so they outlive a reset.
+      return recomputeDerived({
+        ...initialPlaylistState,
+        trackLinks: state.trackLinks || initialPlaylistState.trackLinks
+      })
 
     default:
       return state
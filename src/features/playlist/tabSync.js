@@ -0,0 +1,72 @@
+// src/features/playlist/tabSync.js
+// Which reducer mutations other open tabs need to hear about, and what to send them.
+// Tabs exchange the resulting notes and tags per track rather than the actions
+// themselves: replaying an action like NOTE_DELETE (by index) or NOTE_SAVE_OPTIMISTIC
+// (new id, new timestamp) in a tab with slightly different state would diverge.
+
+// @ts-check
+
+import { resolveCanonicalTrackId } from '../identity/trackIdentity.js'
+
+export const PLAYLIST_TAB_MESSAGE = 'playlist:changes'
+
+/** Mutations of user data; editing UI state and imports stay per tab. */
+const SHARED_ACTION_TYPES = new Set([
+  'NOTE_SAVE_OPTIMISTIC',
+  'NOTE_SAVE_ROLLBACK',
+  'NOTE_SAVE_ROLLBACK_WITH_ERROR',
+  'NOTE_DELETE',
+  'NOTE_RESTORE',
+  'NOTE_REPLACE',
+  'TAG_ADD',
+  'TAG_REMOVE',
+  'TRACK_LINK_CONFIRM',
+  'TRACK_LINK_BREAK',
+  'TRACK_LINK_DISMISS',
+])
+
+/**
+ * @typedef {{ trackIds: Set<string>, links: boolean }} PendingTabChanges
+ */
+
+/**
+ * Record what an action touched, or return null when other tabs don't need it.
+ * @param {{ type: string, payload?: any }} action
+ * @param {PendingTabChanges | null} pending
+ * @returns {PendingTabChanges | null}
+ */
+export function collectTabChanges(action, pending) {
+  if (!action || !SHARED_ACTION_TYPES.has(action.type)) return pending
+  const next = pending ?? { trackIds: new Set(), links: false }
+  const { trackId, canonicalId } = action.payload ?? {}
+  if (typeof trackId === 'string' && trackId) next.trackIds.add(trackId)
+  if (typeof canonicalId === 'string' && canonicalId) next.trackIds.add(canonicalId)
+  if (action.type.startsWith('TRACK_LINK_')) next.links = true
+  return next
+}
+
+/**
+ * The notes and tags now held for the touched tracks (empty lists included, so
+ * deletions carry over), plus the link map when it changed.
+ * @param {import('./playlistReducer.js').PlaylistState} state
+ * @param {PendingTabChanges} pending
+ * @returns {{ notesByTrack: Record<string, any[]>, tagsByTrack: Record<string, string[]>, trackLinks?: import('../identity/trackIdentity.js').TrackLinks }}
+ */
+export function buildTabChanges(state, pending) {
+  const trackIds = new Set(pending.trackIds)
+  if (pending.links && state.trackLinks) {
+    // A confirmed link moves notes to the canonical id, which may be further along.
+    pending.trackIds.forEach((id) => trackIds.add(resolveCanonicalTrackId(state.trackLinks, id)))
+  }
+  /** @type {Record<string, any[]>} */
+  const notesByTrack = {}
+  /** @type {Record<string, string[]>} */
+  const tagsByTrack = {}
+  trackIds.forEach((id) => {
+    notesByTrack[id] = state.notesByTrack[id] || []
+    tagsByTrack[id] = state.tagsByTrack[id] || []
+  })
+  return pending.links && state.trackLinks
+    ? { notesByTrack, tagsByTrack, trackLinks: state.trackLinks }
+    : { notesByTrack, tagsByTrack }
+}
@@ -1,7 +1,12 @@
 // src/features/playlist/usePlaylistContext.js
 
 import { useContext } from 'react'
-import { PlaylistStateContext, PlaylistDispatchContext, PlaylistSyncContext } from './contexts.js'
+import {
+  PlaylistStateContext,
+  PlaylistDispatchContext,
+  PlaylistSyncContext,
+  PlaylistHistoryContext,
+} from './contexts.js'
 // eslint-disable-next-line no-unused-vars -- used in JSDoc types
 import { initialPlaylistState } from './playlistReducer.js'
 
@@ -72,6 +77,32 @@ export function usePlaylistTagsByTrack() {
   return state.tagsByTrack
 }
 
+/**
+ * Hook to access notes/tags kept from tracks removed upstream
+ * @returns {import('./playlistDiff.js').OrphanedTrack[]}
+ * @throws {Error} If used outside PlaylistStateProvider
+ */
+export function usePlaylistOrphanedTracks() {
+  const state = useContext(PlaylistStateContext)
+  if (state === null) {
+    throw new Error('usePlaylistOrphanedTracks must be used within PlaylistStateProvider')
+  }
+  return state.orphanedTracks
+}
+
+/**
+ * Hook to access confirmed and dismissed cross-provider links
+ * @returns {import('../identity/trackIdentity.js').TrackLinks}
+ * @throws {Error} If used outside PlaylistStateProvider
+ */
+export function usePlaylistTrackLinks() {
+  const state = useContext(PlaylistStateContext)
+  if (state === null) {
+    throw new Error('usePlaylistTrackLinks must be used within PlaylistStateProvider')
+  }
+  return state.trackLinks
+}
+
 /**
  * Hook to access editing state
  * @returns {{ trackId: string | null, draft: string, error: string | null }}
@@ -100,7 +131,7 @@ export function usePlaylistDerived() {
 
 /**
  * Hook to access playlist sync operations
- * @returns {{ syncTrackTags: (trackId: string, tags: string[]) => Promise<void> }}
+ * @returns {import('./PlaylistProvider.jsx').PlaylistSyncValue}
  * @throws {Error} If used outside PlaylistStateProvider
  */
 export function usePlaylistSync() {
@@ -110,3 +141,16 @@ export function usePlaylistSync() {
   }
   return sync
 }
+
+/**
+ * Hook to access the undo/redo history
+ * @returns {import('./PlaylistProvider.jsx').PlaylistHistoryValue}
+ * @throws {Error} If used outside PlaylistStateProvider
+ */
+export function usePlaylistHistory() {
+  const history = useContext(PlaylistHistoryContext)
+  if (history === null) {
+    throw new Error('usePlaylistHistory must be used within PlaylistStateProvider')
+  }
+  return history
+}
@@ -1,10 +1,21 @@
 import { useMemo, useRef } from 'react'
 import ErrorMessage from '../../components/ErrorMessage.jsx'
+import { DAYLIST_SNAPSHOT_KIND } from './daylistSnapshots.js'
+import { getRecentCollectionType } from './recentUtils.js'
 
 const PROVIDER_LABELS = {
   spotify: 'Spotify',
   youtube: 'YouTube',
   soundcloud: 'SoundCloud',
+  applemusic: 'Apple Music',
+  deezer: 'Deezer',
+  file: 'Tracklist',
+}
+
+const COLLECTION_LABELS = {
+  album: 'album',
+  artist: 'artist',
+  track: 'track',
 }
 
 function resolveProvider(provider) {
@@ -61,6 +72,16 @@ function describeRecency(importedAt, lastUsedAt) {
   }
 }
 
+function describeCapture(capturedAt) {
+  const timestamp = coerceMillis(capturedAt)
+  if (timestamp == null) return null
+  const date = new Date(timestamp)
+  return {
+    label: `Captured ${date.toLocaleDateString()} ${date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}`,
+    title: date.toLocaleString(),
+  }
+}
+
 /**
  * @param {object} props
  * @param {Array<any>} props.items - Array of recent playlist items
@@ -119,8 +140,13 @@ export default function RecentPlaylists({
             isRefreshing && refreshingId && refreshingId === item.id,
           )
           const disableCard = disabled || isLoading
-          const recency = describeRecency(item.importedAt, item.lastUsedAt)
+          const isSnapshot = item.kind === DAYLIST_SNAPSHOT_KIND
+          const recency = isSnapshot
+            ? describeCapture(item.capturedAt ?? item.importedAt)
+            : describeRecency(item.importedAt, item.lastUsedAt)
           const providerLabel = resolveProvider(item.provider)
+          const collectionLabel = COLLECTION_LABELS[getRecentCollectionType(item)] ?? null
+          const itemLabel = isSnapshot ? 'daylist snapshot' : collectionLabel ?? 'playlist'
           const displayTitle =
             typeof item.title === 'string' && item.title.trim()
               ? item.title.trim()
@@ -147,9 +173,9 @@ export default function RecentPlaylists({
                 disabled={disableCard}
                 aria-busy={isLoading || isRefreshingCard ? 'true' : 'false'}
                 aria-describedby={ariaDescribedBy}
-                aria-label={`Load playlist "${displayTitle}" from ${providerLabel}${
+                aria-label={`Load ${itemLabel} "${displayTitle}" from ${providerLabel}${
                   totalLabel ? `, ${totalLabel}` : ''
-                }`}
+                }${isSnapshot && recency ? `, ${recency.label.toLowerCase()}` : ''}`}
               >
                 <div className="recent-card__media" aria-hidden="true">
                   {item.coverUrl ? (
@@ -174,9 +200,15 @@ export default function RecentPlaylists({
                     {displayTitle}
                   </p>
                   <p className="recent-card__meta">
-                    <span className="recent-card__provider">{providerLabel}</span>
+                    <span className="recent-card__provider">
+                      {providerLabel}
+                      {collectionLabel ? ` ${collectionLabel}` : null}
+                    </span>
                     {totalLabel ? <span> - {totalLabel}</span> : null}
                   </p>
+                  {isSnapshot ? (
+                    <span className="chip recent-card__badge">Daylist snapshot</span>
+                  ) : null}
                   {recency ? (
                     <p className="recent-card__recency" title={recency.title}>
                       {recency.label}
@@ -44,6 +44,64 @@ describe('RecentPlaylists', () => {
     expect(screen.getByText('F', { selector: '.recent-card__fallback span' })).toBeInTheDocument()
   })
 
+  it('labels Spotify albums and artists by what they are', () => {
+    const items = [
+      {
+        id: 'spotify:album:abc',
+        provider: 'spotify',
+        playlistId: 'album:abc',
+        title: 'Blonde',
+        sourceUrl: 'https://open.spotify.com/album/abc',
+        importedAt: Date.now(),
+        total: 17,
+      },
+      {
+        id: 'spotify:artist:def',
+        provider: 'spotify',
+        playlistId: 'artist:def',
+        title: 'Frank Ocean',
+        sourceUrl: 'https://open.spotify.com/artist/def',
+        importedAt: Date.now(),
+      },
+    ]
+
+    render(<RecentPlaylists items={items} onSelect={vi.fn()} />)
+
+    expect(
+      screen.getByRole('button', { name: 'Load album "Blonde" from Spotify, 17 tracks' }),
+    ).toBeInTheDocument()
+    expect(screen.getByRole('button', { name: 'Load artist "Frank Ocean" from Spotify' })).toBeInTheDocument()
+    expect(screen.getByText('Spotify album')).toBeInTheDocument()
+  })
+
+  it('badges daylist snapshots with their capture time instead of recency', () => {
+    const capturedAt = Date.now() - 3 * 24 * 60 * 60 * 1000
+    const items = [
+      {
+        id: 'spotify:daylist-1-1',
+        provider: 'spotify',
+        playlistId: 'daylist-1-1',
+        title: 'daylist • sleepy monday',
+        sourceUrl: 'snapshot:daylist-1-1',
+        importedAt: capturedAt,
+        lastUsedAt: Date.now(),
+        total: 2,
+        kind: 'daylist-snapshot',
+        capturedAt,
+      },
+    ]
+
+    render(<RecentPlaylists items={items} onSelect={vi.fn()} />)
+
+    expect(screen.getByText('Daylist snapshot')).toBeInTheDocument()
+    expect(screen.queryByText(/^Updated/)).not.toBeInTheDocument()
+    expect(
+      screen.getByRole('button', {
+        name: /^Load daylist snapshot "daylist • sleepy monday" from Spotify, 2 tracks, captured /,
+      }),
+    ).toBeInTheDocument()
+  })
+
   it('shows loading state and restores focus when selection fails', async () => {
     const user = userEvent.setup()
     const items = [
@@ -0,0 +1,84 @@
+import { beforeEach, describe, expect, it } from 'vitest'
+import {
+  MAX_DAYLIST_SNAPSHOTS,
+  createDaylistSnapshot,
+  getDaylistSnapshot,
+  isDaylistTitle,
+  isSnapshotSourceUrl,
+  loadDaylistSnapshots,
+  saveDaylistSnapshot,
+  snapshotToImportResult,
+} from '../daylistSnapshots.js'
+import { upsertRecent } from '../../../utils/storage.js'
+
+const source = {
+  sourcePlaylistId: 'daylist-1',
+  title: 'daylist • rainy morning',
+  coverUrl: 'https://i.scdn.co/cover.jpg',
+  tracks: [{ id: 'sp-1', title: 'One', notes: [{ body: 'x', createdAt: 1 }], tags: ['a'] }],
+}
+
+describe('daylistSnapshots', () => {
+  beforeEach(() => {
+    window.localStorage.removeItem('sta:daylist-snapshots')
+  })
+
+  it('recognises daylist titles and snapshot pseudo-URLs', () => {
+    expect(isDaylistTitle('daylist • chill tuesday afternoon')).toBe(true)
+    expect(isDaylistTitle('My daylist favourites')).toBe(false)
+    expect(isSnapshotSourceUrl('snapshot:daylist-1-5')).toBe(true)
+    expect(isSnapshotSourceUrl('https://open.spotify.com/playlist/abc')).toBe(false)
+  })
+
+  it('captures tracks without per-track notes and loads like an import result', () => {
+    const snapshot = createDaylistSnapshot(source, 500)
+    expect(snapshot).toEqual({
+      id: 'daylist-1-500',
+      kind: 'daylist-snapshot',
+      sourcePlaylistId: 'daylist-1',
+      capturedAt: 500,
+      title: 'daylist • rainy morning',
+      coverUrl: 'https://i.scdn.co/cover.jpg',
+      tracks: [{ id: 'sp-1', title: 'One' }],
+    })
+
+    const result = snapshotToImportResult(snapshot)
+    expect(result.meta).toMatchObject({
+      provider: 'spotify',
+      playlistId: 'daylist-1-500',
+      hasMore: false,
+      sourceUrl: 'snapshot:daylist-1-500',
+    })
+    expect(result.importedAt).toBe(new Date(500).toISOString())
+  })
+
+  it('keeps the newest snapshots up to the limit', () => {
+    for (let i = 1; i <= MAX_DAYLIST_SNAPSHOTS + 2; i += 1) {
+      expect(saveDaylistSnapshot(createDaylistSnapshot(source, i))).toBe(true)
+    }
+    const stored = loadDaylistSnapshots()
+    expect(stored).toHaveLength(MAX_DAYLIST_SNAPSHOTS)
+    expect(stored[0].capturedAt).toBe(MAX_DAYLIST_SNAPSHOTS + 2)
+    expect(getDaylistSnapshot('daylist-1-1')).toBeNull()
+  })
+
+  it('keeps the snapshot marker on recents through storage normalisation', () => {
+    const [recent] = upsertRecent([], {
+      provider: 'spotify',
+      playlistId: 'daylist-1-500',
+      sourceUrl: 'snapshot:daylist-1-500',
+      title: 'daylist • rainy morning',
+      kind: 'daylist-snapshot',
+      capturedAt: 500,
+    })
+    expect(recent).toMatchObject({ kind: 'daylist-snapshot', capturedAt: 500 })
+
+    const [plain] = upsertRecent([], {
+      provider: 'spotify',
+      playlistId: 'abc',
+      sourceUrl: 'https://open.spotify.com/playlist/abc',
+      kind: 'something-else',
+    })
+    expect(plain).not.toHaveProperty('kind')
+  })
+})
@@ -1,5 +1,5 @@
 import { describe, expect, it, beforeEach } from 'vitest'
-import { createRecentCandidate } from '../recentUtils.js'
+import { createRecentCandidate, getRecentCollectionType } from '../recentUtils.js'
 
 describe('createRecentCandidate', () => {
   beforeEach(() => {
@@ -75,3 +75,13 @@ describe('createRecentCandidate', () => {
   })
 })
 
+
+describe('getRecentCollectionType', () => {
+  it('reads Spotify album, artist and track entries from the scoped id', () => {
+    expect(getRecentCollectionType({ provider: 'spotify', playlistId: 'album:abc' })).toBe('album')
+    expect(getRecentCollectionType({ provider: 'spotify', playlistId: 'artist:abc' })).toBe('artist')
+    expect(getRecentCollectionType({ provider: 'spotify', playlistId: 'track:abc' })).toBe('track')
+    expect(getRecentCollectionType({ provider: 'spotify', playlistId: 'abc' })).toBe('playlist')
+    expect(getRecentCollectionType({ provider: 'soundcloud', playlistId: 'album:abc' })).toBe('playlist')
+  })
+})
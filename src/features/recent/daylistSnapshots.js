@@ -0,0 +1,153 @@
+/**
+ * Daylist Snapshots
+ * Frozen copies of a Spotify daylist, kept on this device
+ *
+ * Spotify rewrites a daylist several times a day, so re-importing its link never
+ * gives back what the user annotated. A snapshot stores the tracks once and is
+ * opened from Recents through a `snapshot:` pseudo-URL that no adapter handles,
+ * which keeps it out of re-import and update checks. Track ids are the original
+ * Spotify ids, so notes and tags carry over between the live daylist and its snapshots.
+ *
+ * @module features/recent/daylistSnapshots
+ */
+
+// @ts-check
+
+export const DAYLIST_SNAPSHOT_KIND = 'daylist-snapshot'
+export const SNAPSHOT_SCHEME = 'snapshot:'
+export const MAX_DAYLIST_SNAPSHOTS = 10
+
+const STORAGE_KEY = 'sta:daylist-snapshots'
+const DAYLIST_TITLE_RE = /^daylist\b/i
+
+/**
+ * @typedef {Object} DaylistSnapshot
+ * @property {string} id
+ * @property {typeof DAYLIST_SNAPSHOT_KIND} kind
+ * @property {string} sourcePlaylistId
+ * @property {number} capturedAt
+ * @property {string} title
+ * @property {string=} coverUrl
+ * @property {Record<string, any>[]} tracks
+ */
+
+/**
+ * Spotify names every daylist "daylist • <mood> <time of day>".
+ * @param {unknown} title
+ */
+export function isDaylistTitle(title) {
+  return typeof title === 'string' && DAYLIST_TITLE_RE.test(title.trim())
+}
+
+/** @param {string} id */
+export function buildSnapshotSourceUrl(id) {
+  return `${SNAPSHOT_SCHEME}${id}`
+}
+
+/** @param {unknown} url */
+export function isSnapshotSourceUrl(url) {
+  return typeof url === 'string' && url.trim().toLowerCase().startsWith(SNAPSHOT_SCHEME)
+}
+
+/**
+ * Copy the loaded tracks into a snapshot record. Per-track notes and tags are
+ * dropped: they live in the global maps keyed by track id.
+ * @param {{ sourcePlaylistId: string, title?: string, coverUrl?: string | null, tracks: Record<string, any>[] }} source
+ * @param {number} [capturedAt]
+ * @returns {DaylistSnapshot}
+ */
+export function createDaylistSnapshot(source, capturedAt = Date.now()) {
+  const tracks = source.tracks.map((track) => {
+    const { notes: _notes, tags: _tags, ...rest } = track
+    return rest
+  })
+  /** @type {DaylistSnapshot} */
+  const snapshot = {
+    id: `${source.sourcePlaylistId}-${capturedAt}`,
+    kind: DAYLIST_SNAPSHOT_KIND,
+    sourcePlaylistId: source.sourcePlaylistId,
+    capturedAt,
+    title: typeof source.title === 'string' && source.title.trim() ? source.title.trim() : 'daylist',
+    tracks,
+  }
+  if (typeof source.coverUrl === 'string' && source.coverUrl) {
+    snapshot.coverUrl = source.coverUrl
+  }
+  return snapshot
+}
+
+/**
+ * @param {unknown} entry
+ * @returns {entry is DaylistSnapshot}
+ */
+function isSnapshotRecord(entry) {
+  const record = /** @type {any} */ (entry)
+  return (
+    Boolean(record) &&
+    record.kind === DAYLIST_SNAPSHOT_KIND &&
+    typeof record.id === 'string' &&
+    typeof record.sourcePlaylistId === 'string' &&
+    typeof record.capturedAt === 'number' &&
+    Array.isArray(record.tracks)
+  )
+}
+
+/** @returns {DaylistSnapshot[]} */
+export function loadDaylistSnapshots() {
+  if (typeof window === 'undefined' || !window.localStorage) return []
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(STORAGE_KEY) ?? '[]')
+    return Array.isArray(parsed) ? parsed.filter(isSnapshotRecord) : []
+  } catch {
+    return []
+  }
+}
+
+/**
+ * Store a snapshot, newest first. The oldest ones beyond MAX_DAYLIST_SNAPSHOTS are dropped.
+ * @param {DaylistSnapshot} snapshot
+ * @returns {boolean} false when storage is unavailable or full
+ */
+export function saveDaylistSnapshot(snapshot) {
+  if (typeof window === 'undefined' || !window.localStorage) return false
+  const next = [snapshot, ...loadDaylistSnapshots().filter((entry) => entry.id !== snapshot.id)]
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(next.slice(0, MAX_DAYLIST_SNAPSHOTS)))
+    return true
+  } catch {
+    return false
+  }
+}
+
+/**
+ * @param {string} id
+ * @returns {DaylistSnapshot | null}
+ */
+export function getDaylistSnapshot(id) {
+  return loadDaylistSnapshots().find((entry) => entry.id === id) ?? null
+}
+
+/**
+ * Shape a snapshot like an import result so it loads through the normal import path.
+ * @param {DaylistSnapshot} snapshot
+ */
+export function snapshotToImportResult(snapshot) {
+  const sourceUrl = buildSnapshotSourceUrl(snapshot.id)
+  return {
+    title: snapshot.title,
+    importedAt: new Date(snapshot.capturedAt).toISOString(),
+    coverUrl: snapshot.coverUrl,
+    total: snapshot.tracks.length,
+    tracks: snapshot.tracks.map((track) => ({ ...track })),
+    meta: {
+      provider: 'spotify',
+      playlistId: snapshot.id,
+      snapshotId: null,
+      cursor: null,
+      hasMore: false,
+      sourceUrl,
+      total: snapshot.tracks.length,
+      contentKind: 'music',
+    },
+  }
+}
@@ -22,7 +22,7 @@ import { normalizeTimestamp } from '../../utils/trackProcessing.js'
  * Returns null if required fields (provider, playlistId, sourceUrl) are missing.
  *
  * @param {object} meta - Import metadata object
- * @param {string} [meta.provider] - Playlist provider (spotify, youtube, soundcloud)
+ * @param {string} [meta.provider] - Playlist provider (spotify, youtube, soundcloud, applemusic, deezer)
  * @param {string} [meta.playlistId] - Provider-specific playlist ID
  * @param {string} [meta.sourceUrl] - Source URL (fallback if options.sourceUrl not provided)
  * @param {object} [options={}] - Optional metadata to include in candidate
@@ -34,6 +34,8 @@ import { normalizeTimestamp } from '../../utils/trackProcessing.js'
  * @param {string} [options.coverUrl] - Cover image URL
  * @param {boolean} [options.pinned] - Whether playlist is pinned
  * @param {number | Date | string} [options.lastRefreshedAt] - Timestamp of last manual refresh
+ * @param {'daylist-snapshot'} [options.kind] - Marks a frozen daylist snapshot (no re-import)
+ * @param {number | Date | string} [options.capturedAt] - When the snapshot was taken
  *
  * @returns {object | null} Partial recent playlist candidate object, or null if validation fails
  *
@@ -110,6 +112,26 @@ export function createRecentCandidate(meta, options = {}) {
   if (lastRefreshedAt != null) {
     next.lastRefreshedAt = lastRefreshedAt
   }
+  if (options.kind === 'daylist-snapshot') {
+    next.kind = options.kind
+    const capturedAt = normalizeTimestamp(options.capturedAt)
+    if (capturedAt != null) next.capturedAt = capturedAt
+  }
 
   return next
 }
+
+const SPOTIFY_SCOPED_ID_RE = /^(album|artist|track):/
+
+/**
+ * What a recent entry holds, for card labels. Spotify albums, artists and single
+ * tracks are recognised by their type-prefixed playlistId; everything else is a playlist.
+ *
+ * @param {{ provider?: string, playlistId?: string }} item - Recent playlist entry
+ * @returns {'playlist' | 'album' | 'artist' | 'track'}
+ */
+export function getRecentCollectionType(item) {
+  if (item?.provider !== 'spotify' || typeof item.playlistId !== 'string') return 'playlist'
+  const match = SPOTIFY_SCOPED_ID_RE.exec(item.playlistId)
+  return match ? /** @type {'album' | 'artist' | 'track'} */ (match[1]) : 'playlist'
+}
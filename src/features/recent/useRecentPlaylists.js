@@ -3,6 +3,9 @@ import { saveRecent, upsertRecent } from '../../utils/storage.js'
 import { createRecentCandidate } from './recentUtils.js'
 import { normalizeTimestamp } from '../../utils/trackProcessing.js'
 import usePersistentPlaylistCache from '../import/usePersistentPlaylistCache.js'
+import { getTabChannel } from '../sync/tabChannel.js'
+
+const RECENTS_TAB_MESSAGE = 'recents:update'
 
 const normalizeSourceKey = (raw) =>
   typeof raw === 'string' && raw.trim() ? raw.trim() : ''
@@ -64,10 +67,20 @@ export function useRecentPlaylists(initialRecents) {
       const next = upsertRecent(prev, candidate)
       if (next === prev) return prev
       saveRecent(next)
+      getTabChannel().post(RECENTS_TAB_MESSAGE, next)
       return next
     })
   }, [])
 
+  // Another tab opened a playlist; it has already saved the list
+  useEffect(
+    () =>
+      getTabChannel().subscribe(RECENTS_TAB_MESSAGE, (list) => {
+        if (Array.isArray(list)) setRecentPlaylists(list)
+      }),
+    [],
+  )
+
   useEffect(() => {
     setRecentCardState((prev) => {
       const activeIds = new Set(recentPlaylists.map((item) => item.id))
@@ -0,0 +1,77 @@
+import { describe, expect, it } from 'vitest'
+import {
+  buildPath,
+  buildProviderSourceUrl,
+  parseLocation,
+  readFilterParams,
+  writeFilterParams,
+} from '../routes.js'
+
+describe('routes', () => {
+  it('round-trips playlist, track and screen paths', () => {
+    const route = {
+      screen: /** @type {const} */ ('playlist'),
+      provider: 'spotify',
+      playlistId: 'album:4aawyAB9vmqN3uQ7FjRGTy',
+      trackId: 'sp/track 1',
+    }
+    const path = buildPath(route)
+
+    expect(path).toBe('/playlist/spotify/album%3A4aawyAB9vmqN3uQ7FjRGTy/track/sp%2Ftrack%201')
+    expect(parseLocation({ pathname: path })).toEqual({ ...route, explicit: true })
+    expect(parseLocation({ pathname: '/account' })).toMatchObject({ screen: 'account', explicit: true })
+    expect(parseLocation({ pathname: '/podcast/spotify/show1' })).toMatchObject({
+      screen: 'podcast',
+      playlistId: 'show1',
+      trackId: null,
+    })
+  })
+
+  it('treats the root and unknown paths as non-explicit landing routes', () => {
+    expect(parseLocation({ pathname: '/' })).toMatchObject({ screen: 'landing', explicit: false })
+    expect(parseLocation({ pathname: '/nope/at/all' })).toMatchObject({ screen: 'landing', explicit: false })
+    expect(buildPath({ screen: 'landing' })).toBe('/')
+    expect(buildPath({ screen: 'playlist', provider: 'file', playlistId: null })).toBe('/playlist')
+  })
+
+  it('encodes only non-default filters and reads them back', () => {
+    const filters = {
+      query: ' drums ',
+      scope: 'notes',
+      sort: { key: 'title', direction: 'asc' },
+      selectedTags: ['rock', 'live set'],
+      hasNotesOnly: true,
+    }
+    const search = writeFilterParams('?keep=1', filters)
+
+    expect(search).toBe('?keep=1&q=drums&scope=notes&sort=title-asc&tag=rock&tag=live+set&notes=1')
+    expect(readFilterParams(search)).toEqual({ ...filters, query: 'drums' })
+    expect(readFilterParams('?keep=1')).toBeNull()
+    expect(
+      writeFilterParams(search, {
+        query: '',
+        scope: 'both',
+        sort: { key: 'date', direction: 'asc' },
+        selectedTags: [],
+        hasNotesOnly: false,
+      }),
+    ).toBe('?keep=1')
+  })
+
+  it('rebuilds importer links for providers whose ids allow it', () => {
+    const base = { trackId: null, explicit: true }
+    expect(buildProviderSourceUrl({ ...base, screen: 'playlist', provider: 'spotify', playlistId: 'abc' })).toBe(
+      'https://open.spotify.com/playlist/abc',
+    )
+    expect(buildProviderSourceUrl({ ...base, screen: 'podcast', provider: 'spotify', playlistId: 'abc' })).toBe(
+      'https://open.spotify.com/show/abc',
+    )
+    expect(
+      buildProviderSourceUrl({ ...base, screen: 'playlist', provider: 'spotify', playlistId: 'artist:xyz' }),
+    ).toBe('https://open.spotify.com/artist/xyz')
+    expect(buildProviderSourceUrl({ ...base, screen: 'playlist', provider: 'youtube', playlistId: 'PL1' })).toBe(
+      'https://www.youtube.com/playlist?list=PL1',
+    )
+    expect(buildProviderSourceUrl({ ...base, screen: 'playlist', provider: 'file', playlistId: 'f1' })).toBeNull()
+  })
+})
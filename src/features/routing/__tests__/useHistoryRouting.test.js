@@ -0,0 +1,93 @@
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import { act, renderHook, waitFor } from '@testing-library/react'
+import useHistoryRouting, { resolveInitialScreen } from '../useHistoryRouting.js'
+
+const LOADED = { provider: 'spotify', playlistId: 'loaded' }
+
+/**
+ * @param {Partial<Parameters<typeof useHistoryRouting>[0]>} overrides
+ */
+function setup(overrides = {}) {
+  const setScreen = vi.fn()
+  const openPlaylist = vi.fn(async () => ({ ok: true }))
+  const announce = vi.fn()
+  const initialProps = {
+    screen: /** @type {const} */ ('playlist'),
+    setScreen,
+    importMeta: LOADED,
+    tracks: [{ id: 't1' }],
+    recents: [],
+    cachedPlaylists: new Map(),
+    openPlaylist,
+    announce,
+    ...overrides,
+  }
+  const hook = renderHook((props) => useHistoryRouting(props), { initialProps })
+  return { ...hook, setScreen, openPlaylist, announce, initialProps }
+}
+
+describe('useHistoryRouting', () => {
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('replaces the root URL with the current playlist, then pushes screen changes', () => {
+    const pushState = vi.spyOn(window.history, 'pushState')
+    const { rerender, initialProps } = setup()
+
+    expect(window.location.pathname).toBe('/playlist/spotify/loaded')
+    expect(pushState).not.toHaveBeenCalled()
+
+    rerender({ ...initialProps, screen: 'account' })
+    expect(window.location.pathname).toBe('/account')
+    expect(pushState).toHaveBeenCalledTimes(1)
+  })
+
+  it('opens a linked playlist from recents and focuses the linked track once it loads', async () => {
+    window.history.replaceState(null, '', '/playlist/spotify/other/track/t9?q=bass')
+    const recent = { id: 'spotify:other', provider: 'spotify', title: 'Other', sourceUrl: 'https://open.spotify.com/playlist/other' }
+    const { result, rerender, openPlaylist, initialProps } = setup({ recents: [recent] })
+
+    expect(openPlaylist).toHaveBeenCalledWith(recent)
+    // Still showing the old playlist: the link stays in the address bar
+    expect(window.location.pathname).toBe('/playlist/spotify/other/track/t9')
+
+    rerender({ ...initialProps, importMeta: { provider: 'spotify', playlistId: 'other' }, tracks: [{ id: 't9' }] })
+
+    expect(window.location.pathname).toBe('/playlist/spotify/other/track/t9')
+    expect(window.location.search).toBe('?q=bass')
+    expect(result.current.trackFocusRequest).toMatchObject({ trackId: 't9' })
+  })
+
+  it('re-imports an unsaved playlist and falls back to landing when no link can be built', async () => {
+    window.history.replaceState(null, '', '/playlist/youtube/PL123')
+    const { openPlaylist } = setup()
+    expect(openPlaylist).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 'youtube:PL123', sourceUrl: 'https://www.youtube.com/playlist?list=PL123' }),
+    )
+
+    window.history.replaceState(null, '', '/playlist/file/abc')
+    const other = setup()
+    expect(other.openPlaylist).not.toHaveBeenCalled()
+    expect(other.setScreen).toHaveBeenCalledWith('landing')
+    expect(other.announce).toHaveBeenCalledWith(expect.stringMatching(/isn't saved on this device/))
+  })
+
+  it('follows the back button to another screen', async () => {
+    const { setScreen } = setup()
+    act(() => {
+      window.history.pushState(null, '', '/library')
+      window.dispatchEvent(new PopStateEvent('popstate'))
+    })
+    await waitFor(() => expect(setScreen).toHaveBeenCalledWith('library'))
+  })
+
+  it('starts on an explicit screen but waits for linked playlists to load', () => {
+    window.history.replaceState(null, '', '/account')
+    expect(resolveInitialScreen('playlist', LOADED)).toBe('account')
+    window.history.replaceState(null, '', '/podcast/spotify/loaded')
+    expect(resolveInitialScreen('playlist', LOADED)).toBe('podcast')
+    window.history.replaceState(null, '', '/playlist/spotify/elsewhere')
+    expect(resolveInitialScreen('landing', LOADED)).toBe('landing')
+  })
+})
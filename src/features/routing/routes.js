@@ -0,0 +1,211 @@
+// src/features/routing/routes.js
+// @ts-check
+
+/**
+ * URL <-> app location mapping for history-based routing.
+ *
+ *   /                                          landing (or the last playlist, as before routing)
+ *   /account, /library
+ *   /playlist/:provider/:playlistId            a playlist (ids are URI-encoded)
+ *   /playlist/:provider/:playlistId/track/:id  ... with one track focused
+ *   /podcast/:provider/:playlistId[/track/:id] same for podcast views
+ *
+ * Playlist filters live in the query string (`q`, `scope`, `sort`, `tag`, `notes`) so a link
+ * reproduces the filtered view. Navigation goes through `navigate`, which also tells listeners
+ * (see `subscribeToRoute`) that the URL changed without a popstate.
+ */
+
+import { DEFAULT_SORT, SEARCH_SCOPE, SORT_DIRECTION, SORT_KEY } from '../filter/filterTracks.js'
+
+/** @typedef {'landing' | 'playlist' | 'podcast' | 'library' | 'account'} Screen */
+
+/**
+ * @typedef {Object} Route
+ * @property {Screen} screen
+ * @property {string | null} provider
+ * @property {string | null} playlistId
+ * @property {string | null} trackId
+ * @property {boolean} explicit - False for `/` and unknown paths, which keep the stored screen
+ */
+
+/**
+ * @typedef {Object} RouteFilters
+ * @property {string} query
+ * @property {string} scope
+ * @property {{ key: string, direction: string }} sort
+ * @property {string[]} selectedTags
+ * @property {boolean} hasNotesOnly
+ */
+
+const ROUTE_CHANGE_EVENT = 'app:route-change'
+const FILTER_PARAMS = ['q', 'scope', 'sort', 'tag', 'notes']
+
+/** @param {string} segment */
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment)
+  } catch (_err) {
+    return segment
+  }
+}
+
+/**
+ * @param {{ pathname: string }} location
+ * @returns {Route}
+ */
+export function parseLocation(location) {
+  const segments = (location?.pathname ?? '/')
+    .split('/')
+    .filter(Boolean)
+    .map(decodeSegment)
+  /** @type {Route} */
+  const route = { screen: 'landing', provider: null, playlistId: null, trackId: null, explicit: false }
+  const [head, provider, playlistId, trackLabel, trackId] = segments
+
+  if (segments.length === 1 && (head === 'account' || head === 'library' || head === 'landing')) {
+    return { ...route, screen: head, explicit: head !== 'landing' }
+  }
+  if (head === 'playlist' || head === 'podcast') {
+    if (segments.length === 1) return { ...route, screen: head, explicit: true }
+    if (!provider || !playlistId) return route
+    return {
+      screen: head,
+      provider,
+      playlistId,
+      trackId: trackLabel === 'track' && trackId ? trackId : null,
+      explicit: true,
+    }
+  }
+  return route
+}
+
+/**
+ * @param {{ screen: Screen, provider?: string | null, playlistId?: string | null, trackId?: string | null }} route
+ * @returns {string}
+ */
+export function buildPath({ screen, provider, playlistId, trackId }) {
+  if (screen === 'account' || screen === 'library') return `/${screen}`
+  if (screen === 'playlist' || screen === 'podcast') {
+    if (!provider || !playlistId) return `/${screen}`
+    const base = `/${screen}/${encodeURIComponent(provider)}/${encodeURIComponent(playlistId)}`
+    return trackId ? `${base}/track/${encodeURIComponent(trackId)}` : base
+  }
+  return '/'
+}
+
+/**
+ * Whether two routes show the same playlist (ignores the focused track).
+ * @param {Route} a
+ * @param {Route} b
+ */
+export function isSamePlaylistRoute(a, b) {
+  return a.screen === b.screen && a.provider === b.provider && a.playlistId === b.playlistId
+}
+
+/**
+ * Link the importer understands for a playlist id, for deep links to playlists this device
+ * has not saved. Providers whose ids cannot be turned back into a link return null.
+ * @param {Route} route
+ * @returns {string | null}
+ */
+export function buildProviderSourceUrl({ screen, provider, playlistId }) {
+  if (!playlistId) return null
+  if (provider === 'spotify') {
+    const scoped = /^(album|artist|track):(.+)$/.exec(playlistId)
+    if (scoped) return `https://open.spotify.com/${scoped[1]}/${scoped[2]}`
+    return `https://open.spotify.com/${screen === 'podcast' ? 'show' : 'playlist'}/${playlistId}`
+  }
+  if (provider === 'youtube') return `https://www.youtube.com/playlist?list=${encodeURIComponent(playlistId)}`
+  if (provider === 'deezer') return `https://www.deezer.com/playlist/${encodeURIComponent(playlistId)}`
+  return null
+}
+
+/**
+ * Filters from the query string, or null when the URL carries none.
+ * @param {string} search
+ * @returns {RouteFilters | null}
+ */
+export function readFilterParams(search) {
+  const params = new URLSearchParams(search)
+  if (!FILTER_PARAMS.some((name) => params.has(name))) return null
+  const scopeParam = params.get('scope')
+  const [sortKey, sortDirection] = (params.get('sort') ?? '').split('-')
+  return {
+    query: params.get('q') ?? '',
+    scope:
+      scopeParam === SEARCH_SCOPE.TRACK || scopeParam === SEARCH_SCOPE.NOTES ? scopeParam : SEARCH_SCOPE.BOTH,
+    sort: {
+      key:
+        sortKey === SORT_KEY.TITLE || sortKey === SORT_KEY.DATE || sortKey === SORT_KEY.RELEVANCE
+          ? sortKey
+          : DEFAULT_SORT.key,
+      direction:
+        sortDirection === SORT_DIRECTION.ASC || sortDirection === SORT_DIRECTION.DESC
+          ? sortDirection
+          : DEFAULT_SORT.direction,
+    },
+    selectedTags: params.getAll('tag').filter(Boolean),
+    hasNotesOnly: params.get('notes') === '1',
+  }
+}
+
+/**
+ * Replace the filter params in `search`, leaving defaults out so unfiltered links stay clean.
+ * @param {string} search
+ * @param {RouteFilters} filters
+ * @returns {string} Query string including `?`, or '' when empty
+ */
+export function writeFilterParams(search, { query, scope, sort, selectedTags, hasNotesOnly }) {
+  const params = new URLSearchParams(search)
+  FILTER_PARAMS.forEach((name) => params.delete(name))
+  const trimmed = query.trim()
+  if (trimmed) params.set('q', trimmed)
+  if (scope !== SEARCH_SCOPE.BOTH) params.set('scope', scope)
+  if (sort.key !== DEFAULT_SORT.key || sort.direction !== DEFAULT_SORT.direction) {
+    params.set('sort', `${sort.key}-${sort.direction}`)
+  }
+  selectedTags.forEach((tag) => params.append('tag', tag))
+  if (hasNotesOnly) params.set('notes', '1')
+  const next = params.toString()
+  return next ? `?${next}` : ''
+}
+
+/**
+ * Change the URL without reloading. Same-URL navigations are ignored.
+ * @param {string} url - Path plus optional query string
+ * @param {{ replace?: boolean }} [options]
+ */
+export function navigate(url, { replace = false } = {}) {
+  if (typeof window === 'undefined') return
+  const { pathname, search } = window.location
+  if (url === `${pathname}${search}`) return
+  if (replace) window.history.replaceState(window.history.state, '', url)
+  else window.history.pushState(null, '', url)
+  window.dispatchEvent(new Event(ROUTE_CHANGE_EVENT))
+}
+
+/**
+ * Swap the query string in place: no history entry and no route-change notification.
+ * @param {string} search - Including `?`, or ''
+ */
+export function replaceSearch(search) {
+  if (typeof window === 'undefined') return
+  const { pathname, search: current, hash } = window.location
+  if (search === current) return
+  window.history.replaceState(window.history.state, '', `${pathname}${search}${hash}`)
+}
+
+/**
+ * Call `listener` after every URL change, from `navigate` or the back/forward buttons.
+ * @param {(event: Event) => void} listener
+ * @returns {() => void}
+ */
+export function subscribeToRoute(listener) {
+  if (typeof window === 'undefined') return () => {}
+  window.addEventListener('popstate', listener)
+  window.addEventListener(ROUTE_CHANGE_EVENT, listener)
+  return () => {
+    window.removeEventListener('popstate', listener)
+    window.removeEventListener(ROUTE_CHANGE_EVENT, listener)
+  }
+}
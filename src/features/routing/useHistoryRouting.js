@@ -0,0 +1,197 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+import {
+  buildPath,
+  buildProviderSourceUrl,
+  isSamePlaylistRoute,
+  navigate,
+  parseLocation,
+} from './routes.js'
+
+/** @typedef {import('./routes.js').Route} Route */
+/** @typedef {import('./routes.js').Screen} Screen */
+
+/**
+ * Screen to start on: an explicit URL wins over the stored screen, except for playlist
+ * links, which only apply once that playlist is loaded.
+ * @param {Screen} storedScreen
+ * @param {{ provider?: string | null, playlistId?: string | null }} [loadedMeta]
+ * @returns {Screen}
+ */
+export function resolveInitialScreen(storedScreen, loadedMeta) {
+  if (typeof window === 'undefined') return storedScreen
+  const route = parseLocation(window.location)
+  if (!route.explicit) return storedScreen
+  if (route.playlistId) {
+    const loaded =
+      route.provider === loadedMeta?.provider && route.playlistId === loadedMeta?.playlistId
+    return loaded ? route.screen : storedScreen
+  }
+  return route.screen
+}
+
+/**
+ * @param {Screen} screen
+ * @param {{ provider?: string | null, playlistId?: string | null }} meta
+ * @returns {Route}
+ */
+function routeFor(screen, meta) {
+  const showsPlaylist = screen === 'playlist' || screen === 'podcast'
+  return {
+    screen,
+    provider: showsPlaylist ? meta?.provider ?? null : null,
+    playlistId: showsPlaylist ? meta?.playlistId ?? null : null,
+    trackId: null,
+    explicit: true,
+  }
+}
+
+/**
+ * Keeps the URL in step with the current screen and playlist, and the other way round for
+ * deep links and the back/forward buttons. Playlists a link points to are opened from recents
+ * or the playlist cache, or re-imported when the id can be turned back into a provider link.
+ *
+ * @param {{
+ *   screen: Screen,
+ *   setScreen: (screen: Screen) => void,
+ *   importMeta: { provider?: string | null, playlistId?: string | null },
+ *   tracks: Array<{ id: string }>,
+ *   recents: Array<{ id: string, provider?: string, playlistId?: string, title?: string, sourceUrl?: string }>,
+ *   cachedPlaylists: Map<string, { key: string, data: any }>,
+ *   openPlaylist: (recent: { id: string, provider?: string, title?: string, sourceUrl?: string }) => Promise<{ ok: boolean } | undefined>,
+ *   announce: (message: string) => void,
+ *   podcastsEnabled?: boolean,
+ * }} params
+ * @returns {{ trackFocusRequest: { trackId: string, ts: number } | null }}
+ */
+export default function useHistoryRouting({
+  screen,
+  setScreen,
+  importMeta,
+  tracks,
+  recents,
+  cachedPlaylists,
+  openPlaylist,
+  announce,
+  podcastsEnabled = true,
+}) {
+  const [trackFocusRequest, setTrackFocusRequest] = useState(
+    /** @type {{ trackId: string, ts: number } | null} */ (null),
+  )
+  // Route we are still loading; the URL is left alone until it shows up.
+  const pendingRouteRef = useRef(/** @type {Route | null} */ (null))
+  // Track a link asked for, applied once its playlist is showing
+  const pendingTrackRef = useRef(/** @type {Route | null} */ (null))
+  const syncedRef = useRef(false)
+  const [syncTick, setSyncTick] = useState(0)
+  const latestRef = useRef({ importMeta, recents, cachedPlaylists, openPlaylist, announce, setScreen, podcastsEnabled })
+  latestRef.current = { importMeta, recents, cachedPlaylists, openPlaylist, announce, setScreen, podcastsEnabled }
+
+  const applyRoute = useCallback(
+    /** @param {Route} route */
+    (route) => {
+      const latest = latestRef.current
+      const target =
+        route.screen === 'podcast' && !latest.podcastsEnabled ? { ...route, screen: /** @type {Screen} */ ('playlist') } : route
+      pendingTrackRef.current = target.trackId ? target : null
+      if (!target.playlistId) {
+        pendingRouteRef.current = null
+        latest.setScreen(target.screen)
+        return
+      }
+      const loaded = routeFor(target.screen, latest.importMeta)
+      if (isSamePlaylistRoute(loaded, target)) {
+        pendingRouteRef.current = null
+        latest.setScreen(target.screen)
+        return
+      }
+
+      const id = `${target.provider}:${target.playlistId}`
+      const recent = latest.recents.find((item) => item?.id === id)
+      const cached = Array.from(latest.cachedPlaylists.values()).find(
+        (entry) =>
+          entry?.data?.meta?.provider === target.provider && entry?.data?.meta?.playlistId === target.playlistId,
+      )
+      const sourceUrl =
+        recent?.sourceUrl ?? cached?.data?.meta?.sourceUrl ?? cached?.key ?? buildProviderSourceUrl(target)
+      if (!sourceUrl) {
+        pendingRouteRef.current = null
+        pendingTrackRef.current = null
+        latest.announce("That link points to a playlist that isn't saved on this device.")
+        latest.setScreen('landing')
+        return
+      }
+      pendingRouteRef.current = target
+      void Promise.resolve(
+        latest.openPlaylist(recent ?? { id, provider: target.provider ?? undefined, title: '', sourceUrl }),
+      ).then((result) => {
+        if (result && result.ok) return
+        if (pendingRouteRef.current !== target) return
+        pendingRouteRef.current = null
+        pendingTrackRef.current = null
+        // Put the URL back to what is actually showing
+        setSyncTick((tick) => tick + 1)
+      })
+    },
+    [],
+  )
+
+  // Deep link on first load
+  useEffect(() => {
+    const route = parseLocation(window.location)
+    if (route.explicit) applyRoute(route)
+  }, [applyRoute])
+
+  // Back/forward
+  useEffect(() => {
+    const handlePopState = () => applyRoute(parseLocation(window.location))
+    window.addEventListener('popstate', handlePopState)
+    return () => window.removeEventListener('popstate', handlePopState)
+  }, [applyRoute])
+
+  // Screen or playlist changed in the app: record it in history
+  const provider = importMeta?.provider ?? null
+  const playlistId = importMeta?.playlistId ?? null
+  useEffect(() => {
+    const current = routeFor(screen, { provider, playlistId })
+    const pending = pendingRouteRef.current
+    if (pending) {
+      if (!isSamePlaylistRoute(current, pending)) return
+      pendingRouteRef.current = null
+    }
+    const location = parseLocation(window.location)
+    const firstSync = !syncedRef.current
+    syncedRef.current = true
+    // A link whose playlist is already showing keeps its track and query string
+    if (isSamePlaylistRoute(location, current)) return
+    navigate(buildPath(current), { replace: firstSync })
+  }, [screen, provider, playlistId, syncTick])
+
+  // Focus the linked track once it is on screen. Tracks arriving with later pages count too.
+  useEffect(() => {
+    const pending = pendingTrackRef.current
+    if (!pending?.trackId || pendingRouteRef.current) return
+    if (!isSamePlaylistRoute(routeFor(screen, { provider, playlistId }), pending)) return
+    const trackId = pending.trackId
+    if (!tracks.some((track) => String(track.id) === trackId)) return
+    pendingTrackRef.current = null
+    setTrackFocusRequest({ trackId, ts: Date.now() })
+  }, [screen, tracks, provider, playlistId])
+
+  // Moving focus between tracks updates the link, so a reload or a shared URL lands on it
+  useEffect(() => {
+    if (screen !== 'playlist' && screen !== 'podcast') return undefined
+    /** @param {FocusEvent} event */
+    const handleFocusIn = (event) => {
+      const target = /** @type {Element | null} */ (event.target instanceof Element ? event.target : null)
+      const trackId = target?.closest('[data-track-id]')?.getAttribute('data-track-id')
+      if (!trackId) return
+      const route = parseLocation(window.location)
+      if (!route.playlistId || route.trackId === trackId) return
+      navigate(`${buildPath({ ...route, trackId })}${window.location.search}`, { replace: true })
+    }
+    document.addEventListener('focusin', handleFocusIn)
+    return () => document.removeEventListener('focusin', handleFocusIn)
+  }, [screen])
+
+  return { trackFocusRequest }
+}
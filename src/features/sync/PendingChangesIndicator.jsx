@@ -0,0 +1,23 @@
+/**
+ * Header badge for changes still waiting in the outbox.
+ * @param {object} props
+ * @param {number} props.count
+ * @param {() => void} [props.onSyncNow]
+ */
+export default function PendingChangesIndicator({ count, onSyncNow }) {
+  if (!count) return null
+  const label = `${count} ${count === 1 ? 'change' : 'changes'} pending`
+
+  return (
+    <div className="row" style={{ gap: 8, alignItems: 'center', fontSize: '0.85rem' }}>
+      <span role="status" style={{ color: 'var(--warning, #ffa726)' }}>
+        {label}
+      </span>
+      {onSyncNow && (
+        <button type="button" className="btn" onClick={onSyncNow}>
+          Sync now
+        </button>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,22 @@
+import { describe, it, expect, vi } from 'vitest'
+import { fireEvent, render, screen } from '@testing-library/react'
+import PendingChangesIndicator from '../PendingChangesIndicator.jsx'
+
+describe('PendingChangesIndicator', () => {
+  it('renders nothing when the outbox is empty', () => {
+    const { container } = render(<PendingChangesIndicator count={0} />)
+    expect(container).toBeEmptyDOMElement()
+  })
+
+  it('shows the pending count and retries on demand', () => {
+    const onSyncNow = vi.fn()
+    const { rerender } = render(<PendingChangesIndicator count={1} onSyncNow={onSyncNow} />)
+    expect(screen.getByRole('status')).toHaveTextContent('1 change pending')
+
+    rerender(<PendingChangesIndicator count={3} onSyncNow={onSyncNow} />)
+    expect(screen.getByRole('status')).toHaveTextContent('3 changes pending')
+
+    fireEvent.click(screen.getByRole('button', { name: 'Sync now' }))
+    expect(onSyncNow).toHaveBeenCalledTimes(1)
+  })
+})
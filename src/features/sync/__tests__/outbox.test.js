@@ -0,0 +1,266 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import {
+  OUTBOX_BASE_DELAY_MS,
+  OutboxSendError,
+  createOutbox,
+  getBackoffDelay,
+  isRetryableStatus,
+  takeLegacyQueueOps,
+} from '../outbox.js'
+
+const STORAGE_KEY = 'sta:outbox'
+
+/** @param {string} trackId @param {string[]} tags */
+const tagsOp = (trackId, tags) => /** @type {const} */ ({ type: 'tags:set', trackId, tags })
+/** @param {string} noteId */
+const deleteOp = (noteId) => /** @type {const} */ ({ type: 'note:delete', trackId: 't1', noteId })
+
+/** @param {Partial<Parameters<typeof createOutbox>[0]>} [options] */
+function setup(options = {}) {
+  let counter = 0
+  const send = vi.fn().mockResolvedValue('ok')
+  const onChange = vi.fn()
+  const outbox = createOutbox({ send, onChange, createKey: () => `key-${++counter}`, ...options })
+  const stop = outbox.start()
+  return { outbox, send: options.send ?? send, onChange, stop }
+}
+
+describe('outbox', () => {
+  /** @type {Array<() => void>} */
+  let stops = []
+
+  beforeEach(() => {
+    vi.useFakeTimers()
+    window.localStorage.clear()
+    stops = []
+  })
+
+  afterEach(() => {
+    stops.forEach((stop) => stop())
+    vi.useRealTimers()
+    window.localStorage.clear()
+  })
+
+  /** @param {Partial<Parameters<typeof createOutbox>[0]>} [options] */
+  const create = (options) => {
+    const result = setup(options)
+    stops.push(result.stop)
+    return result
+  }
+
+  it('classifies statuses and grows the backoff exponentially up to a cap', () => {
+    expect([408, 429, 500, 503].every(isRetryableStatus)).toBe(true)
+    expect([400, 404, 409, undefined].some(isRetryableStatus)).toBe(false)
+    expect(getBackoffDelay(1)).toBe(OUTBOX_BASE_DELAY_MS)
+    expect(getBackoffDelay(2)).toBe(OUTBOX_BASE_DELAY_MS * 2)
+    expect(getBackoffDelay(3)).toBe(OUTBOX_BASE_DELAY_MS * 4)
+    expect(getBackoffDelay(30)).toBe(5 * 60 * 1000)
+  })
+
+  it('persists entries and sends them in order', async () => {
+    const { outbox, send, onChange } = create()
+    const first = outbox.enqueue(deleteOp('n1'))
+    const second = outbox.enqueue(deleteOp('n2'))
+    expect(JSON.parse(window.localStorage.getItem(STORAGE_KEY) ?? '[]')).toHaveLength(2)
+    expect(onChange).toHaveBeenLastCalledWith(2)
+
+    await vi.runOnlyPendingTimersAsync()
+
+    expect(send.mock.calls.map(([entry]) => entry.noteId)).toEqual(['n1', 'n2'])
+    await expect(first).resolves.toEqual({ status: 'sent', result: 'ok' })
+    await expect(second).resolves.toEqual({ status: 'sent', result: 'ok' })
+    expect(window.localStorage.getItem(STORAGE_KEY)).toBeNull()
+    expect(onChange).toHaveBeenLastCalledWith(0)
+  })
+
+  it('retries with exponential backoff and keeps the same idempotency key', async () => {
+    const send = vi
+      .fn()
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockRejectedValueOnce(new OutboxSendError('Server error', 503))
+      .mockResolvedValue('ok')
+    const { outbox } = create({ send })
+
+    const pending = outbox.enqueue(deleteOp('n1'))
+    await vi.advanceTimersByTimeAsync(0)
+    await expect(pending).resolves.toEqual({ status: 'queued' })
+    expect(send).toHaveBeenCalledTimes(1)
+    expect(outbox.entries()[0]).toMatchObject({ attempts: 1 })
+
+    await vi.advanceTimersByTimeAsync(OUTBOX_BASE_DELAY_MS - 1)
+    expect(send).toHaveBeenCalledTimes(1)
+    await vi.advanceTimersByTimeAsync(1)
+    expect(send).toHaveBeenCalledTimes(2)
+
+    // Second failure doubles the wait
+    await vi.advanceTimersByTimeAsync(OUTBOX_BASE_DELAY_MS * 2 - 1)
+    expect(send).toHaveBeenCalledTimes(2)
+    await vi.advanceTimersByTimeAsync(1)
+    expect(send).toHaveBeenCalledTimes(3)
+
+    expect(new Set(send.mock.calls.map(([entry]) => entry.key))).toEqual(new Set(['key-1']))
+    expect(outbox.size()).toBe(0)
+  })
+
+  it('does not let later entries overtake one that is backing off', async () => {
+    const send = vi.fn().mockRejectedValueOnce(new TypeError('offline')).mockResolvedValue('ok')
+    const { outbox } = create({ send })
+
+    outbox.enqueue(deleteOp('n1'))
+    await vi.advanceTimersByTimeAsync(0)
+    const later = outbox.enqueue(deleteOp('n2'))
+    await vi.advanceTimersByTimeAsync(0)
+    await expect(later).resolves.toEqual({ status: 'queued' })
+    expect(send).toHaveBeenCalledTimes(1)
+
+    await vi.advanceTimersByTimeAsync(OUTBOX_BASE_DELAY_MS)
+    expect(send.mock.calls.map(([entry]) => entry.noteId)).toEqual(['n1', 'n1', 'n2'])
+  })
+
+  it('drops entries the server refuses and moves on', async () => {
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {})
+    const send = vi.fn().mockRejectedValueOnce(new OutboxSendError('Bad request', 400)).mockResolvedValue('ok')
+    const { outbox } = create({ send })
+
+    const refused = outbox.enqueue(deleteOp('n1'))
+    const next = outbox.enqueue(deleteOp('n2'))
+    await vi.advanceTimersByTimeAsync(0)
+
+    const result = await refused
+    expect(result.status).toBe('dropped')
+    await expect(next).resolves.toMatchObject({ status: 'sent' })
+    expect(outbox.size()).toBe(0)
+    consoleError.mockRestore()
+  })
+
+  it('replays immediately on online and focus, ignoring the backoff', async () => {
+    const send = vi.fn().mockRejectedValueOnce(new TypeError('offline')).mockResolvedValue('ok')
+    const { outbox } = create({ send })
+
+    outbox.enqueue(deleteOp('n1'))
+    await vi.advanceTimersByTimeAsync(0)
+    expect(outbox.size()).toBe(1)
+
+    window.dispatchEvent(new Event('online'))
+    await vi.advanceTimersByTimeAsync(0)
+    expect(send).toHaveBeenCalledTimes(2)
+    expect(outbox.size()).toBe(0)
+
+    send.mockRejectedValueOnce(new TypeError('offline'))
+    outbox.enqueue(deleteOp('n2'))
+    await vi.advanceTimersByTimeAsync(0)
+    window.dispatchEvent(new Event('focus'))
+    await vi.advanceTimersByTimeAsync(0)
+    expect(send).toHaveBeenCalledTimes(4)
+    expect(outbox.size()).toBe(0)
+  })
+
+  it('debounces and coalesces tag updates for the same track', async () => {
+    const { outbox, send } = create()
+
+    const first = outbox.enqueue(tagsOp('t1', ['a']), { delayMs: 350 })
+    await vi.advanceTimersByTimeAsync(200)
+    const second = outbox.enqueue(tagsOp('t1', ['a', 'b']), { delayMs: 350 })
+    outbox.enqueue(tagsOp('t2', ['x']), { delayMs: 350 })
+    expect(outbox.size()).toBe(2)
+
+    await vi.advanceTimersByTimeAsync(349)
+    expect(send).not.toHaveBeenCalled()
+    await vi.advanceTimersByTimeAsync(1)
+
+    expect(send.mock.calls.map(([entry]) => [entry.trackId, entry.tags])).toEqual([
+      ['t1', ['a', 'b']],
+      ['t2', ['x']],
+    ])
+    await expect(first).resolves.toMatchObject({ status: 'sent' })
+    await expect(second).resolves.toMatchObject({ status: 'sent' })
+  })
+
+  it('keeps the original base when edits to the same note pile up', () => {
+    const { outbox } = create({ isReady: () => false })
+    const base = { id: 'n1', body: 'v1', createdAt: 1, revision: 1 }
+    outbox.enqueue({ type: 'note:edit', trackId: 't1', noteId: 'n1', base, next: { ...base, body: 'v2' } })
+    outbox.enqueue({
+      type: 'note:edit',
+      trackId: 't1',
+      noteId: 'n1',
+      base: { ...base, body: 'v2' },
+      next: { ...base, body: 'v3' },
+    })
+
+    expect(outbox.entries()).toHaveLength(1)
+    expect(outbox.entries()[0]).toMatchObject({ base: { body: 'v1' }, next: { body: 'v3' } })
+  })
+
+  it('queues a later edit separately once the first attempt may have reached the server', async () => {
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {})
+    // The server keeps the body first sent under each key and refuses a changed replay
+    /** @type {Map<string, string>} */
+    const stored = new Map()
+    /** @type {string[][]} */
+    const saved = []
+    let loseResponse = true
+    const send = vi.fn(async (entry) => {
+      const body = JSON.stringify(entry.tags)
+      const previous = stored.get(entry.key)
+      if (previous !== undefined && previous !== body) {
+        throw new OutboxSendError('Idempotency key reused', 422)
+      }
+      if (previous === undefined) {
+        stored.set(entry.key, body)
+        saved.push(entry.tags)
+      }
+      if (loseResponse) {
+        loseResponse = false
+        throw new TypeError('Failed to fetch')
+      }
+      return 'ok'
+    })
+    const { outbox } = create({ send })
+
+    outbox.enqueue(tagsOp('t1', ['a']))
+    await vi.advanceTimersByTimeAsync(0)
+    expect(outbox.entries()[0]).toMatchObject({ attempts: 1 })
+
+    outbox.enqueue(tagsOp('t1', ['a', 'b']))
+    expect(outbox.size()).toBe(2)
+    await vi.advanceTimersByTimeAsync(OUTBOX_BASE_DELAY_MS)
+
+    expect(saved).toEqual([['a'], ['a', 'b']])
+    expect(consoleError).not.toHaveBeenCalled()
+    expect(outbox.size()).toBe(0)
+    consoleError.mockRestore()
+  })
+
+  it('waits while not ready and survives a reload', async () => {
+    let ready = false
+    const first = create({ isReady: () => ready })
+    await expect(first.outbox.enqueue(deleteOp('n1'))).resolves.toEqual({ status: 'queued' })
+    await vi.runOnlyPendingTimersAsync()
+    expect(first.send).not.toHaveBeenCalled()
+
+    ready = true
+    const reloaded = create({ isReady: () => ready })
+    expect(reloaded.outbox.size()).toBe(1)
+    await reloaded.outbox.flush()
+    expect(reloaded.send).toHaveBeenCalledWith(expect.objectContaining({ noteId: 'n1', key: 'key-1' }))
+  })
+
+  it('cancels entries that have not been sent', () => {
+    const { outbox } = create({ isReady: () => false })
+    outbox.enqueue(deleteOp('n1'))
+    outbox.enqueue(deleteOp('n2'))
+
+    expect(outbox.cancel((entry) => entry.type === 'note:delete' && entry.noteId === 'n1')).toBe(1)
+    expect(outbox.entries().map((entry) => 'noteId' in entry && entry.noteId)).toEqual(['n2'])
+  })
+
+  it('converts the older per-feature queues into ops', () => {
+    window.localStorage.setItem('sta:pending-note-deletes', JSON.stringify([{ noteId: 'n1', trackId: 't1', queuedAt: 1 }]))
+    window.localStorage.setItem('sta:pending-tag-sync:dev-1', JSON.stringify([{ trackId: 't2', tags: ['x'] }]))
+
+    expect(takeLegacyQueueOps('dev-1')).toEqual([deleteOp('n1'), tagsOp('t2', ['x'])])
+    expect(window.localStorage.getItem('sta:pending-note-deletes')).toBeNull()
+    expect(window.localStorage.getItem('sta:pending-tag-sync:dev-1')).toBeNull()
+  })
+})
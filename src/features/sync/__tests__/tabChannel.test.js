@@ -0,0 +1,104 @@
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import { createTabChannel, electTabLeader } from '../tabChannel.js'
+
+/**
+ * Minimal LockManager: one holder at a time, waiters granted in order.
+ */
+function createFakeLocks() {
+  /** @type {Array<() => void>} */
+  const waiting = []
+  let held = false
+
+  const grant = (callback) =>
+    new Promise((resolve, reject) => {
+      held = true
+      Promise.resolve(callback({ name: 'lock' }))
+        .then(resolve, reject)
+        .finally(() => {
+          held = false
+          waiting.shift()?.()
+        })
+    })
+
+  return {
+    request(_name, options, callback) {
+      if (options.ifAvailable && held) return Promise.resolve(callback(null))
+      if (!held) return grant(callback)
+      return new Promise((resolve, reject) => {
+        const start = () => grant(callback).then(resolve, reject)
+        waiting.push(start)
+        options.signal?.addEventListener('abort', () => {
+          const index = waiting.indexOf(start)
+          if (index >= 0) waiting.splice(index, 1)
+          reject(new DOMException('Aborted', 'AbortError'))
+        })
+      })
+    },
+  }
+}
+
+describe('tabChannel', () => {
+  /** @type {Array<() => void>} */
+  let cleanups = []
+
+  afterEach(() => {
+    cleanups.forEach((fn) => fn())
+    cleanups = []
+  })
+
+  it('delivers messages to other tabs but not back to the sender', async () => {
+    const tabA = createTabChannel({ name: 'test-tabs', tabId: 'a' })
+    const tabB = createTabChannel({ name: 'test-tabs', tabId: 'b' })
+    const receivedByA = vi.fn()
+    const receivedByB = vi.fn()
+    cleanups.push(tabA.subscribe('ping', receivedByA), tabB.subscribe('ping', receivedByB))
+
+    tabA.post('ping', { n: 1 })
+
+    await vi.waitFor(() => expect(receivedByB).toHaveBeenCalledWith({ n: 1 }))
+    expect(receivedByA).not.toHaveBeenCalled()
+  })
+
+  it('falls back to storage events without BroadcastChannel', () => {
+    const target = new EventTarget()
+    const storage = {
+      setItem: vi.fn((key, value) => {
+        // What another tab would see
+        target.dispatchEvent(Object.assign(new Event('storage'), { key, newValue: value }))
+      }),
+      removeItem: vi.fn(),
+    }
+    const options = { BroadcastChannelImpl: null, storage: /** @type {any} */ (storage), target }
+    const tabA = createTabChannel({ ...options, tabId: 'a' })
+    const tabB = createTabChannel({ ...options, tabId: 'b' })
+    const received = vi.fn()
+    cleanups.push(tabB.subscribe('recents:update', received))
+
+    tabA.post('recents:update', [{ id: 'r1' }])
+
+    expect(received).toHaveBeenCalledWith([{ id: 'r1' }])
+    expect(storage.removeItem).toHaveBeenCalledWith('sta:tabs:message')
+  })
+
+  it('makes every tab the leader when Web Locks are unavailable', () => {
+    const onChange = vi.fn()
+    cleanups.push(electTabLeader(onChange, { locks: null }))
+    expect(onChange).toHaveBeenCalledWith(true)
+  })
+
+  it('hands leadership to a waiting tab once the leader lets go', async () => {
+    const locks = /** @type {any} */ (createFakeLocks())
+    const first = vi.fn()
+    const second = vi.fn()
+
+    const releaseFirst = electTabLeader(first, { locks, lockName: 'outbox' })
+    await vi.waitFor(() => expect(first).toHaveBeenCalledWith(true))
+    const releaseSecond = electTabLeader(second, { locks, lockName: 'outbox' })
+    cleanups.push(releaseSecond)
+    await vi.waitFor(() => expect(second).toHaveBeenCalledWith(false))
+
+    releaseFirst()
+    await vi.waitFor(() => expect(second).toHaveBeenLastCalledWith(true))
+    expect(first).toHaveBeenCalledTimes(1)
+  })
+})
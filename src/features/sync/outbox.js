@@ -0,0 +1,426 @@
+// src/features/sync/outbox.js
+// Persisted, offline-first queue for every note and tag mutation.
+// Entries are replayed in order; a retryable failure (offline, 5xx, 429) stops the
+// queue and retries with exponential backoff so later edits never overtake earlier ones.
+
+// @ts-check
+
+const STORAGE_KEY = 'sta:outbox'
+const LEGACY_DELETE_KEY = 'sta:pending-note-deletes'
+const LEGACY_TAG_KEY_PREFIX = 'sta:pending-tag-sync:'
+
+export const OUTBOX_BASE_DELAY_MS = 2000
+export const OUTBOX_MAX_DELAY_MS = 5 * 60 * 1000
+
+/** @typedef {import('../../utils/notesTagsData.js').NoteEntry} NoteEntry */
+
+/**
+ * @typedef {{ type: 'note:create', trackId: string, noteId: string, body: string, timestampMs?: number | null }
+ *   | { type: 'note:edit', trackId: string, noteId: string, base: NoteEntry, next: NoteEntry }
+ *   | { type: 'note:delete', trackId: string, noteId: string }
+ *   | { type: 'tags:set', trackId: string, tags: string[] }
+ *   | { type: 'track:relink', trackId: string, fromTrackId: string }} OutboxOp
+ */
+
+/**
+ * @typedef {OutboxOp & { key: string, queuedAt: number, attempts: number, retryAt: number }} OutboxEntry
+ * `key` is the idempotency key: generated once and sent with every attempt.
+ */
+
+/**
+ * @typedef {{ status: 'sent', result: any } | { status: 'queued' } | { status: 'dropped', error: Error }} OutboxResult
+ */
+
+/**
+ * Failure reported by an outbox sender. `retryable` failures keep the entry queued.
+ */
+export class OutboxSendError extends Error {
+  /**
+   * @param {string} message
+   * @param {number | undefined} status - HTTP status, if the server answered
+   */
+  constructor(message, status) {
+    super(message)
+    this.name = 'OutboxSendError'
+    this.status = status
+    this.retryable = isRetryableStatus(status)
+  }
+}
+
+/**
+ * @param {number | undefined} status
+ * @returns {boolean}
+ */
+export function isRetryableStatus(status) {
+  if (typeof status !== 'number') return false
+  return status === 408 || status === 425 || status === 429 || status >= 500
+}
+
+/**
+ * Anything other than an OutboxSendError (e.g. fetch's TypeError) means the request
+ * never got an answer, so it is worth retrying.
+ * @param {unknown} err
+ * @returns {boolean}
+ */
+function isRetryableError(err) {
+  return err instanceof OutboxSendError ? err.retryable : true
+}
+
+/**
+ * @param {number} attempts - Failed attempts so far (1 for the first failure)
+ * @param {number} [baseDelayMs]
+ * @param {number} [maxDelayMs]
+ * @returns {number}
+ */
+export function getBackoffDelay(attempts, baseDelayMs = OUTBOX_BASE_DELAY_MS, maxDelayMs = OUTBOX_MAX_DELAY_MS) {
+  const exponent = Math.max(0, attempts - 1)
+  return Math.min(maxDelayMs, baseDelayMs * 2 ** exponent)
+}
+
+/**
+ * @param {any} item
+ * @returns {item is OutboxEntry}
+ */
+function isValidEntry(item) {
+  if (!item || typeof item.key !== 'string' || typeof item.trackId !== 'string') return false
+  switch (item.type) {
+    case 'note:create':
+      return typeof item.noteId === 'string' && typeof item.body === 'string'
+    case 'note:edit':
+      return typeof item.noteId === 'string' && Boolean(item.base && item.next)
+    case 'note:delete':
+      return typeof item.noteId === 'string'
+    case 'tags:set':
+      return Array.isArray(item.tags)
+    case 'track:relink':
+      return typeof item.fromTrackId === 'string'
+    default:
+      return false
+  }
+}
+
+/** @returns {Storage | null} */
+function getStorage() {
+  if (typeof window === 'undefined' || !window.localStorage) return null
+  return window.localStorage
+}
+
+/**
+ * @returns {OutboxEntry[]}
+ */
+function loadEntries() {
+  const storage = getStorage()
+  if (!storage) return []
+  try {
+    const raw = storage.getItem(STORAGE_KEY)
+    if (!raw) return []
+    const parsed = JSON.parse(raw)
+    if (!Array.isArray(parsed)) return []
+    return parsed.filter(isValidEntry).map((entry) => ({
+      ...entry,
+      attempts: typeof entry.attempts === 'number' ? entry.attempts : 0,
+      retryAt: typeof entry.retryAt === 'number' ? entry.retryAt : 0,
+    }))
+  } catch (_err) {
+    return []
+  }
+}
+
+/**
+ * @param {OutboxEntry[]} entries
+ */
+function saveEntries(entries) {
+  const storage = getStorage()
+  if (!storage) return
+  try {
+    if (entries.length === 0) {
+      storage.removeItem(STORAGE_KEY)
+    } else {
+      storage.setItem(STORAGE_KEY, JSON.stringify(entries))
+    }
+  } catch (err) {
+    // Storage full or unavailable - entries stay in memory for this session
+    console.error('[outbox] failed to save queue', err)
+  }
+}
+
+/**
+ * Pull entries out of the queues used before the outbox existed (note deletes and
+ * per-device tag updates) and clear them.
+ * @param {string | null} deviceId
+ * @returns {OutboxOp[]}
+ */
+export function takeLegacyQueueOps(deviceId) {
+  const storage = getStorage()
+  if (!storage) return []
+  /** @type {OutboxOp[]} */
+  const ops = []
+  /** @param {string} key */
+  const read = (key) => {
+    try {
+      const parsed = JSON.parse(storage.getItem(key) ?? '[]')
+      return Array.isArray(parsed) ? parsed : []
+    } catch (_err) {
+      return []
+    } finally {
+      storage.removeItem(key)
+    }
+  }
+  read(LEGACY_DELETE_KEY).forEach((item) => {
+    if (typeof item?.noteId === 'string' && typeof item?.trackId === 'string') {
+      ops.push({ type: 'note:delete', trackId: item.trackId, noteId: item.noteId })
+    }
+  })
+  if (deviceId) {
+    read(`${LEGACY_TAG_KEY_PREFIX}${deviceId}`).forEach((item) => {
+      if (typeof item?.trackId === 'string' && Array.isArray(item?.tags)) {
+        ops.push({ type: 'tags:set', trackId: item.trackId, tags: item.tags })
+      }
+    })
+  }
+  return ops
+}
+
+/**
+ * @typedef {object} OutboxOptions
+ * @property {(entry: OutboxEntry) => Promise<any>} send - Throw OutboxSendError for HTTP failures
+ * @property {() => boolean} [isReady] - False while there is no device to sync as
+ * @property {(count: number) => void} [onChange] - Called with the queue length after every change
+ * @property {number} [baseDelayMs]
+ * @property {number} [maxDelayMs]
+ * @property {() => string} [createKey]
+ */
+
+/**
+ * @param {OutboxOptions} options
+ */
+export function createOutbox({
+  send,
+  isReady = () => true,
+  onChange,
+  baseDelayMs = OUTBOX_BASE_DELAY_MS,
+  maxDelayMs = OUTBOX_MAX_DELAY_MS,
+  createKey = () => crypto.randomUUID(),
+}) {
+  let entries = loadEntries()
+  /** @type {Map<string, Array<(result: OutboxResult) => void>>} */
+  const waiters = new Map()
+  /** @type {string | null} */
+  let inFlightKey = null
+  /** @type {Promise<void> | null} */
+  let flushing = null
+  /** @type {ReturnType<typeof setTimeout> | null} */
+  let timer = null
+  let timerAt = 0
+
+  const commit = () => {
+    saveEntries(entries)
+    onChange?.(entries.length)
+  }
+
+  /**
+   * @param {string} key
+   * @param {OutboxResult} result
+   */
+  const settle = (key, result) => {
+    const fns = waiters.get(key)
+    if (!fns) return
+    waiters.delete(key)
+    fns.forEach((fn) => fn(result))
+  }
+
+  /**
+   * Run a flush after `delayMs`, keeping whichever pending timer fires first.
+   * @param {number} delayMs
+   */
+  const schedule = (delayMs) => {
+    const at = Date.now() + delayMs
+    if (timer && timerAt <= at) return
+    if (timer) clearTimeout(timer)
+    timerAt = at
+    timer = setTimeout(() => {
+      timer = null
+      void flush()
+    }, delayMs)
+  }
+
+  /**
+   * @param {{ force?: boolean }} [options] - `force` ignores backoff (used for online/focus)
+   * @returns {Promise<void>}
+   */
+  const flush = ({ force = false } = {}) => {
+    if (flushing) return flushing
+    if (entries.length === 0 || !isReady()) return Promise.resolve()
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) return Promise.resolve()
+
+    const run = async () => {
+      while (entries.length > 0 && isReady()) {
+        const entry = entries[0]
+        const wait = entry.retryAt - Date.now()
+        if (!force && wait > 0) {
+          // A head entry backing off holds up everything behind it.
+          if (entry.attempts > 0) entries.forEach((item) => settle(item.key, { status: 'queued' }))
+          schedule(wait)
+          return
+        }
+        inFlightKey = entry.key
+        try {
+          const result = await send(entry)
+          entries = entries.filter((item) => item.key !== entry.key)
+          commit()
+          settle(entry.key, { status: 'sent', result })
+        } catch (err) {
+          if (!isRetryableError(err)) {
+            console.error('[outbox] dropping entry', entry.type, err)
+            entries = entries.filter((item) => item.key !== entry.key)
+            commit()
+            settle(entry.key, {
+              status: 'dropped',
+              error: err instanceof Error ? err : new Error(String(err)),
+            })
+            continue
+          }
+          const attempts = entry.attempts + 1
+          const delay = getBackoffDelay(attempts, baseDelayMs, maxDelayMs)
+          entries = entries.map((item) =>
+            item.key === entry.key ? { ...item, attempts, retryAt: Date.now() + delay } : item,
+          )
+          commit()
+          // Everything still waiting on a first answer is now known to be queued.
+          entries.forEach((item) => settle(item.key, { status: 'queued' }))
+          schedule(delay)
+          return
+        } finally {
+          inFlightKey = null
+        }
+        force = false
+      }
+    }
+    // Cleared asynchronously so a run that finishes without awaiting can't leave it stale.
+    flushing = run().finally(() => {
+      flushing = null
+      // Pick up anything enqueued while the last send was settling.
+      if (!timer && entries.length > 0 && isReady()) schedule(0)
+    })
+    return flushing
+  }
+
+  /**
+   * Fold an op into a queued entry where replaying both would be redundant.
+   * Never touches the entry currently being sent, nor a tag or edit entry that has been
+   * tried before: the server may already hold that attempt under its idempotency key,
+   * and replaying the key with a different body is refused (422) instead of applied.
+   * @param {OutboxOp} op
+   * @returns {OutboxEntry | null} The entry that absorbed the op
+   */
+  const coalesce = (op) => {
+    const match = entries.find((item) => {
+      if (item.key === inFlightKey || item.type !== op.type) return false
+      // A delete replays the same request however often it is queued
+      if (item.attempts > 0 && op.type !== 'note:delete') return false
+      if (op.type === 'tags:set') return item.trackId === op.trackId
+      if (op.type === 'note:edit' || op.type === 'note:delete') {
+        return 'noteId' in item && item.noteId === op.noteId
+      }
+      return false
+    })
+    if (!match) return null
+    if (op.type === 'tags:set' && match.type === 'tags:set') {
+      match.tags = [...op.tags]
+    } else if (op.type === 'note:edit' && match.type === 'note:edit') {
+      // Keep the original base so the server can still tell what changed.
+      match.next = op.next
+    }
+    return match
+  }
+
+  /**
+   * Queue an op and start sending it after `delayMs`. Resolves once the first attempt
+   * has an answer: sent, queued for retry, or dropped (the server refused it).
+   * @param {OutboxOp} op
+   * @param {{ delayMs?: number }} [options] - Debounce window; re-queueing the same op resets it
+   * @returns {Promise<OutboxResult>}
+   */
+  const enqueue = (op, { delayMs = 0 } = {}) => {
+    let entry = coalesce(op)
+    if (!entry) {
+      entry = { ...op, key: createKey(), queuedAt: Date.now(), attempts: 0, retryAt: 0 }
+      entries = [...entries, entry]
+    }
+    if (delayMs > 0 && entry.attempts === 0) {
+      entry.retryAt = Date.now() + delayMs
+    }
+    commit()
+    const key = entry.key
+    const promise = new Promise((resolve) => {
+      waiters.set(key, [...(waiters.get(key) ?? []), resolve])
+    })
+    if (!isReady()) {
+      settle(key, { status: 'queued' })
+    } else if (!flushing) {
+      schedule(Math.max(0, entry.retryAt - Date.now()))
+    }
+    return /** @type {Promise<OutboxResult>} */ (promise)
+  }
+
+  /**
+   * Remove queued entries that have not been sent yet.
+   * @param {(entry: OutboxEntry) => boolean} predicate
+   * @returns {number} How many entries were removed
+   */
+  const cancel = (predicate) => {
+    const removed = entries.filter((item) => item.key !== inFlightKey && predicate(item))
+    if (removed.length === 0) return 0
+    entries = entries.filter((item) => !removed.includes(item))
+    commit()
+    removed.forEach((item) => settle(item.key, { status: 'dropped', error: new Error('Cancelled') }))
+    return removed.length
+  }
+
+  /**
+   * Re-read the persisted queue, which another tab may have been sending. Skipped
+   * while a send is in flight so an answered entry can't come back.
+   */
+  const reload = () => {
+    if (flushing) return
+    entries = loadEntries()
+    onChange?.(entries.length)
+  }
+
+  /**
+   * Replay on reconnect and when the tab regains focus.
+   * @returns {() => void} Removes the listeners and any pending retry timer
+   */
+  const start = () => {
+    onChange?.(entries.length)
+    if (typeof window === 'undefined') return () => {}
+    const replay = () => {
+      flush({ force: true }).catch((err) => console.error('[outbox] replay failed', err))
+    }
+    const handleVisibility = () => {
+      if (document.visibilityState === 'visible') replay()
+    }
+    window.addEventListener('online', replay)
+    window.addEventListener('focus', replay)
+    document.addEventListener('visibilitychange', handleVisibility)
+    return () => {
+      window.removeEventListener('online', replay)
+      window.removeEventListener('focus', replay)
+      document.removeEventListener('visibilitychange', handleVisibility)
+      if (timer) clearTimeout(timer)
+      timer = null
+    }
+  }
+
+  return {
+    enqueue,
+    cancel,
+    flush,
+    reload,
+    start,
+    size: () => entries.length,
+    entries: () => entries.map((entry) => ({ ...entry })),
+  }
+}
+
+/** @typedef {ReturnType<typeof createOutbox>} Outbox */
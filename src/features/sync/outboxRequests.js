@@ -0,0 +1,87 @@
+// src/features/sync/outboxRequests.js
+// Maps outbox entries onto /api/db/notes requests. Every request carries the entry key
+// as its Idempotency-Key, and the server answers a replayed key with the response it
+// stored the first time. Without that table the requests still tolerate replays: creates
+// carry the client-generated note id (the server dedupes on it), deletes treat "already
+// gone" as done, tag updates replace the whole list, and a relink that already ran finds
+// nothing left to move.
+
+// @ts-check
+
+import { OutboxSendError } from './outbox.js'
+
+/** @typedef {import('./outbox.js').OutboxEntry} OutboxEntry */
+/** @typedef {(url: string, options?: RequestInit) => Promise<Response>} ApiFetch */
+
+/**
+ * @param {OutboxEntry} entry
+ * @returns {Record<string, string>}
+ */
+export function idempotencyHeaders(entry) {
+  return { 'Idempotency-Key': entry.key }
+}
+
+/**
+ * @param {Response} response
+ * @param {string} fallbackMessage
+ * @returns {Promise<OutboxSendError>}
+ */
+async function toSendError(response, fallbackMessage) {
+  const payload = typeof response.json === 'function' ? await response.json().catch(() => ({})) : {}
+  return new OutboxSendError(payload?.error ?? fallbackMessage, response.status)
+}
+
+/**
+ * Send a create, delete, tag or relink entry. Note edits need conflict handling and are
+ * sent by the playlist provider instead.
+ * @param {ApiFetch} apiFetch
+ * @param {OutboxEntry} entry
+ * @returns {Promise<void>}
+ */
+export async function sendOutboxRequest(apiFetch, entry) {
+  switch (entry.type) {
+    case 'note:create': {
+      const response = await apiFetch('/api/db/notes', {
+        method: 'POST',
+        headers: idempotencyHeaders(entry),
+        body: JSON.stringify({
+          trackId: entry.trackId,
+          body: entry.body,
+          noteId: entry.noteId,
+          ...(typeof entry.timestampMs === 'number' ? { timestampMs: entry.timestampMs } : {}),
+        }),
+      })
+      if (!response.ok) throw await toSendError(response, 'Failed to save note')
+      return
+    }
+    case 'note:delete': {
+      const response = await apiFetch(`/api/db/notes?noteId=${encodeURIComponent(entry.noteId)}`, {
+        method: 'DELETE',
+        headers: idempotencyHeaders(entry),
+      })
+      // 404: already deleted. 401/403: the note belongs to someone else; retrying won't help.
+      if (response.ok || response.status === 404 || response.status === 401 || response.status === 403) return
+      throw await toSendError(response, 'Failed to delete note')
+    }
+    case 'tags:set': {
+      const response = await apiFetch('/api/db/notes', {
+        method: 'POST',
+        headers: idempotencyHeaders(entry),
+        body: JSON.stringify({ trackId: entry.trackId, tags: entry.tags }),
+      })
+      if (!response.ok) throw await toSendError(response, 'Failed to sync tags')
+      return
+    }
+    case 'track:relink': {
+      const response = await apiFetch('/api/db/notes', {
+        method: 'PATCH',
+        headers: idempotencyHeaders(entry),
+        body: JSON.stringify({ fromTrackId: entry.fromTrackId, trackId: entry.trackId }),
+      })
+      if (!response.ok) throw await toSendError(response, 'Failed to move notes to the linked track')
+      return
+    }
+    default:
+      throw new OutboxSendError(`Unsupported outbox entry: ${entry.type}`, undefined)
+  }
+}
@@ -0,0 +1,217 @@
+// src/features/sync/tabChannel.js
+// Messages between open tabs of the app, and the election of the one tab that sends
+// the outbox. Uses BroadcastChannel where available, else `storage` events on a
+// scratch localStorage key; the leader is whoever holds a Web Lock.
+
+// @ts-check
+
+const CHANNEL_NAME = 'sta:tabs'
+const MESSAGE_KEY = 'sta:tabs:message'
+export const OUTBOX_LOCK_NAME = 'sta:outbox-lock'
+
+/** Identifies this tab's messages so it can ignore its own echoes. */
+export const TAB_ID =
+  typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function'
+    ? crypto.randomUUID()
+    : `tab-${Date.now()}-${Math.random().toString(36).slice(2)}`
+
+/**
+ * @typedef {{ source: string, type: string, payload: any }} TabMessage
+ */
+
+/**
+ * @typedef {object} TabChannelOptions
+ * @property {string} [name]
+ * @property {string} [tabId]
+ * @property {typeof BroadcastChannel | null} [BroadcastChannelImpl] - null forces the storage fallback
+ * @property {Storage | null} [storage]
+ * @property {EventTarget | null} [target] - Where `storage` events arrive (the window)
+ */
+
+/** @returns {typeof BroadcastChannel | null} */
+function getBroadcastChannel() {
+  return typeof BroadcastChannel === 'function' ? BroadcastChannel : null
+}
+
+/** @returns {Storage | null} */
+function getStorage() {
+  if (typeof window === 'undefined' || !window.localStorage) return null
+  return window.localStorage
+}
+
+/**
+ * A channel to the app's other tabs. It only listens while something is subscribed,
+ * so an idle channel holds no resources.
+ * @param {TabChannelOptions} [options]
+ */
+export function createTabChannel({
+  name = CHANNEL_NAME,
+  tabId = TAB_ID,
+  BroadcastChannelImpl = getBroadcastChannel(),
+  storage = getStorage(),
+  target = typeof window !== 'undefined' ? window : null,
+} = {}) {
+  /** @type {Map<string, Set<(payload: any) => void>>} */
+  const handlers = new Map()
+  /** @type {BroadcastChannel | null} */
+  let channel = null
+  /** @type {(() => void) | null} */
+  let detachStorage = null
+
+  /** @param {any} message */
+  const deliver = (message) => {
+    if (!message || message.source === tabId || typeof message.type !== 'string') return
+    handlers.get(message.type)?.forEach((handler) => {
+      try {
+        handler(message.payload)
+      } catch (err) {
+        console.error('[tab channel] handler failed', message.type, err)
+      }
+    })
+  }
+
+  const open = () => {
+    if (channel || detachStorage) return
+    if (BroadcastChannelImpl) {
+      channel = new BroadcastChannelImpl(name)
+      channel.onmessage = (event) => deliver(event.data)
+      return
+    }
+    if (!target) return
+    /** @param {Event} event */
+    const onStorage = (event) => {
+      const { key, newValue } = /** @type {StorageEvent} */ (event)
+      if (key !== MESSAGE_KEY || !newValue) return
+      try {
+        deliver(JSON.parse(newValue))
+      } catch (_err) {
+        // not one of ours
+      }
+    }
+    target.addEventListener('storage', onStorage)
+    detachStorage = () => target.removeEventListener('storage', onStorage)
+  }
+
+  const close = () => {
+    channel?.close()
+    channel = null
+    detachStorage?.()
+    detachStorage = null
+  }
+
+  /**
+   * Send a message to every other tab. Never throws; a tab that misses a message
+   * still catches up from storage on its next load.
+   * @param {string} type
+   * @param {any} payload
+   */
+  const post = (type, payload) => {
+    /** @type {TabMessage} */
+    const message = { source: tabId, type, payload }
+    try {
+      if (BroadcastChannelImpl) {
+        if (channel) {
+          channel.postMessage(message)
+        } else {
+          const once = new BroadcastChannelImpl(name)
+          once.postMessage(message)
+          once.close()
+        }
+        return
+      }
+      if (!storage) return
+      // Other tabs see the write as a `storage` event; removing it right away keeps
+      // the key free and makes a repeat of the same message fire again.
+      storage.setItem(MESSAGE_KEY, JSON.stringify({ ...message, sentAt: Date.now() }))
+      storage.removeItem(MESSAGE_KEY)
+    } catch (err) {
+      console.error('[tab channel] failed to post', type, err)
+    }
+  }
+
+  /**
+   * @param {string} type
+   * @param {(payload: any) => void} handler
+   * @returns {() => void} Unsubscribe
+   */
+  const subscribe = (type, handler) => {
+    const set = handlers.get(type) ?? new Set()
+    set.add(handler)
+    handlers.set(type, set)
+    open()
+    return () => {
+      set.delete(handler)
+      if (set.size === 0) handlers.delete(type)
+      if (handlers.size === 0) close()
+    }
+  }
+
+  return { post, subscribe }
+}
+
+/** @typedef {ReturnType<typeof createTabChannel>} TabChannel */
+
+/** @type {TabChannel | null} */
+let sharedChannel = null
+
+/**
+ * The channel every feature of this tab shares.
+ * @returns {TabChannel}
+ */
+export function getTabChannel() {
+  if (!sharedChannel) sharedChannel = createTabChannel()
+  return sharedChannel
+}
+
+/** @returns {LockManager | null} */
+function getLockManager() {
+  if (typeof navigator === 'undefined') return null
+  return navigator.locks && typeof navigator.locks.request === 'function' ? navigator.locks : null
+}
+
+/**
+ * Hold `lockName` for as long as this tab wants it and report whether this tab is
+ * the leader. Other tabs queue for the lock, so one takes over when the leader
+ * closes. Without the Web Locks API every tab leads, as a single tab always did.
+ * @param {(isLeader: boolean) => void} onChange
+ * @param {{ lockName?: string, locks?: LockManager | null }} [options]
+ * @returns {() => void} Gives the lock up, or stops waiting for it
+ */
+export function electTabLeader(onChange, { lockName = OUTBOX_LOCK_NAME, locks = getLockManager() } = {}) {
+  if (!locks) {
+    onChange(true)
+    return () => {}
+  }
+  const abortController = new AbortController()
+  /** @type {() => void} */
+  let release = () => {}
+  const held = new Promise((resolve) => {
+    release = () => resolve(undefined)
+  })
+  const lead = async () => {
+    if (abortController.signal.aborted) return
+    onChange(true)
+    await held
+  }
+
+  locks
+    .request(lockName, { ifAvailable: true }, async (lock) => {
+      if (lock) return lead()
+      onChange(false)
+      // Queued outside this callback, which holds nothing and returns straight away.
+      void locks
+        .request(lockName, { signal: abortController.signal }, lead)
+        .catch((err) => {
+          if (err?.name !== 'AbortError') console.error('[tab leader] lock request failed', err)
+        })
+    })
+    .catch((err) => {
+      console.error('[tab leader] lock request failed', err)
+      onChange(true)
+    })
+
+  return () => {
+    abortController.abort()
+    release()
+  }
+}
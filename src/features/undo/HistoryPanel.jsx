@@ -0,0 +1,92 @@
+import { useRef, useState } from 'react'
+
+/** @typedef {import('./undoHistory.js').HistoryEntry} HistoryEntry */
+
+const MAX_LISTED = 10
+const PANEL_ID = 'history-panel'
+
+/** @type {import('react').CSSProperties} */
+const panelStyle = {
+  position: 'absolute',
+  right: 0,
+  top: 'calc(100% + 6px)',
+  width: 'min(340px, 90vw)',
+  padding: 12,
+  borderRadius: 10,
+  border: '1px solid var(--border, rgba(255,255,255,0.1))',
+  background: 'var(--surface-4, var(--surface, #0f1115))',
+  boxShadow: '0 12px 32px rgba(0,0,0,0.35)',
+  zIndex: 50,
+  fontSize: '0.9rem',
+}
+
+/**
+ * Header control for the undo history: Undo and Redo buttons plus the most recent note and
+ * tag changes, newest first. Changes that were undone stay listed until something new
+ * replaces them.
+ * @param {object} props
+ * @param {HistoryEntry[]} props.past
+ * @param {HistoryEntry[]} props.future
+ * @param {() => void} props.onUndo
+ * @param {() => void} props.onRedo
+ */
+export default function HistoryPanel({ past, future, onUndo, onRedo }) {
+  const [open, setOpen] = useState(false)
+  const toggleRef = useRef(/** @type {HTMLButtonElement | null} */ (null))
+
+  if (past.length === 0 && future.length === 0) return null
+
+  // Newest first: `future` already runs from the latest change back to the next redo
+  const undone = future.slice(-MAX_LISTED)
+  const recent = past.slice(-MAX_LISTED).reverse()
+  const close = () => {
+    setOpen(false)
+    toggleRef.current?.focus()
+  }
+
+  return (
+    <div
+      style={{ position: 'relative' }}
+      onKeyDown={(event) => {
+        if (open && event.key === 'Escape') {
+          event.stopPropagation()
+          close()
+        }
+      }}
+    >
+      <button
+        ref={toggleRef}
+        type="button"
+        className="btn"
+        aria-expanded={open}
+        aria-controls={PANEL_ID}
+        onClick={() => setOpen((value) => !value)}
+      >
+        History
+      </button>
+      {open && (
+        <section id={PANEL_ID} aria-label="Recent changes" style={panelStyle}>
+          <div className="row" style={{ gap: 8, marginBottom: 8 }}>
+            <button type="button" className="btn" onClick={onUndo} disabled={past.length === 0}>
+              Undo
+            </button>
+            <button type="button" className="btn" onClick={onRedo} disabled={future.length === 0}>
+              Redo
+            </button>
+          </div>
+          <ol style={{ listStyle: 'none', margin: 0, padding: 0, display: 'grid', gap: 4 }}>
+            {undone.map((entry) => (
+              <li key={entry.id} style={{ color: 'var(--muted)', textDecoration: 'line-through' }}>
+                <span className="sr-only">Undone: </span>
+                {entry.label}
+              </li>
+            ))}
+            {recent.map((entry) => (
+              <li key={entry.id}>{entry.label}</li>
+            ))}
+          </ol>
+        </section>
+      )}
+    </div>
+  )
+}
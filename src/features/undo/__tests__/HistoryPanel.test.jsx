@@ -0,0 +1,46 @@
+import { describe, expect, it, vi } from 'vitest'
+import { fireEvent, render, screen, within } from '@testing-library/react'
+import HistoryPanel from '../HistoryPanel.jsx'
+
+const entry = (id, label) => ({ id, label, trackId: 't1', at: 0, kind: 'tag:add', tag: id })
+
+describe('HistoryPanel', () => {
+  it('stays hidden until there is something to undo or redo', () => {
+    const { container } = render(<HistoryPanel past={[]} future={[]} onUndo={vi.fn()} onRedo={vi.fn()} />)
+    expect(container).toBeEmptyDOMElement()
+  })
+
+  it('lists recent changes newest first, with undone ones marked', () => {
+    const onUndo = vi.fn()
+    const onRedo = vi.fn()
+    render(
+      <HistoryPanel
+        past={[entry('a', 'Added tag "a"'), entry('b', 'Added tag "b"')]}
+        future={[entry('c', 'Added tag "c"')]}
+        onUndo={onUndo}
+        onRedo={onRedo}
+      />,
+    )
+
+    const toggle = screen.getByRole('button', { name: 'History' })
+    expect(toggle).toHaveAttribute('aria-expanded', 'false')
+    fireEvent.click(toggle)
+    expect(toggle).toHaveAttribute('aria-expanded', 'true')
+
+    const panel = screen.getByRole('region', { name: 'Recent changes' })
+    expect(within(panel).getAllByRole('listitem').map((item) => item.textContent)).toEqual([
+      'Undone: Added tag "c"',
+      'Added tag "b"',
+      'Added tag "a"',
+    ])
+
+    fireEvent.click(within(panel).getByRole('button', { name: 'Undo' }))
+    fireEvent.click(within(panel).getByRole('button', { name: 'Redo' }))
+    expect(onUndo).toHaveBeenCalledTimes(1)
+    expect(onRedo).toHaveBeenCalledTimes(1)
+
+    fireEvent.keyDown(panel, { key: 'Escape' })
+    expect(screen.queryByRole('region', { name: 'Recent changes' })).not.toBeInTheDocument()
+    expect(toggle).toHaveFocus()
+  })
+})
@@ -0,0 +1,89 @@
+import { describe, expect, it } from 'vitest'
+import {
+  EMPTY_HISTORY,
+  HISTORY_LIMIT,
+  createHistoryEntry,
+  getRedoStep,
+  getStepAction,
+  getUndoStep,
+  recordHistoryEntry,
+  takeRedo,
+  takeUndo,
+} from '../undoHistory.js'
+import { playlistActions } from '../../playlist/actions.js'
+
+const state = {
+  tracks: [{ id: 't1', title: 'Night Bus' }],
+  notesByTrack: {
+    t1: [
+      { id: 'a', body: 'Intro', createdAt: 1 },
+      { id: 'b', body: 'Drop', createdAt: 2, revision: 4 },
+    ],
+  },
+  tagsByTrack: { t1: ['dark'] },
+}
+
+describe('undoHistory', () => {
+  it('records user note and tag changes with readable labels', () => {
+    const add = createHistoryEntry(state, playlistActions.saveNoteOptimistic('t1', 'Outro', { id: 'c' }))
+    expect(add).toMatchObject({ kind: 'note:add', index: 2, note: { id: 'c', body: 'Outro' } })
+    expect(add.label).toBe('Added a note to "Night Bus"')
+
+    const del = createHistoryEntry(state, playlistActions.deleteNote('t1', 1))
+    expect(del).toMatchObject({ kind: 'note:delete', index: 1, note: state.notesByTrack.t1[1] })
+
+    const edit = createHistoryEntry(state, playlistActions.editNote('t1', { id: 'a' }, { id: 'a', body: 'Intro!' }))
+    expect(edit).toMatchObject({ kind: 'note:edit', before: { body: 'Intro' }, after: { body: 'Intro!' } })
+
+    expect(createHistoryEntry(state, playlistActions.removeTag('t1', 'dark'))?.label).toBe(
+      'Removed tag "dark" from "Night Bus"',
+    )
+  })
+
+  it('ignores sync replacements, no-op removals and unrelated actions', () => {
+    expect(createHistoryEntry(state, playlistActions.replaceNote('t1', { id: 'a' }, [{ id: 'a', body: 'x' }]))).toBeNull()
+    expect(createHistoryEntry(state, playlistActions.removeTag('t1', 'missing'))).toBeNull()
+    expect(createHistoryEntry(state, playlistActions.startNoteEdit('t1'))).toBeNull()
+  })
+
+  it('keeps the newest entries and moves them between past and future', () => {
+    let history = EMPTY_HISTORY
+    for (let i = 0; i < HISTORY_LIMIT + 5; i += 1) {
+      history = recordHistoryEntry(history, /** @type {any} */ ({ id: `e${i}` }))
+    }
+    expect(history.past).toHaveLength(HISTORY_LIMIT)
+    expect(history.past[0].id).toBe('e5')
+
+    const undone = takeUndo(history, 'e10')
+    expect(undone?.entry.id).toBe('e10')
+    expect(undone?.history.past.some((entry) => entry.id === 'e10')).toBe(false)
+    expect(takeRedo(undone.history)?.entry.id).toBe('e10')
+    expect(takeUndo(EMPTY_HISTORY)).toBeNull()
+    expect(takeRedo(EMPTY_HISTORY)).toBeNull()
+  })
+
+  it('finds notes by id when applying steps, even after other notes moved', () => {
+    const add = createHistoryEntry(state, playlistActions.saveNoteOptimistic('t1', 'Outro', { id: 'c' }))
+    const moved = {
+      ...state,
+      notesByTrack: { t1: [{ id: 'c', body: 'Outro', createdAt: 3 }, state.notesByTrack.t1[1]] },
+    }
+    expect(getStepAction(moved, getUndoStep(add))).toEqual(playlistActions.deleteNote('t1', 0))
+    // Already there: nothing to redo
+    expect(getStepAction(moved, getRedoStep(add))).toBeNull()
+  })
+
+  it('keeps the current revision when reverting an edit', () => {
+    const edit = createHistoryEntry(state, playlistActions.editNote('t1', { id: 'b' }, { id: 'b', body: 'Drop 2', revision: 4 }))
+    const after = { ...state, notesByTrack: { t1: [state.notesByTrack.t1[0], { id: 'b', body: 'Drop 2', revision: 5 }] } }
+    expect(getStepAction(after, getUndoStep(edit))).toEqual(
+      playlistActions.replaceNote('t1', { id: 'b' }, [{ id: 'b', body: 'Drop', createdAt: 2, revision: 5 }]),
+    )
+  })
+
+  it('skips tag steps that would change nothing', () => {
+    const add = createHistoryEntry(state, playlistActions.addTag('t1', 'calm', ['dark']))
+    expect(getStepAction(state, getUndoStep(add))).toBeNull()
+    expect(getStepAction(state, getRedoStep(add))).toEqual(playlistActions.addTag('t1', 'calm', ['dark']))
+  })
+})
@@ -0,0 +1,280 @@
+// src/features/undo/undoHistory.js
+// Undo/redo history for note and tag changes. The provider records user mutations as
+// they are dispatched; each entry keeps what it needs to be reversed, and undo or redo
+// turns it into a step that is applied to the current state (notes are found by id, so
+// entries stay valid while other changes happen around them).
+
+// @ts-check
+
+import { playlistActions } from '../playlist/actions.js'
+
+/** @typedef {import('../../utils/notesTagsData.js').NoteEntry} NoteEntry */
+/** @typedef {import('../playlist/playlistReducer.js').PlaylistState} PlaylistState */
+
+/**
+ * @typedef {{ id: string, trackId: string, label: string, at: number } & (
+ *   | { kind: 'note:add', note: NoteEntry, index: number }
+ *   | { kind: 'note:edit', before: NoteEntry, after: NoteEntry }
+ *   | { kind: 'note:delete', note: NoteEntry, index: number }
+ *   | { kind: 'tag:add', tag: string }
+ *   | { kind: 'tag:remove', tag: string }
+ * )} HistoryEntry
+ */
+
+/**
+ * @typedef {(
+ *   | { type: 'note:insert', trackId: string, note: NoteEntry, index: number }
+ *   | { type: 'note:remove', trackId: string, note: NoteEntry, index: number }
+ *   | { type: 'note:replace', trackId: string, from: NoteEntry, to: NoteEntry }
+ *   | { type: 'tag:add' | 'tag:remove', trackId: string, tag: string }
+ * )} HistoryStep
+ */
+
+/**
+ * `past` ends with the most recent change; `future` ends with the next one to redo.
+ * @typedef {{ past: HistoryEntry[], future: HistoryEntry[] }} HistoryState
+ */
+
+export const HISTORY_LIMIT = 50
+
+/** @type {HistoryState} */
+export const EMPTY_HISTORY = { past: [], future: [] }
+
+// Loading another playlist or resetting the app starts a fresh history
+const CLEARING_ACTION_TYPES = new Set(['STATE_RESET', 'TRACKS_SET_WITH_NOTES'])
+
+/**
+ * @param {{ type: string }} action
+ * @returns {boolean}
+ */
+export function clearsHistory(action) {
+  return Boolean(action) && CLEARING_ACTION_TYPES.has(action.type)
+}
+
+/**
+ * @param {PlaylistState} state
+ * @param {string} trackId
+ */
+function trackTitle(state, trackId) {
+  const track = Array.isArray(state?.tracks) ? state.tracks.find((item) => item?.id === trackId) : null
+  return track?.title ? `"${track.title}"` : 'a track'
+}
+
+/**
+ * @param {PlaylistState} state
+ * @param {string} trackId
+ * @returns {NoteEntry[]}
+ */
+function notesFor(state, trackId) {
+  const notes = state?.notesByTrack?.[trackId]
+  return Array.isArray(notes) ? notes : []
+}
+
+/**
+ * @param {PlaylistState} state
+ * @param {string} trackId
+ * @returns {string[]}
+ */
+export function tagsFor(state, trackId) {
+  const tags = state?.tagsByTrack?.[trackId]
+  return Array.isArray(tags) ? tags : []
+}
+
+/**
+ * Where a note sits now: by id when it has one, otherwise the index it was recorded at.
+ * @param {NoteEntry[]} notes
+ * @param {NoteEntry} note
+ * @param {number} [fallbackIndex]
+ */
+function locateNote(notes, note, fallbackIndex = -1) {
+  if (note?.id) return notes.findIndex((item) => item?.id === note.id)
+  return fallbackIndex >= 0 && fallbackIndex < notes.length ? fallbackIndex : -1
+}
+
+/**
+ * The history entry for a dispatched action, read against the state it applies to, or
+ * null when the action is not a user change that can be undone. Notes need an id to be
+ * found again. Note edits are only recorded when dispatched through
+ * `playlistActions.editNote`; other `NOTE_REPLACE`s come from sync and conflict handling.
+ * @param {PlaylistState} state
+ * @param {{ type: string, payload?: any, meta?: any }} action
+ * @returns {HistoryEntry | null}
+ */
+export function createHistoryEntry(state, action) {
+  const payload = action?.payload ?? {}
+  const { trackId } = payload
+  if (!trackId) return null
+  const base = { id: crypto.randomUUID(), trackId, at: Date.now() }
+  const title = trackTitle(state, trackId)
+
+  switch (action.type) {
+    case 'NOTE_SAVE_OPTIMISTIC': {
+      // Without an id the new note cannot be told apart from the others later
+      if (!payload.id) return null
+      /** @type {NoteEntry} */
+      const note = { id: payload.id, body: payload.note, createdAt: base.at }
+      if (typeof payload.timestampMs === 'number') note.timestampMs = payload.timestampMs
+      if (typeof payload.timestampEndMs === 'number') note.timestampEndMs = payload.timestampEndMs
+      const index = notesFor(state, trackId).length
+      return { ...base, kind: 'note:add', note, index, label: `Added a note to ${title}` }
+    }
+    case 'NOTE_REPLACE': {
+      if (!action.meta?.edit) return null
+      const notes = notesFor(state, trackId)
+      const { target } = payload
+      const index = target?.id
+        ? notes.findIndex((note) => note?.id === target.id)
+        : typeof target?.index === 'number' ? target.index : -1
+      const before = notes[index]
+      const after = Array.isArray(payload.notes) ? payload.notes[0] : null
+      if (!before?.id || !after) return null
+      return { ...base, kind: 'note:edit', before, after, label: `Edited a note on ${title}` }
+    }
+    case 'NOTE_DELETE': {
+      const note = notesFor(state, trackId)[payload.noteIndex]
+      if (!note) return null
+      return { ...base, kind: 'note:delete', note, index: payload.noteIndex, label: `Deleted a note from ${title}` }
+    }
+    case 'TAG_ADD': {
+      if (!payload.tag) return null
+      return { ...base, kind: 'tag:add', tag: payload.tag, label: `Added tag "${payload.tag}" to ${title}` }
+    }
+    case 'TAG_REMOVE': {
+      if (!tagsFor(state, trackId).includes(payload.tag)) return null
+      return { ...base, kind: 'tag:remove', tag: payload.tag, label: `Removed tag "${payload.tag}" from ${title}` }
+    }
+    default:
+      return null
+  }
+}
+
+/**
+ * Add a new change. Anything that could be redone is dropped, as in any editor.
+ * @param {HistoryState} history
+ * @param {HistoryEntry} entry
+ * @returns {HistoryState}
+ */
+export function recordHistoryEntry(history, entry) {
+  return { past: [...history.past, entry].slice(-HISTORY_LIMIT), future: [] }
+}
+
+/**
+ * Move the latest change, or the one with `entryId`, from `past` to `future`.
+ * @param {HistoryState} history
+ * @param {string} [entryId]
+ * @returns {{ entry: HistoryEntry, history: HistoryState } | null}
+ */
+export function takeUndo(history, entryId) {
+  const index = entryId ? history.past.findIndex((item) => item.id === entryId) : history.past.length - 1
+  const entry = history.past[index]
+  if (!entry) return null
+  return {
+    entry,
+    history: {
+      past: history.past.filter((_, i) => i !== index),
+      future: [...history.future, entry],
+    },
+  }
+}
+
+/**
+ * Move the most recently undone change back onto `past`.
+ * @param {HistoryState} history
+ * @returns {{ entry: HistoryEntry, history: HistoryState } | null}
+ */
+export function takeRedo(history) {
+  const entry = history.future[history.future.length - 1]
+  if (!entry) return null
+  return {
+    entry,
+    history: { past: [...history.past, entry], future: history.future.slice(0, -1) },
+  }
+}
+
+/**
+ * What reverses an entry.
+ * @param {HistoryEntry} entry
+ * @returns {HistoryStep}
+ */
+export function getUndoStep(entry) {
+  const { trackId } = entry
+  switch (entry.kind) {
+    case 'note:add':
+      return { type: 'note:remove', trackId, note: entry.note, index: entry.index }
+    case 'note:edit':
+      return { type: 'note:replace', trackId, from: entry.after, to: entry.before }
+    case 'note:delete':
+      return { type: 'note:insert', trackId, note: entry.note, index: entry.index }
+    case 'tag:add':
+      return { type: 'tag:remove', trackId, tag: entry.tag }
+    case 'tag:remove':
+      return { type: 'tag:add', trackId, tag: entry.tag }
+  }
+}
+
+/**
+ * What applies an entry again.
+ * @param {HistoryEntry} entry
+ * @returns {HistoryStep}
+ */
+export function getRedoStep(entry) {
+  const { trackId } = entry
+  switch (entry.kind) {
+    case 'note:add':
+      return { type: 'note:insert', trackId, note: entry.note, index: entry.index }
+    case 'note:edit':
+      return { type: 'note:replace', trackId, from: entry.before, to: entry.after }
+    case 'note:delete':
+      return { type: 'note:remove', trackId, note: entry.note, index: entry.index }
+    case 'tag:add':
+      return { type: 'tag:add', trackId, tag: entry.tag }
+    case 'tag:remove':
+      return { type: 'tag:remove', trackId, tag: entry.tag }
+  }
+}
+
+/**
+ * The reducer action for a step against the current state, or null when there is nothing
+ * to do (the note is already gone, the tag is already there, and so on). Replacements keep
+ * the note's current revision so the server sees an ordinary edit.
+ * @param {PlaylistState} state
+ * @param {HistoryStep} step
+ * @returns {{ type: string, payload: any } | null}
+ */
+export function getStepAction(state, step) {
+  const { trackId } = step
+  switch (step.type) {
+    case 'note:insert': {
+      const notes = notesFor(state, trackId)
+      if (step.note.id && notes.some((note) => note?.id === step.note.id)) return null
+      return playlistActions.restoreNote(trackId, step.note, Math.min(step.index, notes.length))
+    }
+    case 'note:remove': {
+      const index = locateNote(notesFor(state, trackId), step.note, step.index)
+      return index < 0 ? null : playlistActions.deleteNote(trackId, index)
+    }
+    case 'note:replace': {
+      const notes = notesFor(state, trackId)
+      const index = locateNote(notes, step.from)
+      if (index < 0) return null
+      const { revision } = notes[index]
+      const { revision: _revision, ...next } = step.to
+      const target = step.from.id ? { id: step.from.id } : { index }
+      return playlistActions.replaceNote(trackId, target, [revision ? { ...next, revision } : next])
+    }
+    case 'tag:add': {
+      const tags = tagsFor(state, trackId)
+      if (tags.includes(step.tag)) return null
+      try {
+        return playlistActions.addTag(trackId, step.tag, tags)
+      } catch {
+        // The track has since reached the tag limit
+        return null
+      }
+    }
+    case 'tag:remove': {
+      if (!tagsFor(state, trackId).includes(step.tag)) return null
+      return playlistActions.removeTag(trackId, step.tag)
+    }
+  }
+}
@@ -3,10 +3,11 @@ import { render, screen, waitFor } from '@testing-library/react'
 import { describe, it, expect, vi, beforeEach } from 'vitest'
 import { useRef } from 'react'
 import { useGlobalKeybindings } from '../useGlobalKeybindings.js'
+import { getDefaultKeymap } from '../../features/keyboard/keymap.js'
 
-function TestHarness({ onUndo, onJumpHome }) {
+function TestHarness({ onUndo, onRedo = null, onJumpHome, onShowHelp = null, keymap = null }) {
   const titleRef = useRef(null)
-  useGlobalKeybindings({ onUndo, onJumpHome, homeFocusRef: titleRef })
+  useGlobalKeybindings({ onUndo, onRedo, onJumpHome, homeFocusRef: titleRef, onShowHelp, keymap })
   return (
     <button type="button" ref={titleRef}>
       Playlist Notes
@@ -40,6 +41,24 @@ describe('useGlobalKeybindings', () => {
     expect(jump).not.toHaveBeenCalled()
   })
 
+  it('redoes on Ctrl+Shift+Z and Ctrl+Y, and leaves text fields their own undo', () => {
+    const undo = vi.fn()
+    const redo = vi.fn()
+    render(<TestHarness onUndo={undo} onRedo={redo} onJumpHome={vi.fn()} />)
+
+    dispatchKey(window, { key: 'Z', ctrlKey: true, shiftKey: true })
+    dispatchKey(window, { key: 'y', metaKey: true })
+    expect(redo).toHaveBeenCalledTimes(2)
+    expect(undo).not.toHaveBeenCalled()
+
+    const input = document.createElement('textarea')
+    document.body.appendChild(input)
+    const event = dispatchKey(input, { key: 'z', ctrlKey: true })
+    expect(undo).not.toHaveBeenCalled()
+    expect(event.defaultPrevented).toBe(false)
+    input.remove()
+  })
+
   it('focuses the provided title ref and calls onJumpHome when Home is pressed outside inputs', async () => {
     const undo = vi.fn()
     const jump = vi.fn()
@@ -69,4 +88,24 @@ describe('useGlobalKeybindings', () => {
 
     input.remove()
   })
+
+  it('opens help with the mapped key, but not from text fields or with modifiers', () => {
+    const help = vi.fn()
+    const keymap = { ...getDefaultKeymap(), showHelp: 'h' }
+    render(<TestHarness onUndo={vi.fn()} onJumpHome={vi.fn()} onShowHelp={help} keymap={keymap} />)
+
+    dispatchKey(window, { key: '?', shiftKey: true })
+    expect(help).not.toHaveBeenCalled()
+
+    const input = document.createElement('input')
+    document.body.appendChild(input)
+    dispatchKey(input, { key: 'h' })
+    dispatchKey(window, { key: 'h', ctrlKey: true })
+    expect(help).not.toHaveBeenCalled()
+    input.remove()
+
+    const event = dispatchKey(window, { key: 'H' })
+    expect(help).toHaveBeenCalledTimes(1)
+    expect(event.defaultPrevented).toBe(true)
+  })
 })
@@ -1,44 +1,60 @@
 import { useEffect } from 'react'
+import { findActionForKey, isEditableTarget, shouldIgnoreShortcut } from '../features/keyboard/keymap.js'
 
 /**
+ * App-wide shortcuts. Track shortcuts live with the playlist view
+ * (see `features/keyboard/useTrackKeybindings.js`).
  * @param {{
  *   onUndo?: (() => void) | null,
+ *   onRedo?: (() => void) | null,
  *   onJumpHome?: (() => void) | null,
  *   homeFocusRef?: import('react').RefObject<HTMLElement>,
+ *   keymap?: import('../features/keyboard/keymap.js').Keymap | null,
+ *   onShowHelp?: (() => void) | null,
+ *   onOpenPalette?: (() => void) | null,
  * }} [params]
  */
 export function useGlobalKeybindings(params = {}) {
-  const { onUndo, onJumpHome, homeFocusRef } = params
+  const { onUndo, onRedo, onJumpHome, homeFocusRef, keymap, onShowHelp, onOpenPalette } = params
   useEffect(() => {
     if (typeof window === 'undefined') return undefined
 
-    /** @param {EventTarget | null} target */
-    const isEditableTarget = (target) => {
-      if (!target || !(target instanceof HTMLElement)) return false
-      const tagName = target.tagName
-      return (
-        target.isContentEditable ||
-        tagName === 'INPUT' ||
-        tagName === 'TEXTAREA' ||
-        tagName === 'SELECT'
-      )
-    }
-
     /** @param {KeyboardEvent} event */
     const handler = (event) => {
       if (event.defaultPrevented) return
 
       const key = event.key.length === 1 ? event.key.toLowerCase() : event.key
 
+      // Text fields keep their own undo
+      const historyKey =
+        (event.ctrlKey || event.metaKey) && !event.altKey && !isEditableTarget(event.target)
+      if (historyKey && onUndo && !event.shiftKey && key === 'z') {
+        event.preventDefault()
+        onUndo()
+        return
+      }
+      if (historyKey && onRedo && ((event.shiftKey && key === 'z') || (!event.shiftKey && key === 'y'))) {
+        event.preventDefault()
+        onRedo()
+        return
+      }
+
+      // Works from inside text fields too, like the browser's own Ctrl+K
       if (
-        onUndo &&
+        onOpenPalette &&
         (event.ctrlKey || event.metaKey) &&
         !event.altKey &&
         !event.shiftKey &&
-        key === 'z'
+        key === 'k'
       ) {
         event.preventDefault()
-        onUndo()
+        onOpenPalette()
+        return
+      }
+
+      if (onShowHelp && keymap && !shouldIgnoreShortcut(event) && findActionForKey(keymap, event.key) === 'showHelp') {
+        event.preventDefault()
+        onShowHelp()
         return
       }
 
@@ -68,5 +84,5 @@ export function useGlobalKeybindings(params = {}) {
 
     window.addEventListener('keydown', handler)
     return () => window.removeEventListener('keydown', handler)
-  }, [onUndo, onJumpHome, homeFocusRef])
+  }, [onUndo, onRedo, onJumpHome, homeFocusRef, keymap, onShowHelp, onOpenPalette])
 }
@@ -0,0 +1,22 @@
+const SPOTIFY_LINKED_KEY = 'sta:spotify-linked';
+
+function isBrowser() {
+  return typeof window !== 'undefined' && typeof window.localStorage !== 'undefined';
+}
+
+// Hint only: lets the Spotify adapter skip the user-token round trip on devices
+// that never linked. The server-side link stays the source of truth, and a 404
+// from /api/spotify/user-token clears a stale hint.
+export function isSpotifyLinked() {
+  if (!isBrowser()) return false;
+  return window.localStorage.getItem(SPOTIFY_LINKED_KEY) === '1';
+}
+
+export function setSpotifyLinked(linked) {
+  if (!isBrowser()) return;
+  if (linked) {
+    window.localStorage.setItem(SPOTIFY_LINKED_KEY, '1');
+  } else {
+    window.localStorage.removeItem(SPOTIFY_LINKED_KEY);
+  }
+}
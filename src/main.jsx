@@ -5,17 +5,22 @@ import App from './App.jsx'
 import { ThemeProvider } from './theme/ThemeContext.jsx'  // dY`^ note the .jsx
 import { SpeedInsights } from '@vercel/speed-insights/react'
 import { getFontPreference } from './utils/storage.js'
+import { hydratePersistentStore } from './utils/persistentStore.js'
 
-const initialFont = getFontPreference()
-if (typeof document !== 'undefined') {
-  document.documentElement.setAttribute('data-font', initialFont)
-}
+// Storage reads are synchronous, so load the IndexedDB mirror before anything
+// touches it. Falls back to localStorage when IndexedDB is unavailable.
+hydratePersistentStore().finally(() => {
+  const initialFont = getFontPreference()
+  if (typeof document !== 'undefined') {
+    document.documentElement.setAttribute('data-font', initialFont)
+  }
 
-createRoot(document.getElementById('root')).render(
-  <StrictMode>
-    <ThemeProvider>
-      <App />
-      <SpeedInsights />
-    </ThemeProvider>
-  </StrictMode>,
-)
+  createRoot(document.getElementById('root')).render(
+    <StrictMode>
+      <ThemeProvider>
+        <App />
+        <SpeedInsights />
+      </ThemeProvider>
+    </StrictMode>,
+  )
+})
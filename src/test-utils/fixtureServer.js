@@ -0,0 +1,60 @@
+// Local HTTP stub server for adapter tests that replay recorded proxy fixtures.
+
+import { createServer } from 'node:http'
+import { readFileSync, existsSync } from 'node:fs'
+import { join } from 'node:path'
+import { makeFetchClient } from '../utils/fetchClient.js'
+
+/**
+ * @typedef {{ status?: number, body?: unknown, headers?: Record<string, string> }} StubReply
+ * @typedef {(url: URL) => StubReply | null | undefined} StubRoute
+ */
+
+/**
+ * Load a JSON fixture, returning null when the file does not exist so routes can 404.
+ * @param {string} dir
+ * @param {string} name
+ * @returns {any}
+ */
+export function readFixture(dir, name) {
+  const file = join(dir, name)
+  if (!existsSync(file)) return null
+  return JSON.parse(readFileSync(file, 'utf8'))
+}
+
+/**
+ * Start a stub server on an ephemeral port. Unmatched routes answer 404.
+ * The returned fetch client resolves relative adapter URLs (e.g. `/api/youtube/...`)
+ * against the stub's origin, so adapters run unmodified.
+ * @param {StubRoute} route
+ */
+export async function startFixtureServer(route) {
+  /** @type {URL[]} */
+  const requests = []
+
+  const server = createServer((req, res) => {
+    const url = new URL(req.url ?? '/', 'http://127.0.0.1')
+    requests.push(url)
+    const reply = route(url) ?? { status: 404, body: { error: 'not_found' } }
+    res.statusCode = reply.status ?? 200
+    res.setHeader('Content-Type', 'application/json')
+    Object.entries(reply.headers ?? {}).forEach(([key, value]) => res.setHeader(key, value))
+    res.end(JSON.stringify(reply.body ?? null))
+  })
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(undefined)))
+  const address = server.address()
+  const port = typeof address === 'object' && address ? address.port : 0
+  const baseUrl = `http://127.0.0.1:${port}`
+
+  const fetchClient = makeFetchClient((input, init) =>
+    globalThis.fetch(new URL(String(input), baseUrl), init),
+  )
+
+  return {
+    baseUrl,
+    fetchClient,
+    requests,
+    close: () => new Promise((resolve) => server.close(() => resolve(undefined))),
+  }
+}
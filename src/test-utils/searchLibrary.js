@@ -0,0 +1,42 @@
+// Deterministic large track library for search tests and benchmarks
+
+const SYLLABLES = ['ka', 'lo', 'mi', 'ra', 'ne', 'to', 'su', 'vi', 'de', 'an', 'or', 'el', 'ba', 'ry', 'qu']
+
+// Small deterministic PRNG so every run searches the same library
+function createRandom(seed) {
+  let state = seed
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296
+    return state / 4294967296
+  }
+}
+
+/**
+ * Build `count` tracks whose words are made of two-letter syllables (never an x), with
+ * zero to three notes each.
+ * @param {number} count
+ */
+export function makeSearchLibrary(count) {
+  const random = createRandom(42)
+  const word = () => {
+    const length = 2 + Math.floor(random() * 3)
+    let out = ''
+    for (let i = 0; i < length; i += 1) {
+      out += SYLLABLES[Math.floor(random() * SYLLABLES.length)]
+    }
+    return out
+  }
+  const phrase = (words) => Array.from({ length: words }, word).join(' ')
+  return Array.from({ length: count }, (_, index) => ({
+    id: `track-${index}`,
+    title: phrase(1 + Math.floor(random() * 4)),
+    artist: phrase(1 + Math.floor(random() * 2)),
+    album: phrase(2),
+    notes: Array.from({ length: Math.floor(random() * 4) }, () => ({
+      body: phrase(6 + Math.floor(random() * 10)),
+      createdAt: 1,
+    })),
+    tags: [],
+    originalIndex: index,
+  }))
+}
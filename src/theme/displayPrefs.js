@@ -0,0 +1,78 @@
+// src/theme/displayPrefs.js
+// Theme and font switches shared by the Account controls and the command palette.
+// Each change is broadcast so whichever controls are mounted stay in step.
+
+import { setFontPreference } from '../utils/storage.js'
+
+export const DISPLAY_PREFS_EVENT = 'app:display-prefs-change'
+
+export const FONT_OPTIONS = Object.freeze([
+  { value: 'default', label: 'Default' },
+  { value: 'system', label: 'Match system' },
+  { value: 'dyslexic', label: 'Dyslexic friendly' },
+])
+
+/** @returns {boolean} */
+export function readIsDarkTheme() {
+  const saved = localStorage.getItem('theme')
+  if (saved === 'dark') return true
+  if (saved === 'light') return false
+  return Boolean(window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches)
+}
+
+function notify() {
+  window.dispatchEvent(new Event(DISPLAY_PREFS_EVENT))
+}
+
+/**
+ * Apply and persist the theme.
+ * @param {boolean} isDark
+ */
+export function applyTheme(isDark) {
+  const theme = isDark ? 'dark' : 'light'
+
+  // Set data-theme on both <html> and <body> (covers selector differences)
+  const root = document.documentElement
+  const body = document.body
+
+  root.dataset.theme = theme
+  body.dataset.theme = theme
+
+  // Also set explicit classes as a fallback
+  root.classList.toggle('theme-dark', isDark)
+  root.classList.toggle('theme-light', !isDark)
+  body.classList.toggle('theme-dark', isDark)
+  body.classList.toggle('theme-light', !isDark)
+
+  // Persist
+  localStorage.setItem('theme', theme)
+  notify()
+}
+
+/** @returns {boolean} The new value: true for dark */
+export function toggleTheme() {
+  const next = !readIsDarkTheme()
+  applyTheme(next)
+  return next
+}
+
+/**
+ * Persist the font preference and apply it to the document.
+ * @param {unknown} font
+ * @returns {import('../utils/storage.js').FontPreference}
+ */
+export function applyFontPreference(font) {
+  const next = setFontPreference(font)
+  document.documentElement.setAttribute('data-font', next)
+  notify()
+  return next
+}
+
+/**
+ * @param {() => void} listener
+ * @returns {() => void}
+ */
+export function subscribeToDisplayPrefs(listener) {
+  window.addEventListener(DISPLAY_PREFS_EVENT, listener)
+  return () => window.removeEventListener(DISPLAY_PREFS_EVENT, listener)
+}
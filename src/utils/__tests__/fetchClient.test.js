@@ -31,6 +31,21 @@ describe('makeFetchClient', () => {
     expect(response.json).not.toHaveBeenCalled()
   })
 
+  it('keeps a numeric Retry-After header on rate-limited responses', async () => {
+    fetchMock.mockResolvedValue({
+      ok: false,
+      status: 429,
+      headers: new Headers({ 'Retry-After': '12' }),
+      json: vi.fn(),
+    })
+    const client = makeFetchClient(fetchMock)
+
+    await expect(client.getJson('/api/limited')).rejects.toMatchObject({
+      code: 'HTTP_429',
+      details: { status: 429, retryAfterSeconds: 12 },
+    })
+  })
+
   it('returns parsed json when response ok', async () => {
     const payload = { ok: true }
     fetchMock.mockResolvedValue({
@@ -0,0 +1,175 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { IDBFactory, IDBObjectStore } from 'fake-indexeddb';
+import {
+  closePersistentStore,
+  flushPersistentStore,
+  hydratePersistentStore,
+  isPersistentStoreReady,
+  PERSIST_DEBOUNCE_MS,
+} from '../persistentStore.js';
+import { loadAppState, saveAppState } from '../storage.js';
+import {
+  loadPersistedPlaylistCache,
+  persistPlaylistCacheEntries,
+  sortAndTrimEntries,
+  PLAYLIST_CACHE_MAX_ENTRIES,
+  PLAYLIST_CACHE_MAX_ENTRIES_INDEXED_DB,
+} from '../../features/import/playlistCache.js';
+import { APP_STORE, openDatabase, readAllRecords, TRACK_STORE, writeRecords } from '../indexedDb.js';
+
+const makeTracks = (count) =>
+  Array.from({ length: count }, (_, idx) => ({ id: `t${idx}`, title: `Track ${idx}`, artist: 'A' }));
+
+const makeCacheEntry = (key, storedAt) => ({
+  key,
+  storedAt,
+  data: { tracks: [], meta: { provider: 'spotify', playlistId: key }, title: key },
+  aliases: [],
+});
+
+describe('persistentStore', () => {
+  /** @type {IDBFactory} */
+  let factory;
+
+  beforeEach(() => {
+    factory = new IDBFactory();
+    window.localStorage.clear();
+  });
+
+  afterEach(async () => {
+    await closePersistentStore();
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('migrates sta:v6 and the playlist cache once, and frees the localStorage keys once they read back', async () => {
+    saveAppState({
+      playlistTitle: 'Big list',
+      tracks: makeTracks(3),
+      notesByTrack: { t1: ['keep this'] },
+    });
+    persistPlaylistCacheEntries([makeCacheEntry('spotify:abc', 100)]);
+    expect(window.localStorage.getItem('sta:v6')).toBeTypeOf('string');
+
+    await expect(hydratePersistentStore({ indexedDB: factory })).resolves.toBe('indexeddb');
+
+    // The copies stay until a later start has read the data back from IndexedDB
+    expect(window.localStorage.getItem('sta:v6')).toBeTypeOf('string');
+    expect(window.localStorage.getItem('sta:playlist-cache:v1')).toBeTypeOf('string');
+    expect(loadAppState()?.playlistTitle).toBe('Big list');
+    expect(loadPersistedPlaylistCache().map((entry) => entry.key)).toEqual(['spotify:abc']);
+
+    await closePersistentStore();
+    await hydratePersistentStore({ indexedDB: factory });
+    expect(window.localStorage.getItem('sta:v6')).toBeNull();
+    expect(window.localStorage.getItem('sta:playlist-cache:v1')).toBeNull();
+
+    // A later localStorage write is not picked up again on the next start.
+    await closePersistentStore();
+    window.localStorage.setItem('sta:v6', JSON.stringify({ version: 6, playlistTitle: 'Stale' }));
+    await hydratePersistentStore({ indexedDB: factory });
+
+    const restored = loadAppState();
+    expect(restored?.playlistTitle).toBe('Big list');
+    expect(restored?.tracks.map((track) => track.id)).toEqual(['t0', 't1', 't2']);
+    expect(restored?.notesByTrack.t1.map((note) => note.body)).toEqual(['keep this']);
+  });
+
+  it('copies the localStorage data again when the first copy did not read back', async () => {
+    saveAppState({ playlistTitle: 'Big list', tracks: makeTracks(2) });
+    await hydratePersistentStore({ indexedDB: factory });
+    await closePersistentStore();
+
+    // Lose the state record, as a write cut short by the tab closing would
+    const db = await openDatabase(factory);
+    await writeRecords(db, { deletes: { [APP_STORE]: ['state'] } });
+    db.close();
+
+    await hydratePersistentStore({ indexedDB: factory });
+    expect(window.localStorage.getItem('sta:v6')).toBeTypeOf('string');
+    expect(loadAppState()?.playlistTitle).toBe('Big list');
+
+    await closePersistentStore();
+    await hydratePersistentStore({ indexedDB: factory });
+    expect(window.localStorage.getItem('sta:v6')).toBeNull();
+    expect(loadAppState()?.playlistTitle).toBe('Big list');
+  });
+
+  it('keeps one record per track and rewrites only the ones that changed', async () => {
+    await hydratePersistentStore({ indexedDB: factory });
+    const tracks = makeTracks(4);
+    saveAppState({ playlistTitle: 'Diffs', tracks, notesByTrack: {} });
+    await flushPersistentStore();
+
+    const db = await openDatabase(factory);
+    const records = await readAllRecords(db, TRACK_STORE);
+    db.close();
+    expect(records.map((record) => record.id).sort()).toEqual(['t0', 't1', 't2', 't3']);
+
+    const put = vi.spyOn(IDBObjectStore.prototype, 'put');
+    const del = vi.spyOn(IDBObjectStore.prototype, 'delete');
+    saveAppState({ playlistTitle: 'Diffs', tracks: tracks.slice(0, 3), notesByTrack: { t2: ['new'] } });
+    await flushPersistentStore();
+
+    // The app record changes because its track order does; of the tracks only t2 does.
+    expect(put.mock.calls.map(([record]) => record.id ?? record.key)).toEqual(['state', 't2']);
+    expect(del.mock.calls.map(([key]) => key)).toEqual(['t3']);
+  });
+
+  it('serializes only the track records whose objects changed', async () => {
+    await hydratePersistentStore({ indexedDB: factory });
+    const tracks = makeTracks(4);
+    const notesByTrack = { t1: ['first'] };
+    saveAppState({ playlistTitle: 'Diffs', tracks, notesByTrack });
+    await flushPersistentStore();
+
+    const stringify = vi.spyOn(JSON, 'stringify');
+    saveAppState({ playlistTitle: 'Diffs', tracks, notesByTrack: { ...notesByTrack, t3: ['second'] } });
+    await flushPersistentStore();
+
+    const serializedTracks = stringify.mock.calls
+      .map(([value]) => value)
+      .filter((value) => value && typeof value === 'object' && 'track' in value);
+    expect(serializedTracks.map((record) => record.id)).toEqual(['t3']);
+  });
+
+  it('coalesces rapid saves into one debounced write', async () => {
+    await hydratePersistentStore({ indexedDB: factory });
+    // fake-indexeddb schedules its own work with setImmediate, so leave that real.
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+    const put = vi.spyOn(IDBObjectStore.prototype, 'put');
+    saveAppState({ playlistTitle: 'One', tracks: makeTracks(1) });
+    saveAppState({ playlistTitle: 'Two', tracks: makeTracks(1) });
+    expect(loadAppState()?.playlistTitle).toBe('Two');
+    expect(put).not.toHaveBeenCalled();
+
+    await vi.advanceTimersByTimeAsync(PERSIST_DEBOUNCE_MS);
+    vi.useRealTimers();
+    await flushPersistentStore();
+    expect(put.mock.calls.filter(([record]) => record.key === 'state')).toHaveLength(1);
+    await closePersistentStore();
+
+    await hydratePersistentStore({ indexedDB: factory });
+    expect(loadAppState()?.playlistTitle).toBe('Two');
+  });
+
+  it('keeps more cached playlists once IndexedDB is in use', async () => {
+    const entries = Array.from({ length: PLAYLIST_CACHE_MAX_ENTRIES + 3 }, (_, idx) =>
+      makeCacheEntry(`k${idx}`, idx + 1),
+    );
+    expect(sortAndTrimEntries(entries)).toHaveLength(PLAYLIST_CACHE_MAX_ENTRIES);
+
+    await hydratePersistentStore({ indexedDB: factory });
+    expect(PLAYLIST_CACHE_MAX_ENTRIES_INDEXED_DB).toBeGreaterThan(PLAYLIST_CACHE_MAX_ENTRIES);
+    expect(sortAndTrimEntries(entries)).toHaveLength(entries.length);
+  });
+
+  it('falls back to localStorage when IndexedDB is unavailable', async () => {
+    await expect(hydratePersistentStore()).resolves.toBe('localStorage');
+    expect(isPersistentStoreReady()).toBe(false);
+
+    saveAppState({ playlistTitle: 'Fallback', tracks: makeTracks(1) });
+    expect(JSON.parse(window.localStorage.getItem('sta:v6') ?? 'null')?.playlistTitle).toBe('Fallback');
+    expect(loadAppState()?.playlistTitle).toBe('Fallback');
+  });
+});
@@ -10,6 +10,8 @@ import {
   saveRecent,
   getFontPreference,
   setFontPreference,
+  getKeymapPreference,
+  setKeymapPreference,
   hasDiscoveredFeature,
   markFeatureDiscovered,
   upsertRecent,
@@ -180,6 +182,41 @@ describe('storage cursors', () => {
     expect(restored?.tagsByTrack['sp:track:2']).toEqual(['808', 'dark']);
   });
 
+  it('persists orphaned notes and drops empty or malformed entries', () => {
+    saveAppState({
+      theme: 'dark',
+      playlistTitle: 'Orphans',
+      tracks: [],
+      importMeta: {},
+      lastImportUrl: '',
+      importedAt: null,
+      orphanedTracks: [
+        {
+          id: 'sp:track:9',
+          title: 'Gone',
+          artist: 'Someone',
+          provider: 'Spotify',
+          playlistId: 'p1',
+          notes: [{ body: 'kept', createdAt: 1 }],
+          tags: ['Rare'],
+          orphanedAt: '2024-05-01T00:00:00.000Z',
+        },
+        { id: 'sp:track:10', title: 'Bare', notes: [], tags: [] },
+        { title: 'No id', notes: [{ body: 'lost', createdAt: 1 }] },
+      ],
+    });
+
+    const restored = loadAppState();
+    expect(restored?.orphanedTracks).toHaveLength(1);
+    expect(restored?.orphanedTracks[0]).toMatchObject({
+      id: 'sp:track:9',
+      provider: 'spotify',
+      playlistId: 'p1',
+      tags: ['rare'],
+    });
+    expect(noteBodies(restored?.orphanedTracks[0].notes)).toEqual(['kept']);
+  });
+
   it('adds default font preference when migrating prior versions', () => {
     const legacy = {
       version: 5,
@@ -210,6 +247,21 @@ describe('storage cursors', () => {
     expect(stored.uiPrefs.font).toBe('system');
   });
 
+  it('stores remapped keys next to the font preference', () => {
+    setFontPreference('dyslexic');
+    expect(getKeymapPreference().addNote).toBe('n');
+
+    const saved = setKeymapPreference({ ...getKeymapPreference(), addNote: 'a', showHelp: 'h' });
+    expect(saved).toMatchObject({ addNote: 'a', showHelp: 'h', nextTrack: 'j' });
+    const stored = JSON.parse(globalThis.localStorage.getItem('sta:v6'));
+    expect(stored.uiPrefs).toEqual({ font: 'dyslexic', keymap: { addNote: 'a', showHelp: 'h' } });
+
+    setKeymapPreference(getKeymapPreference());
+    expect(getKeymapPreference().addNote).toBe('a');
+    setKeymapPreference({ ...getKeymapPreference(), addNote: 'n', showHelp: '?' });
+    expect(JSON.parse(globalThis.localStorage.getItem('sta:v6')).uiPrefs).toEqual({ font: 'dyslexic' });
+  });
+
   it('migrates v4 payloads to v6 and normalizes tags', () => {
     const legacy = {
       version: 4,
@@ -424,6 +476,29 @@ describe('recent playlists storage', () => {
     expect(result.some((item) => item.id === 'spotify:new')).toBe(true);
   });
 
+  it('accepts Apple Music and Deezer recents and drops unknown providers', () => {
+    let list = upsertRecent([], /** @type {Partial<RecentPlaylist>} */ ({
+      provider: 'applemusic',
+      playlistId: 'pl.crate01',
+      title: 'Reference Crate',
+      sourceUrl: 'https://music.apple.com/gb/playlist/reference-crate/pl.crate01',
+    }), 6);
+    list = upsertRecent(list, /** @type {Partial<RecentPlaylist>} */ ({
+      provider: 'Deezer',
+      playlistId: '908622995',
+      title: 'Deezer Crate',
+      sourceUrl: 'https://www.deezer.com/playlist/908622995',
+    }), 6);
+    list = upsertRecent(list, /** @type {Partial<RecentPlaylist>} */ ({
+      provider: 'tidal',
+      playlistId: 'abc',
+      title: 'Unsupported',
+      sourceUrl: 'https://tidal.com/playlist/abc',
+    }), 6);
+
+    expect(list.map((item) => item.id).sort()).toEqual(['applemusic:pl.crate01', 'deezer:908622995']);
+  });
+
   it('preserves recents when saveAppState runs without providing them', () => {
     saveRecent(upsertRecent([], baseRecentData(), 10));
     saveAppState({
@@ -15,6 +15,7 @@ export function makeFetchClient(fetchImpl = globalThis.fetch) {
   return {
     /**
      * Perform a GET request and return JSON or throw with an HTTP_* code.
+     * A numeric Retry-After header is kept as `details.retryAfterSeconds`.
      * @param {string} url
      * @param {RequestInit} [init]
      */
@@ -25,6 +26,10 @@ export function makeFetchClient(fetchImpl = globalThis.fetch) {
         const anyErr = /** @type {any} */ (err);
         anyErr.code = `HTTP_${res.status}`;
         anyErr.details = { url, status: res.status };
+        const retryAfterSeconds = Number(res.headers?.get?.('retry-after'));
+        if (Number.isFinite(retryAfterSeconds) && retryAfterSeconds > 0) {
+          anyErr.details.retryAfterSeconds = retryAfterSeconds;
+        }
         throw err;
       }
       return res.json();
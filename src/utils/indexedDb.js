@@ -0,0 +1,111 @@
+// src/utils/indexedDb.js
+// Promise wrappers around the handful of IndexedDB calls the persistent store needs.
+
+// @ts-check
+
+export const DB_NAME = 'playlist-notes';
+export const DB_VERSION = 1;
+
+/** App-level fields (title, import meta, recents, prefs) in one record keyed `state`. */
+export const APP_STORE = 'app';
+/** One record per track id: the track in the open playlist and/or its notes and tags. */
+export const TRACK_STORE = 'tracks';
+/** One record per cached import result, keyed like the playlist cache. */
+export const PLAYLIST_STORE = 'playlists';
+
+/**
+ * @typedef {{ puts?: Record<string, any[]>, deletes?: Record<string, IDBValidKey[]> }} StoreWrites
+ */
+
+/**
+ * @param {IDBFactory | undefined} [factory]
+ * @returns {IDBFactory | null}
+ */
+export function resolveIndexedDb(factory) {
+  if (factory) return factory;
+  try {
+    return typeof indexedDB !== 'undefined' && indexedDB ? indexedDB : null;
+  } catch {
+    // Some privacy modes throw on access instead of leaving it undefined.
+    return null;
+  }
+}
+
+/**
+ * @template T
+ * @param {IDBRequest<T>} request
+ * @returns {Promise<T>}
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * @param {IDBTransaction} tx
+ * @returns {Promise<void>}
+ */
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error ?? new Error('IndexedDB transaction aborted'));
+  });
+}
+
+/**
+ * Open (and on first use, create) the app database.
+ * @param {IDBFactory} factory
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase(factory) {
+  const request = factory.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(APP_STORE)) {
+      db.createObjectStore(APP_STORE, { keyPath: 'key' });
+    }
+    if (!db.objectStoreNames.contains(TRACK_STORE)) {
+      db.createObjectStore(TRACK_STORE, { keyPath: 'id' });
+    }
+    if (!db.objectStoreNames.contains(PLAYLIST_STORE)) {
+      db.createObjectStore(PLAYLIST_STORE, { keyPath: 'key' });
+    }
+  };
+  return promisifyRequest(request);
+}
+
+/**
+ * @param {IDBDatabase} db
+ * @param {string} storeName
+ * @returns {Promise<any[]>}
+ */
+export function readAllRecords(db, storeName) {
+  const tx = db.transaction(storeName, 'readonly');
+  return promisifyRequest(tx.objectStore(storeName).getAll());
+}
+
+/**
+ * Apply puts and deletes across stores in a single transaction, so a flush lands
+ * completely or not at all.
+ * @param {IDBDatabase} db
+ * @param {StoreWrites} writes
+ * @returns {Promise<void>}
+ */
+export function writeRecords(db, { puts = {}, deletes = {} }) {
+  const storeNames = [...new Set([...Object.keys(puts), ...Object.keys(deletes)])];
+  if (!storeNames.length) return Promise.resolve();
+  const tx = db.transaction(storeNames, 'readwrite');
+  const done = transactionDone(tx);
+  Object.entries(deletes).forEach(([storeName, keys]) => {
+    const store = tx.objectStore(storeName);
+    keys.forEach((key) => store.delete(key));
+  });
+  Object.entries(puts).forEach(([storeName, records]) => {
+    const store = tx.objectStore(storeName);
+    records.forEach((record) => store.put(record));
+  });
+  return done;
+}
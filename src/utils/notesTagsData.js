@@ -21,6 +21,7 @@ import { MAX_TAG_LENGTH, MAX_TAGS_PER_TRACK, TAG_ALLOWED_RE } from '../features/
  * @property {number | null | undefined} [timestampMs]
  * @property {number | null | undefined} [timestampEndMs]
  * @property {string | undefined} [id] - Server-assigned UUID (present after sync)
+ * @property {number | undefined} [revision] - Server revision this copy was last synced at
  */
 
 /** @typedef {Record<string, NoteEntry[]>} NotesByTrack */
@@ -98,6 +99,9 @@ function normalizeNoteEntry(value, fallbackTs) {
     if (typeof candidate.id === 'string' && candidate.id) {
       entry.id = candidate.id
     }
+    if (Number.isInteger(candidate.revision) && /** @type {number} */ (candidate.revision) > 0) {
+      entry.revision = /** @type {number} */ (candidate.revision)
+    }
     return entry
   }
   return null
@@ -192,6 +196,7 @@ export function normalizeNotesList(value) {
         normalized.timestampEndMs >= normalized.timestampMs
           ? { timestampEndMs: normalized.timestampEndMs }
           : {}),
+        ...(normalized.revision ? { revision: normalized.revision } : {}),
       });
     }
   });
@@ -408,6 +413,7 @@ export function groupRemoteNotes(rows) {
           createdAt: row.createdAt ?? row.created_at,
           timestampMs: row.timestampMs ?? row.timestamp_ms,
           timestampEndMs: row.timestampEndMs ?? row.timestamp_end_ms,
+          revision: row.revision,
         },
         Date.now(),
       )
@@ -476,8 +482,27 @@ export function mergeRemoteNotes(localMap, remoteMap) {
       const localNotes = merged[trackId];
       const seenSignatures = new Set(localNotes.map(getNoteSignature));
       const combined = [...localNotes];
+      /** @type {Map<string, number>} */
+      const indexById = new Map();
+      combined.forEach((note, index) => {
+        if (note.id) indexById.set(note.id, index);
+      });
       
       cleanedRemote.forEach((remoteNote) => {
+        // Same server id: one note, two versions. A newer server revision replaces the
+        // local copy; otherwise the local copy is an edit that has not been pushed yet.
+        // Rows from before revisions existed keep the plain union below.
+        const localIndex = remoteNote.id ? indexById.get(remoteNote.id) : undefined;
+        if (localIndex !== undefined && (remoteNote.revision || combined[localIndex].revision)) {
+          const localNote = combined[localIndex];
+          if ((remoteNote.revision ?? 1) > (localNote.revision ?? 1)) {
+            combined[localIndex] = remoteNote;
+          } else if (getNoteSignature(localNote) === getNoteSignature(remoteNote)) {
+            combined[localIndex] = { ...localNote, ...(remoteNote.revision ? { revision: remoteNote.revision } : {}) };
+          }
+          seenSignatures.add(getNoteSignature(remoteNote));
+          return;
+        }
         const sig = getNoteSignature(remoteNote);
         if (!seenSignatures.has(sig)) {
           seenSignatures.add(sig);
@@ -0,0 +1,437 @@
+// src/utils/persistentStore.js
+// IndexedDB-backed home for the app state and the playlist cache.
+//
+// The rest of the app reads and writes storage synchronously, so this module keeps an
+// in-memory mirror that is hydrated once before the first render. Writes update the
+// mirror straight away and reach IndexedDB shortly after as per-record diffs: one
+// record per track id, one per cached playlist, and one for everything else. Only track
+// records whose track, notes or tags object changed are serialized again, so saves are
+// expected to hand over new objects for what changed and the same ones for the rest.
+// Without IndexedDB (or before hydration, as in tests) callers keep using localStorage.
+
+// @ts-check
+
+import {
+  APP_STORE,
+  PLAYLIST_STORE,
+  TRACK_STORE,
+  openDatabase,
+  readAllRecords,
+  resolveIndexedDb,
+  writeRecords,
+} from './indexedDb.js';
+
+export const LEGACY_STATE_KEY = 'sta:v6';
+export const LEGACY_PLAYLIST_CACHE_KEY = 'sta:playlist-cache:v1';
+export const PERSIST_DEBOUNCE_MS = 250;
+
+const APP_STATE_KEY = 'state';
+const MIGRATION_KEY = 'migration';
+
+/**
+ * @typedef {{ key: string, storedAt: number, data: any, aliases?: string[] }} PlaylistRecord
+ *
+ * @typedef {{ id: string, track?: any, notes?: any[], tags?: string[] }} TrackRecord
+ *
+ * @typedef {{ track?: any, notes?: any[], tags?: string[], json: string }} WrittenTrack
+ *   A stored track record as JSON, with the objects it was serialized from
+ *
+ * @typedef {Object} StoreMirror
+ * @property {IDBDatabase} db
+ * @property {Record<string, any> | null} state
+ * @property {Map<string, PlaylistRecord>} playlists
+ * @property {{ app: string | null, tracks: Map<string, WrittenTrack>, playlists: Map<string, string> }} written
+ *   What IndexedDB holds, as serialized records (playlists by a cheap fingerprint)
+ * @property {ReturnType<typeof setTimeout> | null} timer
+ * @property {Promise<void>} flushing
+ */
+
+/** @type {StoreMirror | null} */
+let mirror = null;
+/** @type {(() => void) | null} */
+let detachLifecycle = null;
+
+/**
+ * Break the persisted state into an app record plus one record per track id.
+ * Notes and tags for tracks outside the open playlist get a record of their own.
+ * @param {Record<string, any>} state
+ * @returns {{ app: Record<string, any>, tracks: Map<string, TrackRecord> }}
+ */
+function splitState(state) {
+  const { tracks, notesByTrack, tagsByTrack, ...rest } = state;
+  /** @type {Map<string, TrackRecord>} */
+  const records = new Map();
+  /** @param {string} id */
+  const recordFor = (id) => {
+    let record = records.get(id);
+    if (!record) {
+      record = { id };
+      records.set(id, record);
+    }
+    return record;
+  };
+
+  /** @type {string[]} */
+  const trackIds = [];
+  (Array.isArray(tracks) ? tracks : []).forEach((track) => {
+    if (!track || track.id == null) return;
+    const id = String(track.id);
+    trackIds.push(id);
+    recordFor(id).track = track;
+  });
+  Object.entries(notesByTrack ?? {}).forEach(([id, notes]) => {
+    recordFor(id).notes = notes;
+  });
+  Object.entries(tagsByTrack ?? {}).forEach(([id, tags]) => {
+    recordFor(id).tags = tags;
+  });
+
+  return { app: { ...rest, key: APP_STATE_KEY, trackIds }, tracks: records };
+}
+
+/**
+ * @param {Record<string, any>} appRecord
+ * @param {TrackRecord[]} trackRecords
+ * @returns {Record<string, any>}
+ */
+function assembleState(appRecord, trackRecords) {
+  const { key: _key, trackIds, ...rest } = appRecord;
+  /** @type {Map<string, TrackRecord>} */
+  const byId = new Map(trackRecords.map((record) => [record.id, record]));
+  /** @type {Record<string, any[]>} */
+  const notesByTrack = {};
+  /** @type {Record<string, string[]>} */
+  const tagsByTrack = {};
+  trackRecords.forEach((record) => {
+    if (record.notes) notesByTrack[record.id] = record.notes;
+    if (record.tags) tagsByTrack[record.id] = record.tags;
+  });
+  const tracks = (Array.isArray(trackIds) ? trackIds : [])
+    .map((id) => byId.get(id)?.track)
+    .filter(Boolean);
+  return { ...rest, tracks, notesByTrack, tagsByTrack };
+}
+
+/**
+ * @param {TrackRecord} record
+ * @returns {WrittenTrack}
+ */
+function toWrittenTrack(record) {
+  return { track: record.track, notes: record.notes, tags: record.tags, json: JSON.stringify(record) };
+}
+
+/**
+ * @param {WrittenTrack} written
+ * @param {TrackRecord} record
+ */
+function isUnchangedTrack(written, record) {
+  return (
+    written.track === record.track &&
+    written.notes === record.notes &&
+    written.tags === record.tags
+  );
+}
+
+/**
+ * Cached results are large and only ever replaced whole, so a new `storedAt` (or a
+ * changed alias list) is enough to tell that an entry needs rewriting.
+ * @param {PlaylistRecord} record
+ */
+function playlistFingerprint(record) {
+  const aliases = Array.isArray(record.aliases) ? record.aliases.join('\n') : '';
+  return `${record.storedAt}|${aliases}`;
+}
+
+/**
+ * @param {Storage | null} storage
+ * @returns {{ state: Record<string, any> | null, playlists: PlaylistRecord[] }}
+ */
+function readLegacyLocalStorage(storage) {
+  /** @type {{ state: Record<string, any> | null, playlists: PlaylistRecord[] }} */
+  const legacy = { state: null, playlists: [] };
+  if (!storage) return legacy;
+  try {
+    const rawState = JSON.parse(storage.getItem(LEGACY_STATE_KEY) ?? 'null');
+    if (rawState && typeof rawState === 'object') legacy.state = rawState;
+  } catch {
+    // unreadable state is left where it is
+  }
+  try {
+    const rawCache = JSON.parse(storage.getItem(LEGACY_PLAYLIST_CACHE_KEY) ?? 'null');
+    const entries = Array.isArray(rawCache?.entries) ? rawCache.entries : [];
+    legacy.playlists = entries.filter(
+      /** @param {any} entry */
+      (entry) => entry && typeof entry.key === 'string' && entry.key && Number.isFinite(entry.storedAt),
+    );
+  } catch {
+    // same
+  }
+  return legacy;
+}
+
+/** @returns {Storage | null} */
+function getLocalStorage() {
+  try {
+    return typeof localStorage !== 'undefined' ? localStorage : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Write what changed in the mirror since the last successful flush.
+ * @param {StoreMirror} target
+ * @param {Record<string, any>[]} [extraAppRecords]
+ * @returns {Promise<void>}
+ */
+async function flushMirror(target, extraAppRecords = []) {
+  /** @type {Record<string, any[]>} */
+  const puts = {};
+  /** @type {Record<string, IDBValidKey[]>} */
+  const deletes = {};
+  /**
+   * @param {Record<string, any[]>} bucket
+   * @param {string} storeName
+   * @param {any} value
+   */
+  const add = (bucket, storeName, value) => {
+    (bucket[storeName] ??= []).push(value);
+  };
+  const { written } = target;
+  const next = { app: written.app, tracks: new Map(), playlists: new Map() };
+
+  if (target.state) {
+    const { app, tracks } = splitState(target.state);
+    const appJson = JSON.stringify(app);
+    if (appJson !== written.app) add(puts, APP_STORE, app);
+    next.app = appJson;
+    tracks.forEach((record, id) => {
+      const previous = written.tracks.get(id);
+      if (previous && isUnchangedTrack(previous, record)) {
+        next.tracks.set(id, previous);
+        return;
+      }
+      const entry = toWrittenTrack(record);
+      next.tracks.set(id, entry);
+      if (previous?.json !== entry.json) add(puts, TRACK_STORE, record);
+    });
+  } else if (written.app !== null) {
+    add(deletes, APP_STORE, APP_STATE_KEY);
+    next.app = null;
+  }
+  written.tracks.forEach((_entry, id) => {
+    if (!next.tracks.has(id)) add(deletes, TRACK_STORE, id);
+  });
+
+  target.playlists.forEach((record, key) => {
+    const fingerprint = playlistFingerprint(record);
+    next.playlists.set(key, fingerprint);
+    if (written.playlists.get(key) !== fingerprint) add(puts, PLAYLIST_STORE, record);
+  });
+  written.playlists.forEach((_fingerprint, key) => {
+    if (!next.playlists.has(key)) add(deletes, PLAYLIST_STORE, key);
+  });
+
+  extraAppRecords.forEach((record) => add(puts, APP_STORE, record));
+  await writeRecords(target.db, { puts, deletes });
+  target.written = next;
+}
+
+/**
+ * @param {StoreMirror} target
+ * @param {Record<string, any>[]} [extraAppRecords]
+ * @returns {Promise<void>}
+ */
+function queueFlush(target, extraAppRecords) {
+  if (target.timer) {
+    clearTimeout(target.timer);
+    target.timer = null;
+  }
+  target.flushing = target.flushing
+    .then(() => flushMirror(target, extraAppRecords))
+    .catch((err) => {
+      console.error('[persistent store] failed to write to IndexedDB', err);
+    });
+  return target.flushing;
+}
+
+/**
+ * Flush 250 ms after the first unsaved change. The timer is not pushed back by later
+ * changes, so a burst of edits still lands within that window.
+ * @param {StoreMirror} target
+ */
+function scheduleFlush(target) {
+  if (target.timer) return;
+  target.timer = setTimeout(() => {
+    target.timer = null;
+    void queueFlush(target);
+  }, PERSIST_DEBOUNCE_MS);
+}
+
+/** @param {StoreMirror} target */
+function attachLifecycle(target) {
+  if (typeof window === 'undefined' || typeof document === 'undefined') return null;
+  const flushSoon = () => {
+    if (target.timer) void queueFlush(target);
+  };
+  const onVisibilityChange = () => {
+    if (document.visibilityState === 'hidden') flushSoon();
+  };
+  window.addEventListener('pagehide', flushSoon);
+  document.addEventListener('visibilitychange', onVisibilityChange);
+  return () => {
+    window.removeEventListener('pagehide', flushSoon);
+    document.removeEventListener('visibilitychange', onVisibilityChange);
+  };
+}
+
+/**
+ * Whether what IndexedDB gave back holds everything the legacy localStorage copy had.
+ * @param {StoreMirror} target
+ * @param {{ state: Record<string, any> | null, playlists: PlaylistRecord[] }} legacy
+ */
+function holdsLegacyData(target, legacy) {
+  if (legacy.state && !target.state) return false;
+  return legacy.playlists.every((record) => target.playlists.has(record.key));
+}
+
+/**
+ * Open IndexedDB and load the mirror. The first time it runs on a device it copies
+ * `sta:v6` and the localStorage playlist cache across. The localStorage copies stay
+ * until a later start has read the data back from IndexedDB, so a write that never
+ * made it to disk (the tab closed mid-transaction, say) cannot lose them; then they
+ * are removed to free the quota. Resolves with the backend in use; never rejects.
+ * @param {{ indexedDB?: IDBFactory, storage?: Storage | null }} [options]
+ * @returns {Promise<'indexeddb' | 'localStorage'>}
+ */
+export async function hydratePersistentStore(options = {}) {
+  if (mirror) return 'indexeddb';
+  const factory = resolveIndexedDb(options.indexedDB);
+  if (!factory) return 'localStorage';
+  const storage = options.storage === undefined ? getLocalStorage() : options.storage;
+
+  try {
+    const db = await openDatabase(factory);
+    const [appRecords, trackRecords, playlistRecords] = await Promise.all([
+      readAllRecords(db, APP_STORE),
+      readAllRecords(db, TRACK_STORE),
+      readAllRecords(db, PLAYLIST_STORE),
+    ]);
+    const appRecord = appRecords.find((record) => record?.key === APP_STATE_KEY) ?? null;
+    const migration = appRecords.find((record) => record?.key === MIGRATION_KEY) ?? null;
+
+    /** @type {StoreMirror} */
+    const target = {
+      db,
+      state: appRecord ? assembleState(appRecord, trackRecords) : null,
+      playlists: new Map(playlistRecords.map((record) => [record.key, record])),
+      written: {
+        app: appRecord ? JSON.stringify(appRecord) : null,
+        tracks: new Map(trackRecords.map((record) => [record.id, toWrittenTrack(record)])),
+        playlists: new Map(playlistRecords.map((record) => [record.key, playlistFingerprint(record)])),
+      },
+      timer: null,
+      flushing: Promise.resolve(),
+    };
+
+    if (!migration?.legacyRemovedAt) {
+      const legacy = readLegacyLocalStorage(storage);
+      if (migration && holdsLegacyData(target, legacy)) {
+        try {
+          storage?.removeItem(LEGACY_STATE_KEY);
+          storage?.removeItem(LEGACY_PLAYLIST_CACHE_KEY);
+        } catch {
+          // leaving the old copies behind is harmless; they are never read again
+        }
+        await flushMirror(target, [{ ...migration, legacyRemovedAt: Date.now() }]);
+      } else {
+        // First start, or the copy made last time did not read back: copy again
+        if (legacy.state && !target.state) target.state = legacy.state;
+        legacy.playlists.forEach((record) => {
+          if (!target.playlists.has(record.key)) target.playlists.set(record.key, record);
+        });
+        await flushMirror(target, [migration ?? { key: MIGRATION_KEY, migratedAt: Date.now() }]);
+      }
+    }
+
+    mirror = target;
+    detachLifecycle = attachLifecycle(target);
+    return 'indexeddb';
+  } catch (err) {
+    console.error('[persistent store] IndexedDB unavailable, using localStorage', err);
+    return 'localStorage';
+  }
+}
+
+/** @returns {boolean} */
+export function isPersistentStoreReady() {
+  return mirror !== null;
+}
+
+/**
+ * The persisted app state, or null when none is stored. It is the store's own object,
+ * not a copy: read from it, never change it.
+ * @returns {Readonly<Record<string, any>> | null}
+ */
+export function readPersistedAppState() {
+  return mirror?.state ?? null;
+}
+
+/**
+ * Keep `state` as the persisted app state. It is stored as given, not copied: the
+ * caller hands it over and must not change it afterwards.
+ * @param {Record<string, any> | null} state
+ */
+export function writePersistedAppState(state) {
+  if (!mirror) return;
+  mirror.state = state;
+  scheduleFlush(mirror);
+}
+
+/** @returns {PlaylistRecord[]} */
+export function readPersistedPlaylistEntries() {
+  return mirror ? Array.from(mirror.playlists.values()) : [];
+}
+
+/**
+ * Replace the cached playlist entries. Entries whose `storedAt` and aliases are
+ * unchanged are not rewritten.
+ * @param {PlaylistRecord[]} entries
+ */
+export function writePersistedPlaylistEntries(entries) {
+  if (!mirror) return;
+  mirror.playlists = new Map(
+    entries.map((entry) => [
+      entry.key,
+      {
+        key: entry.key,
+        storedAt: entry.storedAt,
+        data: entry.data,
+        aliases: Array.isArray(entry.aliases) ? [...entry.aliases] : [],
+      },
+    ]),
+  );
+  scheduleFlush(mirror);
+}
+
+/**
+ * Write pending changes now instead of waiting for the debounce.
+ * @returns {Promise<void>}
+ */
+export function flushPersistentStore() {
+  return mirror ? queueFlush(mirror) : Promise.resolve();
+}
+
+/**
+ * Flush, close the database and fall back to localStorage. For tests and teardown.
+ * @returns {Promise<void>}
+ */
+export async function closePersistentStore() {
+  const current = mirror;
+  if (!current) return;
+  await queueFlush(current);
+  detachLifecycle?.();
+  detachLifecycle = null;
+  current.db.close();
+  mirror = null;
+}
@@ -0,0 +1,44 @@
+// src/utils/saveFile.js
+
+// @ts-check
+
+/**
+ * @typedef {'saved' | 'downloaded' | 'cancelled'} SaveFileResult
+ */
+
+/**
+ * Save a Blob through the File System Access picker when the browser has one,
+ * otherwise trigger a regular download. Rejects on write failures; a dismissed
+ * picker resolves to `'cancelled'`.
+ * @param {Blob} blob
+ * @param {{ suggestedName: string, description: string, mimeType: string, extension: string }} options
+ * @returns {Promise<SaveFileResult>}
+ */
+export async function saveFile(blob, { suggestedName, description, mimeType, extension }) {
+  if (typeof window !== 'undefined' && 'showSaveFilePicker' in window) {
+    try {
+      const picker = /** @type {any} */ (window).showSaveFilePicker
+      const handle = await picker({
+        suggestedName,
+        types: [{ description, accept: { [mimeType]: [`.${extension}`] } }],
+      })
+      const writable = await handle.createWritable()
+      await writable.write(blob)
+      await writable.close()
+      return 'saved'
+    } catch (err) {
+      if (/** @type {any} */ (err)?.name === 'AbortError') return 'cancelled'
+      throw err
+    }
+  }
+
+  const url = URL.createObjectURL(blob)
+  const anchor = document.createElement('a')
+  anchor.href = url
+  anchor.download = suggestedName
+  document.body.appendChild(anchor)
+  anchor.click()
+  document.body.removeChild(anchor)
+  URL.revokeObjectURL(url)
+  return 'downloaded'
+}
@@ -5,6 +5,13 @@
 
 import { MAX_TAG_LENGTH, MAX_TAGS_PER_TRACK, TAG_ALLOWED_RE } from '../features/tags/validation.js'
 import { normalizeNotesList } from './notesTagsData.js'
+import { captureRestorePoint, loadRestorePoints } from '../features/backup/restorePoints.js'
+import { resolveKeymap, sanitizeKeymapOverrides, toKeymapOverrides } from '../features/keyboard/keymap.js'
+import {
+  isPersistentStoreReady,
+  readPersistedAppState,
+  writePersistedAppState,
+} from './persistentStore.js';
 
 /**
  * @typedef {'dark' | 'light'} Theme
@@ -13,12 +20,14 @@ import { normalizeNotesList } from './notesTagsData.js'
  *
  * @typedef {{ timestamp?: boolean }} DiscoveryPrefs
  *
- * @typedef {{ font: FontPreference, discovered?: DiscoveryPrefs }} UiPrefs
+ * @typedef {Partial<import('../features/keyboard/keymap.js').Keymap>} KeymapOverrides
+ *
+ * @typedef {{ font: FontPreference, discovered?: DiscoveryPrefs, keymap?: KeymapOverrides }} UiPrefs
  *
  * @typedef {'timestamp'} DiscoverableFeature
  *
  * @typedef {Object} ImportMeta
- * @property {'spotify' | 'youtube' | 'soundcloud' | 'demo' | null} [provider]
+ * @property {'spotify' | 'youtube' | 'soundcloud' | 'applemusic' | 'deezer' | 'file' | 'demo' | null} [provider]
  * @property {string | null} [playlistId]
  * @property {string | null} [snapshotId]
  * @property {string | null} [cursor]
@@ -41,7 +50,7 @@ import { normalizeNotesList } from './notesTagsData.js'
  * @property {string=} dateAdded
  * @property {string=} importedAt
  * @property {number=} originalIndex
- * @property {'spotify' | 'youtube' | 'soundcloud' | 'demo'=} provider
+ * @property {'spotify' | 'youtube' | 'soundcloud' | 'applemusic' | 'deezer' | 'file' | 'demo'=} provider
  * @property {'music' | 'podcast'=} kind
  * @property {string=} showId
  * @property {string=} showName
@@ -54,7 +63,7 @@ import { normalizeNotesList } from './notesTagsData.js'
  *
  * @typedef {Object} RecentPlaylist
  * @property {string} id // `${provider}:${playlistId}`
- * @property {'spotify' | 'youtube' | 'soundcloud' | 'demo'} provider
+ * @property {'spotify' | 'youtube' | 'soundcloud' | 'applemusic' | 'deezer' | 'file' | 'demo'} provider
  * @property {string} playlistId
  * @property {string} title
  * @property {string} sourceUrl
@@ -64,6 +73,18 @@ import { normalizeNotesList } from './notesTagsData.js'
  * @property {number=} total
  * @property {boolean=} pinned
  * @property {number=} lastRefreshedAt
+ * @property {'daylist-snapshot'=} kind // frozen copy; never re-imported
+ * @property {number=} capturedAt
+ *
+ * @typedef {Object} OrphanedTrack
+ * @property {string} id
+ * @property {string} title
+ * @property {string} artist
+ * @property {string | null} provider
+ * @property {string | null} playlistId
+ * @property {import('./notesTagsData.js').NoteEntry[]} notes
+ * @property {string[]} tags
+ * @property {string} orphanedAt
  *
  * @typedef {Object} PersistedState
  * @property {number} version
@@ -76,6 +97,7 @@ import { normalizeNotesList } from './notesTagsData.js'
  * @property {NotesByTrack} notesByTrack
  * @property {RecentPlaylist[]} recentPlaylists
  * @property {TagsByTrack} tagsByTrack
+ * @property {OrphanedTrack[]} orphanedTracks
  * @property {UiPrefs} uiPrefs
  */
 
@@ -83,8 +105,7 @@ const STORAGE_VERSION = 6;
 const LS_KEY = 'sta:v6';
 const LEGACY_KEYS = ['sta:v5', 'sta:v4', 'sta:v3', 'sta:v2'];
 const PENDING_MIGRATION_KEY = 'sta:v6:pending-migration';
-const AUTO_BACKUP_KEY = 'sta:v6:auto-backup';
-const VALID_PROVIDERS = new Set(['spotify', 'youtube', 'soundcloud', 'demo']);
+const VALID_PROVIDERS = new Set(['spotify', 'youtube', 'soundcloud', 'applemusic', 'deezer', 'file', 'demo']);
 const RECENT_FALLBACK_TITLE = 'Untitled playlist';
 const RECENT_DEFAULT_MAX = 8;
 const FONT_PREF_DEFAULT = 'default';
@@ -107,9 +128,8 @@ const EMPTY_META = Object.freeze({
 /** @returns {PersistedState | null} */
 export function loadAppState() {
   try {
-    const raw = localStorage.getItem(LS_KEY);
-    if (raw) {
-      const parsed = JSON.parse(raw);
+    const parsed = readStoredState();
+    if (parsed) {
       if (parsed?.version === STORAGE_VERSION) {
         return normalizeState(parsed);
       }
@@ -149,6 +169,11 @@ export function saveAppState(state) {
         ? sanitizeRecentList(state.recentPlaylists)
         : existingRecents;
 
+    const actualOrphans =
+      state?.orphanedTracks !== undefined
+        ? sanitizeOrphanedTracks(state.orphanedTracks)
+        : sanitizeOrphanedTracks(stored?.orphanedTracks);
+
     const existingPrefs = sanitizeUiPrefs(stored?.uiPrefs);
     const hasUiPrefs = state && Object.prototype.hasOwnProperty.call(state, 'uiPrefs');
     const actualPrefs = hasUiPrefs ? sanitizeUiPrefs(state?.uiPrefs) : existingPrefs;
@@ -163,6 +188,7 @@ export function saveAppState(state) {
       importMeta: sanitizeImportMeta(state?.importMeta),
       notesByTrack: sanitizeNotesMap(state?.notesByTrack, state?.tracks),
       tagsByTrack: sanitizeTagsMap(state?.tagsByTrack, state?.tracks),
+      orphanedTracks: actualOrphans,
       recentPlaylists: actualRecents,
       uiPrefs: actualPrefs,
     };
@@ -316,6 +342,29 @@ export function setFontPreference(font) {
   return nextFont;
 }
 
+/** @returns {import('../features/keyboard/keymap.js').Keymap} */
+export function getKeymapPreference() {
+  const stored = readStoredState();
+  return resolveKeymap(stored?.uiPrefs?.keymap);
+}
+
+/**
+ * Persist a full keymap; only the keys that differ from the defaults are stored.
+ * @param {import('../features/keyboard/keymap.js').Keymap} keymap
+ * @returns {import('../features/keyboard/keymap.js').Keymap}
+ */
+export function setKeymapPreference(keymap) {
+  const overrides = sanitizeKeymapOverrides(toKeymapOverrides(keymap));
+  const base = loadAppState() ?? createEmptyState();
+  const currentPrefs = base.uiPrefs ? sanitizeUiPrefs(base.uiPrefs) : sanitizeUiPrefs(null);
+  /** @type {UiPrefs} */
+  const nextPrefs = { ...currentPrefs };
+  if (Object.keys(overrides).length > 0) nextPrefs.keymap = overrides;
+  else delete nextPrefs.keymap;
+  persistState({ ...base, uiPrefs: nextPrefs });
+  return resolveKeymap(overrides);
+}
+
 /**
  * @param {DiscoverableFeature} feature
  * @param {UiPrefs | null | undefined} [prefs]
@@ -407,6 +456,7 @@ function createEmptyState(theme = 'dark') {
     importMeta: { ...EMPTY_META },
     notesByTrack: Object.create(null),
     tagsByTrack: Object.create(null),
+    orphanedTracks: [],
     recentPlaylists: [],
     uiPrefs: sanitizeUiPrefs(null),
   };
@@ -431,6 +481,7 @@ function normalizeState(data) {
     importMeta: sanitizeImportMeta(data?.importMeta),
     notesByTrack,
     tagsByTrack: sanitizeTagsMap(data?.tagsByTrack, data?.tracks),
+    orphanedTracks: sanitizeOrphanedTracks(data?.orphanedTracks),
     recentPlaylists: sanitizeRecentList(data?.recentPlaylists),
     uiPrefs,
   };
@@ -480,6 +531,7 @@ function migrateLegacy(v2) {
     importMeta,
     notesByTrack: sanitizeNotesMap(null, tracks),
     tagsByTrack: Object.create(null),
+    orphanedTracks: [],
     recentPlaylists,
     uiPrefs: sanitizeUiPrefs(null),
   };
@@ -518,6 +570,12 @@ function sanitizeUiPrefs(prefs) {
   if (Object.keys(discovered).length > 0) {
     normalized.discovered = discovered;
   }
+  const keymap = sanitizeKeymapOverrides(
+    prefs && typeof prefs === 'object' ? /** @type {any} */ (prefs).keymap : null,
+  );
+  if (Object.keys(keymap).length > 0) {
+    normalized.keymap = keymap;
+  }
   return normalized;
 }
 
@@ -562,63 +620,99 @@ function sanitizeTracks(list) {
 
   list.forEach((t, idx) => {
     if (!t || typeof t !== 'object') return;
-    const id = safeString(/** @type {any} */(t).id) || `track-${idx + 1}`;
-    if (seen.has(id)) return;
-    seen.add(id);
-    const record = {
-      id,
-      title: safeString(/** @type {any} */(t).title) || `Track ${idx + 1}`,
-      artist: safeString(/** @type {any} */(t).artist) || 'Unknown Artist',
-      notes: normalizeNotesArray(/** @type {any} */(t).notes),
-    };
-    const thumb = safeString(/** @type {any} */(t).thumbnailUrl);
-    if (thumb) record.thumbnailUrl = thumb;
-    const sourceUrl = safeString(/** @type {any} */(t).sourceUrl);
-    if (sourceUrl) record.sourceUrl = sourceUrl;
-    const duration = Number(/** @type {any} */(t).durationMs);
-    if (Number.isFinite(duration) && duration > 0) {
-      record.durationMs = Math.round(duration);
-    }
-    const album = safeString(/** @type {any} */(t).album);
-    if (album) {
-      record.album = album;
-    }
-    const dateAddedTs = coerceTimestamp(/** @type {any} */(t).dateAdded ?? /** @type {any} */(t).addedAt);
-    if (dateAddedTs != null) {
-      record.dateAdded = new Date(dateAddedTs).toISOString();
-    }
-    const importedAtTs = coerceTimestamp(/** @type {any} */(t).importedAt);
-    if (importedAtTs != null) {
-      record.importedAt = new Date(importedAtTs).toISOString();
-    }
-    const originalIndex = Number(/** @type {any} */(t).originalIndex);
-    if (Number.isFinite(originalIndex) && originalIndex >= 0) {
-      record.originalIndex = Math.round(originalIndex);
-    }
-    const provider = canonicalProvider(/** @type {any} */(t).provider);
-    if (provider) {
-      record.provider = provider;
-    }
-    const kind = /** @type {any} */(t).kind === 'podcast' ? 'podcast' : 'music';
-    record.kind = kind;
-    const showId = safeString(/** @type {any} */(t).showId);
-    if (showId) record.showId = showId;
-    const showName = safeString(/** @type {any} */(t).showName);
-    if (showName) record.showName = showName;
-    const publisher = safeString(/** @type {any} */(t).publisher);
-    if (publisher) record.publisher = publisher;
-    const description = safeString(/** @type {any} */(t).description);
-    if (description) record.description = description;
-    const cleanedTags = normalizeTagsArray(/** @type {any} */(t).tags);
-    if (cleanedTags.length > 0) {
-      record.tags = cleanedTags;
-    }
+    const record = sanitizeTrackCached(t, idx);
+    if (seen.has(record.id)) return;
+    seen.add(record.id);
     out.push(record);
   });
 
   return out;
 }
 
+// Saves sanitize the whole state on every change. Sanitizing is pure, so an input object
+// seen before maps to the record it produced then: unchanged tracks, notes and tag lists
+// keep their identity from save to save, and the persistent store only serializes the
+// ones that changed. Inputs are app state, which is replaced rather than mutated.
+/** @type {WeakMap<object, { index: number, record: PersistedTrack }>} */
+const sanitizedTracks = new WeakMap();
+/** @type {WeakMap<unknown[], import('./notesTagsData.js').NoteEntry[]>} */
+const normalizedNotes = new WeakMap();
+/** @type {WeakMap<unknown[], string[]>} */
+const normalizedTags = new WeakMap();
+
+/**
+ * @param {object} t
+ * @param {number} idx
+ * @returns {PersistedTrack}
+ */
+function sanitizeTrackCached(t, idx) {
+  const cached = sanitizedTracks.get(t);
+  // Tracks without an id or title are named after their position
+  const positional = !safeString(/** @type {any} */(t).id) || !safeString(/** @type {any} */(t).title);
+  if (cached && (cached.index === idx || !positional)) return cached.record;
+  const record = sanitizeTrack(t, idx);
+  sanitizedTracks.set(t, { index: idx, record });
+  return record;
+}
+
+/**
+ * @param {object} t
+ * @param {number} idx
+ * @returns {PersistedTrack}
+ */
+function sanitizeTrack(t, idx) {
+  const id = safeString(/** @type {any} */(t).id) || `track-${idx + 1}`;
+  const record = {
+    id,
+    title: safeString(/** @type {any} */(t).title) || `Track ${idx + 1}`,
+    artist: safeString(/** @type {any} */(t).artist) || 'Unknown Artist',
+    notes: normalizeNotesArray(/** @type {any} */(t).notes),
+  };
+  const thumb = safeString(/** @type {any} */(t).thumbnailUrl);
+  if (thumb) record.thumbnailUrl = thumb;
+  const sourceUrl = safeString(/** @type {any} */(t).sourceUrl);
+  if (sourceUrl) record.sourceUrl = sourceUrl;
+  const duration = Number(/** @type {any} */(t).durationMs);
+  if (Number.isFinite(duration) && duration > 0) {
+    record.durationMs = Math.round(duration);
+  }
+  const album = safeString(/** @type {any} */(t).album);
+  if (album) {
+    record.album = album;
+  }
+  const dateAddedTs = coerceTimestamp(/** @type {any} */(t).dateAdded ?? /** @type {any} */(t).addedAt);
+  if (dateAddedTs != null) {
+    record.dateAdded = new Date(dateAddedTs).toISOString();
+  }
+  const importedAtTs = coerceTimestamp(/** @type {any} */(t).importedAt);
+  if (importedAtTs != null) {
+    record.importedAt = new Date(importedAtTs).toISOString();
+  }
+  const originalIndex = Number(/** @type {any} */(t).originalIndex);
+  if (Number.isFinite(originalIndex) && originalIndex >= 0) {
+    record.originalIndex = Math.round(originalIndex);
+  }
+  const provider = canonicalProvider(/** @type {any} */(t).provider);
+  if (provider) {
+    record.provider = provider;
+  }
+  const kind = /** @type {any} */(t).kind === 'podcast' ? 'podcast' : 'music';
+  record.kind = kind;
+  const showId = safeString(/** @type {any} */(t).showId);
+  if (showId) record.showId = showId;
+  const showName = safeString(/** @type {any} */(t).showName);
+  if (showName) record.showName = showName;
+  const publisher = safeString(/** @type {any} */(t).publisher);
+  if (publisher) record.publisher = publisher;
+  const description = safeString(/** @type {any} */(t).description);
+  if (description) record.description = description;
+  const cleanedTags = normalizeTagsArray(/** @type {any} */(t).tags);
+  if (cleanedTags.length > 0) {
+    record.tags = cleanedTags;
+  }
+  return record;
+}
+
 /**
  * @param {unknown} input
  * @param {unknown} fallbackTracks
@@ -754,6 +848,37 @@ function sanitizeTagsMap(input, fallbackTracks) {
   return out;
 }
 
+/**
+ * Orphans only exist to hold annotations, so entries without notes or tags are dropped.
+ * @param {unknown} list
+ * @returns {OrphanedTrack[]}
+ */
+function sanitizeOrphanedTracks(list) {
+  if (!Array.isArray(list)) return [];
+  /** @type {Map<string, OrphanedTrack>} */
+  const byId = new Map();
+  list.forEach((entry) => {
+    if (!entry || typeof entry !== 'object') return;
+    const id = safeString(/** @type {any} */ (entry).id);
+    if (!id) return;
+    const notes = normalizeNotesArray(/** @type {any} */ (entry).notes);
+    const tags = normalizeTagsArray(/** @type {any} */ (entry).tags);
+    if (notes.length === 0 && tags.length === 0) return;
+    const orphanedAtTs = coerceTimestamp(/** @type {any} */ (entry).orphanedAt) ?? Date.now();
+    byId.set(id, {
+      id,
+      title: safeString(/** @type {any} */ (entry).title),
+      artist: safeString(/** @type {any} */ (entry).artist),
+      provider: canonicalProvider(/** @type {any} */ (entry).provider),
+      playlistId: safeString(/** @type {any} */ (entry).playlistId) || null,
+      notes,
+      tags,
+      orphanedAt: new Date(orphanedAtTs).toISOString(),
+    });
+  });
+  return Array.from(byId.values());
+}
+
 /**
  * @param {unknown} list
  * @param {number} [max]
@@ -794,6 +919,8 @@ function normalizeRecentItem(entry) {
   const total = normalizeTrackTotal(/** @type {any} */ (entry).total);
   const pinned = Boolean(/** @type {any} */ (entry).pinned);
   const lastRefreshedAt = coerceTimestamp(/** @type {any} */ (entry).lastRefreshedAt);
+  const isSnapshot = /** @type {any} */ (entry).kind === 'daylist-snapshot';
+  const capturedAt = coerceTimestamp(/** @type {any} */ (entry).capturedAt);
 
   /** @type {RecentPlaylist} */
   const normalized = {
@@ -809,6 +936,10 @@ function normalizeRecentItem(entry) {
   if (typeof total === 'number') normalized.total = total;
   if (pinned) normalized.pinned = true;
   if (typeof lastRefreshedAt === 'number') normalized.lastRefreshedAt = lastRefreshedAt;
+  if (isSnapshot) {
+    normalized.kind = 'daylist-snapshot';
+    if (typeof capturedAt === 'number') normalized.capturedAt = capturedAt;
+  }
   return normalized;
 }
 
@@ -991,7 +1122,12 @@ function safeString(value) {
  */
 function normalizeNotesArray(maybeNotes) {
   if (!Array.isArray(maybeNotes)) return [];
-  return normalizeNotesList(maybeNotes);
+  let notes = normalizedNotes.get(maybeNotes);
+  if (!notes) {
+    notes = normalizeNotesList(maybeNotes);
+    normalizedNotes.set(maybeNotes, notes);
+  }
+  return notes;
 }
 
 /**
@@ -1010,6 +1146,8 @@ function normalizeTagValue(tag) {
  */
 function normalizeTagsArray(maybeTags) {
   if (!Array.isArray(maybeTags)) return [];
+  const cached = normalizedTags.get(maybeTags);
+  if (cached) return cached;
   /** @type {string[]} */
   const out = [];
   /** @type {Set<string>} */
@@ -1024,13 +1162,16 @@ function normalizeTagsArray(maybeTags) {
     out.push(normalized);
   });
   out.sort();
+  normalizedTags.set(maybeTags, out);
   return out;
 }
 
 /**
+ * The stored state object, from IndexedDB once it is hydrated, else from localStorage.
  * @returns {any}
  */
 function readStoredState() {
+  if (isPersistentStoreReady()) return readPersistedAppState();
   try {
     const raw = localStorage.getItem(LS_KEY);
     if (!raw) return null;
@@ -1045,6 +1186,10 @@ function readStoredState() {
  * @param {PersistedState} state
  */
 function persistState(state) {
+  if (isPersistentStoreReady()) {
+    writePersistedAppState(state);
+    return;
+  }
   try {
     localStorage.setItem(LS_KEY, JSON.stringify(state));
   } catch {
@@ -1100,18 +1245,15 @@ export function writeAutoBackupSnapshot(state) {
       notesByTrack: sanitizeNotesMap(state.notesByTrack, state.tracks),
       tagsByTrack: sanitizeTagsMap(state.tagsByTrack, state.tracks),
     };
-    localStorage.setItem(AUTO_BACKUP_KEY, JSON.stringify(payload));
+    captureRestorePoint(payload, { reason: 'upgrade', force: true });
   } catch {
     // ignore
   }
 }
 
+/**
+ * Newest automatic backup, or null. Older ones live in the restore point history.
+ */
 export function getAutoBackupSnapshot() {
-  try {
-    const raw = localStorage.getItem(AUTO_BACKUP_KEY);
-    if (!raw) return null;
-    return JSON.parse(raw);
-  } catch {
-    return null;
-  }
+  return loadRestorePoints()[0] ?? null;
 }
@@ -10,6 +10,7 @@
  */
 
 import { hasOwn, normalizeNotesList, normalizeTagList } from './notesTagsData.js'
+import { applyTrackLink } from '../features/identity/trackIdentity.js'
 
 // ===== SECTION 1: Timestamp Utilities =====
 
@@ -73,6 +74,8 @@ export function normalizeTimestamp(value) {
  * @param {object} [options={}] - Enrichment options
  * @param {number | Date | string | null} [options.importStamp] - Default timestamp for new tracks
  * @param {number} [options.originalIndexSeed] - Starting index for new tracks (auto-calculated if omitted)
+ * @param {import('../features/identity/trackIdentity.js').TrackLinks} [options.trackLinks] - Cross-provider
+ *   links; linked tracks are re-keyed to their canonical id before notes are looked up
  * @returns {Array<object>} Enriched tracks with notes, tags, importedAt, originalIndex
  *
  * @example
@@ -159,8 +162,9 @@ export function attachNotesToTracks(trackList, notesMap, tagsMap, previousTracks
 
   let nextOriginalIndex = seed;
 
-  return trackList.map((track) => {
-    if (!track || typeof track !== 'object') return track;
+  return trackList.map((rawTrack) => {
+    if (!rawTrack || typeof rawTrack !== 'object') return rawTrack;
+    const track = options.trackLinks ? applyTrackLink(rawTrack, options.trackLinks) : rawTrack;
     const id = track.id;
     const key = typeof id === 'string' || typeof id === 'number' ? String(id) : null;
     const prev = key ? prevMap.get(key) : null;
@@ -0,0 +1,21 @@
+-- Phase 2 - note revisions for two-way sync
+-- Each note row carries a revision that PATCH /api/db/notes bumps with a
+-- compare-and-set, so concurrent edits from two devices surface as a 409
+-- instead of silently overwriting each other.
+-- Idempotent: safe to run multiple times.
+
+alter table public.notes
+  add column if not exists revision integer not null default 1;
+
+-- Keep updated_at honest on note edits (phase 1 only touched it on insert)
+do $$
+begin
+  if not exists (
+    select 1 from pg_trigger where tgname = 'set_updated_at_notes'
+  ) then
+    create trigger set_updated_at_notes
+      before update on public.notes
+      for each row execute procedure public.touch_updated_at();
+  end if;
+end;
+$$;
@@ -0,0 +1,42 @@
+-- Phase 3 - Spotify account linking (authorization code + PKCE)
+-- spotify_auth_requests holds the PKCE verifier between /api/spotify/authorize and
+-- /api/spotify/callback (single use, ~10 minute lifetime). Rows abandoned on the consent
+-- screen are pruned by /api/spotify/authorize once they pass that lifetime.
+-- spotify_links keeps one refresh token per anon identity. Both secrets are
+-- AES-256-GCM encrypted by the API (SPOTIFY_TOKEN_ENCRYPTION_KEY) before insert.
+-- Only the service role touches these tables: RLS is on with no policies.
+-- Idempotent: safe to run multiple times.
+
+create table if not exists public.spotify_auth_requests (
+  state text primary key,
+  anon_id uuid not null references public.anon_identities(anon_id) on delete cascade,
+  code_verifier text not null,
+  redirect_uri text not null,
+  created_at timestamptz not null default timezone('utc', now())
+);
+
+create index if not exists spotify_auth_requests_created_at_idx
+  on public.spotify_auth_requests (created_at);
+
+create table if not exists public.spotify_links (
+  anon_id uuid primary key references public.anon_identities(anon_id) on delete cascade,
+  refresh_token text not null,
+  scope text,
+  linked_at timestamptz not null default timezone('utc', now()),
+  updated_at timestamptz not null default timezone('utc', now())
+);
+
+alter table public.spotify_auth_requests enable row level security;
+alter table public.spotify_links enable row level security;
+
+do $$
+begin
+  if not exists (
+    select 1 from pg_trigger where tgname = 'set_updated_at_spotify_links'
+  ) then
+    create trigger set_updated_at_spotify_links
+      before update on public.spotify_links
+      for each row execute procedure public.touch_updated_at();
+  end if;
+end;
+$$;
@@ -0,0 +1,22 @@
+-- Phase 4 - Idempotency keys for note writes
+-- /api/db/notes stores the first successful response to each POST/PATCH/DELETE that
+-- carries an Idempotency-Key, and answers a replay of the same key from here instead of
+-- running the write again. request_hash catches a key reused for a different request.
+-- Rows older than 7 days are pruned by the API whenever it stores a new one.
+-- Only the service role touches this table: RLS is on with no policies.
+-- Idempotent: safe to run multiple times.
+
+create table if not exists public.idempotency_keys (
+  anon_id uuid not null references public.anon_identities(anon_id) on delete cascade,
+  key text not null,
+  request_hash text not null,
+  status integer not null,
+  response jsonb,
+  created_at timestamptz not null default timezone('utc', now()),
+  primary key (anon_id, key)
+);
+
+create index if not exists idempotency_keys_created_at_idx
+  on public.idempotency_keys (anon_id, created_at);
+
+alter table public.idempotency_keys enable row level security;
@@ -3,6 +3,10 @@ import react from '@vitejs/plugin-react'
 
 const SPOTIFY_OEMBED_PROXY = '/api/spotify/oembed'
 const SPOTIFY_TOKEN_PROXY = '/api/spotify/token'
+const YOUTUBE_PROXY = '/api/youtube'
+const SOUNDCLOUD_PROXY = '/api/soundcloud'
+const APPLE_MUSIC_PROXY = '/api/apple-music'
+const DEEZER_PROXY = '/api/deezer'
 
 // https://vite.dev/config/
 export default defineConfig({
@@ -38,6 +42,26 @@ export default defineConfig({
         changeOrigin: true,
         secure: false,
       },
+      [YOUTUBE_PROXY]: {
+        target: 'http://localhost:3000',
+        changeOrigin: true,
+        secure: false,
+      },
+      [SOUNDCLOUD_PROXY]: {
+        target: 'http://localhost:3000',
+        changeOrigin: true,
+        secure: false,
+      },
+      [APPLE_MUSIC_PROXY]: {
+        target: 'http://localhost:3000',
+        changeOrigin: true,
+        secure: false,
+      },
+      [DEEZER_PROXY]: {
+        target: 'http://localhost:3000',
+        changeOrigin: true,
+        secure: false,
+      },
     },
   },
 })
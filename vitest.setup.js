@@ -1 +1,7 @@
+import { afterEach } from 'vitest';
 import '@testing-library/jest-dom/vitest';
+
+// Routing writes to the URL; start every test from the root like a fresh page load.
+afterEach(() => {
+  if (typeof window !== 'undefined') window.history.replaceState(null, '', '/');
+});